@@ -0,0 +1,35 @@
+/**
+ * Vercel Cron Job - Apply Lifecycle Events
+ * Runs every hour to apply approved promotions, transfers, salary changes and offboardings
+ * whose effective date has arrived
+ * Schedule: "0 * * * *"
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '../../backend/config/db.js';
+import lifecycleService from '../../backend/services/lifecycleService.js';
+
+export default async function handler(req, res) {
+  // Vercel sends CRON_SECRET as a bearer token on scheduled runs; refuse anything else
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    await connectDB();
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('MongoDB connection not available');
+    }
+
+    const applied = await lifecycleService.applyDueEvents();
+    console.log(`Lifecycle event run complete: ${applied} applied`);
+
+    return res.status(200).json({ success: true, applied });
+  } catch (error) {
+    console.error('Lifecycle event cron failed:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
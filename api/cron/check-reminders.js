@@ -1,10 +1,12 @@
 /**
  * Vercel Cron Job - Check Personal Reminders
- * Runs every minute to send due reminders
+ * Runs every minute to send due reminders and nudge reviewers with pending access reviews
  * Schedule: "* * * * *"
  */
 
 import mongoose from 'mongoose';
+import connectBackendDB from '../../backend/config/db.js';
+import reminderScheduler from '../../backend/services/reminderScheduler.js';
 
 // MongoDB connection - must be set in Vercel environment variables
 const MONGODB_URI = process.env.MONGODB_URI;
@@ -190,6 +192,10 @@ export default async function handler(req, res) {
 
     console.log(`Reminder check complete: ${sentCount} sent, ${errorCount} errors`);
 
+    // Access review nudges go through the backend models; each campaign throttles its own interval
+    await connectBackendDB();
+    await reminderScheduler.checkAccessReviewReminders();
+
     return res.status(200).json({
       success: true,
       checked: dueReminders.length,
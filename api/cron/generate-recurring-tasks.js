@@ -0,0 +1,34 @@
+/**
+ * Vercel Cron Job - Generate Recurring Tasks
+ * Runs at 1:00 AM UTC to create upcoming instances of recurring task series
+ * Schedule: "0 1 * * *"
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '../../backend/config/db.js';
+import taskTemplateService from '../../backend/services/taskTemplateService.js';
+
+export default async function handler(req, res) {
+  // Vercel sends CRON_SECRET as a bearer token on scheduled runs; refuse anything else
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    await connectDB();
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('MongoDB connection not available');
+    }
+
+    const created = await taskTemplateService.processDueTemplates();
+    console.log(`Recurring task generation complete: ${created} created`);
+
+    return res.status(200).json({ success: true, created });
+  } catch (error) {
+    console.error('Recurring task cron failed:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
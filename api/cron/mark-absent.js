@@ -0,0 +1,44 @@
+/**
+ * Vercel Cron Job - Mark Absentees
+ * Runs at 6:30 PM UTC (11:30 PM Pakistan Time) to close the attendance day
+ * Schedule: "30 18 * * *"
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '../../backend/config/db.js';
+import attendanceService from '../../backend/services/attendanceService.js';
+
+export default async function handler(req, res) {
+  // Vercel sends CRON_SECRET as a bearer token on scheduled runs; refuse anything else
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  console.log('Absent marking cron started at', new Date().toISOString());
+
+  try {
+    await connectDB();
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('MongoDB connection not available');
+    }
+
+    const results = await attendanceService.markAbsenteesForAllCompanies(new Date());
+    const marked = results.reduce((sum, result) => sum + (result.marked || 0), 0);
+    const errors = results.filter((result) => result.error).length;
+
+    console.log(`Absent marking complete: ${marked} marked, ${errors} errors`);
+
+    return res.status(200).json({
+      success: true,
+      companies: results.length,
+      marked,
+      errors,
+    });
+  } catch (error) {
+    console.error('Absent marking cron failed:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
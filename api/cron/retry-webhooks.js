@@ -0,0 +1,34 @@
+/**
+ * Vercel Cron Job - Retry Webhooks
+ * Runs every minute to retry webhook deliveries whose backoff has elapsed
+ * Schedule: "* * * * *"
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '../../backend/config/db.js';
+import webhookService from '../../backend/services/webhookService.js';
+
+export default async function handler(req, res) {
+  // Vercel sends CRON_SECRET as a bearer token on scheduled runs; refuse anything else
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    await connectDB();
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('MongoDB connection not available');
+    }
+
+    const attempted = await webhookService.processDueDeliveries();
+    if (attempted > 0) console.log(`Webhook retry complete: ${attempted} attempted`);
+
+    return res.status(200).json({ success: true, attempted });
+  } catch (error) {
+    console.error('Webhook retry cron failed:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
@@ -17,11 +17,34 @@ import kpiRoutes from '../routes/kpi.js';
 import profileRoutes from '../routes/profile.js';
 import departmentRoutes from '../routes/departments.js';
 import taskRoutes from '../routes/tasks.js';
+import taskTemplateRoutes from '../routes/taskTemplates.js';
 import projectRoutes from '../routes/projects.js';
 import worklogRoutes from '../routes/worklogs.js';
+import timesheetRoutes from '../routes/timesheets.js';
 import highlightRoutes from '../routes/highlights.js';
 import chatRoutes from '../routes/chat.js';
 import whatsappRoutes from '../routes/whatsapp.js';
+import leaveRoutes from '../routes/leaves.js';
+import attendanceRoutes from '../routes/attendance.js';
+import recruitmentRoutes from '../routes/recruitment.js';
+import payrollEngineRoutes from '../routes/payrollEngine.js';
+import bankReconciliationRoutes from '../routes/bankReconciliations.js';
+import vendorInvoiceRoutes from '../routes/vendorInvoices.js';
+import customerRoutes from '../routes/customers.js';
+import receivableRoutes from '../routes/receivables.js';
+import companyRoutes from '../routes/company.js';
+import roleRoutes from '../routes/roles.js';
+import sodRoutes from '../routes/sod.js';
+import accessReviewRoutes from '../routes/accessReviews.js';
+import lifecycleRoutes from '../routes/lifecycle.js';
+import finalSettlementRoutes from '../routes/finalSettlements.js';
+import identityProviderRoutes from '../routes/identityProviders.js';
+import webhookRoutes from '../routes/webhooks.js';
+import apiKeyRoutes from '../routes/apiKeys.js';
+import { authenticate } from '../middleware/auth.js';
+import { requireModule } from '../middleware/entitlements.js';
+import { auditContext } from '../middleware/audit.js';
+import { MODULE_ROUTES } from '../config/plans.js';
 
 // Finance/ERP Routes
 import bankPaymentRoutes from '../routes/bankPayments.js';
@@ -41,6 +64,11 @@ import yearEndClosingRoutes from '../routes/yearEndClosing.js';
 import purchaseOrderRoutes from '../routes/purchaseOrders.js';
 import documentSequenceRoutes from '../routes/documentSequence.js';
 import storageRoutes from '../routes/storage.js';
+import { subscribeToEvents as subscribeWebhooks } from '../services/webhookService.js';
+import { buildOpenApiDocument } from '../services/openApiService.js';
+
+// Webhooks are attempted as events happen; api/cron/retry-webhooks.js retries failures
+subscribeWebhooks();
 
 const app = express();
 
@@ -69,7 +97,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'X-API-Key']
 };
 
 // Apply CORS before ANY other middleware
@@ -118,6 +146,14 @@ app.use(express.json());
 app.use('/api', dbMiddleware);
 
 // Routes
+// Audited models record changes made by mutating requests (see services/auditService.js)
+app.use('/api', auditContext);
+
+// Plan entitlements: modules outside the company's subscription get a 402
+Object.entries(MODULE_ROUTES).forEach(([module, paths]) => {
+  app.use(paths, authenticate, requireModule(module));
+});
+
 app.use('/api/auth', authRoutes);
 app.use('/api/employees', employeeRoutes);
 app.use('/api/positions', positionRoutes);
@@ -127,11 +163,30 @@ app.use('/api/kpi', kpiRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/departments', departmentRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/task-templates', taskTemplateRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/worklogs', worklogRoutes);
+app.use('/api/timesheets', timesheetRoutes);
 app.use('/api/highlights', highlightRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/whatsapp', whatsappRoutes);
+app.use('/api/leaves', leaveRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/recruitment', recruitmentRoutes);
+app.use('/api/payroll-engine', payrollEngineRoutes);
+app.use('/api/bank-reconciliations', bankReconciliationRoutes);
+app.use('/api/vendor-invoices', vendorInvoiceRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/receivables', receivableRoutes);
+app.use('/api/company', companyRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/sod', sodRoutes);
+app.use('/api/access-reviews', accessReviewRoutes);
+app.use('/api/lifecycle', lifecycleRoutes);
+app.use('/api/final-settlements', finalSettlementRoutes);
+app.use('/api/identity-providers', identityProviderRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 
 // Finance/ERP Routes
 app.use('/api/bank-payments', bankPaymentRoutes);
@@ -172,6 +227,11 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// OpenAPI document for the routes above
+app.get('/api/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument());
+});
+
 // Error handling - ensure CORS headers are set even on errors
 app.use((err, req, res, next) => {
   console.error('Error:', err.message);
@@ -0,0 +1,102 @@
+/**
+ * API key scope catalog
+ * What a company API key (models/ApiKey.js) can reach. Each scope opens a set of
+ * route prefixes for reads (GET/HEAD) or for writes too, and grants the named
+ * permissions (config/permissions.js) that the routes behind it check.
+ * A write scope includes reads of the same routes.
+ */
+
+export const API_SCOPES = [
+  {
+    key: 'employees:read',
+    label: 'Read employees, departments and positions',
+    access: 'read',
+    routes: ['/api/employees', '/api/departments', '/api/positions'],
+    permissions: [],
+  },
+  {
+    key: 'employees:write',
+    label: 'Create and update employees, departments and positions',
+    access: 'write',
+    routes: ['/api/employees', '/api/departments', '/api/positions'],
+    permissions: ['employee.manage', 'department.manage', 'position.manage'],
+  },
+  {
+    key: 'attendance:read',
+    label: 'Read attendance and shifts',
+    access: 'read',
+    routes: ['/api/attendance'],
+    permissions: [],
+  },
+  {
+    key: 'attendance:write',
+    label: 'Mark attendance',
+    access: 'write',
+    routes: ['/api/attendance'],
+    permissions: ['attendance.manage'],
+  },
+  {
+    key: 'leaves:read',
+    label: 'Read leave requests and balances',
+    access: 'read',
+    routes: ['/api/leaves'],
+    permissions: [],
+  },
+  {
+    key: 'leaves:write',
+    label: 'Apply for and update leave',
+    access: 'write',
+    routes: ['/api/leaves'],
+    permissions: [],
+  },
+  {
+    key: 'tasks:read',
+    label: 'Read tasks, projects and worklogs',
+    access: 'read',
+    routes: ['/api/tasks', '/api/projects', '/api/worklogs'],
+    permissions: [],
+  },
+  {
+    key: 'tasks:write',
+    label: 'Create and update tasks, task templates and projects',
+    access: 'write',
+    routes: ['/api/tasks', '/api/task-templates', '/api/projects', '/api/worklogs'],
+    permissions: ['project.manage', 'task.template.manage', 'task.manage'],
+  },
+  {
+    key: 'payroll:read',
+    label: 'Read payroll runs, payslips and salaries',
+    access: 'read',
+    routes: ['/api/payroll-engine', '/api/payrolls'],
+    permissions: ['payroll.read', 'employee.salary.read'],
+  },
+  {
+    key: 'finance:read',
+    label: 'Read accounts, journals, payables, receivables and budgets',
+    access: 'read',
+    routes: [
+      '/api/chart-of-accounts',
+      '/api/cost-centers',
+      '/api/journal-entries',
+      '/api/vendors',
+      '/api/vendor-invoices',
+      '/api/customers',
+      '/api/receivables',
+      '/api/budgets',
+    ],
+    permissions: ['payable.read', 'receivable.read'],
+  },
+  {
+    key: 'finance:reports',
+    label: 'Financial statements, ledgers and cash flow',
+    access: 'read',
+    routes: ['/api/financial-reports', '/api/cash-flow'],
+    permissions: ['report.financial', 'report.budget'],
+  },
+];
+
+export const API_SCOPE_KEYS = API_SCOPES.map((scope) => scope.key);
+
+export const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+export default { API_SCOPES, API_SCOPE_KEYS, READ_METHODS };
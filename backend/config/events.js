@@ -0,0 +1,42 @@
+/**
+ * Domain event catalog
+ * Events published on the internal bus (services/eventBus.js) that webhook endpoints can subscribe to
+ */
+
+export const EVENT_GROUPS = [
+  {
+    group: 'Employees',
+    events: [
+      { key: 'employee.created', label: 'Employee created' },
+      { key: 'employee.deactivated', label: 'Employee deactivated' },
+      { key: 'leave.approved', label: 'Leave approved' },
+      { key: 'timesheet.approved', label: 'Timesheet approved' },
+      { key: 'task.completed', label: 'Task completed' },
+    ],
+  },
+  {
+    group: 'Payroll',
+    events: [
+      { key: 'payroll.approved', label: 'Payroll run approved' },
+      { key: 'payroll.posted', label: 'Payroll run posted to the ledger' },
+    ],
+  },
+  {
+    group: 'Finance',
+    events: [
+      { key: 'journal.posted', label: 'Journal entry posted' },
+      { key: 'payment.batch.approved', label: 'Payment batch approved' },
+      { key: 'payment.batch.completed', label: 'Payment batch completed' },
+    ],
+  },
+];
+
+export const EVENT_TYPES = EVENT_GROUPS.flatMap((group) => group.events.map((event) => event.key));
+
+// Subscribes an endpoint to every event, including ones added later
+export const ALL_EVENTS = '*';
+
+// Sent on demand to check an endpoint; never published on the bus
+export const PING_EVENT = 'webhook.ping';
+
+export default { EVENT_GROUPS, EVENT_TYPES, ALL_EVENTS, PING_EVENT };
@@ -0,0 +1,23 @@
+/**
+ * Outgoing mail
+ * Defaults point at a local SMTP stand-in (MailHog / Mailpit on port 1025) for development.
+ * Getters read the environment lazily, after dotenv.config() has run.
+ */
+
+const mailConfig = {
+  get host() {
+    return process.env.SMTP_HOST || 'localhost';
+  },
+  get port() {
+    return Number(process.env.SMTP_PORT) || 1025;
+  },
+  get from() {
+    return process.env.MAIL_FROM || 'no-reply@pvara.local';
+  },
+  // Base URL of the web app, for links in messages
+  get appUrl() {
+    return (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  },
+};
+
+export default mailConfig;
@@ -0,0 +1,239 @@
+/**
+ * Permission catalog
+ * Named permissions checked by requirePermission(), and what each built-in User.role gets by default.
+ * Companies can override the built-in role sets and define custom roles (models/Role.js).
+ * Each group's `module` is the subscription module (config/plans.js) its permissions belong to.
+ */
+
+export const PERMISSION_GROUPS = [
+  {
+    group: 'Employees',
+    module: 'core',
+    permissions: [
+      { key: 'employee.manage', label: 'Create and edit employees' },
+      { key: 'employee.delete', label: 'Deactivate employees' },
+      { key: 'employee.role.assign', label: 'Change employee system role' },
+      { key: 'employee.salary.read', label: 'View employee salaries' },
+      { key: 'position.manage', label: 'Create and edit positions' },
+      { key: 'position.delete', label: 'Delete positions' },
+      { key: 'department.manage', label: 'Manage departments' },
+      { key: 'lifecycle.manage', label: 'Promotions, transfers, offboarding and checklists' },
+      { key: 'approval.create', label: 'Start approval workflows' },
+    ],
+  },
+  {
+    group: 'Time & Leave',
+    module: 'core',
+    permissions: [
+      { key: 'attendance.manage', label: 'Mark attendance for others' },
+      { key: 'shift.manage', label: 'Manage shifts' },
+      { key: 'leave.policy.manage', label: 'Leave policy, accrual and year-end' },
+      { key: 'leave.encash', label: 'Encash leave' },
+      { key: 'holiday.manage', label: 'Manage holidays' },
+      { key: 'worklog.team.read', label: 'View team worklogs' },
+      { key: 'worklog.review', label: 'Review worklogs' },
+      { key: 'timesheet.report', label: 'Utilisation and billable hours reports' },
+    ],
+  },
+  {
+    group: 'Recruitment',
+    module: 'recruitment',
+    permissions: [
+      { key: 'recruitment.manage', label: 'Manage jobs, applicants and hires' },
+    ],
+  },
+  {
+    group: 'Projects',
+    module: 'core',
+    permissions: [
+      { key: 'project.manage', label: 'Create, edit and delete projects' },
+      { key: 'task.template.manage', label: 'Task templates and recurring task series' },
+      { key: 'task.manage', label: 'View, assign, edit and delete everyone\'s tasks' },
+      { key: 'task.review', label: 'Task comments, follow-ups, boosts and bottlenecks (chairman review)' },
+      { key: 'kpi.manage', label: 'Set, review and update team KPI goals' },
+      { key: 'highlight.manage', label: 'Create and edit highlights' },
+      { key: 'highlight.resolve', label: 'Resolve and delete highlights' },
+    ],
+  },
+  {
+    group: 'Payroll',
+    module: 'payroll',
+    permissions: [
+      { key: 'payroll.read', label: 'View payroll runs' },
+      { key: 'payroll.prepare', label: 'Structures, pay profiles and run calculation' },
+      { key: 'payroll.settings.manage', label: 'Payroll settings' },
+      { key: 'payroll.approve', label: 'Approve payroll runs' },
+      { key: 'payroll.post', label: 'Post payroll to the ledger' },
+      { key: 'settlement.prepare', label: 'Prepare and review final settlements' },
+      { key: 'settlement.clear', label: 'Clear final settlements for payment' },
+      { key: 'settlement.post', label: 'Post final settlements to the ledger' },
+    ],
+  },
+  {
+    group: 'General Ledger',
+    module: 'finance',
+    permissions: [
+      { key: 'account.manage', label: 'Create and edit accounts' },
+      { key: 'account.delete', label: 'Delete and import accounts' },
+      { key: 'costcenter.manage', label: 'Create and edit cost centers' },
+      { key: 'costcenter.delete', label: 'Delete cost centers' },
+      { key: 'journal.create', label: 'Create and edit journal entries' },
+      { key: 'journal.approve', label: 'Approve or reject journal entries' },
+      { key: 'journal.post', label: 'Post journal entries' },
+      { key: 'journal.reverse', label: 'Reverse journal entries' },
+      { key: 'journal.delete', label: 'Delete journal entries' },
+      { key: 'yearend.manage', label: 'Year-end closing' },
+      { key: 'yearend.lock', label: 'Lock a closed fiscal year' },
+      { key: 'period.close', label: 'Monthly close: checklists, reconciliation, soft and hard close' },
+      { key: 'period.lock', label: 'Lock a closed month' },
+      { key: 'period.reopen', label: 'Reopen a closed or locked month' },
+      { key: 'sequence.manage', label: 'Configure, void and reset document numbering' },
+    ],
+  },
+  {
+    group: 'Budgets & Assets',
+    module: 'finance',
+    permissions: [
+      { key: 'budget.prepare', label: 'Prepare and submit budgets' },
+      { key: 'budget.approve', label: 'Approve budgets' },
+      { key: 'budget.activate', label: 'Activate budgets' },
+      { key: 'asset.read', label: 'View fixed assets' },
+      { key: 'asset.manage', label: 'Register assets and run depreciation' },
+    ],
+  },
+  {
+    group: 'Payables & Payments',
+    module: 'finance',
+    permissions: [
+      { key: 'vendor.manage', label: 'Create and edit vendors' },
+      { key: 'vendor.delete', label: 'Delete vendors' },
+      { key: 'purchaseorder.read', label: 'View purchase orders and budget checks' },
+      { key: 'purchaseorder.manage', label: 'Raise, receive, invoice and close purchase orders' },
+      { key: 'purchaseorder.approve', label: 'Approve or reject purchase orders' },
+      { key: 'payable.read', label: 'View vendor invoices' },
+      { key: 'payable.manage', label: 'Record and schedule vendor invoices' },
+      { key: 'payable.approve', label: 'Approve vendor invoices and AP settings' },
+      { key: 'payment.prepare', label: 'Prepare payment batches' },
+      { key: 'payment.approve', label: 'Approve payment batches' },
+      { key: 'payment.release', label: 'Mark payment batches completed' },
+      { key: 'payment.delete', label: 'Delete payment batches' },
+    ],
+  },
+  {
+    group: 'Receivables',
+    module: 'finance',
+    permissions: [
+      { key: 'customer.manage', label: 'Create and edit customers' },
+      { key: 'customer.delete', label: 'Delete customers' },
+      { key: 'receivable.read', label: 'View invoices, receipts and aging' },
+      { key: 'receivable.manage', label: 'Invoices, receipts and credit notes' },
+      { key: 'receivable.approve', label: 'Cancellations, credit note posting and AR settings' },
+    ],
+  },
+  {
+    group: 'Banking & Reporting',
+    module: 'finance',
+    permissions: [
+      { key: 'reconciliation.read', label: 'View bank reconciliations' },
+      { key: 'reconciliation.prepare', label: 'Prepare bank reconciliations' },
+      { key: 'reconciliation.review', label: 'Review bank reconciliations' },
+      { key: 'reconciliation.approve', label: 'Approve bank reconciliations' },
+      { key: 'report.financial', label: 'Financial statements and ledgers' },
+      { key: 'report.budget', label: 'Budget vs actual' },
+    ],
+  },
+  {
+    group: 'Administration',
+    module: 'core',
+    permissions: [
+      { key: 'role.manage', label: 'Manage roles and permissions' },
+      { key: 'session.manage', label: 'View and sign out user sessions' },
+      { key: 'sso.manage', label: 'Configure single sign-on providers' },
+      { key: 'webhook.manage', label: 'Manage webhook endpoints and redeliver events' },
+      { key: 'apikey.manage', label: 'Issue, rotate and revoke API keys' },
+    ],
+  },
+  {
+    group: 'Governance',
+    module: 'core',
+    permissions: [
+      { key: 'sod.manage', label: 'Configure segregation-of-duties rules' },
+      { key: 'sod.override', label: 'Override segregation-of-duties rules with a reason' },
+      { key: 'sod.report', label: 'View and review SoD violations' },
+      { key: 'accessreview.manage', label: 'Run access review campaigns' },
+      { key: 'accessreview.report', label: 'View access review attestations' },
+    ],
+  },
+];
+
+export const PERMISSION_KEYS = PERMISSION_GROUPS.flatMap((group) => group.permissions.map((p) => p.key));
+
+// Grants every permission, including ones added later
+export const ALL_PERMISSIONS = '*';
+
+export const SYSTEM_ROLES = {
+  admin: { name: 'Admin', permissions: [ALL_PERMISSIONS] },
+  hr: {
+    name: 'HR',
+    permissions: [
+      'employee.manage', 'employee.delete', 'employee.salary.read', 'position.manage', 'approval.create',
+      'lifecycle.manage',
+      'attendance.manage', 'shift.manage', 'leave.policy.manage', 'leave.encash', 'holiday.manage',
+      'worklog.team.read', 'worklog.review', 'timesheet.report', 'recruitment.manage', 'task.template.manage',
+      'task.manage', 'kpi.manage', 'highlight.manage',
+      'payroll.read', 'payroll.prepare', 'settlement.prepare', 'costcenter.manage', 'budget.prepare',
+    ],
+  },
+  manager: {
+    name: 'Manager',
+    permissions: [
+      'worklog.team.read', 'timesheet.report', 'task.template.manage', 'task.manage', 'kpi.manage', 'highlight.manage',
+      'budget.prepare', 'report.budget', 'purchaseorder.read', 'purchaseorder.manage',
+    ],
+  },
+  finance: {
+    name: 'Finance',
+    permissions: [
+      'employee.salary.read',
+      'payroll.read', 'payroll.prepare', 'payroll.settings.manage', 'payroll.approve', 'payroll.post',
+      'settlement.prepare', 'settlement.clear', 'settlement.post',
+      'account.manage', 'account.delete', 'costcenter.manage', 'costcenter.delete',
+      'journal.create', 'journal.approve', 'journal.post', 'journal.reverse', 'journal.delete', 'yearend.manage',
+      'period.close', 'period.lock', 'sequence.manage',
+      'asset.read', 'asset.manage',
+      'vendor.manage', 'vendor.delete', 'purchaseorder.read', 'purchaseorder.manage', 'purchaseorder.approve',
+      'payable.read', 'payable.manage', 'payable.approve',
+      'payment.prepare', 'payment.approve', 'payment.release', 'payment.delete',
+      'customer.manage', 'customer.delete', 'receivable.read', 'receivable.manage', 'receivable.approve',
+      'reconciliation.read', 'reconciliation.prepare', 'reconciliation.review', 'reconciliation.approve',
+      'report.financial', 'report.budget', 'sod.report',
+    ],
+  },
+  accountant: {
+    name: 'Accountant',
+    permissions: [
+      'account.manage', 'journal.create', 'asset.read',
+      'vendor.manage', 'purchaseorder.read', 'purchaseorder.manage', 'payable.read', 'payable.manage', 'payment.prepare',
+      'customer.manage', 'receivable.read', 'receivable.manage',
+      'reconciliation.read', 'reconciliation.prepare', 'report.financial', 'report.budget',
+    ],
+  },
+  auditor: {
+    name: 'Auditor',
+    permissions: [
+      'payroll.read', 'purchaseorder.read', 'payable.read', 'receivable.read',
+      'reconciliation.read', 'reconciliation.review', 'report.financial', 'sod.report', 'accessreview.report',
+    ],
+  },
+  chairman: {
+    name: 'Chairman',
+    permissions: [
+      'task.manage', 'task.review', 'highlight.manage',
+      'payroll.read', 'payroll.approve', 'budget.approve', 'purchaseorder.read', 'purchaseorder.approve',
+      'reconciliation.read', 'reconciliation.approve',
+    ],
+  },
+  employee: { name: 'Employee', permissions: [] },
+};
+
+export default { PERMISSION_GROUPS, PERMISSION_KEYS, ALL_PERMISSIONS, SYSTEM_ROLES };
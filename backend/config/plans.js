@@ -0,0 +1,62 @@
+/**
+ * Subscription plan entitlements
+ * Server-side mirror of src/utils/subscriptionPlans.js - keep the limits in sync
+ */
+
+// -1 means unlimited
+export const PLANS = {
+  trial: {
+    name: 'Free Trial',
+    limits: { employees: 10, storageGB: 1 },
+    // Trials evaluate every module within the small employee/storage caps
+    modules: ['core', 'payroll', 'recruitment', 'finance'],
+  },
+  starter: {
+    name: 'Starter',
+    limits: { employees: 50, storageGB: 10 },
+    modules: ['core', 'payroll'],
+  },
+  professional: {
+    name: 'Professional',
+    limits: { employees: 200, storageGB: 50 },
+    modules: ['core', 'payroll', 'recruitment', 'finance'],
+  },
+  enterprise: {
+    name: 'Enterprise',
+    limits: { employees: -1, storageGB: 500 },
+    modules: ['core', 'payroll', 'recruitment', 'finance'],
+  },
+};
+
+// Company.subscription_plan still stores the trial tier as 'free'
+export const PLAN_ALIASES = { free: 'trial' };
+
+// API mounts gated by module; anything not listed is part of 'core'
+export const MODULE_ROUTES = {
+  payroll: ['/api/payroll-engine', '/api/payrolls', '/api/final-settlements'],
+  recruitment: ['/api/recruitment'],
+  finance: [
+    '/api/chart-of-accounts',
+    '/api/cost-centers',
+    '/api/vendors',
+    '/api/journal-entries',
+    '/api/bank-payments',
+    '/api/financial-reports',
+    '/api/purchase-orders',
+    '/api/fixed-assets',
+    '/api/year-end-closing',
+    '/api/monthly-closing',
+    '/api/cash-flow',
+    '/api/document-sequences',
+    '/api/document-sequence',
+    '/api/multi-currency',
+    '/api/tax-filing',
+    '/api/budgets',
+    '/api/bank-reconciliations',
+    '/api/vendor-invoices',
+    '/api/customers',
+    '/api/receivables',
+  ],
+};
+
+export default { PLANS, PLAN_ALIASES, MODULE_ROUTES };
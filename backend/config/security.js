@@ -0,0 +1,40 @@
+/**
+ * Authentication security settings
+ * Getters read the environment lazily, after dotenv.config() has run.
+ */
+
+const securityConfig = {
+  // Access token lifetime (jsonwebtoken expiresIn format)
+  get accessTokenTtl() {
+    return process.env.ACCESS_TOKEN_TTL || '15m';
+  },
+
+  // Days an idle device stays signed in; each refresh extends it
+  get refreshTokenTtlDays() {
+    return Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  },
+
+  // Built-in roles that cannot sign in without two-factor authentication
+  get twoFactorRequiredRoles() {
+    return (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'admin,finance,accountant')
+      .split(',')
+      .map((role) => role.trim())
+      .filter(Boolean);
+  },
+
+  // Wrong second-factor codes in a row before verification is locked, and for how long
+  get twoFactorMaxAttempts() {
+    return Number(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5;
+  },
+
+  get twoFactorLockoutMinutes() {
+    return Number(process.env.TWO_FACTOR_LOCKOUT_MINUTES) || 15;
+  },
+
+  // How long a password reset link stays valid
+  get passwordResetTtlMinutes() {
+    return Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+  },
+};
+
+export default securityConfig;
@@ -0,0 +1,27 @@
+/**
+ * Single sign-on (service provider side)
+ * The API's public URL is what identity providers redirect and post back to.
+ * Getters read the environment lazily, after dotenv.config() has run.
+ */
+
+const ssoConfig = {
+  get apiUrl() {
+    return (process.env.API_URL || `http://localhost:${process.env.PORT || 5001}`).replace(/\/$/, '');
+  },
+  get oidcRedirectUri() {
+    return `${this.apiUrl}/api/auth/sso/oidc/callback`;
+  },
+  get samlAcsUrl() {
+    return `${this.apiUrl}/api/auth/sso/saml/acs`;
+  },
+  // SAML entity ID of this app, registered at each identity provider
+  get spEntityId() {
+    return process.env.SSO_SP_ENTITY_ID || `${this.apiUrl}/api/auth/sso/saml/metadata`;
+  },
+  // Self-hosted installs whose identity provider runs on their own network can skip the public-address check
+  get allowPrivateNetworks() {
+    return process.env.SSO_ALLOW_PRIVATE_NETWORKS === 'true';
+  },
+};
+
+export default ssoConfig;
@@ -51,6 +51,14 @@ VIEW TASKS:
 "Show my tasks"
 "List pending tasks"
 
+ATTENDANCE:
+- "Check in" - Mark your arrival (add "wfh" when working from home)
+- "Check out" - Mark the end of your day
+
+PAYSLIP:
+- "Payslip" - Your latest payslip
+- "Payslip March 2026" - Payslip for a specific month
+
 VOICE NOTES:
 Send a voice note describing your task update.
 
@@ -74,6 +82,7 @@ STATUS UPDATES:
 - "Task [ID] progress 50%"
 - "Task [ID] is completed"
 - "Task [ID] blocked: [reason]"
+- "Done 3.2" - Complete subtask 2 of task 3 in your list ("start 3.2", "reopen 3.2" also work)
 
 REMINDERS:
 - "Remind me about [subject] at [time] on [date]"
@@ -81,6 +90,14 @@ REMINDERS:
 - "Show my reminders" - List upcoming reminders
 - "Cancel reminder [ID]" - Cancel a reminder
 
+ATTENDANCE:
+- "Check in" - Mark your arrival (add "wfh" when working from home)
+- "Check out" - Mark the end of your day
+
+PAYSLIP:
+- "Payslip" - Your latest payslip
+- "Payslip March 2026" - Payslip for a specific month
+
 VOICE NOTES:
 Send a voice message and it will be processed as a task update.
 
@@ -116,7 +133,7 @@ Reference: ${task.project}
 Status: ${task.status?.toUpperCase()}
 Progress: ${task.progress}%
 ${updateType === 'status' ? `\nStatus changed to: ${task.status}` : ''}
-${updateType === 'progress' ? `\nProgress updated to: ${task.progress}%` : ''}`,
+${updateType === 'progress' ? `\nProgress updated to: ${task.progress}%` : ''}${task.parent?.project ? `\nParent ${task.parent.project}: ${task.parent.status?.toUpperCase()} | ${task.parent.progress}%` : ''}`,
 
     taskReminder: (task, timeLeft) => `PVARA HRMS - Deadline Reminder
 
@@ -130,7 +147,8 @@ Progress: ${task.progress}%
 
 Please update your progress or contact your supervisor if assistance is required.`,
 
-    taskList: (tasks) => {
+    // subtasks: { [taskId]: direct subtasks }, listed as 3.1, 3.2... under task 3
+    taskList: (tasks, subtasks = {}) => {
       if (!tasks || tasks.length === 0) {
         return `PVARA HRMS - Your Tasks\n\nNo open tasks at this time.`;
       }
@@ -143,9 +161,17 @@ Please update your progress or contact your supervisor if assistance is required
         message += `${index + 1}. ${task.title}\n`;
         message += `   Ref: ${task.project} | Priority: ${priority}\n`;
         message += `   Status: ${status} | Progress: ${task.progress}%\n`;
-        message += `   Deadline: ${task.deadline ? new Date(task.deadline).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : 'Not set'}\n\n`;
+        message += `   Deadline: ${task.deadline ? new Date(task.deadline).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : 'Not set'}\n`;
+        (subtasks[task._id] || []).forEach((subtask) => {
+          message += `   ${index + 1}.${subtask.subtaskNumber} [${subtask.status === 'completed' ? 'x' : ' '}] ${subtask.title}\n`;
+        });
+        message += '\n';
       });
       
+      if (Object.keys(subtasks).length > 0) {
+        message += `Reply "done 1.2" to complete subtask 2 of task 1.\n`;
+      }
+
       if (tasks.length > 10) {
         message += `...and ${tasks.length - 10} additional tasks. Log in to view all.`;
       }
@@ -212,6 +238,16 @@ Current Status: ${task.status}
 Progress: ${task.progress}%
 
 This task requires immediate attention. Please update your progress or escalate to your supervisor.`,
+
+    accessReviewReminder: (reviewer, campaign, pending) => `PVARA HRMS - Access Review Reminder
+
+Dear ${reviewer.firstName},
+
+${pending} access review item${pending === 1 ? '' : 's'} in "${campaign.name}" ${pending === 1 ? 'is' : 'are'} awaiting your keep/revoke decision.
+
+Due: ${new Date(campaign.dueDate).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })}
+
+Log in to the HRMS portal to complete your review.`,
   },
   
   // Reminder intervals (in minutes before deadline)
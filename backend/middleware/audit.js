@@ -0,0 +1,9 @@
+import { runWithAuditContext } from '../services/auditService.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Mount before the routes: audited models log changes made while handling mutating requests
+export const auditContext = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) return next();
+  runWithAuditContext(req, next);
+};
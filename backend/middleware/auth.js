@@ -1,22 +1,93 @@
-import jwt from 'jsonwebtoken';
+import { permissionsForRequest, hasAnyPermission } from '../services/permissionService.js';
+import { verifyAccessToken, touchSession } from '../services/sessionService.js';
+import apiKeyService from '../services/apiKeyService.js';
 
-export const authenticate = (req, res, next) => {
-  const token = req.header('Authorization')?.replace('Bearer ', '');
+/**
+ * Company API key (X-API-Key header or Bearer pvk_...): check it, its scopes for
+ * this route and its rate limit, then act as the key's principal with only the
+ * scopes' permissions
+ */
+const authenticateApiKey = async (req, res, next, token) => {
+  let apiKey;
+  try {
+    apiKey = await apiKeyService.verifyKey(token, req.ip);
+  } catch (error) {
+    if (!error.status) return next(error);
+    return res.status(error.status).json({ message: error.message });
+  }
+
+  try {
+    const requiredScopes = apiKeyService.requiredScopes(req.method, req.originalUrl.split('?')[0]);
+    if (!requiredScopes.some((scope) => apiKey.scopes.includes(scope))) {
+      return res.status(403).json({ message: 'API key scopes do not cover this endpoint', requiredScopes });
+    }
+
+    const limit = await apiKeyService.consumeRateLimit(apiKey);
+    res.set({
+      'X-RateLimit-Limit': String(limit.limit),
+      'X-RateLimit-Remaining': String(limit.remaining),
+      'X-RateLimit-Reset': String(Math.ceil(limit.resetAt.getTime() / 1000)),
+    });
+    if (limit.exceeded) {
+      apiKeyService.recordUsage(apiKey, { status: 429, ip: req.ip, rateLimited: true });
+      res.set('Retry-After', String(Math.max(Math.ceil((limit.resetAt.getTime() - Date.now()) / 1000), 1)));
+      return res.status(429).json({ message: 'Rate limit exceeded', code: 'RATE_LIMITED' });
+    }
+
+    res.on('finish', () => apiKeyService.recordUsage(apiKey, { status: res.statusCode, ip: req.ip }));
+    req.apiKey = apiKey;
+    req.user = apiKeyService.principalFor(apiKey);
+    req.permissions = apiKeyService.permissionsForScopes(apiKey.scopes);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify the access token and that its session has not been revoked (sign-out,
+ * "log out everywhere", or the user being deactivated or suspended), or a company API key
+ */
+export const authenticate = async (req, res, next) => {
+  // Module-gated routes pass through here twice; a key is checked and counted once
+  if (req.apiKey) return next();
+
+  const token = req.header('X-API-Key') || req.header('Authorization')?.replace('Bearer ', '');
 
   if (!token) {
     return res.status(401).json({ message: 'No token provided' });
   }
 
+  if (apiKeyService.isApiKey(token)) {
+    return authenticateApiKey(req, res, next, token);
+  }
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    if (error.status) return next(error);
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token expired', code: 'TOKEN_EXPIRED' });
+    }
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+
+  try {
+    // Tokens issued before sessions existed carry no session id and cannot be revoked
+    if (!decoded.sid || !(await touchSession(decoded.sid, req.ip))) {
+      return res.status(401).json({ message: 'Session expired', code: 'SESSION_REVOKED' });
+    }
     req.user = decoded;
     next();
   } catch (error) {
-    res.status(401).json({ message: 'Invalid token' });
+    next(error);
   }
 };
 
-export const authorize = (allowedRoles) => {
+// Role-string check; routes use requirePermission. Accepts an array or spread role names.
+export const authorize = (...roles) => {
+  const allowedRoles = roles.flat();
   return (req, res, next) => {
     if (!allowedRoles.includes(req.user.role)) {
       return res.status(403).json({ message: 'Access denied' });
@@ -31,3 +102,22 @@ export const authorizeAdmin = (req, res, next) => {
   }
   next();
 };
+
+/**
+ * Allow the request when the user holds the permission (or any of an array of permissions)
+ * through their built-in role or assigned company roles. See config/permissions.js.
+ */
+export const requirePermission = (permission) => {
+  const required = [].concat(permission);
+  return async (req, res, next) => {
+    try {
+      const granted = await permissionsForRequest(req);
+      if (!hasAnyPermission(granted, required)) {
+        return res.status(403).json({ message: 'Access denied', requiredPermission: required });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,16 @@
+import { assertModuleAccess, entitlementErrorBody } from '../services/entitlementService.js';
+
+// Use after authenticate; responds 402 when the company's plan lacks the module
+export const requireModule = (module) => {
+  return async (req, res, next) => {
+    try {
+      await assertModuleAccess(req.user.company, module);
+      next();
+    } catch (error) {
+      if (error.status === 402) {
+        return res.status(402).json(entitlementErrorBody(error));
+      }
+      next(error);
+    }
+  };
+};
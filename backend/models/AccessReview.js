@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
+
+/**
+ * Access Review Schema
+ * A review campaign: every user's access is snapshotted into AccessReviewItem
+ * records when the campaign is launched and attested by their manager
+ */
+
+const accessReviewSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+    // Review period label, e.g. 2026-Q4
+    period: String,
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'completed', 'cancelled'],
+      default: 'active',
+    },
+    // Days between WhatsApp reminders to reviewers with pending items
+    reminderIntervalDays: {
+      type: Number,
+      default: 2,
+      min: 1,
+    },
+    lastReminderAt: Date,
+    // Reviewer for users without a manager (defaults to the campaign owner)
+    fallbackReviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    completedAt: Date,
+  },
+  { timestamps: true }
+);
+
+accessReviewSchema.index({ company: 1, status: 1, dueDate: 1 });
+
+accessReviewSchema.plugin(auditPlugin, { module: 'ACCESS_CONTROL', reference: 'name' });
+
+export default mongoose.model('AccessReview', accessReviewSchema);
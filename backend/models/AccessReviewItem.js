@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
+
+/**
+ * Access Review Item Schema
+ * One user's access as it stood at campaign launch, and the reviewer's keep/revoke decision
+ */
+
+const accessReviewItemSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AccessReview',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Snapshot at launch
+    userName: String,
+    userEmail: String,
+    employeeId: String,
+    department: String,
+    role: String,
+    customRoles: [{
+      _id: { type: mongoose.Schema.Types.ObjectId, ref: 'Role' },
+      name: String,
+    }],
+    permissions: [{ type: String }],
+    modules: [{ type: String }],
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Decision
+    decision: {
+      type: String,
+      enum: ['pending', 'keep', 'revoke'],
+      default: 'pending',
+    },
+    comment: String,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    decidedAt: Date,
+    // What a revoke decision removed
+    revocation: {
+      previousRole: String,
+      newRole: String,
+      removedCustomRoles: [{ type: String }],
+      appliedAt: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+accessReviewItemSchema.index({ campaign: 1, user: 1 }, { unique: true });
+accessReviewItemSchema.index({ company: 1, reviewer: 1, decision: 1 });
+
+accessReviewItemSchema.plugin(auditPlugin, { module: 'ACCESS_CONTROL', reference: 'userName' });
+
+export default mongoose.model('AccessReviewItem', accessReviewItemSchema);
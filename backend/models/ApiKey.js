@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
+import { API_SCOPE_KEYS } from '../config/apiScopes.js';
+
+/**
+ * API Key Schema
+ * A company credential for integrations. Only the SHA-256 of the key is stored;
+ * the key itself is shown once when created or rotated.
+ */
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+    // Leading characters of the key, to tell keys apart in the list and in logs
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_SCOPE_KEYS }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'Grant the key at least one scope',
+      },
+    },
+    // Requests allowed per minute
+    rateLimit: {
+      type: Number,
+      default: 120,
+      min: 1,
+      max: 6000,
+    },
+    // When set, requests from other addresses are refused
+    allowedIps: [String],
+    expiresAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Requests made with the key act on behalf of this user
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.index({ company: 1, revokedAt: 1 });
+
+apiKeySchema.plugin(auditPlugin, { module: 'ACCESS_CONTROL', reference: 'name', exclude: ['keyHash'] });
+
+export default mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+/**
+ * API Key Usage Schema
+ * Request counters per key. Minute buckets enforce the key's rate limit and
+ * expire almost at once; day buckets back the usage report.
+ */
+
+const apiKeyUsageSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      required: true,
+    },
+    period: {
+      type: String,
+      enum: ['minute', 'day'],
+      required: true,
+    },
+    // Start of the minute or UTC day
+    start: {
+      type: Date,
+      required: true,
+    },
+    requests: {
+      type: Number,
+      default: 0,
+    },
+    // Responses with a 4xx or 5xx status
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    rateLimited: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  }
+);
+
+apiKeyUsageSchema.index({ apiKey: 1, period: 1, start: 1 }, { unique: true });
+apiKeyUsageSchema.index({ company: 1, period: 1, start: -1 });
+apiKeyUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('ApiKeyUsage', apiKeyUsageSchema);
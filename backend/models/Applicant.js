@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+
+/**
+ * Applicant Schema
+ * Candidates moving through a job's pipeline, with interviews and scorecards
+ */
+
+const scorecardSchema = new mongoose.Schema(
+  {
+    ratings: [
+      {
+        criterion: { type: String, required: true },
+        score: { type: Number, min: 1, max: 5, required: true },
+        comment: String,
+      },
+    ],
+    overallScore: Number,
+    recommendation: {
+      type: String,
+      enum: ['strong_hire', 'hire', 'no_hire', 'strong_no_hire'],
+      required: true,
+    },
+    notes: String,
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    submittedAt: Date,
+  },
+  { _id: false }
+);
+
+const interviewSchema = new mongoose.Schema(
+  {
+    round: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    scheduledAt: Date,
+    mode: {
+      type: String,
+      enum: ['onsite', 'video', 'phone'],
+      default: 'onsite',
+    },
+    interviewers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    status: {
+      type: String,
+      enum: ['scheduled', 'completed', 'cancelled'],
+      default: 'scheduled',
+    },
+    scorecards: [scorecardSchema],
+  },
+  { timestamps: true }
+);
+
+const applicantSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true,
+    },
+    firstName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    lastName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    source: {
+      type: String,
+      enum: ['website', 'referral', 'job_board', 'linkedin', 'walk_in', 'other'],
+      default: 'website',
+    },
+    referredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    resume: {
+      name: String,
+      url: String,
+      s3Key: String,
+      mimeType: String,
+      size: Number,
+      uploadedAt: Date,
+    },
+    coverLetter: {
+      type: String,
+      maxlength: 5000,
+    },
+    status: {
+      type: String,
+      enum: ['applied', 'screening', 'interview', 'offer', 'rejected', 'hired', 'withdrawn'],
+      default: 'applied',
+    },
+    stageHistory: [
+      {
+        from: String,
+        to: String,
+        note: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+    interviews: [interviewSchema],
+    offer: {
+      salary: Number,
+      joinDate: Date,
+      expiresAt: Date,
+      notes: String,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+    hiredEmployee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+applicantSchema.index({ company: 1, job: 1, email: 1 }, { unique: true });
+applicantSchema.index({ company: 1, status: 1 });
+
+export default mongoose.model('Applicant', applicantSchema);
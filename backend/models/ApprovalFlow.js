@@ -1,10 +1,11 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
 
 const approvalFlowSchema = new mongoose.Schema(
   {
     requestType: {
       type: String,
-      enum: ['leave', 'expense', 'equipment', 'promotion', 'transfer', 'attendance'],
+      enum: ['leave', 'expense', 'equipment', 'promotion', 'transfer', 'salary_change', 'offboarding', 'attendance'],
       required: true,
     },
     requestId: {
@@ -41,7 +42,7 @@ const approvalFlowSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'approved', 'rejected'],
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
       default: 'pending',
     },
     company: {
@@ -56,4 +57,6 @@ const approvalFlowSchema = new mongoose.Schema(
 approvalFlowSchema.index({ company: 1, requestType: 1, status: 1, createdAt: -1 });
 approvalFlowSchema.index({ 'approvers.approver': 1, company: 1, status: 1 });
 
+approvalFlowSchema.plugin(auditPlugin, { module: 'APPROVAL', reference: 'requestType' });
+
 export default mongoose.model('ApprovalFlow', approvalFlowSchema);
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+/**
+ * Attendance Schema
+ * One row per employee per working day
+ */
+
+const punchSchema = new mongoose.Schema(
+  {
+    time: Date,
+    source: {
+      type: String,
+      enum: ['web', 'whatsapp', 'manual', 'system'],
+      default: 'web',
+    },
+  },
+  { _id: false }
+);
+
+const attendanceSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Start of the attendance day
+    date: {
+      type: Date,
+      required: true,
+    },
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shift',
+    },
+    checkIn: punchSchema,
+    checkOut: punchSchema,
+    workMode: {
+      type: String,
+      enum: ['office', 'remote'],
+      default: 'office',
+    },
+    status: {
+      type: String,
+      enum: ['present', 'absent', 'late', 'half_day', 'work_from_home', 'on_leave', 'holiday', 'weekend'],
+      required: true,
+    },
+    lateMinutes: {
+      type: Number,
+      default: 0,
+    },
+    earlyLeaveMinutes: {
+      type: Number,
+      default: 0,
+    },
+    workedHours: {
+      type: Number,
+      default: 0,
+    },
+    leave: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Leave',
+    },
+    // Set by the scheduled absent-marking job
+    isAutoMarked: {
+      type: Boolean,
+      default: false,
+    },
+    markedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+  },
+  { timestamps: true }
+);
+
+attendanceSchema.index({ employee: 1, date: 1 }, { unique: true });
+attendanceSchema.index({ company: 1, date: -1 });
+attendanceSchema.index({ company: 1, status: 1, date: -1 });
+
+export default mongoose.model('Attendance', attendanceSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+/**
+ * Audit Chain Head Schema
+ * The latest link of a company's audit chain. Writers claim the next link by
+ * advancing `sequence` with a conditional findOneAndUpdate, so the chain can't
+ * fork across processes or serverless instances.
+ */
+
+const auditChainHeadSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+      unique: true,
+    },
+    // Number of entries chained since the head was introduced
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+    // currentHash of the latest entry, or GENESIS
+    hash: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('AuditChainHead', auditChainHeadSchema);
@@ -2,7 +2,7 @@ import mongoose from 'mongoose';
 
 /**
  * Audit Log Schema
- * For comprehensive financial audit trail
+ * Hash-chained financial and HR audit trail (one chain per company)
  */
 
 const auditLogSchema = new mongoose.Schema(
@@ -11,118 +11,89 @@ const auditLogSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Company',
       required: true,
+      index: true,
     },
-    // User who performed the action
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true,
-    },
-    userName: String,
-    userEmail: String,
     // Action details
     action: {
       type: String,
-      enum: [
-        'create',
-        'update',
-        'delete',
-        'approve',
-        'reject',
-        'post',
-        'reverse',
-        'void',
-        'print',
-        'export',
-        'view',
-        'login',
-        'logout',
-        'lock',
-        'unlock',
-      ],
+      enum: ['CREATE', 'UPDATE', 'DELETE', 'APPROVE', 'REJECT', 'REVERSE', 'POST', 'VOID'],
       required: true,
+      index: true,
     },
-    // Entity details
-    entityType: {
+    module: {
       type: String,
       enum: [
-        'JournalEntry',
-        'ChartOfAccount',
-        'Budget',
-        'Vendor',
-        'BankPaymentBatch',
-        'BankReconciliation',
-        'FixedAsset',
-        'TaxFiling',
-        'YearEndClosing',
-        'User',
-        'Company',
-        'Setting',
+        'JOURNAL_ENTRY', 'BANK_PAYMENT', 'PURCHASE_ORDER', 'VENDOR', 'VENDOR_INVOICE',
+        'CUSTOMER', 'SALES_INVOICE', 'CUSTOMER_RECEIPT', 'CREDIT_NOTE',
+        'FIXED_ASSET', 'PAYROLL', 'BUDGET', 'CHART_OF_ACCOUNTS', 'COST_CENTER',
+        'YEAR_END_CLOSING', 'PERIOD_LOCK', 'TAX_FILING', 'RECONCILIATION',
+        'EMPLOYEE', 'LEAVE', 'ACCESS_CONTROL', 'TASK', 'TIMESHEET', 'APPROVAL',
       ],
       required: true,
+      index: true,
     },
-    entityId: {
+    // Document reference
+    documentType: { type: String, required: true },
+    documentId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    documentNumber: { type: String }, // Human-readable reference (e.g., JV-2024-0001)
+    // User who performed the action
+    performedBy: {
       type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
       required: true,
+      index: true,
     },
-    entityReference: String, // e.g., Entry number, vendor name
-    // Change details
-    previousValues: {
-      type: mongoose.Schema.Types.Mixed,
-    },
-    newValues: {
-      type: mongoose.Schema.Types.Mixed,
+    performedByName: { type: String }, // Snapshot for audit immutability
+    performedByEmail: { type: String },
+    performedAt: {
+      type: Date,
+      default: Date.now,
+      required: true,
+      index: true,
     },
-    changedFields: [String],
+    // Request details
+    ipAddress: { type: String },
+    userAgent: { type: String },
+    sessionId: { type: String },
+    // Change snapshot
+    previousState: { type: mongoose.Schema.Types.Mixed },
+    newState: { type: mongoose.Schema.Types.Mixed },
+    changedFields: [{ type: String }],
     // Financial impact
     financialImpact: {
-      hasImpact: { type: Boolean, default: false },
-      amount: Number,
-      currency: { type: String, default: 'PKR' },
-      affectedAccounts: [String],
-    },
-    // Request details
-    ipAddress: String,
-    userAgent: String,
-    sessionId: String,
-    // Status
-    status: {
-      type: String,
-      enum: ['success', 'failed', 'warning'],
-      default: 'success',
+      debitAmount: { type: Number, default: 0 },
+      creditAmount: { type: Number, default: 0 },
+      netImpact: { type: Number, default: 0 },
+      affectedAccounts: [{ type: String }],
     },
-    errorMessage: String,
-    // Additional context
-    notes: String,
-    metadata: mongoose.Schema.Types.Mixed,
+    // Hash chain
+    previousHash: { type: String }, // currentHash of the company's previous entry, or GENESIS
+    currentHash: { type: String },
+    sequence: { type: Number }, // Position in the chain; unset on entries written before the chain head
+    // Reason/notes
+    reason: { type: String },
+    notes: { type: String },
+    // Flags
+    isSystemGenerated: { type: Boolean, default: false },
+    isReversed: { type: Boolean, default: false },
+    reversedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reversedAt: { type: Date },
   },
   { timestamps: true }
 );
 
 // Indexes for querying
-auditLogSchema.index({ company: 1, createdAt: -1 });
-auditLogSchema.index({ company: 1, entityType: 1, entityId: 1 });
-auditLogSchema.index({ company: 1, user: 1, createdAt: -1 });
-auditLogSchema.index({ company: 1, action: 1 });
-
-// Static method to log an action
-auditLogSchema.statics.log = async function(logData) {
-  try {
-    const log = new this(logData);
-    await log.save();
-    return log;
-  } catch (error) {
-    console.error('Audit log error:', error);
-    // Don't throw - audit logging should not break main flow
-    return null;
-  }
-};
+auditLogSchema.index({ company: 1, module: 1, performedAt: -1 });
+auditLogSchema.index({ company: 1, documentId: 1, performedAt: -1 });
+auditLogSchema.index({ company: 1, performedBy: 1, performedAt: -1 });
+auditLogSchema.index({ company: 1, performedAt: -1, _id: -1 });
+auditLogSchema.index({ company: 1, sequence: 1, performedAt: 1, _id: 1 });
 
-// Static method to get entity history
-auditLogSchema.statics.getEntityHistory = function(company, entityType, entityId) {
-  return this.find({ company, entityType, entityId })
-    .sort({ createdAt: -1 })
-    .populate('user', 'firstName lastName email')
+// Static method to get document history
+auditLogSchema.statics.getEntityHistory = function(company, documentId) {
+  return this.find({ company, documentId })
+    .sort({ performedAt: -1 })
+    .populate('performedBy', 'firstName lastName email')
     .lean();
 };
 
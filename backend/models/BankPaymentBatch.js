@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { auditPlugin, amountImpact } from '../services/auditService.js';
+import { domainEventPlugin, eventRef } from '../services/eventBus.js';
 
 /**
  * Bank Payment Batch Schema
@@ -210,6 +212,13 @@ const bankPaymentBatchSchema = new mongoose.Schema(
     submittedAt: {
       type: Date,
     },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    completedAt: {
+      type: Date,
+    },
     // GL posting
     isPosted: {
       type: Boolean,
@@ -354,4 +363,25 @@ bankPaymentBatchSchema.statics.generateBatchNumber = async function(companyId, t
   return `${type}-${year}${month}-${String(count + 1).padStart(4, '0')}`;
 };
 
+bankPaymentBatchSchema.plugin(auditPlugin, { module: 'BANK_PAYMENT', reference: 'batchNumber', impact: amountImpact('totalNetAmount') });
+
+// Payee bank details stay out of the payload
+bankPaymentBatchSchema.plugin(domainEventPlugin, {
+  transitions: { approved: 'payment.batch.approved', completed: 'payment.batch.completed' },
+  payload: (batch) => ({
+    id: eventRef(batch._id),
+    batchNumber: batch.batchNumber,
+    batchDate: batch.batchDate,
+    batchType: batch.batchType,
+    paymentMethod: batch.paymentMethod,
+    payrollMonth: batch.payrollMonth,
+    totalPayments: batch.totalPayments,
+    totalAmount: batch.totalAmount,
+    totalWHT: batch.totalWHT,
+    totalNetAmount: batch.totalNetAmount,
+    processedCount: batch.processedCount,
+    rejectedCount: batch.rejectedCount,
+  }),
+});
+
 export default mongoose.model('BankPaymentBatch', bankPaymentBatchSchema);
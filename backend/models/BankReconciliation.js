@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
 
 /**
  * Bank Reconciliation Schema
@@ -103,6 +104,7 @@ const bankReconciliationSchema = new mongoose.Schema(
       // Deposits in transit (recorded in GL, not yet in bank)
       depositsInTransit: [{
         journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+        lineIndex: Number,
         entryNumber: String,
         date: Date,
         amount: Number,
@@ -111,6 +113,7 @@ const bankReconciliationSchema = new mongoose.Schema(
       // Outstanding checks (recorded in GL, not yet cleared)
       outstandingChecks: [{
         journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+        lineIndex: Number,
         entryNumber: String,
         date: Date,
         checkNumber: String,
@@ -119,6 +122,7 @@ const bankReconciliationSchema = new mongoose.Schema(
       }],
       // Bank charges (in bank, not in GL)
       bankCharges: [{
+        statementLine: mongoose.Schema.Types.ObjectId,
         date: Date,
         amount: Number,
         description: String,
@@ -127,6 +131,7 @@ const bankReconciliationSchema = new mongoose.Schema(
       }],
       // Interest earned (in bank, not in GL)
       interestEarned: [{
+        statementLine: mongoose.Schema.Types.ObjectId,
         date: Date,
         amount: Number,
         description: String,
@@ -165,10 +170,18 @@ const bankReconciliationSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
-    // Status
+    // Imported statement files
+    statementImports: [{
+      format: { type: String, enum: ['csv', 'mt940'] },
+      fileName: String,
+      lineCount: Number,
+      importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      importedAt: { type: Date, default: Date.now },
+    }],
+    // Status: draft (matching) → prepared → reviewed → approved
     status: {
       type: String,
-      enum: ['draft', 'in_progress', 'completed', 'approved'],
+      enum: ['draft', 'prepared', 'reviewed', 'approved'],
       default: 'draft',
     },
     // Workflow
@@ -177,6 +190,7 @@ const bankReconciliationSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    preparedAt: Date,
     reviewedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -189,6 +203,8 @@ const bankReconciliationSchema = new mongoose.Schema(
     approvedAt: Date,
     // Notes
     notes: String,
+    // Set when a reviewer/approver sends the reconciliation back to draft
+    returnReason: String,
   },
   { timestamps: true }
 );
@@ -277,4 +293,6 @@ bankReconciliationSchema.methods.fetchGLBalance = async function() {
   return glBalance;
 };
 
+bankReconciliationSchema.plugin(auditPlugin, { module: 'RECONCILIATION', reference: 'period' });
+
 export default mongoose.model('BankReconciliation', bankReconciliationSchema);
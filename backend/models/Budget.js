@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditPlugin, amountImpact } from '../services/auditService.js';
 
 /**
  * Budget Schema
@@ -267,4 +268,6 @@ budgetSchema.methods.utilizeBudget = function(headOfAccountId, amount, costCente
   }
 };
 
+budgetSchema.plugin(auditPlugin, { module: 'BUDGET', reference: 'title', impact: amountImpact('totalRevisedBudget') });
+
 export default mongoose.model('Budget', budgetSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
 
 /**
  * Chart of Accounts Schema
@@ -227,4 +228,6 @@ chartOfAccountSchema.statics.getAccountTree = async function(companyId, accountT
   return rootAccounts;
 };
 
+chartOfAccountSchema.plugin(auditPlugin, { module: 'CHART_OF_ACCOUNTS', reference: 'code' });
+
 export default mongoose.model('ChartOfAccount', chartOfAccountSchema);
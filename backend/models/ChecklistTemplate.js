@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+/**
+ * Checklist Template Schema
+ * Company onboarding/offboarding checklist; each item becomes a Task when a hire or
+ * offboarding event is created
+ */
+
+const checklistItemSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: String,
+  // Function that owns the item; picks the default assignee
+  owner: {
+    type: String,
+    enum: ['HR', 'IT', 'Finance', 'Manager'],
+    required: true,
+  },
+  // Specific assignee overriding the owner default
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Days relative to the effective date (negative = before)
+  dueOffsetDays: {
+    type: Number,
+    default: 0,
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium',
+  },
+});
+
+const checklistTemplateSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['onboarding', 'offboarding'],
+      required: true,
+    },
+    items: [checklistItemSchema],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+checklistTemplateSchema.index({ company: 1, type: 1 }, { unique: true });
+
+export default mongoose.model('ChecklistTemplate', checklistTemplateSchema);
@@ -43,6 +43,11 @@ const conversationStateSchema = new mongoose.Schema(
     lastPrompt: {
       type: String,
     },
+    // Tasks of the last list sent, in order, so "done 3.2" can refer to them by number
+    lastTaskList: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+    }],
     // Expiry - conversations expire after 5 minutes of inactivity
     expiresAt: {
       type: Date,
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
 
 /**
  * Cost Center Schema
@@ -60,4 +61,6 @@ const costCenterSchema = new mongoose.Schema(
 costCenterSchema.index({ company: 1, code: 1 }, { unique: true });
 costCenterSchema.index({ company: 1, department: 1 });
 
+costCenterSchema.plugin(auditPlugin, { module: 'COST_CENTER', reference: 'code' });
+
 export default mongoose.model('CostCenter', costCenterSchema);
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import { allocationSchema } from './CustomerReceipt.js';
+import { auditPlugin, amountImpact } from '../services/auditService.js';
+
+/**
+ * Credit Note Schema
+ * Reduces a customer's receivable (fee waivers, grant reductions, billing corrections)
+ */
+
+const creditNoteLineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+  },
+  // Income account debited
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChartOfAccount',
+  },
+  costCenter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostCenter',
+  },
+});
+
+const creditNoteSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    creditNoteNumber: {
+      type: String,
+      required: true, // CN-YYYYMM-00001
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+    },
+    // Invoice being credited (allocated automatically on posting)
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SalesInvoice',
+    },
+    creditDate: {
+      type: Date,
+      required: true,
+    },
+    fiscalYear: {
+      type: String,
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+    },
+    lines: [creditNoteLineSchema],
+    subtotal: {
+      type: Number,
+      default: 0,
+    },
+    taxTotal: {
+      type: Number,
+      default: 0,
+    },
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Allocation
+    allocations: [allocationSchema],
+    unallocatedAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Status
+    status: {
+      type: String,
+      enum: ['draft', 'posted', 'cancelled'],
+      default: 'draft',
+    },
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry',
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    postedAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Indexes
+creditNoteSchema.index({ company: 1, creditNoteNumber: 1 }, { unique: true });
+creditNoteSchema.index({ company: 1, customer: 1, status: 1 });
+
+creditNoteSchema.pre('save', function(next) {
+  this.subtotal = this.lines.reduce((sum, line) => sum + line.amount, 0);
+  this.taxTotal = this.lines.reduce((sum, line) => sum + (line.taxAmount || 0), 0);
+  this.totalAmount = this.subtotal + this.taxTotal;
+  const allocated = this.allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+  this.unallocatedAmount = Math.round((this.totalAmount - allocated) * 100) / 100;
+  next();
+});
+
+creditNoteSchema.plugin(auditPlugin, { module: 'CREDIT_NOTE', reference: 'creditNoteNumber', impact: amountImpact('totalAmount') });
+
+export default mongoose.model('CreditNote', creditNoteSchema);
@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
+
+/**
+ * Customer Schema
+ * Fee payers, grant donors and other parties the company invoices
+ */
+
+const customerSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    // Customer identification
+    customerCode: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    customerType: {
+      type: String,
+      enum: ['student', 'donor', 'government', 'corporate', 'individual', 'other'],
+      default: 'corporate',
+    },
+    // Contact information
+    contactPerson: String,
+    email: String,
+    phone: String,
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      country: { type: String, default: 'Pakistan' },
+      postalCode: String,
+    },
+    // Tax registration
+    ntn: String,
+    strn: String,
+    cnic: String,
+    // Credit terms
+    paymentTerms: {
+      type: String,
+      enum: ['immediate', 'net-7', 'net-15', 'net-30', 'net-45', 'net-60', 'custom'],
+      default: 'net-30',
+    },
+    customPaymentDays: {
+      type: Number,
+    },
+    creditLimit: {
+      type: Number,
+      default: 0, // 0 = no limit
+    },
+    // GL Account mapping (fall back to receivables settings)
+    receivableAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChartOfAccount',
+    },
+    revenueAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChartOfAccount',
+    },
+    // Balances
+    currentBalance: {
+      type: Number,
+      default: 0, // Receivable balance net of unapplied receipts and credits
+    },
+    totalInvoiced: {
+      type: Number,
+      default: 0,
+    },
+    totalReceived: {
+      type: Number,
+      default: 0,
+    },
+    lastTransactionDate: {
+      type: Date,
+    },
+    // Status
+    status: {
+      type: String,
+      enum: ['active', 'inactive', 'blocked'],
+      default: 'active',
+    },
+    // Audit
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    lastModifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    remarks: String,
+  },
+  { timestamps: true }
+);
+
+// Indexes
+customerSchema.index({ company: 1, customerCode: 1 }, { unique: true });
+customerSchema.index({ company: 1, name: 'text' });
+customerSchema.index({ company: 1, status: 1 });
+
+customerSchema.plugin(auditPlugin, { module: 'CUSTOMER', reference: 'customerCode' });
+
+export default mongoose.model('Customer', customerSchema);
@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import { auditPlugin, amountImpact } from '../services/auditService.js';
+
+/**
+ * Customer Receipt Schema
+ * Money received from customers, allocated against open sales invoices.
+ * Anything not yet allocated stays on account as an unapplied credit.
+ */
+
+export const allocationSchema = new mongoose.Schema({
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SalesInvoice',
+    required: true,
+  },
+  invoiceNumber: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  allocatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  allocatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+});
+
+const customerReceiptSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    receiptNumber: {
+      type: String,
+      required: true, // RC-YYYYMM-00001
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+    },
+    receiptDate: {
+      type: Date,
+      required: true,
+    },
+    fiscalYear: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['cash', 'cheque', 'bank-transfer', 'online', 'other'],
+      default: 'bank-transfer',
+    },
+    // Bank / cash account debited
+    bankAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChartOfAccount',
+      required: true,
+    },
+    reference: String, // Cheque number, transfer ID
+    // Allocation
+    allocations: [allocationSchema],
+    unallocatedAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Status
+    status: {
+      type: String,
+      enum: ['posted', 'cancelled'],
+      default: 'posted',
+    },
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry',
+    },
+    reversalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cancelledAt: Date,
+    cancellationReason: String,
+    notes: String,
+  },
+  { timestamps: true }
+);
+
+// Indexes
+customerReceiptSchema.index({ company: 1, receiptNumber: 1 }, { unique: true });
+customerReceiptSchema.index({ company: 1, customer: 1, status: 1 });
+customerReceiptSchema.index({ company: 1, 'allocations.invoice': 1 });
+
+customerReceiptSchema.pre('save', function(next) {
+  const allocated = this.allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+  this.unallocatedAmount = Math.round((this.amount - allocated) * 100) / 100;
+  next();
+});
+
+customerReceiptSchema.plugin(auditPlugin, { module: 'CUSTOMER_RECEIPT', reference: 'receiptNumber', impact: amountImpact('amount') });
+
+export default mongoose.model('CustomerReceipt', customerReceiptSchema);
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+/**
+ * Employment History Schema
+ * Append-only record of an employee's designation, department, position, salary and
+ * manager before and after each applied lifecycle event
+ */
+
+const employmentSnapshotSchema = new mongoose.Schema(
+  {
+    designation: String,
+    department: String,
+    position: { type: mongoose.Schema.Types.ObjectId, ref: 'Position' },
+    salary: Number,
+    reportsTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    status: String,
+  },
+  { _id: false }
+);
+
+const employmentHistorySchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LifecycleEvent',
+      required: true,
+    },
+    eventType: {
+      type: String,
+      required: true,
+    },
+    effectiveDate: {
+      type: Date,
+      required: true,
+    },
+    before: employmentSnapshotSchema,
+    after: employmentSnapshotSchema,
+    changedFields: [{ type: String }],
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+employmentHistorySchema.index({ company: 1, employee: 1, effectiveDate: -1 });
+
+// Immutable: entries can be created but never changed or removed
+const immutable = () => {
+  throw new Error('Employment history is immutable');
+};
+employmentHistorySchema.pre('save', function () {
+  if (!this.isNew) immutable();
+});
+employmentHistorySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  immutable
+);
+
+export default mongoose.model('EmploymentHistory', employmentHistorySchema);
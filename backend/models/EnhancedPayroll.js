@@ -5,6 +5,17 @@ import mongoose from 'mongoose';
  * Supports government payroll with GPF, Pension, Deputation, and detailed salary components
  */
 
+export const PAY_LINE_CATEGORIES = [
+  // Allowances
+  'basic-pay', 'ad-hoc-relief', 'house-rent', 'conveyance', 'medical',
+  'utility', 'special-allowance', 'qualification', 'charge-allowance',
+  'deputation-allowance', 'officiating-allowance', 'other-allowance', 'arrears',
+  // Deductions
+  'income-tax', 'gpf', 'pension-contribution', 'benevolent-fund',
+  'group-insurance', 'house-rent-recovery', 'advance-recovery',
+  'loan-recovery', 'court-attachment', 'other-deduction',
+];
+
 // Allowance/Deduction line item
 const payrollLineSchema = new mongoose.Schema({
   code: {
@@ -22,16 +33,7 @@ const payrollLineSchema = new mongoose.Schema({
   },
   category: {
     type: String,
-    enum: [
-      // Allowances
-      'basic-pay', 'ad-hoc-relief', 'house-rent', 'conveyance', 'medical', 
-      'utility', 'special-allowance', 'qualification', 'charge-allowance',
-      'deputation-allowance', 'officiating-allowance', 'other-allowance',
-      // Deductions
-      'income-tax', 'gpf', 'pension-contribution', 'benevolent-fund',
-      'group-insurance', 'house-rent-recovery', 'advance-recovery',
-      'loan-recovery', 'court-attachment', 'other-deduction',
-    ],
+    enum: PAY_LINE_CATEGORIES,
   },
   // For tax calculation
   isTaxable: {
@@ -51,6 +53,10 @@ const payrollLineSchema = new mongoose.Schema({
   percentage: {
     type: Number,
   },
+  // For formula items, e.g. "max(BASIC * 0.45, 10000)"
+  formula: {
+    type: String,
+  },
   // Amount
   amount: {
     type: Number,
@@ -121,6 +127,11 @@ const gpfSchema = new mongoose.Schema({
   lastInterestDate: {
     type: Date,
   },
+  // Interest credited to the balance for this month
+  monthlyInterest: {
+    type: Number,
+    default: 0,
+  },
   // Advances
   advancesTaken: {
     type: Number,
@@ -184,6 +195,11 @@ const enhancedPayrollSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // Payroll run that calculated this record
+    payrollRun: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PayrollRun',
+    },
     // Payroll period
     fiscalYear: {
       type: String,
@@ -333,6 +349,7 @@ enhancedPayrollSchema.index({ company: 1, month: 1 });
 enhancedPayrollSchema.index({ company: 1, employee: 1, month: 1 }, { unique: true });
 enhancedPayrollSchema.index({ company: 1, status: 1 });
 enhancedPayrollSchema.index({ company: 1, fiscalYear: 1 });
+enhancedPayrollSchema.index({ payrollRun: 1 });
 
 // Calculate totals before save
 enhancedPayrollSchema.pre('save', function(next) {
@@ -355,14 +372,14 @@ enhancedPayrollSchema.pre('save', function(next) {
 
 // Method to calculate income tax based on FBR slabs
 enhancedPayrollSchema.methods.calculateIncomeTax = function(annualTaxableIncome) {
-  // FBR Tax Slabs FY 2025-26 (example - update as per latest)
+  // FBR salaried-individual slabs FY 2025-26 (same table as DEFAULT_TAX_SLABS in payrollEngineService)
   const taxSlabs = [
     { min: 0, max: 600000, rate: 0, fixed: 0 },
-    { min: 600001, max: 1200000, rate: 2.5, fixed: 0 },
-    { min: 1200001, max: 2400000, rate: 12.5, fixed: 15000 },
-    { min: 2400001, max: 3600000, rate: 22.5, fixed: 165000 },
-    { min: 3600001, max: 6000000, rate: 27.5, fixed: 435000 },
-    { min: 6000001, max: Infinity, rate: 35, fixed: 1095000 },
+    { min: 600001, max: 1200000, rate: 1, fixed: 0 },
+    { min: 1200001, max: 2200000, rate: 11, fixed: 6000 },
+    { min: 2200001, max: 3200000, rate: 23, fixed: 116000 },
+    { min: 3200001, max: 4100000, rate: 30, fixed: 346000 },
+    { min: 4100001, max: Infinity, rate: 35, fixed: 616000 },
   ];
 
   for (const slab of taxSlabs) {
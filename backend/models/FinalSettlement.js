@@ -0,0 +1,180 @@
+import mongoose from 'mongoose';
+import { auditPlugin, amountImpact } from '../services/auditService.js';
+
+/**
+ * Final Settlement Schema
+ * Full and final statement for an exiting employee: leave encashment, GPF,
+ * pension commutation and recoveries, cleared once company assets are returned
+ * and posted to the ledger as one journal entry
+ */
+
+const settlementLineSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+    },
+    label: {
+      type: String,
+      required: true,
+    },
+    // Payable to the employee, or recovered from the settlement
+    type: {
+      type: String,
+      enum: ['payable', 'recovery'],
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: ['leave-encashment', 'gpf', 'gpf-advance', 'pension-commutation', 'loan-recovery', 'advance-recovery', 'other'],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // How the amount was worked out, shown on the statement
+    basis: String,
+    // Entered or changed by a reviewer rather than computed
+    isManual: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const settlementAssetSchema = new mongoose.Schema(
+  {
+    asset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FixedAsset',
+      required: true,
+    },
+    assetCode: String,
+    name: String,
+    bookValue: Number,
+    returnedAt: Date,
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { _id: false }
+);
+
+const finalSettlementSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    settlementNumber: {
+      type: String,
+      required: true,
+    },
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    lifecycleEvent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LifecycleEvent',
+      required: true,
+    },
+    separationType: {
+      type: String,
+      enum: ['resignation', 'termination', 'retirement', 'contract_end', 'other'],
+    },
+    lastWorkingDate: {
+      type: Date,
+      required: true,
+    },
+    // Figures the statement was computed from
+    inputs: {
+      monthlySalary: Number,
+      basicPay: Number,
+      payrollMonth: String,
+      leaveDays: Number,
+      leaveYear: Number,
+      gpfBalance: Number,
+      gpfPendingAdvance: Number,
+      pensionScheme: String,
+      qualifyingServiceYears: Number,
+      grossPension: Number,
+      commutationPercent: Number,
+      purchaseYears: Number,
+    },
+    lines: [settlementLineSchema],
+    assets: [settlementAssetSchema],
+    totalPayable: {
+      type: Number,
+      default: 0,
+    },
+    totalRecovery: {
+      type: Number,
+      default: 0,
+    },
+    // Negative when recoveries exceed what is owed to the employee
+    netSettlement: {
+      type: Number,
+      default: 0,
+    },
+    // 'posting' is held while postSettlement writes the journal, so only one request posts a settlement
+    status: {
+      type: String,
+      enum: ['draft', 'cleared', 'posting', 'posted', 'cancelled'],
+      default: 'draft',
+    },
+    remarks: String,
+    preparedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    clearedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    clearedAt: Date,
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    postedAt: Date,
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry',
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+finalSettlementSchema.index({ company: 1, settlementNumber: 1 }, { unique: true });
+finalSettlementSchema.index({ company: 1, employee: 1 });
+finalSettlementSchema.index({ company: 1, status: 1 });
+
+finalSettlementSchema.pre('save', function(next) {
+  const sum = (type) => Math.round(
+    this.lines.filter((line) => line.type === type).reduce((total, line) => total + line.amount, 0) * 100
+  ) / 100;
+  this.totalPayable = sum('payable');
+  this.totalRecovery = sum('recovery');
+  this.netSettlement = Math.round((this.totalPayable - this.totalRecovery) * 100) / 100;
+  next();
+});
+
+finalSettlementSchema.plugin(auditPlugin, {
+  module: 'PAYROLL',
+  reference: 'settlementNumber',
+  impact: amountImpact('netSettlement'),
+});
+
+export default mongoose.model('FinalSettlement', finalSettlementSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditPlugin, amountImpact } from '../services/auditService.js';
 
 /**
  * Fixed Asset Schema
@@ -356,4 +357,6 @@ fixedAssetSchema.statics.getIncomeTaxRates = function() {
   };
 };
 
+fixedAssetSchema.plugin(auditPlugin, { module: 'FIXED_ASSET', reference: 'assetCode', impact: amountImpact('totalCost') });
+
 export default mongoose.model('FixedAsset', fixedAssetSchema);
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+/**
+ * Holiday Schema
+ * Company public holiday calendar used for working-day calculations
+ */
+
+const holidaySchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Optional holidays do not reduce leave day counts
+    isOptional: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+holidaySchema.index({ company: 1, date: 1 }, { unique: true });
+
+export default mongoose.model('Holiday', holidaySchema);
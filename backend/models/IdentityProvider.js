@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
+import User from './User.js';
+
+const ROLES = User.schema.path('role').enumValues;
+
+/**
+ * Identity Provider Schema
+ * A company's SSO connection (OIDC or SAML), the email domains routed to it,
+ * just-in-time provisioning and the IdP group to role mapping
+ */
+
+const roleMappingSchema = new mongoose.Schema(
+  {
+    // Group name (or ID) as the IdP sends it
+    group: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+    },
+    customRole: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Role',
+    },
+  },
+  { _id: false }
+);
+
+const identityProviderSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    protocol: {
+      type: String,
+      enum: ['oidc', 'saml'],
+      required: true,
+    },
+    // Sign-ins for these email domains are sent to this provider
+    domains: [{
+      type: String,
+      lowercase: true,
+      trim: true,
+    }],
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Password sign-in (and password reset) is refused for the company's users
+    enforced: {
+      type: Boolean,
+      default: false,
+    },
+    // Break-glass accounts that keep password sign-in while SSO is enforced
+    passwordExemptUsers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    oidc: {
+      issuer: String,
+      clientId: String,
+      scopes: { type: String, default: 'openid email profile' },
+      groupsClaim: { type: String, default: 'groups' },
+    },
+    // OIDC client secret; top-level so the audit log can leave it out
+    clientSecret: {
+      type: String,
+      select: false,
+    },
+    saml: {
+      metadataUrl: String,
+      entryPoint: String,
+      idpEntityId: String,
+      // PEM bodies of the IdP signing certificates
+      certificates: [String],
+      emailAttribute: { type: String, default: 'email' },
+      groupsAttribute: { type: String, default: 'groups' },
+    },
+    // Create accounts on first sign-in for people the IdP vouches for
+    jitProvisioning: {
+      type: Boolean,
+      default: true,
+    },
+    defaultRole: {
+      type: String,
+      enum: ROLES,
+      default: 'employee',
+    },
+    // First matching group decides the role; every matching custom role is granted
+    roleMappings: [roleMappingSchema],
+    // Re-apply the mapping at every sign-in, so IdP group changes take effect
+    syncRolesOnLogin: {
+      type: Boolean,
+      default: true,
+    },
+    lastLoginAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+identityProviderSchema.index({ company: 1 });
+identityProviderSchema.index({ domains: 1 });
+
+identityProviderSchema.plugin(auditPlugin, { module: 'ACCESS_CONTROL', reference: 'name', exclude: ['clientSecret'] });
+
+export default mongoose.model('IdentityProvider', identityProviderSchema);
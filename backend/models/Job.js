@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+/**
+ * Job Schema
+ * Job requisitions raised against a Position and Department
+ */
+
+const jobSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    jobCode: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    position: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Position',
+      required: true,
+    },
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department',
+      required: true,
+    },
+    location: {
+      type: String,
+      trim: true,
+    },
+    employmentType: {
+      type: String,
+      enum: ['full_time', 'part_time', 'contract', 'internship'],
+      default: 'full_time',
+    },
+    openings: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    hiredCount: {
+      type: Number,
+      default: 0,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    requirements: {
+      type: String,
+      trim: true,
+    },
+    salaryRange: {
+      min: Number,
+      max: Number,
+    },
+    // Scorecard criteria every interviewer rates (1-5)
+    scorecardCriteria: {
+      type: [String],
+      default: ['Technical skills', 'Communication', 'Culture fit'],
+    },
+    hiringManager: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    status: {
+      type: String,
+      enum: ['open', 'closed', 'on_hold', 'filled'],
+      default: 'open',
+    },
+    closingDate: {
+      type: Date,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ company: 1, jobCode: 1 }, { unique: true });
+jobSchema.index({ company: 1, status: 1 });
+
+export default mongoose.model('Job', jobSchema);
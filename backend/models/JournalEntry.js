@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
+import { domainEventPlugin, eventRef } from '../services/eventBus.js';
 
 /**
  * Journal Entry Schema
@@ -24,6 +26,11 @@ const journalLineSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'CostCenter',
   },
+  // Project the amount is charged to, for project cost tracking
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+  },
   debit: {
     type: Number,
     default: 0,
@@ -46,7 +53,7 @@ const journalLineSchema = new mongoose.Schema({
   },
   subledgerModel: {
     type: String,
-    enum: ['Vendor', 'User', null],
+    enum: ['Vendor', 'Customer', 'User', null],
     default: null,
   },
   // Tax details
@@ -86,6 +93,7 @@ const journalEntrySchema = new mongoose.Schema(
         'payment',     // Vendor/Employee payment
         'receipt',     // Receipt/Collection
         'purchase',    // Purchase/Bill entry
+        'sales',       // Sales invoice / credit note
         'adjustment',  // Adjustment entry
         'opening',     // Opening balance
         'closing',     // Year-end closing
@@ -132,7 +140,7 @@ const journalEntrySchema = new mongoose.Schema(
     sourceDocument: {
       type: {
         type: String,
-        enum: ['payroll', 'payment', 'invoice', 'receipt', 'manual', 'budget'],
+        enum: ['payroll', 'payment', 'invoice', 'sales-invoice', 'credit-note', 'receipt', 'manual', 'budget', 'final-settlement'],
       },
       documentId: mongoose.Schema.Types.ObjectId,
       documentNumber: String,
@@ -215,6 +223,7 @@ journalEntrySchema.index({ company: 1, entryDate: 1 });
 journalEntrySchema.index({ company: 1, fiscalYear: 1, period: 1 });
 journalEntrySchema.index({ company: 1, status: 1 });
 journalEntrySchema.index({ company: 1, entryType: 1 });
+journalEntrySchema.index({ company: 1, 'lines.project': 1 });
 
 // Validate balanced entry before save
 journalEntrySchema.pre('save', function(next) {
@@ -302,6 +311,7 @@ journalEntrySchema.methods.reverse = async function(userId, reason) {
     accountName: line.accountName,
     description: `Reversal: ${line.description}`,
     costCenter: line.costCenter,
+    project: line.project,
     debit: line.credit, // Swap debit and credit
     credit: line.debit,
     subledgerType: line.subledgerType,
@@ -352,4 +362,38 @@ journalEntrySchema.statics.generateEntryNumber = async function(companyId, type
   return `${type}-${year}-${String(count + 1).padStart(6, '0')}`;
 };
 
+journalEntrySchema.plugin(auditPlugin, {
+  module: 'JOURNAL_ENTRY',
+  reference: 'entryNumber',
+  impact: (entry) => ({
+    debitAmount: entry.totalDebit,
+    creditAmount: entry.totalCredit,
+    netImpact: (entry.totalDebit || 0) - (entry.totalCredit || 0),
+    affectedAccounts: [...new Set((entry.lines || []).map((line) => line.accountCode).filter(Boolean))],
+  }),
+});
+
+// Entries are posted from many modules (payroll, payables, settlements ...), so the event comes from the model
+journalEntrySchema.plugin(domainEventPlugin, {
+  transitions: { posted: 'journal.posted' },
+  payload: (entry) => ({
+    id: eventRef(entry._id),
+    entryNumber: entry.entryNumber,
+    entryType: entry.entryType,
+    entryDate: entry.entryDate,
+    fiscalYear: entry.fiscalYear,
+    period: entry.period,
+    description: entry.description,
+    totalDebit: entry.totalDebit,
+    totalCredit: entry.totalCredit,
+    sourceDocument: entry.sourceDocument?.type ? {
+      type: entry.sourceDocument.type,
+      documentId: eventRef(entry.sourceDocument.documentId),
+      documentNumber: entry.sourceDocument.documentNumber,
+    } : null,
+    postedBy: eventRef(entry.postedBy),
+    postedAt: entry.postedAt,
+  }),
+});
+
 export default mongoose.model('JournalEntry', journalEntrySchema);
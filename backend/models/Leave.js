@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
+import { domainEventPlugin, eventRef } from '../services/eventBus.js';
 
 const leaveSchema = new mongoose.Schema(
   {
@@ -24,16 +26,32 @@ const leaveSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    halfDay: {
+      type: Boolean,
+      default: false,
+    },
     reason: String,
     status: {
       type: String,
-      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      enum: ['pending', 'approved', 'rejected', 'cancelled', 'withdrawn'],
       default: 'pending',
     },
     approvalFlow: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'ApprovalFlow',
     },
+    // Workflow
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    approvedAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cancelledAt: Date,
+    cancellationReason: String,
     company: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Company',
@@ -43,4 +61,24 @@ const leaveSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+leaveSchema.index({ company: 1, employee: 1, startDate: -1 });
+leaveSchema.index({ company: 1, status: 1, startDate: 1 });
+
+leaveSchema.plugin(auditPlugin, { module: 'LEAVE' });
+
+leaveSchema.plugin(domainEventPlugin, {
+  transitions: { approved: 'leave.approved' },
+  payload: (leave) => ({
+    id: eventRef(leave._id),
+    employee: eventRef(leave.employee),
+    leaveType: leave.leaveType,
+    startDate: leave.startDate,
+    endDate: leave.endDate,
+    days: leave.days,
+    halfDay: leave.halfDay,
+    approvedBy: eventRef(leave.approvedBy),
+    approvedAt: leave.approvedAt,
+  }),
+});
+
 export default mongoose.model('Leave', leaveSchema);
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+/**
+ * Leave Balance Schema
+ * One ledger row per employee, leave year and leave type
+ */
+
+const leaveBalanceSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    year: {
+      type: Number,
+      required: true,
+    },
+    leaveType: {
+      type: String,
+      enum: ['sick', 'casual', 'annual', 'maternity', 'paternity', 'unpaid'],
+      required: true,
+    },
+    // Full-year entitlement from the policy at the time the row was opened
+    entitlement: {
+      type: Number,
+      default: 0,
+    },
+    // Brought forward from the previous leave year (capped by policy)
+    carriedForward: {
+      type: Number,
+      default: 0,
+    },
+    // Earned so far this year
+    accrued: {
+      type: Number,
+      default: 0,
+    },
+    // Last period (YYYY-MM) included in `accrued`
+    lastAccrualPeriod: {
+      type: String,
+    },
+    // Days on approved leave
+    used: {
+      type: Number,
+      default: 0,
+    },
+    // Days on leave requests awaiting approval
+    pending: {
+      type: Number,
+      default: 0,
+    },
+    encashed: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+leaveBalanceSchema.index({ company: 1, employee: 1, year: 1, leaveType: 1 }, { unique: true });
+
+// Days the employee can still apply for
+leaveBalanceSchema.virtual('available').get(function() {
+  const available = (this.carriedForward || 0) + (this.accrued || 0)
+    - (this.used || 0) - (this.pending || 0) - (this.encashed || 0);
+  return Math.round(available * 100) / 100;
+});
+
+leaveBalanceSchema.set('toJSON', { virtuals: true });
+leaveBalanceSchema.set('toObject', { virtuals: true });
+
+export default mongoose.model('LeaveBalance', leaveBalanceSchema);
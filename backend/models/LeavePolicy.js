@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+/**
+ * Leave Policy Schema
+ * Per-company entitlements, accrual, carry-forward and encashment rules
+ */
+
+const leaveTypeRuleSchema = new mongoose.Schema({
+  leaveType: {
+    type: String,
+    enum: ['sick', 'casual', 'annual', 'maternity', 'paternity', 'unpaid'],
+    required: true,
+  },
+  // Days granted per leave year
+  annualEntitlement: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // monthly: entitlement / 12 credited each month
+  // upfront: full entitlement credited on the first day of the year
+  // none: no balance is tracked (e.g. unpaid leave)
+  accrual: {
+    type: String,
+    enum: ['monthly', 'upfront', 'none'],
+    default: 'upfront',
+  },
+  // Maximum days brought forward into the next year
+  carryForwardCap: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Maximum days that can be encashed per year
+  encashmentCap: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Count weekends and holidays inside the leave period (e.g. maternity)
+  countCalendarDays: {
+    type: Boolean,
+    default: false,
+  },
+  // Maximum days per single request (0 = no limit)
+  maxDaysPerRequest: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  isPaid: {
+    type: Boolean,
+    default: true,
+  },
+}, { _id: false });
+
+const leavePolicySchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+      unique: true,
+    },
+    // Days of the week that are not working days (0 = Sunday ... 6 = Saturday)
+    weekendDays: {
+      type: [Number],
+      default: [0, 6],
+    },
+    rules: [leaveTypeRuleSchema],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('LeavePolicy', leavePolicySchema);
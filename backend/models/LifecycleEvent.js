@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
+
+/**
+ * Lifecycle Event Schema
+ * A hire, promotion, transfer, salary change or offboarding with an effective date.
+ * Approved events are applied to the User on that date and recorded in EmploymentHistory.
+ */
+
+const lifecycleEventSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    eventNumber: {
+      type: String,
+      required: true,
+    },
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['hire', 'promotion', 'transfer', 'salary_change', 'offboarding'],
+      required: true,
+    },
+    effectiveDate: {
+      type: Date,
+      required: true,
+    },
+    // New values for the tracked employment fields (only the ones that change)
+    changes: {
+      designation: String,
+      department: String,
+      position: { type: mongoose.Schema.Types.ObjectId, ref: 'Position' },
+      salary: Number,
+      reportsTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    },
+    // Fields in `changes` to apply (a field may be changed to empty, e.g. no manager)
+    changedFields: [{ type: String }],
+    // Offboarding
+    separationType: {
+      type: String,
+      enum: ['resignation', 'termination', 'retirement', 'contract_end', 'other'],
+    },
+    reason: String,
+    status: {
+      type: String,
+      enum: ['pending_approval', 'approved', 'applied', 'rejected', 'cancelled'],
+      default: 'pending_approval',
+    },
+    approvalFlow: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApprovalFlow',
+    },
+    approvedAt: Date,
+    appliedAt: Date,
+    checklistGenerated: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+lifecycleEventSchema.index({ company: 1, eventNumber: 1 }, { unique: true });
+lifecycleEventSchema.index({ company: 1, employee: 1, effectiveDate: -1 });
+lifecycleEventSchema.index({ status: 1, effectiveDate: 1 });
+
+lifecycleEventSchema.plugin(auditPlugin, {
+  module: 'EMPLOYEE',
+  reference: 'eventNumber',
+  exclude: ['changes'],
+});
+
+export default mongoose.model('LifecycleEvent', lifecycleEventSchema);
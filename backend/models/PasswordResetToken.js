@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * Password Reset Token Schema
+ * A single-use reset link. Only the SHA-256 of the token is stored; the link
+ * itself goes out once through the chosen delivery channel.
+ */
+
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    channel: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+    // Set when an administrator sent the link rather than the user asking for it
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    ipAddress: String,
+  },
+  { timestamps: true }
+);
+
+passwordResetTokenSchema.index({ user: 1, usedAt: 1 });
+// Spent and expired links are removed by MongoDB a day after expiry
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model('PasswordResetToken', passwordResetTokenSchema);
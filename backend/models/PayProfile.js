@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { payLineTemplateSchema } from './SalaryStructure.js';
+import { auditPlugin } from '../services/auditService.js';
+
+/**
+ * Pay Profile Schema
+ * An employee's pay scale placement, personal pay lines and running GPF balance
+ */
+
+const payProfileSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    bps: {
+      type: Number,
+      min: 1,
+      max: 22,
+      required: true,
+    },
+    stage: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Added to (or, by matching code, replacing) the structure's lines
+    lines: [payLineTemplateSchema],
+    gpf: {
+      isMember: { type: Boolean, default: true },
+      accountNumber: String,
+      contributionRate: { type: Number, default: 8.33 }, // % of basic pay
+      monthlyContribution: { type: Number, default: 0 }, // Fixed amount overrides the rate
+      currentBalance: { type: Number, default: 0 },
+      interestRate: { type: Number, default: 13 }, // Annual %
+      lastInterestDate: Date,
+    },
+    pension: {
+      pensionScheme: {
+        type: String,
+        enum: ['gps', 'cps', 'none'],
+        default: 'gps',
+      },
+      pensionAccountNumber: String,
+      contributionRate: { type: Number, default: 10 }, // CPS employee share, % of basic pay
+      serviceStartDate: Date,
+    },
+    deputation: {
+      isOnDeputation: { type: Boolean, default: false },
+      parentDepartment: String,
+      borrowingDepartment: String,
+      deputationStartDate: Date,
+      deputationEndDate: Date,
+      deputationAllowancePercent: { type: Number, default: 20 },
+    },
+    costCenter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CostCenter',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+payProfileSchema.index({ company: 1, employee: 1 }, { unique: true });
+
+payProfileSchema.plugin(auditPlugin, { module: 'PAYROLL' });
+
+export default mongoose.model('PayProfile', payProfileSchema);
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+/**
+ * Payables Setting Schema
+ * Per-company AP accounts and three-way match tolerances
+ */
+
+const accountRef = {
+  type: mongoose.Schema.Types.ObjectId,
+  ref: 'ChartOfAccount',
+};
+
+const payablesSettingSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+      unique: true,
+    },
+    accounts: {
+      payable: accountRef, // Liability - used when the vendor has no payableAccount
+      inputSalesTax: accountRef, // Asset - sales tax claimable on purchases
+    },
+    // An invoice line outside any of these limits is a match exception
+    tolerance: {
+      quantityPercent: {
+        type: Number,
+        default: 0, // Invoiced quantity over received quantity
+        min: 0,
+      },
+      pricePercent: {
+        type: Number,
+        default: 2, // Invoice unit price over PO unit price
+        min: 0,
+      },
+      amountLimit: {
+        type: Number,
+        default: 5000, // Absolute price variance per line (PKR)
+        min: 0,
+      },
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('PayablesSetting', payablesSettingSchema);
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import { auditPlugin, amountImpact } from '../services/auditService.js';
+import { domainEventPlugin, eventRef } from '../services/eventBus.js';
+
+/**
+ * Payroll Run Schema
+ * A month's payroll calculation moving draft → approved → posted
+ */
+
+const payrollRunSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    runNumber: {
+      type: String,
+      required: true,
+    },
+    month: {
+      type: String, // YYYY-MM format
+      required: true,
+      match: /^\d{4}-(0[1-9]|1[0-2])$/,
+    },
+    fiscalYear: {
+      type: String,
+      required: true,
+    },
+    // 'posting' is held while postRun writes the journal, so only one request posts a run
+    status: {
+      type: String,
+      enum: ['draft', 'approved', 'posting', 'posted', 'cancelled'],
+      default: 'draft',
+    },
+    // Arrears requested for this run: a fixed amount, or a month range to recompute
+    arrears: [
+      {
+        employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        fromMonth: String,
+        toMonth: String,
+        amount: Number,
+        description: String,
+      },
+    ],
+    totals: {
+      employees: { type: Number, default: 0 },
+      grossEarnings: { type: Number, default: 0 },
+      totalDeductions: { type: Number, default: 0 },
+      netPay: { type: Number, default: 0 },
+      incomeTax: { type: Number, default: 0 },
+      gpfContribution: { type: Number, default: 0 },
+      gpfInterest: { type: Number, default: 0 },
+      arrears: { type: Number, default: 0 },
+    },
+    // Employees skipped during calculation
+    exceptions: [
+      {
+        _id: false,
+        employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        message: String,
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    calculatedAt: Date,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    approvedAt: Date,
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    postedAt: Date,
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry',
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cancelledAt: Date,
+    remarks: String,
+  },
+  { timestamps: true }
+);
+
+payrollRunSchema.index({ company: 1, runNumber: 1 }, { unique: true });
+payrollRunSchema.index({ company: 1, month: 1, status: 1 });
+
+payrollRunSchema.plugin(auditPlugin, { module: 'PAYROLL', reference: 'runNumber', impact: amountImpact('totals.netPay') });
+
+payrollRunSchema.plugin(domainEventPlugin, {
+  transitions: { approved: 'payroll.approved', posted: 'payroll.posted' },
+  payload: (run) => ({
+    id: eventRef(run._id),
+    runNumber: run.runNumber,
+    month: run.month,
+    fiscalYear: run.fiscalYear,
+    totals: run.totals,
+    approvedAt: run.approvedAt,
+    postedAt: run.postedAt,
+    journalEntry: eventRef(run.journalEntry),
+  }),
+});
+
+export default mongoose.model('PayrollRun', payrollRunSchema);
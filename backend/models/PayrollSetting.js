@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+/**
+ * Payroll Setting Schema
+ * Per-company GL accounts for engine-generated lines, income tax slabs, final settlement rules
+ * and the hours used to cost staff time to projects
+ */
+
+const accountRef = {
+  type: mongoose.Schema.Types.ObjectId,
+  ref: 'ChartOfAccount',
+};
+
+const payrollSettingSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+      unique: true,
+    },
+    accounts: {
+      basicPay: accountRef, // Expense
+      arrears: accountRef, // Expense
+      deputationAllowance: accountRef, // Expense
+      salaryPayable: accountRef, // Liability - net pay
+      incomeTaxPayable: accountRef, // Liability
+      gpfFund: accountRef, // Liability - employee GPF balances
+      gpfInterest: accountRef, // Expense - interest credited to GPF
+      pensionFund: accountRef, // Liability - CPS contributions
+      leaveEncashment: accountRef, // Expense - leave encashed on final settlement
+      pensionCommutation: accountRef, // Expense - GPS commutation lump sum
+      employeeAdvances: accountRef, // Asset - loans and advances recovered on exit
+      settlementAdjustments: accountRef, // Expense - other final settlement lines
+      settlementPayable: accountRef, // Liability - net final settlement due
+    },
+    // GPS pension commutation on retirement; empty uses the settlement service defaults
+    settlement: {
+      commutationPercent: Number, // % of gross pension commuted
+      purchaseYears: Number, // Years' purchase from the commutation table
+    },
+    // Costing of worklog hours to projects; empty uses the project cost service default
+    costing: {
+      monthlyHours: Number, // Working hours a monthly salary pays for
+    },
+    // Annual slabs; empty uses the engine's current FBR slabs
+    taxSlabs: [
+      {
+        _id: false,
+        upTo: Number, // Upper bound of annual taxable income (null for the top slab)
+        rate: Number, // % on income above the previous bound
+        fixed: Number, // Tax on income up to the previous bound
+      },
+    ],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('PayrollSetting', payrollSettingSchema);
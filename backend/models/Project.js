@@ -10,6 +10,9 @@ const milestoneSchema = new mongoose.Schema({
     default: 'pending'
   },
   completedAt: Date,
+  // Calculated from the tasks linked to the milestone, when it has any
+  progress: { type: Number, default: 0 },
+  forecastDate: Date,
 });
 
 const projectSchema = new mongoose.Schema({
@@ -17,6 +20,8 @@ const projectSchema = new mongoose.Schema({
   description: String,
   owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   department: String,
+  // Staff cost of hours on the project is allocated here; empty uses each employee's own cost center
+  costCenter: { type: mongoose.Schema.Types.ObjectId, ref: 'CostCenter' },
   
   // Timeline
   startDate: { type: Date, required: true },
@@ -30,11 +35,15 @@ const projectSchema = new mongoose.Schema({
   },
   progress: { type: Number, default: 0, min: 0, max: 100 },
   
-  // Budget
+  // Budget. Once GL lines, PO lines or worklogs are charged to the project,
+  // services/projectCostService.js keeps spent, committed and forecast in step with them
   budget: {
     allocated: { type: Number, default: 0 },
     spent: { type: Number, default: 0 },
-    currency: { type: String, default: 'PKR' }
+    committed: { type: Number, default: 0 },
+    forecast: { type: Number, default: 0 },
+    currency: { type: String, default: 'PKR' },
+    costedAt: Date,
   },
   
   // Team
@@ -53,6 +62,17 @@ const projectSchema = new mongoose.Schema({
   // Milestones
   milestones: [milestoneSchema],
   
+  // Calculated from the linked tasks by services/projectPlanService.js, which also
+  // takes over progress, status (unless on hold) and blockers once there are any
+  schedule: {
+    taskCount: { type: Number, default: 0 },
+    forecastEnd: Date,
+    slippageDays: { type: Number, default: 0 },
+    atRiskTasks: { type: Number, default: 0 },
+    criticalPath: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+    computedAt: Date,
+  },
+
   // Updates/Notes
   updates: [{
     message: String,
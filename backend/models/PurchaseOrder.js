@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditPlugin, amountImpact } from '../services/auditService.js';
 
 /**
  * Purchase Order Schema
@@ -47,6 +48,11 @@ const purchaseOrderLineSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'CostCenter',
   },
+  // Project the purchase is for; open quantities count as project commitments
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+  },
   // Delivery tracking
   quantityReceived: {
     type: Number,
@@ -156,6 +162,14 @@ const purchaseOrderSchema = new mongoose.Schema(
     approvedAt: {
       type: Date,
     },
+    // Last goods receipt
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    receivedAt: {
+      type: Date,
+    },
     // Related documents
     requisition: {
       type: mongoose.Schema.Types.ObjectId,
@@ -182,6 +196,7 @@ purchaseOrderSchema.index({ company: 1, poNumber: 1 }, { unique: true });
 purchaseOrderSchema.index({ company: 1, vendor: 1 });
 purchaseOrderSchema.index({ company: 1, status: 1 });
 purchaseOrderSchema.index({ company: 1, fiscalYear: 1 });
+purchaseOrderSchema.index({ company: 1, 'lines.project': 1 });
 
 // Calculate totals before save
 purchaseOrderSchema.pre('save', function(next) {
@@ -338,4 +353,6 @@ purchaseOrderSchema.methods.convertToUtilization = async function(invoiceAmount)
   return true;
 };
 
+purchaseOrderSchema.plugin(auditPlugin, { module: 'PURCHASE_ORDER', reference: 'poNumber', impact: amountImpact('grandTotal') });
+
 export default mongoose.model('PurchaseOrder', purchaseOrderSchema);
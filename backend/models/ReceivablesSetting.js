@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * Receivables Setting Schema
+ * Per-company AR control and default income accounts
+ */
+
+const accountRef = {
+  type: mongoose.Schema.Types.ObjectId,
+  ref: 'ChartOfAccount',
+};
+
+const receivablesSettingSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+      unique: true,
+    },
+    accounts: {
+      receivable: accountRef, // Asset - used when the customer has no receivableAccount
+      outputSalesTax: accountRef, // Liability - sales tax charged on invoices
+      // Default income by invoice category
+      feeIncome: accountRef,
+      grantIncome: accountRef,
+      serviceIncome: accountRef,
+      otherIncome: accountRef,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('ReceivablesSetting', receivablesSettingSchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
+
+/**
+ * Role Schema
+ * Company-defined permission sets. A role with systemRole set overrides the
+ * default permissions of that built-in User.role for the company.
+ */
+
+const roleSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+    // Built-in User.role this role stands for; null for custom roles
+    systemRole: {
+      type: String,
+      enum: ['admin', 'hr', 'manager', 'employee', 'chairman', 'finance', 'accountant', 'auditor', null],
+      default: null,
+    },
+    permissions: [{ type: String }],
+    status: {
+      type: String,
+      enum: ['active', 'inactive'],
+      default: 'active',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+roleSchema.index({ company: 1, name: 1 }, { unique: true });
+roleSchema.index(
+  { company: 1, systemRole: 1 },
+  { unique: true, partialFilterExpression: { systemRole: { $type: 'string' } } }
+);
+
+roleSchema.plugin(auditPlugin, { module: 'ACCESS_CONTROL', reference: 'name' });
+
+export default mongoose.model('Role', roleSchema);
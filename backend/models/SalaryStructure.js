@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import { PAY_LINE_CATEGORIES } from './EnhancedPayroll.js';
+import { auditPlugin } from '../services/auditService.js';
+
+/**
+ * Salary Structure Schema
+ * Basic pay scale and standard allowance/deduction lines for one BPS
+ */
+
+// Line template; amounts are resolved per employee by the payroll engine
+export const payLineTemplateSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['allowance', 'deduction', 'earning', 'statutory'],
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: PAY_LINE_CATEGORIES,
+    },
+    isTaxable: {
+      type: Boolean,
+      default: true,
+    },
+    calculationMethod: {
+      type: String,
+      enum: ['fixed', 'percentage', 'formula'],
+      default: 'fixed',
+    },
+    // Code (or BASIC / GROSS) a percentage line is calculated on
+    baseCode: {
+      type: String,
+      uppercase: true,
+    },
+    percentage: {
+      type: Number,
+    },
+    formula: {
+      type: String,
+    },
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    glAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChartOfAccount',
+    },
+  },
+  { _id: false }
+);
+
+const salaryStructureSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    bps: {
+      type: Number,
+      min: 1,
+      max: 22,
+      required: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    // Pay revisions are new structures with a later effective date
+    effectiveFrom: {
+      type: Date,
+      required: true,
+    },
+    minimumPay: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    annualIncrement: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    maxStages: {
+      type: Number,
+      default: 30,
+      min: 1,
+    },
+    lines: [payLineTemplateSchema],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+salaryStructureSchema.index({ company: 1, bps: 1, effectiveFrom: -1 }, { unique: true });
+
+salaryStructureSchema.plugin(auditPlugin, { module: 'PAYROLL', reference: 'code' });
+
+export default mongoose.model('SalaryStructure', salaryStructureSchema);
@@ -0,0 +1,168 @@
+import mongoose from 'mongoose';
+import { auditPlugin, amountImpact } from '../services/auditService.js';
+
+/**
+ * Sales Invoice Schema
+ * Customer invoices for fees, grants and services; settled by receipt and credit note allocations
+ */
+
+const salesInvoiceLineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 0,
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  taxAmount: {
+    type: Number,
+    default: 0, // Output sales tax
+  },
+  // Income account credited (defaults from the customer or category)
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChartOfAccount',
+  },
+  costCenter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostCenter',
+  },
+});
+
+const salesInvoiceSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    invoiceNumber: {
+      type: String,
+      required: true, // SI-YYYYMM-00001
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: ['fee', 'grant', 'service', 'other'],
+      default: 'fee',
+    },
+    // Dates
+    invoiceDate: {
+      type: Date,
+      required: true,
+    },
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+    fiscalYear: {
+      type: String,
+      required: true,
+    },
+    reference: String, // Grant agreement, enrolment or PO number
+    // Lines
+    lines: [salesInvoiceLineSchema],
+    // Totals
+    subtotal: {
+      type: Number,
+      default: 0,
+    },
+    taxTotal: {
+      type: Number,
+      default: 0,
+    },
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Settlement
+    amountPaid: {
+      type: Number,
+      default: 0, // Receipts allocated
+    },
+    amountCredited: {
+      type: Number,
+      default: 0, // Credit notes allocated
+    },
+    balanceDue: {
+      type: Number,
+      default: 0,
+    },
+    // Status
+    status: {
+      type: String,
+      enum: ['draft', 'posted', 'partially-paid', 'paid', 'cancelled'],
+      default: 'draft',
+    },
+    // GL posting
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry',
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    postedAt: {
+      type: Date,
+    },
+    // Workflow
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    notes: String,
+  },
+  { timestamps: true }
+);
+
+// Indexes
+salesInvoiceSchema.index({ company: 1, invoiceNumber: 1 }, { unique: true });
+salesInvoiceSchema.index({ company: 1, customer: 1, status: 1 });
+salesInvoiceSchema.index({ company: 1, status: 1, dueDate: 1 });
+
+// Calculate totals and outstanding balance before save
+salesInvoiceSchema.pre('save', function(next) {
+  this.lines.forEach(line => {
+    line.amount = Math.round(line.quantity * line.unitPrice * 100) / 100;
+  });
+
+  this.subtotal = this.lines.reduce((sum, line) => sum + line.amount, 0);
+  this.taxTotal = this.lines.reduce((sum, line) => sum + (line.taxAmount || 0), 0);
+  this.totalAmount = this.subtotal + this.taxTotal;
+  this.balanceDue = Math.round((this.totalAmount - this.amountPaid - this.amountCredited) * 100) / 100;
+
+  if (['posted', 'partially-paid', 'paid'].includes(this.status)) {
+    const settled = this.amountPaid + this.amountCredited;
+    if (this.balanceDue <= 0) this.status = 'paid';
+    else this.status = settled > 0 ? 'partially-paid' : 'posted';
+  }
+  next();
+});
+
+salesInvoiceSchema.plugin(auditPlugin, { module: 'SALES_INVOICE', reference: 'invoiceNumber', impact: amountImpact('totalAmount') });
+
+export default mongoose.model('SalesInvoice', salesInvoiceSchema);
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+/**
+ * Session Schema
+ * A signed-in device. Holds the hash of its current refresh token; access tokens
+ * carry the session id so revoking the session ends them too.
+ */
+
+const sessionSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // SHA-256 of the current refresh token; the token itself is never stored
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hash of the token it replaced, to spot a rotated token being replayed
+    previousTokenHash: String,
+    rotatedAt: Date,
+    device: String,
+    userAgent: String,
+    ipAddress: String,
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'user_revoked', 'admin_revoked', 'status_change', 'password_change', 'token_reuse'],
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB a week after expiry
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export default mongoose.model('Session', sessionSchema);
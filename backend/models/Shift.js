@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+/**
+ * Shift Schema
+ * Working hours and late/early rules, assigned to departments
+ */
+
+const shiftSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Department names (User.department) this shift applies to
+    departments: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    startTime: {
+      type: String, // Format: "HH:mm"
+      required: true,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    },
+    endTime: {
+      type: String, // Format: "HH:mm"
+      required: true,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    },
+    timezone: {
+      type: String,
+      default: 'Asia/Karachi',
+    },
+    // Check-ins within this many minutes of the start time are on time
+    graceMinutes: {
+      type: Number,
+      default: 15,
+      min: 0,
+    },
+    // Arriving this many minutes late (or later) counts as a half day
+    halfDayAfterMinutes: {
+      type: Number,
+      default: 120,
+      min: 0,
+    },
+    // Check-outs within this many minutes of the end time are not early
+    earlyLeaveGraceMinutes: {
+      type: Number,
+      default: 15,
+      min: 0,
+    },
+    // Days worked for fewer hours than this are half days (0 disables)
+    minHoursFullDay: {
+      type: Number,
+      default: 4,
+      min: 0,
+    },
+    // Used as the company default when no department shift matches
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+shiftSchema.index({ company: 1, name: 1 }, { unique: true });
+shiftSchema.index({ company: 1, departments: 1 });
+
+export default mongoose.model('Shift', shiftSchema);
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+/**
+ * Segregation of Duties Setting Schema
+ * Per-company maker/checker/poster rules; rules not stored here use the
+ * defaults in services/sodService.js
+ */
+
+const sodRuleSchema = new mongoose.Schema(
+  {
+    documentType: {
+      type: String,
+      enum: ['journal_entry', 'bank_payment', 'purchase_order'],
+      required: true,
+    },
+    // Pair of workflow stages one user may not both perform
+    rule: {
+      type: String,
+      enum: ['maker-approver', 'maker-poster', 'approver-poster'],
+      required: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Holders of sod.override may bypass the rule with a recorded reason
+    allowOverride: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+const sodSettingSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+      unique: true,
+    },
+    rules: [sodRuleSchema],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('SodSetting', sodSettingSchema);
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+/**
+ * SoD Violation Schema
+ * Every blocked or overridden segregation-of-duties conflict, for auditor review
+ */
+
+const sodViolationSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    documentType: {
+      type: String,
+      enum: ['journal_entry', 'bank_payment', 'purchase_order'],
+      required: true,
+    },
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    documentNumber: String,
+    // Workflow action that was attempted
+    action: {
+      type: String,
+      enum: ['approve', 'post'],
+      required: true,
+    },
+    rules: [{ type: String }],
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    outcome: {
+      type: String,
+      enum: ['blocked', 'overridden'],
+      required: true,
+    },
+    overrideReason: String,
+    ipAddress: String,
+    // Auditor follow-up
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    reviewNotes: String,
+  },
+  { timestamps: true }
+);
+
+sodViolationSchema.index({ company: 1, createdAt: -1 });
+sodViolationSchema.index({ company: 1, documentType: 1, documentId: 1 });
+
+export default mongoose.model('SodViolation', sodViolationSchema);
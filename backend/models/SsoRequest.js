@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+/**
+ * SSO Request Schema
+ * One sign-in round trip to an identity provider: the state, nonce and PKCE
+ * verifier sent with it, then the single-use code the app exchanges for a session
+ */
+
+const ssoRequestSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    provider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'IdentityProvider',
+      required: true,
+    },
+    // OIDC state / SAML RelayState
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    nonce: String,
+    codeVerifier: String,
+    // SAML AuthnRequest ID, matched against InResponseTo
+    samlRequestId: String,
+    samlRequestInstant: String,
+    // Set once the IdP response is accepted
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    loginCodeHash: String,
+    completedAt: Date,
+    exchangedAt: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+ssoRequestSchema.index({ loginCodeHash: 1 }, { sparse: true });
+ssoRequestSchema.index({ samlRequestId: 1 }, { sparse: true });
+// Finished and abandoned round trips are removed by MongoDB an hour after expiry
+ssoRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+export default mongoose.model('SsoRequest', ssoRequestSchema);
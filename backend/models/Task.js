@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
+import { domainEventPlugin, eventRef } from '../services/eventBus.js';
 
 const taskSchema = new mongoose.Schema(
   {
@@ -238,6 +240,12 @@ const taskSchema = new mongoose.Schema(
         ref: 'User',
         required: true,
       },
+      // Task that has to finish first, when the dependency is on another task's
+      // outcome; these links drive the project timeline and critical path
+      task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+      },
       // Description of what is needed
       title: {
         type: String,
@@ -337,6 +345,72 @@ const taskSchema = new mongoose.Schema(
       ref: 'Company',
       required: true,
     },
+    // Onboarding/offboarding checklist item this task was generated from
+    lifecycleEvent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LifecycleEvent',
+    },
+    // Recurring series this task is an instance of (models/TaskTemplate.js)
+    series: {
+      template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaskTemplate',
+      },
+      // Scheduled date of this instance; unique within the series
+      occurrence: Date,
+      sequence: Number,
+    },
+    // Project plan this task belongs to and the milestone it delivers (models/Project.js)
+    linkedProject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+    },
+    milestone: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Planned start on the project timeline; the creation date when not set
+    startDate: {
+      type: Date,
+    },
+    // Subtasks are tasks with a parent; `ancestors` runs from the top-level task down
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+    },
+    ancestors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+    }],
+    // Position under the parent: the 2 in "3.2"
+    subtaskNumber: Number,
+    // Direct subtasks, kept up to date by the task tree service
+    subtaskStats: {
+      total: {
+        type: Number,
+        default: 0,
+      },
+      completed: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // Steps to tick off; with subtasks they drive the task's progress
+    checklist: [{
+      title: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      done: {
+        type: Boolean,
+        default: false,
+      },
+      doneAt: Date,
+      doneBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    }],
     // WhatsApp reminder tracking - stores which reminders have been sent
     reminders: {
       type: Map,
@@ -355,5 +429,33 @@ taskSchema.index({ deadline: 1 });
 // Index for dependency queries
 taskSchema.index({ 'dependencies.requestedBy': 1, 'dependencies.status': 1 });
 taskSchema.index({ 'dependencies.dependsOn': 1, 'dependencies.status': 1 });
+taskSchema.index({ 'dependencies.task': 1 });
+// Project plan lookups
+taskSchema.index({ linkedProject: 1, milestone: 1 });
+// Subtask tree lookups
+taskSchema.index({ parent: 1, subtaskNumber: 1 });
+taskSchema.index({ ancestors: 1 });
+// One task per occurrence of a series, however many schedulers run
+taskSchema.index(
+  { 'series.template': 1, 'series.occurrence': 1 },
+  { unique: true, partialFilterExpression: { 'series.template': { $exists: true } } }
+);
+
+taskSchema.plugin(auditPlugin, { module: 'TASK', reference: 'title' });
+
+taskSchema.plugin(domainEventPlugin, {
+  transitions: { completed: 'task.completed' },
+  payload: (task) => ({
+    id: eventRef(task._id),
+    title: task.title,
+    project: task.project,
+    department: task.department,
+    priority: task.priority,
+    assignedTo: eventRef(task.assignedTo),
+    assignedBy: eventRef(task.assignedBy),
+    deadline: task.deadline,
+    completedAt: task.updatedAt,
+  }),
+});
 
 export default mongoose.model('Task', taskSchema);
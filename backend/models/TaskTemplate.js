@@ -0,0 +1,193 @@
+import mongoose from 'mongoose';
+
+/**
+ * Task Template Schema
+ * A reusable task (assignee, priority, checklist, dependencies) and optionally a
+ * recurrence rule. Recurring templates are series: the task recurrence scheduler
+ * creates each instance `leadDays` ahead of its date and links it back here.
+ */
+
+const dependencySchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: String,
+  // Who has to deliver; the task assignee is the one asking
+  dependsOn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  category: {
+    type: String,
+    enum: ['information', 'document', 'approval', 'review', 'resource', 'action', 'other'],
+    default: 'information',
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium',
+  },
+  // Due this many days before the task deadline
+  dueDaysBefore: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+});
+
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ['none', 'daily', 'weekly', 'monthly'],
+      default: 'none',
+    },
+    // Every N days, weeks or months
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: 52,
+    },
+    // Weekly: days of the week (0 = Sunday); defaults to the start date's weekday
+    weekdays: [{
+      type: Number,
+      min: 0,
+      max: 6,
+    }],
+    // Monthly: which day of the month
+    monthlyBy: {
+      type: String,
+      enum: ['dayOfMonth', 'weekdayOfMonth', 'firstWorkingDay', 'lastWorkingDay'],
+      default: 'dayOfMonth',
+    },
+    // dayOfMonth past the month's end falls on its last day
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31,
+    },
+    // weekdayOfMonth: 1-4 or -1 for the last (e.g. 2 + Monday = "every 2nd Monday")
+    weekOfMonth: {
+      type: Number,
+      enum: [1, 2, 3, 4, -1],
+    },
+    weekday: {
+      type: Number,
+      min: 0,
+      max: 6,
+    },
+    // What to do when a date lands on a weekend or holiday
+    onNonWorkingDay: {
+      type: String,
+      enum: ['keep', 'previous', 'next', 'skip'],
+      default: 'keep',
+    },
+    startDate: Date,
+    endDate: Date,
+    // Stop after this many instances
+    count: {
+      type: Number,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+const taskTemplateSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Task title; {{date}}, {{month}}, {{year}} and {{quarter}} are filled in per instance
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+    project: String,
+    department: String,
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical'],
+      default: 'medium',
+    },
+    capacity: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    secondaryAssignees: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    // Time of day instances are due, HH:mm
+    dueTime: {
+      type: String,
+      default: '17:00',
+      match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    },
+    checklist: [{
+      title: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+    }],
+    dependencies: [dependencySchema],
+    recurrence: {
+      type: recurrenceSchema,
+      default: () => ({}),
+    },
+    // How many days before its date an instance is created
+    leadDays: {
+      type: Number,
+      default: 7,
+      min: 0,
+      max: 90,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    lastOccurrence: Date,
+    nextOccurrence: Date,
+    generatedCount: {
+      type: Number,
+      default: 0,
+    },
+    lastGeneratedAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+taskTemplateSchema.index({ company: 1, name: 1 });
+taskTemplateSchema.index({ active: 1, nextOccurrence: 1 });
+
+export default mongoose.model('TaskTemplate', taskTemplateSchema);
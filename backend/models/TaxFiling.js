@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
 
 /**
  * Tax Filing Report Schema
@@ -208,4 +209,6 @@ taxFilingSchema.methods.generateFBRXML = function() {
 </WHT_Statement>`;
 };
 
+taxFilingSchema.plugin(auditPlugin, { module: 'TAX_FILING', reference: 'period' });
+
 export default mongoose.model('TaxFiling', taxFilingSchema);
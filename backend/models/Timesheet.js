@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import { domainEventPlugin, eventRef } from '../services/eventBus.js';
+
+/**
+ * Timesheet Schema
+ * An employee's week of worklogs, submitted to the manager they report to.
+ * The worklogs are locked while the timesheet is submitted or approved.
+ */
+
+const timesheetEntrySchema = new mongoose.Schema(
+  {
+    worklog: { type: mongoose.Schema.Types.ObjectId, ref: 'Worklog' },
+    date: Date,
+    project: String,
+    linkedProject: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    task: String,
+    hours: Number,
+    billable: Boolean,
+  },
+  { _id: false }
+);
+
+const timesheetSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Sunday to Saturday, as in the worklog week view
+    weekStart: {
+      type: Date,
+      required: true,
+    },
+    weekEnd: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['submitted', 'approved', 'rejected'],
+      default: 'submitted',
+    },
+    // Worklogs as submitted
+    entries: [timesheetEntrySchema],
+    totalHours: { type: Number, default: 0 },
+    billableHours: { type: Number, default: 0 },
+    submittedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: Date,
+    rejectionReason: String,
+  },
+  { timestamps: true }
+);
+
+timesheetSchema.index({ company: 1, employee: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ company: 1, status: 1, weekStart: 1 });
+
+timesheetSchema.plugin(domainEventPlugin, {
+  transitions: { approved: 'timesheet.approved' },
+  payload: (timesheet) => ({
+    id: eventRef(timesheet._id),
+    employee: eventRef(timesheet.employee),
+    weekStart: timesheet.weekStart,
+    weekEnd: timesheet.weekEnd,
+    totalHours: timesheet.totalHours,
+    billableHours: timesheet.billableHours,
+    approvedBy: eventRef(timesheet.reviewedBy),
+    approvedAt: timesheet.reviewedAt,
+  }),
+});
+
+export default mongoose.model('Timesheet', timesheetSchema);
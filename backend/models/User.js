@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import Session from './Session.js';
+import { auditPlugin } from '../services/auditService.js';
+import { domainEventPlugin, eventRef } from '../services/eventBus.js';
 
 function normalizeWhatsAppNumber(value) {
   if (typeof value !== 'string') return value;
@@ -158,6 +161,11 @@ const userSchema = new mongoose.Schema(
       enum: ['admin', 'hr', 'manager', 'employee', 'chairman', 'finance', 'accountant', 'auditor'],
       default: 'employee',
     },
+    // Company-defined roles granting permissions on top of the built-in role
+    customRoles: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Role',
+    }],
     status: {
       type: String,
       enum: ['active', 'inactive', 'on_leave', 'suspended'],
@@ -233,6 +241,25 @@ const userSchema = new mongoose.Schema(
       },
     },
     
+    // Identity at the company's SSO provider, linked at the first SSO sign-in
+    sso: {
+      provider: { type: mongoose.Schema.Types.ObjectId, ref: 'IdentityProvider' },
+      subject: String, // OIDC "sub" or SAML NameID
+      lastLoginAt: Date,
+    },
+
+    // TOTP two-factor authentication; secrets and recovery code hashes are never selected by default
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false }, // Set up but not yet confirmed with a code
+      recoveryCodes: { type: [String], select: false }, // SHA-256 hashes; each is removed once used
+      lastUsedStep: { type: Number, select: false }, // Stops a code being replayed in its window
+      failedAttempts: { type: Number, default: 0, select: false }, // Wrong codes since the last success or lockout
+      lockedUntil: { type: Date, select: false },
+      enabledAt: Date,
+    },
+
     company: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Company',
@@ -245,4 +272,60 @@ const userSchema = new mongoose.Schema(
 // Ensure a real unique index exists in MongoDB (sparse allows multiple nulls)
 userSchema.index({ whatsappNumber: 1 }, { unique: true, sparse: true });
 
+userSchema.plugin(auditPlugin, { module: 'EMPLOYEE', reference: 'email', exclude: ['password', 'twoFactor'] });
+
+userSchema.plugin(domainEventPlugin, {
+  created: 'employee.created',
+  transitions: { inactive: 'employee.deactivated' },
+  payload: (user) => ({
+    id: eventRef(user._id),
+    employeeId: user.employeeId,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    role: user.role,
+    designation: user.designation,
+    department: user.department,
+    position: eventRef(user.position),
+    reportsTo: eventRef(user.reportsTo),
+    joinDate: user.joinDate,
+    status: user.status,
+  }),
+});
+
+// Deactivating or suspending a user signs them out of every device
+const SIGNED_OUT_STATUSES = ['inactive', 'suspended'];
+
+const revokeSessions = (userIds) => Session.updateMany(
+  { user: { $in: userIds }, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: 'status_change' }
+);
+
+userSchema.pre('save', function (next) {
+  this.$locals.signOut = !this.isNew && this.isModified('status') && SIGNED_OUT_STATUSES.includes(this.status);
+  next();
+});
+
+userSchema.post('save', async function (doc) {
+  if (doc.$locals.signOut) await revokeSessions([doc._id]);
+});
+
+// Users matched by a status update, kept per query until it has run
+const pendingSignOuts = new WeakMap();
+
+userSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function () {
+  const update = this.getUpdate() || {};
+  const status = update.$set?.status ?? update.status;
+  if (!SIGNED_OUT_STATUSES.includes(status)) return;
+  const users = await this.model.find(this.getFilter()).select('_id').lean();
+  pendingSignOuts.set(this, users.map((user) => user._id));
+});
+
+userSchema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], async function () {
+  const userIds = pendingSignOuts.get(this);
+  if (!userIds?.length) return;
+  pendingSignOuts.delete(this);
+  await revokeSessions(userIds);
+});
+
 export default mongoose.model('User', userSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
 
 /**
  * Vendor Schema
@@ -282,4 +283,6 @@ vendorSchema.methods.verifyFilerStatus = async function() {
   };
 };
 
+vendorSchema.plugin(auditPlugin, { module: 'VENDOR', reference: 'vendorCode' });
+
 export default mongoose.model('Vendor', vendorSchema);
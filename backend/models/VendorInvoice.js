@@ -0,0 +1,214 @@
+import mongoose from 'mongoose';
+import { auditPlugin, amountImpact } from '../services/auditService.js';
+
+/**
+ * Vendor Invoice Schema
+ * Accounts payable invoices with PO / receipt / invoice three-way matching,
+ * WHT deducted at payment and scheduling into bank payment batches
+ */
+
+const invoiceLineSchema = new mongoose.Schema({
+  // PO line being billed (null for non-PO invoices)
+  poLine: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  description: {
+    type: String,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  taxAmount: {
+    type: Number,
+    default: 0, // Input sales tax
+  },
+  // Expense / asset account debited (defaults to the PO line head of account)
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChartOfAccount',
+  },
+  costCenter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostCenter',
+  },
+  // Defaults to the PO line project and is carried to the journal line
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+  },
+  // Three-way match result
+  match: {
+    orderedQuantity: Number,
+    receivedQuantity: Number,
+    previouslyInvoiced: Number,
+    poUnitPrice: Number,
+    quantityVariance: Number, // Quantity invoiced beyond received
+    priceVariance: Number, // (invoice - PO unit price) x quantity
+    status: {
+      type: String,
+      enum: ['matched', 'exception', 'not-required'],
+    },
+    exceptions: [String],
+  },
+});
+
+const vendorInvoiceSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    // Internal number (AP-YYYYMM-00001) and the vendor's own invoice number
+    invoiceNumber: {
+      type: String,
+      required: true,
+    },
+    vendorInvoiceNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vendor',
+      required: true,
+    },
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseOrder',
+    },
+    // Dates
+    invoiceDate: {
+      type: Date,
+      required: true,
+    },
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+    fiscalYear: {
+      type: String,
+      required: true,
+    },
+    // Lines
+    lines: [invoiceLineSchema],
+    // Totals
+    subtotal: {
+      type: Number,
+      default: 0,
+    },
+    taxTotal: {
+      type: Number,
+      default: 0,
+    },
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Withholding tax, deducted when the invoice is paid
+    wht: {
+      rate: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 },
+      section: String,
+      isExempt: Boolean,
+      belowThreshold: Boolean,
+    },
+    netPayable: {
+      type: Number,
+      default: 0,
+    },
+    // Three-way match
+    matchStatus: {
+      type: String,
+      enum: ['pending', 'matched', 'exception', 'overridden', 'not-required'],
+      default: 'pending',
+    },
+    matchedAt: {
+      type: Date,
+    },
+    matchOverride: {
+      reason: String,
+      overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      overriddenAt: Date,
+    },
+    // Status
+    // 'approving' is held while approveInvoice posts the journal, so only one request approves an invoice
+    status: {
+      type: String,
+      enum: ['draft', 'approving', 'approved', 'scheduled', 'paid', 'cancelled'],
+      default: 'draft',
+    },
+    // GL posting
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry',
+    },
+    // Payment
+    paymentBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BankPaymentBatch',
+    },
+    paidAt: {
+      type: Date,
+    },
+    // Workflow
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    approvedAt: {
+      type: Date,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    attachmentUrl: String,
+    notes: String,
+  },
+  { timestamps: true }
+);
+
+// Indexes
+vendorInvoiceSchema.index({ company: 1, invoiceNumber: 1 }, { unique: true });
+vendorInvoiceSchema.index({ company: 1, vendor: 1, vendorInvoiceNumber: 1 });
+vendorInvoiceSchema.index({ company: 1, status: 1, dueDate: 1 });
+vendorInvoiceSchema.index({ company: 1, purchaseOrder: 1 });
+
+// Calculate totals before save
+vendorInvoiceSchema.pre('save', function(next) {
+  this.lines.forEach(line => {
+    line.amount = Math.round(line.quantity * line.unitPrice * 100) / 100;
+  });
+
+  this.subtotal = this.lines.reduce((sum, line) => sum + line.amount, 0);
+  this.taxTotal = this.lines.reduce((sum, line) => sum + (line.taxAmount || 0), 0);
+  this.totalAmount = this.subtotal + this.taxTotal;
+  this.netPayable = this.totalAmount - (this.wht?.amount || 0);
+  next();
+});
+
+vendorInvoiceSchema.plugin(auditPlugin, { module: 'VENDOR_INVOICE', reference: 'invoiceNumber', impact: amountImpact('totalAmount') });
+
+export default mongoose.model('VendorInvoice', vendorInvoiceSchema);
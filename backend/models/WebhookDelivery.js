@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+/**
+ * Webhook Delivery Schema
+ * One event sent to one endpoint, with every attempt's outcome. Redeliveries are
+ * new records carrying the original event ID so receivers can de-duplicate.
+ */
+
+const attemptSchema = new mongoose.Schema(
+  {
+    attemptedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    responseStatus: Number,
+    // First kilobyte of the response
+    responseBody: String,
+    durationMs: Number,
+    error: String,
+  },
+  { _id: false }
+);
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    endpoint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookEndpoint',
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // The event envelope posted as the request body
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending',
+    },
+    attempts: [attemptSchema],
+    attemptCount: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      required: true,
+    },
+    // When a pending delivery is next tried; pushed out while an attempt is in flight
+    nextAttemptAt: Date,
+    deliveredAt: Date,
+    redeliveryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookDelivery',
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ company: 1, endpoint: 1, createdAt: -1 });
+// The delivery log keeps 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
+import { EVENT_TYPES, ALL_EVENTS } from '../config/events.js';
+
+/**
+ * Webhook Endpoint Schema
+ * A company URL that receives signed POSTs for the domain events it subscribes to
+ */
+
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+    events: {
+      type: [{ type: String, enum: [...EVENT_TYPES, ALL_EVENTS] }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: 'Subscribe the endpoint to at least one event',
+      },
+    },
+    // HMAC-SHA256 signing key; shown once when created or rotated
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    lastDeliveryAt: Date,
+    lastDeliveryStatus: {
+      type: String,
+      enum: ['succeeded', 'failed'],
+    },
+    // Failed attempts since the last success
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+webhookEndpointSchema.index({ company: 1, enabled: 1, events: 1 });
+
+webhookEndpointSchema.plugin(auditPlugin, { module: 'ACCESS_CONTROL', reference: 'name', exclude: ['secret'] });
+
+export default mongoose.model('WebhookEndpoint', webhookEndpointSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
 
 const worklogSchema = new mongoose.Schema({
   user: {
@@ -15,6 +16,11 @@ const worklogSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Project the hours are costed to; matched from the project name when not given
+  linkedProject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
   task: {
     type: String,
     required: true,
@@ -35,6 +41,15 @@ const worklogSchema = new mongoose.Schema({
     type: String,
     enum: ['completed', 'in-progress', 'pending'],
     default: 'completed'
+  },
+  billable: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the week is submitted as a timesheet
+  timesheet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Timesheet'
   }
 }, {
   timestamps: true
@@ -43,5 +58,8 @@ const worklogSchema = new mongoose.Schema({
 // Index for efficient queries
 worklogSchema.index({ user: 1, date: -1 });
 worklogSchema.index({ date: -1 });
+worklogSchema.index({ linkedProject: 1, date: -1 });
+
+worklogSchema.plugin(auditPlugin, { module: 'TIMESHEET' });
 
 export default mongoose.model('Worklog', worklogSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
 
 /**
  * Year-End Closing Schema
@@ -150,4 +151,6 @@ yearEndClosingSchema.pre('save', function(next) {
   next();
 });
 
+yearEndClosingSchema.plugin(auditPlugin, { module: 'YEAR_END_CLOSING', reference: 'fiscalYear' });
+
 export default mongoose.model('YearEndClosing', yearEndClosingSchema);
@@ -0,0 +1,189 @@
+/**
+ * Access Review Routes
+ * Quarterly access attestation campaigns, reviewer decisions and the attestation report
+ */
+
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { hasPermission, permissionsForRequest } from '../services/permissionService.js';
+import accessReviewService from '../services/accessReviewService.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const sendError = (res, error, action) => {
+  if (!error.status) logger.error(`Error ${action}:`, error);
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+const REPORT_PERMISSIONS = ['accessreview.manage', 'accessreview.report'];
+
+// ============================================
+// REVIEWER
+// ============================================
+
+/**
+ * GET /api/access-reviews/my-items
+ * Pending items assigned to the signed-in reviewer
+ */
+router.get('/my-items', async (req, res) => {
+  try {
+    const items = await accessReviewService.listMyItems({ companyId: req.user.company, reviewerId: req.user._id });
+    res.json({ success: true, count: items.length, data: items });
+  } catch (error) {
+    sendError(res, error, 'fetching review items');
+  }
+});
+
+/**
+ * POST /api/access-reviews/items/:itemId/decision
+ * Keep or revoke a user's access. Body: { decision: 'keep'|'revoke', comment }
+ */
+router.post('/items/:itemId/decision', async (req, res) => {
+  try {
+    const permissions = await permissionsForRequest(req);
+    const item = await accessReviewService.decideItem({
+      companyId: req.user.company,
+      itemId: req.params.itemId,
+      userId: req.user._id,
+      canManage: hasPermission(permissions, 'accessreview.manage'),
+      decision: req.body.decision,
+      comment: req.body.comment,
+    });
+    res.json({ success: true, data: item });
+  } catch (error) {
+    sendError(res, error, 'recording review decision');
+  }
+});
+
+/**
+ * PUT /api/access-reviews/items/:itemId/reviewer
+ * Reassign a pending item. Body: { reviewer }
+ */
+router.put('/items/:itemId/reviewer', requirePermission('accessreview.manage'), async (req, res) => {
+  try {
+    const item = await accessReviewService.reassignItem({
+      companyId: req.user.company,
+      itemId: req.params.itemId,
+      reviewerId: req.body.reviewer,
+    });
+    res.json({ success: true, data: item });
+  } catch (error) {
+    sendError(res, error, 'reassigning review item');
+  }
+});
+
+// ============================================
+// CAMPAIGNS
+// ============================================
+
+/**
+ * GET /api/access-reviews
+ * Campaigns with decision counts
+ */
+router.get('/', requirePermission(REPORT_PERMISSIONS), async (req, res) => {
+  try {
+    const campaigns = await accessReviewService.listCampaigns(req.user.company);
+    res.json({ success: true, count: campaigns.length, data: campaigns });
+  } catch (error) {
+    sendError(res, error, 'fetching access reviews');
+  }
+});
+
+/**
+ * POST /api/access-reviews
+ * Launch a campaign. Body: { name, description, period, dueDate, reminderIntervalDays, fallbackReviewer }
+ */
+router.post('/', requirePermission('accessreview.manage'), async (req, res) => {
+  try {
+    const campaign = await accessReviewService.launchCampaign({
+      companyId: req.user.company,
+      data: req.body,
+      userId: req.user._id,
+    });
+    res.status(201).json({ success: true, data: campaign });
+  } catch (error) {
+    sendError(res, error, 'launching access review');
+  }
+});
+
+/**
+ * GET /api/access-reviews/:id/report
+ * Attestation report for internal audit; ?format=csv downloads it
+ */
+router.get('/:id/report', requirePermission(REPORT_PERMISSIONS), async (req, res) => {
+  try {
+    const { campaign, summary } = await accessReviewService.attestationReport({
+      companyId: req.user.company,
+      id: req.params.id,
+    });
+
+    if (req.query.format === 'csv') {
+      const filename = `access-review-${campaign.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.csv`;
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+      return res.send(accessReviewService.toAttestationCsv(campaign.items));
+    }
+
+    res.json({ success: true, data: { campaign, summary }, exportedAt: new Date() });
+  } catch (error) {
+    sendError(res, error, 'exporting attestation report');
+  }
+});
+
+/**
+ * GET /api/access-reviews/:id
+ * Campaign and items; reviewers without report access only see their own items
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const permissions = await permissionsForRequest(req);
+    const canSeeAll = REPORT_PERMISSIONS.some((permission) => hasPermission(permissions, permission));
+    const campaign = await accessReviewService.getCampaign({
+      companyId: req.user.company,
+      id: req.params.id,
+      reviewerId: canSeeAll ? undefined : req.user._id,
+    });
+    res.json({ success: true, data: campaign });
+  } catch (error) {
+    sendError(res, error, 'fetching access review');
+  }
+});
+
+/**
+ * POST /api/access-reviews/:id/complete
+ * Close the campaign; undecided items remain pending in the report
+ */
+router.post('/:id/complete', requirePermission('accessreview.manage'), async (req, res) => {
+  try {
+    const campaign = await accessReviewService.completeCampaign({
+      companyId: req.user.company,
+      id: req.params.id,
+      userId: req.user._id,
+    });
+    res.json({ success: true, data: campaign });
+  } catch (error) {
+    sendError(res, error, 'completing access review');
+  }
+});
+
+/**
+ * POST /api/access-reviews/:id/cancel
+ * Cancel an active campaign
+ */
+router.post('/:id/cancel', requirePermission('accessreview.manage'), async (req, res) => {
+  try {
+    const campaign = await accessReviewService.cancelCampaign({
+      companyId: req.user.company,
+      id: req.params.id,
+      userId: req.user._id,
+    });
+    res.json({ success: true, data: campaign });
+  } catch (error) {
+    sendError(res, error, 'cancelling access review');
+  }
+});
+
+export default router;
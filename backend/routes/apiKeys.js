@@ -0,0 +1,129 @@
+/**
+ * API Key Routes
+ * Company API keys for integrations, their scopes and usage
+ */
+
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import apiKeyService from '../services/apiKeyService.js';
+import { permissionsForRequest } from '../services/permissionService.js';
+import { API_SCOPES } from '../config/apiScopes.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission('apikey.manage'));
+
+const sendError = (res, error, action) => {
+  if (!error.status) logger.error(`Error ${action}:`, error);
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+/**
+ * GET /api/api-keys/scopes
+ * Scopes a key can be granted and the routes each opens
+ */
+router.get('/scopes', (req, res) => {
+  res.json({ success: true, data: API_SCOPES.map(({ key, label, access, routes }) => ({ key, label, access, routes })) });
+});
+
+/**
+ * GET /api/api-keys/usage
+ * Daily requests, failures and rate-limited requests across all keys. Query: days (default 30)
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const usage = await apiKeyService.getUsage({ companyId: req.user.company, days: req.query.days });
+    res.json({ success: true, data: usage });
+  } catch (error) {
+    sendError(res, error, 'fetching API key usage');
+  }
+});
+
+/**
+ * GET /api/api-keys
+ */
+router.get('/', async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys(req.user.company);
+    res.json({ success: true, count: keys.length, data: keys });
+  } catch (error) {
+    sendError(res, error, 'fetching API keys');
+  }
+});
+
+/**
+ * POST /api/api-keys
+ * Issue a key. Body: { name, description, scopes, rateLimit, allowedIps, expiresAt }
+ * The key is in the response and is not shown again.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { apiKey, key } = await apiKeyService.createKey({
+      companyId: req.user.company,
+      data: req.body,
+      userId: req.user._id,
+      granted: await permissionsForRequest(req),
+    });
+    res.status(201).json({ success: true, data: apiKey, key });
+  } catch (error) {
+    sendError(res, error, 'creating API key');
+  }
+});
+
+/**
+ * GET /api/api-keys/:id/usage
+ * Daily usage of one key. Query: days (default 30)
+ */
+router.get('/:id/usage', async (req, res) => {
+  try {
+    const usage = await apiKeyService.getUsage({ companyId: req.user.company, id: req.params.id, days: req.query.days });
+    res.json({ success: true, data: usage });
+  } catch (error) {
+    sendError(res, error, 'fetching API key usage');
+  }
+});
+
+/**
+ * PUT /api/api-keys/:id
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.updateKey({
+      companyId: req.user.company,
+      id: req.params.id,
+      data: req.body,
+      granted: await permissionsForRequest(req),
+    });
+    res.json({ success: true, data: apiKey });
+  } catch (error) {
+    sendError(res, error, 'updating API key');
+  }
+});
+
+/**
+ * POST /api/api-keys/:id/rotate
+ * Replace the key value; the old value stops working immediately
+ */
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const { apiKey, key } = await apiKeyService.rotateKey({ companyId: req.user.company, id: req.params.id });
+    res.json({ success: true, data: apiKey, key });
+  } catch (error) {
+    sendError(res, error, 'rotating API key');
+  }
+});
+
+/**
+ * POST /api/api-keys/:id/revoke
+ */
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeKey({ companyId: req.user.company, id: req.params.id, userId: req.user._id });
+    res.json({ success: true, data: apiKey });
+  } catch (error) {
+    sendError(res, error, 'revoking API key');
+  }
+});
+
+export default router;
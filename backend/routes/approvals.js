@@ -1,14 +1,24 @@
 import express from 'express';
 import User from '../models/User.js';
 import ApprovalFlow from '../models/ApprovalFlow.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { applyApprovalOutcome } from '../services/leaveService.js';
+import lifecycleService from '../services/lifecycleService.js';
 
 const router = express.Router();
 
 // Create approval flow for a request
-router.post('/', authenticate, authorize(['hr', 'admin']), async (req, res) => {
+router.post('/', authenticate, requirePermission('approval.create'), async (req, res) => {
   const { requestType, requestId, requester, approvers } = req.body;
 
+  // Leave flows are opened by the leaves module together with the Leave record
+  if (requestType === 'leave') {
+    return res.status(400).json({ message: 'Leave requests must be submitted through /api/leaves' });
+  }
+  if (lifecycleService.EVENT_TYPES.includes(requestType)) {
+    return res.status(400).json({ message: 'Employee lifecycle changes must be submitted through /api/lifecycle' });
+  }
+
   try {
     const approvalFlow = new ApprovalFlow({
       requestType,
@@ -135,6 +145,13 @@ router.put('/:id/approve', authenticate, async (req, res) => {
     }
 
     const updatedFlow = await flow.save();
+
+    if (updatedFlow.requestType === 'leave') {
+      await applyApprovalOutcome(updatedFlow, req.user._id);
+    } else if (lifecycleService.EVENT_TYPES.includes(updatedFlow.requestType)) {
+      await lifecycleService.applyApprovalOutcome(updatedFlow, req.user._id);
+    }
+
     await updatedFlow.populate([
       { path: 'requester', select: 'firstName lastName' },
       { path: 'approvers.approver', select: 'firstName lastName' },
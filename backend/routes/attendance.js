@@ -0,0 +1,286 @@
+import express from 'express';
+import Attendance from '../models/Attendance.js';
+import Shift from '../models/Shift.js';
+import User from '../models/User.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import attendanceService from '../services/attendanceService.js';
+import { toDayStart } from '../services/leaveService.js';
+
+const router = express.Router();
+
+const isHR = (user) => ['hr', 'admin'].includes(user.role);
+
+const MANUAL_STATUSES = ['present', 'absent', 'late', 'half_day', 'work_from_home', 'on_leave'];
+
+// HR/admin: everyone (undefined); managers: themselves and direct reports; others: themselves
+const visibleEmployeeIds = async (user) => {
+  if (isHR(user)) return undefined;
+  if (user.role === 'manager') {
+    const reports = await User.find({ company: user.company, reportsTo: user._id }).select('_id').lean();
+    return [user._id, ...reports.map((report) => report._id)];
+  }
+  return [user._id];
+};
+
+// The JWT payload carries no department, which decides the shift
+const loadEmployee = (user) => User.findOne({ _id: user._id, company: user.company })
+  .select('firstName lastName department company');
+
+const toRecordRow = (record) => ({
+  _id: record._id,
+  employee: record.employee?._id,
+  name: record.employee ? `${record.employee.firstName} ${record.employee.lastName}` : '',
+  employeeId: record.employee?.employeeId,
+  department: record.employee?.department,
+  date: attendanceService.formatDay(record.date),
+  status: record.status,
+  checkIn: attendanceService.formatTime(record.checkIn?.time),
+  checkOut: attendanceService.formatTime(record.checkOut?.time),
+  workMode: record.workMode,
+  lateMinutes: record.lateMinutes,
+  earlyLeaveMinutes: record.earlyLeaveMinutes,
+  workedHours: record.workedHours,
+  isAutoMarked: record.isAutoMarked,
+  notes: record.notes,
+});
+
+// ============================================
+// CHECK-IN / CHECK-OUT
+// ============================================
+
+// GET /api/attendance/today - Own attendance for today with the applicable shift
+router.get('/today', authenticate, async (req, res) => {
+  try {
+    const employee = await loadEmployee(req.user);
+    const [record, shift] = await Promise.all([
+      Attendance.findOne({ employee: req.user._id, date: toDayStart(new Date()) }).lean(),
+      attendanceService.resolveShift(req.user.company, employee?.department),
+    ]);
+
+    res.json({ record, shift });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/attendance/check-in - Check in for today (workMode: office | remote)
+router.post('/check-in', authenticate, async (req, res) => {
+  try {
+    const employee = await loadEmployee(req.user);
+    if (!employee) return res.status(404).json({ message: 'Employee not found' });
+    const workMode = req.body.workMode === 'remote' ? 'remote' : 'office';
+    const { record, shift } = await attendanceService.checkIn({
+      companyId: req.user.company,
+      employee,
+      source: 'web',
+      workMode,
+    });
+
+    res.status(201).json({ message: 'Checked in', record, shift });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// POST /api/attendance/check-out - Check out against today's check-in
+router.post('/check-out', authenticate, async (req, res) => {
+  try {
+    const employee = await loadEmployee(req.user);
+    if (!employee) return res.status(404).json({ message: 'Employee not found' });
+    const { record, shift } = await attendanceService.checkOut({
+      companyId: req.user.company,
+      employee,
+      source: 'web',
+    });
+
+    res.json({ message: 'Checked out', record, shift });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// ============================================
+// RECORDS & REGISTER
+// ============================================
+
+// GET /api/attendance/records - Flat day records (?date=yyyy-MM-dd or ?from=&to=, ?department=, ?employee=, ?status=)
+router.get('/records', authenticate, async (req, res) => {
+  try {
+    const { date, from, to, department, employee, status } = req.query;
+    const query = { company: req.user.company };
+
+    if (date) {
+      query.date = toDayStart(date);
+    } else {
+      const start = from ? toDayStart(from) : toDayStart(new Date(new Date().getFullYear(), new Date().getMonth(), 1));
+      const end = to ? new Date(to) : new Date();
+      end.setHours(23, 59, 59, 999);
+      query.date = { $gte: start, $lte: end };
+    }
+    if (status) query.status = status;
+
+    let employeeIds = await visibleEmployeeIds(req.user);
+    if (employee) {
+      if (employeeIds && !employeeIds.some((id) => id.toString() === employee)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      employeeIds = [employee];
+    }
+    if (department) {
+      const members = await User.find({ company: req.user.company, department }).select('_id').lean();
+      const memberIds = members.map((member) => member._id.toString());
+      employeeIds = (employeeIds || memberIds).filter((id) => memberIds.includes(id.toString()));
+    }
+    if (employeeIds) query.employee = { $in: employeeIds };
+
+    const records = await Attendance.find(query)
+      .populate('employee', 'firstName lastName employeeId department')
+      .sort({ date: -1 })
+      .limit(5000)
+      .lean();
+
+    res.json(records.map(toRecordRow));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/attendance/register - Monthly register merged with leave, worklogs and holidays (?year=&month=&department=)
+router.get('/register', authenticate, async (req, res) => {
+  try {
+    const now = new Date();
+    const year = parseInt(req.query.year, 10) || now.getFullYear();
+    const month = parseInt(req.query.month, 10) || now.getMonth() + 1;
+    if (month < 1 || month > 12) return res.status(400).json({ message: 'month must be between 1 and 12' });
+
+    let employeeIds = await visibleEmployeeIds(req.user);
+    if (req.query.employee) {
+      if (employeeIds && !employeeIds.some((id) => id.toString() === req.query.employee)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      employeeIds = [req.query.employee];
+    }
+
+    const register = await attendanceService.buildMonthlyRegister({
+      companyId: req.user.company,
+      year,
+      month,
+      department: req.query.department,
+      employeeIds,
+    });
+
+    res.json(register);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/attendance/mark - Manually mark or correct a day (HR/Admin)
+router.post('/mark', authenticate, requirePermission('attendance.manage'), async (req, res) => {
+  try {
+    const { employee, date, status, notes } = req.body;
+    if (!employee || !date || !status) {
+      return res.status(400).json({ message: 'employee, date and status are required' });
+    }
+    if (!MANUAL_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Invalid status: ${status}` });
+    }
+
+    const member = await User.exists({ _id: employee, company: req.user.company });
+    if (!member) return res.status(404).json({ message: 'Employee not found' });
+
+    const record = await Attendance.findOneAndUpdate(
+      { employee, date: toDayStart(date) },
+      {
+        $set: { status, notes, markedBy: req.user._id, isAutoMarked: false },
+        $setOnInsert: { company: req.user.company },
+      },
+      { new: true, upsert: true, runValidators: true }
+    ).populate('employee', 'firstName lastName employeeId department');
+
+    res.json(toRecordRow(record));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// POST /api/attendance/mark-absent - Run absent marking for a day now (HR/Admin)
+router.post('/mark-absent', authenticate, requirePermission('attendance.manage'), async (req, res) => {
+  try {
+    const date = req.body.date ? new Date(req.body.date) : new Date();
+    const result = await attendanceService.markAbsentees(req.user.company, date);
+    res.json({ message: 'Absent marking completed', ...result });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ============================================
+// SHIFTS
+// ============================================
+
+// GET /api/attendance/shifts - Company shifts
+router.get('/shifts', authenticate, async (req, res) => {
+  try {
+    const shifts = await Shift.find({ company: req.user.company }).sort({ isDefault: -1, name: 1 });
+    res.json(shifts);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/attendance/shifts - Create a shift (HR/Admin)
+router.post('/shifts', authenticate, requirePermission('shift.manage'), async (req, res) => {
+  try {
+    if (req.body.isDefault) {
+      await Shift.updateMany({ company: req.user.company }, { isDefault: false });
+    }
+
+    const shift = await Shift.create({
+      ...req.body,
+      company: req.user.company,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json(shift);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A shift with this name already exists' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// PUT /api/attendance/shifts/:id - Update a shift (HR/Admin)
+router.put('/shifts/:id', authenticate, requirePermission('shift.manage'), async (req, res) => {
+  try {
+    const { company: _company, createdBy: _createdBy, ...updates } = req.body;
+    if (updates.isDefault) {
+      await Shift.updateMany({ company: req.user.company, _id: { $ne: req.params.id } }, { isDefault: false });
+    }
+
+    const shift = await Shift.findOneAndUpdate(
+      { _id: req.params.id, company: req.user.company },
+      updates,
+      { new: true, runValidators: true }
+    );
+    if (!shift) return res.status(404).json({ message: 'Shift not found' });
+
+    res.json(shift);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// DELETE /api/attendance/shifts/:id - Remove a shift (HR/Admin)
+router.delete('/shifts/:id', authenticate, requirePermission('shift.manage'), async (req, res) => {
+  try {
+    const shift = await Shift.findOneAndDelete({ _id: req.params.id, company: req.user.company });
+    if (!shift) return res.status(404).json({ message: 'Shift not found' });
+    res.json({ message: 'Shift deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
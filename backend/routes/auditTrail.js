@@ -1,6 +1,7 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
-import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import { recordAudit, verifyChain } from '../services/auditService.js';
 
 const router = express.Router();
 
@@ -8,120 +9,9 @@ const router = express.Router();
 // AUDIT TRAIL MODULE - CA/CFO CRITICAL (Issue #25/#26)
 // Provides immutable audit logging for all financial transactions
 // NAM/IFRS Compliance: Complete audit trail with hash verification
+// Entries are written automatically by auditService.auditPlugin on audited models
 // ============================================================================
 
-// AuditLog Schema (inline for immediate use)
-const auditLogSchema = new mongoose.Schema({
-  company: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Company',
-    required: true,
-    index: true
-  },
-  
-  // Action Details
-  action: {
-    type: String,
-    enum: ['CREATE', 'UPDATE', 'DELETE', 'APPROVE', 'REJECT', 'REVERSE', 'POST', 'VOID'],
-    required: true,
-    index: true
-  },
-  
-  // Module Reference
-  module: {
-    type: String,
-    enum: [
-      'JOURNAL_ENTRY', 'BANK_PAYMENT', 'PURCHASE_ORDER', 'VENDOR', 
-      'FIXED_ASSET', 'PAYROLL', 'BUDGET', 'CHART_OF_ACCOUNTS',
-      'YEAR_END_CLOSING', 'PERIOD_LOCK', 'TAX_FILING', 'RECONCILIATION'
-    ],
-    required: true,
-    index: true
-  },
-  
-  // Document Reference
-  documentType: { type: String, required: true },
-  documentId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
-  documentNumber: { type: String }, // Human-readable reference (e.g., JV-2024-0001)
-  
-  // User who performed action
-  performedBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
-    index: true
-  },
-  performedByName: { type: String }, // Snapshot for audit immutability
-  performedByEmail: { type: String },
-  
-  // Timestamp
-  performedAt: {
-    type: Date,
-    default: Date.now,
-    required: true,
-    index: true
-  },
-  
-  // IP Address & Session
-  ipAddress: { type: String },
-  userAgent: { type: String },
-  sessionId: { type: String },
-  
-  // Changes Snapshot
-  previousState: { type: mongoose.Schema.Types.Mixed }, // Before
-  newState: { type: mongoose.Schema.Types.Mixed }, // After
-  changedFields: [{ type: String }], // List of changed field names
-  
-  // Financial Impact
-  financialImpact: {
-    debitAmount: { type: Number, default: 0 },
-    creditAmount: { type: Number, default: 0 },
-    netImpact: { type: Number, default: 0 },
-    affectedAccounts: [{ type: String }]
-  },
-  
-  // Hash for immutability verification
-  previousHash: { type: String }, // Hash of previous audit log
-  currentHash: { type: String }, // Hash of this entry (for chain verification)
-  
-  // Reason/Notes
-  reason: { type: String },
-  notes: { type: String },
-  
-  // Flags
-  isSystemGenerated: { type: Boolean, default: false },
-  isReversed: { type: Boolean, default: false },
-  reversedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  reversedAt: { type: Date }
-  
-}, { timestamps: true });
-
-// Compound indexes for efficient queries
-auditLogSchema.index({ company: 1, module: 1, performedAt: -1 });
-auditLogSchema.index({ company: 1, documentId: 1, performedAt: -1 });
-auditLogSchema.index({ company: 1, performedBy: 1, performedAt: -1 });
-
-const AuditLog = mongoose.model('AuditLog', auditLogSchema);
-
-// ============================================================================
-// HELPER: Create Hash for Audit Chain
-// ============================================================================
-import crypto from 'crypto';
-
-const createAuditHash = (data, previousHash = '') => {
-  const hashContent = JSON.stringify({
-    previousHash,
-    action: data.action,
-    module: data.module,
-    documentId: data.documentId,
-    performedBy: data.performedBy,
-    performedAt: data.performedAt,
-    newState: data.newState
-  });
-  
-  return crypto.createHash('sha256').update(hashContent).digest('hex');
-};
-
 // ============================================================================
 // POST /log - Create Audit Log Entry (Internal Use)
 // ============================================================================
@@ -133,15 +23,7 @@ router.post('/log', authenticate, async (req, res) => {
       reason, notes, isSystemGenerated
     } = req.body;
     
-    // Get previous audit log for hash chain
-    const previousLog = await AuditLog.findOne({ company: req.user.company })
-      .sort({ performedAt: -1 })
-      .select('currentHash');
-    
-    const previousHash = previousLog?.currentHash || 'GENESIS';
-    
-    // Prepare audit entry
-    const auditData = {
+    const auditLog = await recordAudit({
       company: req.user.company,
       action,
       module,
@@ -151,24 +33,19 @@ router.post('/log', authenticate, async (req, res) => {
       performedBy: req.user._id,
       performedByName: `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim(),
       performedByEmail: req.user.email,
-      performedAt: new Date(),
       ipAddress: req.ip || req.connection?.remoteAddress,
       userAgent: req.headers['user-agent'],
       previousState,
       newState,
       changedFields,
       financialImpact,
-      previousHash,
       reason,
       notes,
       isSystemGenerated: isSystemGenerated || false
-    };
-    
-    // Create hash for this entry
-    auditData.currentHash = createAuditHash(auditData, previousHash);
-    
-    const auditLog = new AuditLog(auditData);
-    await auditLog.save();
+    });
+    if (!auditLog) {
+      return res.status(400).json({ message: 'Error creating audit log' });
+    }
     
     res.status(201).json({
       success: true,
@@ -276,60 +153,10 @@ router.get('/verify-chain', authenticate, async (req, res) => {
     }
     
     const logs = await AuditLog.find(query)
-      .sort({ performedAt: 1 }) // Oldest first for chain verification
+      .sort({ sequence: 1, performedAt: 1, _id: 1 }) // Chain order; entries from before the chain head sort first
       .lean();
     
-    let isValid = true;
-    const invalidEntries = [];
-    let previousHash = 'GENESIS';
-    
-    for (let i = 0; i < logs.length; i++) {
-      const log = logs[i];
-      
-      // Verify previous hash matches (chain integrity)
-      if (log.previousHash !== previousHash) {
-        isValid = false;
-        invalidEntries.push({
-          auditId: log._id,
-          position: i + 1,
-          expectedPreviousHash: previousHash,
-          actualPreviousHash: log.previousHash,
-          issue: 'BROKEN_CHAIN'
-        });
-      }
-      
-      // FIX ISSUE #88: Also verify currentHash by recalculating (data integrity)
-      if (recalculateHashes === 'true') {
-        const recalculatedHash = createAuditHash({
-          module: log.module,
-          action: log.action,
-          documentId: log.documentId,
-          documentType: log.documentType,
-          previousState: log.previousState,
-          newState: log.newState,
-          changes: log.changes,
-          performedBy: log.performedBy,
-          performedAt: log.performedAt,
-          ipAddress: log.ipAddress,
-          userAgent: log.userAgent,
-          transactionAmount: log.transactionAmount,
-          transactionCurrency: log.transactionCurrency
-        }, log.previousHash);
-        
-        if (log.currentHash !== recalculatedHash) {
-          isValid = false;
-          invalidEntries.push({
-            auditId: log._id,
-            position: i + 1,
-            expectedHash: recalculatedHash,
-            actualHash: log.currentHash,
-            issue: 'HASH_MISMATCH_DATA_TAMPERED'
-          });
-        }
-      }
-      
-      previousHash = log.currentHash;
-    }
+    const { isValid, invalidEntries } = verifyChain(logs, { recalculateHashes: recalculateHashes === 'true' });
     
     res.json({
       success: true,
@@ -544,44 +371,26 @@ export const logFinancialTransaction = async ({
   performedBy, performedByName, performedByEmail,
   ipAddress, reason, notes, isSystemGenerated
 }) => {
-  try {
-    // Get previous hash
-    const previousLog = await AuditLog.findOne({ company }).sort({ performedAt: -1 }).select('currentHash');
-    const previousHash = previousLog?.currentHash || 'GENESIS';
-    
-    const auditData = {
-      company,
-      action,
-      module,
-      documentType,
-      documentId,
-      documentNumber,
-      performedBy,
-      performedByName,
-      performedByEmail,
-      performedAt: new Date(),
-      ipAddress,
-      previousState,
-      newState,
-      changedFields,
-      financialImpact,
-      previousHash,
-      reason,
-      notes,
-      isSystemGenerated: isSystemGenerated || false
-    };
-    
-    auditData.currentHash = createAuditHash(auditData, previousHash);
-    
-    const auditLog = new AuditLog(auditData);
-    await auditLog.save();
-    
-    return auditLog._id;
-  } catch (error) {
-    console.error('Audit logging failed:', error);
-    // Don't throw - audit failure shouldn't break transactions
-    return null;
-  }
+  const auditLog = await recordAudit({
+    company,
+    action,
+    module,
+    documentType,
+    documentId,
+    documentNumber,
+    performedBy,
+    performedByName,
+    performedByEmail,
+    ipAddress,
+    previousState,
+    newState,
+    changedFields,
+    financialImpact,
+    reason,
+    notes,
+    isSystemGenerated: isSystemGenerated || false
+  });
+  return auditLog?._id || null;
 };
 
 export { AuditLog };
@@ -1,23 +1,42 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import Company from '../models/Company.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import sessionService from '../services/sessionService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import passwordResetService from '../services/passwordResetService.js';
+import ssoService from '../services/ssoService.js';
 
 const router = express.Router();
 
-const generateToken = (user) => {
-  return jwt.sign(
-    {
-      _id: user._id,
-      email: user.email,
-      role: user.role,
-      company: user.company,
-    },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: '7d' }
-  );
+const loginUser = (user) => ({
+  _id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  role: user.role,
+  designation: user.designation,
+  department: user.department,
+  company: user.company,
+  requirePasswordChange: user.requirePasswordChange,
+});
+
+// Open a session once every sign-in step has passed
+const completeLogin = async (req, user) => {
+  const { token, refreshToken, expiresIn } = await sessionService.startSession({ user, req });
+  return { message: 'Login successful', token, refreshToken, expiresIn, user: loginUser(user) };
+};
+
+// A setup challenge lets a user whose role requires 2FA enrol before they have a session
+const sessionOrSetupChallenge = (req, res, next) => {
+  if (req.body.challengeToken) return next();
+  return authenticate(req, res, next);
+};
+
+const twoFactorUserId = (req) => {
+  if (req.body.challengeToken) return twoFactorService.verifyChallenge(req.body.challengeToken, 'setup');
+  return null;
 };
 
 // Register company and admin
@@ -65,12 +84,13 @@ router.post('/register', async (req, res) => {
     savedCompany.admin = savedAdmin._id;
     await savedCompany.save();
 
-    // Generate token
-    const token = generateToken(savedAdmin);
+    const { token, refreshToken, expiresIn } = await sessionService.startSession({ user: savedAdmin, req });
 
     res.status(201).json({
       message: 'Registration successful',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         _id: savedAdmin._id,
         firstName: savedAdmin.firstName,
@@ -104,26 +124,200 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    const token = generateToken(user);
+    if (sessionService.BLOCKED_STATUSES.includes(user.status)) {
+      return res.status(403).json({ message: 'Account is not active' });
+    }
+
+    if (!(await ssoService.isPasswordLoginAllowed(user))) {
+      return res.status(403).json({ message: 'Your organisation signs in with single sign-on', code: 'SSO_REQUIRED' });
+    }
+
+    // Password is right; a second factor is still needed before a session opens
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.signChallenge(user, 'login'),
+      });
+    }
+    if (twoFactorService.isTwoFactorRequired(user)) {
+      return res.json({
+        twoFactorSetupRequired: true,
+        challengeToken: twoFactorService.signChallenge(user, 'setup'),
+      });
+    }
 
     console.log('Login successful for:', email);
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        _id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-        designation: user.designation,
-        department: user.department,
-        company: user.company,
-        requirePasswordChange: user.requirePasswordChange,
-      },
-    });
+    res.json(await completeLogin(req, user));
   } catch (error) {
     console.error('Login error:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Second sign-in step: authenticator or recovery code
+router.post('/login/2fa', async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  try {
+    const userId = twoFactorService.verifyChallenge(challengeToken, 'login');
+    const { method, recoveryCodesRemaining } = await twoFactorService.verifySecondFactor(userId, code);
+    const user = await User.findById(userId).populate('company');
+
+    res.json({ ...(await completeLogin(req, user)), twoFactorMethod: method, recoveryCodesRemaining });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Whether an email address signs in through its company's identity provider
+router.get('/sso/discover', async (req, res) => {
+  try {
+    const provider = await ssoService.findProviderForEmail(req.query.email);
+    res.json(provider
+      ? { sso: true, providerId: provider._id, name: provider.name, enforced: provider.enforced }
+      : { sso: false });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Service provider metadata for registering this app at a SAML IdP
+router.get('/sso/saml/metadata', (req, res) => {
+  res.type('application/samlmetadata+xml').send(ssoService.serviceProviderMetadata());
+});
+
+// Browser redirect back from an OIDC provider
+router.get('/sso/oidc/callback', async (req, res) => {
+  try {
+    const code = await ssoService.completeOidcLogin({
+      state: req.query.state,
+      code: req.query.code,
+      error: req.query.error,
+      errorDescription: req.query.error_description,
+    });
+    res.redirect(ssoService.appCallbackUrl({ code }));
+  } catch (error) {
+    if (!error.status) console.error('SSO callback error:', error);
+    res.redirect(ssoService.appCallbackUrl({ error: error.message }));
+  }
+});
+
+// SAML assertion consumer service (HTTP-POST binding)
+router.post('/sso/saml/acs', async (req, res) => {
+  try {
+    const code = await ssoService.completeSamlLogin({
+      samlResponse: req.body.SAMLResponse,
+      relayState: req.body.RelayState,
+    });
+    res.redirect(303, ssoService.appCallbackUrl({ code }));
+  } catch (error) {
+    if (!error.status) console.error('SAML ACS error:', error);
+    res.redirect(303, ssoService.appCallbackUrl({ error: error.message }));
+  }
+});
+
+// Swap the one-time code from an SSO callback for a session
+router.post('/sso/exchange', async (req, res) => {
+  try {
+    const user = await ssoService.exchangeLoginCode(req.body.code);
+    res.json(await completeLogin(req, user));
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Send the browser to the identity provider
+router.get('/sso/:providerId/start', async (req, res) => {
+  try {
+    res.redirect(await ssoService.startLogin({ providerId: req.params.providerId, loginHint: req.query.login_hint }));
+  } catch (error) {
+    if (!error.status) console.error('SSO start error:', error);
+    res.redirect(ssoService.appCallbackUrl({ error: error.message }));
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const tokens = await sessionService.refreshSession({ refreshToken: req.body.refreshToken, req });
+    res.json(tokens);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Sign out of this device
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await sessionService.endSession({ sessionId: req.user.sid, userId: req.user._id, reason: 'logout' });
+    res.json({ message: 'Signed out' });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Devices the current user is signed in on
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions({ userId: req.user._id, currentSessionId: req.user.sid });
+    res.json(sessions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Sign out every other device
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeUserSessions({
+      userIds: [req.user._id],
+      reason: 'user_revoked',
+      revokedBy: req.user._id,
+      exceptSessionId: req.user.sid,
+    });
+    res.json({ message: `Signed out of ${revoked} other session(s)`, revoked });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Sign out one of the current user's devices
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    await sessionService.endSession({
+      sessionId: req.params.sessionId,
+      userId: req.user._id,
+      revokedBy: req.user._id,
+    });
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Another user's devices (admin)
+router.get('/users/:userId/sessions', authenticate, requirePermission('session.manage'), async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions({ userId: req.params.userId, companyId: req.user.company });
+    res.json(sessions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Log a user out everywhere (admin)
+router.delete('/users/:userId/sessions', authenticate, requirePermission('session.manage'), async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.userId, company: req.user.company }).select('_id');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const revoked = await sessionService.revokeUserSessions({
+      userIds: [user._id],
+      reason: 'admin_revoked',
+      revokedBy: req.user._id,
+    });
+    res.json({ message: `Signed out of ${revoked} session(s)`, revoked });
+  } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
@@ -147,60 +341,142 @@ router.post('/change-password', authenticate, async (req, res) => {
     user.requirePasswordChange = false;
     await user.save();
 
+    // Other devices sign in again with the new password
+    await sessionService.revokeUserSessions({
+      userIds: [user._id],
+      reason: 'password_change',
+      revokedBy: user._id,
+      exceptSessionId: req.user.sid,
+    });
+
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Get current user
-router.get('/me', authenticate, async (req, res) => {
-  try {
-    const user = await User.findById(req.user._id)
-      .populate('company')
-      .populate('position', 'title department')
-      .populate('reportsTo', 'firstName lastName');
+// Send a reset link. The response is the same whether or not the address has an account.
+router.post('/forgot-password', async (req, res) => {
+  const { email, channel } = req.body;
 
-    res.json(user);
+  try {
+    if (!email) return res.status(400).json({ message: 'Email is required' });
+    await passwordResetService.requestReset({ email, channel, ipAddress: req.ip });
+    res.json({ message: 'If that account exists, a reset link is on its way.' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Temporary: Reset all passwords for company (admin only)
-router.post('/reset-all-passwords', authenticate, async (req, res) => {
+// Choose a new password with a reset link token; every session is signed out
+router.post('/reset-password', async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    await passwordResetService.resetPassword({ token, password });
+    res.json({ message: 'Password reset. Please sign in with your new password.' });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Send a reset link to a user (admin)
+router.post('/users/:userId/password-reset', authenticate, requirePermission('session.manage'), async (req, res) => {
+  try {
+    const sent = await passwordResetService.sendResetForUser({
+      userId: req.params.userId,
+      companyId: req.user.company,
+      channel: req.body.channel,
+      requestedBy: req.user._id,
+    });
+    res.json({ message: `Reset link sent by ${sent.channel} to ${sent.to}`, ...sent });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Two-factor status for the current user
+router.get('/2fa', authenticate, async (req, res) => {
+  try {
+    res.json(await twoFactorService.getStatus(req.user._id));
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Start enrolment: a new secret for the authenticator app.
+// Signed-in users use their session; a setup challenge from login works too.
+router.post('/2fa/setup', sessionOrSetupChallenge, async (req, res) => {
+  try {
+    const userId = twoFactorUserId(req) || req.user._id;
+    res.json(await twoFactorService.beginSetup(userId));
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Confirm enrolment with a first code. Recovery codes are returned once; a setup challenge also signs in.
+router.post('/2fa/enable', sessionOrSetupChallenge, async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin only' });
+    const challengeUserId = twoFactorUserId(req);
+    const { recoveryCodes } = await twoFactorService.enableTwoFactor(challengeUserId || req.user._id, req.body.code);
+
+    if (!challengeUserId) {
+      return res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
     }
-    
-    const newPassword = req.body.password || '123';
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
-    
-    const result = await User.updateMany(
-      { company: req.user.company._id || req.user.company },
-      { $set: { password: hashedPassword, requirePasswordChange: true } }
-    );
-    
-    res.json({ message: `Reset passwords for ${result.modifiedCount} users to "${newPassword}"` });
+    const user = await User.findById(challengeUserId).populate('company');
+    res.json({ ...(await completeLogin(req, user)), recoveryCodes });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
   }
 });
 
-// Temporary: Make all users admin (admin only)
-router.post('/make-all-admin', authenticate, async (req, res) => {
+// Turn 2FA off; needs the account password and is refused for roles that require it
+router.post('/2fa/disable', authenticate, async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin only' });
+    const user = await User.findById(req.user._id).select('password');
+    const isPasswordValid = user && await bcrypt.compare(String(req.body.password || ''), user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: 'Password is incorrect' });
     }
-    
-    const result = await User.updateMany(
-      { company: req.user.company._id || req.user.company },
-      { $set: { role: 'admin' } }
-    );
-    
-    res.json({ message: `Updated ${result.modifiedCount} users to admin role` });
+
+    await twoFactorService.disableTwoFactor(req.user._id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Replace recovery codes; needs a current authenticator code
+router.post('/2fa/recovery-codes', authenticate, async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id, req.body.code);
+    res.json({ recoveryCodes });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Clear a user's 2FA after a lost device and sign them out everywhere (admin)
+router.delete('/users/:userId/2fa', authenticate, requirePermission('session.manage'), async (req, res) => {
+  try {
+    const user = await twoFactorService.resetTwoFactor({ userId: req.params.userId, companyId: req.user.company });
+    await sessionService.revokeUserSessions({ userIds: [user._id], reason: 'admin_revoked', revokedBy: req.user._id });
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Get current user
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('company')
+      .populate('position', 'title department')
+      .populate('reportsTo', 'firstName lastName');
+
+    res.json(user);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -9,7 +9,9 @@ import JournalEntry from '../models/JournalEntry.js';
 import Vendor from '../models/Vendor.js';
 import ChartOfAccount from '../models/ChartOfAccount.js';
 import Budget from '../models/Budget.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import payablesService from '../services/payablesService.js';
+import { enforceSegregation, sodErrorBody } from '../services/sodService.js';
 import logger from '../config/logger.js';
 
 const router = express.Router();
@@ -83,7 +85,7 @@ router.get('/:id', async (req, res) => {
  * POST /api/bank-payments
  * Create new payment batch
  */
-router.post('/', authorize('admin', 'finance', 'accountant'), async (req, res) => {
+router.post('/', requirePermission('payment.prepare'), async (req, res) => {
   try {
     const {
       paymentDate,
@@ -138,15 +140,8 @@ router.post('/', authorize('admin', 'finance', 'accountant'), async (req, res) =
           });
         }
 
-        // Calculate WHT (only applies above Rs. 75,000 threshold per FBR rules)
-        let whtAmount = 0;
-        const whtThreshold = vendor.wht?.whtThreshold || 75000;
-        if (vendor.taxInfo?.whtApplicable && payment.grossAmount >= whtThreshold) {
-          const whtRate = vendor.isFiler 
-            ? (vendor.wht?.filerRate || 4.5) 
-            : (vendor.wht?.nonFilerRate || 9);
-          whtAmount = Math.round((payment.grossAmount * whtRate) / 100);
-        }
+        // Calculate WHT (exemption, threshold and filer rates from the vendor's WHT setup)
+        const { whtAmount } = vendor.calculateWHT(payment.grossAmount);
 
         const netAmount = payment.grossAmount - whtAmount;
 
@@ -218,7 +213,7 @@ router.post('/', authorize('admin', 'finance', 'accountant'), async (req, res) =
  * POST /api/bank-payments/:id/approve
  * Approve payment batch and create journal entry
  */
-router.post('/:id/approve', authorize('admin', 'finance'), async (req, res) => {
+router.post('/:id/approve', requirePermission('payment.approve'), async (req, res) => {
   try {
     const batch = await BankPaymentBatch.findOne({
       _id: req.params.id,
@@ -233,6 +228,14 @@ router.post('/:id/approve', authorize('admin', 'finance'), async (req, res) => {
       });
     }
 
+    await enforceSegregation({
+      req,
+      documentType: 'bank_payment',
+      document: batch,
+      action: 'approve',
+      overrideReason: req.body.sodOverrideReason
+    });
+
     // Create journal entry for the payment
     const year = new Date(batch.paymentDate).getFullYear();
     const month = String(new Date(batch.paymentDate).getMonth() + 1).padStart(2, '0');
@@ -386,6 +389,7 @@ router.post('/:id/approve', authorize('admin', 'finance'), async (req, res) => {
       message: 'Payment batch approved and journal entry created'
     });
   } catch (error) {
+    if (error.code === 'SOD_VIOLATION') return res.status(403).json(sodErrorBody(error));
     logger.error('Error approving payment batch:', error);
     res.status(500).json({ success: false, message: error.message });
   }
@@ -395,7 +399,7 @@ router.post('/:id/approve', authorize('admin', 'finance'), async (req, res) => {
  * GET /api/bank-payments/:id/download
  * Download RAAST/bank payment file
  */
-router.get('/:id/download', authorize('admin', 'finance', 'accountant'), async (req, res) => {
+router.get('/:id/download', requirePermission('payment.prepare'), async (req, res) => {
   try {
     const { format = 'raast' } = req.query;
 
@@ -506,7 +510,7 @@ router.get('/:id/download', authorize('admin', 'finance', 'accountant'), async (
  * POST /api/bank-payments/:id/complete
  * Mark payment batch as completed
  */
-router.post('/:id/complete', authorize('admin', 'finance'), async (req, res) => {
+router.post('/:id/complete', requirePermission('payment.release'), async (req, res) => {
   try {
     const { bankReference, completedPayments } = req.body;
 
@@ -523,6 +527,14 @@ router.post('/:id/complete', authorize('admin', 'finance'), async (req, res) =>
       });
     }
 
+    await enforceSegregation({
+      req,
+      documentType: 'bank_payment',
+      document: batch,
+      action: 'post',
+      overrideReason: req.body.sodOverrideReason
+    });
+
     // Update individual payment statuses if provided
     if (completedPayments && Array.isArray(completedPayments)) {
       for (const cp of completedPayments) {
@@ -530,7 +542,7 @@ router.post('/:id/complete', authorize('admin', 'finance'), async (req, res) =>
           p => p._id.toString() === cp.paymentId
         );
         if (paymentIndex >= 0) {
-          batch.payments[paymentIndex].status = cp.status || 'completed';
+          batch.payments[paymentIndex].status = cp.status || 'processed';
           batch.payments[paymentIndex].bankReference = cp.bankReference;
           batch.payments[paymentIndex].processedAt = new Date();
         }
@@ -538,16 +550,20 @@ router.post('/:id/complete', authorize('admin', 'finance'), async (req, res) =>
     } else {
       // Mark all as completed
       batch.payments.forEach(payment => {
-        payment.status = 'completed';
+        payment.status = 'processed';
         payment.processedAt = new Date();
       });
     }
 
     batch.status = 'completed';
     batch.bankReference = bankReference;
+    batch.completedBy = req.user._id;
     batch.completedAt = new Date();
     await batch.save();
 
+    // Mark vendor invoices paid (or back to approved if their payment was rejected)
+    await payablesService.settleBatchInvoices(req.user.company, batch);
+
     logger.info('Payment batch completed', {
       batchNumber: batch.batchNumber,
       userId: req.user._id
@@ -559,6 +575,7 @@ router.post('/:id/complete', authorize('admin', 'finance'), async (req, res) =>
       message: 'Payment batch marked as completed'
     });
   } catch (error) {
+    if (error.code === 'SOD_VIOLATION') return res.status(403).json(sodErrorBody(error));
     logger.error('Error completing payment batch:', error);
     res.status(500).json({ success: false, message: error.message });
   }
@@ -568,7 +585,7 @@ router.post('/:id/complete', authorize('admin', 'finance'), async (req, res) =>
  * DELETE /api/bank-payments/:id
  * Delete draft payment batch
  */
-router.delete('/:id', authorize('admin', 'finance'), async (req, res) => {
+router.delete('/:id', requirePermission('payment.delete'), async (req, res) => {
   try {
     const batch = await BankPaymentBatch.findOne({
       _id: req.params.id,
@@ -584,6 +601,7 @@ router.delete('/:id', authorize('admin', 'finance'), async (req, res) => {
     }
 
     await batch.deleteOne();
+    await payablesService.releaseBatchInvoices(req.user.company, batch._id);
 
     logger.info('Payment batch deleted', {
       batchNumber: batch.batchNumber,
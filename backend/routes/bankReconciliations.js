@@ -0,0 +1,300 @@
+/**
+ * Bank Reconciliation Routes
+ * Statement import, matching against the GL and reconciliation sign-off
+ */
+
+import express from 'express';
+import multer from 'multer';
+import BankReconciliation from '../models/BankReconciliation.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import bankReconciliationService from '../services/bankReconciliationService.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+const sendError = (res, error, action) => {
+  if (!error.status) logger.error(`Error ${action}:`, error);
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+/**
+ * GET /api/bank-reconciliations
+ * List reconciliations (?bankAccount=&status=&fiscalYear=)
+ */
+router.get('/', requirePermission('reconciliation.read'), async (req, res) => {
+  try {
+    const { bankAccount, status, fiscalYear } = req.query;
+    const query = { company: req.user.company };
+    if (bankAccount) query.bankAccount = bankAccount;
+    if (status) query.status = status;
+    if (fiscalYear) query.fiscalYear = fiscalYear;
+
+    const reconciliations = await BankReconciliation.find(query)
+      .select('-statementLines -reconciliationItems')
+      .populate('bankAccount', 'code name')
+      .populate('preparedBy reviewedBy approvedBy', 'firstName lastName')
+      .sort({ period: -1 });
+
+    res.json({ success: true, count: reconciliations.length, data: reconciliations });
+  } catch (error) {
+    sendError(res, error, 'fetching bank reconciliations');
+  }
+});
+
+/**
+ * GET /api/bank-reconciliations/:id
+ * Reconciliation with statement lines and reconciling items
+ */
+router.get('/:id', requirePermission('reconciliation.read'), async (req, res) => {
+  try {
+    const reconciliation = await BankReconciliation.findOne({ _id: req.params.id, company: req.user.company })
+      .populate('bankAccount', 'code name bankDetails')
+      .populate('statementLines.matchedEntries.journalEntry', 'entryNumber entryDate description')
+      .populate('preparedBy reviewedBy approvedBy', 'firstName lastName');
+    if (!reconciliation) {
+      return res.status(404).json({ success: false, message: 'Bank reconciliation not found' });
+    }
+    res.json({ success: true, data: reconciliation });
+  } catch (error) {
+    sendError(res, error, 'fetching bank reconciliation');
+  }
+});
+
+/**
+ * GET /api/bank-reconciliations/:id/open-lines
+ * Posted GL bank lines not yet matched (manual match candidates)
+ */
+router.get('/:id/open-lines', requirePermission('reconciliation.prepare'), async (req, res) => {
+  try {
+    const lines = await bankReconciliationService.listOpenLines(req.user.company, req.params.id);
+    res.json({ success: true, data: lines });
+  } catch (error) {
+    sendError(res, error, 'fetching open GL lines');
+  }
+});
+
+/**
+ * POST /api/bank-reconciliations
+ * Start a reconciliation. Body: { bankAccount, period: 'YYYY-MM', openingBalanceBank, closingBalanceBank, notes }
+ */
+router.post('/', requirePermission('reconciliation.prepare'), async (req, res) => {
+  try {
+    const { bankAccount, period, openingBalanceBank, closingBalanceBank, notes } = req.body;
+    const reconciliation = await bankReconciliationService.createReconciliation({
+      companyId: req.user.company,
+      bankAccount,
+      period,
+      openingBalanceBank,
+      closingBalanceBank,
+      notes,
+      userId: req.user._id,
+    });
+    res.status(201).json({ success: true, data: reconciliation });
+  } catch (error) {
+    sendError(res, error, 'creating bank reconciliation');
+  }
+});
+
+/**
+ * POST /api/bank-reconciliations/:id/import
+ * Import a bank statement: multipart "statement" file, or JSON { format: 'csv'|'mt940', content }
+ */
+router.post('/:id/import', requirePermission('reconciliation.prepare'), statementUpload.single('statement'), async (req, res) => {
+  try {
+    const fileName = req.file?.originalname || req.body.fileName;
+    const format = req.body.format || (/\.(sta|mt940|940)$/i.test(fileName || '') ? 'mt940' : 'csv');
+    const result = await bankReconciliationService.importStatement({
+      companyId: req.user.company,
+      id: req.params.id,
+      format,
+      content: req.file ? req.file.buffer.toString('utf8') : req.body.content,
+      fileName,
+      userId: req.user._id,
+    });
+
+    res.json({
+      success: true,
+      message: `${result.imported} statement lines imported`,
+      data: result.reconciliation,
+      imported: result.imported,
+      duplicates: result.duplicates,
+      outsidePeriod: result.outsidePeriod,
+    });
+  } catch (error) {
+    sendError(res, error, 'importing bank statement');
+  }
+});
+
+/**
+ * POST /api/bank-reconciliations/:id/auto-match
+ * Match statement lines to GL lines by amount, date window and reference. Body: { dateWindowDays }
+ */
+router.post('/:id/auto-match', requirePermission('reconciliation.prepare'), async (req, res) => {
+  try {
+    const dateWindowDays = req.body.dateWindowDays !== undefined ? Number(req.body.dateWindowDays) : undefined;
+    const result = await bankReconciliationService.autoMatch(req.user.company, req.params.id, { dateWindowDays });
+    res.json({ success: true, message: `${result.matched} lines matched`, data: result.reconciliation, matched: result.matched });
+  } catch (error) {
+    sendError(res, error, 'auto-matching bank statement');
+  }
+});
+
+/**
+ * POST /api/bank-reconciliations/:id/lines/:lineId/match
+ * Manually match a statement line. Body: { entries: [{ journalEntry, lineIndex }] }
+ */
+router.post('/:id/lines/:lineId/match', requirePermission('reconciliation.prepare'), async (req, res) => {
+  try {
+    const reconciliation = await bankReconciliationService.manualMatch({
+      companyId: req.user.company,
+      id: req.params.id,
+      lineId: req.params.lineId,
+      entries: req.body.entries,
+    });
+    res.json({ success: true, data: reconciliation });
+  } catch (error) {
+    sendError(res, error, 'matching statement line');
+  }
+});
+
+/**
+ * POST /api/bank-reconciliations/:id/lines/:lineId/unmatch
+ * Clear a statement line's matches
+ */
+router.post('/:id/lines/:lineId/unmatch', requirePermission('reconciliation.prepare'), async (req, res) => {
+  try {
+    const reconciliation = await bankReconciliationService.unmatch({
+      companyId: req.user.company,
+      id: req.params.id,
+      lineId: req.params.lineId,
+    });
+    res.json({ success: true, data: reconciliation });
+  } catch (error) {
+    sendError(res, error, 'unmatching statement line');
+  }
+});
+
+/**
+ * POST /api/bank-reconciliations/:id/lines/:lineId/classify
+ * Mark a line as bank charge / interest, or exclude it. Body: { adjustmentType, exclude, remarks }
+ */
+router.post('/:id/lines/:lineId/classify', requirePermission('reconciliation.prepare'), async (req, res) => {
+  try {
+    const reconciliation = await bankReconciliationService.classifyLine({
+      companyId: req.user.company,
+      id: req.params.id,
+      lineId: req.params.lineId,
+      adjustmentType: req.body.adjustmentType || null,
+      exclude: Boolean(req.body.exclude),
+      remarks: req.body.remarks,
+    });
+    res.json({ success: true, data: reconciliation });
+  } catch (error) {
+    sendError(res, error, 'classifying statement line');
+  }
+});
+
+/**
+ * POST /api/bank-reconciliations/:id/adjustments
+ * Post the adjustment journal for bank charges and interest. Body: { expenseAccount, incomeAccount }
+ */
+router.post('/:id/adjustments', requirePermission('reconciliation.prepare'), async (req, res) => {
+  try {
+    const result = await bankReconciliationService.postAdjustments({
+      companyId: req.user.company,
+      id: req.params.id,
+      expenseAccount: req.body.expenseAccount,
+      incomeAccount: req.body.incomeAccount,
+      userId: req.user._id,
+    });
+    res.json({
+      success: true,
+      message: `Adjustment journal ${result.journalEntry.entryNumber} posted`,
+      data: result.reconciliation,
+      journalEntry: result.journalEntry,
+    });
+  } catch (error) {
+    sendError(res, error, 'posting reconciliation adjustments');
+  }
+});
+
+/**
+ * POST /api/bank-reconciliations/:id/prepare
+ * Preparer sign-off
+ */
+router.post('/:id/prepare', requirePermission('reconciliation.prepare'), async (req, res) => {
+  try {
+    const reconciliation = await bankReconciliationService.prepare(req.user.company, req.params.id, req.user._id);
+    res.json({ success: true, message: 'Reconciliation prepared', data: reconciliation });
+  } catch (error) {
+    sendError(res, error, 'preparing bank reconciliation');
+  }
+});
+
+/**
+ * POST /api/bank-reconciliations/:id/review
+ * Reviewer sign-off
+ */
+router.post('/:id/review', requirePermission('reconciliation.review'), async (req, res) => {
+  try {
+    const reconciliation = await bankReconciliationService.review(req.user.company, req.params.id, req.user._id);
+    res.json({ success: true, message: 'Reconciliation reviewed', data: reconciliation });
+  } catch (error) {
+    sendError(res, error, 'reviewing bank reconciliation');
+  }
+});
+
+/**
+ * POST /api/bank-reconciliations/:id/approve
+ * Final approval
+ */
+router.post('/:id/approve', requirePermission('reconciliation.approve'), async (req, res) => {
+  try {
+    const reconciliation = await bankReconciliationService.approve(req.user.company, req.params.id, req.user._id);
+    res.json({ success: true, message: 'Reconciliation approved', data: reconciliation });
+  } catch (error) {
+    sendError(res, error, 'approving bank reconciliation');
+  }
+});
+
+/**
+ * POST /api/bank-reconciliations/:id/return
+ * Send back to draft. Body: { reason }
+ */
+router.post('/:id/return', requirePermission(['reconciliation.review', 'reconciliation.approve']), async (req, res) => {
+  try {
+    const reconciliation = await bankReconciliationService.returnToDraft(req.user.company, req.params.id, req.body.reason);
+    res.json({ success: true, message: 'Reconciliation returned to draft', data: reconciliation });
+  } catch (error) {
+    sendError(res, error, 'returning bank reconciliation');
+  }
+});
+
+/**
+ * DELETE /api/bank-reconciliations/:id
+ * Delete a draft reconciliation
+ */
+router.delete('/:id', requirePermission('reconciliation.prepare'), async (req, res) => {
+  try {
+    const reconciliation = await BankReconciliation.findOneAndDelete({
+      _id: req.params.id,
+      company: req.user.company,
+      status: 'draft',
+    });
+    if (!reconciliation) {
+      return res.status(404).json({ success: false, message: 'Draft bank reconciliation not found' });
+    }
+    res.json({ success: true, message: 'Bank reconciliation deleted' });
+  } catch (error) {
+    sendError(res, error, 'deleting bank reconciliation');
+  }
+});
+
+export default router;
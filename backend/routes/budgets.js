@@ -2,7 +2,7 @@ import express from 'express';
 import Budget from '../models/Budget.js';
 import ChartOfAccount from '../models/ChartOfAccount.js';
 import CostCenter from '../models/CostCenter.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import logger from '../config/logger.js';
 
 const router = express.Router();
@@ -202,7 +202,7 @@ router.get('/active/:fiscalYear', authenticate, async (req, res) => {
  * @desc    Create new budget
  * @access  Private (Admin, Finance)
  */
-router.post('/', authenticate, authorize('admin', 'hr', 'manager'), async (req, res) => {
+router.post('/', authenticate, requirePermission('budget.prepare'), async (req, res) => {
   try {
     const { fiscalYear, title, description, budgetType, lines } = req.body;
 
@@ -250,7 +250,7 @@ router.post('/', authenticate, authorize('admin', 'hr', 'manager'), async (req,
  * @desc    Update budget
  * @access  Private (Admin, Finance)
  */
-router.put('/:id', authenticate, authorize('admin', 'hr', 'manager'), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('budget.prepare'), async (req, res) => {
   try {
     const budget = await Budget.findOne({
       _id: req.params.id,
@@ -295,7 +295,7 @@ router.put('/:id', authenticate, authorize('admin', 'hr', 'manager'), async (req
  * @desc    Add budget line
  * @access  Private (Admin, Finance)
  */
-router.post('/:id/lines', authenticate, authorize('admin', 'hr', 'manager'), async (req, res) => {
+router.post('/:id/lines', authenticate, requirePermission('budget.prepare'), async (req, res) => {
   try {
     const budget = await Budget.findOne({
       _id: req.params.id,
@@ -358,7 +358,7 @@ router.post('/:id/lines', authenticate, authorize('admin', 'hr', 'manager'), asy
  * @desc    Submit budget for approval
  * @access  Private (Admin, Finance)
  */
-router.post('/:id/submit', authenticate, authorize('admin', 'hr', 'manager'), async (req, res) => {
+router.post('/:id/submit', authenticate, requirePermission('budget.prepare'), async (req, res) => {
   try {
     const budget = await Budget.findOne({
       _id: req.params.id,
@@ -399,7 +399,7 @@ router.post('/:id/submit', authenticate, authorize('admin', 'hr', 'manager'), as
  * @desc    Approve budget
  * @access  Private (Admin, Chairman)
  */
-router.post('/:id/approve', authenticate, authorize('admin', 'chairman'), async (req, res) => {
+router.post('/:id/approve', authenticate, requirePermission('budget.approve'), async (req, res) => {
   try {
     const budget = await Budget.findOne({
       _id: req.params.id,
@@ -441,7 +441,7 @@ router.post('/:id/approve', authenticate, authorize('admin', 'chairman'), async
  * @desc    Activate approved budget
  * @access  Private (Admin)
  */
-router.post('/:id/activate', authenticate, authorize('admin'), async (req, res) => {
+router.post('/:id/activate', authenticate, requirePermission('budget.activate'), async (req, res) => {
   try {
     const budget = await Budget.findOne({
       _id: req.params.id,
@@ -5,7 +5,7 @@
 
 import express from 'express';
 import ChartOfAccount from '../models/ChartOfAccount.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import logger from '../config/logger.js';
 
 const router = express.Router();
@@ -112,7 +112,7 @@ router.get('/:id', async (req, res) => {
  * POST /api/chart-of-accounts
  * Create new account
  */
-router.post('/', authorize('admin', 'finance', 'accountant'), async (req, res) => {
+router.post('/', requirePermission('account.manage'), async (req, res) => {
   try {
     const {
       accountCode,
@@ -185,7 +185,7 @@ router.post('/', authorize('admin', 'finance', 'accountant'), async (req, res) =
  * PUT /api/chart-of-accounts/:id
  * Update account
  */
-router.put('/:id', authorize('admin', 'finance', 'accountant'), async (req, res) => {
+router.put('/:id', requirePermission('account.manage'), async (req, res) => {
   try {
     const account = await ChartOfAccount.findOne({
       _id: req.params.id,
@@ -243,7 +243,7 @@ router.put('/:id', authorize('admin', 'finance', 'accountant'), async (req, res)
  * DELETE /api/chart-of-accounts/:id
  * Delete account (soft delete - set status to inactive)
  */
-router.delete('/:id', authorize('admin', 'finance'), async (req, res) => {
+router.delete('/:id', requirePermission('account.delete'), async (req, res) => {
   try {
     const account = await ChartOfAccount.findOne({
       _id: req.params.id,
@@ -304,7 +304,7 @@ router.delete('/:id', authorize('admin', 'finance'), async (req, res) => {
  * POST /api/chart-of-accounts/import
  * Bulk import accounts from NAM template
  */
-router.post('/import', authorize('admin', 'finance'), async (req, res) => {
+router.post('/import', requirePermission('account.delete'), async (req, res) => {
   try {
     const { accounts } = req.body;
 
@@ -0,0 +1,29 @@
+/**
+ * Company Routes
+ * Subscription usage for the current company
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import entitlementService from '../services/entitlementService.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * GET /api/company/usage
+ * Plan, enabled modules and live employee/storage consumption against plan limits
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const usage = await entitlementService.getUsage(req.user.company);
+    res.json({ success: true, data: usage });
+  } catch (error) {
+    logger.error('Error fetching company usage:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+export default router;
@@ -5,7 +5,7 @@
 
 import express from 'express';
 import CostCenter from '../models/CostCenter.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import logger from '../config/logger.js';
 
 const router = express.Router();
@@ -74,7 +74,7 @@ router.get('/:id', async (req, res) => {
  * POST /api/cost-centers
  * Create new cost center
  */
-router.post('/', authorize('admin', 'finance', 'hr'), async (req, res) => {
+router.post('/', requirePermission('costcenter.manage'), async (req, res) => {
   try {
     const { code, name, description, manager, parentCostCenter, budgetLimit } = req.body;
 
@@ -118,7 +118,7 @@ router.post('/', authorize('admin', 'finance', 'hr'), async (req, res) => {
  * PUT /api/cost-centers/:id
  * Update cost center
  */
-router.put('/:id', authorize('admin', 'finance', 'hr'), async (req, res) => {
+router.put('/:id', requirePermission('costcenter.manage'), async (req, res) => {
   try {
     const costCenter = await CostCenter.findOne({
       _id: req.params.id,
@@ -154,7 +154,7 @@ router.put('/:id', authorize('admin', 'finance', 'hr'), async (req, res) => {
  * DELETE /api/cost-centers/:id
  * Delete cost center
  */
-router.delete('/:id', authorize('admin', 'finance'), async (req, res) => {
+router.delete('/:id', requirePermission('costcenter.delete'), async (req, res) => {
   try {
     const costCenter = await CostCenter.findOne({
       _id: req.params.id,
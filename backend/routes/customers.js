@@ -0,0 +1,151 @@
+/**
+ * Customer Routes
+ * Customer master for fee, grant and service receivables
+ */
+
+import express from 'express';
+import Customer from '../models/Customer.js';
+import SalesInvoice from '../models/SalesInvoice.js';
+import CustomerReceipt from '../models/CustomerReceipt.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import receivablesService from '../services/receivablesService.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const EDITABLE_FIELDS = [
+  'name', 'customerType', 'contactPerson', 'email', 'phone', 'address', 'ntn', 'strn', 'cnic',
+  'paymentTerms', 'customPaymentDays', 'creditLimit', 'receivableAccount', 'revenueAccount', 'status', 'remarks',
+];
+
+/**
+ * GET /api/customers
+ * List customers (?status=&customerType=&search=)
+ */
+router.get('/', requirePermission('receivable.read'), async (req, res) => {
+  try {
+    const { status, customerType, search } = req.query;
+    const query = { company: req.user.company };
+    if (status) query.status = status;
+    if (customerType) query.customerType = customerType;
+    if (search) {
+      query.$or = [
+        { customerCode: { $regex: search, $options: 'i' } },
+        { name: { $regex: search, $options: 'i' } },
+        { ntn: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    const customers = await Customer.find(query).sort({ name: 1 });
+    res.json({ success: true, count: customers.length, data: customers });
+  } catch (error) {
+    logger.error('Error fetching customers:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/customers/:id
+ * Customer with open invoices and unapplied credits
+ */
+router.get('/:id', requirePermission('receivable.read'), async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ _id: req.params.id, company: req.user.company })
+      .populate('receivableAccount revenueAccount', 'code name');
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    const openItems = await receivablesService.listOpenItems(req.user.company, customer._id);
+    res.json({ success: true, data: { customer, openItems } });
+  } catch (error) {
+    logger.error('Error fetching customer:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/customers
+ * Create customer
+ */
+router.post('/', requirePermission('customer.manage'), async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ success: false, message: 'Customer name is required' });
+    }
+
+    const count = await Customer.countDocuments({ company: req.user.company });
+    const customer = new Customer({
+      ...Object.fromEntries(EDITABLE_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [field, req.body[field]])),
+      company: req.user.company,
+      customerCode: req.body.customerCode || `CUS-${String(count + 1).padStart(5, '0')}`,
+      createdBy: req.user._id,
+    });
+    await customer.save();
+
+    logger.info('Customer created', { customerCode: customer.customerCode, userId: req.user._id });
+    res.status(201).json({ success: true, data: customer });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'Customer code already exists' });
+    }
+    logger.error('Error creating customer:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /api/customers/:id
+ * Update customer
+ */
+router.put('/:id', requirePermission('customer.manage'), async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ _id: req.params.id, company: req.user.company });
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) customer[field] = req.body[field];
+    });
+    customer.lastModifiedBy = req.user._id;
+    await customer.save();
+
+    res.json({ success: true, data: customer });
+  } catch (error) {
+    logger.error('Error updating customer:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/customers/:id
+ * Delete a customer, or deactivate one that has transactions
+ */
+router.delete('/:id', requirePermission('customer.delete'), async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ _id: req.params.id, company: req.user.company });
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    const hasTransactions = await SalesInvoice.exists({ company: req.user.company, customer: customer._id })
+      || await CustomerReceipt.exists({ company: req.user.company, customer: customer._id });
+    if (hasTransactions) {
+      customer.status = 'inactive';
+      await customer.save();
+      return res.json({ success: true, message: 'Customer deactivated (has transactions)', data: customer });
+    }
+
+    await customer.deleteOne();
+    logger.info('Customer deleted', { customerCode: customer.customerCode, userId: req.user._id });
+    res.json({ success: true, message: 'Customer deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting customer:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+export default router;
@@ -2,7 +2,7 @@ import express from 'express';
 import mongoose from 'mongoose';
 import DailyWorklog from '../models/DailyWorklog.js';
 import User from '../models/User.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -251,7 +251,7 @@ router.delete('/:id', authenticate, async (req, res) => {
 // ============================================
 
 // GET /api/daily-worklogs/admin/all - Get all worklogs (Admin/HR/Manager only)
-router.get('/admin/all', authenticate, authorize(['admin', 'hr', 'manager']), async (req, res) => {
+router.get('/admin/all', authenticate, requirePermission('worklog.team.read'), async (req, res) => {
   try {
     const { 
       date, 
@@ -322,7 +322,7 @@ router.get('/admin/all', authenticate, authorize(['admin', 'hr', 'manager']), as
 });
 
 // GET /api/daily-worklogs/admin/submission-status - Get submission status for a date
-router.get('/admin/submission-status', authenticate, authorize(['admin', 'hr', 'manager']), async (req, res) => {
+router.get('/admin/submission-status', authenticate, requirePermission('worklog.team.read'), async (req, res) => {
   try {
     const { date } = req.query;
     const targetDate = date ? new Date(date) : new Date();
@@ -386,7 +386,7 @@ router.get('/admin/submission-status', authenticate, authorize(['admin', 'hr', '
 });
 
 // GET /api/daily-worklogs/admin/showstoppers - Get all active showstoppers
-router.get('/admin/showstoppers', authenticate, authorize(['admin', 'hr', 'manager']), async (req, res) => {
+router.get('/admin/showstoppers', authenticate, requirePermission('worklog.team.read'), async (req, res) => {
   try {
     const { startDate, endDate, priority } = req.query;
 
@@ -436,7 +436,7 @@ router.get('/admin/showstoppers', authenticate, authorize(['admin', 'hr', 'manag
 });
 
 // GET /api/daily-worklogs/admin/:id - Get specific worklog (Admin view)
-router.get('/admin/:id', authenticate, authorize(['admin', 'hr', 'manager']), async (req, res) => {
+router.get('/admin/:id', authenticate, requirePermission('worklog.team.read'), async (req, res) => {
   try {
     const worklog = await DailyWorklog.findOne({
       _id: req.params.id,
@@ -456,7 +456,7 @@ router.get('/admin/:id', authenticate, authorize(['admin', 'hr', 'manager']), as
 });
 
 // PUT /api/daily-worklogs/admin/:id/review - Add admin notes (Admin only)
-router.put('/admin/:id/review', authenticate, authorize(['admin', 'hr']), async (req, res) => {
+router.put('/admin/:id/review', authenticate, requirePermission('worklog.review'), async (req, res) => {
   try {
     const { adminNotes, status } = req.body;
 
@@ -487,7 +487,7 @@ router.put('/admin/:id/review', authenticate, authorize(['admin', 'hr']), async
 });
 
 // GET /api/daily-worklogs/admin/stats - Get overall statistics
-router.get('/admin/stats', authenticate, authorize(['admin', 'hr', 'manager']), async (req, res) => {
+router.get('/admin/stats', authenticate, requirePermission('worklog.team.read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -1,7 +1,7 @@
 import express from 'express';
 import Department from '../models/Department.js';
 import User from '../models/User.js';
-import { authenticate, authorizeAdmin } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -22,7 +22,7 @@ router.get('/', authenticate, async (req, res) => {
 });
 
 // Create a new department (admin only)
-router.post('/', authenticate, authorizeAdmin, async (req, res) => {
+router.post('/', authenticate, requirePermission('department.manage'), async (req, res) => {
   try {
     const { name, description, headOfDepartment } = req.body;
     const companyId = req.user.company._id || req.user.company;
@@ -64,7 +64,7 @@ router.post('/', authenticate, authorizeAdmin, async (req, res) => {
 });
 
 // Update a department (admin only)
-router.put('/:id', authenticate, authorizeAdmin, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('department.manage'), async (req, res) => {
   try {
     const { name, description, headOfDepartment, status } = req.body;
     const companyId = req.user.company._id || req.user.company;
@@ -116,7 +116,7 @@ router.put('/:id', authenticate, authorizeAdmin, async (req, res) => {
 });
 
 // Delete a department (admin only)
-router.delete('/:id', authenticate, authorizeAdmin, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('department.manage'), async (req, res) => {
   try {
     const companyId = req.user.company._id || req.user.company;
 
@@ -151,7 +151,7 @@ router.delete('/:id', authenticate, authorizeAdmin, async (req, res) => {
 });
 
 // Get department statistics
-router.get('/stats/summary', authenticate, authorizeAdmin, async (req, res) => {
+router.get('/stats/summary', authenticate, requirePermission('department.manage'), async (req, res) => {
   try {
     const companyId = req.user.company._id || req.user.company;
     
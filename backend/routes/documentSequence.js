@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import mongoose from 'mongoose';
 
 const router = express.Router();
@@ -210,7 +210,7 @@ router.get('/', authenticate, async (req, res) => {
 // ============================================================================
 // POST / - Create New Sequence
 // ============================================================================
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, requirePermission('sequence.manage'), async (req, res) => {
   try {
     const {
       documentType, prefix, suffix, fiscalYear,
@@ -506,7 +506,7 @@ router.get('/gaps/:documentType', authenticate, async (req, res) => {
 // ============================================================================
 // POST /void - Void an Allocated/Used Number
 // ============================================================================
-router.post('/void', authenticate, async (req, res) => {
+router.post('/void', authenticate, requirePermission('sequence.manage'), async (req, res) => {
   try {
     const { documentType, fiscalYear, number, reason } = req.body;
     
@@ -550,7 +550,7 @@ router.post('/void', authenticate, async (req, res) => {
 // ============================================================================
 // PUT /:id - Update Sequence Configuration
 // ============================================================================
-router.put('/:id', authenticate, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('sequence.manage'), async (req, res) => {
   try {
     const { prefix, suffix, paddingLength, separator } = req.body;
     
@@ -586,15 +586,10 @@ router.put('/:id', authenticate, async (req, res) => {
 // ============================================================================
 // POST /reset - Reset Sequence for New Fiscal Year
 // ============================================================================
-router.post('/reset', authenticate, async (req, res) => {
+router.post('/reset', authenticate, requirePermission('sequence.manage'), async (req, res) => {
   try {
     const { documentType, oldFiscalYear, newFiscalYear } = req.body;
     
-    // Only CFO/Admin can reset
-    if (!['admin', 'cfo', 'controller'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Insufficient permissions' });
-    }
-    
     // Get old sequence
     const oldSequence = await DocumentSequence.findOne({
       company: req.user.company,
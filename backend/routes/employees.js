@@ -1,7 +1,18 @@
 import express from 'express';
 import User from '../models/User.js';
-import { authenticate, authorize } from '../middleware/auth.js';
-import bcrypt from 'bcryptjs';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import employeeService from '../services/employeeService.js';
+import { assertCanAddEmployees, entitlementErrorBody } from '../services/entitlementService.js';
+import { permissionsForRequest, hasPermission } from '../services/permissionService.js';
+
+// Salaries are only returned to holders of employee.salary.read (and to the employee themselves)
+const salaryProjection = async (req, employeeId) => {
+  if (employeeId && String(employeeId) === String(req.user._id)) return '';
+  return hasPermission(await permissionsForRequest(req), 'employee.salary.read') ? '' : '-salary';
+};
+
+// Access and identity fields have their own endpoints (role, roles, 2FA, SSO) and can't be set here
+const PROTECTED_FIELDS = ['_id', 'password', 'role', 'customRoles', 'company', 'twoFactor', 'sso'];
 
 const router = express.Router();
 
@@ -13,6 +24,7 @@ router.get('/', authenticate, async (req, res) => {
       }
     
     const employees = await User.find({ company: req.user.company })
+      .select(await salaryProjection(req))
       .populate('position', 'title department')
       .populate('reportsTo', 'firstName lastName');
     res.json(employees);
@@ -25,7 +37,8 @@ router.get('/', authenticate, async (req, res) => {
 // Get employee by ID
 router.get('/:id', authenticate, async (req, res) => {
   try {
-    const employee = await User.findById(req.params.id)
+    const employee = await User.findOne({ _id: req.params.id, company: req.user.company })
+      .select(await salaryProjection(req, req.params.id))
       .populate('position', 'title department')
       .populate('reportsTo', 'firstName lastName');
     if (!employee) return res.status(404).json({ message: 'Employee not found' });
@@ -37,70 +50,25 @@ router.get('/:id', authenticate, async (req, res) => {
 });
 
 // Create new employee (HR/Admin only)
-router.post('/', authenticate, authorize(['hr', 'admin']), async (req, res) => {
-  const {
-    firstName,
-    lastName,
-    email,
-    password,
-    phone,
-    department,
-    position,
-    reportsTo,
-    role,
-    joiningDate,
-    salary,
-    avatar,
-  } = req.body;
-
+router.post('/', authenticate, requirePermission('employee.manage'), async (req, res) => {
   try {
-      if (!req.user.company) {
-        return res.status(400).json({ message: 'Company not found in token. Please login again.' });
-      }
-
-    // Check if email already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: 'Email already exists' });
-    }
-
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    const employee = new User({
-      firstName,
-      lastName,
-      email,
-      password: hashedPassword,
-      phone,
-      department,
-      position: position || null,
-      reportsTo: reportsTo && reportsTo.trim() !== '' ? reportsTo : null,
-      role: role || 'employee',
-      joiningDate,
-      salary: Number(salary) || 0,
-      avatar,
-      company: req.user.company,
-    });
-
-    const savedEmployee = await employee.save();
-    const populatedEmployee = await savedEmployee.populate([
-      { path: 'position', select: 'title department' },
-      { path: 'reportsTo', select: 'firstName lastName' },
-    ]);
-
+    const { customRoles: _customRoles, ...data } = req.body;
+    data.role = employeeService.assignableRole(req.body.role, await permissionsForRequest(req));
+    const populatedEmployee = await employeeService.createEmployee(req.user.company, data, { createdBy: req.user._id });
     res.status(201).json(populatedEmployee);
   } catch (error) {
+    if (error.status === 402) {
+      return res.status(402).json(entitlementErrorBody(error));
+    }
       console.error('❌ Error creating employee:', error);
     res.status(400).json({ message: error.message });
   }
 });
 
 // Update employee
-router.put('/:id', authenticate, authorize(['hr', 'admin']), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('employee.manage'), async (req, res) => {
   try {
-    // Prevent password updates through this endpoint
-    delete req.body.password;
+    PROTECTED_FIELDS.forEach((field) => delete req.body[field]);
 
     if (req.body.salary !== undefined) {
       req.body.salary = Number(req.body.salary) || 0;
@@ -114,8 +82,16 @@ router.put('/:id', authenticate, authorize(['hr', 'admin']), async (req, res) =>
       req.body.position = null;
     }
 
-    const employee = await User.findByIdAndUpdate(
-      req.params.id,
+    // Reactivating an inactive employee takes a plan seat again
+    if (req.body.status && req.body.status !== 'inactive') {
+      const current = await User.findOne({ _id: req.params.id, company: req.user.company }).select('status company');
+      if (current?.status === 'inactive') {
+        await assertCanAddEmployees(current.company);
+      }
+    }
+
+    const employee = await User.findOneAndUpdate(
+      { _id: req.params.id, company: req.user.company },
       req.body,
       { new: true }
     ).populate([
@@ -126,6 +102,9 @@ router.put('/:id', authenticate, authorize(['hr', 'admin']), async (req, res) =>
     if (!employee) return res.status(404).json({ message: 'Employee not found' });
     res.json(employee);
   } catch (error) {
+    if (error.status === 402) {
+      return res.status(402).json(entitlementErrorBody(error));
+    }
     res.status(400).json({ message: error.message });
   }
 });
@@ -147,10 +126,10 @@ router.get('/:id/reports', authenticate, async (req, res) => {
 });
 
 // Delete employee (soft delete - mark as inactive)
-router.delete('/:id', authenticate, authorize(['admin', 'hr']), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('employee.delete'), async (req, res) => {
   try {
-    const employee = await User.findByIdAndUpdate(
-      req.params.id,
+    const employee = await User.findOneAndUpdate(
+      { _id: req.params.id, company: req.user.company },
       { status: 'inactive' },
       { new: true }
     );
@@ -163,7 +142,7 @@ router.delete('/:id', authenticate, authorize(['admin', 'hr']), async (req, res)
 });
 
 // Update user role (Admin only)
-router.patch('/:id/role', authenticate, authorize(['admin']), async (req, res) => {
+router.patch('/:id/role', authenticate, requirePermission('employee.role.assign'), async (req, res) => {
   try {
     const { role } = req.body;
     
@@ -173,8 +152,8 @@ router.patch('/:id/role', authenticate, authorize(['admin']), async (req, res) =
       return res.status(400).json({ message: `Invalid role. Valid roles are: ${validRoles.join(', ')}` });
     }
     
-    const employee = await User.findByIdAndUpdate(
-      req.params.id,
+    const employee = await User.findOneAndUpdate(
+      { _id: req.params.id, company: req.user.company },
       { role },
       { new: true }
     ).populate([
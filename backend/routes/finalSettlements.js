@@ -0,0 +1,169 @@
+/**
+ * Final Settlement Routes
+ * Statements for exiting employees: prepare, review, asset clearance and ledger posting
+ */
+
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import settlementService from '../services/settlementService.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const sendError = (res, error, action) => {
+  if (!error.status) logger.error(`Error ${action}:`, error);
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.message,
+    ...(error.code === 'ASSETS_OUTSTANDING' && { code: error.code, assets: error.assets }),
+  });
+};
+
+/**
+ * GET /api/final-settlements
+ * Settlements with status and employee filters
+ */
+router.get('/', requirePermission(['settlement.prepare', 'settlement.clear', 'settlement.post']), async (req, res) => {
+  try {
+    const settlements = await settlementService.listSettlements({ companyId: req.user.company, filters: req.query });
+    res.json({ success: true, count: settlements.length, data: settlements });
+  } catch (error) {
+    sendError(res, error, 'fetching final settlements');
+  }
+});
+
+/**
+ * POST /api/final-settlements
+ * Draft a statement for an employee with an approved offboarding event. Body: { employeeId, remarks }
+ */
+router.post('/', requirePermission('settlement.prepare'), async (req, res) => {
+  try {
+    const settlement = await settlementService.prepareSettlement({
+      companyId: req.user.company,
+      employeeId: req.body.employeeId,
+      userId: req.user._id,
+      remarks: req.body.remarks,
+    });
+    res.status(201).json({ success: true, data: settlement });
+  } catch (error) {
+    sendError(res, error, 'preparing final settlement');
+  }
+});
+
+/**
+ * GET /api/final-settlements/:id
+ * Statement with its lines, inputs and assets
+ */
+router.get('/:id', requirePermission(['settlement.prepare', 'settlement.clear', 'settlement.post']), async (req, res) => {
+  try {
+    const settlement = await settlementService.getSettlement({ companyId: req.user.company, id: req.params.id });
+    res.json({ success: true, data: settlement });
+  } catch (error) {
+    sendError(res, error, 'fetching final settlement');
+  }
+});
+
+/**
+ * PUT /api/final-settlements/:id
+ * Reviewer adjustments to a draft. Body: { adjustments: [{ code, amount, label, type, category, basis, remove }], remarks }
+ */
+router.put('/:id', requirePermission('settlement.prepare'), async (req, res) => {
+  try {
+    const settlement = await settlementService.reviseSettlement({
+      companyId: req.user.company,
+      id: req.params.id,
+      adjustments: req.body.adjustments,
+      remarks: req.body.remarks,
+    });
+    res.json({ success: true, data: settlement });
+  } catch (error) {
+    sendError(res, error, 'revising final settlement');
+  }
+});
+
+/**
+ * POST /api/final-settlements/:id/recalculate
+ * Recompute from current payroll, leave and asset data, keeping reviewer lines
+ */
+router.post('/:id/recalculate', requirePermission('settlement.prepare'), async (req, res) => {
+  try {
+    const settlement = await settlementService.recalculateSettlement({ companyId: req.user.company, id: req.params.id });
+    res.json({ success: true, data: settlement });
+  } catch (error) {
+    sendError(res, error, 'recalculating final settlement');
+  }
+});
+
+/**
+ * POST /api/final-settlements/:id/assets/:assetId/return
+ * Record an asset handed back by the employee
+ */
+router.post('/:id/assets/:assetId/return', requirePermission(['asset.manage', 'settlement.prepare']), async (req, res) => {
+  try {
+    const settlement = await settlementService.recordAssetReturn({
+      companyId: req.user.company,
+      id: req.params.id,
+      assetId: req.params.assetId,
+      userId: req.user._id,
+    });
+    res.json({ success: true, data: settlement });
+  } catch (error) {
+    sendError(res, error, 'recording asset return');
+  }
+});
+
+/**
+ * POST /api/final-settlements/:id/clear
+ * Clear for payment; refused with 409 while assets are outstanding
+ */
+router.post('/:id/clear', requirePermission('settlement.clear'), async (req, res) => {
+  try {
+    const settlement = await settlementService.clearSettlement({
+      companyId: req.user.company,
+      id: req.params.id,
+      userId: req.user._id,
+    });
+    res.json({ success: true, data: settlement });
+  } catch (error) {
+    sendError(res, error, 'clearing final settlement');
+  }
+});
+
+/**
+ * POST /api/final-settlements/:id/post
+ * Post the final journal
+ */
+router.post('/:id/post', requirePermission('settlement.post'), async (req, res) => {
+  try {
+    const settlement = await settlementService.postSettlement({
+      companyId: req.user.company,
+      id: req.params.id,
+      userId: req.user._id,
+    });
+    res.json({ success: true, data: settlement });
+  } catch (error) {
+    sendError(res, error, 'posting final settlement');
+  }
+});
+
+/**
+ * POST /api/final-settlements/:id/cancel
+ * Cancel an unposted settlement. Body: { remarks }
+ */
+router.post('/:id/cancel', requirePermission('settlement.prepare'), async (req, res) => {
+  try {
+    const settlement = await settlementService.cancelSettlement({
+      companyId: req.user.company,
+      id: req.params.id,
+      userId: req.user._id,
+      remarks: req.body.remarks,
+    });
+    res.json({ success: true, data: settlement });
+  } catch (error) {
+    sendError(res, error, 'cancelling final settlement');
+  }
+});
+
+export default router;
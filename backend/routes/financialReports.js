@@ -8,7 +8,8 @@ import JournalEntry from '../models/JournalEntry.js';
 import ChartOfAccount from '../models/ChartOfAccount.js';
 import Budget from '../models/Budget.js';
 import CostCenter from '../models/CostCenter.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import receivablesService from '../services/receivablesService.js';
 import logger from '../config/logger.js';
 
 const router = express.Router();
@@ -19,7 +20,7 @@ router.use(authenticate);
  * GET /api/financial-reports/trial-balance
  * Generate Trial Balance
  */
-router.get('/trial-balance', authorize('admin', 'finance', 'accountant', 'auditor'), async (req, res) => {
+router.get('/trial-balance', requirePermission('report.financial'), async (req, res) => {
   try {
     const { asOfDate, level } = req.query;
 
@@ -122,7 +123,7 @@ router.get('/trial-balance', authorize('admin', 'finance', 'accountant', 'audito
  * GET /api/financial-reports/income-statement
  * Generate Income Statement (Profit & Loss)
  */
-router.get('/income-statement', authorize('admin', 'finance', 'accountant', 'auditor'), async (req, res) => {
+router.get('/income-statement', requirePermission('report.financial'), async (req, res) => {
   try {
     const { fromDate, toDate } = req.query;
 
@@ -228,7 +229,7 @@ router.get('/income-statement', authorize('admin', 'finance', 'accountant', 'aud
  * GET /api/financial-reports/balance-sheet
  * Generate Balance Sheet
  */
-router.get('/balance-sheet', authorize('admin', 'finance', 'accountant', 'auditor'), async (req, res) => {
+router.get('/balance-sheet', requirePermission('report.financial'), async (req, res) => {
   try {
     const { asOfDate } = req.query;
     const endDate = asOfDate ? new Date(asOfDate) : new Date();
@@ -390,7 +391,7 @@ router.get('/balance-sheet', authorize('admin', 'finance', 'accountant', 'audito
  * GET /api/financial-reports/budget-vs-actual
  * Budget vs Actual comparison report
  */
-router.get('/budget-vs-actual', authorize('admin', 'finance', 'accountant', 'manager'), async (req, res) => {
+router.get('/budget-vs-actual', requirePermission('report.budget'), async (req, res) => {
   try {
     const { fiscalYear, costCenter } = req.query;
 
@@ -515,7 +516,7 @@ router.get('/budget-vs-actual', authorize('admin', 'finance', 'accountant', 'man
  * GET /api/financial-reports/cash-flow
  * Generate Cash Flow Statement
  */
-router.get('/cash-flow', authorize('admin', 'finance', 'accountant', 'auditor'), async (req, res) => {
+router.get('/cash-flow', requirePermission('report.financial'), async (req, res) => {
   try {
     const { fromDate, toDate } = req.query;
 
@@ -614,10 +615,21 @@ router.get('/cash-flow', authorize('admin', 'finance', 'accountant', 'auditor'),
  * GET /api/financial-reports/aging
  * Accounts Receivable/Payable Aging Report
  */
-router.get('/aging', authorize('admin', 'finance', 'accountant'), async (req, res) => {
+router.get('/aging', requirePermission('report.financial'), async (req, res) => {
   try {
     const { type = 'payable' } = req.query; // 'receivable' or 'payable'
 
+    // Receivables age from open sales invoices and unapplied receipts/credits
+    if (type === 'receivable') {
+      const report = await receivablesService.agingReport(req.user.company, {
+        asOf: req.query.asOfDate ? new Date(req.query.asOfDate) : new Date(),
+      });
+      return res.json({
+        success: true,
+        data: { reportName: 'Accounts Receivable Aging', generatedAt: new Date(), ...report }
+      });
+    }
+
     const accountType = type === 'receivable' ? 'asset' : 'liability';
     const accountPattern = type === 'receivable' ? /RECEIVABLE|AR/i : /PAYABLE|AP/i;
 
@@ -742,7 +754,7 @@ router.get('/aging', authorize('admin', 'finance', 'accountant'), async (req, re
  * FIX ISSUE #27: Comprehensive GL to Subledger Reconciliation Report
  * Critical for audit - compares GL control accounts with subledger totals
  */
-router.get('/gl-subledger-reconciliation', authorize('admin', 'finance', 'accountant', 'auditor'), async (req, res) => {
+router.get('/gl-subledger-reconciliation', requirePermission('report.financial'), async (req, res) => {
   try {
     const { asOfDate } = req.query;
     const endDate = asOfDate ? new Date(asOfDate) : new Date();
@@ -860,9 +872,9 @@ router.get('/gl-subledger-reconciliation', authorize('admin', 'finance', 'accoun
       const bankRecon = await BankReconciliation.findOne({
         company: req.user.company,
         bankAccount: bankAccount._id
-      }).sort({ statementDate: -1 }).lean();
+      }).sort({ reconciliationDate: -1 }).lean();
       
-      const statementBalance = bankRecon?.closingBalance || 0;
+      const statementBalance = bankRecon?.closingBalanceBank || 0;
       const adjustedBalance = bankRecon?.adjustedBankBalance || statementBalance;
       const variance = Math.abs(glBalance - adjustedBalance);
       
@@ -876,8 +888,8 @@ router.get('/gl-subledger-reconciliation', authorize('admin', 'finance', 'accoun
         variancePercent: glBalance !== 0 ? ((variance / Math.abs(glBalance)) * 100).toFixed(2) : '0.00',
         status: variance < 1 ? 'MATCHED' : variance < 100 ? 'MINOR_VARIANCE' : 'VARIANCE',
         subledgerType: 'BankStatement',
-        lastReconciledDate: bankRecon?.statementDate || null,
-        unreconciledItems: bankRecon?.unreconciledItems?.length || 0
+        lastReconciledDate: bankRecon?.reconciliationDate || null,
+        unreconciledItems: bankRecon?.statementLines?.filter(line => line.status === 'unmatched').length || 0
       });
     }
     
@@ -3,7 +3,7 @@ import mongoose from 'mongoose';
 import FixedAsset from '../models/FixedAsset.js';
 import JournalEntry from '../models/JournalEntry.js';
 import ChartOfAccount from '../models/ChartOfAccount.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import logger from '../config/logger.js';
 
 const router = express.Router();
@@ -14,7 +14,7 @@ router.use(authenticate);
  * GET /api/fixed-assets
  * Get all fixed assets
  */
-router.get('/', authorize('admin', 'finance', 'accountant'), async (req, res) => {
+router.get('/', requirePermission('asset.read'), async (req, res) => {
   try {
     const { status, assetClass, department } = req.query;
     const query = { company: req.user.company };
@@ -41,7 +41,7 @@ router.get('/', authorize('admin', 'finance', 'accountant'), async (req, res) =>
  * GET /api/fixed-assets/:id
  * Get single asset
  */
-router.get('/:id', authorize('admin', 'finance', 'accountant'), async (req, res) => {
+router.get('/:id', requirePermission('asset.read'), async (req, res) => {
   try {
     const asset = await FixedAsset.findOne({
       _id: req.params.id,
@@ -67,7 +67,7 @@ router.get('/:id', authorize('admin', 'finance', 'accountant'), async (req, res)
  * POST /api/fixed-assets
  * Create new fixed asset
  */
-router.post('/', authorize('admin', 'finance'), async (req, res) => {
+router.post('/', requirePermission('asset.manage'), async (req, res) => {
   try {
     const assetCount = await FixedAsset.countDocuments({ company: req.user.company });
     const assetCode = `FA-${String(assetCount + 1).padStart(5, '0')}`;
@@ -92,7 +92,7 @@ router.post('/', authorize('admin', 'finance'), async (req, res) => {
  * FIX ISSUE #9: POST /api/fixed-assets/run-depreciation
  * Run monthly depreciation and create journal entries
  */
-router.post('/run-depreciation', authorize('admin', 'finance'), async (req, res) => {
+router.post('/run-depreciation', requirePermission('asset.manage'), async (req, res) => {
   try {
     const { period } = req.body; // YYYY-MM format
     
@@ -270,7 +270,7 @@ router.post('/run-depreciation', authorize('admin', 'finance'), async (req, res)
  * GET /api/fixed-assets/report/depreciation-schedule
  * FIX ISSUE #26: Depreciation schedule report
  */
-router.get('/report/depreciation-schedule', authorize('admin', 'finance', 'accountant', 'auditor'), async (req, res) => {
+router.get('/report/depreciation-schedule', requirePermission('report.financial'), async (req, res) => {
   try {
     const { fiscalYear, assetClass } = req.query;
     const companyId = req.user.company;
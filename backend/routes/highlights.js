@@ -1,6 +1,6 @@
 import express from 'express';
 import Highlight from '../models/Highlight.js';
-import { authenticate as auth } from '../middleware/auth.js';
+import { authenticate as auth, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -60,16 +60,10 @@ router.get('/summary', auth, async (req, res) => {
 });
 
 // Create a highlight
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, requirePermission('highlight.manage'), async (req, res) => {
   try {
     const { type, title, description, department, priority, dueDate } = req.body;
     
-    // Admins, managers, HR, and executives can create highlights
-    const allowedRoles = ['admin', 'manager', 'hr', 'chairman', 'executive', 'director', 'hod'];
-    if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({ message: `Not authorized. Your role: ${req.user.role}. Allowed: ${allowedRoles.join(', ')}` });
-    }
-    
     // Get user ID (could be id or _id depending on JWT structure)
     const userId = req.user.id || req.user._id || req.user.userId;
     
@@ -93,7 +87,7 @@ router.post('/', auth, async (req, res) => {
 });
 
 // Update a highlight
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, requirePermission('highlight.manage'), async (req, res) => {
   try {
     const { type, title, description, department, priority, dueDate, resolved } = req.body;
     
@@ -102,12 +96,6 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Highlight not found' });
     }
     
-    // Roles that can update highlights
-    const allowedRoles = ['admin', 'manager', 'hr', 'chairman', 'executive', 'director', 'hod'];
-    if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
-    
     if (type) highlight.type = type;
     if (title) highlight.title = title;
     if (description !== undefined) highlight.description = description;
@@ -137,18 +125,13 @@ router.put('/:id', auth, async (req, res) => {
 });
 
 // Resolve a highlight (mark as done)
-router.post('/:id/resolve', auth, async (req, res) => {
+router.post('/:id/resolve', auth, requirePermission('highlight.resolve'), async (req, res) => {
   try {
     const highlight = await Highlight.findById(req.params.id);
     if (!highlight) {
       return res.status(404).json({ message: 'Highlight not found' });
     }
     
-    // Only admins can resolve
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Only admin can resolve highlights' });
-    }
-    
     highlight.resolved = true;
     highlight.resolvedAt = new Date();
     highlight.resolvedBy = req.user.id;
@@ -163,18 +146,13 @@ router.post('/:id/resolve', auth, async (req, res) => {
 });
 
 // Delete a highlight
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, requirePermission('highlight.resolve'), async (req, res) => {
   try {
     const highlight = await Highlight.findById(req.params.id);
     if (!highlight) {
       return res.status(404).json({ message: 'Highlight not found' });
     }
     
-    // Only admins can delete
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Only admin can delete highlights' });
-    }
-    
     await Highlight.findByIdAndDelete(req.params.id);
     
     res.json({ message: 'Highlight deleted' });
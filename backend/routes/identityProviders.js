@@ -0,0 +1,107 @@
+/**
+ * Identity Provider Routes
+ * Company SSO connections (OIDC / SAML), domain routing and group to role mapping
+ */
+
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import ssoService from '../services/ssoService.js';
+import ssoConfig from '../config/sso.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission('sso.manage'));
+
+const sendError = (res, error, action) => {
+  if (!error.status) logger.error(`Error ${action}:`, error);
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+/**
+ * GET /api/identity-providers
+ * The company's providers, with the URLs to register at the IdP
+ */
+router.get('/', async (req, res) => {
+  try {
+    const providers = await ssoService.listProviders(req.user.company);
+    res.json({
+      success: true,
+      count: providers.length,
+      data: providers,
+      serviceProvider: {
+        oidcRedirectUri: ssoConfig.oidcRedirectUri,
+        samlAcsUrl: ssoConfig.samlAcsUrl,
+        samlEntityId: ssoConfig.spEntityId,
+        samlMetadataUrl: `${ssoConfig.apiUrl}/api/auth/sso/saml/metadata`,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching identity providers');
+  }
+});
+
+/**
+ * POST /api/identity-providers
+ * Add a provider. Body: { name, protocol, domains, enforced, oidc, clientSecret, saml, jitProvisioning, defaultRole, roleMappings }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const provider = await ssoService.createProvider({ companyId: req.user.company, data: req.body, userId: req.user._id });
+    res.status(201).json({ success: true, data: provider });
+  } catch (error) {
+    sendError(res, error, 'creating identity provider');
+  }
+});
+
+/**
+ * GET /api/identity-providers/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const provider = await ssoService.getProvider({ companyId: req.user.company, id: req.params.id });
+    res.json({ success: true, data: provider });
+  } catch (error) {
+    sendError(res, error, 'fetching identity provider');
+  }
+});
+
+/**
+ * PUT /api/identity-providers/:id
+ * Update settings; a blank clientSecret keeps the stored one, refreshMetadata re-reads SAML metadata
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const provider = await ssoService.updateProvider({ companyId: req.user.company, id: req.params.id, data: req.body });
+    res.json({ success: true, data: provider });
+  } catch (error) {
+    sendError(res, error, 'updating identity provider');
+  }
+});
+
+/**
+ * POST /api/identity-providers/:id/test
+ * Fetch the provider's discovery document or metadata to check the connection
+ */
+router.post('/:id/test', async (req, res) => {
+  try {
+    const result = await ssoService.testProvider({ companyId: req.user.company, id: req.params.id });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'testing identity provider');
+  }
+});
+
+/**
+ * DELETE /api/identity-providers/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await ssoService.deleteProvider({ companyId: req.user.company, id: req.params.id });
+    res.json({ success: true, message: 'Identity provider removed' });
+  } catch (error) {
+    sendError(res, error, 'deleting identity provider');
+  }
+});
+
+export default router;
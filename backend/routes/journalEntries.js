@@ -7,7 +7,9 @@ import express from 'express';
 import JournalEntry from '../models/JournalEntry.js';
 import ChartOfAccount from '../models/ChartOfAccount.js';
 import Budget from '../models/Budget.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { enforceSegregation, sodErrorBody } from '../services/sodService.js';
+import { assertProjectLines } from '../services/projectCostService.js';
 import logger from '../config/logger.js';
 
 const router = express.Router();
@@ -98,7 +100,7 @@ router.get('/:id', async (req, res) => {
  * POST /api/journal-entries
  * Create new journal entry
  */
-router.post('/', authorize('admin', 'finance', 'accountant'), async (req, res) => {
+router.post('/', requirePermission('journal.create'), async (req, res) => {
   try {
     const {
       entryDate,
@@ -141,6 +143,12 @@ router.post('/', authorize('admin', 'finance', 'accountant'), async (req, res) =
       });
     }
 
+    try {
+      await assertProjectLines(lines, req.user.company);
+    } catch (error) {
+      return res.status(error.status || 400).json({ success: false, message: error.message });
+    }
+
     // Calculate totals and validate balance
     let totalDebit = 0;
     let totalCredit = 0;
@@ -288,7 +296,7 @@ router.post('/', authorize('admin', 'finance', 'accountant'), async (req, res) =
  * PUT /api/journal-entries/:id
  * Update draft journal entry
  */
-router.put('/:id', authorize('admin', 'finance', 'accountant'), async (req, res) => {
+router.put('/:id', requirePermission('journal.create'), async (req, res) => {
   try {
     const entry = await JournalEntry.findOne({
       _id: req.params.id,
@@ -325,6 +333,12 @@ router.put('/:id', authorize('admin', 'finance', 'accountant'), async (req, res)
         });
       }
 
+      try {
+        await assertProjectLines(lines, req.user.company);
+      } catch (error) {
+        return res.status(error.status || 400).json({ success: false, message: error.message });
+      }
+
       entry.lines = lines;
       entry.totalAmount = totalDebit;
     }
@@ -351,7 +365,7 @@ router.put('/:id', authorize('admin', 'finance', 'accountant'), async (req, res)
  * POST /api/journal-entries/:id/approve
  * Approve a journal entry (moves from pending to approved)
  */
-router.post('/:id/approve', authorize('admin', 'finance'), async (req, res) => {
+router.post('/:id/approve', requirePermission('journal.approve'), async (req, res) => {
   try {
     const entry = await JournalEntry.findOne({
       _id: req.params.id,
@@ -369,6 +383,14 @@ router.post('/:id/approve', authorize('admin', 'finance'), async (req, res) => {
       });
     }
 
+    await enforceSegregation({
+      req,
+      documentType: 'journal_entry',
+      document: entry,
+      action: 'approve',
+      overrideReason: req.body.sodOverrideReason
+    });
+
     entry.status = 'approved';
     entry.approvedBy = req.user._id;
     entry.approvedAt = new Date();
@@ -378,6 +400,7 @@ router.post('/:id/approve', authorize('admin', 'finance'), async (req, res) => {
 
     res.json({ success: true, data: entry, message: 'Entry approved successfully' });
   } catch (error) {
+    if (error.code === 'SOD_VIOLATION') return res.status(403).json(sodErrorBody(error));
     logger.error('Error approving journal entry:', error);
     res.status(500).json({ success: false, message: error.message });
   }
@@ -387,7 +410,7 @@ router.post('/:id/approve', authorize('admin', 'finance'), async (req, res) => {
  * POST /api/journal-entries/:id/reject
  * Reject a journal entry
  */
-router.post('/:id/reject', authorize('admin', 'finance'), async (req, res) => {
+router.post('/:id/reject', requirePermission('journal.approve'), async (req, res) => {
   try {
     const { reason } = req.body;
 
@@ -424,9 +447,9 @@ router.post('/:id/reject', authorize('admin', 'finance'), async (req, res) => {
 
 /**
  * POST /api/journal-entries/:id/post
- * Post (approve) a journal entry
+ * Post an approved journal entry
  */
-router.post('/:id/post', authorize('admin', 'finance'), async (req, res) => {
+router.post('/:id/post', requirePermission('journal.post'), async (req, res) => {
   try {
     // FIX ISSUE #7: Allow caller to skip budget update to prevent double counting
     const { skipBudgetUpdate } = req.body;
@@ -440,13 +463,22 @@ router.post('/:id/post', authorize('admin', 'finance'), async (req, res) => {
       return res.status(404).json({ success: false, message: 'Journal entry not found' });
     }
 
-    if (entry.status !== 'draft' && entry.status !== 'pending') {
+    // Only approved entries can be posted, so maker/checker always has an approver to check
+    if (entry.status !== 'approved') {
       return res.status(400).json({
         success: false,
-        message: `Cannot post entry with status: ${entry.status}`
+        message: `Cannot post entry with status: ${entry.status}; approve it first`
       });
     }
 
+    await enforceSegregation({
+      req,
+      documentType: 'journal_entry',
+      document: entry,
+      action: 'post',
+      overrideReason: req.body.sodOverrideReason
+    });
+
     // FIX ISSUE #3: Check if period is locked
     const YearEndClosing = (await import('../models/YearEndClosing.js')).default;
     const entryMonth = new Date(entry.entryDate).getMonth();
@@ -496,8 +528,8 @@ router.post('/:id/post', authorize('admin', 'finance'), async (req, res) => {
     }
 
     entry.status = 'posted';
+    entry.postedBy = req.user._id;
     entry.postedAt = new Date();
-    entry.approvedBy = req.user._id;
     await entry.save();
     
     // FIX ISSUE #8: Update account balances when entry is posted (not during creation)
@@ -527,6 +559,7 @@ router.post('/:id/post', authorize('admin', 'finance'), async (req, res) => {
 
     res.json({ success: true, data: entry, message: 'Entry posted successfully' });
   } catch (error) {
+    if (error.code === 'SOD_VIOLATION') return res.status(403).json(sodErrorBody(error));
     logger.error('Error posting journal entry:', error);
     res.status(500).json({ success: false, message: error.message });
   }
@@ -536,7 +569,7 @@ router.post('/:id/post', authorize('admin', 'finance'), async (req, res) => {
  * POST /api/journal-entries/:id/reverse
  * Create reversing entry
  */
-router.post('/:id/reverse', authorize('admin', 'finance'), async (req, res) => {
+router.post('/:id/reverse', requirePermission('journal.reverse'), async (req, res) => {
   try {
     const { reason, reversalDate } = req.body;
 
@@ -656,7 +689,7 @@ router.post('/:id/reverse', authorize('admin', 'finance'), async (req, res) => {
  * DELETE /api/journal-entries/:id
  * Delete draft journal entry
  */
-router.delete('/:id', authorize('admin', 'finance'), async (req, res) => {
+router.delete('/:id', requirePermission('journal.delete'), async (req, res) => {
   try {
     const entry = await JournalEntry.findOne({
       _id: req.params.id,
@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { KPIGoal, KPIReview } from '../models/KPI.js';
 
 const router = express.Router();
@@ -132,12 +132,8 @@ router.put('/reviews/:id/dispute', authenticate, async (req, res) => {
 // ==================== SUPERVISOR ROUTES ====================
 
 // Get goals created by supervisor
-router.get('/supervisor/goals', authenticate, async (req, res) => {
+router.get('/supervisor/goals', authenticate, requirePermission('kpi.manage'), async (req, res) => {
   try {
-    if (!['manager', 'admin', 'hr'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Only supervisors can access this endpoint' });
-    }
-
     const goals = await KPIGoal.find({ 
       supervisor: req.user._id 
     })
@@ -152,12 +148,8 @@ router.get('/supervisor/goals', authenticate, async (req, res) => {
 });
 
 // Get reviews created by supervisor
-router.get('/supervisor/reviews', authenticate, async (req, res) => {
+router.get('/supervisor/reviews', authenticate, requirePermission('kpi.manage'), async (req, res) => {
   try {
-    if (!['manager', 'admin', 'hr'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Only supervisors can access this endpoint' });
-    }
-
     const reviews = await KPIReview.find({ 
       supervisor: req.user._id 
     })
@@ -172,12 +164,8 @@ router.get('/supervisor/reviews', authenticate, async (req, res) => {
 });
 
 // Get goals for a specific employee (supervisor access)
-router.get('/employee/:employeeId/goals', authenticate, async (req, res) => {
+router.get('/employee/:employeeId/goals', authenticate, requirePermission('kpi.manage'), async (req, res) => {
   try {
-    if (!['manager', 'admin', 'hr'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Only supervisors can access this endpoint' });
-    }
-
     const goals = await KPIGoal.find({ 
       employee: req.params.employeeId,
       status: { $in: ['active', 'completed'] }
@@ -191,13 +179,8 @@ router.get('/employee/:employeeId/goals', authenticate, async (req, res) => {
 });
 
 // Create KPI goals for employee (supervisor only)
-router.post('/goals', authenticate, async (req, res) => {
+router.post('/goals', authenticate, requirePermission('kpi.manage'), async (req, res) => {
   try {
-    // Check if user is supervisor/manager
-    if (!['manager', 'admin', 'hr'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Only supervisors can create KPI goals' });
-    }
-
     const goalData = {
       ...req.body,
       supervisor: req.user._id,
@@ -218,13 +201,8 @@ router.post('/goals', authenticate, async (req, res) => {
 });
 
 // Submit KPI review for employee (supervisor only)
-router.post('/reviews', authenticate, async (req, res) => {
+router.post('/reviews', authenticate, requirePermission('kpi.manage'), async (req, res) => {
   try {
-    // Check if user is supervisor/manager
-    if (!['manager', 'admin', 'hr'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Only supervisors can submit KPI reviews' });
-    }
-
     const reviewData = {
       ...req.body,
       supervisor: req.user._id,
@@ -246,13 +224,8 @@ router.post('/reviews', authenticate, async (req, res) => {
 });
 
 // Update KPI goal (supervisor only)
-router.put('/goals/:id', authenticate, async (req, res) => {
+router.put('/goals/:id', authenticate, requirePermission('kpi.manage'), async (req, res) => {
   try {
-    // Check if user is supervisor/manager
-    if (!['manager', 'admin', 'hr'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Only supervisors can update KPI goals' });
-    }
-
     const goal = await KPIGoal.findOne({
       _id: req.params.id,
       supervisor: req.user._id
@@ -277,13 +250,8 @@ router.put('/goals/:id', authenticate, async (req, res) => {
 });
 
 // Delete KPI goal (supervisor only)
-router.delete('/goals/:id', authenticate, async (req, res) => {
+router.delete('/goals/:id', authenticate, requirePermission('kpi.manage'), async (req, res) => {
   try {
-    // Check if user is supervisor/manager
-    if (!['manager', 'admin', 'hr'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Only supervisors can delete KPI goals' });
-    }
-
     const goal = await KPIGoal.findOne({
       _id: req.params.id,
       supervisor: req.user._id
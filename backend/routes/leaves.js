@@ -0,0 +1,311 @@
+import express from 'express';
+import Leave from '../models/Leave.js';
+import Holiday from '../models/Holiday.js';
+import ApprovalFlow from '../models/ApprovalFlow.js';
+import User from '../models/User.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import leaveService, { toDayStart } from '../services/leaveService.js';
+
+const router = express.Router();
+
+const isHR = (user) => ['hr', 'admin'].includes(user.role);
+
+// Employees only see their own leave; managers may look at direct reports; HR/admin see everyone
+const canViewEmployee = async (user, employeeId) => {
+  if (!employeeId || employeeId.toString() === user._id.toString()) return true;
+  if (isHR(user)) return true;
+  if (user.role === 'manager') {
+    return !!(await User.exists({ _id: employeeId, company: user.company, reportsTo: user._id }));
+  }
+  return false;
+};
+
+// ============================================
+// BALANCES & POLICY
+// ============================================
+
+// GET /api/leaves/balance - Per-type balances (own, or ?employee= for HR/managers)
+router.get('/balance', authenticate, async (req, res) => {
+  try {
+    const employeeId = req.query.employee || req.user._id;
+    if (!(await canViewEmployee(req.user, employeeId))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const summary = await leaveService.getBalanceSummary(req.user.company, employeeId, year);
+    res.json(summary);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// GET /api/leaves/policy - Effective leave policy for the company
+router.get('/policy', authenticate, async (req, res) => {
+  try {
+    const policy = await leaveService.getPolicy(req.user.company);
+    res.json(policy);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PUT /api/leaves/policy - Update entitlements, accrual, carry-forward and encashment caps
+router.put('/policy', authenticate, requirePermission('leave.policy.manage'), async (req, res) => {
+  try {
+    const policy = await leaveService.savePolicy(req.user.company, req.body, req.user._id);
+    res.json(policy);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// POST /api/leaves/calculate-days - Preview chargeable days for a date range
+router.post('/calculate-days', authenticate, async (req, res) => {
+  try {
+    const { leaveType = 'annual', startDate, endDate, halfDay } = req.body;
+    if (!startDate || !endDate) {
+      return res.status(400).json({ message: 'startDate and endDate are required' });
+    }
+
+    const policy = await leaveService.getPolicy(req.user.company);
+    const rule = leaveService.getRule(policy, leaveType);
+    if (!rule) return res.status(400).json({ message: `Invalid leave type: ${leaveType}` });
+
+    const holidays = await leaveService.getHolidayDates(req.user.company, startDate, endDate);
+    const days = leaveService.countLeaveDays(startDate, endDate, {
+      weekendDays: policy.weekendDays,
+      holidays,
+      countCalendarDays: rule.countCalendarDays,
+      halfDay,
+    });
+
+    res.json({ days, holidays });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/leaves/accrual/run - Bring all balances up to date (HR/Admin)
+router.post('/accrual/run', authenticate, requirePermission('leave.policy.manage'), async (req, res) => {
+  try {
+    const asOf = req.body.asOf ? new Date(req.body.asOf) : new Date();
+    const result = await leaveService.runAccrual(req.user.company, asOf);
+    res.json({ message: 'Leave accrual completed', ...result });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/leaves/year-end - Carry forward balances into the next leave year (HR/Admin)
+router.post('/year-end', authenticate, requirePermission('leave.policy.manage'), async (req, res) => {
+  try {
+    const year = parseInt(req.body.year, 10);
+    if (!year) return res.status(400).json({ message: 'year is required' });
+
+    const result = await leaveService.closeLeaveYear(req.user.company, year);
+    res.json({ message: `Leave year ${year} closed`, ...result });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/leaves/encash - Encash unused leave within the policy cap (HR/Admin)
+router.post('/encash', authenticate, requirePermission('leave.encash'), async (req, res) => {
+  try {
+    const { employee, leaveType = 'annual', days, year } = req.body;
+    if (!employee) return res.status(400).json({ message: 'employee is required' });
+
+    const result = await leaveService.encashLeave({
+      companyId: req.user.company,
+      employeeId: employee,
+      leaveType,
+      days,
+      year: parseInt(year, 10) || undefined,
+    });
+
+    res.json({ message: 'Leave encashed', ...result });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// ============================================
+// HOLIDAYS
+// ============================================
+
+// GET /api/leaves/holidays - Company holiday calendar (?year=)
+router.get('/holidays', authenticate, async (req, res) => {
+  try {
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const holidays = await Holiday.find({
+      company: req.user.company,
+      date: { $gte: new Date(year, 0, 1), $lt: new Date(year + 1, 0, 1) },
+    }).sort({ date: 1 });
+
+    res.json(holidays);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/leaves/holidays - Add a holiday (HR/Admin)
+router.post('/holidays', authenticate, requirePermission('holiday.manage'), async (req, res) => {
+  try {
+    const { date, name, isOptional } = req.body;
+    if (!date || !name) return res.status(400).json({ message: 'date and name are required' });
+
+    const holiday = await Holiday.create({
+      company: req.user.company,
+      date: toDayStart(date),
+      name,
+      isOptional: !!isOptional,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json(holiday);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A holiday already exists on this date' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// DELETE /api/leaves/holidays/:id - Remove a holiday (HR/Admin)
+router.delete('/holidays/:id', authenticate, requirePermission('holiday.manage'), async (req, res) => {
+  try {
+    const holiday = await Holiday.findOneAndDelete({ _id: req.params.id, company: req.user.company });
+    if (!holiday) return res.status(404).json({ message: 'Holiday not found' });
+    res.json({ message: 'Holiday deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ============================================
+// LEAVE REQUESTS
+// ============================================
+
+// GET /api/leaves - Own leaves; ?scope=team (managers), ?scope=approvals (awaiting me) or ?scope=all (HR/Admin)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { scope, employee, status, leaveType, from, to } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const query = { company: req.user.company };
+
+    if (scope === 'all' && isHR(req.user)) {
+      if (employee) query.employee = employee;
+    } else if (scope === 'team' && (req.user.role === 'manager' || isHR(req.user))) {
+      const reports = await User.find({ company: req.user.company, reportsTo: req.user._id }).select('_id').lean();
+      query.employee = { $in: reports.map((r) => r._id) };
+    } else if (scope === 'approvals') {
+      const flows = await ApprovalFlow.find({
+        company: req.user.company,
+        requestType: 'leave',
+        status: 'pending',
+        approvers: { $elemMatch: { approver: req.user._id, status: 'pending' } },
+      }).select('requestId').lean();
+      query._id = { $in: flows.map((flow) => flow.requestId) };
+    } else {
+      query.employee = req.user._id;
+    }
+
+    if (status) query.status = status;
+    if (leaveType) query.leaveType = leaveType;
+    if (from || to) {
+      query.startDate = {};
+      if (from) query.startDate.$gte = new Date(from);
+      if (to) query.startDate.$lte = new Date(to);
+    }
+
+    const leaves = await Leave.find(query)
+      .populate('employee', 'firstName lastName employeeId department')
+      .populate('approvedBy', 'firstName lastName')
+      .sort({ startDate: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    res.json(leaves);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/leaves/:id - Single leave with its approval flow
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const leave = await Leave.findOne({ _id: req.params.id, company: req.user.company })
+      .populate('employee', 'firstName lastName employeeId department')
+      .populate({
+        path: 'approvalFlow',
+        populate: { path: 'approvers.approver', select: 'firstName lastName' },
+      });
+
+    if (!leave) return res.status(404).json({ message: 'Leave not found' });
+    if (!(await canViewEmployee(req.user, leave.employee._id))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(leave);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/leaves - Apply for leave (HR/Admin may apply on behalf of `employee`)
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { employee, leaveType, startDate, endDate, halfDay, reason } = req.body;
+    const employeeId = employee && isHR(req.user) ? employee : req.user._id;
+
+    const leave = await leaveService.applyLeave({
+      companyId: req.user.company,
+      employeeId,
+      leaveType,
+      startDate,
+      endDate,
+      halfDay: !!halfDay,
+      reason,
+    });
+
+    await leave.populate('employee', 'firstName lastName employeeId department');
+    res.status(201).json(leave);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// POST /api/leaves/:id/withdraw - Withdraw a pending request
+router.post('/:id/withdraw', authenticate, async (req, res) => {
+  try {
+    const leave = await leaveService.withdrawLeave({
+      companyId: req.user.company,
+      leaveId: req.params.id,
+      userId: req.user._id,
+    });
+    res.json({ message: 'Leave request withdrawn', leave });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// POST /api/leaves/:id/cancel - Cancel an approved leave and restore the balance
+router.post('/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const leave = await leaveService.cancelLeave({
+      companyId: req.user.company,
+      leaveId: req.params.id,
+      user: req.user,
+      reason: req.body.reason,
+    });
+    res.json({ message: 'Leave cancelled', leave });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+export default router;
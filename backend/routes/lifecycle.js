@@ -0,0 +1,154 @@
+/**
+ * Employee Lifecycle Routes
+ * Promotions, transfers, salary changes, offboarding, employment history and checklists
+ */
+
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { hasPermission, permissionsForRequest } from '../services/permissionService.js';
+import lifecycleService from '../services/lifecycleService.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const sendError = (res, error, action) => {
+  if (!error.status) logger.error(`Error ${action}:`, error);
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+const stripSalary = (snapshot) => {
+  if (!snapshot) return snapshot;
+  const { salary, ...rest } = snapshot;
+  return rest;
+};
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * GET /api/lifecycle/events
+ * Query: employee, type, status, limit
+ */
+router.get('/events', requirePermission('lifecycle.manage'), async (req, res) => {
+  try {
+    const events = await lifecycleService.listEvents({ companyId: req.user.company, filters: req.query });
+    res.json({ success: true, count: events.length, data: events });
+  } catch (error) {
+    sendError(res, error, 'fetching lifecycle events');
+  }
+});
+
+/**
+ * POST /api/lifecycle/events
+ * Body: { employee, type, effectiveDate, changes: { designation, department, position, salary, reportsTo },
+ *         separationType, reason, approvers: [userId] }
+ */
+router.post('/events', requirePermission('lifecycle.manage'), async (req, res) => {
+  try {
+    const event = await lifecycleService.createEvent({
+      companyId: req.user.company,
+      data: req.body,
+      userId: req.user._id,
+    });
+    res.status(201).json({ success: true, data: event });
+  } catch (error) {
+    sendError(res, error, 'creating lifecycle event');
+  }
+});
+
+/**
+ * POST /api/lifecycle/events/:id/cancel
+ * Withdraw an event that has not taken effect
+ */
+router.post('/events/:id/cancel', requirePermission('lifecycle.manage'), async (req, res) => {
+  try {
+    const event = await lifecycleService.cancelEvent({
+      companyId: req.user.company,
+      id: req.params.id,
+      userId: req.user._id,
+    });
+    res.json({ success: true, data: event });
+  } catch (error) {
+    sendError(res, error, 'cancelling lifecycle event');
+  }
+});
+
+/**
+ * GET /api/lifecycle/history/:employeeId
+ * Employment history and lifecycle events; employees may read their own
+ */
+router.get('/history/:employeeId', async (req, res) => {
+  try {
+    const permissions = await permissionsForRequest(req);
+    const isSelf = req.params.employeeId === req.user._id.toString();
+    if (!isSelf && !hasPermission(permissions, 'lifecycle.manage')) {
+      return res.status(403).json({ message: 'Access denied', requiredPermission: ['lifecycle.manage'] });
+    }
+
+    const data = await lifecycleService.getHistory({ companyId: req.user.company, employeeId: req.params.employeeId });
+    if (!isSelf && !hasPermission(permissions, 'employee.salary.read')) {
+      data.history = data.history.map((entry) => ({
+        ...entry,
+        before: stripSalary(entry.before),
+        after: stripSalary(entry.after),
+      }));
+      data.events = data.events.map((event) => ({ ...event, changes: stripSalary(event.changes) }));
+    }
+    res.json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, 'fetching employment history');
+  }
+});
+
+// ============================================
+// CHECKLISTS
+// ============================================
+
+/**
+ * GET /api/lifecycle/checklists/:type
+ * Onboarding or offboarding checklist (company version or defaults)
+ */
+router.get('/checklists/:type', requirePermission('lifecycle.manage'), async (req, res) => {
+  try {
+    const checklist = await lifecycleService.getChecklist(req.user.company, req.params.type);
+    res.json({ success: true, data: checklist });
+  } catch (error) {
+    sendError(res, error, 'fetching checklist');
+  }
+});
+
+/**
+ * PUT /api/lifecycle/checklists/:type
+ * Body: { items: [{ title, description, owner: HR|IT|Finance|Manager, assignee, dueOffsetDays, priority }] }
+ */
+router.put('/checklists/:type', requirePermission('lifecycle.manage'), async (req, res) => {
+  try {
+    const checklist = await lifecycleService.saveChecklist({
+      companyId: req.user.company,
+      type: req.params.type,
+      items: req.body.items,
+      userId: req.user._id,
+    });
+    res.json({ success: true, data: checklist });
+  } catch (error) {
+    sendError(res, error, 'saving checklist');
+  }
+});
+
+/**
+ * DELETE /api/lifecycle/checklists/:type
+ * Go back to the default checklist
+ */
+router.delete('/checklists/:type', requirePermission('lifecycle.manage'), async (req, res) => {
+  try {
+    const checklist = await lifecycleService.resetChecklist({ companyId: req.user.company, type: req.params.type });
+    res.json({ success: true, data: checklist });
+  } catch (error) {
+    sendError(res, error, 'resetting checklist');
+  }
+});
+
+export default router;
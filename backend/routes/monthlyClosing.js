@@ -1,6 +1,7 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import mongoose from 'mongoose';
+import { auditPlugin } from '../services/auditService.js';
 
 const router = express.Router();
 
@@ -116,6 +117,12 @@ const accountingPeriodSchema = new mongoose.Schema({
 accountingPeriodSchema.index({ company: 1, fiscalYear: 1, month: 1 }, { unique: true });
 accountingPeriodSchema.index({ company: 1, status: 1 });
 
+// Lock/close/reopen transitions (with reopenReason) land in the audit chain
+accountingPeriodSchema.plugin(auditPlugin, {
+  module: 'PERIOD_LOCK',
+  reference: (period) => `${period.fiscalYear}/${period.month}`,
+});
+
 const AccountingPeriod = mongoose.model('AccountingPeriod', accountingPeriodSchema);
 
 // ============================================================================
@@ -145,7 +152,7 @@ router.get('/periods', authenticate, async (req, res) => {
 // ============================================================================
 // POST /periods/initialize - Initialize Periods for Fiscal Year
 // ============================================================================
-router.post('/periods/initialize', authenticate, async (req, res) => {
+router.post('/periods/initialize', authenticate, requirePermission('period.close'), async (req, res) => {
   try {
     const { fiscalYear } = req.body; // e.g., "2024-2025"
     
@@ -242,7 +249,7 @@ router.get('/periods/:periodId', authenticate, async (req, res) => {
 // ============================================================================
 // POST /periods/:periodId/soft-close - Soft Close Period (Preliminary)
 // ============================================================================
-router.post('/periods/:periodId/soft-close', authenticate, async (req, res) => {
+router.post('/periods/:periodId/soft-close', authenticate, requirePermission('period.close'), async (req, res) => {
   try {
     const { periodId } = req.params;
     const { closingChecklist, notes } = req.body;
@@ -300,7 +307,7 @@ router.post('/periods/:periodId/soft-close', authenticate, async (req, res) => {
 // ============================================================================
 // POST /periods/:periodId/hard-close - Hard Close Period
 // ============================================================================
-router.post('/periods/:periodId/hard-close', authenticate, async (req, res) => {
+router.post('/periods/:periodId/hard-close', authenticate, requirePermission('period.close'), async (req, res) => {
   try {
     const { periodId } = req.params;
     const { closingBalances } = req.body;
@@ -363,15 +370,10 @@ router.post('/periods/:periodId/hard-close', authenticate, async (req, res) => {
 // ============================================================================
 // POST /periods/:periodId/lock - Lock Period (Final - No More Changes)
 // ============================================================================
-router.post('/periods/:periodId/lock', authenticate, async (req, res) => {
+router.post('/periods/:periodId/lock', authenticate, requirePermission('period.lock'), async (req, res) => {
   try {
     const { periodId } = req.params;
     
-    // Only CFO/Admin can lock
-    if (!['admin', 'cfo', 'controller'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Only CFO/Admin can lock periods' });
-    }
-    
     const period = await AccountingPeriod.findOne({
       _id: periodId,
       company: req.user.company
@@ -407,16 +409,11 @@ router.post('/periods/:periodId/lock', authenticate, async (req, res) => {
 // ============================================================================
 // POST /periods/:periodId/reopen - Reopen Locked Period (Emergency Only)
 // ============================================================================
-router.post('/periods/:periodId/reopen', authenticate, async (req, res) => {
+router.post('/periods/:periodId/reopen', authenticate, requirePermission('period.reopen'), async (req, res) => {
   try {
     const { periodId } = req.params;
     const { reason, targetStatus = 'OPEN' } = req.body;
     
-    // Only CFO/Admin can reopen
-    if (!['admin', 'cfo'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Only CFO/Admin can reopen periods' });
-    }
-    
     if (!reason || reason.length < 20) {
       return res.status(400).json({ message: 'Detailed reason required (min 20 characters)' });
     }
@@ -438,33 +435,6 @@ router.post('/periods/:periodId/reopen', authenticate, async (req, res) => {
     
     await period.save();
     
-    // Create audit log for period reopen (critical action)
-    try {
-      const AuditLog = (await import('../models/AuditLog.js')).default;
-      if (AuditLog) {
-        await AuditLog.create({
-          company: req.user.company,
-          module: 'PERIOD_CONTROL',
-          action: 'PERIOD_REOPEN',
-          documentId: period._id.toString(),
-          documentType: 'AccountingPeriod',
-          previousState: { status: previousStatus },
-          newState: { status: targetStatus },
-          changes: [
-            { field: 'status', oldValue: previousStatus, newValue: targetStatus }
-          ],
-          performedBy: req.user._id,
-          performedAt: new Date(),
-          ipAddress: req.ip,
-          reason: reason,
-          criticalAction: true
-        });
-      }
-    } catch (auditError) {
-      console.error('Audit log failed for period reopen:', auditError);
-      // Don't fail the operation if audit logging fails
-    }
-    
     res.json({
       success: true,
       message: `Period reopened from ${previousStatus} to ${targetStatus}`,
@@ -481,7 +451,7 @@ router.post('/periods/:periodId/reopen', authenticate, async (req, res) => {
 // ============================================================================
 // PUT /periods/:periodId/checklist - Update Closing Checklist
 // ============================================================================
-router.put('/periods/:periodId/checklist', authenticate, async (req, res) => {
+router.put('/periods/:periodId/checklist', authenticate, requirePermission('period.close'), async (req, res) => {
   try {
     const { periodId } = req.params;
     const { closingChecklist } = req.body;
@@ -523,7 +493,7 @@ router.put('/periods/:periodId/checklist', authenticate, async (req, res) => {
 // ============================================================================
 // POST /periods/:periodId/reconcile - Run Account Reconciliation
 // ============================================================================
-router.post('/periods/:periodId/reconcile', authenticate, async (req, res) => {
+router.post('/periods/:periodId/reconcile', authenticate, requirePermission('period.close'), async (req, res) => {
   try {
     const { periodId } = req.params;
     
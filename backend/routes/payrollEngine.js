@@ -0,0 +1,357 @@
+/**
+ * Payroll Engine Routes
+ * BPS salary structures, employee pay profiles and monthly payroll runs
+ */
+
+import express from 'express';
+import EnhancedPayroll from '../models/EnhancedPayroll.js';
+import PayrollRun from '../models/PayrollRun.js';
+import PayProfile from '../models/PayProfile.js';
+import PayrollSetting from '../models/PayrollSetting.js';
+import SalaryStructure from '../models/SalaryStructure.js';
+import User from '../models/User.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import payrollEngineService from '../services/payrollEngineService.js';
+import timesheetService from '../services/timesheetService.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * GET /api/payroll-engine/settings
+ * GL accounts and tax slabs used by the engine
+ */
+router.get('/settings', requirePermission('payroll.prepare'), async (req, res) => {
+  try {
+    const settings = await payrollEngineService.getSettings(req.user.company);
+    res.json({
+      success: true,
+      data: { ...settings, defaultTaxSlabs: payrollEngineService.DEFAULT_TAX_SLABS },
+    });
+  } catch (error) {
+    logger.error('Error fetching payroll settings:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /api/payroll-engine/settings
+ * Update GL accounts, tax slabs, final settlement rules and project costing hours
+ */
+router.put('/settings', requirePermission('payroll.settings.manage'), async (req, res) => {
+  try {
+    const { accounts, taxSlabs, settlement, costing } = req.body;
+    const settings = await PayrollSetting.findOneAndUpdate(
+      { company: req.user.company },
+      { accounts, taxSlabs, settlement, costing, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true }
+    );
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    logger.error('Error updating payroll settings:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// SALARY STRUCTURES
+// ============================================
+
+/**
+ * GET /api/payroll-engine/structures
+ * Salary structures by BPS (latest revision first)
+ */
+router.get('/structures', requirePermission('payroll.prepare'), async (req, res) => {
+  try {
+    const query = { company: req.user.company };
+    if (req.query.bps) query.bps = parseInt(req.query.bps, 10);
+
+    const structures = await SalaryStructure.find(query)
+      .populate('lines.glAccount', 'code name')
+      .sort({ bps: 1, effectiveFrom: -1 });
+    res.json({ success: true, data: structures });
+  } catch (error) {
+    logger.error('Error fetching salary structures:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/payroll-engine/structures
+ * Create a salary structure (a pay revision is a new structure with a later effectiveFrom)
+ */
+router.post('/structures', requirePermission('payroll.prepare'), async (req, res) => {
+  try {
+    const structure = await SalaryStructure.create({
+      ...req.body,
+      company: req.user.company,
+      createdBy: req.user._id,
+    });
+    res.status(201).json({ success: true, data: structure });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ success: false, message: 'A structure for this BPS and effective date already exists' });
+    }
+    logger.error('Error creating salary structure:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /api/payroll-engine/structures/:id
+ * Update a salary structure
+ */
+router.put('/structures/:id', requirePermission('payroll.prepare'), async (req, res) => {
+  try {
+    const { company: _company, createdBy: _createdBy, ...updates } = req.body;
+    const structure = await SalaryStructure.findOneAndUpdate(
+      { _id: req.params.id, company: req.user.company },
+      updates,
+      { new: true, runValidators: true }
+    );
+    if (!structure) {
+      return res.status(404).json({ success: false, message: 'Salary structure not found' });
+    }
+    res.json({ success: true, data: structure });
+  } catch (error) {
+    logger.error('Error updating salary structure:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/payroll-engine/structures/:id/preview
+ * Resolve a structure's lines for a stage without saving anything
+ */
+router.post('/structures/:id/preview', requirePermission('payroll.prepare'), async (req, res) => {
+  try {
+    const structure = await SalaryStructure.findOne({ _id: req.params.id, company: req.user.company }).lean();
+    if (!structure) {
+      return res.status(404).json({ success: false, message: 'Salary structure not found' });
+    }
+
+    const month = req.body.month || new Date().toISOString().slice(0, 7);
+    const slip = payrollEngineService.computePayslip({
+      structure,
+      profile: { bps: structure.bps, stage: req.body.stage || 1, lines: req.body.lines, gpf: req.body.gpf, pension: req.body.pension },
+      month,
+    });
+    res.json({ success: true, data: slip });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// PAY PROFILES
+// ============================================
+
+/**
+ * GET /api/payroll-engine/profiles
+ * Employee pay profiles
+ */
+router.get('/profiles', requirePermission('payroll.prepare'), async (req, res) => {
+  try {
+    const query = { company: req.user.company };
+    if (req.query.bps) query.bps = parseInt(req.query.bps, 10);
+    if (req.query.employee) query.employee = req.query.employee;
+
+    const profiles = await PayProfile.find(query)
+      .populate('employee', 'firstName lastName employeeId department designation')
+      .sort({ bps: -1, stage: -1 });
+    res.json({ success: true, data: profiles });
+  } catch (error) {
+    logger.error('Error fetching pay profiles:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * PUT /api/payroll-engine/profiles/:employeeId
+ * Create or update an employee's pay profile
+ */
+router.put('/profiles/:employeeId', requirePermission('payroll.prepare'), async (req, res) => {
+  try {
+    const employee = await User.exists({ _id: req.params.employeeId, company: req.user.company });
+    if (!employee) {
+      return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+
+    const { company: _company, employee: _employee, ...updates } = req.body;
+    const profile = await PayProfile.findOneAndUpdate(
+      { company: req.user.company, employee: req.params.employeeId },
+      updates,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    res.json({ success: true, data: profile });
+  } catch (error) {
+    logger.error('Error saving pay profile:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// PAYROLL RUNS
+// ============================================
+
+/**
+ * GET /api/payroll-engine/runs
+ * Payroll runs (?status=&fiscalYear=)
+ */
+router.get('/runs', requirePermission('payroll.read'), async (req, res) => {
+  try {
+    const query = { company: req.user.company };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.fiscalYear) query.fiscalYear = req.query.fiscalYear;
+
+    const runs = await PayrollRun.find(query)
+      .populate('createdBy approvedBy postedBy', 'firstName lastName')
+      .populate('journalEntry', 'entryNumber')
+      .sort({ month: -1, createdAt: -1 });
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    logger.error('Error fetching payroll runs:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/payroll-engine/runs/:id
+ * Run with its payslips
+ */
+router.get('/runs/:id', requirePermission('payroll.read'), async (req, res) => {
+  try {
+    const run = await PayrollRun.findOne({ _id: req.params.id, company: req.user.company })
+      .populate('createdBy approvedBy postedBy', 'firstName lastName')
+      .populate('exceptions.employee', 'firstName lastName employeeId')
+      .populate('journalEntry', 'entryNumber status');
+    if (!run) {
+      return res.status(404).json({ success: false, message: 'Payroll run not found' });
+    }
+
+    const payslips = await EnhancedPayroll.find({ company: req.user.company, payrollRun: run._id })
+      .sort({ 'employeeSnapshot.bps': -1, 'employeeSnapshot.name': 1 });
+    res.json({ success: true, data: { run, payslips } });
+  } catch (error) {
+    logger.error('Error fetching payroll run:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * GET /api/payroll-engine/runs/:id/allocation
+ * Gross pay of the run split across projects and cost centers by approved
+ * timesheet hours of its month; ?format=csv downloads it
+ */
+router.get('/runs/:id/allocation', requirePermission('payroll.read'), async (req, res) => {
+  try {
+    const run = await PayrollRun.findOne({ _id: req.params.id, company: req.user.company });
+    if (!run) {
+      return res.status(404).json({ success: false, message: 'Payroll run not found' });
+    }
+
+    const allocation = await timesheetService.payrollAllocation({ companyId: req.user.company, run });
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=payroll-allocation-${run.month}.csv`);
+      return res.send(timesheetService.toAllocationCsv(allocation.lines));
+    }
+
+    res.json({ success: true, data: allocation });
+  } catch (error) {
+    logger.error('Error building payroll allocation:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/payroll-engine/runs
+ * Create and calculate a draft run for a month
+ * Body: { month: 'YYYY-MM', arrears: [{ employee, amount } | { employee, fromMonth, toMonth }], remarks }
+ */
+router.post('/runs', requirePermission('payroll.prepare'), async (req, res) => {
+  try {
+    const run = await payrollEngineService.createRun({
+      companyId: req.user.company,
+      month: req.body.month,
+      arrears: req.body.arrears,
+      remarks: req.body.remarks,
+      userId: req.user._id,
+    });
+    res.status(201).json({ success: true, data: run });
+  } catch (error) {
+    logger.error('Error creating payroll run:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/payroll-engine/runs/:id/recalculate
+ * Recalculate a draft run after structure, profile or arrears changes
+ */
+router.post('/runs/:id/recalculate', requirePermission('payroll.prepare'), async (req, res) => {
+  try {
+    if (req.body.arrears) {
+      await PayrollRun.updateOne(
+        { _id: req.params.id, company: req.user.company, status: 'draft' },
+        { arrears: req.body.arrears }
+      );
+    }
+    const run = await payrollEngineService.calculateRun(req.user.company, req.params.id, req.user._id);
+    res.json({ success: true, data: run });
+  } catch (error) {
+    logger.error('Error recalculating payroll run:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/payroll-engine/runs/:id/approve
+ * Approve a draft run
+ */
+router.post('/runs/:id/approve', requirePermission('payroll.approve'), async (req, res) => {
+  try {
+    const run = await payrollEngineService.approveRun(req.user.company, req.params.id, req.user._id);
+    res.json({ success: true, message: 'Payroll run approved', data: run });
+  } catch (error) {
+    logger.error('Error approving payroll run:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/payroll-engine/runs/:id/post
+ * Post an approved run to the general ledger
+ */
+router.post('/runs/:id/post', requirePermission('payroll.post'), async (req, res) => {
+  try {
+    const run = await payrollEngineService.postRun(req.user.company, req.params.id, req.user._id);
+    res.json({ success: true, message: 'Payroll run posted to the general ledger', data: run });
+  } catch (error) {
+    logger.error('Error posting payroll run:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/payroll-engine/runs/:id/cancel
+ * Cancel an unposted run
+ */
+router.post('/runs/:id/cancel', requirePermission('payroll.prepare'), async (req, res) => {
+  try {
+    const run = await payrollEngineService.cancelRun(req.user.company, req.params.id, req.user._id, req.body.remarks);
+    res.json({ success: true, message: 'Payroll run cancelled', data: run });
+  } catch (error) {
+    logger.error('Error cancelling payroll run:', error);
+    res.status(error.status || 500).json({ success: false, message: error.message });
+  }
+});
+
+export default router;
@@ -4,12 +4,12 @@ import User from '../models/User.js';
 import JournalEntry from '../models/JournalEntry.js';
 import ChartOfAccount from '../models/ChartOfAccount.js';
 import Budget from '../models/Budget.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Bulk upload payroll entries for a month
-router.post('/bulk', authenticate, authorize(['hr', 'admin']), async (req, res) => {
+router.post('/bulk', authenticate, requirePermission('payroll.prepare'), async (req, res) => {
   const { records = [] } = req.body;
 
   if (!Array.isArray(records) || records.length === 0) {
@@ -103,7 +103,7 @@ router.get('/summary', authenticate, async (req, res) => {
  * FIX ISSUE #8: POST /api/payrolls/:month/post
  * Post payroll to GL - Creates journal entry for salary expenses
  */
-router.post('/:month/post', authenticate, authorize(['admin', 'finance', 'hr']), async (req, res) => {
+router.post('/:month/post', authenticate, requirePermission('payroll.post'), async (req, res) => {
   try {
     const { month } = req.params;
     const companyId = req.user.company;
@@ -1,6 +1,6 @@
 import express from 'express';
 import Position from '../models/Position.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -77,7 +77,7 @@ router.get('/:id', authenticate, async (req, res) => {
 });
 
 // Create position (HR/Admin only)
-router.post('/', authenticate, authorize(['hr', 'admin']), async (req, res) => {
+router.post('/', authenticate, requirePermission('position.manage'), async (req, res) => {
   const { title, department, description, reportsTo, level, salary_range_min, salary_range_max } = req.body;
 
   try {
@@ -105,7 +105,7 @@ router.post('/', authenticate, authorize(['hr', 'admin']), async (req, res) => {
 });
 
 // Update position
-router.put('/:id', authenticate, authorize(['hr', 'admin']), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('position.manage'), async (req, res) => {
   try {
     const position = await Position.findByIdAndUpdate(
       req.params.id,
@@ -121,7 +121,7 @@ router.put('/:id', authenticate, authorize(['hr', 'admin']), async (req, res) =>
 });
 
 // Delete position
-router.delete('/:id', authenticate, authorize(['admin']), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('position.delete'), async (req, res) => {
   try {
     const position = await Position.findByIdAndDelete(req.params.id);
     if (!position) return res.status(404).json({ message: 'Position not found' });
@@ -1,6 +1,7 @@
 import express from 'express';
 import User from '../models/User.js';
 import { authenticate } from '../middleware/auth.js';
+import payslipService from '../services/payslipService.js';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
@@ -448,4 +449,66 @@ router.get('/documents/:id/download', authenticate, async (req, res) => {
   }
 });
 
+// @route   GET /api/profile/payslips
+// @desc    Payslip history for the current user
+// @access  Private
+router.get('/payslips', authenticate, async (req, res) => {
+  try {
+    const payslips = await payslipService.listPayslips(req.user.company, req.user._id);
+    res.json(payslips);
+  } catch (error) {
+    console.error('Get payslips error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// @route   GET /api/profile/payslips/:month
+// @desc    Payslip breakdown for a month (YYYY-MM, or "latest")
+// @access  Private
+router.get('/payslips/:month', authenticate, async (req, res) => {
+  try {
+    const month = req.params.month === 'latest' ? undefined : req.params.month;
+    const payslip = await payslipService.getPayslip(req.user.company, req.user._id, month);
+    res.json(payslip);
+  } catch (error) {
+    console.error('Get payslip error:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/profile/payslips/:month/pdf
+// @desc    Download a payslip as PDF
+// @access  Private
+router.get('/payslips/:month/pdf', authenticate, async (req, res) => {
+  try {
+    const month = req.params.month === 'latest' ? undefined : req.params.month;
+    const payslip = await payslipService.getPayslip(req.user.company, req.user._id, month);
+    const pdf = payslipService.renderPayslipPdf(payslip);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="payslip-${payslip.month}.pdf"`,
+      'Content-Length': pdf.length,
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Download payslip error:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/profile/payslips/:month/html
+// @desc    Printable HTML payslip
+// @access  Private
+router.get('/payslips/:month/html', authenticate, async (req, res) => {
+  try {
+    const month = req.params.month === 'latest' ? undefined : req.params.month;
+    const payslip = await payslipService.getPayslip(req.user.company, req.user._id, month);
+    res.type('html').send(payslipService.renderPayslipHtml(payslip));
+  } catch (error) {
+    console.error('Render payslip error:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
 export default router;
@@ -1,7 +1,13 @@
 import express from 'express';
 import Project from '../models/Project.js';
+import Task from '../models/Task.js';
 import User from '../models/User.js';
-import { authenticate, authorizeAdmin } from '../middleware/auth.js';
+import Worklog from '../models/Worklog.js';
+import JournalEntry from '../models/JournalEntry.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import projectPlanService from '../services/projectPlanService.js';
+import projectCostService from '../services/projectCostService.js';
 
 const router = express.Router();
 
@@ -23,6 +29,11 @@ router.get('/', authenticate, async (req, res) => {
       .populate('updates.addedBy', 'firstName lastName')
       .sort({ endDate: 1 });
 
+    // Progress, blockers and status of projects with linked tasks come from those tasks,
+    // and spend from the ledger, purchase orders and worklogs charged to them
+    await projectPlanService.syncProjects(projects);
+    await projectCostService.syncCosts(projects);
+
     res.json(projects);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -35,6 +46,8 @@ router.get('/stats/summary', authenticate, async (req, res) => {
     const filter = { company: req.user.company };
     
     const projects = await Project.find(filter);
+    await projectPlanService.syncProjects(projects);
+    await projectCostService.syncCosts(projects);
     
     const stats = {
       total: projects.length,
@@ -48,10 +61,13 @@ router.get('/stats/summary', authenticate, async (req, res) => {
       },
       totalBudgetAllocated: projects.reduce((sum, p) => sum + (p.budget?.allocated || 0), 0),
       totalBudgetSpent: projects.reduce((sum, p) => sum + (p.budget?.spent || 0), 0),
+      totalBudgetCommitted: projects.reduce((sum, p) => sum + (p.budget?.committed || 0), 0),
+      totalBudgetForecast: projects.reduce((sum, p) => sum + (p.budget?.forecast || p.budget?.allocated || 0), 0),
       averageProgress: projects.length > 0 
         ? Math.round(projects.reduce((sum, p) => sum + p.progress, 0) / projects.length)
         : 0,
       totalBlockers: projects.reduce((sum, p) => sum + (p.blockers || 0), 0),
+      totalSlippageDays: projects.reduce((sum, p) => sum + (p.schedule?.slippageDays || 0), 0),
     };
     
     res.json(stats);
@@ -73,14 +89,52 @@ router.get('/:id', authenticate, async (req, res) => {
       return res.status(404).json({ message: 'Project not found' });
     }
 
+    await projectPlanService.syncProjects([project]);
+    await projectCostService.syncCosts([project]);
+
     res.json(project);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// Get the Gantt timeline of a project: milestones, linked tasks, forecast and critical path
+router.get('/:id/timeline', authenticate, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, company: req.user.company });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    await projectPlanService.syncProjects([project]);
+
+    res.json(await projectPlanService.getTimeline(project));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get budget vs actual vs forecast of a project, from the GL, open purchase orders and costed worklog hours
+router.get('/:id/costs', authenticate, requirePermission(['project.manage', 'report.budget']), async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, company: req.user.company });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    await projectPlanService.syncProjects([project]);
+    await projectCostService.syncCosts([project]);
+
+    res.json(await projectCostService.getCostReport(project));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Create new project (admin only)
-router.post('/', authenticate, authorizeAdmin, async (req, res) => {
+router.post('/', authenticate, requirePermission('project.manage'), async (req, res) => {
   try {
     const {
       name,
@@ -95,6 +149,7 @@ router.post('/', authenticate, authorizeAdmin, async (req, res) => {
       team,
       priority,
       milestones,
+      costCenter,
     } = req.body;
 
     const project = new Project({
@@ -110,6 +165,7 @@ router.post('/', authenticate, authorizeAdmin, async (req, res) => {
       team: team || [],
       priority: priority || 'medium',
       milestones: milestones || [],
+      costCenter: costCenter || undefined,
       company: req.user.company,
       createdBy: req.user._id,
     });
@@ -127,7 +183,7 @@ router.post('/', authenticate, authorizeAdmin, async (req, res) => {
 });
 
 // Update project (admin only)
-router.put('/:id', authenticate, authorizeAdmin, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('project.manage'), async (req, res) => {
   try {
     const project = await Project.findById(req.params.id);
     
@@ -137,7 +193,7 @@ router.put('/:id', authenticate, authorizeAdmin, async (req, res) => {
 
     const allowedFields = [
       'name', 'description', 'owner', 'department', 'startDate', 'endDate',
-      'status', 'progress', 'budget', 'team', 'priority', 'blockers', 'milestones'
+      'status', 'progress', 'budget', 'team', 'priority', 'blockers', 'milestones', 'costCenter'
     ];
 
     allowedFields.forEach(field => {
@@ -147,6 +203,8 @@ router.put('/:id', authenticate, authorizeAdmin, async (req, res) => {
     });
 
     const savedProject = await project.save();
+    await projectPlanService.syncProjects([savedProject]);
+    await projectCostService.syncCosts([savedProject]);
     const populatedProject = await Project.findById(savedProject._id)
       .populate('owner', 'firstName lastName email designation')
       .populate('team', 'firstName lastName email')
@@ -176,8 +234,9 @@ router.post('/:id/updates', authenticate, async (req, res) => {
       addedAt: new Date(),
     });
 
-    // Optionally update progress and status
-    if (progress !== undefined) {
+    // Optionally update progress and status; with linked tasks they are calculated,
+    // though a project can still be put on hold
+    if (progress !== undefined && !project.schedule?.taskCount) {
       project.progress = progress;
     }
     if (status) {
@@ -185,6 +244,7 @@ router.post('/:id/updates', authenticate, async (req, res) => {
     }
 
     await project.save();
+    await projectPlanService.syncProjects([project]);
 
     const populatedProject = await Project.findById(project._id)
       .populate('owner', 'firstName lastName email designation')
@@ -198,14 +258,27 @@ router.post('/:id/updates', authenticate, async (req, res) => {
 });
 
 // Delete project (admin only)
-router.delete('/:id', authenticate, authorizeAdmin, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('project.manage'), async (req, res) => {
   try {
-    const project = await Project.findByIdAndDelete(req.params.id);
+    const project = await Project.findOne({ _id: req.params.id, company: req.user.company });
     
     if (!project) {
       return res.status(404).json({ message: 'Project not found' });
     }
 
+    // Journal and PO lines keep their project; it must stay for the ledger to make sense
+    const [charged, ordered] = await Promise.all([
+      JournalEntry.exists({ 'lines.project': project._id }),
+      PurchaseOrder.exists({ 'lines.project': project._id }),
+    ]);
+    if (charged || ordered) {
+      return res.status(400).json({ message: 'Project has journal entries or purchase orders charged to it and cannot be deleted' });
+    }
+
+    await project.deleteOne();
+    await Task.updateMany({ linkedProject: project._id }, { $unset: { linkedProject: 1, milestone: 1 } });
+    await Worklog.updateMany({ linkedProject: project._id }, { $unset: { linkedProject: 1 } });
+
     res.json({ message: 'Project deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -2,7 +2,9 @@ import express from 'express';
 import mongoose from 'mongoose';
 import PurchaseOrder from '../models/PurchaseOrder.js';
 import Budget from '../models/Budget.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { enforceSegregation, sodErrorBody } from '../services/sodService.js';
+import { assertProjectLines } from '../services/projectCostService.js';
 
 const router = express.Router();
 
@@ -11,6 +13,30 @@ const router = express.Router();
  * Implements encumbrance accounting with proper budget commitment
  */
 
+// Fields a draft PO takes from the request; status, approval, receipt, budget and invoice
+// fields only change through their workflow endpoints
+const EDITABLE_FIELDS = [
+  'vendor', 'poDate', 'expectedDeliveryDate', 'fiscalYear', 'period', 'lines',
+  'currency', 'exchangeRate', 'requisition', 'terms', 'notes', 'internalNotes',
+];
+// Received and invoiced quantities are tracked by goods receipts and vendor invoices
+const WORKFLOW_LINE_FIELDS = ['quantityReceived', 'quantityInvoiced'];
+
+const editableFields = (body = {}) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (Array.isArray(fields.lines)) {
+    fields.lines = fields.lines.map((line) => {
+      const copy = { ...line };
+      WORKFLOW_LINE_FIELDS.forEach((field) => delete copy[field]);
+      return copy;
+    });
+  }
+  return fields;
+};
+
 // Generate PO Number
 async function generatePONumber(companyId) {
   const today = new Date();
@@ -31,7 +57,7 @@ async function generatePONumber(companyId) {
 // ================================
 
 // Get all POs
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requirePermission('purchaseorder.read'), async (req, res) => {
   try {
     const {
       status,
@@ -78,7 +104,7 @@ router.get('/', authenticate, async (req, res) => {
 });
 
 // Get PO summary/dashboard
-router.get('/summary', authenticate, async (req, res) => {
+router.get('/summary', authenticate, requirePermission('purchaseorder.read'), async (req, res) => {
   try {
     const companyId = req.user.company;
     const today = new Date();
@@ -147,7 +173,7 @@ router.get('/summary', authenticate, async (req, res) => {
 });
 
 // Check budget availability for PO lines
-router.post('/check-budget', authenticate, async (req, res) => {
+router.post('/check-budget', authenticate, requirePermission('purchaseorder.read'), async (req, res) => {
   try {
     const { lines, fiscalYear } = req.body;
     const companyId = req.user.company;
@@ -225,18 +251,19 @@ router.post('/check-budget', authenticate, async (req, res) => {
 });
 
 // Get single PO
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, requirePermission('purchaseorder.read'), async (req, res) => {
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ success: false, message: 'Invalid PO ID' });
     }
 
-    const po = await PurchaseOrder.findById(req.params.id)
+    const po = await PurchaseOrder.findOne({ _id: req.params.id, company: req.user.company })
       .populate('vendor')
       .populate('createdBy', 'name email')
       .populate('approvedBy', 'name email')
       .populate('lines.headOfAccount', 'code name')
-      .populate('lines.costCenter', 'code name');
+      .populate('lines.costCenter', 'code name')
+      .populate('lines.project', 'name');
 
     if (!po) {
       return res.status(404).json({ success: false, message: 'PO not found' });
@@ -253,12 +280,13 @@ router.get('/:id', authenticate, async (req, res) => {
 // ================================
 
 // Create new PO
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, requirePermission('purchaseorder.manage'), async (req, res) => {
   try {
+    await assertProjectLines(req.body.lines, req.user.company);
     const poNumber = await generatePONumber(req.user.company);
 
     const po = new PurchaseOrder({
-      ...req.body,
+      ...editableFields(req.body),
       company: req.user.company,
       poNumber,
       createdBy: req.user._id,
@@ -269,14 +297,14 @@ router.post('/', authenticate, async (req, res) => {
 
     res.status(201).json({ success: true, data: po });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.status || 500).json({ success: false, message: error.message });
   }
 });
 
 // Submit for approval
-router.post('/:id/submit', authenticate, async (req, res) => {
+router.post('/:id/submit', authenticate, requirePermission('purchaseorder.manage'), async (req, res) => {
   try {
-    const po = await PurchaseOrder.findById(req.params.id);
+    const po = await PurchaseOrder.findOne({ _id: req.params.id, company: req.user.company });
 
     if (!po) {
       return res.status(404).json({ success: false, message: 'PO not found' });
@@ -303,9 +331,9 @@ router.post('/:id/submit', authenticate, async (req, res) => {
 });
 
 // Approve PO - THIS IS WHERE BUDGET COMMITMENT HAPPENS
-router.post('/:id/approve', authenticate, async (req, res) => {
+router.post('/:id/approve', authenticate, requirePermission('purchaseorder.approve'), async (req, res) => {
   try {
-    const po = await PurchaseOrder.findById(req.params.id);
+    const po = await PurchaseOrder.findOne({ _id: req.params.id, company: req.user.company });
 
     if (!po) {
       return res.status(404).json({ success: false, message: 'PO not found' });
@@ -318,6 +346,14 @@ router.post('/:id/approve', authenticate, async (req, res) => {
       });
     }
 
+    await enforceSegregation({
+      req,
+      documentType: 'purchase_order',
+      document: po,
+      action: 'approve',
+      overrideReason: req.body.sodOverrideReason,
+    });
+
     // **CRITICAL: Commit budget when PO is approved**
     try {
       await po.commitBudget();
@@ -339,14 +375,15 @@ router.post('/:id/approve', authenticate, async (req, res) => {
       data: po,
     });
   } catch (error) {
+    if (error.code === 'SOD_VIOLATION') return res.status(403).json(sodErrorBody(error));
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
 // Reject PO
-router.post('/:id/reject', authenticate, async (req, res) => {
+router.post('/:id/reject', authenticate, requirePermission('purchaseorder.approve'), async (req, res) => {
   try {
-    const po = await PurchaseOrder.findById(req.params.id);
+    const po = await PurchaseOrder.findOne({ _id: req.params.id, company: req.user.company });
 
     if (!po) {
       return res.status(404).json({ success: false, message: 'PO not found' });
@@ -376,9 +413,9 @@ router.post('/:id/reject', authenticate, async (req, res) => {
 });
 
 // Cancel PO - RELEASES BUDGET COMMITMENT
-router.post('/:id/cancel', authenticate, async (req, res) => {
+router.post('/:id/cancel', authenticate, requirePermission('purchaseorder.manage'), async (req, res) => {
   try {
-    const po = await PurchaseOrder.findById(req.params.id);
+    const po = await PurchaseOrder.findOne({ _id: req.params.id, company: req.user.company });
 
     if (!po) {
       return res.status(404).json({ success: false, message: 'PO not found' });
@@ -413,9 +450,9 @@ router.post('/:id/cancel', authenticate, async (req, res) => {
 });
 
 // Record goods receipt
-router.post('/:id/receive', authenticate, async (req, res) => {
+router.post('/:id/receive', authenticate, requirePermission('purchaseorder.manage'), async (req, res) => {
   try {
-    const po = await PurchaseOrder.findById(req.params.id);
+    const po = await PurchaseOrder.findOne({ _id: req.params.id, company: req.user.company });
 
     if (!po) {
       return res.status(404).json({ success: false, message: 'PO not found' });
@@ -428,6 +465,14 @@ router.post('/:id/receive', authenticate, async (req, res) => {
       });
     }
 
+    await enforceSegregation({
+      req,
+      documentType: 'purchase_order',
+      document: po,
+      action: 'post',
+      overrideReason: req.body.sodOverrideReason,
+    });
+
     const { receivedItems } = req.body;
 
     // Update received quantities
@@ -443,6 +488,8 @@ router.post('/:id/receive', authenticate, async (req, res) => {
     }
 
     po.status = allReceived ? 'received' : 'partially_received';
+    po.receivedBy = req.user._id;
+    po.receivedAt = new Date();
     await po.save();
 
     res.json({
@@ -451,14 +498,15 @@ router.post('/:id/receive', authenticate, async (req, res) => {
       data: po,
     });
   } catch (error) {
+    if (error.code === 'SOD_VIOLATION') return res.status(403).json(sodErrorBody(error));
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
 // Record invoice - CONVERTS COMMITMENT TO UTILIZATION
-router.post('/:id/invoice', authenticate, async (req, res) => {
+router.post('/:id/invoice', authenticate, requirePermission('purchaseorder.manage'), async (req, res) => {
   try {
-    const po = await PurchaseOrder.findById(req.params.id);
+    const po = await PurchaseOrder.findOne({ _id: req.params.id, company: req.user.company });
 
     if (!po) {
       return res.status(404).json({ success: false, message: 'PO not found' });
@@ -492,9 +540,9 @@ router.post('/:id/invoice', authenticate, async (req, res) => {
 });
 
 // Close PO
-router.post('/:id/close', authenticate, async (req, res) => {
+router.post('/:id/close', authenticate, requirePermission('purchaseorder.manage'), async (req, res) => {
   try {
-    const po = await PurchaseOrder.findById(req.params.id);
+    const po = await PurchaseOrder.findOne({ _id: req.params.id, company: req.user.company });
 
     if (!po) {
       return res.status(404).json({ success: false, message: 'PO not found' });
@@ -530,9 +578,9 @@ router.post('/:id/close', authenticate, async (req, res) => {
 // ================================
 
 // Update PO (only draft)
-router.put('/:id', authenticate, async (req, res) => {
+router.put('/:id', authenticate, requirePermission('purchaseorder.manage'), async (req, res) => {
   try {
-    const po = await PurchaseOrder.findById(req.params.id);
+    const po = await PurchaseOrder.findOne({ _id: req.params.id, company: req.user.company });
 
     if (!po) {
       return res.status(404).json({ success: false, message: 'PO not found' });
@@ -545,15 +593,15 @@ router.put('/:id', authenticate, async (req, res) => {
       });
     }
 
-    // Prevent changing critical fields
-    const { company, poNumber, createdBy, ...updates } = req.body;
+    const updates = editableFields(req.body);
+    await assertProjectLines(updates.lines, po.company);
 
     Object.assign(po, updates);
     await po.save();
 
     res.json({ success: true, data: po });
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    res.status(error.status || 500).json({ success: false, message: error.message });
   }
 });
 
@@ -562,9 +610,9 @@ router.put('/:id', authenticate, async (req, res) => {
 // ================================
 
 // Delete PO (only draft)
-router.delete('/:id', authenticate, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('purchaseorder.manage'), async (req, res) => {
   try {
-    const po = await PurchaseOrder.findById(req.params.id);
+    const po = await PurchaseOrder.findOne({ _id: req.params.id, company: req.user.company });
 
     if (!po) {
       return res.status(404).json({ success: false, message: 'PO not found' });
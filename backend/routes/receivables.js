@@ -0,0 +1,381 @@
+/**
+ * Receivables Routes
+ * Sales invoices, customer receipts, credit notes, allocation and AR aging
+ */
+
+import express from 'express';
+import CreditNote from '../models/CreditNote.js';
+import CustomerReceipt from '../models/CustomerReceipt.js';
+import ReceivablesSetting from '../models/ReceivablesSetting.js';
+import SalesInvoice from '../models/SalesInvoice.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import receivablesService from '../services/receivablesService.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const sendError = (res, error, action) => {
+  if (!error.status) logger.error(`Error ${action}:`, error);
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+const listQuery = (req, dateField) => {
+  const { customer, status, fiscalYear, fromDate, toDate } = req.query;
+  const query = { company: req.user.company };
+  if (customer) query.customer = customer;
+  if (status) query.status = status;
+  if (fiscalYear) query.fiscalYear = fiscalYear;
+  if (fromDate || toDate) {
+    query[dateField] = {};
+    if (fromDate) query[dateField].$gte = new Date(fromDate);
+    if (toDate) query[dateField].$lte = new Date(toDate);
+  }
+  return query;
+};
+
+// A bare YYYY-MM-DD means the end of that day
+const asOfDate = (value) => {
+  if (!value) return new Date();
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T23:59:59.999`) : new Date(value);
+};
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * GET /api/receivables/settings
+ * AR control, output tax and default income accounts
+ */
+router.get('/settings', requirePermission('receivable.manage'), async (req, res) => {
+  try {
+    const settings = await receivablesService.getSettings(req.user.company);
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    sendError(res, error, 'fetching receivables settings');
+  }
+});
+
+/**
+ * PUT /api/receivables/settings
+ * Update AR accounts
+ */
+router.put('/settings', requirePermission('receivable.approve'), async (req, res) => {
+  try {
+    const settings = await ReceivablesSetting.findOneAndUpdate(
+      { company: req.user.company },
+      { accounts: req.body.accounts, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true }
+    );
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    logger.error('Error updating receivables settings:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// SALES INVOICES
+// ============================================
+
+/**
+ * GET /api/receivables/invoices
+ * List sales invoices (?customer=&status=&fiscalYear=&fromDate=&toDate=)
+ */
+router.get('/invoices', requirePermission('receivable.read'), async (req, res) => {
+  try {
+    const invoices = await SalesInvoice.find(listQuery(req, 'invoiceDate'))
+      .select('-lines')
+      .populate('customer', 'customerCode name')
+      .sort({ invoiceDate: -1, invoiceNumber: -1 });
+    res.json({ success: true, count: invoices.length, data: invoices });
+  } catch (error) {
+    sendError(res, error, 'fetching sales invoices');
+  }
+});
+
+/**
+ * GET /api/receivables/invoices/:id
+ * Sales invoice with its receipt and credit note allocations
+ */
+router.get('/invoices/:id', requirePermission('receivable.read'), async (req, res) => {
+  try {
+    const invoice = await SalesInvoice.findOne({ _id: req.params.id, company: req.user.company })
+      .populate('customer', 'customerCode name ntn paymentTerms')
+      .populate('lines.account', 'code name')
+      .populate('journalEntry', 'entryNumber status');
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: 'Sales invoice not found' });
+    }
+
+    const match = { company: req.user.company, 'allocations.invoice': invoice._id };
+    const [receipts, creditNotes] = await Promise.all([
+      CustomerReceipt.find(match).select('receiptNumber receiptDate status allocations.$'),
+      CreditNote.find(match).select('creditNoteNumber creditDate status allocations.$'),
+    ]);
+    res.json({ success: true, data: { invoice, receipts, creditNotes } });
+  } catch (error) {
+    sendError(res, error, 'fetching sales invoice');
+  }
+});
+
+/**
+ * POST /api/receivables/invoices
+ * Create a draft sales invoice
+ * Body: { customer, category: 'fee'|'grant'|'service'|'other', invoiceDate, dueDate, reference,
+ *         lines: [{ description, quantity, unitPrice, taxAmount, account, costCenter }], notes }
+ */
+router.post('/invoices', requirePermission('receivable.manage'), async (req, res) => {
+  try {
+    const invoice = await receivablesService.createSalesInvoice({
+      companyId: req.user.company,
+      data: req.body,
+      userId: req.user._id,
+    });
+    res.status(201).json({ success: true, data: invoice });
+  } catch (error) {
+    sendError(res, error, 'creating sales invoice');
+  }
+});
+
+/**
+ * PUT /api/receivables/invoices/:id
+ * Edit a draft sales invoice
+ */
+router.put('/invoices/:id', requirePermission('receivable.manage'), async (req, res) => {
+  try {
+    const invoice = await receivablesService.updateSalesInvoice({
+      companyId: req.user.company,
+      id: req.params.id,
+      data: req.body,
+    });
+    res.json({ success: true, data: invoice });
+  } catch (error) {
+    sendError(res, error, 'updating sales invoice');
+  }
+});
+
+/**
+ * POST /api/receivables/invoices/:id/post
+ * Post a draft invoice to accounts receivable
+ */
+router.post('/invoices/:id/post', requirePermission('receivable.manage'), async (req, res) => {
+  try {
+    const { invoice, warnings } = await receivablesService.postSalesInvoice({
+      companyId: req.user.company,
+      id: req.params.id,
+      userId: req.user._id,
+    });
+    res.json({ success: true, message: 'Invoice posted to accounts receivable', data: invoice, warnings });
+  } catch (error) {
+    sendError(res, error, 'posting sales invoice');
+  }
+});
+
+/**
+ * POST /api/receivables/invoices/:id/cancel
+ * Cancel a draft, or reverse an unsettled posted invoice. Body: { reason }
+ */
+router.post('/invoices/:id/cancel', requirePermission('receivable.approve'), async (req, res) => {
+  try {
+    const invoice = await receivablesService.cancelSalesInvoice({
+      companyId: req.user.company,
+      id: req.params.id,
+      userId: req.user._id,
+      reason: req.body.reason,
+    });
+    res.json({ success: true, message: 'Invoice cancelled', data: invoice });
+  } catch (error) {
+    sendError(res, error, 'cancelling sales invoice');
+  }
+});
+
+// ============================================
+// RECEIPTS
+// ============================================
+
+/**
+ * GET /api/receivables/receipts
+ * List receipts (?customer=&status=&fiscalYear=&fromDate=&toDate=)
+ */
+router.get('/receipts', requirePermission('receivable.read'), async (req, res) => {
+  try {
+    const receipts = await CustomerReceipt.find(listQuery(req, 'receiptDate'))
+      .populate('customer', 'customerCode name')
+      .populate('bankAccount', 'code name')
+      .sort({ receiptDate: -1, receiptNumber: -1 });
+    res.json({ success: true, count: receipts.length, data: receipts });
+  } catch (error) {
+    sendError(res, error, 'fetching receipts');
+  }
+});
+
+/**
+ * GET /api/receivables/receipts/:id
+ * Receipt with allocations
+ */
+router.get('/receipts/:id', requirePermission('receivable.read'), async (req, res) => {
+  try {
+    const receipt = await CustomerReceipt.findOne({ _id: req.params.id, company: req.user.company })
+      .populate('customer', 'customerCode name')
+      .populate('bankAccount', 'code name')
+      .populate('journalEntry reversalEntry', 'entryNumber status');
+    if (!receipt) {
+      return res.status(404).json({ success: false, message: 'Receipt not found' });
+    }
+    res.json({ success: true, data: receipt });
+  } catch (error) {
+    sendError(res, error, 'fetching receipt');
+  }
+});
+
+/**
+ * POST /api/receivables/receipts
+ * Record and post a receipt
+ * Body: { customer, receiptDate, amount, paymentMethod, bankAccount, reference, notes,
+ *         allocations: [{ invoice, amount }] | autoAllocate: true }
+ */
+router.post('/receipts', requirePermission('receivable.manage'), async (req, res) => {
+  try {
+    const receipt = await receivablesService.createReceipt({
+      companyId: req.user.company,
+      data: req.body,
+      userId: req.user._id,
+    });
+    res.status(201).json({ success: true, data: receipt });
+  } catch (error) {
+    sendError(res, error, 'recording receipt');
+  }
+});
+
+/**
+ * POST /api/receivables/receipts/:id/allocate
+ * Allocate the unapplied part of a receipt. Body: { allocations: [{ invoice, amount }] } (omit for oldest-first)
+ */
+router.post('/receipts/:id/allocate', requirePermission('receivable.manage'), async (req, res) => {
+  try {
+    const receipt = await receivablesService.allocateReceipt({
+      companyId: req.user.company,
+      id: req.params.id,
+      allocations: req.body.allocations,
+      userId: req.user._id,
+    });
+    res.json({ success: true, data: receipt });
+  } catch (error) {
+    sendError(res, error, 'allocating receipt');
+  }
+});
+
+/**
+ * POST /api/receivables/receipts/:id/cancel
+ * Cancel a receipt (e.g. bounced cheque) and reopen settled invoices. Body: { reason }
+ */
+router.post('/receipts/:id/cancel', requirePermission('receivable.approve'), async (req, res) => {
+  try {
+    const receipt = await receivablesService.cancelReceipt({
+      companyId: req.user.company,
+      id: req.params.id,
+      userId: req.user._id,
+      reason: req.body.reason,
+    });
+    res.json({ success: true, message: 'Receipt cancelled', data: receipt });
+  } catch (error) {
+    sendError(res, error, 'cancelling receipt');
+  }
+});
+
+// ============================================
+// CREDIT NOTES
+// ============================================
+
+/**
+ * GET /api/receivables/credit-notes
+ * List credit notes (?customer=&status=&fiscalYear=&fromDate=&toDate=)
+ */
+router.get('/credit-notes', requirePermission('receivable.read'), async (req, res) => {
+  try {
+    const creditNotes = await CreditNote.find(listQuery(req, 'creditDate'))
+      .populate('customer', 'customerCode name')
+      .populate('invoice', 'invoiceNumber')
+      .sort({ creditDate: -1, creditNoteNumber: -1 });
+    res.json({ success: true, count: creditNotes.length, data: creditNotes });
+  } catch (error) {
+    sendError(res, error, 'fetching credit notes');
+  }
+});
+
+/**
+ * POST /api/receivables/credit-notes
+ * Create a draft credit note. Body: { customer, invoice, creditDate, reason, lines: [{ description, amount, taxAmount, account }] }
+ */
+router.post('/credit-notes', requirePermission('receivable.manage'), async (req, res) => {
+  try {
+    const creditNote = await receivablesService.createCreditNote({
+      companyId: req.user.company,
+      data: req.body,
+      userId: req.user._id,
+    });
+    res.status(201).json({ success: true, data: creditNote });
+  } catch (error) {
+    sendError(res, error, 'creating credit note');
+  }
+});
+
+/**
+ * POST /api/receivables/credit-notes/:id/post
+ * Post a credit note (applied to its invoice when one is linked)
+ */
+router.post('/credit-notes/:id/post', requirePermission('receivable.approve'), async (req, res) => {
+  try {
+    const creditNote = await receivablesService.postCreditNote({
+      companyId: req.user.company,
+      id: req.params.id,
+      userId: req.user._id,
+    });
+    res.json({ success: true, message: 'Credit note posted', data: creditNote });
+  } catch (error) {
+    sendError(res, error, 'posting credit note');
+  }
+});
+
+/**
+ * POST /api/receivables/credit-notes/:id/allocate
+ * Allocate the unapplied part of a credit note. Body: { allocations: [{ invoice, amount }] }
+ */
+router.post('/credit-notes/:id/allocate', requirePermission('receivable.manage'), async (req, res) => {
+  try {
+    const creditNote = await receivablesService.allocateCreditNote({
+      companyId: req.user.company,
+      id: req.params.id,
+      allocations: req.body.allocations,
+      userId: req.user._id,
+    });
+    res.json({ success: true, data: creditNote });
+  } catch (error) {
+    sendError(res, error, 'allocating credit note');
+  }
+});
+
+// ============================================
+// REPORTS
+// ============================================
+
+/**
+ * GET /api/receivables/aging
+ * Open-item AR aging (?asOfDate=&customer=)
+ */
+router.get('/aging', requirePermission('receivable.read'), async (req, res) => {
+  try {
+    const report = await receivablesService.agingReport(req.user.company, {
+      asOf: asOfDate(req.query.asOfDate),
+      customer: req.query.customer,
+    });
+    res.json({ success: true, data: { reportName: 'Accounts Receivable Aging', generatedAt: new Date(), ...report } });
+  } catch (error) {
+    sendError(res, error, 'generating AR aging');
+  }
+});
+
+export default router;
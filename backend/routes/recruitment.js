@@ -0,0 +1,356 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import Job from '../models/Job.js';
+import Applicant from '../models/Applicant.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { isS3Enabled, uploadToS3, generateS3Key, getSignedDownloadUrl } from '../services/s3Service.js';
+import recruitmentService from '../services/recruitmentService.js';
+import { entitlementErrorBody } from '../services/entitlementService.js';
+import { assignableRole } from '../services/employeeService.js';
+import { permissionsForRequest } from '../services/permissionService.js';
+
+const router = express.Router();
+
+const isHR = (user) => ['hr', 'admin'].includes(user.role);
+
+// Resumes are kept in memory and written to S3 (or uploads/resumes in local mode)
+const resumeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit for resumes
+  },
+  fileFilter: function (req, file, cb) {
+    const allowedExtensions = /pdf|doc|docx/;
+    const allowedMimetypes = /application\/(pdf|msword|vnd\.openxmlformats-officedocument\.wordprocessingml\.document)/;
+
+    const extname = allowedExtensions.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedMimetypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only .pdf, .doc and .docx files are allowed for resumes!'));
+    }
+  }
+});
+
+// Store an uploaded resume and return the Applicant.resume subdocument
+const storeResume = async (companyId, file) => {
+  const resume = {
+    name: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    uploadedAt: new Date(),
+  };
+
+  if (isS3Enabled()) {
+    const { s3Key, s3Url } = await uploadToS3(file.buffer, `recruitment/${companyId}/resumes`, file.originalname, file.mimetype);
+    return { ...resume, s3Key, url: s3Url };
+  }
+
+  const uploadDir = path.join(process.cwd(), 'uploads', 'resumes');
+  fs.mkdirSync(uploadDir, { recursive: true });
+  const fileName = path.basename(generateS3Key('resumes', file.originalname));
+  fs.writeFileSync(path.join(uploadDir, fileName), file.buffer);
+  return { ...resume, url: `/uploads/resumes/${fileName}` };
+};
+
+// HR/admin see every applicant; others only those for jobs they manage or interview for
+const canViewApplicant = (user, applicant) => {
+  if (isHR(user)) return true;
+  const userId = user._id.toString();
+  const jobManager = applicant.job?.hiringManager?.toString();
+  const interviewers = applicant.interviews.flatMap((interview) => (
+    interview.interviewers.map((interviewer) => (interviewer._id || interviewer).toString())
+  ));
+  return jobManager === userId || interviewers.includes(userId);
+};
+
+// ============================================
+// JOB REQUISITIONS
+// ============================================
+
+// GET /api/recruitment/jobs - Job requisitions with applicant counts (?status=)
+router.get('/jobs', authenticate, async (req, res) => {
+  try {
+    const query = { company: req.user.company };
+    if (req.query.status) query.status = req.query.status;
+
+    const [jobs, counts] = await Promise.all([
+      Job.find(query)
+        .populate('department', 'name')
+        .populate('position', 'title level')
+        .populate('hiringManager', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .lean(),
+      Applicant.aggregate([
+        { $match: { company: new mongoose.Types.ObjectId(req.user.company) } },
+        { $group: { _id: '$job', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countByJob = new Map(counts.map((row) => [row._id.toString(), row.count]));
+    res.json(jobs.map((job) => ({
+      ...job,
+      departmentName: job.department?.name,
+      applicants: countByJob.get(job._id.toString()) || 0,
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/recruitment/jobs/:id - Single job requisition
+router.get('/jobs/:id', authenticate, async (req, res) => {
+  try {
+    const job = await Job.findOne({ _id: req.params.id, company: req.user.company })
+      .populate('department', 'name')
+      .populate('position', 'title level department')
+      .populate('hiringManager', 'firstName lastName')
+      .populate('requestedBy', 'firstName lastName');
+
+    if (!job) return res.status(404).json({ message: 'Job not found' });
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/recruitment/jobs - Raise a job requisition for a position (HR/Admin)
+router.post('/jobs', authenticate, requirePermission('recruitment.manage'), async (req, res) => {
+  try {
+    if (!req.body.position || !req.body.department) {
+      return res.status(400).json({ message: 'position and department are required' });
+    }
+
+    const job = await recruitmentService.createJob(req.user.company, req.body, req.user._id);
+    res.status(201).json(job);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// PUT /api/recruitment/jobs/:id - Update a requisition or change its status (HR/Admin)
+router.put('/jobs/:id', authenticate, requirePermission('recruitment.manage'), async (req, res) => {
+  try {
+    const job = await recruitmentService.updateJob(req.user.company, req.params.id, req.body);
+    res.json(job);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// ============================================
+// APPLICANTS
+// ============================================
+
+// GET /api/recruitment/applicants - Pipeline (?job=, ?status=)
+router.get('/applicants', authenticate, async (req, res) => {
+  try {
+    const query = { company: req.user.company };
+    if (req.query.job) query.job = req.query.job;
+    if (req.query.status) query.status = req.query.status;
+
+    if (!isHR(req.user)) {
+      const managedJobs = await Job.find({ company: req.user.company, hiringManager: req.user._id }).select('_id').lean();
+      query.$or = [
+        { job: { $in: managedJobs.map((job) => job._id) } },
+        { 'interviews.interviewers': req.user._id },
+      ];
+    }
+
+    const applicants = await Applicant.find(query)
+      .select('-interviews.scorecards')
+      .populate('job', 'title jobCode')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(applicants);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/recruitment/applicants/:id - Applicant with interviews and scorecards
+router.get('/applicants/:id', authenticate, async (req, res) => {
+  try {
+    const applicant = await Applicant.findOne({ _id: req.params.id, company: req.user.company })
+      .populate('job', 'title jobCode hiringManager scorecardCriteria')
+      .populate('interviews.interviewers', 'firstName lastName')
+      .populate('interviews.scorecards.submittedBy', 'firstName lastName')
+      .populate('stageHistory.changedBy', 'firstName lastName')
+      .populate('hiredEmployee', 'firstName lastName employeeId');
+
+    if (!applicant) return res.status(404).json({ message: 'Applicant not found' });
+
+    if (!canViewApplicant(req.user, applicant)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(applicant);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/recruitment/applicants - Add an applicant with an optional resume file (HR/Admin)
+router.post('/applicants', authenticate, requirePermission('recruitment.manage'), resumeUpload.single('resume'), async (req, res) => {
+  try {
+    const { job: jobId, firstName, lastName, email, phone, source, referredBy, coverLetter } = req.body;
+
+    const job = await Job.findOne({ _id: jobId, company: req.user.company });
+    if (!job) return res.status(404).json({ message: 'Job not found' });
+    if (job.status !== 'open') {
+      return res.status(400).json({ message: `Job is ${job.status.replace('_', ' ')} and not accepting applicants` });
+    }
+
+    const applicant = new Applicant({
+      company: req.user.company,
+      job: job._id,
+      firstName,
+      lastName,
+      email,
+      phone,
+      source,
+      referredBy: referredBy || undefined,
+      coverLetter,
+      stageHistory: [{ to: 'applied', changedBy: req.user._id }],
+    });
+
+    if (req.file) {
+      applicant.resume = await storeResume(req.user.company, req.file);
+    }
+
+    await applicant.save();
+    res.status(201).json(applicant);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This candidate has already applied for the job' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// POST /api/recruitment/applicants/:id/resume - Upload or replace the resume (HR/Admin)
+router.post('/applicants/:id/resume', authenticate, requirePermission('recruitment.manage'), resumeUpload.single('resume'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: 'Please upload a file' });
+
+    const applicant = await Applicant.findOne({ _id: req.params.id, company: req.user.company });
+    if (!applicant) return res.status(404).json({ message: 'Applicant not found' });
+
+    applicant.resume = await storeResume(req.user.company, req.file);
+    await applicant.save();
+
+    res.json({ message: 'Resume uploaded successfully', resume: applicant.resume });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /api/recruitment/applicants/:id/resume - Download link for the resume
+router.get('/applicants/:id/resume', authenticate, async (req, res) => {
+  try {
+    const applicant = await Applicant.findOne({ _id: req.params.id, company: req.user.company })
+      .populate('job', 'hiringManager');
+    if (!applicant) return res.status(404).json({ message: 'Applicant not found' });
+    if (!canViewApplicant(req.user, applicant)) return res.status(403).json({ message: 'Access denied' });
+    if (!applicant.resume?.url) return res.status(404).json({ message: 'No resume uploaded' });
+
+    const url = applicant.resume.s3Key
+      ? await getSignedDownloadUrl(applicant.resume.s3Key)
+      : applicant.resume.url;
+
+    res.json({ url, name: applicant.resume.name });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST /api/recruitment/applicants/:id/stage - Move to another stage (HR/Admin)
+router.post('/applicants/:id/stage', authenticate, requirePermission('recruitment.manage'), async (req, res) => {
+  try {
+    const { to, note, rejectionReason, offer } = req.body;
+    if (!to) return res.status(400).json({ message: 'Target stage (to) is required' });
+
+    const applicant = await recruitmentService.moveStage({
+      companyId: req.user.company,
+      applicantId: req.params.id,
+      to,
+      note,
+      userId: req.user._id,
+      rejectionReason,
+      offer,
+    });
+
+    res.json(applicant);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// POST /api/recruitment/applicants/:id/interviews - Schedule an interview round (HR/Admin)
+router.post('/applicants/:id/interviews', authenticate, requirePermission('recruitment.manage'), async (req, res) => {
+  try {
+    const { round, scheduledAt, mode, interviewers } = req.body;
+    const applicant = await recruitmentService.scheduleInterview({
+      companyId: req.user.company,
+      applicantId: req.params.id,
+      round,
+      scheduledAt,
+      mode,
+      interviewers,
+      userId: req.user._id,
+    });
+
+    res.status(201).json(applicant);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// POST /api/recruitment/applicants/:id/interviews/:interviewId/scorecard - Submit a scorecard (interviewers, HR/Admin)
+router.post('/applicants/:id/interviews/:interviewId/scorecard', authenticate, async (req, res) => {
+  try {
+    const { ratings, recommendation, notes } = req.body;
+    const applicant = await recruitmentService.submitScorecard({
+      companyId: req.user.company,
+      applicantId: req.params.id,
+      interviewId: req.params.interviewId,
+      user: req.user,
+      ratings,
+      recommendation,
+      notes,
+    });
+
+    res.json(applicant);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// POST /api/recruitment/applicants/:id/hire - Hire an applicant with an offer and create their employee record (HR/Admin)
+router.post('/applicants/:id/hire', authenticate, requirePermission('recruitment.manage'), async (req, res) => {
+  try {
+    const { role, reportsTo, salary, joinDate } = req.body;
+    const { applicant, employee, temporaryPassword } = await recruitmentService.hireApplicant({
+      companyId: req.user.company,
+      applicantId: req.params.id,
+      userId: req.user._id,
+      overrides: { role: assignableRole(role, await permissionsForRequest(req)), reportsTo, salary, joinDate },
+    });
+
+    const { password: _password, ...employeeData } = employee.toObject();
+    res.status(201).json({ message: 'Applicant hired', applicant, employee: employeeData, temporaryPassword });
+  } catch (error) {
+    if (error.status === 402) {
+      return res.status(402).json(entitlementErrorBody(error));
+    }
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,151 @@
+/**
+ * Role Routes
+ * Company roles and permissions behind the Roles & Permissions Matrix
+ */
+
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSION_GROUPS } from '../config/permissions.js';
+import permissionService from '../services/permissionService.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const sendError = (res, error, action) => {
+  if (!error.status) logger.error(`Error ${action}:`, error);
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+/**
+ * GET /api/roles/permissions
+ * Permission catalog grouped for the matrix columns
+ */
+router.get('/permissions', requirePermission('role.manage'), (req, res) => {
+  res.json({ success: true, data: PERMISSION_GROUPS });
+});
+
+/**
+ * GET /api/roles/me
+ * Effective permissions of the signed-in user (for hiding UI actions)
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const permissions = await permissionService.permissionsForRequest(req);
+    res.json({ success: true, data: { role: req.user.role, permissions: [...permissions] } });
+  } catch (error) {
+    sendError(res, error, 'resolving permissions');
+  }
+});
+
+/**
+ * GET /api/roles
+ * Built-in and custom roles with their permissions and user counts
+ */
+router.get('/', requirePermission('role.manage'), async (req, res) => {
+  try {
+    const roles = await permissionService.listRoles(req.user.company);
+    res.json({ success: true, count: roles.length, data: roles });
+  } catch (error) {
+    sendError(res, error, 'fetching roles');
+  }
+});
+
+/**
+ * POST /api/roles
+ * Create a custom role. Body: { name, description, permissions: [] }
+ */
+router.post('/', requirePermission('role.manage'), async (req, res) => {
+  try {
+    const role = await permissionService.createRole({
+      companyId: req.user.company,
+      data: req.body,
+      userId: req.user._id,
+    });
+    res.status(201).json({ success: true, data: role });
+  } catch (error) {
+    sendError(res, error, 'creating role');
+  }
+});
+
+/**
+ * PUT /api/roles/system/:systemRole
+ * Override a built-in role's permissions for this company. Body: { permissions, description }
+ */
+router.put('/system/:systemRole', requirePermission('role.manage'), async (req, res) => {
+  try {
+    const role = await permissionService.updateSystemRole({
+      companyId: req.user.company,
+      systemRole: req.params.systemRole,
+      data: req.body,
+      userId: req.user._id,
+    });
+    res.json({ success: true, data: role });
+  } catch (error) {
+    sendError(res, error, 'updating built-in role');
+  }
+});
+
+/**
+ * DELETE /api/roles/system/:systemRole
+ * Reset a built-in role to the default permissions
+ */
+router.delete('/system/:systemRole', requirePermission('role.manage'), async (req, res) => {
+  try {
+    await permissionService.resetSystemRole({ companyId: req.user.company, systemRole: req.params.systemRole });
+    res.json({ success: true, message: 'Role reset to defaults' });
+  } catch (error) {
+    sendError(res, error, 'resetting built-in role');
+  }
+});
+
+/**
+ * PUT /api/roles/users/:userId
+ * Replace a user's custom role assignments. Body: { roles: [roleId] }
+ */
+router.put('/users/:userId', requirePermission('role.manage'), async (req, res) => {
+  try {
+    const user = await permissionService.assignRoles({
+      companyId: req.user.company,
+      userId: req.params.userId,
+      roleIds: req.body.roles || [],
+    });
+    res.json({ success: true, data: { _id: user._id, customRoles: user.customRoles } });
+  } catch (error) {
+    sendError(res, error, 'assigning roles');
+  }
+});
+
+/**
+ * PUT /api/roles/:id
+ * Update a custom role. Body: { name, description, permissions, status }
+ */
+router.put('/:id', requirePermission('role.manage'), async (req, res) => {
+  try {
+    const role = await permissionService.updateRole({
+      companyId: req.user.company,
+      id: req.params.id,
+      data: req.body,
+      userId: req.user._id,
+    });
+    res.json({ success: true, data: role });
+  } catch (error) {
+    sendError(res, error, 'updating role');
+  }
+});
+
+/**
+ * DELETE /api/roles/:id
+ * Delete a custom role that is not assigned to anyone
+ */
+router.delete('/:id', requirePermission('role.manage'), async (req, res) => {
+  try {
+    await permissionService.deleteRole({ companyId: req.user.company, id: req.params.id });
+    res.json({ success: true, message: 'Role deleted' });
+  } catch (error) {
+    sendError(res, error, 'deleting role');
+  }
+});
+
+export default router;
@@ -0,0 +1,95 @@
+/**
+ * Segregation of Duties Routes
+ * SoD rule configuration and the violation report for auditors
+ */
+
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import sodService from '../services/sodService.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const sendError = (res, error, action) => {
+  if (!error.status) logger.error(`Error ${action}:`, error);
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * GET /api/sod/settings
+ * Company rules per document type, with the rule and stage catalog for the editor
+ */
+router.get('/settings', requirePermission('sod.manage'), async (req, res) => {
+  try {
+    const settings = await sodService.getSettings(req.user.company);
+    res.json({
+      success: true,
+      data: { ...settings, documentTypes: sodService.DOCUMENT_STAGES, ruleTypes: sodService.SOD_RULES },
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching SoD settings');
+  }
+});
+
+/**
+ * PUT /api/sod/settings
+ * Body: { rules: [{ documentType, rule, enabled, allowOverride }] }
+ */
+router.put('/settings', requirePermission('sod.manage'), async (req, res) => {
+  try {
+    const settings = await sodService.updateSettings({
+      companyId: req.user.company,
+      rules: req.body.rules,
+      userId: req.user._id,
+    });
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    sendError(res, error, 'updating SoD settings');
+  }
+});
+
+// ============================================
+// VIOLATIONS
+// ============================================
+
+/**
+ * GET /api/sod/violations
+ * Blocked and overridden conflicts. Query: documentType, outcome, userId, fromDate, toDate, limit
+ */
+router.get('/violations', requirePermission('sod.report'), async (req, res) => {
+  try {
+    const { violations, summary } = await sodService.listViolations({
+      companyId: req.user.company,
+      filters: req.query,
+    });
+    res.json({ success: true, count: violations.length, data: violations, summary });
+  } catch (error) {
+    sendError(res, error, 'fetching SoD violations');
+  }
+});
+
+/**
+ * POST /api/sod/violations/:id/review
+ * Mark a violation reviewed. Body: { notes }
+ */
+router.post('/violations/:id/review', requirePermission('sod.report'), async (req, res) => {
+  try {
+    const violation = await sodService.reviewViolation({
+      companyId: req.user.company,
+      id: req.params.id,
+      userId: req.user._id,
+      notes: req.body.notes,
+    });
+    res.json({ success: true, data: violation });
+  } catch (error) {
+    sendError(res, error, 'reviewing SoD violation');
+  }
+});
+
+export default router;
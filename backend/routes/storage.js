@@ -23,6 +23,7 @@ import pdfParse from 'pdf-parse';
 import { uploadToS3, deleteFromS3, getSignedDownloadUrl, getS3FileAsBuffer, existsInS3 } from '../services/s3Service.js';
 import Document from '../models/Document.js';
 import Folder from '../models/Folder.js';
+import { assertStorageAvailable, entitlementErrorBody } from '../services/entitlementService.js';
 
 // Storage mode getter - reads at runtime to ensure dotenv is loaded
 const getStorageMode = () => process.env.STORAGE_MODE || 'local';
@@ -295,6 +296,19 @@ router.post('/upload', authenticate, upload.array('files', 20), async (req, res)
     return res.status(400).json({ error: 'No files uploaded. Use field name "files".' });
   }
 
+  // Reject the whole batch up front if it would push the company past its storage quota
+  if (req.user?.company) {
+    try {
+      await assertStorageAvailable(req.user.company, files.reduce((sum, f) => sum + f.size, 0));
+    } catch (error) {
+      if (error.status === 402) {
+        return res.status(402).json({ error: error.message, ...entitlementErrorBody(error) });
+      }
+      console.error('Error checking storage quota:', error);
+      return res.status(500).json({ error: 'Failed to check storage quota' });
+    }
+  }
+
   try {
     const uploadedFiles = [];
     const storageMode = getStorageMode();
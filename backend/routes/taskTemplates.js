@@ -0,0 +1,148 @@
+/**
+ * Task Template Routes
+ * Reusable task templates and recurring task series
+ */
+
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import taskTemplateService from '../services/taskTemplateService.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission('task.template.manage'));
+
+const sendError = (res, error, action) => {
+  if (!error.status && error.name !== 'ValidationError') logger.error(`Error ${action}:`, error);
+  const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+  res.status(status).json({ success: false, message: error.message });
+};
+
+/**
+ * POST /api/task-templates/preview
+ * Upcoming dates of a recurrence rule. Body: { recurrence, count }
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const dates = await taskTemplateService.previewOccurrences({
+      companyId: req.user.company,
+      recurrence: req.body.recurrence,
+      count: req.body.count,
+    });
+    res.json({ success: true, data: dates });
+  } catch (error) {
+    sendError(res, error, 'previewing recurrence');
+  }
+});
+
+/**
+ * GET /api/task-templates
+ */
+router.get('/', async (req, res) => {
+  try {
+    const templates = await taskTemplateService.listTemplates(req.user.company);
+    res.json({ success: true, count: templates.length, data: templates });
+  } catch (error) {
+    sendError(res, error, 'fetching task templates');
+  }
+});
+
+/**
+ * POST /api/task-templates
+ * Body: { name, title, description, project, department, priority, assignee, secondaryAssignees,
+ * dueTime, checklist, dependencies, recurrence, leadDays }
+ * Instances due within the lead time are created straight away.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { template, generated } = await taskTemplateService.createTemplate({
+      companyId: req.user.company,
+      data: req.body,
+      userId: req.user._id,
+    });
+    res.status(201).json({ success: true, data: template, generated });
+  } catch (error) {
+    sendError(res, error, 'creating task template');
+  }
+});
+
+/**
+ * GET /api/task-templates/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await taskTemplateService.getTemplate({ companyId: req.user.company, id: req.params.id });
+    res.json({ success: true, data: template });
+  } catch (error) {
+    sendError(res, error, 'fetching task template');
+  }
+});
+
+/**
+ * PUT /api/task-templates/:id
+ * Changes apply to instances created from now on
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { template, generated } = await taskTemplateService.updateTemplate({
+      companyId: req.user.company,
+      id: req.params.id,
+      data: req.body,
+      userId: req.user._id,
+    });
+    res.json({ success: true, data: template, generated });
+  } catch (error) {
+    sendError(res, error, 'updating task template');
+  }
+});
+
+/**
+ * DELETE /api/task-templates/:id
+ * Query: cancelUpcoming=true also cancels instances nobody has started
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const cancelled = await taskTemplateService.deleteTemplate({
+      companyId: req.user.company,
+      id: req.params.id,
+      cancelUpcoming: req.query.cancelUpcoming === 'true',
+    });
+    res.json({ success: true, message: 'Task template deleted', cancelled });
+  } catch (error) {
+    sendError(res, error, 'deleting task template');
+  }
+});
+
+/**
+ * GET /api/task-templates/:id/tasks
+ * Instances of the series, newest first
+ */
+router.get('/:id/tasks', async (req, res) => {
+  try {
+    const tasks = await taskTemplateService.listSeriesTasks({ companyId: req.user.company, id: req.params.id });
+    res.json({ success: true, count: tasks.length, data: tasks });
+  } catch (error) {
+    sendError(res, error, 'fetching series tasks');
+  }
+});
+
+/**
+ * POST /api/task-templates/:id/instantiate
+ * Create one task from the template. Body: { date, assignedTo }
+ */
+router.post('/:id/instantiate', async (req, res) => {
+  try {
+    const task = await taskTemplateService.instantiateTemplate({
+      companyId: req.user.company,
+      id: req.params.id,
+      date: req.body.date,
+      assignedTo: req.body.assignedTo,
+      userId: req.user._id,
+    });
+    res.status(201).json({ success: true, data: task });
+  } catch (error) {
+    sendError(res, error, 'creating task from template');
+  }
+});
+
+export default router;
@@ -1,15 +1,38 @@
 import express from 'express';
 import Task from '../models/Task.js';
 import User from '../models/User.js';
-import { authenticate, authorizeAdmin } from '../middleware/auth.js';
+import { authenticate, authorizeAdmin, requirePermission } from '../middleware/auth.js';
+import { hasPermission, permissionsForRequest } from '../services/permissionService.js';
+import taskTreeService from '../services/taskTreeService.js';
+import projectPlanService from '../services/projectPlanService.js';
 
 const router = express.Router();
 
-// Roles that can manage tasks (view all, create, assign)
-const MANAGER_ROLES = ['admin', 'manager', 'hr', 'chairman', 'executive', 'director', 'hod', 'teamlead'];
+// Manager-level access (view all, assign, edit and delete anyone's tasks) comes with task.manage
+const isManager = async (req) => hasPermission(await permissionsForRequest(req), 'task.manage');
 
-// Check if user has manager-level access
-const isManager = (role) => MANAGER_ROLES.includes(role);
+// Chairman review: comments, follow-up activities, boosts and bottlenecks
+const isReviewer = async (req) => hasPermission(await permissionsForRequest(req), 'task.review');
+
+// Primary or secondary assignee of the task
+const isTaskAssignee = (task, userId) =>
+  [task.assignedTo, ...(task.secondaryAssignees || [])].some((id) => (id?._id || id)?.toString() === userId.toString());
+
+// Assignees of a task and of the tasks above it can work on it, as can managers
+const canWorkOn = async (task, req) =>
+  (await isManager(req)) || isTaskAssignee(task, req.user._id) || taskTreeService.isAncestorAssignee(task, req.user._id);
+
+const populateTask = (query) => query
+  .populate('assignedTo', 'firstName lastName email designation department')
+  .populate('secondaryAssignees', 'firstName lastName email designation department')
+  .populate('assignedBy', 'firstName lastName email')
+  .populate('parent', 'title project')
+  .populate('updates.addedBy', 'firstName lastName')
+  .populate('checklist.doneBy', 'firstName lastName')
+  .populate('dependencies.requestedBy', 'firstName lastName email department')
+  .populate('dependencies.dependsOn', 'firstName lastName email department')
+  .populate('dependencies.task', 'title project status')
+  .populate('dependencies.comments.author', 'firstName lastName');
 
 // Get all tasks (with filters)
 router.get('/', authenticate, async (req, res) => {
@@ -25,7 +48,7 @@ router.get('/', authenticate, async (req, res) => {
       ];
     }
     // Manager roles can see all tasks, regular employees only their own
-    else if (!isManager(req.user.role)) {
+    else if (!(await isManager(req))) {
       filter.$or = [
         { assignedTo: req.user._id },
         { secondaryAssignees: req.user._id }
@@ -39,7 +62,7 @@ router.get('/', authenticate, async (req, res) => {
     }
 
     // If 'all' query param is set and user is manager, show all company tasks
-    if (all === 'true' && isManager(req.user.role) && myTasks !== 'true') {
+    if (all === 'true' && (await isManager(req)) && myTasks !== 'true') {
       delete filter.$or;
       delete filter.assignedTo;
     }
@@ -52,6 +75,7 @@ router.get('/', authenticate, async (req, res) => {
       .populate('assignedTo', 'firstName lastName email designation department')
       .populate('secondaryAssignees', 'firstName lastName email designation department')
       .populate('assignedBy', 'firstName lastName email')
+      .populate('parent', 'title project')
       .populate('updates.addedBy', 'firstName lastName')
       .populate('dependencies.requestedBy', 'firstName lastName email department')
       .populate('dependencies.dependsOn', 'firstName lastName email department')
@@ -67,26 +91,14 @@ router.get('/', authenticate, async (req, res) => {
 // Get task by ID
 router.get('/:id', authenticate, async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id)
-      .populate('assignedTo', 'firstName lastName email designation department')
-      .populate('secondaryAssignees', 'firstName lastName email designation department')
-      .populate('assignedBy', 'firstName lastName email')
-      .populate('updates.addedBy', 'firstName lastName')
-      .populate('dependencies.requestedBy', 'firstName lastName email department')
-      .populate('dependencies.dependsOn', 'firstName lastName email department')
-      .populate('dependencies.comments.author', 'firstName lastName');
+    const task = await populateTask(Task.findById(req.params.id));
 
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Check if user has access to this task
-    const assignedToId = task.assignedTo?._id?.toString() || task.assignedTo?.toString();
-    const secondaryIds = (task.secondaryAssignees || []).map(s => s._id?.toString() || s.toString());
-    const userId = req.user._id.toString();
-    const isAssignee = assignedToId === userId || secondaryIds.includes(userId);
-    
-    if (!isManager(req.user.role) && !isAssignee) {
+    // Check if user has access to this task (or to a task it is a subtask of)
+    if (!(await canWorkOn(task, req))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -115,10 +127,13 @@ router.post('/', authenticate, async (req, res) => {
       meetingEndTime,
       meetingLocation,
       attendees,
+      linkedProject,
+      milestone,
+      startDate,
     } = req.body;
 
-    // Check permissions: admins/managers can assign to anyone, employees can only assign to themselves
-    const canAssignToOthers = ['admin', 'chairman', 'manager', 'hr', 'director', 'executive', 'hod', 'teamlead'].includes(req.user.role);
+    // Check permissions: managers can assign to anyone, employees can only assign to themselves
+    const canAssignToOthers = await isManager(req);
     
     if (!canAssignToOthers && assignedTo !== req.user._id.toString()) {
       return res.status(403).json({ message: 'You can only create tasks for yourself' });
@@ -140,6 +155,9 @@ router.post('/', authenticate, async (req, res) => {
       validSecondaryAssignees = secondaryUsers.map(u => u._id);
     }
 
+    // Verify the project plan link (project and milestone in this company)
+    const planLink = await projectPlanService.resolvePlanLink({ linkedProject, milestone, company: req.user.company });
+
     // Generate a task ID (e.g., TASK-2024-001 or MTG-2024-001 for meetings)
     const taskCount = await Task.countDocuments({ company: req.user.company });
     const year = new Date().getFullYear();
@@ -180,6 +198,9 @@ router.post('/', authenticate, async (req, res) => {
       meetingEndTime: category === 'meeting' ? meetingEndTime : undefined,
       meetingLocation: category === 'meeting' ? meetingLocation : undefined,
       attendees: processedAttendees,
+      linkedProject: planLink.linkedProject || undefined,
+      milestone: planLink.milestone || undefined,
+      startDate: startDate || undefined,
     });
 
     const savedTask = await task.save();
@@ -191,7 +212,7 @@ router.post('/', authenticate, async (req, res) => {
 
     res.status(201).json(populatedTask);
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    res.status(error.status || 400).json({ message: error.message });
   }
 });
 
@@ -203,15 +224,9 @@ router.put('/:id', authenticate, async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Check permissions - primary or secondary assignees can update
-    const isPrimaryAssignee = task.assignedTo.toString() === req.user._id.toString();
-    const isSecondaryAssignee = (task.secondaryAssignees || []).some(
-      s => s.toString() === req.user._id.toString()
-    );
-    const isAssignee = isPrimaryAssignee || isSecondaryAssignee;
-    const hasManagerAccess = isManager(req.user.role);
-
-    if (!isAssignee && !hasManagerAccess) {
+    // Check permissions - primary or secondary assignees (of the task or a parent task) can update
+    const hasManagerAccess = await isManager(req);
+    if (!(await canWorkOn(task, req))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -228,6 +243,9 @@ router.put('/:id', authenticate, async (req, res) => {
       deadline,
       capacity,
       blocker,
+      linkedProject,
+      milestone,
+      startDate,
     } = req.body;
 
     // Managers can update all fields
@@ -247,32 +265,39 @@ router.put('/:id', authenticate, async (req, res) => {
           task.secondaryAssignees = [];
         }
       }
-      if (project !== undefined) task.project = project;
+      // A subtask's reference is derived from its parent's ("TASK-2026-0003.2")
+      if (project !== undefined && !task.parent) task.project = project;
       if (department !== undefined) task.department = department;
       if (priority !== undefined) task.priority = priority;
       if (deadline !== undefined) task.deadline = deadline;
       if (capacity !== undefined) task.capacity = capacity;
+      if (startDate !== undefined) task.startDate = startDate || undefined;
+      if (linkedProject !== undefined || milestone !== undefined) {
+        const planLink = await projectPlanService.resolvePlanLink({
+          linkedProject: linkedProject !== undefined ? linkedProject : task.linkedProject,
+          milestone: milestone !== undefined ? milestone : task.milestone,
+          company: task.company,
+        });
+        task.linkedProject = planLink.linkedProject || undefined;
+        task.milestone = planLink.milestone || undefined;
+      }
     }
 
-    // Both managers and assignees (primary or secondary) can update status, progress, and blocker
+    // Both managers and assignees (primary or secondary) can update status, progress, and blocker.
+    // Progress of a task with subtasks or a checklist is calculated from them.
+    taskTreeService.assertManualUpdate(task, { status });
     if (status !== undefined) task.status = status;
-    if (progress !== undefined) task.progress = progress;
+    if (progress !== undefined && !taskTreeService.hasBreakdown(task)) task.progress = progress;
     if (blocker !== undefined) task.blocker = blocker;
 
     await task.save();
+    await taskTreeService.refreshRollup(task._id);
 
-    const updatedTask = await Task.findById(task._id)
-      .populate('assignedTo', 'firstName lastName email designation department')
-      .populate('secondaryAssignees', 'firstName lastName email designation department')
-      .populate('assignedBy', 'firstName lastName email')
-      .populate('updates.addedBy', 'firstName lastName')
-      .populate('dependencies.requestedBy', 'firstName lastName email department')
-      .populate('dependencies.dependsOn', 'firstName lastName email department')
-      .populate('dependencies.comments.author', 'firstName lastName');
+    const updatedTask = await populateTask(Task.findById(task._id));
 
     res.json(updatedTask);
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    res.status(error.status || 400).json({ message: error.message });
   }
 });
 
@@ -355,17 +380,11 @@ router.post('/:id/updates', authenticate, async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Check permissions - primary or secondary assignees can add updates
-    const isPrimaryAssignee = task.assignedTo.toString() === req.user._id.toString();
-    const isSecondaryAssignee = (task.secondaryAssignees || []).some(
-      s => s.toString() === req.user._id.toString()
-    );
-    const isAssignee = isPrimaryAssignee || isSecondaryAssignee;
-    const hasManagerAccess = isManager(req.user.role);
-
-    if (!isAssignee && !hasManagerAccess) {
+    // Check permissions - primary or secondary assignees (of the task or a parent task) can add updates
+    if (!(await canWorkOn(task, req))) {
       return res.status(403).json({ message: 'Access denied' });
     }
+    taskTreeService.assertManualUpdate(task, { status });
 
     task.updates.push({
       message,
@@ -375,50 +394,38 @@ router.post('/:id/updates', authenticate, async (req, res) => {
     });
 
     // Update task progress and status if provided
-    if (progress !== undefined) task.progress = progress;
+    if (progress !== undefined && !taskTreeService.hasBreakdown(task)) task.progress = progress;
     if (status !== undefined) task.status = status;
 
     await task.save();
+    await taskTreeService.refreshRollup(task._id);
 
-    const updatedTask = await Task.findById(task._id)
-      .populate('assignedTo', 'firstName lastName email designation department')
-      .populate('secondaryAssignees', 'firstName lastName email designation department')
-      .populate('assignedBy', 'firstName lastName email')
-      .populate('updates.addedBy', 'firstName lastName')
-      .populate('dependencies.requestedBy', 'firstName lastName email department')
-      .populate('dependencies.dependsOn', 'firstName lastName email department')
-      .populate('dependencies.comments.author', 'firstName lastName');
+    const updatedTask = await populateTask(Task.findById(task._id));
 
     res.json(updatedTask);
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    res.status(error.status || 400).json({ message: error.message });
   }
 });
 
 // Delete task (managers only)
-router.delete('/:id', authenticate, async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('task.manage'), async (req, res) => {
   try {
-    if (!isManager(req.user.role)) {
-      return res.status(403).json({ message: 'Only managers can delete tasks' });
-    }
-    
-    const task = await Task.findByIdAndDelete(req.params.id);
+    const task = await Task.findById(req.params.id);
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
-    res.json({ message: 'Task deleted successfully' });
+    // Subtasks go with their parent
+    const subtasksDeleted = await taskTreeService.deleteTaskTree(task);
+    res.json({ message: 'Task deleted successfully', subtasksDeleted });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Get tasks statistics
-router.get('/stats/summary', authenticate, async (req, res) => {
+router.get('/stats/summary', authenticate, requirePermission('task.manage'), async (req, res) => {
   try {
-    if (!isManager(req.user.role)) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-    
     const stats = await Task.aggregate([
       { $match: { company: req.user.company } },
       {
@@ -448,12 +455,8 @@ router.get('/stats/summary', authenticate, async (req, res) => {
 });
 
 // Temporary seed endpoint - creates demo tasks if none exist
-router.post('/seed-demo', authenticate, async (req, res) => {
+router.post('/seed-demo', authenticate, authorizeAdmin, async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin only' });
-    }
-    
     const existingTasks = await Task.countDocuments({ company: req.user.company });
     if (existingTasks > 0) {
       return res.json({ message: 'Tasks already exist', count: existingTasks });
@@ -537,8 +540,8 @@ router.post('/:id/comments', authenticate, async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Only admins (chairman) can add comments
-    if (req.user.role !== 'admin') {
+    // Only task reviewers (admin/chairman) can add comments
+    if (!(await isReviewer(req))) {
       return res.status(403).json({ message: 'Only admin/chairman can add comments' });
     }
 
@@ -577,8 +580,8 @@ router.post('/:id/activities', authenticate, async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Only admins (chairman) can add activities
-    if (req.user.role !== 'admin') {
+    // Only task reviewers (admin/chairman) can add activities
+    if (!(await isReviewer(req))) {
       return res.status(403).json({ message: 'Only admin/chairman can add activities' });
     }
 
@@ -620,8 +623,8 @@ router.patch('/:id/activities/:activityId', authenticate, async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Only admins (chairman) can update activities
-    if (req.user.role !== 'admin') {
+    // Only task reviewers (admin/chairman) can update activities
+    if (!(await isReviewer(req))) {
       return res.status(403).json({ message: 'Only admin/chairman can update activities' });
     }
 
@@ -663,8 +666,8 @@ router.post('/:id/attachments', authenticate, async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Allow admin, assignee (primary or secondary), or assigner (task creator) to add attachments
-    const isAdmin = req.user.role === 'admin';
+    // Allow task managers, assignees (primary or secondary), or the assigner (task creator) to add attachments
+    const isTaskManager = await isManager(req);
     const isPrimaryAssignee = task.assignedTo?.toString() === req.user._id.toString();
     const isSecondaryAssignee = (task.secondaryAssignees || []).some(
       s => s.toString() === req.user._id.toString()
@@ -672,8 +675,8 @@ router.post('/:id/attachments', authenticate, async (req, res) => {
     const isAssignee = isPrimaryAssignee || isSecondaryAssignee;
     const isAssigner = task.assignedBy?.toString() === req.user._id.toString();
     
-    if (!isAdmin && !isAssignee && !isAssigner) {
-      return res.status(403).json({ message: 'Only assignee, assigner, or admin can add attachments' });
+    if (!isTaskManager && !isAssignee && !isAssigner) {
+      return res.status(403).json({ message: 'Only assignee, assigner, or a manager can add attachments' });
     }
 
     task.attachments.push({
@@ -708,9 +711,9 @@ router.delete('/:id/attachments/:attachmentId', authenticate, async (req, res) =
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Allow admin, assignee (primary or secondary), or assigner to delete attachments
+    // Allow task managers, assignees (primary or secondary), or the assigner to delete attachments
     // Also allow the person who uploaded the attachment to delete it
-    const isAdmin = req.user.role === 'admin';
+    const isTaskManager = await isManager(req);
     const isPrimaryAssignee = task.assignedTo?.toString() === req.user._id.toString();
     const isSecondaryAssignee = (task.secondaryAssignees || []).some(
       s => s.toString() === req.user._id.toString()
@@ -720,8 +723,8 @@ router.delete('/:id/attachments/:attachmentId', authenticate, async (req, res) =
     const attachment = task.attachments.id(req.params.attachmentId);
     const isUploader = attachment && attachment.uploadedBy?.toString() === req.user._id.toString();
     
-    if (!isAdmin && !isAssignee && !isAssigner && !isUploader) {
-      return res.status(403).json({ message: 'Only assignee, assigner, uploader, or admin can delete attachments' });
+    if (!isTaskManager && !isAssignee && !isAssigner && !isUploader) {
+      return res.status(403).json({ message: 'Only assignee, assigner, uploader, or a manager can delete attachments' });
     }
 
     task.attachments.pull(req.params.attachmentId);
@@ -751,8 +754,7 @@ router.post('/:id/boost', authenticate, async (req, res) => {
     }
 
     // Only admin/chairman can boost tasks
-    const chairmanRoles = ['admin', 'chairman', 'executive', 'director'];
-    if (!chairmanRoles.includes(req.user.role)) {
+    if (!(await isReviewer(req))) {
       return res.status(403).json({ message: 'Only admin/chairman can boost tasks' });
     }
 
@@ -795,9 +797,9 @@ router.patch('/:id/boost/:boostId', authenticate, async (req, res) => {
       s => s.toString() === req.user._id.toString()
     );
     const isAssignee = isPrimaryAssignee || isSecondaryAssignee;
-    const isAdmin = req.user.role === 'admin';
+    const isTaskManager = await isManager(req);
     
-    if (!isAssignee && !isAdmin) {
+    if (!isAssignee && !isTaskManager) {
       return res.status(403).json({ message: 'Only the assignee can respond to boost' });
     }
 
@@ -860,9 +862,9 @@ router.post('/:id/bottleneck', authenticate, async (req, res) => {
       s => s.toString() === req.user._id.toString()
     );
     const isAssignee = isPrimaryAssignee || isSecondaryAssignee;
-    const isAdmin = req.user.role === 'admin';
+    const isTaskManager = await isManager(req);
     
-    if (!isAssignee && !isAdmin) {
+    if (!isAssignee && !isTaskManager) {
       return res.status(403).json({ message: 'Only the assignee can raise a bottleneck' });
     }
 
@@ -905,7 +907,7 @@ router.patch('/:id/bottleneck/:bottleneckId', authenticate, async (req, res) =>
       s => s.toString() === req.user._id.toString()
     );
     const isAssignee = isPrimaryAssignee || isSecondaryAssignee;
-    const isChairperson = req.user.role === 'admin' || req.user.role === 'chairman';
+    const isChairperson = await isReviewer(req);
 
     // Assignee can only mark as resolved, chairperson can do everything
     if (!isAssignee && !isChairperson) {
@@ -962,13 +964,8 @@ router.patch('/:id/bottleneck/:bottleneckId', authenticate, async (req, res) =>
 });
 
 // Get all open bottlenecks across all tasks (for chairperson dashboard)
-router.get('/bottlenecks/all', authenticate, async (req, res) => {
+router.get('/bottlenecks/all', authenticate, requirePermission('task.review'), async (req, res) => {
   try {
-    // Only admin/chairman can view all bottlenecks
-    if (req.user.role !== 'admin' && req.user.role !== 'chairman') {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
     const tasks = await Task.find({
       company: req.user.company,
       'bottlenecks.0': { $exists: true }, // Has at least one bottleneck
@@ -1015,24 +1012,38 @@ router.get('/bottlenecks/all', authenticate, async (req, res) => {
 // Create a dependency on a task
 router.post('/:id/dependencies', authenticate, async (req, res) => {
   try {
-    const { dependsOn, title, description, category, priority, dueDate } = req.body;
-
-    if (!dependsOn || !title) {
-      return res.status(400).json({ message: 'dependsOn user and title are required' });
-    }
+    const { title, description, category, priority, dueDate } = req.body;
+    let { dependsOn } = req.body;
 
     const task = await Task.findById(req.params.id);
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
+    // Waiting on another task: its assignee is who the dependency is on
+    let predecessor = null;
+    if (req.body.task) {
+      predecessor = await Task.findOne({ _id: req.body.task, company: req.user.company }).select('assignedTo deadline');
+      if (!predecessor) {
+        return res.status(404).json({ message: 'Task to wait for not found' });
+      }
+      if (predecessor._id.equals(task._id) || await projectPlanService.wouldCreateCycle(task._id, predecessor._id)) {
+        return res.status(400).json({ message: 'This task cannot wait for a task that waits for it' });
+      }
+      dependsOn = dependsOn || predecessor.assignedTo;
+    }
+
+    if (!dependsOn || !title) {
+      return res.status(400).json({ message: 'dependsOn user and title are required' });
+    }
+
     // Check permissions - only assignees or managers can add dependencies
     const isPrimaryAssignee = task.assignedTo.toString() === req.user._id.toString();
     const isSecondaryAssignee = (task.secondaryAssignees || []).some(
       s => s.toString() === req.user._id.toString()
     );
     const isAssignee = isPrimaryAssignee || isSecondaryAssignee;
-    const hasManagerAccess = isManager(req.user.role);
+    const hasManagerAccess = await isManager(req);
 
     if (!isAssignee && !hasManagerAccess) {
       return res.status(403).json({ message: 'Only assignees or managers can add dependencies' });
@@ -1048,11 +1059,12 @@ router.post('/:id/dependencies', authenticate, async (req, res) => {
     const newDependency = {
       requestedBy: req.user._id,
       dependsOn,
+      task: predecessor?._id,
       title: title.trim(),
       description: description?.trim() || '',
       category: category || 'information',
       priority: priority || 'medium',
-      dueDate: dueDate || null,
+      dueDate: dueDate || predecessor?.deadline || null,
       status: 'pending',
       notifiedAt: new Date(),
       comments: [],
@@ -1144,13 +1156,8 @@ router.get('/dependencies/my', authenticate, async (req, res) => {
 });
 
 // Get all dependencies across all tasks (for managers/chairperson)
-router.get('/dependencies/all', authenticate, async (req, res) => {
+router.get('/dependencies/all', authenticate, requirePermission('task.manage'), async (req, res) => {
   try {
-    // Only managers can view all dependencies
-    if (!isManager(req.user.role)) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
     const { status, priority } = req.query;
 
     const filter = {
@@ -1227,7 +1234,7 @@ router.patch('/:id/dependencies/:dependencyId', authenticate, async (req, res) =
     // Only the dependent person or managers can respond
     const isDependsOn = dependency.dependsOn.toString() === req.user._id.toString();
     const isRequester = dependency.requestedBy.toString() === req.user._id.toString();
-    const hasManagerAccess = isManager(req.user.role);
+    const hasManagerAccess = await isManager(req);
 
     if (!isDependsOn && !hasManagerAccess && !isRequester) {
       return res.status(403).json({ message: 'Access denied' });
@@ -1303,7 +1310,7 @@ router.post('/:id/dependencies/:dependencyId/comments', authenticate, async (req
     const isParticipant = 
       dependency.dependsOn.toString() === req.user._id.toString() ||
       dependency.requestedBy.toString() === req.user._id.toString();
-    const hasManagerAccess = isManager(req.user.role);
+    const hasManagerAccess = await isManager(req);
 
     if (!isParticipant && !hasManagerAccess) {
       return res.status(403).json({ message: 'Access denied' });
@@ -1351,7 +1358,7 @@ router.post('/:id/dependencies/:dependencyId/escalate', authenticate, async (req
 
     // Only requester or managers can escalate
     const isRequester = dependency.requestedBy.toString() === req.user._id.toString();
-    const hasManagerAccess = isManager(req.user.role);
+    const hasManagerAccess = await isManager(req);
 
     if (!isRequester && !hasManagerAccess) {
       return res.status(403).json({ message: 'Only the requester or managers can escalate' });
@@ -1412,7 +1419,7 @@ router.post('/:id/dependencies/:dependencyId/remind', authenticate, async (req,
 
     // Only requester or managers can send reminders
     const isRequester = dependency.requestedBy.toString() === req.user._id.toString();
-    const hasManagerAccess = isManager(req.user.role);
+    const hasManagerAccess = await isManager(req);
 
     if (!isRequester && !hasManagerAccess) {
       return res.status(403).json({ message: 'Only the requester or managers can send reminders' });
@@ -1471,7 +1478,7 @@ router.post('/:id/dependencies/:dependencyId/attachments', authenticate, async (
     const isParticipant = 
       dependency.dependsOn.toString() === req.user._id.toString() ||
       dependency.requestedBy.toString() === req.user._id.toString();
-    const hasManagerAccess = isManager(req.user.role);
+    const hasManagerAccess = await isManager(req);
 
     if (!isParticipant && !hasManagerAccess) {
       return res.status(403).json({ message: 'Access denied' });
@@ -1501,4 +1508,107 @@ router.post('/:id/dependencies/:dependencyId/attachments', authenticate, async (
   }
 });
 
+// ==================== SUBTASK & CHECKLIST ROUTES ====================
+
+// Get the subtask tree of a task
+router.get('/:id/subtasks', authenticate, async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, company: req.user.company });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canWorkOn(task, req))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(await taskTreeService.getSubtaskTree(task));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Add a subtask - managers and the primary assignee can give it to someone else
+router.post('/:id/subtasks', authenticate, async (req, res) => {
+  try {
+    const parent = await Task.findOne({ _id: req.params.id, company: req.user.company });
+    if (!parent) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canWorkOn(parent, req))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const subtask = await taskTreeService.createSubtask({
+      parent,
+      data: req.body,
+      user: req.user,
+      canAssignOthers: (await isManager(req)) || parent.assignedTo.toString() === req.user._id.toString(),
+    });
+
+    res.status(201).json(await populateTask(Task.findById(subtask._id)));
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Add a checklist item
+router.post('/:id/checklist', authenticate, async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, company: req.user.company });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canWorkOn(task, req))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await taskTreeService.addChecklistItem({ task, title: req.body.title });
+    res.status(201).json(await populateTask(Task.findById(task._id)));
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Tick, untick or rename a checklist item
+router.patch('/:id/checklist/:itemId', authenticate, async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, company: req.user.company });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canWorkOn(task, req))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await taskTreeService.updateChecklistItem({
+      task,
+      itemId: req.params.itemId,
+      done: req.body.done,
+      title: req.body.title,
+      userId: req.user._id,
+    });
+    res.json(await populateTask(Task.findById(task._id)));
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Remove a checklist item
+router.delete('/:id/checklist/:itemId', authenticate, async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, company: req.user.company });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!(await canWorkOn(task, req))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await taskTreeService.removeChecklistItem({ task, itemId: req.params.itemId });
+    res.json(await populateTask(Task.findById(task._id)));
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,137 @@
+import express from 'express';
+import Timesheet from '../models/Timesheet.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { permissionsForRequest, hasPermission } from '../services/permissionService.js';
+import timesheetService from '../services/timesheetService.js';
+
+const router = express.Router();
+
+// Get own week of worklogs with hours per day and project (?date= any day in the week)
+router.get('/week', authenticate, async (req, res) => {
+  try {
+    const week = await timesheetService.getWeek({
+      companyId: req.user.company,
+      employeeId: req.user._id,
+      date: req.query.date || new Date(),
+    });
+    res.json(week);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Submit own week to the manager you report to; its worklogs are locked until rejected
+router.post('/submit', authenticate, async (req, res) => {
+  try {
+    const timesheet = await timesheetService.submitWeek({
+      companyId: req.user.company,
+      employeeId: req.user._id,
+      date: req.body.date || new Date(),
+    });
+    res.status(201).json(timesheet);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Get own timesheets (?status=)
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const timesheets = await timesheetService.listTimesheets({
+      companyId: req.user.company,
+      employees: [req.user._id],
+      status: req.query.status,
+    });
+    res.json(timesheets);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get timesheets of your direct reports (?status=, default submitted)
+router.get('/team', authenticate, async (req, res) => {
+  try {
+    const reports = await timesheetService.directReports(req.user.company, req.user._id);
+    const timesheets = await timesheetService.listTimesheets({
+      companyId: req.user.company,
+      employees: reports,
+      status: req.query.status === 'all' ? undefined : req.query.status || 'submitted',
+    });
+    res.json(timesheets);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Utilisation and billable hours per department (?from=&to=&department=, default this month)
+router.get('/reports/utilisation', authenticate, requirePermission('timesheet.report'), async (req, res) => {
+  try {
+    const now = new Date();
+    const report = await timesheetService.utilisationReport({
+      companyId: req.user.company,
+      from: req.query.from || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+      to: req.query.to || now,
+      department: req.query.department,
+    });
+    res.json(report);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Get a timesheet with its entries (own, a direct report's, or with timesheet.report)
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const timesheet = await Timesheet.findOne({ _id: req.params.id, company: req.user.company })
+      .populate('employee', 'firstName lastName employeeId department reportsTo')
+      .populate('reviewedBy', 'firstName lastName')
+      .populate('entries.linkedProject', 'name');
+
+    if (!timesheet) {
+      return res.status(404).json({ message: 'Timesheet not found' });
+    }
+
+    const own = String(timesheet.employee._id) === String(req.user._id);
+    const manager = String(timesheet.employee.reportsTo) === String(req.user._id);
+    if (!own && !manager && !hasPermission(await permissionsForRequest(req), 'timesheet.report')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(timesheet);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Approve a direct report's timesheet
+router.post('/:id/approve', authenticate, async (req, res) => {
+  try {
+    const timesheet = await timesheetService.reviewTimesheet({
+      companyId: req.user.company,
+      id: req.params.id,
+      reviewerId: req.user._id,
+      action: 'approve',
+    });
+    res.json(timesheet);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Reject a direct report's timesheet with a reason; the week opens for changes again
+router.post('/:id/reject', authenticate, async (req, res) => {
+  try {
+    const timesheet = await timesheetService.reviewTimesheet({
+      companyId: req.user.company,
+      id: req.params.id,
+      reviewerId: req.user._id,
+      action: 'reject',
+      reason: req.body.reason,
+    });
+    res.json(timesheet);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+export default router;
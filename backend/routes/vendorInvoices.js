@@ -0,0 +1,254 @@
+/**
+ * Vendor Invoice Routes
+ * Accounts payable invoices, three-way matching and payment scheduling
+ */
+
+import express from 'express';
+import PayablesSetting from '../models/PayablesSetting.js';
+import VendorInvoice from '../models/VendorInvoice.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import payablesService from '../services/payablesService.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const sendError = (res, error, action) => {
+  if (!error.status) logger.error(`Error ${action}:`, error);
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * GET /api/vendor-invoices/settings
+ * AP accounts and match tolerances
+ */
+router.get('/settings', requirePermission('payable.manage'), async (req, res) => {
+  try {
+    const settings = await payablesService.getSettings(req.user.company);
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    sendError(res, error, 'fetching payables settings');
+  }
+});
+
+/**
+ * PUT /api/vendor-invoices/settings
+ * Update AP accounts and match tolerances
+ */
+router.put('/settings', requirePermission('payable.approve'), async (req, res) => {
+  try {
+    const { accounts, tolerance } = req.body;
+    const settings = await PayablesSetting.findOneAndUpdate(
+      { company: req.user.company },
+      { accounts, tolerance, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    logger.error('Error updating payables settings:', error);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// ============================================
+// INVOICES
+// ============================================
+
+/**
+ * GET /api/vendor-invoices
+ * List invoices (?status=&vendor=&purchaseOrder=&matchStatus=&fiscalYear=)
+ */
+router.get('/', requirePermission('payable.read'), async (req, res) => {
+  try {
+    const { status, vendor, purchaseOrder, matchStatus, fiscalYear } = req.query;
+    const query = { company: req.user.company };
+    if (status) query.status = status;
+    if (vendor) query.vendor = vendor;
+    if (purchaseOrder) query.purchaseOrder = purchaseOrder;
+    if (matchStatus) query.matchStatus = matchStatus;
+    if (fiscalYear) query.fiscalYear = fiscalYear;
+
+    const invoices = await VendorInvoice.find(query)
+      .select('-lines')
+      .populate('vendor', 'name vendorCode')
+      .populate('purchaseOrder', 'poNumber')
+      .sort({ invoiceDate: -1, invoiceNumber: -1 });
+
+    res.json({ success: true, count: invoices.length, data: invoices });
+  } catch (error) {
+    sendError(res, error, 'fetching vendor invoices');
+  }
+});
+
+/**
+ * GET /api/vendor-invoices/due
+ * Approved invoices due for payment (?dueBy=YYYY-MM-DD&vendor=)
+ */
+router.get('/due', requirePermission('payable.manage'), async (req, res) => {
+  try {
+    const invoices = await payablesService.listDueInvoices(req.user.company, {
+      dueBy: req.query.dueBy || new Date(),
+      vendor: req.query.vendor,
+    });
+    const totals = invoices.reduce(
+      (sum, invoice) => ({
+        gross: sum.gross + invoice.totalAmount,
+        wht: sum.wht + (invoice.wht?.amount || 0),
+        net: sum.net + invoice.netPayable,
+      }),
+      { gross: 0, wht: 0, net: 0 }
+    );
+    res.json({ success: true, count: invoices.length, totals, data: invoices });
+  } catch (error) {
+    sendError(res, error, 'fetching due vendor invoices');
+  }
+});
+
+/**
+ * GET /api/vendor-invoices/:id
+ * Invoice with lines and match results
+ */
+router.get('/:id', requirePermission('payable.read'), async (req, res) => {
+  try {
+    const invoice = await VendorInvoice.findOne({ _id: req.params.id, company: req.user.company })
+      .populate('vendor', 'name vendorCode ntn isFiler paymentTerms')
+      .populate('purchaseOrder', 'poNumber poDate status')
+      .populate('lines.account', 'code name')
+      .populate('journalEntry', 'entryNumber status')
+      .populate('paymentBatch', 'batchNumber status')
+      .populate('createdBy approvedBy matchOverride.overriddenBy', 'firstName lastName');
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: 'Vendor invoice not found' });
+    }
+    res.json({ success: true, data: invoice });
+  } catch (error) {
+    sendError(res, error, 'fetching vendor invoice');
+  }
+});
+
+/**
+ * POST /api/vendor-invoices
+ * Record a draft invoice
+ * Body: { vendor, purchaseOrder, vendorInvoiceNumber, invoiceDate, dueDate,
+ *         lines: [{ poLine, description, quantity, unitPrice, taxAmount, account, costCenter }], notes }
+ */
+router.post('/', requirePermission('payable.manage'), async (req, res) => {
+  try {
+    const invoice = await payablesService.createInvoice({
+      companyId: req.user.company,
+      data: req.body,
+      userId: req.user._id,
+    });
+    res.status(201).json({ success: true, data: invoice });
+  } catch (error) {
+    sendError(res, error, 'creating vendor invoice');
+  }
+});
+
+/**
+ * PUT /api/vendor-invoices/:id
+ * Edit a draft invoice (matching and WHT are recalculated)
+ */
+router.put('/:id', requirePermission('payable.manage'), async (req, res) => {
+  try {
+    const invoice = await payablesService.updateInvoice({
+      companyId: req.user.company,
+      id: req.params.id,
+      data: req.body,
+    });
+    res.json({ success: true, data: invoice });
+  } catch (error) {
+    sendError(res, error, 'updating vendor invoice');
+  }
+});
+
+/**
+ * POST /api/vendor-invoices/:id/match
+ * Re-run the three-way match against current PO receipts
+ */
+router.post('/:id/match', requirePermission('payable.manage'), async (req, res) => {
+  try {
+    const invoice = await payablesService.rematchInvoice(req.user.company, req.params.id);
+    res.json({ success: true, message: `Match status: ${invoice.matchStatus}`, data: invoice });
+  } catch (error) {
+    sendError(res, error, 'matching vendor invoice');
+  }
+});
+
+/**
+ * POST /api/vendor-invoices/:id/approve
+ * Approve and post to accounts payable. Body: { overrideReason } (required for match exceptions)
+ */
+router.post('/:id/approve', requirePermission('payable.approve'), async (req, res) => {
+  try {
+    const invoice = await payablesService.approveInvoice({
+      companyId: req.user.company,
+      id: req.params.id,
+      userId: req.user._id,
+      overrideReason: req.body.overrideReason,
+    });
+    res.json({ success: true, message: 'Invoice approved and posted to accounts payable', data: invoice });
+  } catch (error) {
+    sendError(res, error, 'approving vendor invoice');
+  }
+});
+
+/**
+ * POST /api/vendor-invoices/:id/cancel
+ * Cancel a draft invoice. Body: { reason }
+ */
+router.post('/:id/cancel', requirePermission('payable.manage'), async (req, res) => {
+  try {
+    const invoice = await payablesService.cancelInvoice({
+      companyId: req.user.company,
+      id: req.params.id,
+      userId: req.user._id,
+      reason: req.body.reason,
+    });
+    res.json({ success: true, message: 'Invoice cancelled', data: invoice });
+  } catch (error) {
+    sendError(res, error, 'cancelling vendor invoice');
+  }
+});
+
+// ============================================
+// PAYMENT SCHEDULING
+// ============================================
+
+/**
+ * POST /api/vendor-invoices/payment-batch
+ * Create a draft bank payment batch from due invoices
+ * Body: { dueBy, invoices: [ids] (optional subset), vendor, batchDate, paymentMethod, sourceBank }
+ */
+router.post('/payment-batch', requirePermission('payable.manage'), async (req, res) => {
+  try {
+    const { dueBy, invoices, vendor, batchDate, paymentMethod, sourceBank } = req.body;
+    const { batch, skipped } = await payablesService.schedulePayments({
+      companyId: req.user.company,
+      dueBy: dueBy || batchDate || new Date(),
+      invoiceIds: invoices,
+      vendor,
+      batchDate,
+      paymentMethod,
+      sourceBank,
+      userId: req.user._id,
+    });
+
+    logger.info('Vendor payment batch created', { batchNumber: batch.batchNumber, userId: req.user._id });
+    res.status(201).json({
+      success: true,
+      message: `${batch.payments.length} invoices scheduled in ${batch.batchNumber}`,
+      data: batch,
+      skipped,
+    });
+  } catch (error) {
+    sendError(res, error, 'scheduling vendor payments');
+  }
+});
+
+export default router;
@@ -5,7 +5,7 @@
 
 import express from 'express';
 import Vendor from '../models/Vendor.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import logger from '../config/logger.js';
 
 const router = express.Router();
@@ -106,7 +106,7 @@ router.get('/:id/payments', async (req, res) => {
  * POST /api/vendors
  * Create new vendor
  */
-router.post('/', authorize('admin', 'finance', 'accountant'), async (req, res) => {
+router.post('/', requirePermission('vendor.manage'), async (req, res) => {
   try {
     const {
       name,
@@ -173,7 +173,7 @@ router.post('/', authorize('admin', 'finance', 'accountant'), async (req, res) =
  * PUT /api/vendors/:id
  * Update vendor
  */
-router.put('/:id', authorize('admin', 'finance', 'accountant'), async (req, res) => {
+router.put('/:id', requirePermission('vendor.manage'), async (req, res) => {
   try {
     const vendor = await Vendor.findOne({
       _id: req.params.id,
@@ -234,7 +234,7 @@ router.put('/:id', authorize('admin', 'finance', 'accountant'), async (req, res)
  * DELETE /api/vendors/:id
  * Delete/deactivate vendor
  */
-router.delete('/:id', authorize('admin', 'finance'), async (req, res) => {
+router.delete('/:id', requirePermission('vendor.delete'), async (req, res) => {
   try {
     const vendor = await Vendor.findOne({
       _id: req.params.id,
@@ -290,31 +290,21 @@ router.post('/:id/calculate-wht', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Vendor not found' });
     }
 
-    if (!vendor.taxInfo.whtApplicable) {
-      return res.json({
-        success: true,
-        data: {
-          grossAmount: amount,
-          whtAmount: 0,
-          netPayable: amount,
-          whtApplicable: false
-        }
-      });
-    }
-
-    const whtRate = vendor.taxInfo.whtRate || 4.5;
-    const whtAmount = Math.round((amount * whtRate) / 100);
-    const netPayable = amount - whtAmount;
+    const grossAmount = Number(amount) || 0;
+    const wht = vendor.calculateWHT(grossAmount);
 
     res.json({
       success: true,
       data: {
-        grossAmount: amount,
-        whtRate,
-        whtAmount,
-        netPayable,
-        whtApplicable: true,
-        filerStatus: vendor.taxInfo.filerStatus
+        grossAmount,
+        whtRate: wht.whtRate,
+        whtAmount: wht.whtAmount,
+        netPayable: grossAmount - wht.whtAmount,
+        whtApplicable: wht.whtAmount > 0,
+        isExempt: Boolean(wht.isExempt),
+        belowThreshold: Boolean(wht.belowThreshold),
+        section: vendor.wht.applicableSection,
+        filerStatus: vendor.isFiler ? 'filer' : 'non-filer'
       }
     });
   } catch (error) {
@@ -327,7 +317,7 @@ router.post('/:id/calculate-wht', async (req, res) => {
  * GET /api/vendors/report/wht-summary
  * WHT summary report for tax filing
  */
-router.get('/report/wht-summary', authorize('admin', 'finance', 'accountant'), async (req, res) => {
+router.get('/report/wht-summary', requirePermission('payable.read'), async (req, res) => {
   try {
     const { fromDate, toDate } = req.query;
 
@@ -0,0 +1,167 @@
+/**
+ * Webhook Routes
+ * Company webhook endpoints, the delivery log and manual redelivery
+ */
+
+import express from 'express';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import webhookService from '../services/webhookService.js';
+import { EVENT_GROUPS, ALL_EVENTS } from '../config/events.js';
+import logger from '../config/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission('webhook.manage'));
+
+const sendError = (res, error, action) => {
+  if (!error.status) logger.error(`Error ${action}:`, error);
+  res.status(error.status || 500).json({ success: false, message: error.message });
+};
+
+// ============================================
+// EVENTS & DELIVERY LOG
+// ============================================
+
+/**
+ * GET /api/webhooks/events
+ * Events an endpoint can subscribe to
+ */
+router.get('/events', (req, res) => {
+  res.json({ success: true, data: { groups: EVENT_GROUPS, all: ALL_EVENTS } });
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * Delivery log, newest first. Query: endpoint, status, event, page, limit
+ */
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { endpoint, status, event, page, limit } = req.query;
+    const result = await webhookService.listDeliveries({
+      companyId: req.user.company, endpointId: endpoint, status, event, page, limit,
+    });
+    res.json({ success: true, data: result.deliveries, pagination: result.pagination });
+  } catch (error) {
+    sendError(res, error, 'fetching webhook deliveries');
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries/:id
+ * One delivery with its payload and every attempt
+ */
+router.get('/deliveries/:id', async (req, res) => {
+  try {
+    const delivery = await webhookService.getDelivery({ companyId: req.user.company, id: req.params.id });
+    res.json({ success: true, data: delivery });
+  } catch (error) {
+    sendError(res, error, 'fetching webhook delivery');
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/redeliver
+ * Send the same event again (one attempt, same event ID)
+ */
+router.post('/deliveries/:id/redeliver', async (req, res) => {
+  try {
+    const delivery = await webhookService.redeliver({ companyId: req.user.company, id: req.params.id, userId: req.user._id });
+    res.status(201).json({ success: true, data: delivery });
+  } catch (error) {
+    sendError(res, error, 'redelivering webhook');
+  }
+});
+
+// ============================================
+// ENDPOINTS
+// ============================================
+
+/**
+ * GET /api/webhooks
+ */
+router.get('/', async (req, res) => {
+  try {
+    const endpoints = await webhookService.listEndpoints(req.user.company);
+    res.json({ success: true, count: endpoints.length, data: endpoints });
+  } catch (error) {
+    sendError(res, error, 'fetching webhook endpoints');
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Register an endpoint. Body: { name, url, description, events, enabled }
+ * The signing secret is in the response and is not shown again.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { endpoint, secret } = await webhookService.createEndpoint({ companyId: req.user.company, data: req.body, userId: req.user._id });
+    res.status(201).json({ success: true, data: endpoint, secret });
+  } catch (error) {
+    sendError(res, error, 'creating webhook endpoint');
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const endpoint = await webhookService.getEndpoint({ companyId: req.user.company, id: req.params.id });
+    res.json({ success: true, data: endpoint });
+  } catch (error) {
+    sendError(res, error, 'fetching webhook endpoint');
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const endpoint = await webhookService.updateEndpoint({ companyId: req.user.company, id: req.params.id, data: req.body });
+    res.json({ success: true, data: endpoint });
+  } catch (error) {
+    sendError(res, error, 'updating webhook endpoint');
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace the signing secret; the old one stops working immediately
+ */
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const { endpoint, secret } = await webhookService.rotateSecret({ companyId: req.user.company, id: req.params.id });
+    res.json({ success: true, data: endpoint, secret });
+  } catch (error) {
+    sendError(res, error, 'rotating webhook secret');
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/ping
+ * Send a webhook.ping event and return the delivery
+ */
+router.post('/:id/ping', async (req, res) => {
+  try {
+    const delivery = await webhookService.pingEndpoint({ companyId: req.user.company, id: req.params.id, userId: req.user._id });
+    res.json({ success: true, data: delivery });
+  } catch (error) {
+    sendError(res, error, 'pinging webhook endpoint');
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await webhookService.deleteEndpoint({ companyId: req.user.company, id: req.params.id });
+    res.json({ success: true, message: 'Webhook endpoint removed' });
+  } catch (error) {
+    sendError(res, error, 'deleting webhook endpoint');
+  }
+});
+
+export default router;
@@ -7,9 +7,13 @@ import express from 'express';
 import whatsappService from '../services/whatsappService.js';
 import aiService from '../services/aiService.js';
 import conversationService from '../services/conversationService.js';
+import taskTreeService from '../services/taskTreeService.js';
 import User from '../models/User.js';
 import Task from '../models/Task.js';
 import Reminder from '../models/Reminder.js';
+import attendanceService from '../services/attendanceService.js';
+import payslipService from '../services/payslipService.js';
+import { isS3Enabled, uploadToS3, getSignedDownloadUrl } from '../services/s3Service.js';
 import logger from '../config/logger.js';
 import whatsappConfig from '../config/whatsapp.js';
 
@@ -280,6 +284,10 @@ async function processAction(action, user, phoneNumber) {
         await updateTaskStatus(user, phoneNumber, action.taskId, action.status);
         break;
 
+      case 'updateListedTask':
+        await updateListedTask(user, phoneNumber, action.ref, action.status);
+        break;
+
       case 'updateTaskStatusAndProgress':
         await updateTaskStatusAndProgress(user, phoneNumber, action.taskId, action.status, action.progress);
         break;
@@ -337,6 +345,18 @@ async function processAction(action, user, phoneNumber) {
         await cancelReminder(user, phoneNumber, action.reminderId); // Reuse cancel logic
         break;
 
+      case 'checkIn':
+        await checkInAttendance(user, phoneNumber, action.workMode);
+        break;
+
+      case 'checkOut':
+        await checkOutAttendance(user, phoneNumber);
+        break;
+
+      case 'payslip':
+        await sendPayslip(user, phoneNumber, action.month);
+        break;
+
       case 'unknown':
       default:
         await whatsappService.sendMessage(phoneNumber, 
@@ -388,9 +408,81 @@ Type "show my tasks" to see the full list.`;
 }
 
 /**
- * List user tasks
+ * Check in for today's attendance
  */
-async function listUserTasks(user, phoneNumber, filters = {}) {
+async function checkInAttendance(user, phoneNumber, workMode) {
+  const { record, shift } = await attendanceService.checkIn({
+    companyId: getCompanyId(user),
+    employee: user,
+    source: 'whatsapp',
+    workMode: workMode === 'remote' ? 'remote' : 'office',
+  });
+
+  let message = `PVARA HRMS - Checked In
+
+Employee: ${user.firstName} ${user.lastName}
+Time: ${attendanceService.formatTime(record.checkIn.time, shift.timezone)}
+Shift: ${shift.name} (${shift.startTime} - ${shift.endTime})
+Status: ${record.status.replace(/_/g, ' ').toUpperCase()}`;
+
+  if (record.lateMinutes > 0) {
+    message += `\nLate by: ${record.lateMinutes} minutes`;
+  }
+
+  message += '\n\nSend "check out" when you finish for the day.';
+  await whatsappService.sendMessage(phoneNumber, message);
+}
+
+/**
+ * Check out against today's check-in
+ */
+async function checkOutAttendance(user, phoneNumber) {
+  const { record, shift } = await attendanceService.checkOut({
+    companyId: getCompanyId(user),
+    employee: user,
+    source: 'whatsapp',
+  });
+
+  let message = `PVARA HRMS - Checked Out
+
+Employee: ${user.firstName} ${user.lastName}
+Check In: ${attendanceService.formatTime(record.checkIn.time, shift.timezone)}
+Check Out: ${attendanceService.formatTime(record.checkOut.time, shift.timezone)}
+Hours Worked: ${record.workedHours}
+Status: ${record.status.replace(/_/g, ' ').toUpperCase()}`;
+
+  if (record.earlyLeaveMinutes > 0) {
+    message += `\nLeft early by: ${record.earlyLeaveMinutes} minutes`;
+  }
+
+  await whatsappService.sendMessage(phoneNumber, message);
+}
+
+/**
+ * Send the latest (or a given month's) payslip; the PDF is attached when S3 storage is available
+ */
+async function sendPayslip(user, phoneNumber, month) {
+  const payslip = await payslipService.getPayslip(getCompanyId(user), user._id, month);
+  const message = payslipService.formatPayslipMessage(payslip);
+
+  let mediaUrl;
+  if (isS3Enabled()) {
+    try {
+      const pdf = payslipService.renderPayslipPdf(payslip);
+      const { s3Key } = await uploadToS3(pdf, 'payslips', `payslip-${payslip.month}.pdf`, 'application/pdf');
+      mediaUrl = await getSignedDownloadUrl(s3Key, 15 * 60);
+    } catch (error) {
+      logger.error('Payslip PDF upload failed, sending text only:', error);
+    }
+  }
+
+  await whatsappService.sendMessage(phoneNumber, message, mediaUrl);
+}
+
+/**
+ * Query for the tasks in a user's task list
+ */
+const userTasksQuery = (user, filters = {}) => {
   const query = {
     $or: [
       { assignedTo: user._id },
@@ -405,13 +497,65 @@ async function listUserTasks(user, phoneNumber, filters = {}) {
     query.deadline = { $lt: new Date() };
     query.status = { $ne: 'completed' };
   }
+  return query;
+};
 
-  const tasks = await Task.find(query)
+/**
+ * List user tasks
+ */
+async function listUserTasks(user, phoneNumber, filters = {}) {
+  const tasks = await Task.find(userTasksQuery(user, filters))
     .sort({ deadline: 1 })
     .limit(15)
     .populate('assignedBy', 'firstName lastName');
 
-  await whatsappService.sendTaskList(phoneNumber, tasks);
+  // Subtasks are numbered under their task, so "done 3.2" can find them
+  const listed = tasks.slice(0, 10);
+  const subtasks = {};
+  const children = await Task.find({ parent: { $in: listed.map(t => t._id) }, status: { $ne: 'cancelled' } })
+    .select('title status parent subtaskNumber')
+    .sort({ subtaskNumber: 1 })
+    .lean();
+  children.forEach(child => {
+    subtasks[child.parent] = [...(subtasks[child.parent] || []), child];
+  });
+
+  await conversationService.rememberTaskList(phoneNumber, user._id, listed.map(t => t._id));
+  await whatsappService.sendTaskList(phoneNumber, tasks, subtasks);
+}
+
+/**
+ * Update a task or subtask by its number in the user's last task list ("done 3.2")
+ */
+async function updateListedTask(user, phoneNumber, ref, status) {
+  const path = taskTreeService.parsePath(ref);
+  if (!path) {
+    await whatsappService.sendErrorMessage(phoneNumber, `"${ref}" is not a task number. Example: "done 3.2"`);
+    return;
+  }
+
+  // The list last sent, or the default list if that conversation has expired
+  let taskIds = await conversationService.getTaskList(phoneNumber);
+  if (taskIds.length === 0) {
+    const tasks = await Task.find(userTasksQuery(user)).sort({ deadline: 1 }).limit(10).select('_id').lean();
+    taskIds = tasks.map(t => t._id);
+  }
+
+  const listed = taskIds[path[0] - 1]
+    ? await Task.findOne({ _id: taskIds[path[0] - 1], company: getCompanyId(user) })
+    : null;
+  if (!listed) {
+    await whatsappService.sendErrorMessage(phoneNumber, `There is no task ${path[0]} in your list. Send "show my tasks" to see the numbers.`);
+    return;
+  }
+
+  const task = await taskTreeService.findByPath(listed, path.slice(1));
+  if (!task) {
+    await whatsappService.sendErrorMessage(phoneNumber, `Task ${listed.project} has no subtask ${ref}`);
+    return;
+  }
+
+  await updateTaskStatus(user, phoneNumber, task.project, status);
 }
 
 /**
@@ -476,7 +620,7 @@ async function viewTaskDetails(user, phoneNumber, taskId) {
     task.secondaryAssignees?.some(s => s._id.toString() === user._id.toString());
   const isManager = MANAGER_ROLES.includes(user.role);
 
-  if (!isAssignee && !isManager) {
+  if (!isAssignee && !isManager && !(await taskTreeService.isAncestorAssignee(task, user._id))) {
     await whatsappService.sendErrorMessage(phoneNumber, 'You do not have access to this task');
     return;
   }
@@ -498,6 +642,24 @@ Assigned by: ${task.assignedBy?.firstName || 'N/A'} ${task.assignedBy?.lastName
 ${task.secondaryAssignees?.length ? `Secondary: ${task.secondaryAssignees.map(s => `${s.firstName} ${s.lastName}`).join(', ')}\n` : ''}
 ${task.blocker ? `\nBlocker: ${task.blocker}` : ''}`;
 
+  // Subtasks (by reference) and checklist
+  const subtasks = await Task.find({ parent: task._id, status: { $ne: 'cancelled' } })
+    .select('title status progress project')
+    .sort({ subtaskNumber: 1 })
+    .lean();
+  if (subtasks.length > 0) {
+    message += `\n\nSubtasks (${task.subtaskStats?.completed || 0}/${subtasks.length} done):\n`;
+    subtasks.forEach(subtask => {
+      message += `- [${subtask.status === 'completed' ? 'x' : ' '}] ${subtask.project} ${subtask.title} (${subtask.progress}%)\n`;
+    });
+  }
+  if (task.checklist?.length > 0) {
+    message += `\n\nChecklist:\n`;
+    task.checklist.forEach(item => {
+      message += `- [${item.done ? 'x' : ' '}] ${item.title}\n`;
+    });
+  }
+
   // Show recent updates
   if (task.updates?.length > 0) {
     message += `\n\nRecent Updates:\n`;
@@ -654,16 +816,23 @@ async function updateTaskStatus(user, phoneNumber, taskId, status) {
     return;
   }
 
-  // Check access
+  // Check access - assignees of a parent task can update its subtasks
   const isAssignee = task.assignedTo?.toString() === user._id.toString() ||
     task.secondaryAssignees?.some(s => s.toString() === user._id.toString());
   const isManager = MANAGER_ROLES.includes(user.role);
 
-  if (!isAssignee && !isManager) {
+  if (!isAssignee && !isManager && !(await taskTreeService.isAncestorAssignee(task, user._id))) {
     await whatsappService.sendErrorMessage(phoneNumber, 'You do not have permission to update this task');
     return;
   }
 
+  const openItems = taskTreeService.openItems(task);
+  if (normalizedStatus === 'completed' && openItems > 0) {
+    await whatsappService.sendErrorMessage(phoneNumber,
+      `Task ${normalizedTaskId} still has ${openItems} open subtask${openItems === 1 ? '' : 's'} or checklist item${openItems === 1 ? '' : 's'}. Send "show task ${normalizedTaskId}" to see them.`);
+    return;
+  }
+
   const oldStatus = task.status;
   const oldProgress = task.progress;
   
@@ -686,7 +855,7 @@ async function updateTaskStatus(user, phoneNumber, taskId, status) {
   }
 
   // Atomic update with verification
-  const updatedTask = await Task.findOneAndUpdate(
+  let updatedTask = await Task.findOneAndUpdate(
     { _id: task._id },
     updateData,
     { new: true, runValidators: true }
@@ -698,6 +867,12 @@ async function updateTaskStatus(user, phoneNumber, taskId, status) {
     return;
   }
 
+  // Roll the change up to the task itself (if it has subtasks) and its parents
+  await taskTreeService.refreshRollup(updatedTask._id);
+  updatedTask = await Task.findById(updatedTask._id)
+    .populate('assignedTo', 'firstName lastName')
+    .populate('parent', 'project status progress');
+
   logger.info('Task status updated via WhatsApp', { 
     taskId: normalizedTaskId, 
     oldStatus, 
@@ -740,16 +915,22 @@ async function updateTaskStatusAndProgress(user, phoneNumber, taskId, status, pr
     return;
   }
 
-  // Check access
+  // Check access - assignees of a parent task can update its subtasks
   const isAssignee = task.assignedTo?.toString() === user._id.toString() ||
     task.secondaryAssignees?.some(s => s.toString() === user._id.toString());
   const isManager = MANAGER_ROLES.includes(user.role);
 
-  if (!isAssignee && !isManager) {
+  if (!isAssignee && !isManager && !(await taskTreeService.isAncestorAssignee(task, user._id))) {
     await whatsappService.sendErrorMessage(phoneNumber, 'You do not have permission to update this task');
     return;
   }
 
+  // Progress of a task with subtasks or a checklist is calculated from them
+  if (taskTreeService.hasBreakdown(task)) {
+    await updateTaskStatus(user, phoneNumber, normalizedTaskId, normalizedStatus);
+    return;
+  }
+
   const oldStatus = task.status;
   const oldProgress = task.progress;
 
@@ -773,7 +954,7 @@ async function updateTaskStatusAndProgress(user, phoneNumber, taskId, status, pr
   };
 
   // Atomic update with verification
-  const updatedTask = await Task.findOneAndUpdate(
+  let updatedTask = await Task.findOneAndUpdate(
     { _id: task._id },
     updateData,
     { new: true, runValidators: true }
@@ -792,6 +973,11 @@ async function updateTaskStatusAndProgress(user, phoneNumber, taskId, status, pr
     return;
   }
 
+  await taskTreeService.refreshRollup(updatedTask._id);
+  updatedTask = await Task.findById(updatedTask._id)
+    .populate('assignedTo', 'firstName lastName')
+    .populate('parent', 'project status progress');
+
   logger.info('Task status+progress updated via WhatsApp', {
     taskId: normalizedTaskId,
     oldStatus,
@@ -841,16 +1027,22 @@ async function updateTaskProgress(user, phoneNumber, taskId, progress) {
     return;
   }
 
-  // Check access
+  // Check access - assignees of a parent task can update its subtasks
   const isAssignee = task.assignedTo?.toString() === user._id.toString() ||
     task.secondaryAssignees?.some(s => s.toString() === user._id.toString());
   const isManager = MANAGER_ROLES.includes(user.role);
 
-  if (!isAssignee && !isManager) {
+  if (!isAssignee && !isManager && !(await taskTreeService.isAncestorAssignee(task, user._id))) {
     await whatsappService.sendErrorMessage(phoneNumber, 'You do not have permission to update this task');
     return;
   }
 
+  if (taskTreeService.hasBreakdown(task)) {
+    await whatsappService.sendMessage(phoneNumber,
+      `PVARA HRMS - Progress Calculated\n\nProgress of ${normalizedTaskId} comes from its subtasks and checklist (now ${task.progress}%). Update those instead.\n\nSend "show task ${normalizedTaskId}" to see them.`);
+    return;
+  }
+
   const oldProgress = task.progress;
   
   // Use findOneAndUpdate for atomic operation to ensure database persistence
@@ -872,7 +1064,7 @@ async function updateTaskProgress(user, phoneNumber, taskId, progress) {
   }
 
   // Atomic update with verification
-  const updatedTask = await Task.findOneAndUpdate(
+  let updatedTask = await Task.findOneAndUpdate(
     { _id: task._id },
     updateData,
     { new: true, runValidators: true }
@@ -896,6 +1088,11 @@ async function updateTaskProgress(user, phoneNumber, taskId, progress) {
     return;
   }
 
+  await taskTreeService.refreshRollup(updatedTask._id);
+  updatedTask = await Task.findById(updatedTask._id)
+    .populate('assignedTo', 'firstName lastName')
+    .populate('parent', 'project status progress');
+
   logger.info('Task progress updated via WhatsApp', { 
     taskId: normalizedTaskId, 
     oldProgress, 
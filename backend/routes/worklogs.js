@@ -2,6 +2,8 @@ import express from 'express';
 import mongoose from 'mongoose';
 import Worklog from '../models/Worklog.js';
 import { authenticate as auth } from '../middleware/auth.js';
+import { resolveWorklogProject } from '../services/projectCostService.js';
+import { assertWeekOpen } from '../services/timesheetService.js';
 
 const router = express.Router();
 
@@ -71,10 +73,13 @@ router.get('/', auth, async (req, res) => {
       _id: log._id,
       date: log.date.toISOString().split('T')[0],
       project: log.project,
+      linkedProject: log.linkedProject,
       task: log.task,
       description: log.description,
       hoursWorked: log.hoursWorked,
       status: log.status,
+      billable: log.billable,
+      timesheet: log.timesheet,
       createdAt: log.createdAt
     }));
 
@@ -96,16 +101,23 @@ router.get('/', auth, async (req, res) => {
 // Create worklog
 router.post('/', auth, async (req, res) => {
   try {
-    const { date, project, task, description, hoursWorked, status } = req.body;
+    const { date, project, task, description, hoursWorked, status, linkedProject, billable } = req.body;
+
+    await assertWeekOpen(req.user.id, new Date(date));
+
+    // Hours are costed to the project picked, or to the company project of the same name
+    const costedTo = await resolveWorklogProject({ linkedProject, project, company: req.user.company });
 
     const worklog = new Worklog({
       user: req.user.id,
       date: new Date(date),
-      project,
+      project: project || costedTo?.name,
+      linkedProject: costedTo?._id,
       task,
       description,
       hoursWorked,
-      status: status || 'completed'
+      status: status || 'completed',
+      billable: Boolean(billable)
     });
 
     await worklog.save();
@@ -114,14 +126,18 @@ router.post('/', auth, async (req, res) => {
       _id: worklog._id,
       date: worklog.date.toISOString().split('T')[0],
       project: worklog.project,
+      linkedProject: worklog.linkedProject,
       task: worklog.task,
       description: worklog.description,
       hoursWorked: worklog.hoursWorked,
       status: worklog.status,
+      billable: worklog.billable,
+      timesheet: worklog.timesheet,
       createdAt: worklog.createdAt
     });
   } catch (error) {
     console.error('Error creating worklog:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -129,7 +145,7 @@ router.post('/', auth, async (req, res) => {
 // Update worklog
 router.put('/:id', auth, async (req, res) => {
   try {
-    const { date, project, task, description, hoursWorked, status } = req.body;
+    const { date, project, task, description, hoursWorked, status, linkedProject, billable } = req.body;
 
     const worklog = await Worklog.findOne({ _id: req.params.id, user: req.user.id });
     
@@ -137,12 +153,26 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Worklog not found' });
     }
 
+    // Submitted and approved weeks are locked, whether the log is in one or moving into one
+    await assertWeekOpen(req.user.id, worklog.date, date && new Date(date));
+
+    if (project || linkedProject !== undefined) {
+      const costedTo = await resolveWorklogProject({
+        linkedProject,
+        project: project || worklog.project,
+        company: req.user.company
+      });
+      worklog.linkedProject = costedTo?._id;
+      if (!project && costedTo) worklog.project = costedTo.name;
+    }
+
     worklog.date = date ? new Date(date) : worklog.date;
     worklog.project = project || worklog.project;
     worklog.task = task || worklog.task;
     worklog.description = description || worklog.description;
     worklog.hoursWorked = hoursWorked || worklog.hoursWorked;
     worklog.status = status || worklog.status;
+    if (billable !== undefined) worklog.billable = Boolean(billable);
 
     await worklog.save();
 
@@ -150,14 +180,18 @@ router.put('/:id', auth, async (req, res) => {
       _id: worklog._id,
       date: worklog.date.toISOString().split('T')[0],
       project: worklog.project,
+      linkedProject: worklog.linkedProject,
       task: worklog.task,
       description: worklog.description,
       hoursWorked: worklog.hoursWorked,
       status: worklog.status,
+      billable: worklog.billable,
+      timesheet: worklog.timesheet,
       createdAt: worklog.createdAt
     });
   } catch (error) {
     console.error('Error updating worklog:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -165,15 +199,19 @@ router.put('/:id', auth, async (req, res) => {
 // Delete worklog
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const worklog = await Worklog.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    const worklog = await Worklog.findOne({ _id: req.params.id, user: req.user.id });
     
     if (!worklog) {
       return res.status(404).json({ message: 'Worklog not found' });
     }
 
+    await assertWeekOpen(req.user.id, worklog.date);
+    await worklog.deleteOne();
+
     res.json({ message: 'Worklog deleted' });
   } catch (error) {
     console.error('Error deleting worklog:', error);
+    if (error.status) return res.status(error.status).json({ message: error.message });
     res.status(500).json({ message: 'Server error' });
   }
 });
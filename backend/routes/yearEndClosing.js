@@ -4,7 +4,7 @@ import YearEndClosing from '../models/YearEndClosing.js';
 import JournalEntry from '../models/JournalEntry.js';
 import ChartOfAccount from '../models/ChartOfAccount.js';
 import Budget from '../models/Budget.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import logger from '../config/logger.js';
 
 const router = express.Router();
@@ -15,7 +15,7 @@ router.use(authenticate);
  * GET /api/year-end-closing
  * Get all year-end closings
  */
-router.get('/', authorize('admin', 'finance'), async (req, res) => {
+router.get('/', requirePermission('yearend.manage'), async (req, res) => {
   try {
     const closings = await YearEndClosing.find({ company: req.user.company })
       .populate('initiatedBy', 'firstName lastName')
@@ -33,7 +33,7 @@ router.get('/', authorize('admin', 'finance'), async (req, res) => {
  * GET /api/year-end-closing/:fiscalYear
  * Get year-end closing for specific fiscal year
  */
-router.get('/:fiscalYear', authorize('admin', 'finance'), async (req, res) => {
+router.get('/:fiscalYear', requirePermission('yearend.manage'), async (req, res) => {
   try {
     const closing = await YearEndClosing.findOne({
       company: req.user.company,
@@ -59,7 +59,7 @@ router.get('/:fiscalYear', authorize('admin', 'finance'), async (req, res) => {
  * FIX ISSUE #24: POST /api/year-end-closing/initiate
  * Initiate year-end closing process
  */
-router.post('/initiate', authorize('admin', 'finance'), async (req, res) => {
+router.post('/initiate', requirePermission('yearend.manage'), async (req, res) => {
   try {
     const { fiscalYear } = req.body;
     const companyId = req.user.company;
@@ -236,7 +236,7 @@ router.post('/initiate', authorize('admin', 'finance'), async (req, res) => {
  * POST /api/year-end-closing/:fiscalYear/execute
  * Execute year-end closing - Create closing journal entries
  */
-router.post('/:fiscalYear/execute', authorize('admin', 'finance'), async (req, res) => {
+router.post('/:fiscalYear/execute', requirePermission('yearend.manage'), async (req, res) => {
   try {
     const { fiscalYear } = req.params;
     const companyId = req.user.company;
@@ -489,7 +489,7 @@ router.post('/:fiscalYear/execute', authorize('admin', 'finance'), async (req, r
  * POST /api/year-end-closing/:fiscalYear/lock
  * Lock period to prevent further posting
  */
-router.post('/:fiscalYear/lock', authorize('admin'), async (req, res) => {
+router.post('/:fiscalYear/lock', requirePermission('yearend.lock'), async (req, res) => {
   try {
     const closing = await YearEndClosing.findOne({
       company: req.user.company,
@@ -0,0 +1,16 @@
+/**
+ * Write the OpenAPI document to a file, for client generators and API tooling
+ *
+ *   npm run openapi                   # writes openapi.json
+ *   npm run openapi -- docs/api.json  # or somewhere else
+ *
+ * The running API serves the same document at GET /api/openapi.json.
+ */
+
+import fs from 'fs';
+import { buildOpenApiDocument } from '../services/openApiService.js';
+
+const target = process.argv[2] || 'openapi.json';
+const document = buildOpenApiDocument();
+fs.writeFileSync(target, `${JSON.stringify(document, null, 2)}\n`);
+console.log(`Wrote ${Object.keys(document.paths).length} paths to ${target}`);
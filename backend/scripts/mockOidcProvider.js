@@ -0,0 +1,152 @@
+/**
+ * Mock OIDC identity provider for trying SSO locally (and for the SSO tests)
+ *
+ *   npm run mock-idp        # issuer http://127.0.0.1:9400, client pvara-hrms / pvara-secret
+ *
+ * Register it as an OIDC identity provider with that issuer and client, then sign in
+ * with an address in one of the provider's domains. The sign-in page lets you choose
+ * the email, name and groups the "IdP" vouches for.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import jwt from 'jsonwebtoken';
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => resolve(new URLSearchParams(body)));
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const signInPage = (params) => `<!doctype html>
+<html><head><title>Mock IdP sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+  <h2>Mock IdP</h2>
+  <form method="post" action="/authorize">
+    ${[...params].map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`).join('\n    ')}
+    <p><label>Email<br><input name="email" value="${escapeHtml(params.get('login_hint'))}" required style="width: 100%"></label></p>
+    <p><label>First name<br><input name="given_name" value="Test" style="width: 100%"></label></p>
+    <p><label>Last name<br><input name="family_name" value="User" style="width: 100%"></label></p>
+    <p><label>Groups (comma separated)<br><input name="groups" value="" style="width: 100%"></label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body></html>`;
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.port] - 0 picks a free port
+ * @returns {Promise<{ issuer, clientId, clientSecret, close }>}
+ */
+export const startMockOidcProvider = async ({
+  port = 9400,
+  host = '127.0.0.1',
+  clientId = 'pvara-hrms',
+  clientSecret = 'pvara-secret',
+} = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  const accessTokens = new Map();
+  let issuer;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+    try {
+      if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+        return sendJson(res, 200, {
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          jwks_uri: `${issuer}/jwks`,
+          userinfo_endpoint: `${issuer}/userinfo`,
+          response_types_supported: ['code'],
+          subject_types_supported: ['public'],
+          id_token_signing_alg_values_supported: ['RS256'],
+          code_challenge_methods_supported: ['S256'],
+        });
+      }
+      if (req.method === 'GET' && url.pathname === '/jwks') {
+        return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+      }
+      if (req.method === 'GET' && url.pathname === '/authorize') {
+        if (url.searchParams.get('client_id') !== clientId) return sendJson(res, 400, { error: 'unauthorized_client' });
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        return res.end(signInPage(url.searchParams));
+      }
+      if (req.method === 'POST' && url.pathname === '/authorize') {
+        const form = await readBody(req);
+        if (form.get('client_id') !== clientId) return sendJson(res, 400, { error: 'unauthorized_client' });
+        const email = form.get('email').toLowerCase();
+        const code = crypto.randomBytes(16).toString('hex');
+        codes.set(code, {
+          redirectUri: form.get('redirect_uri'),
+          codeChallenge: form.get('code_challenge'),
+          claims: {
+            sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+            email,
+            email_verified: true,
+            given_name: form.get('given_name'),
+            family_name: form.get('family_name'),
+            groups: (form.get('groups') || '').split(',').map((group) => group.trim()).filter(Boolean),
+            nonce: form.get('nonce'),
+          },
+        });
+        const redirect = new URL(form.get('redirect_uri'));
+        redirect.searchParams.set('code', code);
+        redirect.searchParams.set('state', form.get('state'));
+        res.writeHead(302, { Location: redirect.toString() });
+        return res.end();
+      }
+      if (req.method === 'POST' && url.pathname === '/token') {
+        const [id, secret] = Buffer.from((req.headers.authorization || '').replace(/^Basic /, ''), 'base64')
+          .toString().split(':').map(decodeURIComponent);
+        if (id !== clientId || secret !== clientSecret) return sendJson(res, 401, { error: 'invalid_client' });
+
+        const form = await readBody(req);
+        const grant = codes.get(form.get('code'));
+        codes.delete(form.get('code'));
+        const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+        if (!grant || grant.redirectUri !== form.get('redirect_uri') || grant.codeChallenge !== challenge) {
+          return sendJson(res, 400, { error: 'invalid_grant' });
+        }
+
+        const idToken = jwt.sign(grant.claims, privateKey, {
+          algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m',
+        });
+        const accessToken = crypto.randomBytes(16).toString('hex');
+        accessTokens.set(accessToken, grant.claims);
+        return sendJson(res, 200, { token_type: 'Bearer', id_token: idToken, access_token: accessToken, expires_in: 300 });
+      }
+      if (req.method === 'GET' && url.pathname === '/userinfo') {
+        const claims = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+        if (!claims) return sendJson(res, 401, { error: 'invalid_token' });
+        const { nonce, ...userinfo } = claims;
+        return sendJson(res, 200, userinfo);
+      }
+      return sendJson(res, 404, { error: 'not_found' });
+    } catch (error) {
+      return sendJson(res, 500, { error: 'server_error', error_description: error.message });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  issuer = `http://${host}:${server.address().port}`;
+  return { issuer, clientId, clientSecret, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const provider = await startMockOidcProvider({ port: Number(process.env.MOCK_IDP_PORT) || 9400 });
+  console.log(`Mock OIDC provider running
+  issuer:        ${provider.issuer}
+  client ID:     ${provider.clientId}
+  client secret: ${provider.clientSecret}`);
+}
@@ -19,13 +19,35 @@ import payrollRoutes from './routes/payrolls.js';
 import profileRoutes from './routes/profile.js';
 import kpiRoutes from './routes/kpi.js';
 import taskRoutes from './routes/tasks.js';
+import taskTemplateRoutes from './routes/taskTemplates.js';
 import departmentRoutes from './routes/departments.js';
 import projectRoutes from './routes/projects.js';
 import worklogRoutes from './routes/worklogs.js';
+import timesheetRoutes from './routes/timesheets.js';
 import highlightRoutes from './routes/highlights.js';
 import chatRoutes from './routes/chat.js';
 import whatsappRoutes from './routes/whatsapp.js';
 import budgetRoutes from './routes/budgets.js';
+import leaveRoutes from './routes/leaves.js';
+import attendanceRoutes from './routes/attendance.js';
+import recruitmentRoutes from './routes/recruitment.js';
+import payrollEngineRoutes from './routes/payrollEngine.js';
+import bankReconciliationRoutes from './routes/bankReconciliations.js';
+import vendorInvoiceRoutes from './routes/vendorInvoices.js';
+import customerRoutes from './routes/customers.js';
+import receivableRoutes from './routes/receivables.js';
+import companyRoutes from './routes/company.js';
+import roleRoutes from './routes/roles.js';
+import sodRoutes from './routes/sod.js';
+import accessReviewRoutes from './routes/accessReviews.js';
+import lifecycleRoutes from './routes/lifecycle.js';
+import finalSettlementRoutes from './routes/finalSettlements.js';
+import identityProviderRoutes from './routes/identityProviders.js';
+import webhookRoutes from './routes/webhooks.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import { requireModule } from './middleware/entitlements.js';
+import { auditContext } from './middleware/audit.js';
+import { MODULE_ROUTES } from './config/plans.js';
 
 // ERP Module Routes
 import chartOfAccountRoutes from './routes/chartOfAccounts.js';
@@ -47,6 +69,15 @@ import storageRoutes from './routes/storage.js';
 
 // Services
 import reminderScheduler from './services/reminderScheduler.js';
+import attendanceScheduler from './services/attendanceScheduler.js';
+import lifecycleScheduler from './services/lifecycleScheduler.js';
+import webhookScheduler from './services/webhookScheduler.js';
+import taskRecurrenceScheduler from './services/taskRecurrenceScheduler.js';
+import { subscribeToEvents as subscribeWebhooks } from './services/webhookService.js';
+import { buildOpenApiDocument } from './services/openApiService.js';
+
+// Domain events (employee.created, journal.posted, ...) go out to company webhooks
+subscribeWebhooks();
 
 const app = express();
 
@@ -104,7 +135,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 // HTTP request logging
@@ -128,6 +159,14 @@ app.get('/', (req, res) => {
   });
 });
 // Routes
+// Audited models record changes made by mutating requests (see services/auditService.js)
+app.use('/api', auditContext);
+
+// Plan entitlements: modules outside the company's subscription get a 402
+Object.entries(MODULE_ROUTES).forEach(([module, paths]) => {
+  app.use(paths, authenticate, requireModule(module));
+});
+
 app.use('/api/auth', authRoutes);
 app.use('/api/employees', employeeRoutes);
 app.use('/api/positions', positionRoutes);
@@ -136,13 +175,32 @@ app.use('/api/payrolls', payrollRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/kpi', kpiRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/task-templates', taskTemplateRoutes);
 app.use('/api/departments', departmentRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/worklogs', worklogRoutes);
+app.use('/api/timesheets', timesheetRoutes);
 app.use('/api/highlights', highlightRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/whatsapp', whatsappRoutes);
 app.use('/api/budgets', budgetRoutes);
+app.use('/api/leaves', leaveRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/recruitment', recruitmentRoutes);
+app.use('/api/payroll-engine', payrollEngineRoutes);
+app.use('/api/bank-reconciliations', bankReconciliationRoutes);
+app.use('/api/vendor-invoices', vendorInvoiceRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/receivables', receivableRoutes);
+app.use('/api/company', companyRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/sod', sodRoutes);
+app.use('/api/access-reviews', accessReviewRoutes);
+app.use('/api/lifecycle', lifecycleRoutes);
+app.use('/api/final-settlements', finalSettlementRoutes);
+app.use('/api/identity-providers', identityProviderRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 
 // ERP Module Routes
 app.use('/api/chart-of-accounts', chartOfAccountRoutes);
@@ -185,6 +243,11 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// OpenAPI document for the routes above
+app.get('/api/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument());
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error(`Server Error: ${err.message}`, { stack: err.stack, url: req.url, method: req.method });
@@ -206,4 +269,16 @@ app.listen(PORT, () => {
   } else {
     logger.warn('📱 WhatsApp not configured - reminder scheduler disabled');
   }
+
+  // Close each attendance day (absent / on-leave marking)
+  attendanceScheduler.start();
+
+  // Apply approved lifecycle events on their effective date
+  lifecycleScheduler.start();
+
+  // Retry failed webhook deliveries with backoff
+  webhookScheduler.start();
+
+  // Create upcoming instances of recurring task series
+  taskRecurrenceScheduler.start();
 });
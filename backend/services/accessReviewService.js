@@ -0,0 +1,382 @@
+/**
+ * Access Review Service
+ * Quarterly access attestation: snapshot every user's role, permissions and module
+ * access, route each to their manager for keep/revoke, and apply revocations
+ */
+
+import mongoose from 'mongoose';
+import AccessReview from '../models/AccessReview.js';
+import AccessReviewItem from '../models/AccessReviewItem.js';
+import Company from '../models/Company.js';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { combinePermissions, modulesForPermissions } from './permissionService.js';
+import { planFor } from './entitlementService.js';
+import { toCsv } from './csvService.js';
+
+const reviewError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Built-in role a revoked user falls back to
+const BASE_ROLE = 'employee';
+
+// ============================================
+// SNAPSHOT
+// ============================================
+
+/**
+ * Review item for one user. The reviewer is the user's manager when that manager is
+ * still active, otherwise the campaign's fallback reviewer.
+ * @param {object} params
+ * @param {object} params.user - lean User with customRoles populated (active roles only)
+ * @param {Map<string, object>} params.systemOverrides - company overrides keyed by built-in role
+ * @param {string[]} params.planModules - modules in the company's plan
+ * @param {Set<string>} params.activeUserIds
+ * @param {string} params.fallbackReviewer
+ */
+export const buildReviewItem = ({ user, systemOverrides, planModules, activeUserIds, fallbackReviewer }) => {
+  const customRoles = (user.customRoles || []).filter(Boolean);
+  const permissions = combinePermissions({
+    role: user.role,
+    systemOverride: systemOverrides.get(user.role),
+    customRoles,
+  });
+  const manager = user.reportsTo?.toString();
+  const hasManager = manager && manager !== user._id.toString() && activeUserIds.has(manager);
+
+  return {
+    user: user._id,
+    userName: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+    userEmail: user.email,
+    employeeId: user.employeeId,
+    department: user.department,
+    role: user.role,
+    customRoles: customRoles.map((role) => ({ _id: role._id, name: role.name })),
+    permissions: [...permissions].sort(),
+    modules: modulesForPermissions(permissions, planModules),
+    reviewer: hasManager ? user.reportsTo : fallbackReviewer,
+  };
+};
+
+/**
+ * Create a campaign and snapshot every active user's access into review items
+ * @param {object} params - { companyId, data: { name, description, period, dueDate, reminderIntervalDays, fallbackReviewer }, userId }
+ */
+export const launchCampaign = async ({ companyId, data, userId }) => {
+  if (!data.name?.trim()) throw reviewError('Campaign name is required');
+  const dueDate = new Date(data.dueDate);
+  if (Number.isNaN(dueDate.getTime()) || dueDate <= new Date()) {
+    throw reviewError('Due date must be in the future');
+  }
+
+  const [company, overrides, users] = await Promise.all([
+    Company.findById(companyId).select('subscription_plan').lean(),
+    Role.find({ company: companyId, systemRole: { $ne: null }, status: 'active' }).select('systemRole permissions').lean(),
+    User.find({ company: companyId, status: { $ne: 'inactive' } })
+      .select('firstName lastName email employeeId department role customRoles reportsTo')
+      .populate({ path: 'customRoles', match: { company: companyId, status: 'active' }, select: 'name permissions' })
+      .lean(),
+  ]);
+  if (!users.length) throw reviewError('No users to review');
+
+  const activeUserIds = new Set(users.map((user) => user._id.toString()));
+  const fallbackReviewer = data.fallbackReviewer || userId;
+  if (!activeUserIds.has(fallbackReviewer.toString())) throw reviewError('Fallback reviewer not found');
+
+  const campaign = await AccessReview.create({
+    company: companyId,
+    name: data.name,
+    description: data.description,
+    period: data.period,
+    dueDate,
+    reminderIntervalDays: data.reminderIntervalDays,
+    fallbackReviewer,
+    createdBy: userId,
+  });
+
+  const systemOverrides = new Map(overrides.map((role) => [role.systemRole, role]));
+  const planModules = planFor(company).modules;
+  await AccessReviewItem.insertMany(users.map((user) => ({
+    company: companyId,
+    campaign: campaign._id,
+    ...buildReviewItem({ user, systemOverrides, planModules, activeUserIds, fallbackReviewer }),
+  })));
+
+  return campaign;
+};
+
+// ============================================
+// CAMPAIGNS
+// ============================================
+
+const countDecisions = async (match) => {
+  const rows = await AccessReviewItem.aggregate([
+    { $match: match },
+    { $group: { _id: { campaign: '$campaign', decision: '$decision' }, count: { $sum: 1 } } },
+  ]);
+  const counts = new Map();
+  rows.forEach(({ _id, count }) => {
+    const key = _id.campaign.toString();
+    const entry = counts.get(key) || { total: 0, pending: 0, keep: 0, revoke: 0 };
+    entry[_id.decision] = count;
+    entry.total += count;
+    counts.set(key, entry);
+  });
+  return counts;
+};
+
+/**
+ * Campaigns newest first, each with item counts by decision
+ */
+export const listCampaigns = async (companyId) => {
+  const campaigns = await AccessReview.find({ company: companyId })
+    .sort({ createdAt: -1 })
+    .populate('createdBy', 'firstName lastName')
+    .lean();
+  const counts = await countDecisions({ company: new mongoose.Types.ObjectId(companyId) });
+  return campaigns.map((campaign) => ({
+    ...campaign,
+    counts: counts.get(campaign._id.toString()) || { total: 0, pending: 0, keep: 0, revoke: 0 },
+  }));
+};
+
+const findCampaign = async (companyId, id) => {
+  const campaign = await AccessReview.findOne({ _id: id, company: companyId });
+  if (!campaign) throw reviewError('Access review not found', 404);
+  return campaign;
+};
+
+/**
+ * Campaign with its items; pass reviewerId to only include that reviewer's items
+ */
+export const getCampaign = async ({ companyId, id, reviewerId }) => {
+  const campaign = await AccessReview.findOne({ _id: id, company: companyId })
+    .populate('createdBy', 'firstName lastName')
+    .populate('completedBy', 'firstName lastName')
+    .lean();
+  if (!campaign) throw reviewError('Access review not found', 404);
+
+  const query = { campaign: campaign._id };
+  if (reviewerId) query.reviewer = reviewerId;
+  const items = await AccessReviewItem.find(query)
+    .sort({ userName: 1 })
+    .populate('reviewer', 'firstName lastName')
+    .populate('decidedBy', 'firstName lastName')
+    .lean();
+  return { ...campaign, items };
+};
+
+/**
+ * Pending items assigned to a reviewer across active campaigns
+ */
+export const listMyItems = async ({ companyId, reviewerId }) => {
+  const campaigns = await AccessReview.find({ company: companyId, status: 'active' }).select('name dueDate').lean();
+  const items = await AccessReviewItem.find({
+    campaign: { $in: campaigns.map((campaign) => campaign._id) },
+    reviewer: reviewerId,
+    decision: 'pending',
+  })
+    .sort({ userName: 1 })
+    .lean();
+
+  const byId = new Map(campaigns.map((campaign) => [campaign._id.toString(), campaign]));
+  return items.map((item) => ({ ...item, campaign: byId.get(item.campaign.toString()) }));
+};
+
+const closeCampaign = async (campaign, status, userId) => {
+  campaign.status = status;
+  campaign.completedBy = userId;
+  campaign.completedAt = new Date();
+  return campaign.save();
+};
+
+/**
+ * Close an active campaign; undecided items stay pending in the attestation report
+ */
+export const completeCampaign = async ({ companyId, id, userId }) => {
+  const campaign = await findCampaign(companyId, id);
+  if (campaign.status !== 'active') throw reviewError(`Campaign is already ${campaign.status}`);
+  return closeCampaign(campaign, 'completed', userId);
+};
+
+export const cancelCampaign = async ({ companyId, id, userId }) => {
+  const campaign = await findCampaign(companyId, id);
+  if (campaign.status !== 'active') throw reviewError(`Campaign is already ${campaign.status}`);
+  return closeCampaign(campaign, 'cancelled', userId);
+};
+
+// ============================================
+// DECISIONS
+// ============================================
+
+/**
+ * Remove the access a revoke decision covers: the custom roles that were reviewed and
+ * the elevated built-in role. Roles granted after the snapshot are left for the next review.
+ */
+const applyRevocation = async (companyId, item) => {
+  const user = await User.findOne({ _id: item.user, company: companyId });
+  if (!user) throw reviewError('Reviewed user no longer exists', 404);
+
+  const reviewedRoles = new Set(item.customRoles.map((role) => role._id.toString()));
+  const removed = user.customRoles.filter((roleId) => reviewedRoles.has(roleId.toString()));
+  const previousRole = user.role;
+
+  if (previousRole === 'admin' && item.role === 'admin') {
+    const admins = await User.countDocuments({ company: companyId, role: 'admin', status: 'active' });
+    if (admins <= 1) throw reviewError('Cannot revoke the last active admin');
+  }
+
+  user.customRoles = user.customRoles.filter((roleId) => !reviewedRoles.has(roleId.toString()));
+  if (previousRole === item.role) user.role = BASE_ROLE;
+  await user.save();
+
+  item.revocation = {
+    previousRole,
+    newRole: user.role,
+    removedCustomRoles: item.customRoles
+      .filter((role) => removed.some((roleId) => roleId.toString() === role._id.toString()))
+      .map((role) => role.name),
+    appliedAt: new Date(),
+  };
+};
+
+/**
+ * Record a keep/revoke decision; revocations apply immediately. The campaign completes
+ * itself once nothing is pending.
+ * @param {object} params - { companyId, itemId, userId, canManage, decision, comment }
+ */
+export const decideItem = async ({ companyId, itemId, userId, canManage, decision, comment }) => {
+  if (!['keep', 'revoke'].includes(decision)) throw reviewError('Decision must be keep or revoke');
+
+  const item = await AccessReviewItem.findOne({ _id: itemId, company: companyId });
+  if (!item) throw reviewError('Review item not found', 404);
+  if (item.decision !== 'pending') throw reviewError(`Item already decided (${item.decision})`);
+
+  const campaign = await findCampaign(companyId, item.campaign);
+  if (campaign.status !== 'active') throw reviewError(`Campaign is ${campaign.status}`);
+
+  const actor = userId.toString();
+  if (item.user.toString() === actor) throw reviewError('You cannot attest your own access', 403);
+  if (item.reviewer.toString() !== actor && !canManage) {
+    throw reviewError('This item is assigned to another reviewer', 403);
+  }
+  if (decision === 'revoke' && !comment?.trim()) throw reviewError('A comment is required to revoke access');
+
+  if (decision === 'revoke') await applyRevocation(companyId, item);
+  item.decision = decision;
+  item.comment = comment;
+  item.decidedBy = userId;
+  item.decidedAt = new Date();
+  await item.save();
+
+  const pending = await AccessReviewItem.countDocuments({ campaign: campaign._id, decision: 'pending' });
+  if (!pending) await closeCampaign(campaign, 'completed', userId);
+  return item;
+};
+
+/**
+ * Hand a pending item to another reviewer
+ */
+export const reassignItem = async ({ companyId, itemId, reviewerId }) => {
+  const item = await AccessReviewItem.findOne({ _id: itemId, company: companyId });
+  if (!item) throw reviewError('Review item not found', 404);
+  if (item.decision !== 'pending') throw reviewError('Only pending items can be reassigned');
+  if (item.user.toString() === reviewerId?.toString()) throw reviewError('Users cannot review their own access');
+
+  const reviewer = await User.exists({ _id: reviewerId, company: companyId, status: { $ne: 'inactive' } });
+  if (!reviewer) throw reviewError('Reviewer not found', 404);
+
+  item.reviewer = reviewerId;
+  return item.save();
+};
+
+// ============================================
+// ATTESTATION REPORT
+// ============================================
+
+const REPORT_COLUMNS = [
+  ['Employee ID', (item) => item.employeeId],
+  ['Name', (item) => item.userName],
+  ['Email', (item) => item.userEmail],
+  ['Department', (item) => item.department],
+  ['Role', (item) => item.role],
+  ['Custom Roles', (item) => item.customRoles.map((role) => role.name).join('; ')],
+  ['Modules', (item) => item.modules.join('; ')],
+  ['Permissions', (item) => item.permissions.join('; ')],
+  ['Reviewer', (item) => item.reviewer && `${item.reviewer.firstName} ${item.reviewer.lastName}`],
+  ['Decision', (item) => item.decision],
+  ['Comment', (item) => item.comment],
+  ['Decided By', (item) => item.decidedBy && `${item.decidedBy.firstName} ${item.decidedBy.lastName}`],
+  ['Decided At', (item) => item.decidedAt && new Date(item.decidedAt).toISOString()],
+  ['Revoked', (item) => item.revocation?.appliedAt
+    && [`${item.revocation.previousRole} -> ${item.revocation.newRole}`, ...item.revocation.removedCustomRoles].join('; ')],
+];
+
+/**
+ * Attestation CSV: one row per reviewed user
+ */
+export const toAttestationCsv = (items) => toCsv(REPORT_COLUMNS, items);
+
+/**
+ * Campaign summary and items for internal audit
+ */
+export const attestationReport = async ({ companyId, id }) => {
+  const campaign = await getCampaign({ companyId, id });
+  const summary = { total: campaign.items.length, pending: 0, keep: 0, revoke: 0 };
+  campaign.items.forEach((item) => { summary[item.decision] += 1; });
+  return { campaign, summary };
+};
+
+// ============================================
+// REMINDERS
+// ============================================
+
+/**
+ * Reviewers with pending items on active campaigns whose reminder interval has elapsed
+ * @returns {Promise<Array<{ campaign, reviewer, pending: number }>>}
+ */
+export const dueReminders = async (now = new Date()) => {
+  const campaigns = await AccessReview.find({ status: 'active' }).lean();
+  const due = campaigns.filter((campaign) =>
+    !campaign.lastReminderAt || now - campaign.lastReminderAt >= campaign.reminderIntervalDays * DAY_MS
+  );
+  if (!due.length) return [];
+
+  const rows = await AccessReviewItem.aggregate([
+    { $match: { campaign: { $in: due.map((campaign) => campaign._id) }, decision: 'pending' } },
+    { $group: { _id: { campaign: '$campaign', reviewer: '$reviewer' }, pending: { $sum: 1 } } },
+  ]);
+  const reviewers = await User.find({ _id: { $in: rows.map((row) => row._id.reviewer) } })
+    .select('firstName lastName phone whatsappNumber whatsappPreferences')
+    .lean();
+
+  const campaignById = new Map(due.map((campaign) => [campaign._id.toString(), campaign]));
+  const reviewerById = new Map(reviewers.map((reviewer) => [reviewer._id.toString(), reviewer]));
+  return rows
+    .map((row) => ({
+      campaign: campaignById.get(row._id.campaign.toString()),
+      reviewer: reviewerById.get(row._id.reviewer.toString()),
+      pending: row.pending,
+    }))
+    .filter((row) => row.reviewer);
+};
+
+export const markReminded = (campaignIds, at = new Date()) =>
+  AccessReview.updateMany({ _id: { $in: campaignIds } }, { $set: { lastReminderAt: at } });
+
+export default {
+  buildReviewItem,
+  launchCampaign,
+  listCampaigns,
+  getCampaign,
+  listMyItems,
+  completeCampaign,
+  cancelCampaign,
+  decideItem,
+  reassignItem,
+  toAttestationCsv,
+  attestationReport,
+  dueReminders,
+  markReminded,
+};
@@ -39,6 +39,18 @@ class AIService {
     if (['status', 'summary', 'dashboard'].includes(lowerMessage)) {
       return { action: 'status' };
     }
+    const attendanceAction = this.parseAttendanceCommand(lowerMessage);
+    if (attendanceAction) {
+      return attendanceAction;
+    }
+    const payslipAction = this.parsePayslipCommand(lowerMessage);
+    if (payslipAction) {
+      return payslipAction;
+    }
+    const listedTaskAction = this.parseListedTaskCommand(lowerMessage);
+    if (listedTaskAction) {
+      return listedTaskAction;
+    }
 
     // For everything else, use AI (preferred) or fallback to rule-based
     if (this.initialize() && this.openaiApiKey) {
@@ -81,7 +93,7 @@ class AIService {
     // Examples:
     // "update this TASK-2026-0041 completed 50%"
     // "TASK-2026-0041 in-progress 50"
-    const taskIdMatch = message.match(/([A-Z]{2,10}-\d{4}-\d+)/i);
+    const taskIdMatch = message.match(/([A-Z]{2,10}-\d{4}-\d+(?:\.\d+)*)/i);
     if (taskIdMatch) {
       const progressMatch = message.match(/(\d{1,3})\s*%/);
       const statusKeywordMatch = message.match(/\b(completed|done|finished|in[- ]?progress|started|blocked|pending|cancelled)\b/i);
@@ -114,6 +126,20 @@ class AIService {
       return { action: 'status' };
     }
 
+    // Attendance check-in / check-out
+    const attendanceAction = this.parseAttendanceCommand(lowerMessage);
+    if (attendanceAction) {
+      return attendanceAction;
+    }
+    const payslipAction = this.parsePayslipCommand(lowerMessage);
+    if (payslipAction) {
+      return payslipAction;
+    }
+    const listedTaskAction = this.parseListedTaskCommand(lowerMessage);
+    if (listedTaskAction) {
+      return listedTaskAction;
+    }
+
     // Show tasks
     if (this.matchesPattern(lowerMessage, [
       'show my tasks', 'list my tasks', 'my tasks', 'show tasks', 
@@ -135,7 +161,7 @@ class AIService {
     }
 
     // Show specific task
-    const showTaskMatch = lowerMessage.match(/(?:show|view|get|details?(?:\s+of)?)\s+(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+)/i);
+    const showTaskMatch = lowerMessage.match(/(?:show|view|get|details?(?:\s+of)?)\s+(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+(?:\.\d+)*)/i);
     if (showTaskMatch) {
       return {
         action: 'viewTask',
@@ -188,16 +214,16 @@ class AIService {
 
     // Update task status
     const statusPatterns = [
-      /^(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+)\s+(?:is\s+)?(?:now\s+)?(completed|done|finished|in[- ]?progress|started|blocked|pending|cancelled)/i,
-      /^(?:mark|set|update)\s+(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+)\s+(?:as\s+|to\s+)?(completed|done|finished|in[- ]?progress|started|blocked|pending|cancelled)/i,
-      /^(?:complete|finish|start|block)\s+(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+)/i,
+      /^(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+(?:\.\d+)*)\s+(?:is\s+)?(?:now\s+)?(completed|done|finished|in[- ]?progress|started|blocked|pending|cancelled)/i,
+      /^(?:mark|set|update)\s+(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+(?:\.\d+)*)\s+(?:as\s+|to\s+)?(completed|done|finished|in[- ]?progress|started|blocked|pending|cancelled)/i,
+      /^(?:complete|finish|start|block)\s+(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+(?:\.\d+)*)/i,
     ];
 
     // Delete/Cancel task patterns
     const deletePatterns = [
-      /^(?:delete|remove|cancel)\s+(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+)/i,
-      /^(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+)\s+(?:delete|remove|cancel)(?:\s+(?:this\s+)?task)?/i,
-      /^([A-Z]{2,4}-\d{4}-\d+)\s+delete\s+(?:this\s+)?task/i,
+      /^(?:delete|remove|cancel)\s+(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+(?:\.\d+)*)/i,
+      /^(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+(?:\.\d+)*)\s+(?:delete|remove|cancel)(?:\s+(?:this\s+)?task)?/i,
+      /^([A-Z]{2,4}-\d{4}-\d+(?:\.\d+)*)\s+delete\s+(?:this\s+)?task/i,
     ];
 
     for (const pattern of deletePatterns) {
@@ -226,11 +252,11 @@ class AIService {
 
     // Update task progress - check before status patterns as "50%" is progress, not status
     const progressPatterns = [
-      /^(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+)\s+(?:progress\s+)?(\d+)\s*%?/i,
-      /^(?:update|set)\s+(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+)\s+(?:progress\s+(?:to\s+)?)?(\d+)\s*%?/i,
-      /^progress\s+(?:of\s+)?(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+)\s+(?:is\s+|to\s+)?(\d+)\s*%?/i,
+      /^(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+(?:\.\d+)*)\s+(?:progress\s+)?(\d+)\s*%?/i,
+      /^(?:update|set)\s+(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+(?:\.\d+)*)\s+(?:progress\s+(?:to\s+)?)?(\d+)\s*%?/i,
+      /^progress\s+(?:of\s+)?(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+(?:\.\d+)*)\s+(?:is\s+|to\s+)?(\d+)\s*%?/i,
       // "update the status of task 0044 to 50%" - user says "status" but means progress
-      /update\s+(?:the\s+)?(?:status|progress)\s+(?:of\s+)?(?:the\s+)?(?:task\s+)?(\d{4}-\d+|[A-Z]{2,4}-\d{4}-\d+)\s+(?:to\s+)?(\d+)\s*%/i,
+      /update\s+(?:the\s+)?(?:status|progress)\s+(?:of\s+)?(?:the\s+)?(?:task\s+)?(\d{4}-\d+(?:\.\d+)*|[A-Z]{2,4}-\d{4}-\d+(?:\.\d+)*)\s+(?:to\s+)?(\d+)\s*%/i,
     ];
 
     for (const pattern of progressPatterns) {
@@ -239,7 +265,7 @@ class AIService {
         const progress = Math.min(100, Math.max(0, parseInt(progressMatch[2])));
         // Normalize taskId - add TASK- prefix if just numbers like "0044"
         let taskId = progressMatch[1].toUpperCase();
-        if (/^\d{4}-\d+$/.test(taskId)) {
+        if (/^\d{4}-\d+(\.\d+)*$/.test(taskId)) {
           taskId = `TASK-${taskId}`;
         }
         return {
@@ -252,8 +278,8 @@ class AIService {
 
     // Add task update/comment
     const updatePatterns = [
-      /^(?:update\s+)?(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+)[:\s]+(.+)/i,
-      /^(?:add\s+)?(?:update|comment|note)\s+(?:to\s+)?(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+)[:\s]+(.+)/i,
+      /^(?:update\s+)?(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+(?:\.\d+)*)[:\s]+(.+)/i,
+      /^(?:add\s+)?(?:update|comment|note)\s+(?:to\s+)?(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+(?:\.\d+)*)[:\s]+(.+)/i,
     ];
 
     for (const pattern of updatePatterns) {
@@ -276,8 +302,8 @@ class AIService {
 
     // Report blocker
     const blockerPatterns = [
-      /^(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+)\s+blocked[:\s]+(.+)/i,
-      /^blocker\s+(?:for\s+)?(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+)[:\s]+(.+)/i,
+      /^(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+(?:\.\d+)*)\s+blocked[:\s]+(.+)/i,
+      /^blocker\s+(?:for\s+)?(?:task\s+)?([A-Z]{2,4}-\d{4}-\d+(?:\.\d+)*)[:\s]+(.+)/i,
     ];
 
     for (const pattern of blockerPatterns) {
@@ -294,6 +320,69 @@ class AIService {
     return { action: 'unknown', originalMessage: message };
   }
 
+  /**
+   * Match attendance commands ("check in", "check in wfh", "check out")
+   * @param {string} lowerMessage - Lower-cased, trimmed message
+   * @returns {object|null} - Parsed action, or null if not an attendance command
+   */
+  parseAttendanceCommand(lowerMessage) {
+    const checkInMatch = lowerMessage.match(/^(?:check[- ]?in|clock[- ]?in|checkin)(?:\s+(?:from\s+)?(wfh|home|remote|office))?[.!]?$/);
+    if (checkInMatch) {
+      const remote = ['wfh', 'home', 'remote'].includes(checkInMatch[1]);
+      return { action: 'checkIn', workMode: remote ? 'remote' : 'office' };
+    }
+    if (/^(?:check[- ]?out|clock[- ]?out|checkout)[.!]?$/.test(lowerMessage)) {
+      return { action: 'checkOut' };
+    }
+    return null;
+  }
+
+  /**
+   * Match payslip requests ("payslip", "my salary slip", "payslip 2025-07", "payslip march 2026")
+   * @param {string} lowerMessage - Lower-cased, trimmed message
+   * @returns {object|null} - { action: 'payslip', month } where month is YYYY-MM or undefined for the latest
+   */
+  parsePayslipCommand(lowerMessage) {
+    const match = lowerMessage.match(/^(?:send\s+|show\s+|get\s+)?(?:me\s+)?(?:my\s+)?(?:pay\s?slip|salary\s+slip)(?:\s+(?:for\s+)?(.+?))?[.!?]?$/);
+    if (!match) return null;
+    if (!match[1] || match[1] === 'latest') return { action: 'payslip' };
+
+    const isoMonth = match[1].match(/^(\d{4})-(\d{1,2})$/);
+    if (isoMonth) {
+      return { action: 'payslip', month: `${isoMonth[1]}-${isoMonth[2].padStart(2, '0')}` };
+    }
+
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const named = match[1].match(/^([a-z]+)(?:\s+(\d{4}))?$/);
+    const monthIndex = named ? months.indexOf(named[1].slice(0, 3)) : -1;
+    if (monthIndex === -1) return null;
+
+    // Without a year, use the most recent such month
+    const now = new Date();
+    const year = named[2] ? parseInt(named[2], 10) : (monthIndex > now.getMonth() ? now.getFullYear() - 1 : now.getFullYear());
+    return { action: 'payslip', month: `${year}-${String(monthIndex + 1).padStart(2, '0')}` };
+  }
+
+  /**
+   * Match status commands on a numbered item of the last task list ("done 3.2", "3 started")
+   * @param {string} lowerMessage - Lower-cased, trimmed message
+   * @returns {object|null} - { action: 'updateListedTask', ref, status }, or null
+   */
+  parseListedTaskCommand(lowerMessage) {
+    const verbs = {
+      done: 'completed', complete: 'completed', completed: 'completed', finish: 'completed', finished: 'completed',
+      start: 'in-progress', started: 'in-progress',
+      block: 'blocked', blocked: 'blocked',
+      reopen: 'pending', undo: 'pending', pending: 'pending',
+    };
+    const verb = Object.keys(verbs).join('|');
+    const match = lowerMessage.match(new RegExp(`^(?:mark\\s+)?(${verb})\\s+(\\d+(?:\\.\\d+)*)[.!]?$`))
+      || lowerMessage.match(new RegExp(`^(\\d+(?:\\.\\d+)*)\\s+(?:is\\s+)?(${verb})[.!]?$`));
+    if (!match) return null;
+    const [ref, word] = /^\d/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+    return { action: 'updateListedTask', ref, status: verbs[word] };
+  }
+
   /**
    * AI-powered parsing using OpenAI
    * @param {string} message - User's message
@@ -334,6 +423,9 @@ AVAILABLE ACTIONS:
 - cancelTask: User wants to cancel/delete a task
 - reportBlocker: User wants to report a blocker on a task
 - status: User wants to see their task summary/dashboard
+- checkIn: User is starting their work day / marking attendance (include "workMode": "remote" if working from home)
+- checkOut: User is ending their work day
+- payslip: User wants their payslip / salary slip (include "month" if a specific month is mentioned)
 - setReminder: User wants to set a personal reminder (e.g., "remind me about call at 5pm tomorrow")
 - scheduleMeeting: User wants to schedule a meeting (e.g., "schedule meeting with Ahmed about budget at 3pm", "meeting with team at 2pm tomorrow")
 - listReminders: User wants to see their upcoming reminders
@@ -364,6 +456,8 @@ RESPOND WITH JSON ONLY:
   "reminderMessage": "full reminder message/description",
   "reminderTime": "YYYY-MM-DDTHH:mm:ss format for reminder datetime",
   "reminderId": "reminder ID if cancelling",
+  "workMode": "office|remote for checkIn",
+  "month": "YYYY-MM for payslip",
   "filters": { "status": "...", "priority": "..." } for listTasks
 }
 
@@ -379,6 +473,7 @@ CONTEXT:
 - For RELATIVE times: "in 2 minutes" / "after 5 mins" = add minutes to current PKT time. Example: if now is ${pktISOString} (PKT), "in 2 minutes" = ${new Date(pktTime.getTime() + 2*60*1000).toISOString().slice(0,19)}
 - For reminderTime: Always output as YYYY-MM-DDTHH:mm:ss in PKT. Calculate from current PKT time for relative expressions.
 - Task IDs are typically in format: TASK-2026-0001, TASK-2026-0042, etc.
+- Subtasks add a number to their parent's ID: TASK-2026-0042.2 is subtask 2 of TASK-2026-0042
 - Be flexible with task ID formats (user might say "2026-0038" meaning "TASK-2026-0038")
 - For reminders: Extract both the reminder subject and the datetime. If no subject given, use "Reminder"
 - For meetings: Use "scheduleMeeting" action. Extract meetingSubject, meetingWith (attendees), meetingLocation, and reminderTime
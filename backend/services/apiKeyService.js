@@ -0,0 +1,300 @@
+/**
+ * API Key Service
+ * Company API keys for integrations: issuing and revoking keys, checking a presented
+ * key and its scopes, per-key rate limits and usage counters
+ */
+
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import ApiKeyUsage from '../models/ApiKeyUsage.js';
+import { API_SCOPES, API_SCOPE_KEYS, READ_METHODS } from '../config/apiScopes.js';
+import { hasPermission } from './permissionService.js';
+import { hashToken } from './sessionService.js';
+import logger from '../config/logger.js';
+
+const apiKeyError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+export const API_KEY_PREFIX = 'pvk_';
+const DISPLAY_PREFIX_LENGTH = 12;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const USAGE_RETENTION_DAYS = 90;
+// lastUsedAt is written at most this often per key
+const LAST_USED_INTERVAL_MS = MINUTE_MS;
+
+// ============================================
+// KEYS & SCOPES
+// ============================================
+
+export const generateKey = () => `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+export const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+/**
+ * Scopes any one of which lets a request through. Reads need a read or write scope
+ * over the route; anything else needs a write scope.
+ * @param {string} method - HTTP method
+ * @param {string} path - request path, without the query string
+ * @returns {string[]} empty when no key can call the route
+ */
+export const requiredScopes = (method, path) => {
+  const write = !READ_METHODS.includes(String(method).toUpperCase());
+  return API_SCOPES
+    .filter((scope) => !write || scope.access === 'write')
+    .filter((scope) => scope.routes.some((route) => path === route || path.startsWith(`${route}/`)))
+    .map((scope) => scope.key);
+};
+
+/**
+ * The permission set a key works with; route permission checks see only this
+ * @returns {Set<string>}
+ */
+export const permissionsForScopes = (scopes = []) => new Set(
+  API_SCOPES.filter((scope) => scopes.includes(scope.key)).flatMap((scope) => scope.permissions)
+);
+
+const validateScopes = (scopes) => {
+  const list = [...new Set(Array.isArray(scopes) ? scopes : [])];
+  if (list.length === 0) throw apiKeyError('Grant the key at least one scope');
+  const unknown = list.filter((scope) => !API_SCOPE_KEYS.includes(scope));
+  if (unknown.length) throw apiKeyError(`Unknown scopes: ${unknown.join(', ')}`);
+  return list;
+};
+
+// Stops someone who manages keys from issuing one that can do more than they can
+const assertGrantable = (scopes, granted) => {
+  const missing = [...permissionsForScopes(scopes)].filter((permission) => !hasPermission(granted, permission));
+  if (missing.length) {
+    throw apiKeyError(`You can't grant scopes beyond your own permissions (missing ${missing.join(', ')})`, 403);
+  }
+};
+
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:/, '');
+
+/**
+ * Look up a presented key
+ * @returns {Promise<object>} the ApiKey (lean)
+ */
+export const verifyKey = async (token, ip) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(token), revokedAt: null })
+    .select('company name prefix scopes rateLimit allowedIps expiresAt lastUsedAt createdBy')
+    .lean();
+  if (!apiKey) throw apiKeyError('Invalid API key', 401);
+  if (apiKey.expiresAt && apiKey.expiresAt < new Date()) throw apiKeyError('API key expired', 401);
+  if (apiKey.allowedIps?.length && !apiKey.allowedIps.includes(normalizeIp(ip))) {
+    throw apiKeyError('API key is not allowed from this address', 403);
+  }
+  return apiKey;
+};
+
+// Not a User.role value, so it matches no SYSTEM_ROLES entry or role list
+export const API_KEY_ROLE = 'api';
+
+/**
+ * req.user for a key request. The key acts for the company on behalf of the user who
+ * issued it but holds no built-in role: inline role checks fail closed and the
+ * permissions of its scopes are the only grant.
+ */
+export const principalFor = (apiKey) => ({
+  _id: String(apiKey.createdBy),
+  company: String(apiKey.company),
+  role: API_KEY_ROLE,
+  apiKey: { id: String(apiKey._id), name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes },
+});
+
+// ============================================
+// RATE LIMITS & USAGE
+// ============================================
+
+const startOfMinute = (time) => new Date(Math.floor(time / MINUTE_MS) * MINUTE_MS);
+const startOfDay = (time) => new Date(Math.floor(time / DAY_MS) * DAY_MS);
+
+// Upsert a counter bucket; two requests racing to create it both land on the one document
+const bumpUsage = async ({ apiKey, period, start, expiresAt, inc }) => {
+  const filter = { apiKey: apiKey._id, period, start };
+  const update = { $inc: inc, $setOnInsert: { company: apiKey.company, expiresAt } };
+  try {
+    return await ApiKeyUsage.findOneAndUpdate(filter, update, { upsert: true, new: true }).lean();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return ApiKeyUsage.findOneAndUpdate(filter, update, { new: true }).lean();
+  }
+};
+
+/**
+ * Count a request against the key's per-minute limit
+ * @returns {Promise<{ limit, remaining, resetAt, exceeded }>}
+ */
+export const consumeRateLimit = async (apiKey, now = Date.now()) => {
+  const start = startOfMinute(now);
+  const bucket = await bumpUsage({
+    apiKey,
+    period: 'minute',
+    start,
+    expiresAt: new Date(start.getTime() + 2 * MINUTE_MS),
+    inc: { requests: 1 },
+  });
+  return {
+    limit: apiKey.rateLimit,
+    remaining: Math.max(apiKey.rateLimit - bucket.requests, 0),
+    resetAt: new Date(start.getTime() + MINUTE_MS),
+    exceeded: bucket.requests > apiKey.rateLimit,
+  };
+};
+
+/**
+ * Add a finished request to the key's daily counters. Never throws.
+ */
+export const recordUsage = async (apiKey, { status, ip, rateLimited = false }, now = Date.now()) => {
+  try {
+    const start = startOfDay(now);
+    await bumpUsage({
+      apiKey,
+      period: 'day',
+      start,
+      expiresAt: new Date(start.getTime() + USAGE_RETENTION_DAYS * DAY_MS),
+      inc: { requests: 1, failures: status >= 400 ? 1 : 0, rateLimited: rateLimited ? 1 : 0 },
+    });
+    if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt).getTime() > LAST_USED_INTERVAL_MS) {
+      await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(now), lastUsedIp: normalizeIp(ip) });
+    }
+  } catch (error) {
+    logger.error('Error recording API key usage:', error);
+  }
+};
+
+/**
+ * Daily request counts for the company's keys, or one key, over the last `days` days
+ * @returns {Promise<{ days, totals, byKey }>} `days` has an entry for every day, oldest first
+ */
+export const getUsage = async ({ companyId, id, days = 30 }) => {
+  const span = Math.min(Math.max(parseInt(days, 10) || 30, 1), USAGE_RETENTION_DAYS);
+  const since = startOfDay(Date.now() - (span - 1) * DAY_MS);
+  const filter = { company: companyId, period: 'day', start: { $gte: since } };
+  if (id) filter.apiKey = (await getKey({ companyId, id }))._id;
+
+  const rows = await ApiKeyUsage.find(filter).select('apiKey start requests failures rateLimited').lean();
+  const empty = () => ({ requests: 0, failures: 0, rateLimited: 0 });
+  const add = (target, row) => {
+    target.requests += row.requests;
+    target.failures += row.failures;
+    target.rateLimited += row.rateLimited;
+  };
+
+  const series = Array.from({ length: span }, (_, i) => ({
+    date: new Date(since.getTime() + i * DAY_MS).toISOString().slice(0, 10),
+    ...empty(),
+  }));
+  const totals = empty();
+  const byKey = {};
+  rows.forEach((row) => {
+    const day = series[Math.round((new Date(row.start).getTime() - since.getTime()) / DAY_MS)];
+    if (day) add(day, row);
+    add(totals, row);
+    byKey[row.apiKey] = byKey[row.apiKey] || empty();
+    add(byKey[row.apiKey], row);
+  });
+
+  return { days: series, totals, byKey };
+};
+
+// ============================================
+// MANAGEMENT
+// ============================================
+
+export const listKeys = (companyId) => ApiKey.find({ company: companyId })
+  .populate('createdBy', 'firstName lastName email')
+  .populate('revokedBy', 'firstName lastName')
+  .sort({ revokedAt: 1, createdAt: -1 });
+
+export const getKey = async ({ companyId, id }) => {
+  const apiKey = await ApiKey.findOne({ _id: id, company: companyId });
+  if (!apiKey) throw apiKeyError('API key not found', 404);
+  return apiKey;
+};
+
+const applyKeyFields = (apiKey, data, granted) => {
+  if (data.name !== undefined) apiKey.name = data.name;
+  if (data.description !== undefined) apiKey.description = data.description;
+  if (data.scopes !== undefined) {
+    apiKey.scopes = validateScopes(data.scopes);
+    assertGrantable(apiKey.scopes, granted);
+  }
+  if (data.rateLimit !== undefined) apiKey.rateLimit = Number(data.rateLimit);
+  if (data.allowedIps !== undefined) {
+    apiKey.allowedIps = [].concat(data.allowedIps || []).map((ip) => String(ip).trim()).filter(Boolean);
+  }
+  if (data.expiresAt !== undefined) {
+    apiKey.expiresAt = data.expiresAt || undefined;
+    if (apiKey.expiresAt && apiKey.expiresAt < new Date()) throw apiKeyError('Expiry date must be in the future');
+  }
+  if (!apiKey.name?.trim()) throw apiKeyError('Key name is required');
+};
+
+const assignNewKey = (apiKey) => {
+  const key = generateKey();
+  apiKey.keyHash = hashToken(key);
+  apiKey.prefix = key.slice(0, DISPLAY_PREFIX_LENGTH);
+  return key;
+};
+
+/**
+ * @param {object} params
+ * @param {Set<string>} params.granted - the issuer's permissions; a key can't exceed them
+ * @returns {Promise<{ apiKey, key }>} the key is only ever returned here and by rotateKey
+ */
+export const createKey = async ({ companyId, data, userId, granted }) => {
+  const apiKey = new ApiKey({ company: companyId, createdBy: userId });
+  applyKeyFields(apiKey, { ...data, scopes: data.scopes ?? [] }, granted);
+  const key = assignNewKey(apiKey);
+  await apiKey.save();
+  return { apiKey: await getKey({ companyId, id: apiKey._id }), key };
+};
+
+export const updateKey = async ({ companyId, id, data, granted }) => {
+  const apiKey = await getKey({ companyId, id });
+  if (apiKey.revokedAt) throw apiKeyError('Revoked keys cannot be changed');
+  applyKeyFields(apiKey, data, granted);
+  await apiKey.save();
+  return apiKey;
+};
+
+/**
+ * Issue a new key value with the same settings; the old value stops working immediately
+ */
+export const rotateKey = async ({ companyId, id }) => {
+  const apiKey = await getKey({ companyId, id });
+  if (apiKey.revokedAt) throw apiKeyError('Revoked keys cannot be rotated');
+  const key = assignNewKey(apiKey);
+  await apiKey.save();
+  return { apiKey: await getKey({ companyId, id }), key };
+};
+
+export const revokeKey = async ({ companyId, id, userId }) => {
+  const apiKey = await getKey({ companyId, id });
+  if (apiKey.revokedAt) throw apiKeyError('API key is already revoked');
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = userId;
+  await apiKey.save();
+  return apiKey;
+};
+
+export default {
+  API_KEY_PREFIX,
+  generateKey,
+  isApiKey,
+  requiredScopes,
+  permissionsForScopes,
+  verifyKey,
+  API_KEY_ROLE,
+  principalFor,
+  consumeRateLimit,
+  recordUsage,
+  getUsage,
+  listKeys,
+  getKey,
+  createKey,
+  updateKey,
+  rotateKey,
+  revokeKey,
+};
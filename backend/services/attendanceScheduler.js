@@ -0,0 +1,70 @@
+/**
+ * Attendance Scheduler Service
+ * Closes each working day by marking employees without attendance as absent (or on leave)
+ */
+
+import attendanceService from './attendanceService.js';
+import logger from '../config/logger.js';
+
+class AttendanceScheduler {
+  constructor() {
+    this.intervalId = null;
+    this.checkIntervalMs = 15 * 60 * 1000; // Check every 15 minutes
+    this.closeTime = process.env.ATTENDANCE_CLOSE_TIME || '23:30'; // PKT
+    this.isRunning = false;
+    this.lastRunDate = null; // Track the last day that was closed
+  }
+
+  /**
+   * Start the attendance scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('Attendance scheduler is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.intervalId = setInterval(() => this.checkDayClose(), this.checkIntervalMs);
+    logger.info(`Attendance scheduler started (absent marking at ${this.closeTime} PKT)`);
+  }
+
+  /**
+   * Stop the attendance scheduler
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+    logger.info('Attendance scheduler stopped');
+  }
+
+  /**
+   * Run absent marking once per day after the close time
+   */
+  async checkDayClose() {
+    try {
+      const now = new Date();
+      const pktTime = now.toLocaleTimeString('en-GB', {
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false,
+        timeZone: 'Asia/Karachi',
+      });
+      const today = now.toDateString();
+
+      if (pktTime < this.closeTime || this.lastRunDate === today) return;
+      this.lastRunDate = today;
+
+      const results = await attendanceService.markAbsenteesForAllCompanies(now);
+      const marked = results.reduce((sum, result) => sum + (result.marked || 0), 0);
+      logger.info(`Attendance day closed: ${marked} records marked across ${results.length} companies`);
+    } catch (error) {
+      logger.error('Attendance day close failed:', error);
+    }
+  }
+}
+
+export default new AttendanceScheduler();
@@ -0,0 +1,462 @@
+/**
+ * Attendance Service
+ * Shift resolution, check-in/out evaluation, absent marking and monthly registers
+ */
+
+import Attendance from '../models/Attendance.js';
+import Shift from '../models/Shift.js';
+import Leave from '../models/Leave.js';
+import Holiday from '../models/Holiday.js';
+import DailyWorklog from '../models/DailyWorklog.js';
+import Company from '../models/Company.js';
+import User from '../models/User.js';
+import { getPolicy, toDayStart } from './leaveService.js';
+import logger from '../config/logger.js';
+
+// Used when a company has no shift for the employee's department and no default shift
+export const DEFAULT_SHIFT = {
+  name: 'General',
+  startTime: '09:00',
+  endTime: '17:00',
+  timezone: 'Asia/Karachi',
+  graceMinutes: 15,
+  halfDayAfterMinutes: 120,
+  earlyLeaveGraceMinutes: 15,
+  minHoursFullDay: 4,
+};
+
+const attendanceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toDayEnd = (date) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+// yyyy-MM-dd in server-local time, matching toDayStart()
+export const formatDay = (date) => {
+  const day = new Date(date);
+  const month = String(day.getMonth() + 1).padStart(2, '0');
+  const dayOfMonth = String(day.getDate()).padStart(2, '0');
+  return `${day.getFullYear()}-${month}-${dayOfMonth}`;
+};
+
+const parseTime = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Minutes since midnight of a timestamp in the shift's timezone
+ */
+export const minutesOfDay = (date, timeZone = DEFAULT_SHIFT.timezone) => {
+  const time = new Date(date).toLocaleTimeString('en-GB', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+    timeZone,
+  });
+  return parseTime(time) % (24 * 60);
+};
+
+/**
+ * HH:mm display of a timestamp in the shift's timezone
+ */
+export const formatTime = (date, timeZone = DEFAULT_SHIFT.timezone) => {
+  if (!date) return null;
+  return new Date(date).toLocaleTimeString('en-GB', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+    timeZone,
+  });
+};
+
+/**
+ * Whether a shift ends the morning after it starts
+ */
+export const isOvernightShift = (shift) => {
+  const rules = { ...DEFAULT_SHIFT, ...shift };
+  return parseTime(rules.endTime) <= parseTime(rules.startTime);
+};
+
+/**
+ * Apply a shift's late/early rules to a day's punches
+ * @param {object} shift - Shift (or DEFAULT_SHIFT)
+ * @param {object} punches - { checkIn: Date, checkOut: Date, workMode: 'office'|'remote' }
+ * @returns {{status: string, lateMinutes: number, earlyLeaveMinutes: number, workedHours: number}}
+ */
+export const evaluateAttendance = (shift, { checkIn, checkOut, workMode = 'office' }) => {
+  const rules = { ...DEFAULT_SHIFT, ...shift };
+  const start = parseTime(rules.startTime);
+  let end = parseTime(rules.endTime);
+  const overnight = isOvernightShift(rules);
+  if (overnight) end += 24 * 60;
+
+  // On overnight shifts, punches well before the start time belong to the morning after
+  const relative = (date) => {
+    const minutes = minutesOfDay(date, rules.timezone);
+    return overnight && minutes < start - 12 * 60 ? minutes + 24 * 60 : minutes;
+  };
+
+  const inMinutes = relative(checkIn);
+  const late = inMinutes - start;
+  const lateMinutes = late > rules.graceMinutes ? late : 0;
+
+  let earlyLeaveMinutes = 0;
+  let workedHours = 0;
+  if (checkOut) {
+    const early = end - relative(checkOut);
+    earlyLeaveMinutes = early > rules.earlyLeaveGraceMinutes ? early : 0;
+    workedHours = round2(Math.max(new Date(checkOut) - new Date(checkIn), 0) / (60 * 60 * 1000));
+  }
+
+  let status = workMode === 'remote' ? 'work_from_home' : 'present';
+  if (lateMinutes > 0) status = 'late';
+  if (rules.halfDayAfterMinutes && lateMinutes >= rules.halfDayAfterMinutes) status = 'half_day';
+  if (checkOut && rules.minHoursFullDay && workedHours < rules.minHoursFullDay) status = 'half_day';
+
+  return { status, lateMinutes, earlyLeaveMinutes, workedHours };
+};
+
+/**
+ * Combine the sources HR cares about into one status for a register day
+ * @param {object} sources - { attendance, leave, holiday, isWeekend, hasWorklog, isPast }
+ * @returns {{status: string|null, source: string|null, conflict: string|null}}
+ */
+export const resolveDayStatus = ({ attendance, leave, holiday, isWeekend, hasWorklog, isPast }) => {
+  if (attendance) {
+    const worked = !['absent', 'on_leave', 'holiday', 'weekend'].includes(attendance.status);
+
+    // Half-day leave is expected to be worked alongside
+    if (leave && worked && !leave.halfDay) {
+      return { status: attendance.status, source: 'attendance', conflict: 'attended_during_leave' };
+    }
+    // Leave approved after the absent job ran
+    if (leave && attendance.status === 'absent') {
+      return { status: 'on_leave', source: 'leave', conflict: null };
+    }
+    if (hasWorklog && attendance.status === 'absent') {
+      return { status: 'present', source: 'worklog', conflict: 'worklog_without_check_in' };
+    }
+    return { status: attendance.status, source: 'attendance', conflict: null };
+  }
+
+  if (leave) {
+    return { status: 'on_leave', source: 'leave', conflict: hasWorklog ? 'worklog_during_leave' : null };
+  }
+  if (holiday) return { status: 'holiday', source: 'calendar', conflict: null };
+  if (isWeekend) return { status: 'weekend', source: 'calendar', conflict: null };
+  if (hasWorklog) return { status: 'present', source: 'worklog', conflict: 'worklog_without_check_in' };
+  if (isPast) return { status: 'absent', source: 'unmarked', conflict: null };
+  return { status: null, source: null, conflict: null };
+};
+
+/**
+ * Shift for an employee: their department's shift, else the company default, else DEFAULT_SHIFT
+ */
+export const resolveShift = async (companyId, department) => {
+  const shift = (department && await Shift.findOne({
+    company: companyId,
+    isActive: true,
+    departments: department,
+  }).lean()) || await Shift.findOne({ company: companyId, isActive: true, isDefault: true }).lean();
+
+  return shift || DEFAULT_SHIFT;
+};
+
+const findApprovedLeave = (companyId, employeeId, day) => Leave.findOne({
+  company: companyId,
+  employee: employeeId,
+  status: 'approved',
+  startDate: { $lte: toDayEnd(day) },
+  endDate: { $gte: toDayStart(day) },
+});
+
+/**
+ * Record a check-in for today
+ * @param {object} params - { companyId, employee (User), source, workMode, at }
+ */
+export const checkIn = async ({ companyId, employee, source = 'web', workMode = 'office', at = new Date() }) => {
+  const date = toDayStart(at);
+
+  const existing = await Attendance.findOne({ employee: employee._id, date });
+  if (existing?.checkIn?.time) {
+    throw attendanceError(`Already checked in at ${formatTime(existing.checkIn.time)}`, 409);
+  }
+  const leave = await findApprovedLeave(companyId, employee._id, date);
+  if (existing?.status === 'on_leave' || (leave && !leave.halfDay)) {
+    throw attendanceError('You are on approved leave today', 409);
+  }
+
+  const shift = await resolveShift(companyId, employee.department);
+  const result = evaluateAttendance(shift, { checkIn: at, workMode });
+
+  const record = existing || new Attendance({ company: companyId, employee: employee._id, date });
+  record.set({
+    shift: shift._id,
+    checkIn: { time: at, source },
+    workMode,
+    isAutoMarked: false,
+    ...result,
+  });
+  await record.save();
+
+  return { record, shift };
+};
+
+const shiftOf = async (record, companyId, employee) => (record.shift && await Shift.findById(record.shift).lean())
+  || resolveShift(companyId, employee.department);
+
+/**
+ * Open check-in of yesterday's overnight shift, which is closed the morning after
+ */
+const findOpenOvernightRecord = async (companyId, employee, at) => {
+  const yesterday = toDayStart(at);
+  yesterday.setDate(yesterday.getDate() - 1);
+  const record = await Attendance.findOne({
+    employee: employee._id,
+    date: yesterday,
+    'checkIn.time': { $exists: true },
+    'checkOut.time': { $exists: false },
+  });
+  if (!record) return null;
+  const shift = await shiftOf(record, companyId, employee);
+  return isOvernightShift(shift) ? { record, shift } : null;
+};
+
+/**
+ * Record a check-out against today's check-in, or against last night's on an overnight shift
+ * @param {object} params - { companyId, employee (User), source, at }
+ */
+export const checkOut = async ({ companyId, employee, source = 'web', at = new Date() }) => {
+  let record = await Attendance.findOne({ employee: employee._id, date: toDayStart(at) });
+  let shift;
+  if (!record?.checkIn?.time) {
+    ({ record, shift } = (await findOpenOvernightRecord(companyId, employee, at)) || {});
+  }
+  if (!record?.checkIn?.time) {
+    throw attendanceError('You have not checked in today');
+  }
+  if (record.checkOut?.time) {
+    throw attendanceError(`Already checked out at ${formatTime(record.checkOut.time)}`, 409);
+  }
+
+  shift = shift || await shiftOf(record, companyId, employee);
+  const result = evaluateAttendance(shift, {
+    checkIn: record.checkIn.time,
+    checkOut: at,
+    workMode: record.workMode,
+  });
+
+  record.set({ checkOut: { time: at, source }, ...result });
+  await record.save();
+
+  return { record, shift };
+};
+
+/**
+ * Close a day: employees without a record are marked on leave, present (worklog only) or absent
+ * @returns {Promise<{marked: number, skipped?: string}>}
+ */
+export const markAbsentees = async (companyId, date = new Date()) => {
+  const day = toDayStart(date);
+  const dayEnd = toDayEnd(day);
+
+  const policy = await getPolicy(companyId);
+  if (policy.weekendDays.includes(day.getDay())) return { marked: 0, skipped: 'weekend' };
+
+  const holiday = await Holiday.exists({ company: companyId, isOptional: false, date: { $gte: day, $lte: dayEnd } });
+  if (holiday) return { marked: 0, skipped: 'holiday' };
+
+  const [employees, existing, leaves, worklogs] = await Promise.all([
+    User.find({
+      company: companyId,
+      status: { $in: ['active', 'on_leave'] },
+      $or: [{ joinDate: { $lte: dayEnd } }, { joinDate: null }],
+    }).select('_id').lean(),
+    Attendance.find({ company: companyId, date: day }).select('employee').lean(),
+    Leave.find({
+      company: companyId,
+      status: 'approved',
+      startDate: { $lte: dayEnd },
+      endDate: { $gte: day },
+    }).select('employee').lean(),
+    DailyWorklog.find({ company: companyId, date: { $gte: day, $lte: dayEnd } }).select('user').lean(),
+  ]);
+
+  const marked = new Set(existing.map((row) => row.employee.toString()));
+  const leaveByEmployee = new Map(leaves.map((leave) => [leave.employee.toString(), leave._id]));
+  const worklogUsers = new Set(worklogs.map((log) => log.user.toString()));
+
+  const rows = employees
+    .filter((employee) => !marked.has(employee._id.toString()))
+    .map((employee) => {
+      const id = employee._id.toString();
+      const row = { company: companyId, employee: employee._id, date: day, isAutoMarked: true };
+
+      if (leaveByEmployee.has(id)) return { ...row, status: 'on_leave', leave: leaveByEmployee.get(id) };
+      if (worklogUsers.has(id)) return { ...row, status: 'present', notes: 'Daily worklog submitted without check-in' };
+      return { ...row, status: 'absent' };
+    });
+
+  if (rows.length) {
+    // ordered:false so a concurrent check-in only skips that one row
+    await Attendance.insertMany(rows, { ordered: false }).catch((error) => {
+      if (error.code !== 11000 && !error.writeErrors) throw error;
+    });
+  }
+
+  return { marked: rows.length };
+};
+
+/**
+ * Run absent marking for every active company (scheduled job entry point)
+ */
+export const markAbsenteesForAllCompanies = async (date = new Date()) => {
+  const companies = await Company.find({ status: { $ne: 'inactive' } }).select('_id name').lean();
+  const results = [];
+
+  for (const company of companies) {
+    try {
+      const result = await markAbsentees(company._id, date);
+      results.push({ company: company._id, ...result });
+    } catch (error) {
+      logger.error(`Absent marking failed for company ${company._id}:`, error);
+      results.push({ company: company._id, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Monthly attendance register cross-referenced with approved leave, worklogs and the holiday calendar
+ * @param {object} params - { companyId, year, month (1-12), department, employeeIds }
+ */
+export const buildMonthlyRegister = async ({ companyId, year, month, department, employeeIds }) => {
+  const from = new Date(year, month - 1, 1);
+  const to = toDayEnd(new Date(year, month, 0));
+  const today = toDayStart(new Date());
+
+  const employeeQuery = {
+    company: companyId,
+    status: { $ne: 'inactive' },
+    $or: [{ joinDate: { $lte: to } }, { joinDate: null }],
+  };
+  if (department) employeeQuery.department = department;
+  if (employeeIds) employeeQuery._id = { $in: employeeIds };
+
+  const employees = await User.find(employeeQuery)
+    .select('firstName lastName employeeId department joinDate')
+    .sort({ firstName: 1, lastName: 1 })
+    .lean();
+  const ids = employees.map((employee) => employee._id);
+
+  const [policy, attendance, leaves, worklogs, holidays] = await Promise.all([
+    getPolicy(companyId),
+    Attendance.find({ company: companyId, employee: { $in: ids }, date: { $gte: from, $lte: to } }).lean(),
+    Leave.find({
+      company: companyId,
+      employee: { $in: ids },
+      status: 'approved',
+      startDate: { $lte: to },
+      endDate: { $gte: from },
+    }).select('employee leaveType startDate endDate halfDay').lean(),
+    DailyWorklog.find({ company: companyId, user: { $in: ids }, date: { $gte: from, $lte: to } })
+      .select('user date')
+      .lean(),
+    Holiday.find({ company: companyId, isOptional: false, date: { $gte: from, $lte: to } }).lean(),
+  ]);
+
+  const attendanceByKey = new Map(attendance.map((row) => [`${row.employee}:${formatDay(row.date)}`, row]));
+  const worklogKeys = new Set(worklogs.map((log) => `${log.user}:${formatDay(log.date)}`));
+  const holidayByDay = new Map(holidays.map((holiday) => [formatDay(holiday.date), holiday]));
+
+  const days = [];
+  for (const cursor = new Date(from); cursor <= to; cursor.setDate(cursor.getDate() + 1)) {
+    days.push(new Date(cursor));
+  }
+
+  const rows = employees.map((employee) => {
+    const employeeLeaves = leaves.filter((leave) => leave.employee.toString() === employee._id.toString());
+    const joined = employee.joinDate ? toDayStart(employee.joinDate) : null;
+    const summary = {
+      present: 0,
+      late: 0,
+      half_day: 0,
+      work_from_home: 0,
+      absent: 0,
+      on_leave: 0,
+      holiday: 0,
+      weekend: 0,
+      lateMinutes: 0,
+      workedHours: 0,
+      conflicts: 0,
+    };
+
+    const register = days.map((day) => {
+      const key = formatDay(day);
+      if (joined && day < joined) return { date: key, status: null };
+
+      const record = attendanceByKey.get(`${employee._id}:${key}`);
+      const leave = employeeLeaves.find((item) => toDayStart(item.startDate) <= day && toDayStart(item.endDate) >= day);
+      const holiday = holidayByDay.get(key);
+      const resolved = resolveDayStatus({
+        attendance: record,
+        leave,
+        holiday,
+        isWeekend: policy.weekendDays.includes(day.getDay()),
+        hasWorklog: worklogKeys.has(`${employee._id}:${key}`),
+        isPast: day < today,
+      });
+
+      if (resolved.status) summary[resolved.status] += 1;
+      if (resolved.conflict) summary.conflicts += 1;
+      summary.lateMinutes += record?.lateMinutes || 0;
+      summary.workedHours = round2(summary.workedHours + (record?.workedHours || 0));
+
+      return {
+        date: key,
+        ...resolved,
+        checkIn: formatTime(record?.checkIn?.time),
+        checkOut: formatTime(record?.checkOut?.time),
+        lateMinutes: record?.lateMinutes || 0,
+        workedHours: record?.workedHours || 0,
+        leaveType: leave?.leaveType,
+        holiday: holiday?.name,
+      };
+    });
+
+    return {
+      employee: {
+        _id: employee._id,
+        name: `${employee.firstName} ${employee.lastName}`,
+        employeeId: employee.employeeId,
+        department: employee.department,
+      },
+      days: register,
+      summary,
+    };
+  });
+
+  return { year, month, from: formatDay(from), to: formatDay(to), employees: rows };
+};
+
+export default {
+  DEFAULT_SHIFT,
+  formatDay,
+  formatTime,
+  minutesOfDay,
+  isOvernightShift,
+  evaluateAttendance,
+  resolveDayStatus,
+  resolveShift,
+  checkIn,
+  checkOut,
+  markAbsentees,
+  markAbsenteesForAllCompanies,
+  buildMonthlyRegister,
+};
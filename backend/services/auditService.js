@@ -0,0 +1,392 @@
+/**
+ * Audit Service
+ * Hash-chained audit entries and the Mongoose plugin that records them for every
+ * mutating request on audited models
+ */
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import AuditLog from '../models/AuditLog.js';
+import AuditChainHead from '../models/AuditChainHead.js';
+import logger from '../config/logger.js';
+
+export const GENESIS_HASH = 'GENESIS';
+
+// Bookkeeping fields that never count as a change
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const STATUS_ACTIONS = {
+  approved: 'APPROVE',
+  posted: 'POST',
+  reversed: 'REVERSE',
+  rejected: 'REJECT',
+  cancelled: 'VOID',
+  void: 'VOID',
+};
+
+// ============================================
+// REQUEST CONTEXT
+// ============================================
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `req` as the audit context; model hooks read the actor and IP from it
+ */
+export const runWithAuditContext = (req, fn) => requestContext.run({ req }, fn);
+
+export const getAuditContext = () => requestContext.getStore() || null;
+
+const actorFromRequest = (req) => {
+  if (!req?.user?._id) return null;
+  return {
+    company: req.user.company,
+    performedBy: req.user._id,
+    performedByName: `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim() || undefined,
+    performedByEmail: req.user.email,
+    ipAddress: req.ip || req.connection?.remoteAddress,
+    userAgent: req.headers?.['user-agent'],
+  };
+};
+
+// ============================================
+// HASH CHAIN
+// ============================================
+
+export const createAuditHash = (data, previousHash = '') => {
+  const hashContent = JSON.stringify({
+    previousHash,
+    action: data.action,
+    module: data.module,
+    documentId: data.documentId,
+    performedBy: data.performedBy,
+    performedAt: data.performedAt,
+    newState: data.newState,
+  });
+
+  return crypto.createHash('sha256').update(hashContent).digest('hex');
+};
+
+// Plain JSON so the stored state hashes the same after a round-trip through MongoDB
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Writers that lose the race for the head re-read it and try again
+const MAX_CHAIN_ATTEMPTS = 10;
+
+const chainHead = async (company) => {
+  const head = await AuditChainHead.findOne({ company }).lean();
+  if (head) return head;
+
+  // First entry since the head was introduced: continue from the newest stored entry
+  const previousLog = await AuditLog.findOne({ company })
+    .sort({ performedAt: -1, _id: -1 })
+    .select('currentHash')
+    .lean();
+  try {
+    return (await AuditChainHead.create({ company, hash: previousLog?.currentHash || GENESIS_HASH })).toObject();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return AuditChainHead.findOne({ company }).lean();
+  }
+};
+
+const writeChainedEntry = async (data) => {
+  for (let attempt = 0; attempt < MAX_CHAIN_ATTEMPTS; attempt += 1) {
+    const head = await chainHead(data.company);
+    const auditData = {
+      ...data,
+      performedAt: data.performedAt || new Date(),
+      previousState: toPlain(data.previousState),
+      newState: toPlain(data.newState),
+      previousHash: head.hash,
+      sequence: head.sequence + 1,
+    };
+    auditData.currentHash = createAuditHash(auditData, head.hash);
+
+    // Claim the next link only if no other writer has moved the head since it was read
+    const claimed = await AuditChainHead.findOneAndUpdate(
+      { company: data.company, sequence: head.sequence },
+      { $set: { hash: auditData.currentHash }, $inc: { sequence: 1 } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    try {
+      return await AuditLog.create(auditData);
+    } catch (error) {
+      // Hand the link back so the next entry doesn't chain onto one that was never stored
+      await AuditChainHead.updateOne(
+        { company: data.company, sequence: claimed.sequence },
+        { $set: { hash: head.hash, sequence: head.sequence } }
+      );
+      throw error;
+    }
+  }
+
+  throw new Error(`Audit chain head for company ${data.company} is busy; entry not written`);
+};
+
+// Entries from this process queue up per company so they don't race each other for the head
+const chainTails = new Map();
+
+/**
+ * Append an entry to the company's audit chain. Never throws: a failed audit write
+ * is logged and resolves to null so it can't roll back the business operation.
+ * @returns {Promise<AuditLog|null>}
+ */
+export const recordAudit = (data) => {
+  const key = String(data.company);
+  const run = (chainTails.get(key) || Promise.resolve()).then(() => writeChainedEntry(data));
+  const tail = run.catch(() => null);
+  chainTails.set(key, tail);
+  tail.then(() => {
+    if (chainTails.get(key) === tail) chainTails.delete(key);
+  });
+
+  return run.catch((error) => {
+    logger.error('Audit log write failed:', error);
+    return null;
+  });
+};
+
+/**
+ * Walk entries oldest-first and report breaks in the chain (and, optionally, tampered hashes)
+ * @param {Array} logs - entries sorted by performedAt, _id ascending
+ */
+export const verifyChain = (logs, { recalculateHashes = false } = {}) => {
+  const invalidEntries = [];
+  let previousHash = GENESIS_HASH;
+
+  logs.forEach((log, i) => {
+    if (log.previousHash !== previousHash) {
+      invalidEntries.push({
+        auditId: log._id,
+        position: i + 1,
+        expectedPreviousHash: previousHash,
+        actualPreviousHash: log.previousHash,
+        issue: 'BROKEN_CHAIN',
+      });
+    }
+
+    if (recalculateHashes) {
+      const recalculatedHash = createAuditHash(toPlain(log), log.previousHash);
+      if (log.currentHash !== recalculatedHash) {
+        invalidEntries.push({
+          auditId: log._id,
+          position: i + 1,
+          expectedHash: recalculatedHash,
+          actualHash: log.currentHash,
+          issue: 'HASH_MISMATCH_DATA_TAMPERED',
+        });
+      }
+    }
+
+    previousHash = log.currentHash;
+  });
+
+  return { isValid: invalidEntries.length === 0, invalidEntries };
+};
+
+// ============================================
+// DIFFS
+// ============================================
+
+/**
+ * Compare two plain snapshots field by field
+ * @returns {{ changedFields: string[], previousState: object, newState: object }}
+ *   states only hold the changed fields; `exclude` fields are listed as changed but never stored
+ */
+export const diffStates = (before, after, { exclude = [] } = {}) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changedFields = [];
+  const previousState = {};
+  const newState = {};
+
+  keys.forEach((key) => {
+    if (IGNORED_FIELDS.includes(key)) return;
+    const oldValue = before?.[key];
+    const newValue = after?.[key];
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+    changedFields.push(key);
+    if (exclude.includes(key)) return;
+    if (oldValue !== undefined) previousState[key] = oldValue;
+    if (newValue !== undefined) newState[key] = newValue;
+  });
+
+  return { changedFields, previousState, newState };
+};
+
+/**
+ * Audit action for a change: creates and deletes by presence, updates by status transition
+ */
+export const inferAction = (before, after) => {
+  if (!before) return 'CREATE';
+  if (!after) return 'DELETE';
+  if (after.status && after.status !== before.status && STATUS_ACTIONS[after.status]) {
+    return STATUS_ACTIONS[after.status];
+  }
+  return 'UPDATE';
+};
+
+const omit = (state, fields) => {
+  if (!state) return state;
+  const copy = { ...state };
+  fields.forEach((field) => delete copy[field]);
+  return copy;
+};
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => value?.[key], obj);
+
+/**
+ * Financial impact from a document's amount field, e.g. amountImpact('totals.netPay')
+ */
+export const amountImpact = (path) => (doc) => ({ netImpact: Number(getPath(doc, path)) || 0 });
+
+// ============================================
+// MONGOOSE PLUGIN
+// ============================================
+
+const snapshot = (doc) => toPlain(doc.toObject({ depopulate: true, virtuals: false, getters: false }));
+
+// Query hooks can't use $locals, so the pre-update state is kept per query object
+const queryBefore = new WeakMap();
+
+/**
+ * Record CREATE/UPDATE/DELETE (and status transitions) for a model during mutating requests.
+ * Covers document save/deleteOne, findOneAndUpdate/findOneAndDelete, query
+ * updateOne/updateMany (one entry per matched document) and insertMany.
+ *
+ * @param {mongoose.Schema} schema
+ * @param {object} options
+ * @param {string} options.module - AuditLog module
+ * @param {string|Function} [options.reference] - field (or fn(doc)) for documentNumber
+ * @param {Function} [options.impact] - fn(doc) => financialImpact
+ * @param {string[]} [options.exclude] - sensitive fields never copied into the log
+ */
+export const auditPlugin = (schema, { module, reference, impact, exclude = [] }) => {
+  const record = async ({ modelName, before, after }) => {
+    const actor = actorFromRequest(getAuditContext()?.req);
+    if (!actor) return;
+
+    const doc = after || before;
+    const action = inferAction(before, after);
+    let previousState;
+    let newState;
+    let changedFields;
+
+    if (action === 'CREATE') {
+      newState = omit(after, [...IGNORED_FIELDS, ...exclude]);
+    } else if (action === 'DELETE') {
+      previousState = omit(before, [...IGNORED_FIELDS, ...exclude]);
+    } else {
+      ({ changedFields, previousState, newState } = diffStates(before, after, { exclude }));
+      if (!changedFields.length) return;
+    }
+
+    await recordAudit({
+      ...actor,
+      company: doc.company || actor.company,
+      action,
+      module,
+      documentType: modelName,
+      documentId: doc._id,
+      documentNumber: typeof reference === 'function' ? reference(doc) : reference && doc[reference],
+      previousState,
+      newState,
+      changedFields,
+      financialImpact: impact ? impact(doc) : undefined,
+    });
+  };
+
+  schema.post('init', function () {
+    if (getAuditContext()) this.$locals.auditBefore = snapshot(this);
+  });
+
+  schema.pre('save', function () {
+    this.$locals.auditIsNew = this.isNew;
+  });
+
+  schema.post('save', async function (doc) {
+    if (!getAuditContext()) return;
+    const after = snapshot(doc);
+    const before = doc.$locals.auditIsNew ? null : doc.$locals.auditBefore;
+    // A document saved twice in one request diffs against its last saved state
+    doc.$locals.auditBefore = after;
+    if (!doc.$locals.auditIsNew && !before) return;
+    await record({ modelName: doc.constructor.modelName, before, after });
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function (doc) {
+    if (!getAuditContext()) return;
+    await record({ modelName: doc.constructor.modelName, before: snapshot(doc), after: null });
+  });
+
+  schema.pre('findOneAndUpdate', async function () {
+    if (!getAuditContext()) return;
+    const before = await this.model.findOne(this.getQuery()).lean();
+    if (before) queryBefore.set(this, toPlain(before));
+  });
+
+  schema.post('findOneAndUpdate', async function () {
+    const before = queryBefore.get(this);
+    if (!before) return;
+    queryBefore.delete(this);
+    const after = toPlain(await this.model.findById(before._id).lean());
+    await record({ modelName: this.model.modelName, before, after });
+  });
+
+  // Bulk updates snapshot every matched document first and diff each one afterwards
+  schema.pre(['updateOne', 'updateMany'], { document: false, query: true }, async function () {
+    if (!getAuditContext()) return;
+    const filter = this.getQuery();
+    const before = this.op === 'updateOne'
+      ? [await this.model.findOne(filter).lean()].filter(Boolean)
+      : await this.model.find(filter).lean();
+    queryBefore.set(this, toPlain(before));
+  });
+
+  schema.post(['updateOne', 'updateMany'], { document: false, query: true }, async function (result) {
+    const before = queryBefore.get(this);
+    if (!before) return;
+    queryBefore.delete(this);
+    const modelName = this.model.modelName;
+
+    const after = await this.model.find({ _id: { $in: before.map((doc) => doc._id) } }).lean();
+    const afterById = new Map(after.map((doc) => [String(doc._id), toPlain(doc)]));
+    for (const doc of before) {
+      await record({ modelName, before: doc, after: afterById.get(String(doc._id)) || null });
+    }
+
+    // An upsert that matched nothing created its document
+    if (result?.upsertedId) {
+      const created = await this.model.findById(result.upsertedId).lean();
+      if (created) await record({ modelName, before: null, after: toPlain(created) });
+    }
+  });
+
+  schema.post('insertMany', async function (docs) {
+    if (!getAuditContext()) return;
+    for (const doc of [].concat(docs)) {
+      await record({ modelName: this.modelName, before: null, after: doc.toObject ? snapshot(doc) : toPlain(doc) });
+    }
+  });
+
+  schema.post('findOneAndDelete', async function (doc) {
+    if (!doc || !getAuditContext()) return;
+    const before = doc.toObject ? snapshot(doc) : toPlain(doc);
+    await record({ modelName: this.model.modelName, before, after: null });
+  });
+};
+
+export default {
+  runWithAuditContext,
+  getAuditContext,
+  createAuditHash,
+  recordAudit,
+  verifyChain,
+  diffStates,
+  inferAction,
+  amountImpact,
+  auditPlugin,
+};
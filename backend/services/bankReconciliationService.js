@@ -0,0 +1,757 @@
+/**
+ * Bank Reconciliation Service
+ * Statement import (CSV / MT940), matching statement lines to posted GL bank lines,
+ * bank charge / interest adjustments and the prepared → reviewed → approved sign-off
+ */
+
+import BankReconciliation from '../models/BankReconciliation.js';
+import ChartOfAccount from '../models/ChartOfAccount.js';
+import JournalEntry from '../models/JournalEntry.js';
+import { fiscalYearFor, postJournalEntry } from './ledgerService.js';
+import logger from '../config/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_DATE_WINDOW_DAYS = 3;
+
+const reconciliationError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const periodStart = (period) => new Date(`${period}-01T00:00:00`);
+
+const periodEnd = (period) => {
+  const end = periodStart(period);
+  end.setMonth(end.getMonth() + 1);
+  end.setMilliseconds(-1);
+  return end;
+};
+
+// ============================================
+// STATEMENT PARSING
+// ============================================
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const fullYear = (year) => (year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10));
+
+/**
+ * Parse statement dates: yyyy-mm-dd, dd/mm/yyyy (local bank convention), dd-MMM-yyyy
+ */
+export const parseStatementDate = (value) => {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return new Date(+match[1], +match[2] - 1, +match[3]);
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (match) return new Date(fullYear(match[3]), +match[2] - 1, +match[1]);
+
+  match = text.match(/^(\d{1,2})[-\s]([A-Za-z]{3})[A-Za-z]*[-\s,]+(\d{2}|\d{4})$/);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return new Date(fullYear(match[3]), MONTHS.indexOf(match[2].toLowerCase()), +match[1]);
+  }
+  return null;
+};
+
+/**
+ * Parse "1,250.00", "(500.00)" or "-500" into a number
+ */
+export const parseStatementAmount = (value) => {
+  const text = String(value ?? '').trim();
+  if (!text) return 0;
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+  if (Number.isNaN(amount)) return 0;
+  return negative ? -amount : amount;
+};
+
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field.trim());
+      if (row.some(Boolean)) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field.trim());
+  if (row.some(Boolean)) rows.push(row);
+  return rows;
+};
+
+const CSV_COLUMNS = {
+  transactionDate: ['date', 'transaction date', 'txn date', 'trans date', 'posting date', 'booking date'],
+  valueDate: ['value date'],
+  reference: ['reference', 'ref', 'ref no', 'reference no', 'cheque no', 'cheque number', 'chq no', 'instrument no'],
+  description: ['description', 'narration', 'particulars', 'details', 'transaction details', 'remarks'],
+  debit: ['debit', 'debits', 'withdrawal', 'withdrawals', 'dr', 'debit amount'],
+  credit: ['credit', 'credits', 'deposit', 'deposits', 'cr', 'credit amount'],
+  amount: ['amount'],
+  balance: ['balance', 'running balance', 'closing balance'],
+};
+
+const normalizeHeader = (value) => value.toLowerCase().replace(/[.#:_]/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Parse a CSV bank statement; the header row may follow preamble lines
+ * @returns {{lines: Array, openingBalance?: number, closingBalance?: number}}
+ */
+export const parseCsvStatement = (text) => {
+  const rows = parseCsvRows(text);
+  const headerIndex = rows.findIndex((row) => {
+    const headers = row.map(normalizeHeader);
+    const has = (key) => headers.some((header) => CSV_COLUMNS[key].includes(header));
+    return has('transactionDate') && (has('amount') || has('debit') || has('credit'));
+  });
+  if (headerIndex === -1) {
+    throw reconciliationError('Could not find a header row with date and amount columns in the CSV statement');
+  }
+
+  const headers = rows[headerIndex].map(normalizeHeader);
+  const column = (key) => headers.findIndex((header) => CSV_COLUMNS[key].includes(header));
+  const columns = Object.fromEntries(Object.keys(CSV_COLUMNS).map((key) => [key, column(key)]));
+  const cell = (row, key) => (columns[key] === -1 ? '' : row[columns[key]]);
+
+  const lines = [];
+  for (const row of rows.slice(headerIndex + 1)) {
+    const transactionDate = parseStatementDate(cell(row, 'transactionDate'));
+    if (!transactionDate) continue; // Totals / footer rows
+
+    let debit = Math.abs(parseStatementAmount(cell(row, 'debit')));
+    let credit = Math.abs(parseStatementAmount(cell(row, 'credit')));
+    if (!debit && !credit && columns.amount !== -1) {
+      const amount = parseStatementAmount(cell(row, 'amount'));
+      debit = amount < 0 ? -amount : 0;
+      credit = amount > 0 ? amount : 0;
+    }
+
+    lines.push({
+      transactionDate,
+      valueDate: parseStatementDate(cell(row, 'valueDate')) || undefined,
+      reference: cell(row, 'reference') || undefined,
+      description: cell(row, 'description') || cell(row, 'reference') || 'Bank transaction',
+      debit,
+      credit,
+      balance: columns.balance === -1 || cell(row, 'balance') === '' ? undefined : parseStatementAmount(cell(row, 'balance')),
+    });
+  }
+
+  const first = lines[0];
+  const last = lines[lines.length - 1];
+  return {
+    lines,
+    openingBalance: first?.balance !== undefined ? round2(first.balance - first.credit + first.debit) : undefined,
+    closingBalance: last?.balance,
+  };
+};
+
+const parseMt940Balance = (value) => {
+  const match = value.replace(/\s/g, '').match(/^([CD])(\d{6})([A-Z]{3})([\d,]+)$/);
+  if (!match) return undefined;
+  const amount = parseFloat(match[4].replace(',', '.'));
+  return match[1] === 'D' ? -amount : amount;
+};
+
+const parseMt940Date = (yymmdd) => new Date(2000 + parseInt(yymmdd.slice(0, 2), 10), parseInt(yymmdd.slice(2, 4), 10) - 1, parseInt(yymmdd.slice(4, 6), 10));
+
+/**
+ * Parse an MT940 (SWIFT customer statement) file
+ * @returns {{lines: Array, openingBalance?: number, closingBalance?: number, accountNumber?: string}}
+ */
+export const parseMt940Statement = (text) => {
+  const fields = [];
+  for (const rawLine of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const tag = rawLine.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (tag) fields.push({ tag: tag[1], value: tag[2] });
+    else if (fields.length && rawLine.trim() && !/^[-}{]/.test(rawLine.trim())) {
+      fields[fields.length - 1].value += `\n${rawLine}`;
+    }
+  }
+  if (!fields.some((field) => field.tag === '61')) {
+    throw reconciliationError('No :61: statement lines found in the MT940 file');
+  }
+
+  const result = { lines: [] };
+  for (const { tag, value } of fields) {
+    if (tag === '25') result.accountNumber = value.trim();
+    if (['60F', '60M'].includes(tag) && result.openingBalance === undefined) result.openingBalance = parseMt940Balance(value);
+    if (['62F', '62M'].includes(tag)) result.closingBalance = parseMt940Balance(value);
+
+    if (tag === '61') {
+      const [firstLine, ...rest] = value.split('\n');
+      const match = firstLine.match(/^(\d{6})(\d{4})?(R?[CD])[A-Z]?([\d,]+)([A-Z][A-Z0-9]{3})([^/]*)(?:\/\/(.*))?$/);
+      if (!match) throw reconciliationError(`Unreadable MT940 statement line: ${firstLine}`);
+
+      const valueDate = parseMt940Date(match[1]);
+      let transactionDate = valueDate;
+      if (match[2]) {
+        transactionDate = new Date(valueDate.getFullYear(), parseInt(match[2].slice(0, 2), 10) - 1, parseInt(match[2].slice(2), 10));
+        // Booking in January for a December value date (or vice versa)
+        if (transactionDate - valueDate > 180 * DAY_MS) transactionDate.setFullYear(transactionDate.getFullYear() - 1);
+        if (valueDate - transactionDate > 180 * DAY_MS) transactionDate.setFullYear(transactionDate.getFullYear() + 1);
+      }
+
+      const amount = parseFloat(match[4].replace(',', '.'));
+      const isCredit = match[3] === 'C' || match[3] === 'RD';
+      const reference = match[6].trim() && match[6].trim() !== 'NONREF' ? match[6].trim() : match[7]?.trim();
+      result.lines.push({
+        transactionDate,
+        valueDate,
+        reference: reference || undefined,
+        description: rest.join(' ').trim() || match[5],
+        debit: isCredit ? 0 : amount,
+        credit: isCredit ? amount : 0,
+      });
+    }
+
+    if (tag === '86' && result.lines.length) {
+      result.lines[result.lines.length - 1].description = value.replace(/\n/g, ' ').trim();
+    }
+  }
+  return result;
+};
+
+export const parseStatement = (format, content) => {
+  if (format === 'mt940') return parseMt940Statement(content);
+  if (format === 'csv') return parseCsvStatement(content);
+  throw reconciliationError('format must be csv or mt940');
+};
+
+// ============================================
+// MATCHING
+// ============================================
+
+const statementAmount = (line) => round2((line.credit || 0) - (line.debit || 0));
+
+const referencesMatch = (statementLine, glLine) => {
+  const statementText = `${statementLine.reference || ''} ${statementLine.description || ''}`.toUpperCase();
+  const glTokens = [glLine.reference, glLine.entryNumber, glLine.documentNumber]
+    .filter((token) => token && token.length >= 3)
+    .map((token) => token.toUpperCase());
+  if (glTokens.some((token) => statementText.includes(token))) return true;
+
+  const statementReference = (statementLine.reference || '').toUpperCase();
+  return statementReference.length >= 3 && `${glLine.reference || ''} ${glLine.description || ''}`.toUpperCase().includes(statementReference);
+};
+
+/**
+ * Pair unmatched statement lines with GL bank lines of the same signed amount inside the date window.
+ * A reference hit wins; otherwise a line is only matched when exactly one candidate fits.
+ * @param {Array} statementLines - { transactionDate, debit, credit, reference, description, status }
+ * @param {Array} glLines - { key, date, amount (debit - credit), reference, entryNumber, documentNumber, description }
+ * @returns {Array<{statementIndex: number, glLine: object}>}
+ */
+export const matchStatementLines = (statementLines, glLines, { dateWindowDays = DEFAULT_DATE_WINDOW_DAYS } = {}) => {
+  const used = new Set();
+  const matches = [];
+
+  statementLines.forEach((line, statementIndex) => {
+    if (line.status && line.status !== 'unmatched') return;
+    if (line.adjustmentType) return;
+
+    const amount = statementAmount(line);
+    const dayGap = (glLine) => Math.abs(new Date(line.transactionDate) - new Date(glLine.date)) / DAY_MS;
+    const candidates = glLines.filter((glLine) => !used.has(glLine.key)
+      && Math.abs(glLine.amount - amount) < 0.005
+      && dayGap(glLine) <= dateWindowDays);
+    if (!candidates.length) return;
+
+    const byReference = candidates.filter((glLine) => referencesMatch(line, glLine));
+    const pool = byReference.length ? byReference : candidates;
+    if (!byReference.length && candidates.length > 1) return; // Ambiguous: leave for manual matching
+
+    const best = pool.reduce((closest, glLine) => (dayGap(glLine) < dayGap(closest) ? glLine : closest));
+    used.add(best.key);
+    matches.push({ statementIndex, glLine: best });
+  });
+
+  return matches;
+};
+
+// ============================================
+// DATA ACCESS
+// ============================================
+
+const lineKey = (journalEntry, lineIndex) => `${journalEntry}:${lineIndex}`;
+
+/**
+ * Posted GL lines on the bank account between two dates, signed as debit - credit
+ */
+const loadBankLines = async (companyId, bankAccountId, from, to) => {
+  const entries = await JournalEntry.find({
+    company: companyId,
+    status: 'posted',
+    entryDate: { $gte: from, $lte: to },
+    'lines.account': bankAccountId,
+  }).select('entryNumber entryDate description lines sourceDocument').lean();
+
+  return entries.flatMap((entry) => entry.lines
+    .map((line, lineIndex) => ({ line, lineIndex }))
+    .filter(({ line }) => line.account.toString() === bankAccountId.toString())
+    .map(({ line, lineIndex }) => ({
+      key: lineKey(entry._id, lineIndex),
+      journalEntry: entry._id,
+      lineIndex,
+      entryNumber: entry.entryNumber,
+      documentNumber: entry.sourceDocument?.documentNumber,
+      date: entry.entryDate,
+      amount: round2((line.debit || 0) - (line.credit || 0)),
+      reference: line.reference,
+      description: line.description || entry.description,
+    })));
+};
+
+/**
+ * GL bank lines already matched by any reconciliation of the account (other than `excludeId`)
+ */
+const matchedLineKeys = async (companyId, bankAccountId, excludeId) => {
+  const reconciliations = await BankReconciliation.find({
+    company: companyId,
+    bankAccount: bankAccountId,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  }).select('statementLines.matchedEntries').lean();
+
+  return new Set(reconciliations.flatMap((reconciliation) => reconciliation.statementLines
+    .flatMap((line) => line.matchedEntries.map((match) => lineKey(match.journalEntry, match.lineIndex)))));
+};
+
+/**
+ * GL lines still open for a reconciliation: posted since the account's first reconciled period,
+ * up to the statement date, and not matched by this or another reconciliation
+ */
+const openBankLines = async (reconciliation) => {
+  const first = await BankReconciliation.findOne({ company: reconciliation.company, bankAccount: reconciliation.bankAccount })
+    .sort({ period: 1 })
+    .select('period')
+    .lean();
+
+  const [glLines, matchedElsewhere] = await Promise.all([
+    loadBankLines(reconciliation.company, reconciliation.bankAccount, periodStart(first?.period || reconciliation.period), periodEnd(reconciliation.period)),
+    matchedLineKeys(reconciliation.company, reconciliation.bankAccount, reconciliation._id),
+  ]);
+  const matchedHere = new Set(reconciliation.statementLines
+    .flatMap((line) => line.matchedEntries.map((match) => lineKey(match.journalEntry, match.lineIndex))));
+
+  return glLines.filter((glLine) => !matchedElsewhere.has(glLine.key) && !matchedHere.has(glLine.key));
+};
+
+/**
+ * Rebuild GL balance, outstanding items and bank-only adjustments, then save (pre-save computes the difference)
+ */
+export const refreshReconciliation = async (reconciliation) => {
+  await reconciliation.fetchGLBalance();
+  const open = await openBankLines(reconciliation);
+  const items = reconciliation.reconciliationItems;
+
+  items.depositsInTransit = open.filter((glLine) => glLine.amount > 0).map((glLine) => ({
+    journalEntry: glLine.journalEntry,
+    lineIndex: glLine.lineIndex,
+    entryNumber: glLine.entryNumber,
+    date: glLine.date,
+    amount: glLine.amount,
+    description: glLine.description,
+  }));
+  items.outstandingChecks = open.filter((glLine) => glLine.amount < 0).map((glLine) => ({
+    journalEntry: glLine.journalEntry,
+    lineIndex: glLine.lineIndex,
+    entryNumber: glLine.entryNumber,
+    date: glLine.date,
+    checkNumber: glLine.reference,
+    amount: -glLine.amount,
+    payee: glLine.description,
+  }));
+
+  const adjustmentItems = (type, sign, existing) => reconciliation.statementLines
+    .filter((line) => line.adjustmentType === type)
+    .map((line) => {
+      const previous = existing.find((item) => item.statementLine?.toString() === line._id.toString());
+      return {
+        statementLine: line._id,
+        date: line.transactionDate,
+        amount: round2(sign * statementAmount(line)),
+        description: line.description,
+        glPosted: previous?.glPosted || false,
+        journalEntry: previous?.journalEntry,
+      };
+    });
+  items.bankCharges = adjustmentItems('bank_charge', -1, items.bankCharges);
+  items.interestEarned = adjustmentItems('interest', 1, items.interestEarned);
+
+  await reconciliation.save();
+  return reconciliation;
+};
+
+const findReconciliation = async (companyId, id) => {
+  const reconciliation = await BankReconciliation.findOne({ _id: id, company: companyId });
+  if (!reconciliation) throw reconciliationError('Bank reconciliation not found', 404);
+  return reconciliation;
+};
+
+const assertDraft = (reconciliation) => {
+  if (reconciliation.status !== 'draft') {
+    throw reconciliationError(`Reconciliation is ${reconciliation.status}; return it to draft before making changes`);
+  }
+};
+
+const findStatementLine = (reconciliation, lineId) => {
+  const line = reconciliation.statementLines.id(lineId);
+  if (!line) throw reconciliationError('Statement line not found', 404);
+  return line;
+};
+
+// ============================================
+// RECONCILIATION ACTIONS
+// ============================================
+
+/**
+ * Start a reconciliation for a bank GL account and month
+ * @param {object} params - { companyId, bankAccount, period, openingBalanceBank, closingBalanceBank, notes, userId }
+ */
+export const createReconciliation = async ({ companyId, bankAccount, period, openingBalanceBank, closingBalanceBank, notes, userId }) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period || '')) throw reconciliationError('period must be in YYYY-MM format');
+
+  const account = await ChartOfAccount.findOne({ _id: bankAccount, company: companyId }).lean();
+  if (!account) throw reconciliationError('Bank account not found', 404);
+  if (!account.isBankAccount) throw reconciliationError(`${account.code} ${account.name} is not a bank account`);
+
+  const existing = await BankReconciliation.exists({ company: companyId, bankAccount, period });
+  if (existing) throw reconciliationError(`A reconciliation for ${period} already exists for this account`, 409);
+
+  const previous = await BankReconciliation.findOne({ company: companyId, bankAccount, period: { $lt: period } })
+    .sort({ period: -1 })
+    .lean();
+  const dayBefore = new Date(periodStart(period).getTime() - 1);
+
+  const reconciliation = new BankReconciliation({
+    company: companyId,
+    bankAccount,
+    period,
+    reconciliationDate: periodEnd(period),
+    fiscalYear: fiscalYearFor(periodStart(period)),
+    openingBalanceBank: openingBalanceBank ?? previous?.closingBalanceBank ?? 0,
+    openingBalanceGL: await BankReconciliation.calculateGLBalance(companyId, bankAccount, dayBefore),
+    closingBalanceBank: closingBalanceBank ?? 0,
+    notes,
+    preparedBy: userId,
+  });
+
+  return refreshReconciliation(reconciliation);
+};
+
+/**
+ * Append statement lines from a CSV or MT940 file (lines already imported are skipped)
+ * @param {object} params - { companyId, id, format, content, fileName, userId }
+ */
+export const importStatement = async ({ companyId, id, format, content, fileName, userId }) => {
+  const reconciliation = await findReconciliation(companyId, id);
+  assertDraft(reconciliation);
+  if (!content) throw reconciliationError('Statement content is required');
+
+  const parsed = parseStatement(format, content);
+  const start = periodStart(reconciliation.period);
+  const end = periodEnd(reconciliation.period);
+  const inPeriod = parsed.lines.filter((line) => line.transactionDate >= start && line.transactionDate <= end);
+
+  const fingerprint = (line) => [
+    new Date(line.transactionDate).toISOString().slice(0, 10),
+    round2(line.debit || 0),
+    round2(line.credit || 0),
+    line.reference || '',
+    line.description || '',
+  ].join('|');
+  const seen = new Set(reconciliation.statementLines.map(fingerprint));
+  const added = inPeriod.filter((line) => !seen.has(fingerprint(line)));
+
+  reconciliation.statementLines.push(...added);
+  if (parsed.openingBalance !== undefined && !reconciliation.statementImports.length) {
+    reconciliation.openingBalanceBank = parsed.openingBalance;
+  }
+  if (parsed.closingBalance !== undefined) reconciliation.closingBalanceBank = parsed.closingBalance;
+  reconciliation.statementImports.push({ format, fileName, lineCount: added.length, importedBy: userId });
+
+  await refreshReconciliation(reconciliation);
+  logger.info(`Bank statement imported for reconciliation ${reconciliation._id}: ${added.length} lines`);
+
+  return {
+    reconciliation,
+    imported: added.length,
+    duplicates: inPeriod.length - added.length,
+    outsidePeriod: parsed.lines.length - inPeriod.length,
+  };
+};
+
+/**
+ * Auto-match unmatched statement lines to open GL bank lines
+ */
+export const autoMatch = async (companyId, id, { dateWindowDays = DEFAULT_DATE_WINDOW_DAYS } = {}) => {
+  const reconciliation = await findReconciliation(companyId, id);
+  assertDraft(reconciliation);
+
+  const open = await openBankLines(reconciliation);
+  const matches = matchStatementLines(reconciliation.statementLines, open, { dateWindowDays });
+
+  for (const { statementIndex, glLine } of matches) {
+    const line = reconciliation.statementLines[statementIndex];
+    line.matchedEntries = [{ journalEntry: glLine.journalEntry, lineIndex: glLine.lineIndex, matchedAmount: glLine.amount }];
+    line.status = 'matched';
+  }
+
+  await refreshReconciliation(reconciliation);
+  return { reconciliation, matched: matches.length };
+};
+
+/**
+ * Manually match a statement line to one or more GL bank lines
+ * @param {object} params - { companyId, id, lineId, entries: [{ journalEntry, lineIndex }] }
+ */
+export const manualMatch = async ({ companyId, id, lineId, entries = [] }) => {
+  const reconciliation = await findReconciliation(companyId, id);
+  assertDraft(reconciliation);
+  const line = findStatementLine(reconciliation, lineId);
+  if (!entries.length) throw reconciliationError('At least one journal entry line is required');
+
+  const open = await openBankLines(reconciliation);
+  const openByKey = new Map(open.map((glLine) => [glLine.key, glLine]));
+  const alreadyOnLine = new Set(line.matchedEntries.map((match) => lineKey(match.journalEntry, match.lineIndex)));
+
+  const selected = entries.map((entry) => {
+    const key = lineKey(entry.journalEntry, entry.lineIndex);
+    const glLine = openByKey.get(key);
+    if (!glLine && !alreadyOnLine.has(key)) {
+      throw reconciliationError(`Journal line ${key} is not an open posted line on this bank account`);
+    }
+    return glLine;
+  }).filter(Boolean);
+
+  for (const glLine of selected) {
+    line.matchedEntries.push({ journalEntry: glLine.journalEntry, lineIndex: glLine.lineIndex, matchedAmount: glLine.amount });
+  }
+  const matchedTotal = round2(line.matchedEntries.reduce((sum, match) => sum + match.matchedAmount, 0));
+  line.status = Math.abs(matchedTotal - statementAmount(line)) < 0.005 ? 'matched' : 'partially_matched';
+  line.adjustmentType = null;
+
+  await refreshReconciliation(reconciliation);
+  return reconciliation;
+};
+
+/**
+ * Clear a statement line's matches
+ */
+export const unmatch = async ({ companyId, id, lineId }) => {
+  const reconciliation = await findReconciliation(companyId, id);
+  assertDraft(reconciliation);
+  const line = findStatementLine(reconciliation, lineId);
+
+  const postedAdjustment = [...reconciliation.reconciliationItems.bankCharges, ...reconciliation.reconciliationItems.interestEarned]
+    .some((item) => item.statementLine?.toString() === line._id.toString() && item.glPosted);
+  if (postedAdjustment) throw reconciliationError('This line was cleared by a posted adjustment journal; reverse the journal instead');
+
+  line.matchedEntries = [];
+  line.status = 'unmatched';
+
+  await refreshReconciliation(reconciliation);
+  return reconciliation;
+};
+
+/**
+ * Classify an unmatched statement line as a bank charge / interest (needs an adjustment journal),
+ * or exclude it from matching
+ * @param {object} params - { companyId, id, lineId, adjustmentType: 'bank_charge'|'interest'|null, exclude, remarks }
+ */
+export const classifyLine = async ({ companyId, id, lineId, adjustmentType = null, exclude = false, remarks }) => {
+  const reconciliation = await findReconciliation(companyId, id);
+  assertDraft(reconciliation);
+  const line = findStatementLine(reconciliation, lineId);
+  if (line.matchedEntries.length) throw reconciliationError('Unmatch the line before classifying it');
+  if (adjustmentType && !['bank_charge', 'interest'].includes(adjustmentType)) {
+    throw reconciliationError('adjustmentType must be bank_charge or interest');
+  }
+  if (adjustmentType === 'bank_charge' && statementAmount(line) >= 0) throw reconciliationError('Bank charges must be withdrawals');
+  if (adjustmentType === 'interest' && statementAmount(line) <= 0) throw reconciliationError('Interest must be a deposit');
+
+  line.adjustmentType = adjustmentType;
+  line.status = exclude ? 'excluded' : 'unmatched';
+  if (remarks !== undefined) line.remarks = remarks;
+
+  await refreshReconciliation(reconciliation);
+  return reconciliation;
+};
+
+/**
+ * Post one adjustment journal for unposted bank charges and interest, then match those
+ * statement lines to the journal's bank lines
+ * @param {object} params - { companyId, id, expenseAccount, incomeAccount, userId }
+ */
+export const postAdjustments = async ({ companyId, id, expenseAccount, incomeAccount, userId }) => {
+  const reconciliation = await findReconciliation(companyId, id);
+  assertDraft(reconciliation);
+
+  const charges = reconciliation.reconciliationItems.bankCharges.filter((item) => !item.glPosted);
+  const interest = reconciliation.reconciliationItems.interestEarned.filter((item) => !item.glPosted);
+  if (!charges.length && !interest.length) throw reconciliationError('No unposted bank charges or interest');
+  if (charges.length && !expenseAccount) throw reconciliationError('expenseAccount is required for bank charges');
+  if (interest.length && !incomeAccount) throw reconciliationError('incomeAccount is required for interest');
+
+  // Bank lines first, in item order, so each statement line can be matched to its line index
+  const adjustments = [
+    ...charges.map((item) => ({ item, bank: { debit: 0, credit: item.amount }, contra: { account: expenseAccount, debit: item.amount, credit: 0 } })),
+    ...interest.map((item) => ({ item, bank: { debit: item.amount, credit: 0 }, contra: { account: incomeAccount, debit: 0, credit: item.amount } })),
+  ];
+  const lines = [
+    ...adjustments.map(({ item, bank }) => ({ account: reconciliation.bankAccount, description: item.description, subledgerType: 'bank', ...bank })),
+    ...adjustments.map(({ item, contra }) => ({ description: item.description, ...contra })),
+  ];
+
+  const entry = await postJournalEntry({
+    companyId,
+    entryDate: reconciliation.reconciliationDate,
+    entryType: 'adjustment',
+    description: `Bank reconciliation adjustments ${reconciliation.period}`,
+    lines,
+    sourceDocument: { type: 'manual', documentId: reconciliation._id, documentNumber: `BR-${reconciliation.period}` },
+    userId,
+  });
+
+  adjustments.forEach(({ item }, lineIndex) => {
+    item.glPosted = true;
+    item.journalEntry = entry._id;
+    const line = reconciliation.statementLines.id(item.statementLine);
+    if (line) {
+      line.matchedEntries = [{ journalEntry: entry._id, lineIndex, matchedAmount: statementAmount(line) }];
+      line.status = 'matched';
+    }
+  });
+
+  await refreshReconciliation(reconciliation);
+  logger.info(`Bank reconciliation ${reconciliation._id} adjustments posted as ${entry.entryNumber}`);
+  return { reconciliation, journalEntry: entry };
+};
+
+// ============================================
+// SIGN-OFF
+// ============================================
+
+/**
+ * Preparer sign-off: the statement must be fully explained and adjustments posted
+ */
+export const prepare = async (companyId, id, userId) => {
+  const reconciliation = await findReconciliation(companyId, id);
+  assertDraft(reconciliation);
+  await refreshReconciliation(reconciliation);
+
+  if (!reconciliation.statementLines.length) throw reconciliationError('Import a bank statement before preparing');
+  const pendingAdjustments = [...reconciliation.reconciliationItems.bankCharges, ...reconciliation.reconciliationItems.interestEarned]
+    .filter((item) => !item.glPosted);
+  if (pendingAdjustments.length) throw reconciliationError('Post the bank charge / interest adjustment journal first');
+  if (!reconciliation.isReconciled) {
+    throw reconciliationError(`Reconciliation has an unexplained difference of ${reconciliation.difference}`);
+  }
+
+  reconciliation.status = 'prepared';
+  reconciliation.preparedBy = userId;
+  reconciliation.preparedAt = new Date();
+  reconciliation.returnReason = undefined;
+  await reconciliation.save();
+  return reconciliation;
+};
+
+export const review = async (companyId, id, userId) => {
+  const reconciliation = await findReconciliation(companyId, id);
+  if (reconciliation.status !== 'prepared') throw reconciliationError('Only prepared reconciliations can be reviewed');
+  if (reconciliation.preparedBy.toString() === userId.toString()) {
+    throw reconciliationError('The preparer cannot review their own reconciliation', 403);
+  }
+
+  reconciliation.status = 'reviewed';
+  reconciliation.reviewedBy = userId;
+  reconciliation.reviewedAt = new Date();
+  await reconciliation.save();
+  return reconciliation;
+};
+
+export const approve = async (companyId, id, userId) => {
+  const reconciliation = await findReconciliation(companyId, id);
+  if (reconciliation.status !== 'reviewed') throw reconciliationError('Only reviewed reconciliations can be approved');
+  if (reconciliation.preparedBy.toString() === userId.toString()) {
+    throw reconciliationError('The preparer cannot approve their own reconciliation', 403);
+  }
+  if (reconciliation.reviewedBy?.toString() === userId.toString()) {
+    throw reconciliationError('The reviewer cannot also approve the reconciliation', 403);
+  }
+
+  reconciliation.status = 'approved';
+  reconciliation.approvedBy = userId;
+  reconciliation.approvedAt = new Date();
+  await reconciliation.save();
+  return reconciliation;
+};
+
+/**
+ * Send a prepared or reviewed reconciliation back to draft
+ */
+export const returnToDraft = async (companyId, id, reason) => {
+  const reconciliation = await findReconciliation(companyId, id);
+  if (!['prepared', 'reviewed'].includes(reconciliation.status)) {
+    throw reconciliationError(`Cannot return a ${reconciliation.status} reconciliation to draft`);
+  }
+  if (!reason) throw reconciliationError('A reason is required');
+
+  reconciliation.status = 'draft';
+  reconciliation.returnReason = reason;
+  reconciliation.reviewedBy = undefined;
+  reconciliation.reviewedAt = undefined;
+  await reconciliation.save();
+  return reconciliation;
+};
+
+/**
+ * Open GL bank lines a statement line could be matched to (for the manual match picker)
+ */
+export const listOpenLines = async (companyId, id) => {
+  const reconciliation = await findReconciliation(companyId, id);
+  return openBankLines(reconciliation);
+};
+
+export default {
+  parseStatementDate,
+  parseStatementAmount,
+  parseCsvStatement,
+  parseMt940Statement,
+  parseStatement,
+  matchStatementLines,
+  refreshReconciliation,
+  createReconciliation,
+  importStatement,
+  autoMatch,
+  manualMatch,
+  unmatch,
+  classifyLine,
+  postAdjustments,
+  prepare,
+  review,
+  approve,
+  returnToDraft,
+  listOpenLines,
+};
@@ -74,6 +74,39 @@ class ConversationService {
     }
   }
 
+  /**
+   * Remember the tasks of a list just sent to the user
+   * @param {string} phoneNumber - User's phone number
+   * @param {string} userId - User ID
+   * @param {array} taskIds - Task IDs in the order they were numbered
+   */
+  async rememberTaskList(phoneNumber, userId, taskIds) {
+    try {
+      await ConversationState.findOneAndUpdate(
+        { phoneNumber },
+        { $set: { user: userId, lastTaskList: taskIds } },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.error('Error saving task list:', error);
+    }
+  }
+
+  /**
+   * Task IDs of the last list sent, or an empty array once the conversation has expired
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Promise<array>}
+   */
+  async getTaskList(phoneNumber) {
+    try {
+      const state = await ConversationState.findOne({ phoneNumber }).select('lastTaskList').lean();
+      return state?.lastTaskList || [];
+    } catch (error) {
+      logger.error('Error getting task list:', error);
+      return [];
+    }
+  }
+
   /**
    * Check what fields are missing for an action
    * @param {string} action - Action type
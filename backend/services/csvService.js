@@ -0,0 +1,32 @@
+/**
+ * CSV Service
+ * CSV exports built from [header, value(row)] column lists
+ */
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV cell: quoted when it holds a quote, comma or newline. Text that a
+ * spreadsheet would read as a formula gets a leading apostrophe; numbers are left as they are.
+ */
+export const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<[string, Function]>} columns - header and value(row) per column
+ * @param {Array} rows
+ */
+export const toCsv = (columns, rows) => [
+  columns.map(([header]) => csvCell(header)).join(','),
+  ...rows.map((row) => columns.map(([, value]) => csvCell(value(row))).join(',')),
+].join('\n');
+
+export default {
+  csvCell,
+  toCsv,
+};
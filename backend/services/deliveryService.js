@@ -0,0 +1,156 @@
+/**
+ * Delivery Service
+ * Pluggable channels for account messages such as password reset links.
+ * Ships with "email" (plain SMTP, pointed at a local stand-in by default) and
+ * "whatsapp" (the Twilio-backed whatsappService); others can be registered at startup.
+ */
+
+import net from 'net';
+import os from 'os';
+import mailConfig from '../config/mail.js';
+import logger from '../config/logger.js';
+
+const deliveryError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const SMTP_TIMEOUT_MS = 15000;
+
+// ============================================
+// SMTP
+// ============================================
+
+/**
+ * RFC 5322 message with CRLF line endings and dot-stuffed body, ready for DATA
+ */
+export const formatMessage = ({ from, to, subject, text, date = new Date() }) => {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${date.toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+  const body = String(text).replace(/\r?\n/g, '\r\n').split('\r\n')
+    .map((line) => (line.startsWith('.') ? `.${line}` : line))
+    .join('\r\n');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n`;
+};
+
+/**
+ * Send one message over a plain SMTP conversation (no TLS or AUTH, which a
+ * local relay or stand-in does not need)
+ */
+export const sendMail = ({ to, subject, text, host = mailConfig.host, port = mailConfig.port, from = mailConfig.from }) =>
+  new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let buffer = '';
+    let waiting = null;
+
+    const fail = (error) => {
+      socket.destroy();
+      reject(Object.assign(error, { status: error.status || 502 }));
+    };
+
+    // Replies may span several "250-" lines; the last one has a space after the code
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\r\n');
+      const last = lines.findIndex((line) => /^\d{3} /.test(line) || /^\d{3}$/.test(line));
+      if (last === -1 || !waiting) return;
+      const reply = lines.slice(0, last + 1).join('\n');
+      buffer = lines.slice(last + 1).join('\r\n');
+      const { expect, resolve: done } = waiting;
+      waiting = null;
+      const code = Number(reply.slice(0, 3));
+      if (!expect.includes(code)) fail(deliveryError(`SMTP server replied: ${reply}`, 502));
+      else done(code);
+    });
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => fail(deliveryError('SMTP server timed out', 504)));
+    socket.on('error', fail);
+
+    const expectReply = (expect) => new Promise((done) => { waiting = { expect, resolve: done }; });
+    const command = (line, expect) => {
+      const reply = expectReply(expect);
+      socket.write(`${line}\r\n`);
+      return reply;
+    };
+
+    (async () => {
+      await expectReply([220]);
+      await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+      await command(`MAIL FROM:<${from}>`, [250]);
+      await command(`RCPT TO:<${to}>`, [250, 251]);
+      await command('DATA', [354]);
+      await command(`${formatMessage({ from, to, subject, text })}.`, [250]);
+      await command('QUIT', [221]);
+      socket.end();
+      resolve({ to });
+    })().catch(fail);
+  });
+
+// ============================================
+// CHANNELS
+// ============================================
+
+const channels = new Map();
+
+/**
+ * @param {string} name
+ * @param {object} channel
+ * @param {(user) => string|undefined} channel.addressOf - where this user receives messages
+ * @param {({ to, subject, text }) => Promise} channel.send
+ */
+export const registerChannel = (name, channel) => {
+  channels.set(name, channel);
+};
+
+export const listChannels = () => [...channels.keys()];
+
+registerChannel('email', {
+  addressOf: (user) => user.email,
+  send: sendMail,
+});
+
+registerChannel('whatsapp', {
+  addressOf: (user) => user.whatsappNumber,
+  // Loaded on first use so Twilio is only required where WhatsApp is actually used
+  send: async ({ to, subject, text }) => {
+    const { default: whatsappService } = await import('./whatsappService.js');
+    return whatsappService.sendMessage(to, `*${subject}*\n\n${text}`);
+  },
+});
+
+/**
+ * Partially hidden address for responses and logs, e.g. "a***@pvara.gov.pk" or "***4567"
+ */
+export const maskAddress = (address = '') => {
+  const [local, domain] = address.split('@');
+  if (domain) return `${local.slice(0, 1)}***@${domain}`;
+  return `***${address.slice(-4)}`;
+};
+
+/**
+ * Send a message to a user through one channel
+ * @returns {Promise<{channel, to}>} masked destination
+ */
+export const deliver = async ({ channel = 'email', user, subject, text }) => {
+  const sender = channels.get(channel);
+  if (!sender) throw deliveryError(`Unknown delivery channel: ${channel}`);
+
+  const address = sender.addressOf(user);
+  if (!address) throw deliveryError(`No ${channel} address on file for this account`);
+
+  await sender.send({ to: address, subject, text });
+  logger.info('Account message delivered', { channel, user: user._id, subject });
+  return { channel, to: maskAddress(address) };
+};
+
+export default {
+  formatMessage,
+  sendMail,
+  registerChannel,
+  listChannels,
+  maskAddress,
+  deliver,
+};
@@ -0,0 +1,104 @@
+/**
+ * Employee Service
+ * Shared employee creation used by the employees API and recruitment hires
+ */
+
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import { assertCanAddEmployees } from './entitlementService.js';
+import { recordHire } from './lifecycleService.js';
+import { hasPermission } from './permissionService.js';
+import logger from '../config/logger.js';
+
+const employeeError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+/**
+ * Built-in role a new employee gets: the requested one only when the caller may assign
+ * roles (employee.role.assign), otherwise 'employee'
+ * @param {string} [requested] - role from the request body
+ * @param {Set<string>|string[]} granted - the caller's permissions
+ */
+export const assignableRole = (requested, granted) =>
+  (requested && hasPermission(granted, 'employee.role.assign') ? requested : 'employee');
+
+/**
+ * Create an employee (User) in a company
+ * @param {string} companyId - Company the employee joins
+ * @param {object} data - Employee fields from POST /api/employees
+ * @param {object} [options]
+ * @param {string} [options.createdBy] - user hiring the employee; records the hire and raises the onboarding checklist
+ * @returns {Promise<User>} saved employee with position and reportsTo populated
+ */
+export const createEmployee = async (companyId, data, { createdBy } = {}) => {
+  const {
+    firstName,
+    lastName,
+    email,
+    password,
+    phone,
+    department,
+    position,
+    reportsTo,
+    role,
+    joiningDate,
+    joinDate,
+    salary,
+    avatar,
+    requirePasswordChange,
+  } = data;
+
+  if (!companyId) {
+    throw employeeError('Company not found in token. Please login again.');
+  }
+
+  // Throws 402 once the plan's employee seats are used up
+  await assertCanAddEmployees(companyId);
+
+  // Check if email already exists
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw employeeError('Email already exists');
+  }
+
+  // Hash password
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  const employee = new User({
+    firstName,
+    lastName,
+    email,
+    password: hashedPassword,
+    phone,
+    department,
+    position: position || null,
+    reportsTo: reportsTo && reportsTo.toString().trim() !== '' ? reportsTo : null,
+    role: role || 'employee',
+    // The employees form sends joiningDate; the schema field is joinDate
+    joinDate: joiningDate || joinDate,
+    salary: Number(salary) || 0,
+    avatar,
+    requirePasswordChange,
+    company: companyId,
+  });
+
+  const savedEmployee = await employee.save();
+
+  if (createdBy) {
+    // The employee exists either way; a checklist failure is logged, not fatal
+    try {
+      await recordHire({ companyId, employee: savedEmployee, userId: createdBy });
+    } catch (error) {
+      logger.error(`Failed to record hire for employee ${savedEmployee._id}:`, error);
+    }
+  }
+
+  return savedEmployee.populate([
+    { path: 'position', select: 'title department' },
+    { path: 'reportsTo', select: 'firstName lastName' },
+  ]);
+};
+
+export default {
+  assignableRole,
+  createEmployee,
+};
@@ -0,0 +1,155 @@
+/**
+ * Entitlement Service
+ * Meters employees, storage and module access against the company's subscription plan
+ */
+
+import mongoose from 'mongoose';
+import Company from '../models/Company.js';
+import User from '../models/User.js';
+import Document from '../models/Document.js';
+import { PLANS, PLAN_ALIASES } from '../config/plans.js';
+
+const GB = 1024 ** 3;
+
+// Thrown as HTTP 402 so clients can tell "upgrade needed" apart from 403 role denials
+const entitlementError = (message, details) =>
+  Object.assign(new Error(message), { status: 402, ...details });
+
+/**
+ * Resolve a company's plan key and definition (unknown plans fall back to trial)
+ * @param {object} company - Company document or { subscription_plan }
+ */
+export const planFor = (company) => {
+  const stored = company?.subscription_plan || 'free';
+  const key = PLAN_ALIASES[stored] || stored;
+  return PLANS[key] ? { key, ...PLANS[key] } : { key: 'trial', ...PLANS.trial };
+};
+
+/**
+ * Check a metered resource; -1 means unlimited
+ * @returns {{ allowed: boolean, limit: number, used: number, requested: number, remaining: number|null }}
+ */
+export const checkLimit = ({ limit, used, requested = 0 }) => {
+  if (limit === -1) {
+    return { allowed: true, limit, used, requested, remaining: null };
+  }
+  return {
+    allowed: used + requested <= limit,
+    limit,
+    used,
+    requested,
+    remaining: Math.max(limit - used, 0),
+  };
+};
+
+/**
+ * Response body for an entitlement error
+ */
+export const entitlementErrorBody = (error) => ({
+  success: false,
+  code: error.code,
+  message: error.message,
+  resource: error.resource,
+  plan: error.plan,
+  limit: error.limit,
+  used: error.used,
+  requested: error.requested,
+});
+
+const loadPlan = async (companyId) => {
+  const company = await Company.findById(companyId).select('subscription_plan').lean();
+  return planFor(company);
+};
+
+// Inactive employees don't hold a seat
+export const countEmployees = (companyId) =>
+  User.countDocuments({ company: companyId, status: { $ne: 'inactive' } });
+
+export const storageUsedBytes = async (companyId) => {
+  const [result] = await Document.aggregate([
+    { $match: { company: new mongoose.Types.ObjectId(companyId), status: { $ne: 'deleted' } } },
+    { $group: { _id: null, bytes: { $sum: '$size' } } },
+  ]);
+  return result?.bytes || 0;
+};
+
+/**
+ * Current plan, limits and consumption for GET /api/company/usage
+ */
+export const getUsage = async (companyId) => {
+  const [plan, employees, storageBytes] = await Promise.all([
+    loadPlan(companyId),
+    countEmployees(companyId),
+    storageUsedBytes(companyId),
+  ]);
+
+  const storageLimitBytes = plan.limits.storageGB === -1 ? -1 : plan.limits.storageGB * GB;
+  return {
+    plan: plan.key,
+    planName: plan.name,
+    modules: plan.modules,
+    employees: checkLimit({ limit: plan.limits.employees, used: employees }),
+    storage: {
+      ...checkLimit({ limit: storageLimitBytes, used: storageBytes }),
+      limitGB: plan.limits.storageGB,
+      usedGB: Number((storageBytes / GB).toFixed(3)),
+    },
+  };
+};
+
+/**
+ * Throw 402 when adding `count` active employees would exceed the plan
+ */
+export const assertCanAddEmployees = async (companyId, count = 1) => {
+  const [plan, used] = await Promise.all([loadPlan(companyId), countEmployees(companyId)]);
+  const check = checkLimit({ limit: plan.limits.employees, used, requested: count });
+  if (!check.allowed) {
+    throw entitlementError(
+      `Your ${plan.name} plan allows ${check.limit} employees (${used} in use). Upgrade to add more.`,
+      { code: 'PLAN_LIMIT_REACHED', resource: 'employees', plan: plan.key, limit: check.limit, used, requested: count }
+    );
+  }
+  return check;
+};
+
+/**
+ * Throw 402 when storing `bytes` more would exceed the plan's storage quota
+ */
+export const assertStorageAvailable = async (companyId, bytes) => {
+  const [plan, used] = await Promise.all([loadPlan(companyId), storageUsedBytes(companyId)]);
+  const limit = plan.limits.storageGB === -1 ? -1 : plan.limits.storageGB * GB;
+  const check = checkLimit({ limit, used, requested: bytes });
+  if (!check.allowed) {
+    throw entitlementError(
+      `Your ${plan.name} plan includes ${plan.limits.storageGB} GB of storage. Free up space or upgrade to upload these files.`,
+      { code: 'PLAN_LIMIT_REACHED', resource: 'storage', plan: plan.key, limit, used, requested: bytes }
+    );
+  }
+  return check;
+};
+
+/**
+ * Throw 402 when the company's plan does not include a module
+ */
+export const assertModuleAccess = async (companyId, module) => {
+  const plan = await loadPlan(companyId);
+  if (!plan.modules.includes(module)) {
+    throw entitlementError(
+      `The ${module} module is not included in your ${plan.name} plan.`,
+      { code: 'MODULE_NOT_IN_PLAN', resource: module, plan: plan.key }
+    );
+  }
+  return plan;
+};
+
+export default {
+  planFor,
+  checkLimit,
+  entitlementErrorBody,
+  countEmployees,
+  storageUsedBytes,
+  getUsage,
+  assertCanAddEmployees,
+  assertStorageAvailable,
+  assertModuleAccess,
+};
@@ -0,0 +1,109 @@
+/**
+ * Event Bus
+ * In-process domain events (employee.created, journal.posted, ...) and the Mongoose
+ * plugin that publishes them when audited documents change state
+ */
+
+import crypto from 'crypto';
+import { getAuditContext } from './auditService.js';
+import { ALL_EVENTS } from '../config/events.js';
+import logger from '../config/logger.js';
+
+const subscribers = new Map();
+
+/**
+ * Call `handler(event)` for every event of `type` ('*' for all)
+ * @returns {Function} unsubscribe
+ */
+export const subscribe = (type, handler) => {
+  if (!subscribers.has(type)) subscribers.set(type, new Set());
+  subscribers.get(type).add(handler);
+  return () => subscribers.get(type)?.delete(handler);
+};
+
+/**
+ * Publish an event to its subscribers. Never throws: a failing subscriber is logged
+ * and can't undo the change that raised the event.
+ * @param {string} type - e.g. 'leave.approved'
+ * @param {object} params - { company, data }
+ * @returns {Promise<object>} the event, once every subscriber has finished
+ */
+export const publishEvent = async (type, { company, data }) => {
+  const user = getAuditContext()?.req?.user;
+  const event = {
+    id: `evt_${crypto.randomUUID().replace(/-/g, '')}`,
+    type,
+    occurredAt: new Date().toISOString(),
+    company: String(company),
+    actor: user?._id ? String(user._id) : null,
+    // Plain JSON, as subscribers and webhook receivers will see it
+    data: JSON.parse(JSON.stringify(data ?? {})),
+  };
+
+  const handlers = [...(subscribers.get(type) || []), ...(subscribers.get(ALL_EVENTS) || [])];
+  const results = await Promise.allSettled(handlers.map(async (handler) => handler(event)));
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => logger.error(`Subscriber for ${type} failed:`, result.reason));
+  return event;
+};
+
+/**
+ * Reference fields in event payloads: ids as strings, never populated documents
+ */
+export const eventRef = (value) => (value == null ? null : String(value._id || value));
+
+// Query hooks can't use $locals, so the pending transition is kept per query object
+const pendingTransitions = new WeakMap();
+
+/**
+ * Publish events when documents are created or move into a status.
+ * Covers document save and findOneAndUpdate; bulk updates bypass it.
+ *
+ * @param {mongoose.Schema} schema
+ * @param {object} options
+ * @param {string} [options.created] - event for a new document
+ * @param {object} [options.transitions] - status => event, e.g. { posted: 'journal.posted' }
+ * @param {Function} options.payload - fn(doc) => event data; gets documents and lean objects alike
+ */
+export const domainEventPlugin = (schema, { created, transitions = {}, payload }) => {
+  const publish = (type, doc) => {
+    if (!type || !doc.company) return;
+    publishEvent(type, { company: eventRef(doc.company), data: payload(doc) });
+  };
+
+  schema.pre('save', function () {
+    this.$locals.domainEvent = (this.isNew && created)
+      || ((this.isNew || this.isModified('status')) && transitions[this.status])
+      || null;
+  });
+
+  schema.post('save', function (doc) {
+    const type = doc.$locals.domainEvent;
+    doc.$locals.domainEvent = null;
+    publish(type, doc);
+  });
+
+  schema.pre('findOneAndUpdate', async function () {
+    const update = this.getUpdate() || {};
+    const status = update.$set?.status ?? update.status;
+    if (!transitions[status]) return;
+    const before = await this.model.findOne(this.getFilter()).select('status').lean();
+    if (before && before.status !== status) pendingTransitions.set(this, { id: before._id, status });
+  });
+
+  schema.post('findOneAndUpdate', async function () {
+    const pending = pendingTransitions.get(this);
+    if (!pending) return;
+    pendingTransitions.delete(this);
+    const doc = await this.model.findById(pending.id).lean();
+    if (doc?.status === pending.status) publish(transitions[pending.status], doc);
+  });
+};
+
+export default {
+  subscribe,
+  publishEvent,
+  eventRef,
+  domainEventPlugin,
+};
@@ -0,0 +1,595 @@
+/**
+ * Leave Service
+ * Working-day counting, balance ledger, accrual and approval workflow for leaves
+ */
+
+import Leave from '../models/Leave.js';
+import LeaveBalance from '../models/LeaveBalance.js';
+import LeavePolicy from '../models/LeavePolicy.js';
+import Holiday from '../models/Holiday.js';
+import ApprovalFlow from '../models/ApprovalFlow.js';
+import User from '../models/User.js';
+import logger from '../config/logger.js';
+
+export const LEAVE_TYPES = ['sick', 'casual', 'annual', 'maternity', 'paternity', 'unpaid'];
+
+const RULE_DEFAULTS = {
+  annualEntitlement: 0,
+  accrual: 'upfront',
+  carryForwardCap: 0,
+  encashmentCap: 0,
+  countCalendarDays: false,
+  maxDaysPerRequest: 0,
+  isPaid: true,
+};
+
+// Used until a company saves its own policy
+export const DEFAULT_LEAVE_RULES = [
+  { leaveType: 'annual', annualEntitlement: 20, accrual: 'monthly', carryForwardCap: 10, encashmentCap: 10 },
+  { leaveType: 'casual', annualEntitlement: 10, accrual: 'upfront', maxDaysPerRequest: 3 },
+  { leaveType: 'sick', annualEntitlement: 10, accrual: 'upfront' },
+  { leaveType: 'maternity', annualEntitlement: 90, accrual: 'upfront', countCalendarDays: true },
+  { leaveType: 'paternity', annualEntitlement: 7, accrual: 'upfront' },
+  { leaveType: 'unpaid', annualEntitlement: 0, accrual: 'none', isPaid: false },
+];
+
+const leaveError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export const toDayStart = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const toDayEnd = (date) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+const dayKey = (date) => {
+  const day = new Date(date);
+  return `${day.getFullYear()}-${day.getMonth()}-${day.getDate()}`;
+};
+
+/**
+ * Count chargeable leave days between two dates (inclusive)
+ * @param {Date|string} startDate
+ * @param {Date|string} endDate
+ * @param {object} options - { weekendDays, holidays, countCalendarDays, halfDay }
+ * @returns {number}
+ */
+export const countLeaveDays = (startDate, endDate, options = {}) => {
+  const {
+    weekendDays = [0, 6],
+    holidays = [],
+    countCalendarDays = false,
+    halfDay = false,
+  } = options;
+
+  const start = toDayStart(startDate);
+  const end = toDayStart(endDate);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) return 0;
+
+  const holidayKeys = new Set(holidays.map(dayKey));
+  let days = 0;
+
+  for (const cursor = new Date(start); cursor <= end; cursor.setDate(cursor.getDate() + 1)) {
+    if (!countCalendarDays) {
+      if (weekendDays.includes(cursor.getDay())) continue;
+      if (holidayKeys.has(dayKey(cursor))) continue;
+    }
+    days += 1;
+  }
+
+  // Half days only apply to single-day requests
+  if (halfDay && days === 1) return 0.5;
+  return days;
+};
+
+/**
+ * Days credited for a leave year up to (and including) the month of `asOf`
+ * @param {object} rule - Leave type rule
+ * @param {number} year - Leave year
+ * @param {Date} asOf - Accrual cut-off date
+ * @param {Date} [joinDate] - Employee joining date, for pro-rating
+ */
+export const accruedToDate = (rule, year, asOf, joinDate) => {
+  if (!rule || rule.accrual === 'none') return 0;
+
+  const asOfDate = new Date(asOf);
+  let lastMonth;
+  if (asOfDate.getFullYear() > year) lastMonth = 11;
+  else if (asOfDate.getFullYear() < year) return 0;
+  else lastMonth = asOfDate.getMonth();
+
+  let firstMonth = 0;
+  if (joinDate) {
+    const joined = new Date(joinDate);
+    if (joined.getFullYear() > year) return 0;
+    if (joined.getFullYear() === year) firstMonth = joined.getMonth();
+  }
+
+  const monthlyRate = rule.annualEntitlement / 12;
+
+  if (rule.accrual === 'upfront') {
+    // Joiners get the months remaining in the year
+    return firstMonth === 0 ? rule.annualEntitlement : round2(monthlyRate * (12 - firstMonth));
+  }
+
+  const months = Math.max(lastMonth - firstMonth + 1, 0);
+  return round2(monthlyRate * months);
+};
+
+/**
+ * Get the effective leave policy for a company (saved rules merged over defaults)
+ */
+export const getPolicy = async (companyId) => {
+  const policy = await LeavePolicy.findOne({ company: companyId }).lean();
+
+  const rules = DEFAULT_LEAVE_RULES.map((defaults) => {
+    const saved = policy?.rules?.find((rule) => rule.leaveType === defaults.leaveType);
+    return { ...RULE_DEFAULTS, ...defaults, ...(saved || {}) };
+  });
+
+  return {
+    weekendDays: policy?.weekendDays?.length ? policy.weekendDays : [0, 6],
+    rules,
+    updatedAt: policy?.updatedAt,
+  };
+};
+
+export const getRule = (policy, leaveType) => policy.rules.find((rule) => rule.leaveType === leaveType);
+
+/**
+ * Save a company's leave policy
+ */
+export const savePolicy = async (companyId, { weekendDays, rules }, userId) => {
+  const update = { updatedBy: userId };
+
+  if (weekendDays !== undefined) {
+    if (!Array.isArray(weekendDays) || weekendDays.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw leaveError('weekendDays must be an array of weekday numbers (0-6)');
+    }
+    update.weekendDays = weekendDays;
+  }
+
+  if (rules !== undefined) {
+    if (!Array.isArray(rules)) throw leaveError('rules must be an array');
+    const unknown = rules.find((rule) => !LEAVE_TYPES.includes(rule.leaveType));
+    if (unknown) throw leaveError(`Unknown leave type: ${unknown.leaveType}`);
+    update.rules = rules;
+  }
+
+  await LeavePolicy.findOneAndUpdate(
+    { company: companyId },
+    { $set: update },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  return getPolicy(companyId);
+};
+
+/**
+ * Non-optional holiday dates between two dates
+ */
+export const getHolidayDates = async (companyId, from, to) => {
+  const holidays = await Holiday.find({
+    company: companyId,
+    isOptional: false,
+    date: { $gte: toDayStart(from), $lte: toDayEnd(to) },
+  })
+    .select('date')
+    .lean();
+
+  return holidays.map((holiday) => holiday.date);
+};
+
+/**
+ * Load (or open) an employee's balance row and bring accrual up to date
+ * @returns {Promise<LeaveBalance>} unsaved changes are persisted before returning
+ */
+export const getBalance = async ({ companyId, employee, leaveType, year, policy, asOf = new Date() }) => {
+  const effectivePolicy = policy || await getPolicy(companyId);
+  const rule = getRule(effectivePolicy, leaveType);
+
+  let balance = await LeaveBalance.findOne({
+    company: companyId,
+    employee: employee._id,
+    year,
+    leaveType,
+  });
+
+  if (!balance) {
+    balance = new LeaveBalance({
+      company: companyId,
+      employee: employee._id,
+      year,
+      leaveType,
+    });
+  }
+
+  balance.entitlement = rule.annualEntitlement;
+  balance.accrued = accruedToDate(rule, year, asOf, employee.joinDate);
+  balance.lastAccrualPeriod = new Date(asOf).toISOString().slice(0, 7);
+
+  if (balance.isNew || balance.isModified()) {
+    await balance.save();
+  }
+
+  return balance;
+};
+
+/**
+ * Balances for every leave type, shaped for the Leave Management page
+ */
+export const getBalanceSummary = async (companyId, employeeId, year = new Date().getFullYear()) => {
+  const employee = await User.findOne({ _id: employeeId, company: companyId }).select('joinDate').lean();
+  if (!employee) throw leaveError('Employee not found', 404);
+
+  const policy = await getPolicy(companyId);
+  const summary = {};
+
+  for (const rule of policy.rules) {
+    if (rule.accrual === 'none') {
+      const leaves = await Leave.find({
+        company: companyId,
+        employee: employee._id,
+        leaveType: rule.leaveType,
+        status: 'approved',
+        startDate: { $gte: new Date(year, 0, 1), $lt: new Date(year + 1, 0, 1) },
+      }).select('days').lean();
+      const used = round2(leaves.reduce((sum, leave) => sum + leave.days, 0));
+      summary[rule.leaveType] = { used, balance: null, total: null, tracked: false };
+      continue;
+    }
+
+    const balance = await getBalance({ companyId, employee, leaveType: rule.leaveType, year, policy });
+    summary[rule.leaveType] = {
+      total: round2(rule.annualEntitlement + balance.carriedForward),
+      accrued: balance.accrued,
+      carriedForward: balance.carriedForward,
+      used: balance.used,
+      pending: balance.pending,
+      encashed: balance.encashed,
+      balance: balance.available,
+      tracked: true,
+    };
+  }
+
+  return summary;
+};
+
+/**
+ * Pick approvers for a leave request: reporting manager, else HR, else company admin
+ */
+const resolveApprovers = async (employee) => {
+  if (employee.reportsTo && employee.reportsTo.toString() !== employee._id.toString()) {
+    return [employee.reportsTo];
+  }
+
+  for (const role of ['hr', 'admin']) {
+    const approver = await User.findOne({
+      company: employee.company,
+      role,
+      status: 'active',
+      _id: { $ne: employee._id },
+    }).select('_id');
+    if (approver) return [approver._id];
+  }
+
+  throw leaveError('No approver available for this employee. Set a reporting manager first.');
+};
+
+const adjustBalance = async (leave, changes) => {
+  const balance = await LeaveBalance.findOne({
+    company: leave.company,
+    employee: leave.employee,
+    year: new Date(leave.startDate).getFullYear(),
+    leaveType: leave.leaveType,
+  });
+  if (!balance) return null;
+
+  for (const [field, delta] of Object.entries(changes)) {
+    balance[field] = round2(Math.max((balance[field] || 0) + delta, 0));
+  }
+  await balance.save();
+  return balance;
+};
+
+/**
+ * Apply for leave: validates dates, overlap and balance, then opens an ApprovalFlow
+ */
+export const applyLeave = async ({ companyId, employeeId, leaveType, startDate, endDate, halfDay = false, reason }) => {
+  const type = typeof leaveType === 'string' ? leaveType.toLowerCase() : leaveType;
+  if (!LEAVE_TYPES.includes(type)) {
+    throw leaveError(`Invalid leave type. Valid types are: ${LEAVE_TYPES.join(', ')}`);
+  }
+  if (!startDate || !endDate) throw leaveError('startDate and endDate are required');
+
+  const start = toDayStart(startDate);
+  const end = toDayStart(endDate);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) throw leaveError('Invalid dates');
+  if (end < start) throw leaveError('endDate cannot be before startDate');
+  if (start.getFullYear() !== end.getFullYear()) {
+    throw leaveError('Leave cannot span two leave years. Please submit separate requests.');
+  }
+  if (halfDay && start.getTime() !== end.getTime()) {
+    throw leaveError('Half-day leave must start and end on the same date');
+  }
+
+  const employee = await User.findOne({ _id: employeeId, company: companyId });
+  if (!employee) throw leaveError('Employee not found', 404);
+
+  const overlapping = await Leave.findOne({
+    company: companyId,
+    employee: employee._id,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $lte: toDayEnd(end) },
+    endDate: { $gte: start },
+  }).select('startDate endDate status');
+
+  if (overlapping) {
+    throw leaveError(
+      `Overlaps an existing ${overlapping.status} leave ` +
+      `(${overlapping.startDate.toDateString()} - ${overlapping.endDate.toDateString()})`,
+      409
+    );
+  }
+
+  const policy = await getPolicy(companyId);
+  const rule = getRule(policy, type);
+  const holidays = await getHolidayDates(companyId, start, end);
+
+  const days = countLeaveDays(start, end, {
+    weekendDays: policy.weekendDays,
+    holidays,
+    countCalendarDays: rule.countCalendarDays,
+    halfDay,
+  });
+
+  if (days === 0) throw leaveError('Selected dates fall entirely on weekends or holidays');
+  if (rule.maxDaysPerRequest > 0 && days > rule.maxDaysPerRequest) {
+    throw leaveError(`${type} leave is limited to ${rule.maxDaysPerRequest} days per request`);
+  }
+
+  let balance = null;
+  if (rule.accrual !== 'none') {
+    balance = await getBalance({ companyId, employee, leaveType: type, year: start.getFullYear(), policy });
+    if (balance.available < days) {
+      throw leaveError(`Insufficient ${type} leave balance. Available: ${balance.available}, requested: ${days}`);
+    }
+  }
+
+  const approvers = await resolveApprovers(employee);
+
+  const leave = await Leave.create({
+    employee: employee._id,
+    leaveType: type,
+    startDate: start,
+    endDate: end,
+    days,
+    halfDay,
+    reason,
+    status: 'pending',
+    company: companyId,
+  });
+
+  const flow = await ApprovalFlow.create({
+    requestType: 'leave',
+    requestId: leave._id,
+    requester: employee._id,
+    approvers: approvers.map((approver, index) => ({
+      approver,
+      level: index + 1,
+      status: 'pending',
+    })),
+    company: companyId,
+  });
+
+  leave.approvalFlow = flow._id;
+  await leave.save();
+
+  if (balance) {
+    balance.pending = round2(balance.pending + days);
+    await balance.save();
+  }
+
+  logger.info('Leave applied', { leaveId: leave._id, employee: employee._id, leaveType: type, days });
+
+  return leave;
+};
+
+/**
+ * Sync a leave with the final outcome of its ApprovalFlow
+ * Called from the approvals route whenever a leave flow changes status
+ */
+export const applyApprovalOutcome = async (flow, actorId) => {
+  if (flow.requestType !== 'leave' || flow.status === 'pending') return null;
+
+  const leave = await Leave.findOne({ _id: flow.requestId, company: flow.company });
+  if (!leave || leave.status !== 'pending') return leave;
+
+  if (flow.status === 'approved') {
+    leave.status = 'approved';
+    leave.approvedBy = actorId;
+    leave.approvedAt = new Date();
+    await adjustBalance(leave, { pending: -leave.days, used: leave.days });
+  } else if (flow.status === 'rejected') {
+    leave.status = 'rejected';
+    await adjustBalance(leave, { pending: -leave.days });
+  } else {
+    return leave;
+  }
+
+  await leave.save();
+  logger.info(`Leave ${leave.status}`, { leaveId: leave._id, approvalFlow: flow._id });
+  return leave;
+};
+
+/**
+ * Withdraw a pending request (by the employee who raised it)
+ */
+export const withdrawLeave = async ({ companyId, leaveId, userId }) => {
+  const leave = await Leave.findOne({ _id: leaveId, company: companyId });
+  if (!leave) throw leaveError('Leave not found', 404);
+  if (leave.employee.toString() !== userId.toString()) {
+    throw leaveError('Only the employee who applied can withdraw this request', 403);
+  }
+  if (leave.status !== 'pending') throw leaveError(`Cannot withdraw a ${leave.status} leave`);
+
+  leave.status = 'withdrawn';
+  leave.cancelledBy = userId;
+  leave.cancelledAt = new Date();
+  await leave.save();
+
+  await adjustBalance(leave, { pending: -leave.days });
+  if (leave.approvalFlow) {
+    await ApprovalFlow.updateOne({ _id: leave.approvalFlow }, { $set: { status: 'cancelled' } });
+  }
+
+  return leave;
+};
+
+/**
+ * Cancel an approved leave. Employees may cancel before the leave starts;
+ * HR and admins may cancel at any time.
+ */
+export const cancelLeave = async ({ companyId, leaveId, user, reason }) => {
+  const leave = await Leave.findOne({ _id: leaveId, company: companyId });
+  if (!leave) throw leaveError('Leave not found', 404);
+
+  const isOwner = leave.employee.toString() === user._id.toString();
+  const isHR = ['hr', 'admin'].includes(user.role);
+  if (!isOwner && !isHR) throw leaveError('Access denied', 403);
+
+  if (leave.status !== 'approved') throw leaveError(`Cannot cancel a ${leave.status} leave`);
+  if (!isHR && toDayStart(new Date()) >= toDayStart(leave.startDate)) {
+    throw leaveError('Leave has already started. Contact HR to cancel it.');
+  }
+
+  leave.status = 'cancelled';
+  leave.cancelledBy = user._id;
+  leave.cancelledAt = new Date();
+  leave.cancellationReason = reason;
+  await leave.save();
+
+  await adjustBalance(leave, { used: -leave.days });
+
+  return leave;
+};
+
+/**
+ * Encash unused leave, limited by the policy's encashment cap
+ * @returns {Promise<object>} { balance, days, dailyRate, amount }
+ */
+export const encashLeave = async ({ companyId, employeeId, leaveType, days, year = new Date().getFullYear() }) => {
+  const employee = await User.findOne({ _id: employeeId, company: companyId }).select('joinDate salary company');
+  if (!employee) throw leaveError('Employee not found', 404);
+
+  const requested = Number(days);
+  if (!(requested > 0)) throw leaveError('days must be a positive number');
+
+  const policy = await getPolicy(companyId);
+  const rule = getRule(policy, leaveType);
+  if (!rule || rule.accrual === 'none' || rule.encashmentCap <= 0) {
+    throw leaveError(`${leaveType} leave cannot be encashed`);
+  }
+
+  const balance = await getBalance({ companyId, employee, leaveType, year, policy });
+  const capRemaining = round2(rule.encashmentCap - balance.encashed);
+
+  if (requested > capRemaining) {
+    throw leaveError(`Encashment cap exceeded. Remaining encashable days: ${Math.max(capRemaining, 0)}`);
+  }
+  if (requested > balance.available) {
+    throw leaveError(`Insufficient balance. Available: ${balance.available}`);
+  }
+
+  balance.encashed = round2(balance.encashed + requested);
+  await balance.save();
+
+  // Monthly salary over 30 days, matching the government leave encashment basis
+  const dailyRate = round2((employee.salary || 0) / 30);
+
+  return { balance, days: requested, dailyRate, amount: round2(dailyRate * requested) };
+};
+
+/**
+ * Bring every active employee's balances up to date for a period
+ * Safe to run repeatedly; accrual is recomputed rather than incremented.
+ */
+export const runAccrual = async (companyId, asOf = new Date()) => {
+  const policy = await getPolicy(companyId);
+  const year = new Date(asOf).getFullYear();
+  const employees = await User.find({ company: companyId, status: { $in: ['active', 'on_leave'] } })
+    .select('_id joinDate')
+    .lean();
+
+  let updated = 0;
+  for (const employee of employees) {
+    for (const rule of policy.rules) {
+      if (rule.accrual === 'none') continue;
+      await getBalance({ companyId, employee, leaveType: rule.leaveType, year, policy, asOf });
+      updated += 1;
+    }
+  }
+
+  logger.info('Leave accrual run', { company: companyId, period: new Date(asOf).toISOString().slice(0, 7), updated });
+  return { employees: employees.length, balancesUpdated: updated };
+};
+
+/**
+ * Close a leave year: carry forward unused balance (capped) into the next year
+ */
+export const closeLeaveYear = async (companyId, year) => {
+  const policy = await getPolicy(companyId);
+  const yearEnd = new Date(year, 11, 31);
+  const balances = await LeaveBalance.find({ company: companyId, year }).populate('employee', 'joinDate');
+
+  let carried = 0;
+  for (const balance of balances) {
+    const rule = getRule(policy, balance.leaveType);
+    if (!rule || rule.accrual === 'none' || !balance.employee) continue;
+
+    balance.accrued = accruedToDate(rule, year, yearEnd, balance.employee.joinDate);
+    balance.lastAccrualPeriod = `${year}-12`;
+    await balance.save();
+
+    const carryForward = round2(Math.min(Math.max(balance.available, 0), rule.carryForwardCap));
+
+    await LeaveBalance.findOneAndUpdate(
+      { company: companyId, employee: balance.employee._id, year: year + 1, leaveType: balance.leaveType },
+      {
+        $set: { carriedForward: carryForward, entitlement: rule.annualEntitlement },
+        $setOnInsert: { accrued: 0, used: 0, pending: 0, encashed: 0 },
+      },
+      { upsert: true }
+    );
+    if (carryForward > 0) carried += 1;
+  }
+
+  return { year, balancesClosed: balances.length, balancesCarried: carried };
+};
+
+export default {
+  LEAVE_TYPES,
+  DEFAULT_LEAVE_RULES,
+  countLeaveDays,
+  accruedToDate,
+  getPolicy,
+  getRule,
+  savePolicy,
+  getHolidayDates,
+  getBalance,
+  getBalanceSummary,
+  applyLeave,
+  applyApprovalOutcome,
+  withdrawLeave,
+  cancelLeave,
+  encashLeave,
+  runAccrual,
+  closeLeaveYear,
+};
@@ -0,0 +1,136 @@
+/**
+ * Ledger Service
+ * Shared helpers for modules that post their own journal entries to the GL
+ */
+
+import JournalEntry from '../models/JournalEntry.js';
+import ChartOfAccount from '../models/ChartOfAccount.js';
+import YearEndClosing from '../models/YearEndClosing.js';
+
+const ledgerError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Pakistan fiscal year (July-June) for a date, e.g. "2025-2026"
+ */
+export const fiscalYearFor = (date) => {
+  const day = new Date(date);
+  const month = day.getMonth();
+  const year = day.getFullYear();
+  return month >= 6 ? `${year}-${year + 1}` : `${year - 1}-${year}`;
+};
+
+/**
+ * Next JV number for the entry's month (JV-YYYYMM-00001)
+ */
+export const generateEntryNumber = async (companyId, entryDate) => {
+  const period = new Date(entryDate).toISOString().slice(0, 7).replace('-', '');
+  const count = await JournalEntry.countDocuments({
+    company: companyId,
+    entryNumber: { $regex: `^JV-${period}` },
+  });
+  return `JV-${period}-${String(count + 1).padStart(5, '0')}`;
+};
+
+/**
+ * Reject postings into a fiscal year locked by year-end closing
+ */
+export const assertPeriodOpen = async (companyId, entryDate) => {
+  const fiscalYear = fiscalYearFor(entryDate);
+  const closing = await YearEndClosing.findOne({
+    company: companyId,
+    fiscalYear,
+    status: 'completed',
+    periodLocked: true,
+  }).lean();
+
+  if (closing) {
+    throw ledgerError(`Cannot post to fiscal year ${fiscalYear} - period is locked after year-end closing`);
+  }
+};
+
+/**
+ * Create and post a balanced journal entry, updating account balances
+ * @param {object} params - { companyId, entryDate, entryType, description, lines, sourceDocument, userId }
+ *   lines: [{ account, debit, credit, description, costCenter, subledgerType, subledgerRef, subledgerModel, taxType }]
+ * @returns {Promise<JournalEntry>}
+ */
+export const postJournalEntry = async ({ companyId, entryDate, entryType = 'general', description, lines, sourceDocument, userId }) => {
+  await assertPeriodOpen(companyId, entryDate);
+
+  const accountIds = [...new Set(lines.map((line) => line.account.toString()))];
+  const accounts = await ChartOfAccount.find({ _id: { $in: accountIds }, company: companyId }).lean();
+  const accountById = new Map(accounts.map((account) => [account._id.toString(), account]));
+
+  const missing = accountIds.filter((id) => !accountById.has(id));
+  if (missing.length) {
+    throw ledgerError(`GL accounts not found: ${missing.join(', ')}`);
+  }
+
+  const entry = new JournalEntry({
+    company: companyId,
+    entryNumber: await generateEntryNumber(companyId, entryDate),
+    entryDate,
+    entryType,
+    fiscalYear: fiscalYearFor(entryDate),
+    period: new Date(entryDate).toISOString().slice(0, 7),
+    description,
+    lines: lines
+      .filter((line) => (line.debit || 0) > 0 || (line.credit || 0) > 0)
+      .map((line) => {
+        const account = accountById.get(line.account.toString());
+        return {
+          ...line,
+          accountCode: account.code,
+          accountName: account.name,
+          debit: round2(line.debit || 0),
+          credit: round2(line.credit || 0),
+        };
+      }),
+    sourceDocument,
+    status: 'approved',
+    createdBy: userId,
+    approvedBy: userId,
+    approvedAt: new Date(),
+  });
+
+  // Save first so an unbalanced entry is rejected before any account balance moves
+  await entry.save();
+  await entry.post(userId);
+  return entry;
+};
+
+/**
+ * Post the mirror image of a posted entry. The original stays posted so the two net to nil.
+ */
+export const reverseJournalEntry = async ({ companyId, entryId, entryDate = new Date(), reason, userId }) => {
+  const original = await JournalEntry.findOne({ _id: entryId, company: companyId }).lean();
+  if (!original) throw ledgerError('Journal entry not found', 404);
+  if (original.status !== 'posted') {
+    throw ledgerError(`Only posted entries can be reversed (${original.entryNumber} is ${original.status})`);
+  }
+
+  return postJournalEntry({
+    companyId,
+    entryDate,
+    entryType: 'reversal',
+    description: `Reversal of ${original.entryNumber}${reason ? `: ${reason}` : ''}`,
+    lines: original.lines.map(({ _id: _lineId, accountCode: _code, accountName: _name, debit, credit, ...line }) => ({
+      ...line,
+      description: `Reversal: ${line.description || original.description}`,
+      debit: credit,
+      credit: debit,
+    })),
+    sourceDocument: original.sourceDocument,
+    userId,
+  });
+};
+
+export default {
+  fiscalYearFor,
+  generateEntryNumber,
+  assertPeriodOpen,
+  postJournalEntry,
+  reverseJournalEntry,
+};
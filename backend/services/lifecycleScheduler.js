@@ -0,0 +1,54 @@
+/**
+ * Lifecycle Scheduler Service
+ * Applies approved promotions, transfers, salary changes and offboardings on their effective date
+ */
+
+import lifecycleService from './lifecycleService.js';
+import logger from '../config/logger.js';
+
+class LifecycleScheduler {
+  constructor() {
+    this.intervalId = null;
+    this.checkIntervalMs = 60 * 60 * 1000; // Check every hour
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the lifecycle scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('Lifecycle scheduler is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    // Catch up on anything that fell due while the server was down
+    this.applyDueEvents();
+    this.intervalId = setInterval(() => this.applyDueEvents(), this.checkIntervalMs);
+    logger.info('Lifecycle scheduler started');
+  }
+
+  /**
+   * Stop the lifecycle scheduler
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+    logger.info('Lifecycle scheduler stopped');
+  }
+
+  async applyDueEvents() {
+    try {
+      const applied = await lifecycleService.applyDueEvents();
+      if (applied > 0) logger.info(`Applied ${applied} lifecycle events`);
+    } catch (error) {
+      logger.error('Lifecycle event run failed:', error);
+    }
+  }
+}
+
+export default new LifecycleScheduler();
@@ -0,0 +1,468 @@
+/**
+ * Employee Lifecycle Service
+ * Hires, promotions, transfers, salary changes and offboarding with effective dates,
+ * approval through ApprovalFlow, an append-only employment history and
+ * onboarding/offboarding checklists that become Tasks
+ */
+
+import mongoose from 'mongoose';
+import ApprovalFlow from '../models/ApprovalFlow.js';
+import ChecklistTemplate from '../models/ChecklistTemplate.js';
+import EmploymentHistory from '../models/EmploymentHistory.js';
+import LifecycleEvent from '../models/LifecycleEvent.js';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import logger from '../config/logger.js';
+
+const lifecycleError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TRACKED_FIELDS = ['designation', 'department', 'position', 'salary', 'reportsTo'];
+
+// Event types raised through the API; hires are recorded when the employee is created
+export const EVENT_TYPES = ['promotion', 'transfer', 'salary_change', 'offboarding'];
+
+// Events still waiting to take effect
+const OPEN_STATUSES = ['pending_approval', 'approved'];
+
+// Used until a company saves its own checklist
+export const DEFAULT_CHECKLISTS = {
+  onboarding: [
+    { title: 'Collect signed contract and joining documents', owner: 'HR', dueOffsetDays: -3, priority: 'high' },
+    { title: 'Create email account and system access', owner: 'IT', dueOffsetDays: -1, priority: 'high' },
+    { title: 'Issue laptop and equipment', owner: 'IT', dueOffsetDays: 0, priority: 'medium' },
+    { title: 'Set up payroll profile and bank details', owner: 'Finance', dueOffsetDays: 5, priority: 'high' },
+    { title: 'Orientation and first-week plan', owner: 'Manager', dueOffsetDays: 1, priority: 'medium' },
+  ],
+  offboarding: [
+    { title: 'Handover of responsibilities', owner: 'Manager', dueOffsetDays: -5, priority: 'high' },
+    { title: 'Conduct exit interview', owner: 'HR', dueOffsetDays: -2, priority: 'medium' },
+    { title: 'Revoke system access and recover equipment', owner: 'IT', dueOffsetDays: 0, priority: 'critical' },
+    { title: 'Process final settlement', owner: 'Finance', dueOffsetDays: 7, priority: 'high' },
+  ],
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+const normalize = (value) => {
+  if (value === undefined || value === '') return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value?._id ? value._id.toString() : value;
+};
+
+/**
+ * Tracked fields as they stand on a User
+ */
+export const snapshotEmployment = (user) => ({
+  designation: user.designation,
+  department: user.department,
+  position: user.position?._id || user.position,
+  salary: user.salary,
+  reportsTo: user.reportsTo?._id || user.reportsTo,
+  status: user.status,
+});
+
+/**
+ * Keep only requested changes that differ from the employee's current values
+ * @returns {{ changes: object, changedFields: string[] }}
+ */
+export const diffEmployment = (current, requested = {}) => {
+  const changes = {};
+  const changedFields = [];
+  TRACKED_FIELDS.forEach((field) => {
+    if (requested[field] === undefined) return;
+    const value = field === 'salary' && requested[field] !== null ? Number(requested[field]) : requested[field];
+    if (normalize(value) === normalize(current[field])) return;
+    changes[field] = normalize(value);
+    changedFields.push(field);
+  });
+  return { changes, changedFields };
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+export const dueDateFor = (effectiveDate, offsetDays = 0) =>
+  new Date(startOfDay(effectiveDate).getTime() + offsetDays * DAY_MS);
+
+const generateEventNumber = async (companyId) => {
+  const prefix = `LC-${new Date().getFullYear()}`;
+  const count = await LifecycleEvent.countDocuments({ company: companyId, eventNumber: { $regex: `^${prefix}` } });
+  return `${prefix}-${String(count + 1).padStart(4, '0')}`;
+};
+
+// ============================================
+// CHECKLISTS
+// ============================================
+
+/**
+ * Company checklist for onboarding/offboarding, or the defaults
+ */
+export const getChecklist = async (companyId, type) => {
+  if (!DEFAULT_CHECKLISTS[type]) throw lifecycleError('Checklist type must be onboarding or offboarding');
+  const template = await ChecklistTemplate.findOne({ company: companyId, type })
+    .populate('items.assignee', 'firstName lastName')
+    .lean();
+  return template || { company: companyId, type, items: DEFAULT_CHECKLISTS[type], isDefault: true };
+};
+
+export const saveChecklist = async ({ companyId, type, items = [], userId }) => {
+  if (!DEFAULT_CHECKLISTS[type]) throw lifecycleError('Checklist type must be onboarding or offboarding');
+  if (!items.length) throw lifecycleError('A checklist needs at least one item');
+
+  const assignees = items.map((item) => item.assignee).filter(Boolean);
+  if (assignees.length) {
+    const found = await User.countDocuments({ _id: { $in: assignees }, company: companyId });
+    if (found !== new Set(assignees.map(String)).size) throw lifecycleError('Checklist assignee not found');
+  }
+
+  return ChecklistTemplate.findOneAndUpdate(
+    { company: companyId, type },
+    { items, updatedBy: userId },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+export const resetChecklist = async ({ companyId, type }) => {
+  await ChecklistTemplate.deleteOne({ company: companyId, type });
+  return getChecklist(companyId, type);
+};
+
+const firstActive = (query) =>
+  User.findOne({ status: 'active', ...query }).sort({ createdAt: 1 }).select('_id').lean();
+
+/**
+ * Default assignee per owner: the first HR/finance user, someone in the IT department,
+ * or the employee's manager. Falls back to whoever raised the event.
+ */
+const resolveOwners = async (companyId, employee, fallback) => {
+  const [hr, finance, it] = await Promise.all([
+    firstActive({ company: companyId, role: 'hr' }),
+    firstActive({ company: companyId, role: 'finance' }),
+    firstActive({ company: companyId, department: { $regex: /^(IT|Information Technology)$/i } }),
+  ]);
+  return {
+    HR: hr?._id || fallback,
+    Finance: finance?._id || fallback,
+    IT: it?._id || fallback,
+    Manager: employee.reportsTo || fallback,
+  };
+};
+
+/**
+ * Create one Task per checklist item, due relative to the event's effective date
+ */
+const generateChecklist = async (event, employee, actorId) => {
+  const type = event.type === 'hire' ? 'onboarding' : 'offboarding';
+  const checklist = await getChecklist(event.company, type);
+  const owners = await resolveOwners(event.company, employee, actorId);
+  const employeeName = `${employee.firstName} ${employee.lastName}`;
+
+  const tasks = await Task.insertMany(checklist.items.map((item) => ({
+    title: `${item.title} - ${employeeName}`,
+    description: item.description || `${type === 'onboarding' ? 'Onboarding' : 'Offboarding'} checklist for ${employeeName}`,
+    assignedTo: item.assignee?._id || item.assignee || owners[item.owner],
+    assignedBy: actorId,
+    project: event.eventNumber,
+    department: item.owner,
+    priority: item.priority || 'medium',
+    deadline: dueDateFor(event.effectiveDate, item.dueOffsetDays),
+    company: event.company,
+    lifecycleEvent: event._id,
+  })));
+
+  event.checklistGenerated = true;
+  logger.info(`Generated ${tasks.length} ${type} tasks for ${event.eventNumber}`);
+  return tasks;
+};
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * Apply an approved event to the User and append the employment history entry
+ */
+export const applyEvent = async (event, actorId) => {
+  const user = await User.findOne({ _id: event.employee, company: event.company });
+  if (!user) throw lifecycleError('Employee not found', 404);
+
+  const before = snapshotEmployment(user);
+  if (event.type === 'offboarding') {
+    user.status = 'inactive';
+  } else {
+    event.changedFields.forEach((field) => {
+      user[field] = event.changes?.[field] ?? null;
+    });
+  }
+  await user.save();
+
+  const after = snapshotEmployment(user);
+  await EmploymentHistory.create({
+    company: event.company,
+    employee: user._id,
+    event: event._id,
+    eventType: event.type,
+    effectiveDate: event.effectiveDate,
+    before,
+    after,
+    changedFields: event.type === 'offboarding' ? ['status'] : event.changedFields,
+    recordedBy: actorId,
+  });
+
+  event.status = 'applied';
+  event.appliedAt = new Date();
+  await event.save();
+  logger.info(`Lifecycle event ${event.eventNumber} applied`, { employee: user._id, type: event.type });
+  return event;
+};
+
+// Offboarding checklists start at approval; everything applies once the effective date arrives
+const afterApproval = async (event, actorId) => {
+  event.status = 'approved';
+  event.approvedAt = new Date();
+
+  if (event.type === 'offboarding' && !event.checklistGenerated) {
+    const employee = await User.findById(event.employee).select('firstName lastName reportsTo').lean();
+    await generateChecklist(event, employee, actorId);
+  }
+
+  if (startOfDay(event.effectiveDate) <= new Date()) return applyEvent(event, actorId);
+  return event.save();
+};
+
+/**
+ * Raise a promotion, transfer, salary change or offboarding. With approvers it waits
+ * on an ApprovalFlow; without, it is approved straight away.
+ * @param {object} params
+ * @param {string} params.companyId
+ * @param {object} params.data - { employee, type, effectiveDate, changes, separationType, reason, approvers: [userId] }
+ * @param {string} params.userId - HR user raising the event
+ */
+export const createEvent = async ({ companyId, data, userId }) => {
+  if (!EVENT_TYPES.includes(data.type)) throw lifecycleError(`Event type must be one of: ${EVENT_TYPES.join(', ')}`);
+  const effectiveDate = new Date(data.effectiveDate);
+  if (Number.isNaN(effectiveDate.getTime())) throw lifecycleError('A valid effective date is required');
+
+  const employee = await User.findOne({ _id: data.employee, company: companyId, status: { $ne: 'inactive' } });
+  if (!employee) throw lifecycleError('Employee not found', 404);
+
+  const openOffboarding = await LifecycleEvent.exists({
+    company: companyId,
+    employee: employee._id,
+    type: 'offboarding',
+    status: { $in: OPEN_STATUSES },
+  });
+  if (openOffboarding) throw lifecycleError('Employee already has an offboarding in progress', 409);
+
+  let changes = {};
+  let changedFields = [];
+  if (data.type !== 'offboarding') {
+    ({ changes, changedFields } = diffEmployment(employee, data.changes));
+    if (!changedFields.length) throw lifecycleError('No employment details change');
+    if (changes.reportsTo) {
+      if (changes.reportsTo === employee._id.toString()) throw lifecycleError('An employee cannot report to themselves');
+      const manager = await User.exists({ _id: changes.reportsTo, company: companyId });
+      if (!manager) throw lifecycleError('Manager not found');
+    }
+    if (changes.salary !== undefined && (changes.salary === null || changes.salary < 0)) {
+      throw lifecycleError('Salary must be zero or more');
+    }
+  } else if (!data.separationType) {
+    throw lifecycleError('Separation type is required for offboarding');
+  }
+
+  const event = new LifecycleEvent({
+    company: companyId,
+    eventNumber: await generateEventNumber(companyId),
+    employee: employee._id,
+    type: data.type,
+    effectiveDate: startOfDay(effectiveDate),
+    changes,
+    changedFields,
+    separationType: data.separationType,
+    reason: data.reason,
+    createdBy: userId,
+  });
+
+  const approvers = (data.approvers || []).filter(Boolean);
+  if (approvers.length) {
+    const found = await User.countDocuments({ _id: { $in: approvers }, company: companyId, status: 'active' });
+    if (found !== new Set(approvers.map(String)).size) throw lifecycleError('Approver not found');
+
+    const flow = await ApprovalFlow.create({
+      requestType: data.type,
+      requestId: event._id,
+      requester: userId,
+      approvers: approvers.map((approver, index) => ({ approver, level: index + 1, status: 'pending' })),
+      company: companyId,
+    });
+    event.approvalFlow = flow._id;
+    return event.save();
+  }
+
+  return afterApproval(event, userId);
+};
+
+/**
+ * Sync an event with the final outcome of its ApprovalFlow
+ * Called from the approvals route whenever a lifecycle flow changes status
+ */
+export const applyApprovalOutcome = async (flow, actorId) => {
+  if (!EVENT_TYPES.includes(flow.requestType) || flow.status === 'pending') return null;
+
+  const event = await LifecycleEvent.findOne({ _id: flow.requestId, company: flow.company });
+  if (!event || event.status !== 'pending_approval') return event;
+
+  if (flow.status === 'approved') return afterApproval(event, actorId);
+
+  event.status = flow.status === 'rejected' ? 'rejected' : 'cancelled';
+  return event.save();
+};
+
+/**
+ * Withdraw an event that has not taken effect, with its approval flow and open checklist tasks
+ */
+export const cancelEvent = async ({ companyId, id, userId }) => {
+  const event = await LifecycleEvent.findOne({ _id: id, company: companyId });
+  if (!event) throw lifecycleError('Lifecycle event not found', 404);
+  if (!OPEN_STATUSES.includes(event.status)) throw lifecycleError(`Cannot cancel a ${event.status} event`);
+
+  event.status = 'cancelled';
+  event.cancelledBy = userId;
+  await event.save();
+
+  if (event.approvalFlow) {
+    await ApprovalFlow.updateOne({ _id: event.approvalFlow, status: 'pending' }, { status: 'cancelled' });
+  }
+  await Task.updateMany(
+    { lifecycleEvent: event._id, status: { $nin: ['completed', 'cancelled'] } },
+    { status: 'cancelled' }
+  );
+  return event;
+};
+
+/**
+ * Record a new employee's starting details and raise their onboarding checklist
+ * @param {object} params - { companyId, employee: User, userId }
+ */
+export const recordHire = async ({ companyId, employee, userId }) => {
+  const event = new LifecycleEvent({
+    company: companyId,
+    eventNumber: await generateEventNumber(companyId),
+    employee: employee._id,
+    type: 'hire',
+    effectiveDate: startOfDay(employee.joinDate || new Date()),
+    changedFields: TRACKED_FIELDS.filter((field) => normalize(employee[field]) !== null),
+    status: 'applied',
+    approvedAt: new Date(),
+    appliedAt: new Date(),
+    createdBy: userId,
+  });
+
+  await EmploymentHistory.create({
+    company: companyId,
+    employee: employee._id,
+    event: event._id,
+    eventType: 'hire',
+    effectiveDate: event.effectiveDate,
+    after: snapshotEmployment(employee),
+    changedFields: event.changedFields,
+    recordedBy: userId,
+  });
+
+  await generateChecklist(event, employee, userId);
+  return event.save();
+};
+
+/**
+ * Apply approved events whose effective date has arrived (run by the lifecycle scheduler)
+ * @returns {Promise<number>} events applied
+ */
+export const applyDueEvents = async (now = new Date()) => {
+  const events = await LifecycleEvent.find({ status: 'approved', effectiveDate: { $lte: now } }).sort({ effectiveDate: 1 });
+  let applied = 0;
+  for (const event of events) {
+    try {
+      await applyEvent(event, event.createdBy);
+      applied += 1;
+    } catch (error) {
+      logger.error(`Failed to apply lifecycle event ${event.eventNumber}:`, error);
+    }
+  }
+  return applied;
+};
+
+// ============================================
+// QUERIES
+// ============================================
+
+export const listEvents = async ({ companyId, filters = {} }) => {
+  const query = { company: companyId };
+  if (filters.employee) query.employee = filters.employee;
+  if (filters.type) query.type = filters.type;
+  if (filters.status) query.status = filters.status;
+
+  return LifecycleEvent.find(query)
+    .sort({ effectiveDate: -1, createdAt: -1 })
+    .limit(Math.min(Number(filters.limit) || 100, 500))
+    .populate('employee', 'firstName lastName employeeId department designation')
+    .populate('changes.reportsTo', 'firstName lastName')
+    .populate('changes.position', 'title')
+    .populate('createdBy', 'firstName lastName')
+    .lean();
+};
+
+/**
+ * Employment history of one employee, oldest first, with checklist task progress per event
+ */
+export const getHistory = async ({ companyId, employeeId }) => {
+  const [history, events] = await Promise.all([
+    EmploymentHistory.find({ company: companyId, employee: employeeId })
+      .sort({ effectiveDate: 1, createdAt: 1 })
+      .populate('before.reportsTo after.reportsTo', 'firstName lastName')
+      .populate('before.position after.position', 'title')
+      .populate('recordedBy', 'firstName lastName')
+      .lean(),
+    LifecycleEvent.find({ company: companyId, employee: employeeId }).sort({ effectiveDate: -1 }).lean(),
+  ]);
+
+  const tasks = await Task.find({ lifecycleEvent: { $in: events.map((event) => event._id) } })
+    .select('title status deadline department assignedTo lifecycleEvent')
+    .populate('assignedTo', 'firstName lastName')
+    .lean();
+
+  return {
+    history,
+    events: events.map((event) => ({
+      ...event,
+      checklist: tasks.filter((task) => task.lifecycleEvent.toString() === event._id.toString()),
+    })),
+  };
+};
+
+export default {
+  TRACKED_FIELDS,
+  EVENT_TYPES,
+  DEFAULT_CHECKLISTS,
+  snapshotEmployment,
+  diffEmployment,
+  dueDateFor,
+  getChecklist,
+  saveChecklist,
+  resetChecklist,
+  applyEvent,
+  createEvent,
+  applyApprovalOutcome,
+  cancelEvent,
+  recordHire,
+  applyDueEvents,
+  listEvents,
+  getHistory,
+};
@@ -0,0 +1,173 @@
+/**
+ * OpenAPI Service
+ * Builds an OpenAPI 3 document for the routes in routes/*.js by reading where
+ * server.js mounts each router, the routes each file declares, their auth and
+ * permission middleware, and the comment above each route
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { requiredScopes } from './apiKeyService.js';
+import { API_SCOPES } from '../config/apiScopes.js';
+import ssoConfig from '../config/sso.js';
+
+const BACKEND_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+let cachedDocument = null;
+
+const readSource = (file) => fs.readFileSync(path.join(BACKEND_DIR, file), 'utf8');
+
+/**
+ * Routers mounted by server.js, in mount order
+ * @returns {Array<{ mountPath, file }>}
+ */
+export const parseMounts = (serverSource) => {
+  const files = {};
+  for (const [, name, file] of serverSource.matchAll(/^import\s+(\w+)\s+from\s+'\.\/(routes\/[\w-]+\.js)';/gm)) {
+    files[name] = file;
+  }
+  return [...serverSource.matchAll(/^app\.use\('(\/api\/[^']+)',\s*(\w+)\);/gm)]
+    .filter(([, , name]) => files[name])
+    .map(([, mountPath, name]) => ({ mountPath, file: files[name] }));
+};
+
+// Quoted strings inside each call to `fn(...)` in a snippet of middleware arguments
+const callArguments = (snippet, fn) => [...snippet.matchAll(new RegExp(`${fn}\\(([^)]*)\\)`, 'g'))]
+  .flatMap(([, args]) => [...args.matchAll(/'([^']+)'/g)].map(([, value]) => value));
+
+// The JSDoc block or // lines directly above a route, as plain lines
+const commentAbove = (source, index) => {
+  const before = source.slice(0, index).trimEnd();
+  if (before.endsWith('*/')) {
+    const start = before.lastIndexOf('/**');
+    if (start === -1) return [];
+    return before.slice(start + 3, -2).split('\n').map((line) => line.replace(/^\s*\*\s?/, '').trim()).filter(Boolean);
+  }
+  const lines = [];
+  for (const line of before.split('\n').reverse()) {
+    const match = line.trim().match(/^\/\/\s?(.*)$/);
+    if (!match) break;
+    lines.unshift(match[1].trim());
+  }
+  return lines.filter(Boolean);
+};
+
+/**
+ * Routes declared in one router file
+ * @returns {Array<{ method, path, authenticated, permissions, roles, comment }>}
+ */
+export const parseRoutes = (source) => {
+  const routerLevel = [...source.matchAll(/^router\.use\(([^;]*)\);/gm)].map(([, args]) => args).join(' ');
+  const authenticatedRouter = /\bauthenticate\b/.test(routerLevel);
+  const routerPermissions = callArguments(routerLevel, 'requirePermission');
+
+  const pattern = new RegExp(`^router\\.(${HTTP_METHODS.join('|')})\\(\\s*'([^']+)'\\s*,`, 'gm');
+  return [...source.matchAll(pattern)].map((match) => {
+    // Middleware sits between the path and the handler
+    const rest = source.slice(match.index + match[0].length, match.index + match[0].length + 600);
+    const end = rest.search(/async\b|\(req\b|function\b|\);/);
+    const middleware = end === -1 ? rest : rest.slice(0, end);
+
+    let comment = commentAbove(source, match.index);
+    if (/^(GET|POST|PUT|PATCH|DELETE)\s+\//.test(comment[0] || '')) comment = comment.slice(1);
+
+    return {
+      method: match[1],
+      path: match[2],
+      authenticated: authenticatedRouter || /\bauthenticate\b/.test(middleware),
+      permissions: [...new Set([...routerPermissions, ...callArguments(middleware, 'requirePermission')])],
+      roles: callArguments(middleware, 'authorize'),
+      comment,
+    };
+  });
+};
+
+const toOpenApiPath = (mountPath, routePath) => {
+  const joined = `${mountPath}${routePath === '/' ? '' : routePath}`;
+  return joined.replace(/:(\w+)\??/g, '{$1}');
+};
+
+const buildOperation = ({ mountPath, openApiPath, route }) => {
+  const [summary, ...description] = route.comment;
+  const operation = {
+    tags: [mountPath.replace(/^\/api\//, '')],
+    summary: summary || `${route.method.toUpperCase()} ${openApiPath}`,
+  };
+  if (description.length) operation.description = description.join('\n');
+
+  const parameters = [...openApiPath.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name, in: 'path', required: true, schema: { type: 'string' },
+  }));
+  if (parameters.length) operation.parameters = parameters;
+
+  if (['post', 'put', 'patch'].includes(route.method)) {
+    operation.requestBody = { content: { 'application/json': { schema: { type: 'object' } } } };
+  }
+
+  operation.responses = { 200: { description: 'Success' } };
+  if (route.authenticated) {
+    const scopes = requiredScopes(route.method, openApiPath.replace(/\{\w+\}/g, 'id'));
+    operation.security = [{ bearerAuth: [] }];
+    if (scopes.length) {
+      operation.security.push({ apiKey: [] });
+      operation['x-api-key-scopes'] = scopes;
+      operation.responses[429] = { description: 'API key rate limit exceeded' };
+    }
+    operation.responses[401] = { description: 'Missing, invalid or expired credentials' };
+    operation.responses[403] = { description: 'Not permitted' };
+    if (route.permissions.length) operation['x-permissions'] = route.permissions;
+    if (route.roles.length) operation['x-roles'] = route.roles;
+  } else {
+    operation.security = [];
+  }
+  return operation;
+};
+
+/**
+ * The OpenAPI document, built once per process
+ */
+export const buildOpenApiDocument = ({ refresh = false } = {}) => {
+  if (cachedDocument && !refresh) return cachedDocument;
+
+  const { version } = JSON.parse(readSource('package.json'));
+  const paths = {};
+  parseMounts(readSource('server.js')).forEach(({ mountPath, file }) => {
+    parseRoutes(readSource(file)).forEach((route) => {
+      // Regular-expression and wildcard paths have no OpenAPI form
+      if (/[*()[\]]/.test(route.path)) return;
+      const openApiPath = toOpenApiPath(mountPath, route.path);
+      paths[openApiPath] = paths[openApiPath] || {};
+      // Express serves the first of two identical routes
+      if (!paths[openApiPath][route.method]) {
+        paths[openApiPath][route.method] = buildOperation({ mountPath, openApiPath, route });
+      }
+    });
+  });
+
+  cachedDocument = {
+    openapi: '3.0.3',
+    info: {
+      title: 'PVARA HRMS API',
+      version,
+      description: 'Sign in for a bearer access token, or use a company API key with the scopes listed on each operation.',
+    },
+    servers: [{ url: ssoConfig.apiUrl }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: `Company API key (pvk_...); also accepted as a bearer token. Scopes: ${API_SCOPES.map((scope) => scope.key).join(', ')}`,
+        },
+      },
+    },
+    paths,
+  };
+  return cachedDocument;
+};
+
+export default { parseMounts, parseRoutes, buildOpenApiDocument };
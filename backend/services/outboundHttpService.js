@@ -0,0 +1,144 @@
+/**
+ * Outbound HTTP Service
+ * Requests to URLs that company admins configure (webhook receivers, identity
+ * providers). Hosts must resolve to public addresses and each connection is pinned
+ * to the address that was checked, so a DNS change can't point it inside the network.
+ */
+
+import dns from 'dns/promises';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+const outboundError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+
+// Loopback, private, link-local (cloud metadata at 169.254.169.254), CGNAT, multicast and reserved ranges
+const BLOCKED_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96],
+].forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is somewhere outbound requests must not reach. IPv4-mapped
+ * IPv6 addresses are checked as IPv4.
+ */
+export const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_NETWORKS.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Resolve a host and refuse it when any of its addresses is internal
+ * @param {string} hostname - URL hostname; IPv6 literals may keep their brackets
+ * @param {object} [options]
+ * @param {boolean} [options.allowPrivate] - skip the check (self-hosted installs)
+ * @param {string} [options.message] - error message for an internal address
+ * @returns {Promise<{address: string, family: number}>} the address to connect to
+ */
+export const resolvePublicHost = async (hostname, {
+  allowPrivate = false,
+  message = 'Outbound requests must go to the public internet, not a private, loopback or link-local address',
+} = {}) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      addresses = await dns.lookup(host, { all: true, verbatim: true });
+    } catch {
+      throw outboundError(`Could not resolve ${host}`);
+    }
+  }
+  if (!allowPrivate && addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw outboundError(message);
+  }
+  return addresses[0];
+};
+
+/**
+ * A `lookup` for http(s).request that always answers with an already-checked address
+ */
+export const pinnedLookup = ({ address, family }) => (hostname, options, callback) => (options.all
+  ? callback(null, [{ address, family }])
+  : callback(null, address, family));
+
+/**
+ * Send one request to a checked, pinned address. Redirects are not followed.
+ * Rejects on network errors and timeouts; any HTTP status resolves.
+ * @param {string|URL} url - http or https
+ * @param {object} [options] - { method, headers, body, timeoutMs, maxBytes, allowPrivate, message }
+ *   maxBytes caps how much of the response body is kept
+ * @returns {Promise<{status: number, ok: boolean, headers: object, text: string, truncated: boolean}>}
+ */
+export const requestPublic = async (url, {
+  method = 'GET',
+  headers = {},
+  body,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxBytes = DEFAULT_MAX_BYTES,
+  allowPrivate,
+  message,
+} = {}) => {
+  const target = new URL(url);
+  if (!['http:', 'https:'].includes(target.protocol)) throw outboundError(`Unsupported URL scheme ${target.protocol}`);
+  const resolved = await resolvePublicHost(target.hostname, { allowPrivate, message });
+  const transport = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(target, {
+      method,
+      headers: body === undefined ? headers : { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      signal: AbortSignal.timeout(timeoutMs),
+      lookup: pinnedLookup(resolved),
+    }, (response) => {
+      const chunks = [];
+      let size = 0;
+      let truncated = false;
+      const finish = () => resolve({
+        status: response.statusCode,
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        headers: response.headers,
+        text: Buffer.concat(chunks).toString('utf8').slice(0, maxBytes),
+        truncated,
+      });
+
+      response.on('data', (chunk) => {
+        if (truncated) return;
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size > maxBytes) {
+          truncated = true;
+          // Nothing more is needed; stop downloading the rest
+          response.destroy();
+          finish();
+        }
+      });
+      response.on('end', () => {
+        if (!truncated) finish();
+      });
+      response.on('error', (error) => {
+        if (!truncated) reject(error);
+      });
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+};
+
+export default {
+  isPrivateAddress,
+  resolvePublicHost,
+  pinnedLookup,
+  requestPublic,
+};
@@ -0,0 +1,145 @@
+/**
+ * Password Reset Service
+ * Single-use, expiring reset links sent through a delivery channel, and the
+ * reset itself, which signs the account out everywhere
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import User from '../models/User.js';
+import securityConfig from '../config/security.js';
+import mailConfig from '../config/mail.js';
+import logger from '../config/logger.js';
+import { hashToken, revokeUserSessions, BLOCKED_STATUSES } from './sessionService.js';
+import { deliver } from './deliveryService.js';
+import { isPasswordLoginAllowed } from './ssoService.js';
+
+const resetError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// A new link is not sent while the previous one is younger than this
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+export const resetLink = (token) => `${mailConfig.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+export const resetMessage = ({ user, link, ttlMinutes, requestedByAdmin }) => ({
+  subject: 'Reset your PVARA HRMS password',
+  text: [
+    `Hello ${user.firstName || 'there'},`,
+    '',
+    requestedByAdmin
+      ? 'An administrator has asked for your PVARA HRMS password to be reset.'
+      : 'We received a request to reset your PVARA HRMS password.',
+    `Use this link within ${ttlMinutes} minutes to choose a new one:`,
+    '',
+    link,
+    '',
+    'The link works once. If you did not ask for this, ignore this message and your password will stay the same.',
+  ].join('\n'),
+});
+
+/**
+ * Issue a reset link and send it. Earlier unused links for the user stop working.
+ * @returns {Promise<{channel, to}|null>} masked destination, or null when throttled
+ */
+export const issueReset = async ({ user, channel = 'email', requestedBy, ipAddress }) => {
+  if (BLOCKED_STATUSES.includes(user.status)) throw resetError('Account is not active', 403);
+  if (!(await isPasswordLoginAllowed(user))) {
+    throw resetError('This organisation signs in with single sign-on; passwords are managed by the identity provider', 409);
+  }
+
+  const recent = await PasswordResetToken.findOne({
+    user: user._id,
+    usedAt: null,
+    createdAt: { $gt: new Date(Date.now() - RESEND_INTERVAL_MS) },
+  }).select('_id').lean();
+  if (recent && !requestedBy) return null;
+
+  await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+
+  const ttlMinutes = securityConfig.passwordResetTtlMinutes;
+  const token = crypto.randomBytes(32).toString('base64url');
+  const record = await PasswordResetToken.create({
+    company: user.company?._id || user.company,
+    user: user._id,
+    tokenHash: hashToken(token),
+    channel,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    requestedBy,
+    ipAddress,
+  });
+
+  try {
+    const message = resetMessage({ user, link: resetLink(token), ttlMinutes, requestedByAdmin: Boolean(requestedBy) });
+    return await deliver({ channel, user, ...message });
+  } catch (error) {
+    await PasswordResetToken.deleteOne({ _id: record._id });
+    throw error;
+  }
+};
+
+/**
+ * Self-service request. Unknown addresses and delivery problems are only logged,
+ * so the response never reveals whether an account exists.
+ */
+export const requestReset = async ({ email, channel, ipAddress }) => {
+  const user = await User.findOne({ email: String(email || '').toLowerCase().trim() })
+    .select('firstName email whatsappNumber status company');
+  if (!user) return;
+
+  try {
+    await issueReset({ user, channel, ipAddress });
+  } catch (error) {
+    logger.warn('Password reset not delivered', { user: user._id, channel, error: error.message });
+  }
+};
+
+/**
+ * Administrator sends a reset link to someone in their company
+ */
+export const sendResetForUser = async ({ userId, companyId, channel, requestedBy }) => {
+  const user = await User.findOne({ _id: userId, company: companyId })
+    .select('firstName email whatsappNumber status company');
+  if (!user) throw resetError('User not found', 404);
+
+  return issueReset({ user, channel, requestedBy });
+};
+
+/**
+ * Spend a reset token on a new password
+ */
+export const resetPassword = async ({ token, password }) => {
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    throw resetError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  // Marking the token used in the same query as finding it keeps it single-use under concurrent requests
+  const record = await PasswordResetToken.findOneAndUpdate(
+    { tokenHash: hashToken(String(token || '')), usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+  if (!record) throw resetError('This reset link is invalid or has expired');
+
+  const user = await User.findById(record.user);
+  if (!user || BLOCKED_STATUSES.includes(user.status)) throw resetError('Account is not active', 403);
+
+  user.password = await bcrypt.hash(String(password), 10);
+  user.requirePasswordChange = false;
+  await user.save();
+
+  await revokeUserSessions({ userIds: [user._id], reason: 'password_change', revokedBy: user._id });
+  return user;
+};
+
+export default {
+  MIN_PASSWORD_LENGTH,
+  resetLink,
+  resetMessage,
+  issueReset,
+  requestReset,
+  sendResetForUser,
+  resetPassword,
+};
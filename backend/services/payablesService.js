@@ -0,0 +1,574 @@
+/**
+ * Payables Service
+ * Vendor invoices: PO / receipt / invoice three-way matching, WHT, posting to
+ * accounts payable and due-date selection into bank payment batches
+ */
+
+import BankPaymentBatch from '../models/BankPaymentBatch.js';
+import PayablesSetting from '../models/PayablesSetting.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Vendor from '../models/Vendor.js';
+import VendorInvoice from '../models/VendorInvoice.js';
+import { fiscalYearFor, postJournalEntry } from './ledgerService.js';
+import logger from '../config/logger.js';
+
+export const DEFAULT_TOLERANCE = { quantityPercent: 0, pricePercent: 2, amountLimit: 5000 };
+
+const PAYMENT_TERM_DAYS = {
+  immediate: 0,
+  'net-7': 7,
+  'net-15': 15,
+  'net-30': 30,
+  'net-45': 45,
+  'net-60': 60,
+};
+
+// PO statuses that can still be billed
+const INVOICEABLE_PO_STATUSES = ['approved', 'partially_received', 'received', 'invoiced'];
+
+const payablesError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const EPSILON = 0.000001;
+
+// ============================================
+// PURE HELPERS
+// ============================================
+
+/**
+ * Due date from the vendor's payment terms ('custom' uses customPaymentDays)
+ */
+export const dueDateFor = (invoiceDate, vendor = {}) => {
+  const days = vendor.paymentTerms === 'custom'
+    ? vendor.customPaymentDays || 0
+    : PAYMENT_TERM_DAYS[vendor.paymentTerms] ?? 30;
+  const due = new Date(invoiceDate);
+  due.setDate(due.getDate() + days);
+  return due;
+};
+
+/**
+ * Match invoice lines against PO lines (ordered, received and already invoiced quantities).
+ * Only over-billing is an exception: quantity beyond what was received (within quantityPercent)
+ * or a unit price above the PO price by more than pricePercent or amountLimit in total.
+ * @returns {{ status: 'matched'|'exception'|'not-required', lines: object[] }}
+ */
+export const threeWayMatch = ({ lines, poLines, tolerance = {} }) => {
+  if (!poLines) {
+    return {
+      status: 'not-required',
+      lines: lines.map(() => ({ status: 'not-required', exceptions: [] })),
+    };
+  }
+
+  const limits = { ...DEFAULT_TOLERANCE, ...tolerance };
+  const poLineById = new Map(poLines.map((poLine) => [poLine._id.toString(), poLine]));
+  // Earlier lines on this invoice billing the same PO line
+  const billedHere = new Map();
+
+  const results = lines.map((line) => {
+    const poLine = line.poLine && poLineById.get(line.poLine.toString());
+    if (!poLine) {
+      return { status: 'exception', exceptions: ['Line is not on the purchase order'] };
+    }
+
+    const key = poLine._id.toString();
+    const previouslyInvoiced = (poLine.quantityInvoiced || 0) + (billedHere.get(key) || 0);
+    billedHere.set(key, (billedHere.get(key) || 0) + line.quantity);
+
+    const cumulative = previouslyInvoiced + line.quantity;
+    const received = poLine.quantityReceived || 0;
+    const quantityFactor = 1 + limits.quantityPercent / 100;
+    const priceVariance = round2((line.unitPrice - poLine.unitPrice) * line.quantity);
+    const pricePercent = poLine.unitPrice > 0
+      ? ((line.unitPrice - poLine.unitPrice) / poLine.unitPrice) * 100
+      : (line.unitPrice > 0 ? Infinity : 0);
+
+    const exceptions = [];
+    if (received <= 0) {
+      exceptions.push('No goods received against this line');
+    } else if (cumulative > received * quantityFactor + EPSILON) {
+      exceptions.push(`Invoiced quantity ${cumulative} exceeds received quantity ${received}`);
+    }
+    if (cumulative > poLine.quantity * quantityFactor + EPSILON) {
+      exceptions.push(`Invoiced quantity ${cumulative} exceeds ordered quantity ${poLine.quantity}`);
+    }
+    if (pricePercent > limits.pricePercent + EPSILON || priceVariance > limits.amountLimit + EPSILON) {
+      exceptions.push(`Unit price ${line.unitPrice} is above PO price ${poLine.unitPrice} (variance ${priceVariance})`);
+    }
+
+    return {
+      orderedQuantity: poLine.quantity,
+      receivedQuantity: received,
+      previouslyInvoiced,
+      poUnitPrice: poLine.unitPrice,
+      quantityVariance: Math.max(0, cumulative - received),
+      priceVariance,
+      status: exceptions.length ? 'exception' : 'matched',
+      exceptions,
+    };
+  });
+
+  return {
+    status: results.some((result) => result.status === 'exception') ? 'exception' : 'matched',
+    lines: results,
+  };
+};
+
+/**
+ * Invoice journal: Dr expense lines and input sales tax, Cr vendor payable for the gross total.
+ * WHT is not recognised here - it is withheld from the payment.
+ */
+export const buildInvoiceJournalLines = (invoice, { payableAccount, inputTaxAccount, vendorName }) => {
+  const missing = invoice.lines.filter((line) => !line.account).map((line) => line.description);
+  if (missing.length) {
+    throw payablesError(`No GL account for invoice lines: ${missing.join(', ')}`);
+  }
+  if (!payableAccount) {
+    throw payablesError('No payable account configured for this vendor or in payables settings');
+  }
+  if (invoice.taxTotal > 0 && !inputTaxAccount) {
+    throw payablesError('Input sales tax account is not configured in payables settings');
+  }
+
+  const narration = `${vendorName} invoice ${invoice.vendorInvoiceNumber}`;
+  const lines = invoice.lines.map((line) => ({
+    account: line.account,
+    description: `${line.description} - ${narration}`,
+    costCenter: line.costCenter || undefined,
+    project: line.project || undefined,
+    debit: round2(line.amount),
+    credit: 0,
+  }));
+
+  if (invoice.taxTotal > 0) {
+    lines.push({
+      account: inputTaxAccount,
+      description: `Input sales tax - ${narration}`,
+      debit: round2(invoice.taxTotal),
+      credit: 0,
+      taxType: 'sales-tax',
+    });
+  }
+
+  lines.push({
+    account: payableAccount,
+    description: narration,
+    debit: 0,
+    credit: round2(invoice.totalAmount),
+    subledgerType: 'vendor',
+    subledgerRef: invoice.vendor,
+    subledgerModel: 'Vendor',
+    reference: invoice.vendorInvoiceNumber,
+  });
+
+  return lines;
+};
+
+// ============================================
+// DATA ACCESS
+// ============================================
+
+export const getSettings = async (companyId) => {
+  const settings = await PayablesSetting.findOne({ company: companyId }).lean();
+  return {
+    company: companyId,
+    accounts: {},
+    ...settings,
+    tolerance: { ...DEFAULT_TOLERANCE, ...settings?.tolerance },
+  };
+};
+
+const generateInvoiceNumber = async (companyId, invoiceDate) => {
+  const prefix = `AP-${new Date(invoiceDate).toISOString().slice(0, 7).replace('-', '')}`;
+  const count = await VendorInvoice.countDocuments({ company: companyId, invoiceNumber: { $regex: `^${prefix}` } });
+  return `${prefix}-${String(count + 1).padStart(5, '0')}`;
+};
+
+const findInvoice = async (companyId, invoiceId) => {
+  const invoice = await VendorInvoice.findOne({ _id: invoiceId, company: companyId });
+  if (!invoice) throw payablesError('Vendor invoice not found', 404);
+  return invoice;
+};
+
+const findVendor = async (companyId, vendorId) => {
+  const vendor = await Vendor.findOne({ _id: vendorId, company: companyId });
+  if (!vendor) throw payablesError('Vendor not found', 404);
+  return vendor;
+};
+
+const findPurchaseOrder = async (companyId, poId, vendorId) => {
+  const po = await PurchaseOrder.findOne({ _id: poId, company: companyId });
+  if (!po) throw payablesError('Purchase order not found', 404);
+  if (po.vendor.toString() !== vendorId.toString()) {
+    throw payablesError(`Purchase order ${po.poNumber} belongs to a different vendor`);
+  }
+  if (!INVOICEABLE_PO_STATUSES.includes(po.status)) {
+    throw payablesError(`Purchase order ${po.poNumber} cannot be invoiced (status ${po.status})`);
+  }
+  return po;
+};
+
+const assertNotDuplicate = async (companyId, vendorId, vendorInvoiceNumber, excludeId) => {
+  const duplicate = await VendorInvoice.findOne({
+    company: companyId,
+    vendor: vendorId,
+    vendorInvoiceNumber: vendorInvoiceNumber?.trim(),
+    status: { $ne: 'cancelled' },
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  }).lean();
+  if (duplicate) {
+    throw payablesError(`Vendor invoice ${vendorInvoiceNumber} is already recorded as ${duplicate.invoiceNumber}`, 409);
+  }
+};
+
+/**
+ * Default accounts from PO lines, then refresh due date, match result and WHT on a draft
+ */
+const prepareInvoice = (invoice, vendor, po, settings) => {
+  const poLineById = new Map((po?.lines || []).map((poLine) => [poLine._id.toString(), poLine]));
+  for (const line of invoice.lines) {
+    const poLine = line.poLine && poLineById.get(line.poLine.toString());
+    if (poLine) {
+      if (!line.account) line.account = poLine.headOfAccount;
+      if (!line.costCenter) line.costCenter = poLine.costCenter;
+      if (!line.project) line.project = poLine.project;
+    } else if (!line.account && vendor.expenseAccount) {
+      line.account = vendor.expenseAccount;
+    }
+  }
+
+  invoice.dueDate = invoice.dueDate || dueDateFor(invoice.invoiceDate, vendor);
+  invoice.fiscalYear = fiscalYearFor(invoice.invoiceDate);
+
+  const result = threeWayMatch({ lines: invoice.lines, poLines: po?.lines, tolerance: settings.tolerance });
+  invoice.lines.forEach((line, index) => {
+    line.match = result.lines[index];
+  });
+  invoice.matchStatus = result.status;
+  invoice.matchedAt = new Date();
+  invoice.matchOverride = undefined;
+
+  // WHT base is the invoice value excluding sales tax
+  const subtotal = invoice.lines.reduce((sum, line) => sum + round2(line.quantity * line.unitPrice), 0);
+  const wht = vendor.calculateWHT(subtotal);
+  invoice.wht = {
+    rate: wht.whtRate,
+    amount: wht.whtAmount,
+    section: vendor.wht?.applicableSection,
+    isExempt: Boolean(wht.isExempt),
+    belowThreshold: Boolean(wht.belowThreshold),
+  };
+  return invoice;
+};
+
+const EDITABLE_FIELDS = ['vendorInvoiceNumber', 'invoiceDate', 'dueDate', 'lines', 'attachmentUrl', 'notes'];
+
+// ============================================
+// INVOICE LIFECYCLE
+// ============================================
+
+/**
+ * Record a draft invoice, optionally against a purchase order
+ * @param {object} params - { companyId, data: { vendor, purchaseOrder, vendorInvoiceNumber, invoiceDate, dueDate, lines, notes }, userId }
+ */
+export const createInvoice = async ({ companyId, data, userId }) => {
+  if (!data.vendor) throw payablesError('Vendor is required');
+  if (!data.lines?.length) throw payablesError('At least one invoice line is required');
+
+  const vendor = await findVendor(companyId, data.vendor);
+  if (vendor.status !== 'active') {
+    throw payablesError(`Vendor ${vendor.name} is ${vendor.status}`);
+  }
+  const po = data.purchaseOrder ? await findPurchaseOrder(companyId, data.purchaseOrder, vendor._id) : null;
+  await assertNotDuplicate(companyId, vendor._id, data.vendorInvoiceNumber);
+
+  const invoiceDate = data.invoiceDate ? new Date(data.invoiceDate) : new Date();
+  const invoice = new VendorInvoice({
+    ...Object.fromEntries(EDITABLE_FIELDS.filter((field) => data[field] !== undefined).map((field) => [field, data[field]])),
+    company: companyId,
+    invoiceNumber: await generateInvoiceNumber(companyId, invoiceDate),
+    vendor: vendor._id,
+    purchaseOrder: po?._id,
+    invoiceDate,
+    createdBy: userId,
+  });
+
+  prepareInvoice(invoice, vendor, po, await getSettings(companyId));
+  await invoice.save();
+  return invoice;
+};
+
+/**
+ * Edit a draft invoice and re-run matching
+ */
+export const updateInvoice = async ({ companyId, id, data }) => {
+  const invoice = await findInvoice(companyId, id);
+  if (invoice.status !== 'draft') throw payablesError(`Cannot edit a ${invoice.status} invoice`);
+
+  if (data.vendorInvoiceNumber && data.vendorInvoiceNumber !== invoice.vendorInvoiceNumber) {
+    await assertNotDuplicate(companyId, invoice.vendor, data.vendorInvoiceNumber, invoice._id);
+  }
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) invoice[field] = data[field];
+  }
+  // Recompute the due date from terms unless one was given
+  if (data.invoiceDate && data.dueDate === undefined) invoice.dueDate = undefined;
+
+  return rematchInvoice(companyId, invoice);
+};
+
+/**
+ * Re-run the three-way match on a draft (e.g. after further goods receipts)
+ */
+export const rematchInvoice = async (companyId, invoiceOrId) => {
+  const invoice = invoiceOrId instanceof VendorInvoice ? invoiceOrId : await findInvoice(companyId, invoiceOrId);
+  if (invoice.status !== 'draft') throw payablesError(`Cannot re-match a ${invoice.status} invoice`);
+
+  const vendor = await findVendor(companyId, invoice.vendor);
+  const po = invoice.purchaseOrder ? await PurchaseOrder.findOne({ _id: invoice.purchaseOrder, company: companyId }) : null;
+  prepareInvoice(invoice, vendor, po, await getSettings(companyId));
+  await invoice.save();
+  return invoice;
+};
+
+/**
+ * Approve a draft and post it to accounts payable. Match exceptions need an override reason.
+ * Updates the PO's invoiced quantities and budget utilization and the vendor's payable balance.
+ */
+export const approveInvoice = async ({ companyId, id, userId, overrideReason }) => {
+  // Claim draft -> approving first; a concurrent request finds nothing to claim
+  const invoice = await VendorInvoice.findOneAndUpdate(
+    { _id: id, company: companyId, status: 'draft' },
+    { status: 'approving' },
+    { new: true }
+  );
+  if (!invoice) {
+    const current = await findInvoice(companyId, id);
+    throw payablesError(`Only draft invoices can be approved (invoice is ${current.status})`);
+  }
+
+  let vendor;
+  let po;
+  let entry;
+  try {
+    vendor = await findVendor(companyId, invoice.vendor);
+    po = invoice.purchaseOrder ? await PurchaseOrder.findOne({ _id: invoice.purchaseOrder, company: companyId }) : null;
+    const settings = await getSettings(companyId);
+
+    // Receipts may have changed since the draft was matched
+    prepareInvoice(invoice, vendor, po, settings);
+    if (invoice.matchStatus === 'exception') {
+      if (!overrideReason?.trim()) {
+        const exceptions = invoice.lines.flatMap((line) => line.match.exceptions.map((text) => `${line.description}: ${text}`));
+        throw payablesError(`Three-way match exceptions must be resolved or overridden: ${exceptions.join('; ')}`);
+      }
+      invoice.matchStatus = 'overridden';
+      invoice.matchOverride = { reason: overrideReason.trim(), overriddenBy: userId, overriddenAt: new Date() };
+    }
+
+    // Totals are normally set in pre-save; the journal needs them now
+    invoice.lines.forEach((line) => { line.amount = round2(line.quantity * line.unitPrice); });
+    invoice.subtotal = invoice.lines.reduce((sum, line) => sum + line.amount, 0);
+    invoice.taxTotal = invoice.lines.reduce((sum, line) => sum + (line.taxAmount || 0), 0);
+    invoice.totalAmount = invoice.subtotal + invoice.taxTotal;
+
+    entry = await postJournalEntry({
+      companyId,
+      entryDate: invoice.invoiceDate,
+      entryType: 'purchase',
+      description: `Vendor invoice ${invoice.invoiceNumber} - ${vendor.name} ${invoice.vendorInvoiceNumber}`,
+      lines: buildInvoiceJournalLines(invoice, {
+        payableAccount: vendor.payableAccount || settings.accounts?.payable,
+        inputTaxAccount: settings.accounts?.inputSalesTax,
+        vendorName: vendor.name,
+      }),
+      sourceDocument: { type: 'invoice', documentId: invoice._id, documentNumber: invoice.invoiceNumber },
+      userId,
+    });
+  } catch (error) {
+    // Nothing reached the ledger, so the invoice goes back to draft
+    await VendorInvoice.updateOne({ _id: invoice._id, status: 'approving' }, { status: 'draft' });
+    throw error;
+  }
+
+  if (po) {
+    for (const line of invoice.lines) {
+      const poLine = line.poLine && po.lines.id(line.poLine);
+      if (poLine) poLine.quantityInvoiced = (poLine.quantityInvoiced || 0) + line.quantity;
+    }
+    if (po.budgetCommitted) await po.convertToUtilization(invoice.totalAmount);
+    po.invoices.push(invoice._id);
+    if (po.lines.every((poLine) => (poLine.quantityInvoiced || 0) >= poLine.quantity)) {
+      po.status = 'invoiced';
+    }
+    await po.save();
+  }
+
+  await Vendor.updateOne(
+    { _id: vendor._id },
+    {
+      $inc: { currentBalance: invoice.totalAmount, totalPurchases: invoice.totalAmount },
+      $set: { lastTransactionDate: new Date() },
+    }
+  );
+
+  invoice.status = 'approved';
+  invoice.approvedBy = userId;
+  invoice.approvedAt = new Date();
+  invoice.journalEntry = entry._id;
+  await invoice.save();
+
+  logger.info(`Vendor invoice ${invoice.invoiceNumber} posted as ${entry.entryNumber}`);
+  return invoice;
+};
+
+/**
+ * Cancel a draft. Approved invoices are already in the ledger and are not cancelled here.
+ */
+export const cancelInvoice = async ({ companyId, id, userId, reason }) => {
+  const invoice = await findInvoice(companyId, id);
+  if (invoice.status !== 'draft') {
+    throw payablesError(`Only draft invoices can be cancelled (invoice is ${invoice.status})`);
+  }
+
+  invoice.status = 'cancelled';
+  invoice.cancelledBy = userId;
+  invoice.cancelledAt = new Date();
+  if (reason) invoice.notes = [invoice.notes, `Cancelled: ${reason}`].filter(Boolean).join('\n');
+  await invoice.save();
+  return invoice;
+};
+
+// ============================================
+// PAYMENT SCHEDULING
+// ============================================
+
+/**
+ * Approved, unscheduled invoices due on or before a date
+ */
+export const listDueInvoices = (companyId, { dueBy = new Date(), vendor } = {}) => VendorInvoice.find({
+  company: companyId,
+  status: 'approved',
+  dueDate: { $lte: new Date(dueBy) },
+  ...(vendor && { vendor }),
+})
+  .populate('vendor', 'name vendorCode bankDetails')
+  .sort({ dueDate: 1, invoiceNumber: 1 });
+
+const generateBatchNumber = async (companyId, batchDate) => {
+  const prefix = `PAY-${new Date(batchDate).toISOString().slice(0, 7).replace('-', '')}`;
+  const count = await BankPaymentBatch.countDocuments({ company: companyId, batchNumber: { $regex: `^${prefix}` } });
+  return `${prefix}-${String(count + 1).padStart(4, '0')}`;
+};
+
+/**
+ * Create a draft vendor payment batch from due invoices (or a chosen subset of them).
+ * Each invoice becomes one payment line with its WHT withheld; invoices whose vendor has
+ * no bank account are skipped and reported.
+ * @param {object} params - { companyId, dueBy, invoiceIds, vendor, batchDate, paymentMethod, sourceBank, userId }
+ * @returns {Promise<{ batch, skipped: object[] }>}
+ */
+export const schedulePayments = async ({ companyId, dueBy, invoiceIds, vendor, batchDate, paymentMethod, sourceBank, userId }) => {
+  let invoices = await listDueInvoices(companyId, { dueBy, vendor });
+  if (invoiceIds?.length) {
+    const wanted = new Set(invoiceIds.map(String));
+    invoices = invoices.filter((invoice) => wanted.has(invoice._id.toString()));
+  }
+
+  const skipped = [];
+  const payable = invoices.filter((invoice) => {
+    if (invoice.vendor?.bankDetails?.accountNumber || invoice.vendor?.bankDetails?.iban) return true;
+    skipped.push({ invoice: invoice._id, invoiceNumber: invoice.invoiceNumber, reason: 'Vendor has no bank account' });
+    return false;
+  });
+  if (!payable.length) {
+    throw payablesError('No approved invoices are due for payment');
+  }
+
+  const date = batchDate ? new Date(batchDate) : new Date();
+  const batch = new BankPaymentBatch({
+    company: companyId,
+    batchNumber: await generateBatchNumber(companyId, date),
+    batchDate: date,
+    batchType: 'vendor',
+    ...(paymentMethod && { paymentMethod }),
+    ...(sourceBank && { sourceBank }),
+    payments: payable.map((invoice) => {
+      const { bankDetails = {} } = invoice.vendor;
+      return {
+        paymentType: 'vendor',
+        beneficiary: invoice.vendor._id,
+        beneficiaryModel: 'Vendor',
+        beneficiaryName: bankDetails.accountTitle || invoice.vendor.name,
+        beneficiaryAccount: bankDetails.accountNumber || bankDetails.iban,
+        beneficiaryIBAN: bankDetails.iban,
+        beneficiaryBank: bankDetails.bankName,
+        beneficiaryBranchCode: bankDetails.branchCode,
+        grossAmount: invoice.totalAmount,
+        whtAmount: invoice.wht?.amount || 0,
+        netAmount: round2(invoice.totalAmount - (invoice.wht?.amount || 0)),
+        reference: invoice.vendorInvoiceNumber,
+        narration: `Payment of invoice ${invoice.vendorInvoiceNumber}`,
+        sourceDocument: { type: 'invoice', documentId: invoice._id, documentNumber: invoice.invoiceNumber },
+      };
+    }),
+    createdBy: userId,
+    remarks: `Vendor invoices due by ${new Date(dueBy || date).toISOString().slice(0, 10)}`,
+    auditLog: [{ action: 'created', performedBy: userId, details: { source: 'vendor-invoices', invoices: payable.length } }],
+  });
+  await batch.save();
+
+  await VendorInvoice.updateMany(
+    { company: companyId, _id: { $in: payable.map((invoice) => invoice._id) }, status: 'approved' },
+    { status: 'scheduled', paymentBatch: batch._id }
+  );
+
+  return { batch, skipped };
+};
+
+/**
+ * After a batch completes: processed lines mark their invoices paid, rejected lines
+ * return them to approved so they can be scheduled again
+ */
+export const settleBatchInvoices = async (companyId, batch) => {
+  const invoiceLines = batch.payments.filter((payment) => payment.sourceDocument?.type === 'invoice');
+  const idsWhere = (statuses) => invoiceLines
+    .filter((payment) => statuses.includes(payment.status))
+    .map((payment) => payment.sourceDocument.documentId);
+
+  await VendorInvoice.updateMany(
+    { company: companyId, _id: { $in: idsWhere(['processed']) }, paymentBatch: batch._id },
+    { status: 'paid', paidAt: new Date() }
+  );
+  await VendorInvoice.updateMany(
+    { company: companyId, _id: { $in: idsWhere(['rejected', 'cancelled']) }, paymentBatch: batch._id },
+    { status: 'approved', $unset: { paymentBatch: 1 } }
+  );
+};
+
+/**
+ * Return a deleted batch's invoices to the approved (unscheduled) pool
+ */
+export const releaseBatchInvoices = (companyId, batchId) => VendorInvoice.updateMany(
+  { company: companyId, paymentBatch: batchId, status: 'scheduled' },
+  { status: 'approved', $unset: { paymentBatch: 1 } }
+);
+
+export default {
+  DEFAULT_TOLERANCE,
+  dueDateFor,
+  threeWayMatch,
+  buildInvoiceJournalLines,
+  getSettings,
+  createInvoice,
+  updateInvoice,
+  rematchInvoice,
+  approveInvoice,
+  cancelInvoice,
+  listDueInvoices,
+  schedulePayments,
+  settleBatchInvoices,
+  releaseBatchInvoices,
+};
@@ -0,0 +1,827 @@
+/**
+ * Payroll Engine Service
+ * Government payroll runs: BPS salary structures, formula lines, income tax,
+ * GPF contribution/interest, arrears and GL posting of EnhancedPayroll records
+ */
+
+import mongoose from 'mongoose';
+import EnhancedPayroll from '../models/EnhancedPayroll.js';
+import PayrollRun from '../models/PayrollRun.js';
+import PayProfile from '../models/PayProfile.js';
+import PayrollSetting from '../models/PayrollSetting.js';
+import SalaryStructure from '../models/SalaryStructure.js';
+import { fiscalYearFor, postJournalEntry } from './ledgerService.js';
+import logger from '../config/logger.js';
+
+// FBR salaried-individual slabs FY 2025-26; `fixed` is the tax up to the previous bound
+export const DEFAULT_TAX_SLABS = [
+  { upTo: 600000, rate: 0, fixed: 0 },
+  { upTo: 1200000, rate: 1, fixed: 0 },
+  { upTo: 2200000, rate: 11, fixed: 6000 },
+  { upTo: 3200000, rate: 23, fixed: 116000 },
+  { upTo: 4100000, rate: 30, fixed: 346000 },
+  { upTo: null, rate: 35, fixed: 616000 },
+];
+
+const EARNING_TYPES = ['allowance', 'earning'];
+
+const payrollError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ============================================
+// PERIODS
+// ============================================
+
+const monthStart = (month) => new Date(`${month}-01T00:00:00`);
+
+const monthEnd = (month) => {
+  const end = monthStart(month);
+  end.setMonth(end.getMonth() + 1);
+  end.setMilliseconds(-1);
+  return end;
+};
+
+const addMonths = (month, count) => {
+  const date = monthStart(month);
+  date.setMonth(date.getMonth() + count);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Months left in the July-June fiscal year, counting the given month
+ */
+export const monthsRemainingInFiscalYear = (month) => {
+  const monthNumber = parseInt(month.slice(5, 7), 10);
+  return 12 - ((monthNumber + 5) % 12);
+};
+
+// ============================================
+// INCOME TAX
+// ============================================
+
+/**
+ * Annual tax on taxable income using progressive slabs
+ * @returns {{tax: number, slab: string}}
+ */
+export const annualIncomeTax = (income, slabs = DEFAULT_TAX_SLABS) => {
+  let lowerBound = 0;
+  for (const slab of slabs) {
+    if (slab.upTo === null || slab.upTo === undefined || income <= slab.upTo) {
+      const tax = slab.fixed + (Math.max(0, income - lowerBound) * slab.rate) / 100;
+      return { tax: Math.round(tax), slab: `${slab.rate}%` };
+    }
+    lowerBound = slab.upTo;
+  }
+  return { tax: 0, slab: '0%' };
+};
+
+/**
+ * This month's withholding: the projected annual tax less tax already deducted,
+ * spread over the remaining months. One-off income (arrears) is taxed in full this month.
+ * @param {object} params - { ytdTaxable, ytdTax, recurringTaxable, oneOffTaxable, monthsRemaining, slabs }
+ * @returns {{tax: number, annualTaxable: number, annualTax: number, slab: string}}
+ */
+export const monthlyIncomeTax = ({
+  ytdTaxable = 0,
+  ytdTax = 0,
+  recurringTaxable = 0,
+  oneOffTaxable = 0,
+  monthsRemaining,
+  slabs = DEFAULT_TAX_SLABS,
+}) => {
+  const projected = ytdTaxable + recurringTaxable * monthsRemaining;
+  const base = annualIncomeTax(projected, slabs);
+  const withOneOff = annualIncomeTax(projected + oneOffTaxable, slabs);
+
+  const recurringTax = Math.max(0, base.tax - ytdTax) / monthsRemaining;
+  return {
+    tax: Math.round(recurringTax + (withOneOff.tax - base.tax)),
+    annualTaxable: projected + oneOffTaxable,
+    annualTax: withOneOff.tax,
+    slab: withOneOff.slab,
+  };
+};
+
+// ============================================
+// FORMULAS & LINE RESOLUTION
+// ============================================
+
+const FORMULA_FUNCTIONS = {
+  min: (...args) => Math.min(...args),
+  max: (...args) => Math.max(...args),
+  round: (value) => Math.round(value),
+};
+
+const tokenize = (expression) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(.))/gy;
+  let match;
+  while (pattern.lastIndex < expression.length && (match = pattern.exec(expression))) {
+    if (match[1]) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2]) tokens.push({ type: 'name', value: match[2] });
+    else if (match[3] && match[3].trim()) {
+      if (!'+-*/(),'.includes(match[3])) throw payrollError(`Unexpected "${match[3]}" in formula "${expression}"`);
+      tokens.push({ type: 'op', value: match[3] });
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Evaluate an arithmetic pay formula without eval()
+ * Supports + - * /, parentheses, numbers, line codes and min()/max()/round()
+ * @param {string} expression - e.g. "max(BASIC * 0.45, 10000)"
+ * @param {function} lookup - returns the amount for a code
+ */
+export const evaluateFormula = (expression, lookup) => {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const expect = (value) => {
+    if (peek()?.value !== value) throw payrollError(`Expected "${value}" in formula "${expression}"`);
+    position += 1;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) throw payrollError(`Unexpected end of formula "${expression}"`);
+    if (token.type === 'number') return token.value;
+    if (token.value === '-') return -parsePrimary();
+    if (token.value === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+    if (token.type === 'name') {
+      if (peek()?.value === '(') {
+        const fn = FORMULA_FUNCTIONS[token.value.toLowerCase()];
+        if (!fn) throw payrollError(`Unknown function "${token.value}" in formula "${expression}"`);
+        position += 1;
+        const args = [parseExpression()];
+        while (peek()?.value === ',') {
+          position += 1;
+          args.push(parseExpression());
+        }
+        expect(')');
+        return fn(...args);
+      }
+      return lookup(token.value.toUpperCase());
+    }
+    throw payrollError(`Unexpected "${token.value}" in formula "${expression}"`);
+  };
+
+  const parseTerm = () => {
+    let value = parsePrimary();
+    while (['*', '/'].includes(peek()?.value)) {
+      const operator = tokens[position++].value;
+      const right = parsePrimary();
+      if (operator === '*') value *= right;
+      else value = right === 0 ? 0 : value / right;
+    }
+    return value;
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (['+', '-'].includes(peek()?.value)) {
+      const operator = tokens[position++].value;
+      value = operator === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  const result = parseExpression();
+  if (position < tokens.length) throw payrollError(`Unexpected "${peek().value}" in formula "${expression}"`);
+  return result;
+};
+
+/**
+ * Merge structure lines with an employee's own lines; profile lines replace structure lines with the same code
+ */
+export const mergeLines = (structureLines = [], profileLines = []) => {
+  const byCode = new Map();
+  for (const line of [...structureLines, ...profileLines]) {
+    const plain = typeof line.toObject === 'function' ? line.toObject() : { ...line };
+    byCode.set(plain.code.toUpperCase(), { ...plain, code: plain.code.toUpperCase() });
+  }
+  return [...byCode.values()];
+};
+
+/**
+ * Resolve fixed, percentage and formula line amounts
+ * Percentage lines use `baseCode`; formulas may reference any line code. BASIC is always
+ * available and GROSS (all earnings) may be used by deduction lines.
+ * @param {Array} lines - merged line templates
+ * @param {object} vars - { BASIC, ... } amounts that are not lines
+ * @returns {Array} lines with whole-rupee `amount`
+ */
+export const resolveLines = (lines, vars = {}) => {
+  const byCode = new Map(lines.map((line) => [line.code, line]));
+  const resolved = new Map();
+  const resolving = [];
+
+  const amountOf = (code) => {
+    if (resolved.has(code)) return resolved.get(code);
+    if (code in vars) return vars[code];
+    if (code === 'GROSS') {
+      return (vars.BASIC || 0) + lines
+        .filter((line) => EARNING_TYPES.includes(line.type))
+        .reduce((sum, line) => sum + amountOf(line.code), 0);
+    }
+
+    const line = byCode.get(code);
+    if (!line) throw payrollError(`Unknown pay line code "${code}"`);
+    if (resolving.includes(code)) {
+      throw payrollError(`Circular pay line reference: ${[...resolving, code].join(' → ')}`);
+    }
+
+    resolving.push(code);
+    let amount;
+    if (line.calculationMethod === 'percentage') {
+      amount = (amountOf(line.baseCode || 'BASIC') * (line.percentage || 0)) / 100;
+    } else if (line.calculationMethod === 'formula') {
+      if (!line.formula) throw payrollError(`Pay line ${code} has no formula`);
+      amount = evaluateFormula(line.formula, amountOf);
+    } else {
+      amount = line.amount || 0;
+    }
+    resolving.pop();
+
+    amount = Math.max(0, Math.round(amount));
+    resolved.set(code, amount);
+    return amount;
+  };
+
+  return lines.map((line) => ({ ...line, amount: amountOf(line.code) }));
+};
+
+// ============================================
+// PAY COMPONENTS
+// ============================================
+
+/**
+ * Basic pay for a BPS stage: minimum of scale plus one increment per stage above 1
+ */
+export const basicPayFor = (structure, stage = 1) => {
+  const effectiveStage = Math.min(Math.max(stage, 1), structure.maxStages || stage);
+  return structure.minimumPay + (structure.annualIncrement || 0) * (effectiveStage - 1);
+};
+
+/**
+ * Monthly GPF subscription: a fixed amount if set, otherwise a percentage of basic pay
+ */
+export const gpfContribution = (gpf = {}, basicPay) => {
+  if (gpf.isMember === false) return 0;
+  if (gpf.monthlyContribution > 0) return Math.round(gpf.monthlyContribution);
+  return Math.round((basicPay * (gpf.contributionRate ?? 8.33)) / 100);
+};
+
+/**
+ * One month's interest on the opening GPF balance
+ */
+export const gpfMonthlyInterest = (balance, annualRate) => round2(((balance || 0) * (annualRate || 0)) / 100 / 12);
+
+const isOnDeputationIn = (deputation, month) => {
+  if (!deputation?.isOnDeputation) return false;
+  if (deputation.deputationStartDate && new Date(deputation.deputationStartDate) > monthEnd(month)) return false;
+  if (deputation.deputationEndDate && new Date(deputation.deputationEndDate) < monthStart(month)) return false;
+  return true;
+};
+
+/**
+ * Earnings an employee is entitled to for a month (no deductions or arrears)
+ */
+const computeEarnings = ({ structure, profile, month, accounts = {} }) => {
+  const basicPay = basicPayFor(structure, profile.stage);
+  const lines = resolveLines(mergeLines(structure.lines, profile.lines), { BASIC: basicPay });
+
+  const earnings = [
+    {
+      code: 'BASIC',
+      name: 'Basic Pay',
+      type: 'earning',
+      category: 'basic-pay',
+      isTaxable: true,
+      calculationMethod: 'fixed',
+      amount: basicPay,
+      glAccount: accounts.basicPay,
+    },
+    ...lines.filter((line) => EARNING_TYPES.includes(line.type)),
+  ];
+
+  if (isOnDeputationIn(profile.deputation, month) && !earnings.some((line) => line.category === 'deputation-allowance')) {
+    const percent = profile.deputation.deputationAllowancePercent ?? 20;
+    earnings.push({
+      code: 'DEPUTATION',
+      name: 'Deputation Allowance',
+      type: 'allowance',
+      category: 'deputation-allowance',
+      isTaxable: true,
+      calculationMethod: 'percentage',
+      baseCode: 'BASIC',
+      percentage: percent,
+      amount: Math.round((basicPay * percent) / 100),
+      glAccount: accounts.deputationAllowance,
+    });
+  }
+
+  return { basicPay, earnings, deductions: lines.filter((line) => !EARNING_TYPES.includes(line.type)) };
+};
+
+const sumAmounts = (lines) => lines.reduce((sum, line) => sum + line.amount, 0);
+
+/**
+ * Full monthly payslip for one employee
+ * @param {object} params - { structure, profile, month, accounts, ytd: { taxable, tax }, arrears, slabs }
+ */
+export const computePayslip = ({ structure, profile, month, accounts = {}, ytd = {}, arrears = 0, slabs = DEFAULT_TAX_SLABS }) => {
+  const { basicPay, earnings, deductions } = computeEarnings({ structure, profile, month, accounts });
+
+  if (arrears > 0) {
+    earnings.push({
+      code: 'ARREARS',
+      name: 'Arrears',
+      type: 'earning',
+      category: 'arrears',
+      isTaxable: true,
+      calculationMethod: 'fixed',
+      amount: Math.round(arrears),
+      glAccount: accounts.arrears || accounts.basicPay,
+    });
+  }
+
+  const gpf = profile.gpf || {};
+  const contribution = gpfContribution(gpf, basicPay);
+  if (contribution > 0) {
+    deductions.push({
+      code: 'GPF',
+      name: 'GPF Subscription',
+      type: 'deduction',
+      category: 'gpf',
+      isTaxable: false,
+      calculationMethod: gpf.monthlyContribution > 0 ? 'fixed' : 'percentage',
+      baseCode: 'BASIC',
+      percentage: gpf.contributionRate,
+      amount: contribution,
+      glAccount: accounts.gpfFund,
+    });
+  }
+
+  const pension = profile.pension || {};
+  if (pension.pensionScheme === 'cps') {
+    deductions.push({
+      code: 'CPS',
+      name: 'Contributory Pension',
+      type: 'deduction',
+      category: 'pension-contribution',
+      isTaxable: false,
+      calculationMethod: 'percentage',
+      baseCode: 'BASIC',
+      percentage: pension.contributionRate,
+      amount: Math.round((basicPay * (pension.contributionRate ?? 10)) / 100),
+      glAccount: accounts.pensionFund,
+    });
+  }
+
+  const taxableIncome = sumAmounts(earnings.filter((line) => line.isTaxable));
+  const oneOffTaxable = arrears > 0 ? Math.round(arrears) : 0;
+  const tax = monthlyIncomeTax({
+    ytdTaxable: ytd.taxable || 0,
+    ytdTax: ytd.tax || 0,
+    recurringTaxable: taxableIncome - oneOffTaxable,
+    oneOffTaxable,
+    monthsRemaining: monthsRemainingInFiscalYear(month),
+    slabs,
+  });
+  if (tax.tax > 0) {
+    deductions.push({
+      code: 'INCOME_TAX',
+      name: 'Income Tax',
+      type: 'statutory',
+      category: 'income-tax',
+      isTaxable: false,
+      calculationMethod: 'formula',
+      amount: tax.tax,
+      glAccount: accounts.incomeTaxPayable,
+    });
+  }
+
+  const openingBalance = gpf.isMember === false ? 0 : gpf.currentBalance || 0;
+  const interest = gpf.isMember === false ? 0 : gpfMonthlyInterest(openingBalance, gpf.interestRate ?? 13);
+  const grossEarnings = sumAmounts(earnings);
+  const totalDeductions = sumAmounts(deductions);
+
+  return {
+    basicPay,
+    earnings,
+    deductions,
+    grossEarnings,
+    totalDeductions,
+    netPay: grossEarnings - totalDeductions,
+    taxableIncome,
+    incomeTax: tax.tax,
+    taxSlab: tax.slab,
+    gpf: {
+      contribution,
+      interest,
+      openingBalance,
+      closingBalance: round2(openingBalance + contribution + interest),
+    },
+  };
+};
+
+// ============================================
+// DATA ACCESS
+// ============================================
+
+export const getSettings = async (companyId) => {
+  const settings = await PayrollSetting.findOne({ company: companyId }).lean();
+  return settings || { company: companyId, accounts: {}, taxSlabs: [] };
+};
+
+const slabsFor = (settings) => (settings.taxSlabs?.length ? settings.taxSlabs : DEFAULT_TAX_SLABS);
+
+/**
+ * Structure in force for a BPS at the end of a month
+ */
+export const resolveStructure = (companyId, bps, month) => SalaryStructure.findOne({
+  company: companyId,
+  bps,
+  isActive: true,
+  effectiveFrom: { $lte: monthEnd(month) },
+}).sort({ effectiveFrom: -1 }).lean();
+
+/**
+ * Taxable income and tax already deducted earlier in the month's fiscal year
+ */
+const yearToDate = async (companyId, employeeId, month) => {
+  const [totals] = await EnhancedPayroll.aggregate([
+    {
+      $match: {
+        company: new mongoose.Types.ObjectId(companyId),
+        employee: employeeId,
+        fiscalYear: fiscalYearFor(monthStart(month)),
+        month: { $lt: month },
+        isPosted: true,
+      },
+    },
+    { $group: { _id: null, taxable: { $sum: '$taxableIncome' }, tax: { $sum: '$incomeTax' } } },
+  ]);
+  return { taxable: totals?.taxable || 0, tax: totals?.tax || 0 };
+};
+
+/**
+ * Arrears for a past month range: earnings due under the structures now in force
+ * less the earnings actually paid (excluding arrears paid in those months)
+ */
+export const computeArrears = async ({ companyId, profile, fromMonth, toMonth }) => {
+  if (!fromMonth || !toMonth || fromMonth > toMonth) {
+    throw payrollError('Arrears need a fromMonth not later than toMonth');
+  }
+
+  const paid = await EnhancedPayroll.find({
+    company: companyId,
+    employee: profile.employee._id || profile.employee,
+    month: { $gte: fromMonth, $lte: toMonth },
+    isPosted: true,
+  }).select('month earnings').lean();
+  const paidByMonth = new Map(paid.map((payroll) => [
+    payroll.month,
+    sumAmounts(payroll.earnings.filter((line) => line.category !== 'arrears')),
+  ]));
+
+  let total = 0;
+  for (let month = fromMonth; month <= toMonth; month = addMonths(month, 1)) {
+    const structure = await resolveStructure(companyId, profile.bps, month);
+    if (!structure) continue;
+    const due = sumAmounts(computeEarnings({ structure, profile, month }).earnings);
+    total += Math.max(0, due - (paidByMonth.get(month) || 0));
+  }
+  return Math.round(total);
+};
+
+const generateRunNumber = async (companyId, month) => {
+  const prefix = `PR-${month.replace('-', '')}`;
+  const count = await PayrollRun.countDocuments({ company: companyId, runNumber: { $regex: `^${prefix}` } });
+  return `${prefix}-${String(count + 1).padStart(2, '0')}`;
+};
+
+const findRun = async (companyId, runId) => {
+  const run = await PayrollRun.findOne({ _id: runId, company: companyId });
+  if (!run) throw payrollError('Payroll run not found', 404);
+  return run;
+};
+
+// ============================================
+// RUN LIFECYCLE
+// ============================================
+
+/**
+ * Calculate (or recalculate) every active pay profile for a draft run
+ */
+export const calculateRun = async (companyId, runId, userId) => {
+  const run = await findRun(companyId, runId);
+  if (run.status !== 'draft') throw payrollError(`Cannot recalculate a ${run.status} payroll run`);
+
+  const settings = await getSettings(companyId);
+  const accounts = settings.accounts || {};
+  const slabs = slabsFor(settings);
+
+  await EnhancedPayroll.deleteMany({ company: companyId, payrollRun: run._id });
+
+  const profiles = await PayProfile.find({ company: companyId, isActive: true })
+    .populate('employee', 'firstName lastName employeeId designation department accountNumber iban status joinDate')
+    .lean();
+
+  const totals = { employees: 0, grossEarnings: 0, totalDeductions: 0, netPay: 0, incomeTax: 0, gpfContribution: 0, gpfInterest: 0, arrears: 0 };
+  const exceptions = [];
+
+  for (const profile of profiles) {
+    const employee = profile.employee;
+    if (!employee || employee.status === 'inactive') continue;
+    if (employee.joinDate && new Date(employee.joinDate) > monthEnd(run.month)) continue;
+
+    try {
+      const structure = await resolveStructure(companyId, profile.bps, run.month);
+      if (!structure) throw payrollError(`No salary structure for BPS-${profile.bps} effective ${run.month}`);
+
+      let arrears = 0;
+      for (const item of run.arrears.filter((entry) => entry.employee.toString() === employee._id.toString())) {
+        arrears += item.amount > 0
+          ? item.amount
+          : await computeArrears({ companyId, profile, fromMonth: item.fromMonth, toMonth: item.toMonth });
+      }
+
+      const slip = computePayslip({
+        structure,
+        profile,
+        month: run.month,
+        accounts,
+        ytd: await yearToDate(companyId, employee._id, run.month),
+        arrears,
+        slabs,
+      });
+
+      const payroll = await EnhancedPayroll.create({
+        company: companyId,
+        employee: employee._id,
+        payrollRun: run._id,
+        fiscalYear: run.fiscalYear,
+        month: run.month,
+        payPeriodStart: monthStart(run.month),
+        payPeriodEnd: monthEnd(run.month),
+        employeeSnapshot: {
+          employeeId: employee.employeeId,
+          name: `${employee.firstName} ${employee.lastName}`,
+          designation: employee.designation,
+          department: employee.department,
+          bps: profile.bps,
+          stage: profile.stage,
+          bankAccount: employee.accountNumber,
+          iban: employee.iban,
+        },
+        payScale: { bps: profile.bps, stage: profile.stage, basicPay: slip.basicPay },
+        earnings: slip.earnings,
+        deductions: slip.deductions,
+        incomeTax: slip.incomeTax,
+        taxSlab: slip.taxSlab,
+        gpf: {
+          accountNumber: profile.gpf?.accountNumber,
+          monthlyContribution: slip.gpf.contribution,
+          contributionRate: profile.gpf?.contributionRate,
+          currentBalance: slip.gpf.closingBalance,
+          interestRate: profile.gpf?.interestRate,
+          monthlyInterest: slip.gpf.interest,
+        },
+        pension: {
+          pensionScheme: profile.pension?.pensionScheme,
+          pensionAccountNumber: profile.pension?.pensionAccountNumber,
+          contributionRate: profile.pension?.contributionRate,
+          employeeContribution: slip.deductions.find((line) => line.code === 'CPS')?.amount || 0,
+          serviceStartDate: profile.pension?.serviceStartDate,
+        },
+        deputation: profile.deputation,
+        costCenter: profile.costCenter,
+        status: 'calculated',
+        calculatedBy: userId,
+        calculatedAt: new Date(),
+      });
+
+      totals.employees += 1;
+      totals.grossEarnings += payroll.grossEarnings;
+      totals.totalDeductions += payroll.totalDeductions;
+      totals.netPay += payroll.netPay;
+      totals.incomeTax += slip.incomeTax;
+      totals.gpfContribution += slip.gpf.contribution;
+      totals.gpfInterest = round2(totals.gpfInterest + slip.gpf.interest);
+      totals.arrears += arrears;
+    } catch (error) {
+      exceptions.push({ employee: employee._id, message: error.message });
+    }
+  }
+
+  run.totals = totals;
+  run.exceptions = exceptions;
+  run.calculatedAt = new Date();
+  await run.save();
+
+  logger.info(`Payroll run ${run.runNumber} calculated: ${totals.employees} employees, ${exceptions.length} exceptions`);
+  return run;
+};
+
+/**
+ * Open a draft run for a month and calculate it
+ * @param {object} params - { companyId, month, arrears, remarks, userId }
+ */
+export const createRun = async ({ companyId, month, arrears = [], remarks, userId }) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) throw payrollError('month must be in YYYY-MM format');
+
+  const existing = await PayrollRun.findOne({ company: companyId, month, status: { $ne: 'cancelled' } });
+  if (existing) throw payrollError(`Payroll run ${existing.runNumber} already exists for ${month}`, 409);
+
+  const run = await PayrollRun.create({
+    company: companyId,
+    runNumber: await generateRunNumber(companyId, month),
+    month,
+    fiscalYear: fiscalYearFor(monthStart(month)),
+    arrears,
+    remarks,
+    createdBy: userId,
+  });
+
+  return calculateRun(companyId, run._id, userId);
+};
+
+/**
+ * Approve a calculated draft run
+ */
+export const approveRun = async (companyId, runId, userId) => {
+  const run = await findRun(companyId, runId);
+  if (run.status !== 'draft') throw payrollError(`Only draft payroll runs can be approved (run is ${run.status})`);
+  if (!run.totals?.employees) throw payrollError('Payroll run has no calculated payslips');
+  if (run.exceptions.length) {
+    throw payrollError(`Resolve ${run.exceptions.length} calculation exception(s) and recalculate before approving`);
+  }
+
+  await EnhancedPayroll.updateMany(
+    { company: companyId, payrollRun: run._id },
+    { status: 'approved', approvedBy: userId, approvedAt: new Date() }
+  );
+
+  run.status = 'approved';
+  run.approvedBy = userId;
+  run.approvedAt = new Date();
+  await run.save();
+  return run;
+};
+
+/**
+ * Journal lines for a run: earnings debit and deductions credit their own glAccount,
+ * net pay is credited to salaries payable and GPF interest moves from expense to the fund
+ */
+export const buildRunJournalLines = (payrolls, accounts, month) => {
+  const grouped = new Map();
+  const missing = new Set();
+
+  const add = (account, side, code, name, amount, costCenter) => {
+    if (!amount) return;
+    if (!account) {
+      missing.add(code);
+      return;
+    }
+    const key = [account, side, code, costCenter || ''].join('|');
+    const line = grouped.get(key) || {
+      account,
+      description: `${name} - ${month}`,
+      costCenter: costCenter || undefined,
+      debit: 0,
+      credit: 0,
+    };
+    line[side] = round2(line[side] + amount);
+    grouped.set(key, line);
+  };
+
+  for (const payroll of payrolls) {
+    const costCenter = payroll.costCenter?.toString();
+    for (const line of payroll.earnings) {
+      add(line.glAccount?.toString(), 'debit', line.code, line.name, line.amount, costCenter);
+    }
+    for (const line of payroll.deductions) {
+      add(line.glAccount?.toString(), 'credit', line.code, line.name, line.amount, costCenter);
+    }
+    add(accounts.salaryPayable?.toString(), 'credit', 'NET_PAY', 'Net salaries payable', payroll.netPay);
+    const interest = payroll.gpf?.monthlyInterest || 0;
+    add(accounts.gpfInterest?.toString(), 'debit', 'GPF_INTEREST', 'GPF interest', interest);
+    add(accounts.gpfFund?.toString(), 'credit', 'GPF_INTEREST', 'GPF interest', interest);
+  }
+
+  if (missing.size) {
+    throw payrollError(`GL account not configured for pay lines: ${[...missing].join(', ')}`);
+  }
+  return [...grouped.values()];
+};
+
+/**
+ * Post an approved run to the general ledger and roll GPF balances forward
+ */
+export const postRun = async (companyId, runId, userId) => {
+  // Claim approved -> posting first; a concurrent request finds nothing to claim
+  const run = await PayrollRun.findOneAndUpdate(
+    { _id: runId, company: companyId, status: 'approved' },
+    { status: 'posting' },
+    { new: true }
+  );
+  if (!run) {
+    const current = await findRun(companyId, runId);
+    throw payrollError(`Only approved payroll runs can be posted (run is ${current.status})`);
+  }
+
+  let payrolls;
+  let entry;
+  try {
+    const settings = await getSettings(companyId);
+    payrolls = await EnhancedPayroll.find({ company: companyId, payrollRun: run._id });
+    entry = await postJournalEntry({
+      companyId,
+      entryDate: monthEnd(run.month),
+      entryType: 'payroll',
+      description: `Payroll ${run.month} (${run.runNumber})`,
+      lines: buildRunJournalLines(payrolls, settings.accounts || {}, run.month),
+      sourceDocument: { type: 'payroll', documentId: run._id, documentNumber: run.runNumber },
+      userId,
+    });
+  } catch (error) {
+    // Nothing reached the ledger, so the run can be posted again
+    await PayrollRun.updateOne({ _id: run._id, status: 'posting' }, { status: 'approved' });
+    throw error;
+  }
+
+  for (const payroll of payrolls) {
+    if (payroll.gpf) {
+      await PayProfile.updateOne(
+        { company: companyId, employee: payroll.employee },
+        {
+          'gpf.currentBalance': payroll.gpf.currentBalance,
+          ...(payroll.gpf.monthlyInterest > 0 && { 'gpf.lastInterestDate': monthEnd(run.month) }),
+        }
+      );
+    }
+  }
+  await EnhancedPayroll.updateMany(
+    { company: companyId, payrollRun: run._id },
+    { isPosted: true, journalEntry: entry._id }
+  );
+
+  run.status = 'posted';
+  run.postedBy = userId;
+  run.postedAt = new Date();
+  run.journalEntry = entry._id;
+  await run.save();
+
+  logger.info(`Payroll run ${run.runNumber} posted as ${entry.entryNumber}`);
+  return run;
+};
+
+/**
+ * Cancel an unposted run; its payslips are removed so the month can be run again
+ */
+export const cancelRun = async (companyId, runId, userId, remarks) => {
+  const run = await findRun(companyId, runId);
+  if (!['draft', 'approved'].includes(run.status)) {
+    throw payrollError(`Cannot cancel a ${run.status} payroll run`);
+  }
+
+  await EnhancedPayroll.deleteMany({ company: companyId, payrollRun: run._id });
+
+  run.status = 'cancelled';
+  run.cancelledBy = userId;
+  run.cancelledAt = new Date();
+  if (remarks) run.remarks = remarks;
+  await run.save();
+  return run;
+};
+
+export default {
+  DEFAULT_TAX_SLABS,
+  monthsRemainingInFiscalYear,
+  annualIncomeTax,
+  monthlyIncomeTax,
+  evaluateFormula,
+  mergeLines,
+  resolveLines,
+  basicPayFor,
+  gpfContribution,
+  gpfMonthlyInterest,
+  computePayslip,
+  getSettings,
+  resolveStructure,
+  computeArrears,
+  calculateRun,
+  createRun,
+  approveRun,
+  buildRunJournalLines,
+  postRun,
+  cancelRun,
+};
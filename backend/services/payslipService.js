@@ -0,0 +1,344 @@
+/**
+ * Payslip Service
+ * Builds employee payslips from payroll-engine records (or uploaded flat payroll)
+ * and renders them as HTML, PDF and WhatsApp text
+ */
+
+import { jsPDF } from 'jspdf';
+import { autoTable } from 'jspdf-autotable';
+import EnhancedPayroll from '../models/EnhancedPayroll.js';
+import Payroll from '../models/Payroll.js';
+import User from '../models/User.js';
+import Company from '../models/Company.js';
+import { fiscalYearFor } from './ledgerService.js';
+
+// Engine payslips become visible to the employee once the run is approved
+const PUBLISHED_STATUSES = ['approved', 'paid'];
+
+const payslipError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+export const formatMonthLabel = (month) => new Date(`${month}-01T00:00:00`)
+  .toLocaleString('en-US', { month: 'long', year: 'numeric' });
+
+export const formatAmount = (amount) => `Rs. ${Math.round(amount || 0).toLocaleString('en-US')}`;
+
+const lineRow = (line) => ({ code: line.code, name: line.name, amount: line.amount || 0 });
+
+/**
+ * Normalize an EnhancedPayroll or flat Payroll record into the payslip shape the renderers use
+ */
+export const toPayslip = (record, source) => {
+  if (source === 'payroll-engine') {
+    return {
+      source,
+      month: record.month,
+      fiscalYear: record.fiscalYear,
+      employee: {
+        name: record.employeeSnapshot?.name,
+        employeeId: record.employeeSnapshot?.employeeId,
+        designation: record.employeeSnapshot?.designation,
+        department: record.employeeSnapshot?.department,
+        bps: record.payScale?.bps,
+        stage: record.payScale?.stage,
+        bankAccount: record.employeeSnapshot?.iban || record.employeeSnapshot?.bankAccount,
+      },
+      earnings: record.earnings.map(lineRow),
+      deductions: record.deductions.map(lineRow),
+      grossEarnings: record.grossEarnings,
+      totalDeductions: record.totalDeductions,
+      netPay: record.netPay,
+      taxableIncome: record.taxableIncome,
+      incomeTax: record.incomeTax || 0,
+      taxSlab: record.taxSlab,
+      gpf: record.gpf ? { contribution: record.gpf.monthlyContribution, balance: record.gpf.currentBalance } : null,
+    };
+  }
+
+  return {
+    source,
+    month: record.month,
+    fiscalYear: fiscalYearFor(new Date(`${record.month}-01T00:00:00`)),
+    employee: {},
+    earnings: [{ code: 'SALARY', name: 'Salary', amount: record.amount }],
+    deductions: [],
+    grossEarnings: record.amount,
+    totalDeductions: 0,
+    netPay: record.amount,
+    taxableIncome: record.amount,
+    incomeTax: 0,
+    notes: record.notes,
+  };
+};
+
+/**
+ * All published payslips for an employee, newest first; engine records win over an upload for the same month
+ */
+const loadPayslips = async (companyId, employeeId) => {
+  const [engine, uploaded] = await Promise.all([
+    EnhancedPayroll.find({ company: companyId, employee: employeeId, status: { $in: PUBLISHED_STATUSES } }).lean(),
+    Payroll.find({ company: companyId, employee: employeeId }).lean(),
+  ]);
+
+  const byMonth = new Map();
+  for (const record of uploaded) byMonth.set(record.month, toPayslip(record, 'payroll-upload'));
+  for (const record of engine) byMonth.set(record.month, toPayslip(record, 'payroll-engine'));
+
+  return [...byMonth.values()].sort((a, b) => b.month.localeCompare(a.month));
+};
+
+/**
+ * Fiscal-year-to-date totals up to and including the payslip's month
+ */
+export const yearToDateTotals = (payslips, month) => {
+  const fiscalYear = fiscalYearFor(new Date(`${month}-01T00:00:00`));
+  return payslips
+    .filter((slip) => slip.fiscalYear === fiscalYear && slip.month <= month)
+    .reduce((totals, slip) => ({
+      ...totals,
+      grossEarnings: totals.grossEarnings + (slip.grossEarnings || 0),
+      totalDeductions: totals.totalDeductions + (slip.totalDeductions || 0),
+      netPay: totals.netPay + (slip.netPay || 0),
+      taxableIncome: totals.taxableIncome + (slip.taxableIncome || 0),
+      incomeTax: totals.incomeTax + (slip.incomeTax || 0),
+    }), { fiscalYear, grossEarnings: 0, totalDeductions: 0, netPay: 0, taxableIncome: 0, incomeTax: 0 });
+};
+
+/**
+ * Payslip history summaries for the self-service list
+ */
+export const listPayslips = async (companyId, employeeId) => {
+  const payslips = await loadPayslips(companyId, employeeId);
+  return payslips.map((slip) => ({
+    month: slip.month,
+    label: formatMonthLabel(slip.month),
+    source: slip.source,
+    grossEarnings: slip.grossEarnings,
+    totalDeductions: slip.totalDeductions,
+    netPay: slip.netPay,
+    incomeTax: slip.incomeTax,
+  }));
+};
+
+/**
+ * One payslip with employee/company details and YTD totals
+ * @param {string} [month] - YYYY-MM; defaults to the latest payslip
+ */
+export const getPayslip = async (companyId, employeeId, month) => {
+  const payslips = await loadPayslips(companyId, employeeId);
+  const payslip = month ? payslips.find((slip) => slip.month === month) : payslips[0];
+  if (!payslip) {
+    throw payslipError(month ? `No payslip found for ${formatMonthLabel(month)}` : 'No payslips found', 404);
+  }
+
+  const [employee, company] = await Promise.all([
+    User.findById(employeeId).select('firstName lastName employeeId designation department iban accountNumber').lean(),
+    Company.findById(companyId).select('name').lean(),
+  ]);
+
+  return {
+    ...payslip,
+    label: formatMonthLabel(payslip.month),
+    company: { name: company?.name || '' },
+    employee: {
+      ...payslip.employee,
+      name: payslip.employee.name || `${employee?.firstName || ''} ${employee?.lastName || ''}`.trim(),
+      employeeId: payslip.employee.employeeId || employee?.employeeId,
+      designation: payslip.employee.designation || employee?.designation,
+      department: payslip.employee.department || employee?.department,
+      bankAccount: payslip.employee.bankAccount || employee?.iban || employee?.accountNumber,
+    },
+    ytd: yearToDateTotals(payslips, payslip.month),
+  };
+};
+
+// ============================================
+// RENDERERS
+// ============================================
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const detailPairs = (payslip) => [
+  ['Employee', payslip.employee.name],
+  ['Employee ID', payslip.employee.employeeId],
+  ['Designation', payslip.employee.designation],
+  ['Department', payslip.employee.department],
+  ['BPS / Stage', payslip.employee.bps ? `BPS-${payslip.employee.bps} / ${payslip.employee.stage}` : null],
+  ['Bank Account', payslip.employee.bankAccount],
+].filter(([, value]) => value);
+
+const ytdRows = (payslip) => [
+  ['Gross Earnings', payslip.ytd.grossEarnings],
+  ['Total Deductions', payslip.ytd.totalDeductions],
+  ['Taxable Income', payslip.ytd.taxableIncome],
+  ['Income Tax Withheld', payslip.ytd.incomeTax],
+  ['Net Pay', payslip.ytd.netPay],
+];
+
+/**
+ * Standalone HTML payslip (printable)
+ */
+export const renderPayslipHtml = (payslip) => {
+  const lineRows = (lines) => lines
+    .map((line) => `<tr><td>${escapeHtml(line.name)}</td><td class="num">${formatAmount(line.amount)}</td></tr>`)
+    .join('') || '<tr><td colspan="2" class="muted">None</td></tr>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Payslip - ${escapeHtml(payslip.label)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; max-width: 760px; margin: 24px auto; }
+  h1 { color: #1e40af; margin: 0; font-size: 22px; }
+  h2 { font-size: 14px; color: #374151; margin: 20px 0 6px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+  th { background: #1e40af; color: #fff; }
+  .num { text-align: right; }
+  .muted { color: #9ca3af; }
+  .columns { display: flex; gap: 16px; }
+  .columns > div { flex: 1; }
+  .net { margin-top: 16px; padding: 12px; background: #eff6ff; font-size: 16px; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(payslip.company.name)}</h1>
+<p>Payslip for ${escapeHtml(payslip.label)}</p>
+<table>${detailPairs(payslip).map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>
+<div class="columns">
+  <div>
+    <h2>Earnings</h2>
+    <table>${lineRows(payslip.earnings)}<tr><th>Gross Earnings</th><th class="num">${formatAmount(payslip.grossEarnings)}</th></tr></table>
+  </div>
+  <div>
+    <h2>Deductions</h2>
+    <table>${lineRows(payslip.deductions)}<tr><th>Total Deductions</th><th class="num">${formatAmount(payslip.totalDeductions)}</th></tr></table>
+  </div>
+</div>
+<div class="net">Net Pay: ${formatAmount(payslip.netPay)}</div>
+<h2>Tax</h2>
+<table>
+  <tr><td>Taxable income this month</td><td class="num">${formatAmount(payslip.taxableIncome)}</td></tr>
+  <tr><td>Income tax withheld${payslip.taxSlab ? ` (slab ${escapeHtml(payslip.taxSlab)})` : ''}</td><td class="num">${formatAmount(payslip.incomeTax)}</td></tr>
+</table>
+<h2>Year to Date (FY ${escapeHtml(payslip.ytd.fiscalYear)})</h2>
+<table>${ytdRows(payslip).map(([label, amount]) => `<tr><td>${label}</td><td class="num">${formatAmount(amount)}</td></tr>`).join('')}</table>
+<p class="muted">This is a computer-generated payslip and does not require a signature.</p>
+</body>
+</html>`;
+};
+
+/**
+ * PDF payslip as a Buffer
+ */
+export const renderPayslipPdf = (payslip) => {
+  const doc = new jsPDF('portrait', 'mm', 'a4');
+  const tableStyles = {
+    styles: { fontSize: 9, cellPadding: 2 },
+    headStyles: { fillColor: [30, 64, 175], textColor: 255, fontStyle: 'bold' },
+    columnStyles: { 1: { halign: 'right' } },
+  };
+
+  doc.setFontSize(18);
+  doc.setTextColor(30, 64, 175);
+  doc.text(payslip.company.name || 'Payslip', 14, 18);
+  doc.setFontSize(11);
+  doc.setTextColor(100, 100, 100);
+  doc.text(`Payslip for ${payslip.label}`, 14, 26);
+
+  autoTable(doc, {
+    body: detailPairs(payslip).map(([label, value]) => [label, String(value)]),
+    startY: 32,
+    theme: 'plain',
+    styles: { fontSize: 9, cellPadding: 1.5 },
+    columnStyles: { 0: { fontStyle: 'bold', cellWidth: 40 } },
+  });
+
+  const linesY = doc.lastAutoTable.finalY + 6;
+  const lineBody = (lines) => (lines.length ? lines.map((line) => [line.name, formatAmount(line.amount)]) : [['None', '']]);
+  autoTable(doc, {
+    ...tableStyles,
+    head: [['Earnings', 'Amount']],
+    body: lineBody(payslip.earnings),
+    foot: [['Gross Earnings', formatAmount(payslip.grossEarnings)]],
+    startY: linesY,
+    margin: { left: 14, right: 108 },
+  });
+  const earningsEndY = doc.lastAutoTable.finalY;
+  autoTable(doc, {
+    ...tableStyles,
+    head: [['Deductions', 'Amount']],
+    body: lineBody(payslip.deductions),
+    foot: [['Total Deductions', formatAmount(payslip.totalDeductions)]],
+    startY: linesY,
+    margin: { left: 108, right: 14 },
+  });
+
+  const netY = Math.max(earningsEndY, doc.lastAutoTable.finalY) + 10;
+  doc.setFontSize(13);
+  doc.setTextColor(0, 0, 0);
+  doc.text(`Net Pay: ${formatAmount(payslip.netPay)}`, 14, netY);
+
+  autoTable(doc, {
+    ...tableStyles,
+    head: [['Tax', 'Amount']],
+    body: [
+      ['Taxable income this month', formatAmount(payslip.taxableIncome)],
+      [`Income tax withheld${payslip.taxSlab ? ` (slab ${payslip.taxSlab})` : ''}`, formatAmount(payslip.incomeTax)],
+    ],
+    startY: netY + 6,
+  });
+  autoTable(doc, {
+    ...tableStyles,
+    head: [[`Year to Date (FY ${payslip.ytd.fiscalYear})`, 'Amount']],
+    body: ytdRows(payslip).map(([label, amount]) => [label, formatAmount(amount)]),
+    startY: doc.lastAutoTable.finalY + 6,
+  });
+
+  doc.setFontSize(8);
+  doc.setTextColor(120, 120, 120);
+  doc.text('This is a computer-generated payslip and does not require a signature.', 14, doc.lastAutoTable.finalY + 10);
+
+  return Buffer.from(doc.output('arraybuffer'));
+};
+
+/**
+ * Plain-text payslip for WhatsApp (kept well under the 1600 character limit)
+ */
+export const formatPayslipMessage = (payslip) => {
+  const lines = (items) => items.map((line) => `• ${line.name}: ${formatAmount(line.amount)}`).join('\n') || '• None';
+
+  return `PVARA HRMS - Payslip ${payslip.label}
+
+Employee: ${payslip.employee.name}
+
+Earnings:
+${lines(payslip.earnings)}
+Gross: ${formatAmount(payslip.grossEarnings)}
+
+Deductions:
+${lines(payslip.deductions)}
+Total: ${formatAmount(payslip.totalDeductions)}
+
+NET PAY: ${formatAmount(payslip.netPay)}
+Tax withheld: ${formatAmount(payslip.incomeTax)}
+
+YTD (FY ${payslip.ytd.fiscalYear}): Gross ${formatAmount(payslip.ytd.grossEarnings)}, Tax ${formatAmount(payslip.ytd.incomeTax)}, Net ${formatAmount(payslip.ytd.netPay)}`;
+};
+
+export default {
+  formatMonthLabel,
+  formatAmount,
+  toPayslip,
+  yearToDateTotals,
+  listPayslips,
+  getPayslip,
+  renderPayslipHtml,
+  renderPayslipPdf,
+  formatPayslipMessage,
+};
@@ -0,0 +1,268 @@
+/**
+ * Permission Service
+ * Resolves a user's effective permissions from their built-in role and assigned company roles
+ */
+
+import mongoose from 'mongoose';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { ALL_PERMISSIONS, PERMISSION_GROUPS, PERMISSION_KEYS, SYSTEM_ROLES } from '../config/permissions.js';
+
+const permissionError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+/**
+ * True when `granted` covers `permission`: exact key, '*' or a trailing wildcard such as 'journal.*'
+ */
+export const hasPermission = (granted, permission) => {
+  const permissions = granted instanceof Set ? granted : new Set(granted || []);
+  if (permissions.has(ALL_PERMISSIONS) || permissions.has(permission)) return true;
+
+  const parts = permission.split('.');
+  for (let i = parts.length - 1; i > 0; i -= 1) {
+    if (permissions.has(`${parts.slice(0, i).join('.')}.*`)) return true;
+  }
+  return false;
+};
+
+export const hasAnyPermission = (granted, permissions) =>
+  permissions.some((permission) => hasPermission(granted, permission));
+
+/**
+ * Plan modules a permission set reaches into. Every user has 'core'; `planModules`
+ * limits the result to what the company's subscription includes.
+ */
+export const modulesForPermissions = (granted, planModules) => {
+  const modules = new Set(['core']);
+  PERMISSION_GROUPS.forEach((group) => {
+    if (group.permissions.some((permission) => hasPermission(granted, permission.key))) modules.add(group.module);
+  });
+  return [...modules].filter((module) => !planModules || planModules.includes(module));
+};
+
+/**
+ * Reject unknown keys so typos can't silently grant nothing
+ */
+export const validatePermissions = (permissions = []) => {
+  const unknown = permissions.filter((permission) => {
+    if (permission === ALL_PERMISSIONS) return false;
+    if (permission.endsWith('.*')) {
+      const prefix = permission.slice(0, -1);
+      return !PERMISSION_KEYS.some((key) => key.startsWith(prefix));
+    }
+    return !PERMISSION_KEYS.includes(permission);
+  });
+  if (unknown.length) {
+    throw permissionError(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+  return [...new Set(permissions)];
+};
+
+/**
+ * Combine a built-in role (or its company override) with assigned custom roles
+ * @param {object} params
+ * @param {string} params.role - built-in User.role
+ * @param {object} [params.systemOverride] - company Role doc overriding the built-in role
+ * @param {Array} [params.customRoles] - active custom Role docs
+ * @returns {Set<string>}
+ */
+export const combinePermissions = ({ role, systemOverride, customRoles = [] }) => {
+  // Admins always keep full access so a bad role edit can't lock a company out
+  if (role === 'admin') return new Set([ALL_PERMISSIONS]);
+
+  const permissions = new Set(systemOverride ? systemOverride.permissions : SYSTEM_ROLES[role]?.permissions || []);
+  customRoles.filter(Boolean).forEach((customRole) => {
+    customRole.permissions.forEach((permission) => permissions.add(permission));
+  });
+  return permissions;
+};
+
+/**
+ * Effective permissions for a user
+ * @param {object} params
+ * @param {string} params.companyId
+ * @param {string} params.userId
+ * @param {string} params.role - built-in User.role from the token
+ * @returns {Promise<Set<string>>}
+ */
+export const resolvePermissions = async ({ companyId, userId, role }) => {
+  if (role === 'admin') return combinePermissions({ role });
+
+  const [systemOverride, user] = await Promise.all([
+    Role.findOne({ company: companyId, systemRole: role, status: 'active' }).select('permissions').lean(),
+    User.findById(userId)
+      .select('customRoles')
+      .populate({ path: 'customRoles', match: { company: companyId, status: 'active' }, select: 'permissions' })
+      .lean(),
+  ]);
+
+  return combinePermissions({ role, systemOverride, customRoles: user?.customRoles });
+};
+
+/**
+ * Permissions for the current request, resolved once and cached on req
+ */
+export const permissionsForRequest = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await resolvePermissions({
+      companyId: req.user.company,
+      userId: req.user._id,
+      role: req.user.role,
+    });
+  }
+  return req.permissions;
+};
+
+// ============================================
+// ROLE MANAGEMENT
+// ============================================
+
+/**
+ * Built-in roles (with any company override) followed by custom roles, each with a user count
+ */
+export const listRoles = async (companyId) => {
+  const [roles, systemCounts, customCounts] = await Promise.all([
+    Role.find({ company: companyId }).sort({ name: 1 }).lean(),
+    User.aggregate([
+      { $match: { company: new mongoose.Types.ObjectId(companyId), status: { $ne: 'inactive' } } },
+      { $group: { _id: '$role', count: { $sum: 1 } } },
+    ]),
+    User.aggregate([
+      { $match: { company: new mongoose.Types.ObjectId(companyId), status: { $ne: 'inactive' } } },
+      { $unwind: '$customRoles' },
+      { $group: { _id: '$customRoles', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const systemCount = Object.fromEntries(systemCounts.map((row) => [row._id, row.count]));
+  const customCount = Object.fromEntries(customCounts.map((row) => [String(row._id), row.count]));
+
+  const system = Object.entries(SYSTEM_ROLES).map(([key, definition]) => {
+    const override = roles.find((role) => role.systemRole === key);
+    return {
+      _id: override?._id || null,
+      name: override?.name || definition.name,
+      description: override?.description,
+      systemRole: key,
+      isSystem: true,
+      isCustomized: Boolean(override),
+      permissions: key === 'admin' ? [ALL_PERMISSIONS] : override?.permissions || definition.permissions,
+      userCount: systemCount[key] || 0,
+    };
+  });
+
+  const custom = roles
+    .filter((role) => !role.systemRole)
+    .map((role) => ({ ...role, isSystem: false, userCount: customCount[String(role._id)] || 0 }));
+
+  return [...system, ...custom];
+};
+
+export const createRole = async ({ companyId, data, userId }) => {
+  if (!data.name?.trim()) throw permissionError('Role name is required');
+  if (Object.values(SYSTEM_ROLES).some((role) => role.name.toLowerCase() === data.name.trim().toLowerCase())) {
+    throw permissionError('A built-in role already uses this name');
+  }
+
+  try {
+    return await Role.create({
+      company: companyId,
+      name: data.name,
+      description: data.description,
+      permissions: validatePermissions(data.permissions),
+      createdBy: userId,
+      updatedBy: userId,
+    });
+  } catch (error) {
+    if (error.code === 11000) throw permissionError('A role with this name already exists');
+    throw error;
+  }
+};
+
+export const updateRole = async ({ companyId, id, data, userId }) => {
+  const role = await Role.findOne({ _id: id, company: companyId });
+  if (!role) throw permissionError('Role not found', 404);
+
+  if (data.name !== undefined && !role.systemRole) role.name = data.name;
+  if (data.description !== undefined) role.description = data.description;
+  if (data.permissions !== undefined) role.permissions = validatePermissions(data.permissions);
+  if (data.status !== undefined && !role.systemRole) role.status = data.status;
+  role.updatedBy = userId;
+
+  try {
+    return await role.save();
+  } catch (error) {
+    if (error.code === 11000) throw permissionError('A role with this name already exists');
+    throw error;
+  }
+};
+
+/**
+ * Override the permissions of a built-in role for this company (admin cannot be changed)
+ */
+export const updateSystemRole = async ({ companyId, systemRole, data, userId }) => {
+  const definition = SYSTEM_ROLES[systemRole];
+  if (!definition) throw permissionError('Unknown built-in role', 404);
+  if (systemRole === 'admin') throw permissionError('The Admin role always has every permission');
+
+  const role = await Role.findOne({ company: companyId, systemRole })
+    || new Role({ company: companyId, systemRole, name: definition.name, createdBy: userId });
+  role.permissions = validatePermissions(data.permissions ?? definition.permissions);
+  if (data.description !== undefined) role.description = data.description;
+  role.updatedBy = userId;
+  return role.save();
+};
+
+/**
+ * Drop a company override and go back to the built-in defaults
+ */
+export const resetSystemRole = async ({ companyId, systemRole }) => {
+  const role = await Role.findOne({ company: companyId, systemRole });
+  if (role) await role.deleteOne();
+};
+
+export const deleteRole = async ({ companyId, id }) => {
+  const role = await Role.findOne({ _id: id, company: companyId });
+  if (!role) throw permissionError('Role not found', 404);
+  if (role.systemRole) throw permissionError('Built-in roles cannot be deleted; reset them instead');
+
+  const assigned = await User.countDocuments({ company: companyId, customRoles: role._id });
+  if (assigned) {
+    throw permissionError(`Role is assigned to ${assigned} user(s); unassign it first`, 409);
+  }
+  await role.deleteOne();
+  return role;
+};
+
+/**
+ * Replace a user's custom role assignments
+ */
+export const assignRoles = async ({ companyId, userId, roleIds = [] }) => {
+  const user = await User.findOne({ _id: userId, company: companyId });
+  if (!user) throw permissionError('Employee not found', 404);
+
+  const roles = await Role.find({ _id: { $in: roleIds }, company: companyId, systemRole: null }).select('_id');
+  if (roles.length !== new Set(roleIds.map(String)).size) {
+    throw permissionError('One or more roles were not found');
+  }
+
+  user.customRoles = roles.map((role) => role._id);
+  await user.save();
+  return user.populate('customRoles', 'name permissions');
+};
+
+export default {
+  hasPermission,
+  hasAnyPermission,
+  modulesForPermissions,
+  validatePermissions,
+  combinePermissions,
+  resolvePermissions,
+  permissionsForRequest,
+  listRoles,
+  createRole,
+  updateRole,
+  updateSystemRole,
+  resetSystemRole,
+  deleteRole,
+  assignRoles,
+};
@@ -0,0 +1,270 @@
+/**
+ * Project Cost Service
+ * A project's actual cost is what the ledger says it spent - posted journal
+ * lines charged to it on expense and asset accounts - plus its staff time:
+ * worklog hours at each employee's hourly rate, derived from their monthly
+ * salary. Approved purchase orders not yet invoiced are commitments, and
+ * progress turns the spending so far into a forecast at completion.
+ */
+
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+import JournalEntry from '../models/JournalEntry.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import ChartOfAccount from '../models/ChartOfAccount.js';
+import PayrollSetting from '../models/PayrollSetting.js';
+import Worklog from '../models/Worklog.js';
+import User from '../models/User.js';
+
+const costError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// 22 working days of 8 hours
+export const DEFAULT_MONTHLY_HOURS = 176;
+
+const COST_ACCOUNT_TYPES = ['expense', 'asset'];
+// A reversed entry stays in the account balances; its posted reversal takes it out
+const LEDGER_STATUSES = ['posted', 'reversed'];
+const OPEN_PO_STATUSES = ['approved', 'partially_received', 'received'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const idOf = (value) => String(value?._id || value);
+const sum = (rows, field) => round2(rows.reduce((total, row) => total + (row[field] || 0), 0));
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Hourly cost of an employee from their monthly salary
+ */
+export const hourlyRate = (salary, monthlyHours = DEFAULT_MONTHLY_HOURS) =>
+  (salary > 0 && monthlyHours > 0 ? round2(salary / monthlyHours) : 0);
+
+/**
+ * Cost of worklog hours, per employee
+ * @param {Array} worklogs - { user, hoursWorked }
+ * @param {Map} salaries - employee id -> monthly salary
+ * @returns {{ hours, amount, unratedHours, byEmployee: Array }} unratedHours were logged by people with no salary on file
+ */
+export const costHours = (worklogs, salaries, { monthlyHours = DEFAULT_MONTHLY_HOURS } = {}) => {
+  const byEmployee = new Map();
+  for (const log of worklogs) {
+    const user = idOf(log.user);
+    if (!byEmployee.has(user)) {
+      byEmployee.set(user, { user, hours: 0, rate: hourlyRate(salaries.get(user), monthlyHours), amount: 0 });
+    }
+    byEmployee.get(user).hours += log.hoursWorked || 0;
+  }
+
+  const rows = [...byEmployee.values()].map((row) => ({ ...row, amount: round2(row.hours * row.rate) }));
+  return {
+    hours: sum(rows, 'hours'),
+    amount: sum(rows, 'amount'),
+    unratedHours: sum(rows.filter((row) => !row.rate), 'hours'),
+    byEmployee: rows.sort((a, b) => b.amount - a.amount),
+  };
+};
+
+/**
+ * Part of a PO line not invoiced yet, before tax as on the invoice journal
+ */
+export const openCommitment = (line) => {
+  if (!line.quantity) return 0;
+  const open = Math.max(0, line.quantity - (line.quantityInvoiced || 0)) / line.quantity;
+  return round2((line.amount || 0) * open);
+};
+
+/**
+ * Estimate at completion: spending so far extrapolated over the progress made,
+ * never below what is already spent and committed. Until there is progress
+ * the budget stands.
+ */
+export const forecastCost = ({ allocated = 0, actual = 0, committed = 0, progress = 0 }) => {
+  const floor = actual + committed;
+  if (progress >= 100) return round2(floor);
+  const trend = progress > 0 ? actual / (progress / 100) : allocated;
+  return round2(Math.max(floor, trend));
+};
+
+/**
+ * Budget vs actual vs forecast of a project
+ * @param {object} project - { budget, progress }
+ * @param {object} costs - { ledger: [{ amount }], commitments: [{ amount }], labour: costHours() }
+ */
+export const summarizeCosts = (project, { ledger = [], commitments = [], labour = costHours([], new Map()) }) => {
+  const allocated = project.budget?.allocated || 0;
+  const gl = sum(ledger, 'amount');
+  const actual = round2(gl + labour.amount);
+  const committed = sum(commitments, 'amount');
+  const forecast = forecastCost({ allocated, actual, committed, progress: project.progress || 0 });
+
+  return {
+    currency: project.budget?.currency || 'PKR',
+    allocated,
+    actual: { ledger: gl, labour: labour.amount, total: actual },
+    committed,
+    forecast,
+    variance: round2(allocated - forecast),
+    utilization: allocated ? Math.round((actual / allocated) * 100) : 0,
+    hasCosts: ledger.length > 0 || commitments.length > 0 || labour.hours > 0,
+  };
+};
+
+/**
+ * Working hours a monthly salary pays for, from payroll settings
+ */
+export const monthlyHoursFor = async (companyId) => {
+  const settings = await PayrollSetting.findOne({ company: companyId }).select('costing').lean();
+  return settings?.costing?.monthlyHours || DEFAULT_MONTHLY_HOURS;
+};
+
+/**
+ * Ledger, commitment and labour rows of projects of one company, by project id
+ */
+const loadCosts = async (projects) => {
+  const ids = projects.map((project) => project._id);
+  const company = projects[0].company;
+
+  const [ledger, orders, worklogs, monthlyHours] = await Promise.all([
+    JournalEntry.aggregate([
+      { $match: { company, status: { $in: LEDGER_STATUSES }, 'lines.project': { $in: ids } } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.project': { $in: ids } } },
+      { $lookup: { from: ChartOfAccount.collection.name, localField: 'lines.account', foreignField: '_id', as: 'account' } },
+      { $unwind: '$account' },
+      { $match: { 'account.accountType': { $in: COST_ACCOUNT_TYPES } } },
+      {
+        $group: {
+          _id: { project: '$lines.project', account: '$account._id' },
+          code: { $first: '$account.code' },
+          name: { $first: '$account.name' },
+          accountType: { $first: '$account.accountType' },
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' },
+        },
+      },
+      { $sort: { code: 1 } },
+    ]),
+    PurchaseOrder.find({ company, status: { $in: OPEN_PO_STATUSES }, 'lines.project': { $in: ids } })
+      .select('poNumber vendor status lines')
+      .populate('vendor', 'name')
+      .lean(),
+    Worklog.find({ linkedProject: { $in: ids } }).select('user linkedProject hoursWorked').lean(),
+    monthlyHoursFor(company),
+  ]);
+
+  const users = await User.find({ _id: { $in: [...new Set(worklogs.map((log) => idOf(log.user)))] } })
+    .select('firstName lastName salary')
+    .lean();
+  const salaries = new Map(users.map((user) => [idOf(user), user.salary]));
+  const names = new Map(users.map((user) => [idOf(user), `${user.firstName || ''} ${user.lastName || ''}`.trim()]));
+
+  const byProject = new Map();
+  for (const project of projects) {
+    const id = idOf(project._id);
+    const commitments = orders.flatMap((po) => po.lines
+      .filter((line) => idOf(line.project) === id)
+      .map((line) => ({
+        purchaseOrder: po._id,
+        poNumber: po.poNumber,
+        vendor: po.vendor?.name,
+        description: line.description,
+        amount: openCommitment(line),
+      }))
+      .filter((row) => row.amount > 0));
+    const labour = costHours(worklogs.filter((log) => idOf(log.linkedProject) === id), salaries, { monthlyHours });
+    labour.byEmployee.forEach((row) => { row.name = names.get(row.user) || 'Unknown'; });
+
+    byProject.set(id, {
+      ledger: ledger
+        .filter((row) => idOf(row._id.project) === id)
+        .map(({ _id, code, name, accountType, debit, credit }) => ({
+          account: _id.account, code, name, accountType, debit: round2(debit), credit: round2(credit), amount: round2(debit - credit),
+        })),
+      commitments,
+      labour: { ...labour, monthlyHours },
+    });
+  }
+  return byProject;
+};
+
+/**
+ * Bring budget spent, committed and forecast of projects up to date with the
+ * ledger, purchase orders and worklogs, saving the ones that changed. Projects
+ * that never had anything charged to them keep their manually entered spend.
+ * @param {Array} projects - Project documents of one company
+ */
+export const syncCosts = async (projects, { now = new Date() } = {}) => {
+  if (projects.length === 0) return;
+  const costs = await loadCosts(projects);
+
+  for (const project of projects) {
+    const summary = summarizeCosts(project, costs.get(idOf(project._id)));
+    if (!summary.hasCosts && !project.budget?.costedAt) continue;
+    const { budget } = project;
+    if (budget.spent !== summary.actual.total || budget.committed !== summary.committed || budget.forecast !== summary.forecast) {
+      budget.spent = summary.actual.total;
+      budget.committed = summary.committed;
+      budget.forecast = summary.forecast;
+      budget.costedAt = now;
+      await project.save();
+    }
+  }
+};
+
+/**
+ * Budget vs actual vs forecast of a project with the ledger accounts, purchase
+ * orders and people behind the figures
+ */
+export const getCostReport = async (project) => {
+  const costs = (await loadCosts([project])).get(idOf(project._id));
+  return {
+    project: { _id: project._id, name: project.name, progress: project.progress, status: project.status },
+    summary: summarizeCosts(project, costs),
+    ledger: costs.ledger,
+    commitments: costs.commitments,
+    labour: costs.labour,
+  };
+};
+
+/**
+ * Check that the projects on document lines belong to the company
+ * @param {Array} lines - journal or purchase order lines
+ */
+export const assertProjectLines = async (lines = [], company) => {
+  const ids = [...new Set(lines.filter((line) => line.project).map((line) => idOf(line.project)))];
+  if (ids.length === 0) return;
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw costError('Invalid project on line');
+  }
+  const found = await Project.countDocuments({ _id: { $in: ids }, company });
+  if (found !== ids.length) {
+    throw costError('Project not found for line');
+  }
+};
+
+/**
+ * Project a worklog is costed to: the one given, else the company project
+ * whose name matches the free-text project of the worklog
+ * @returns {Promise<object|null>} lean project with _id and name
+ */
+export const resolveWorklogProject = async ({ linkedProject, project, company }) => {
+  if (linkedProject) {
+    const found = mongoose.Types.ObjectId.isValid(linkedProject)
+      && await Project.findOne({ _id: linkedProject, company }).select('name').lean();
+    if (!found) throw costError('Project not found');
+    return found;
+  }
+  if (!project?.trim()) return null;
+  return Project.findOne({ company, name: new RegExp(`^${escapeRegex(project.trim())}$`, 'i') }).select('name').lean();
+};
+
+export default {
+  monthlyHoursFor,
+  hourlyRate,
+  costHours,
+  openCommitment,
+  forecastCost,
+  summarizeCosts,
+  syncCosts,
+  getCostReport,
+  assertProjectLines,
+  resolveWorklogProject,
+};
@@ -0,0 +1,339 @@
+/**
+ * Project Plan Service
+ * Tasks linked to a project (and one of its milestones) drive the project's
+ * progress, blockers and status. Dependencies that name another task are the
+ * edges of the schedule: each task starts after the tasks it waits on, which
+ * gives the forecast finish, the slippage and the critical path.
+ */
+
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+
+const planError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const DAY = 24 * 60 * 60 * 1000;
+// Float below an hour counts as none
+const SLACK_TOLERANCE = 60 * 60 * 1000;
+
+const PLAN_FIELDS = 'title project status progress startDate createdAt updatedAt deadline assignedTo linkedProject milestone dependencies.task dependencies.status bottlenecks.status';
+
+const idOf = (value) => String(value?._id || value);
+const toDays = (ms) => Math.ceil(ms / DAY - 1e-9);
+// Forecasts move with the clock; only a change of a day or more is worth saving
+const sameDay = (a, b) => (a && b ? Math.abs(new Date(a) - new Date(b)) < DAY : !a && !b);
+
+// Predecessors of a task: tasks named by its dependencies, unless the dependency was declined
+const predecessorIds = (task) => [...new Set(
+  (task.dependencies || [])
+    .filter((dependency) => dependency.task && dependency.status !== 'declined')
+    .map((dependency) => idOf(dependency.task))
+)];
+
+// ============================================
+// SCHEDULE
+// ============================================
+
+/**
+ * Forecast schedule of a set of tasks. An open task starts at its planned start
+ * or when its last predecessor finishes, whichever is later, and needs the rest
+ * of its planned duration from then (or from now, once it should have started).
+ * The critical path is the open tasks with no float before the forecast end.
+ * @param {Array} tasks - lean tasks with PLAN_FIELDS; cancelled tasks are left out
+ * @param {object} options - { now }
+ * @returns {{ entries: Array, forecastEnd: Date|null, criticalPath: string[], hasCycle: boolean }}
+ */
+export const buildSchedule = (tasks, { now = new Date() } = {}) => {
+  const active = tasks.filter((task) => task.status !== 'cancelled');
+  const byId = new Map(active.map((task) => [idOf(task._id), task]));
+  const predecessors = new Map(active.map((task) => [
+    idOf(task._id),
+    predecessorIds(task).filter((id) => byId.has(id) && id !== idOf(task._id)),
+  ]));
+
+  // Topological order; tasks caught in a cycle go last and ignore the links they can't honour
+  const remaining = new Map([...predecessors].map(([id, list]) => [id, list.length]));
+  const successors = new Map(active.map((task) => [idOf(task._id), []]));
+  predecessors.forEach((list, id) => list.forEach((predecessor) => successors.get(predecessor).push(id)));
+  const order = [...remaining].filter(([, count]) => count === 0).map(([id]) => id);
+  for (let i = 0; i < order.length; i += 1) {
+    successors.get(order[i]).forEach((id) => {
+      remaining.set(id, remaining.get(id) - 1);
+      if (remaining.get(id) === 0) order.push(id);
+    });
+  }
+  const hasCycle = order.length < active.length;
+  if (hasCycle) active.forEach((task) => { if (!order.includes(idOf(task._id))) order.push(idOf(task._id)); });
+
+  const nowMs = new Date(now).getTime();
+  const entries = new Map();
+  order.forEach((id) => {
+    const task = byId.get(id);
+    const plannedEnd = new Date(task.deadline).getTime();
+    const duration = Math.max(plannedEnd - new Date(task.startDate || task.createdAt || task.deadline).getTime(), DAY);
+    const plannedStart = plannedEnd - duration;
+    const links = predecessors.get(id).filter((predecessor) => entries.has(predecessor));
+
+    let start;
+    let finish;
+    if (task.status === 'completed') {
+      finish = new Date(task.updatedAt || task.deadline).getTime();
+      start = Math.min(plannedStart, finish);
+    } else {
+      const ready = Math.max(plannedStart, ...links.map((predecessor) => entries.get(predecessor).finish));
+      const rest = duration * (1 - Math.min(task.progress || 0, 100) / 100);
+      start = ready;
+      finish = Math.max(plannedEnd, Math.max(ready, nowMs) + rest);
+    }
+
+    entries.set(id, { task, plannedStart, plannedEnd, start, finish, predecessors: links });
+  });
+
+  if (entries.size === 0) return { entries: [], forecastEnd: null, criticalPath: [], hasCycle };
+
+  // Backward pass: the latest each task can finish without moving the forecast end
+  const forecastEnd = Math.max(...[...entries.values()].map((entry) => entry.finish));
+  const latestFinish = new Map();
+  [...order].reverse().forEach((id) => {
+    const entry = entries.get(id);
+    const next = [...entries.values()].filter((other) => other.predecessors.includes(id));
+    const latest = next.length
+      ? Math.min(...next.map((other) => latestFinish.get(idOf(other.task._id)) - (other.finish - other.start)))
+      : forecastEnd;
+    latestFinish.set(id, latest);
+    entry.slack = Math.max(0, latest - entry.finish);
+    entry.critical = entry.task.status !== 'completed' && entry.slack < SLACK_TOLERANCE;
+    entry.slipDays = Math.max(0, toDays(entry.finish - entry.plannedEnd));
+  });
+
+  const list = order.map((id) => entries.get(id));
+  return {
+    entries: list,
+    forecastEnd: new Date(forecastEnd),
+    criticalPath: list.filter((entry) => entry.critical).sort((a, b) => a.start - b.start).map((entry) => idOf(entry.task._id)),
+    hasCycle,
+  };
+};
+
+// ============================================
+// PROJECT SUMMARY
+// ============================================
+
+// Progress of a set of schedule entries, weighted by planned duration
+const weightedProgress = (entries) => {
+  const total = entries.reduce((sum, entry) => sum + (entry.plannedEnd - entry.plannedStart), 0);
+  if (!total) return 0;
+  const done = entries.reduce((sum, entry) => {
+    const progress = entry.task.status === 'completed' ? 100 : entry.task.progress || 0;
+    return sum + progress * (entry.plannedEnd - entry.plannedStart);
+  }, 0);
+  return Math.round(done / total);
+};
+
+const isBlocked = (task) =>
+  task.status === 'blocked' || (task.bottlenecks || []).some((bottleneck) => bottleneck.status !== 'resolved');
+
+/**
+ * Progress, blockers, milestone states and status of a project from its tasks
+ * @param {object} project - { startDate, endDate, status, milestones }
+ * @param {Array} tasks - lean tasks linked to the project
+ * @returns {object|null} null when no active task is linked
+ */
+export const summarizeProject = (project, tasks, { now = new Date() } = {}) => {
+  const schedule = buildSchedule(tasks, { now });
+  if (schedule.entries.length === 0) return null;
+
+  const { entries } = schedule;
+  const open = entries.filter((entry) => entry.task.status !== 'completed');
+  const progress = weightedProgress(entries);
+  const blockers = open.filter((entry) => isBlocked(entry.task)).length;
+  const atRiskTasks = open.filter((entry) => entry.slipDays > 0 || isBlocked(entry.task)).length;
+  const slippageDays = project.endDate
+    ? Math.max(0, toDays(schedule.forecastEnd.getTime() - new Date(project.endDate).getTime()))
+    : 0;
+
+  const milestones = (project.milestones || []).map((milestone) => {
+    const own = entries.filter((entry) => entry.task.milestone && idOf(entry.task.milestone) === idOf(milestone._id));
+    if (own.length === 0) return { _id: milestone._id, status: milestone.status, taskCount: 0 };
+
+    const forecastDate = new Date(Math.max(...own.map((entry) => entry.finish)));
+    const milestoneProgress = weightedProgress(own);
+    let status;
+    if (own.every((entry) => entry.task.status === 'completed')) status = 'completed';
+    else if (milestone.dueDate && toDays(forecastDate - new Date(milestone.dueDate)) > 0) status = 'delayed';
+    else if (milestoneProgress > 0 || own.some((entry) => entry.task.status === 'in-progress')) status = 'in-progress';
+    else status = 'pending';
+
+    return {
+      _id: milestone._id,
+      status,
+      progress: milestoneProgress,
+      forecastDate,
+      completedAt: status === 'completed' ? forecastDate : undefined,
+      taskCount: own.length,
+    };
+  });
+
+  let status;
+  if (project.status === 'on-hold') status = 'on-hold';
+  else if (open.length === 0) status = 'completed';
+  else if (slippageDays > 0) status = 'delayed';
+  else if (atRiskTasks > 0 || milestones.some((milestone) => milestone.status === 'delayed')) status = 'at-risk';
+  else if (progress === 0 && new Date(now) < new Date(project.startDate)) status = 'planning';
+  else status = 'on-track';
+
+  return {
+    progress,
+    blockers,
+    status,
+    milestones,
+    schedule: {
+      taskCount: entries.length,
+      forecastEnd: schedule.forecastEnd,
+      slippageDays,
+      atRiskTasks,
+      criticalPath: schedule.criticalPath,
+    },
+    entries,
+    hasCycle: schedule.hasCycle,
+  };
+};
+
+/**
+ * Bring the calculated fields of projects up to date with their tasks, saving
+ * the ones that changed
+ * @param {Array} projects - Project documents
+ */
+export const syncProjects = async (projects, { now = new Date() } = {}) => {
+  if (projects.length === 0) return;
+  const tasks = await Task.find({ linkedProject: { $in: projects.map((project) => project._id) } })
+    .select(PLAN_FIELDS)
+    .lean();
+
+  for (const project of projects) {
+    const own = tasks.filter((task) => idOf(task.linkedProject) === idOf(project._id));
+    const summary = summarizeProject(project, own, { now });
+    if (!summary) {
+      if (project.schedule?.taskCount) project.schedule = { taskCount: 0, computedAt: now };
+    } else {
+      const { schedule } = summary;
+      if (project.progress !== summary.progress) project.progress = summary.progress;
+      if (project.blockers !== summary.blockers) project.blockers = summary.blockers;
+      if (project.status !== summary.status) project.status = summary.status;
+      summary.milestones.forEach((calculated) => {
+        const milestone = project.milestones.id(calculated._id);
+        if (!milestone || !calculated.taskCount) return;
+        if (milestone.status !== calculated.status) milestone.status = calculated.status;
+        if (milestone.progress !== calculated.progress) milestone.progress = calculated.progress;
+        if (!sameDay(milestone.forecastDate, calculated.forecastDate)) milestone.forecastDate = calculated.forecastDate;
+        if (!sameDay(milestone.completedAt, calculated.completedAt)) milestone.completedAt = calculated.completedAt;
+      });
+      const current = project.schedule || {};
+      const changed = current.taskCount !== schedule.taskCount
+        || current.slippageDays !== schedule.slippageDays
+        || current.atRiskTasks !== schedule.atRiskTasks
+        || !sameDay(current.forecastEnd, schedule.forecastEnd)
+        || (current.criticalPath || []).map(idOf).join() !== schedule.criticalPath.join();
+      if (changed) project.schedule = { ...schedule, computedAt: now };
+    }
+    if (project.isModified()) await project.save();
+  }
+};
+
+/**
+ * Gantt data for a project: milestones and tasks with their planned and
+ * forecast bars, links and critical path
+ */
+export const getTimeline = async (project, { now = new Date() } = {}) => {
+  const tasks = await Task.find({ linkedProject: project._id })
+    .select(PLAN_FIELDS)
+    .populate('assignedTo', 'firstName lastName')
+    .lean();
+  const summary = summarizeProject(project, tasks, { now });
+  const milestones = (project.milestones || []).map((milestone) => ({
+    _id: milestone._id,
+    title: milestone.title,
+    dueDate: milestone.dueDate,
+    status: milestone.status,
+    progress: milestone.progress,
+    forecastDate: milestone.forecastDate,
+  }));
+
+  return {
+    project: {
+      _id: project._id,
+      name: project.name,
+      startDate: project.startDate,
+      endDate: project.endDate,
+      status: project.status,
+      progress: project.progress,
+      blockers: project.blockers,
+    },
+    milestones,
+    tasks: (summary?.entries || []).map((entry) => ({
+      _id: entry.task._id,
+      title: entry.task.title,
+      reference: entry.task.project,
+      status: entry.task.status,
+      progress: entry.task.progress || 0,
+      assignedTo: entry.task.assignedTo,
+      milestone: entry.task.milestone,
+      blocked: isBlocked(entry.task),
+      plannedStart: new Date(entry.plannedStart),
+      plannedEnd: new Date(entry.plannedEnd),
+      start: new Date(entry.start),
+      finish: new Date(entry.finish),
+      slackDays: Math.floor(entry.slack / DAY),
+      slipDays: entry.slipDays,
+      critical: entry.critical,
+      predecessors: entry.predecessors,
+    })),
+    schedule: summary?.schedule || { taskCount: 0, slippageDays: 0, atRiskTasks: 0, criticalPath: [] },
+    hasCycle: summary?.hasCycle || false,
+  };
+};
+
+// ============================================
+// LINKS
+// ============================================
+
+/**
+ * Validate a task's project and milestone before saving them
+ * @returns {Promise<{ linkedProject, milestone }>} unset values are null
+ */
+export const resolvePlanLink = async ({ linkedProject, milestone, company }) => {
+  if (!linkedProject) {
+    if (milestone) throw planError('Choose the project the milestone belongs to');
+    return { linkedProject: null, milestone: null };
+  }
+  const project = await Project.findOne({ _id: linkedProject, company }).select('milestones._id').lean();
+  if (!project) throw planError('Project not found', 404);
+  if (milestone && !project.milestones.some((item) => idOf(item._id) === idOf(milestone))) {
+    throw planError('Milestone not found in this project', 404);
+  }
+  return { linkedProject: project._id, milestone: milestone || null };
+};
+
+/**
+ * Whether making `taskId` wait for `predecessorId` would close a loop
+ */
+export const wouldCreateCycle = async (taskId, predecessorId) => {
+  const target = idOf(taskId);
+  const seen = new Set();
+  let frontier = [idOf(predecessorId)];
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) return true;
+    frontier.forEach((id) => seen.add(id));
+    const rows = await Task.find({ _id: { $in: frontier } }).select('dependencies.task dependencies.status').lean();
+    frontier = [...new Set(rows.flatMap(predecessorIds))].filter((id) => !seen.has(id));
+  }
+  return false;
+};
+
+export default {
+  buildSchedule,
+  summarizeProject,
+  syncProjects,
+  getTimeline,
+  resolvePlanLink,
+  wouldCreateCycle,
+};
@@ -0,0 +1,718 @@
+/**
+ * Receivables Service
+ * Sales invoices, customer receipts and credit notes posted to accounts receivable,
+ * allocation of receipts/credits against open invoices and open-item aging
+ */
+
+import ChartOfAccount from '../models/ChartOfAccount.js';
+import CreditNote from '../models/CreditNote.js';
+import Customer from '../models/Customer.js';
+import CustomerReceipt from '../models/CustomerReceipt.js';
+import ReceivablesSetting from '../models/ReceivablesSetting.js';
+import SalesInvoice from '../models/SalesInvoice.js';
+import { fiscalYearFor, postJournalEntry, reverseJournalEntry } from './ledgerService.js';
+import { dueDateFor } from './payablesService.js';
+import logger from '../config/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OPEN_INVOICE_STATUSES = ['posted', 'partially-paid'];
+
+const CATEGORY_ACCOUNTS = {
+  fee: 'feeIncome',
+  grant: 'grantIncome',
+  service: 'serviceIncome',
+  other: 'otherIncome',
+};
+
+export const AGING_BUCKETS = ['current', 'days1to30', 'days31to60', 'days61to90', 'days90Plus'];
+
+const receivablesError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// ============================================
+// PURE HELPERS
+// ============================================
+
+/**
+ * Spread an amount over open invoices, oldest due date first
+ * @returns {{ invoice, invoiceNumber, amount }[]}
+ */
+export const allocateFifo = (openInvoices, amount) => {
+  const allocations = [];
+  let remaining = round2(amount);
+  const ordered = [...openInvoices].sort(
+    (a, b) => new Date(a.dueDate) - new Date(b.dueDate) || new Date(a.invoiceDate) - new Date(b.invoiceDate)
+  );
+
+  for (const invoice of ordered) {
+    if (remaining <= 0) break;
+    const applied = round2(Math.min(invoice.balanceDue, remaining));
+    if (applied <= 0) continue;
+    allocations.push({ invoice: invoice._id, invoiceNumber: invoice.invoiceNumber, amount: applied });
+    remaining = round2(remaining - applied);
+  }
+  return allocations;
+};
+
+/**
+ * Combine requested allocations per invoice, so an invoice listed twice is
+ * checked against its balance once for the total
+ * @param {{ invoice, amount }[]} requested
+ * @returns {{ invoice, amount }[]}
+ */
+export const mergeAllocations = (requested) => {
+  const merged = new Map();
+  for (const item of requested) {
+    const key = idOf(item.invoice);
+    const amount = round2(Number(item.amount) || 0);
+    const existing = merged.get(key);
+    if (existing) existing.amount = round2(existing.amount + amount);
+    else merged.set(key, { invoice: item.invoice, amount });
+  }
+  return [...merged.values()];
+};
+
+/**
+ * Sales invoice journal: Dr customer receivable, Cr income lines and output sales tax
+ */
+export const buildSalesInvoiceJournalLines = (invoice, { receivableAccount, outputTaxAccount, customerName }) => {
+  const missing = invoice.lines.filter((line) => !line.account).map((line) => line.description);
+  if (missing.length) {
+    throw receivablesError(`No income account for invoice lines: ${missing.join(', ')}`);
+  }
+  if (!receivableAccount) {
+    throw receivablesError('No receivable account configured for this customer or in receivables settings');
+  }
+  if (invoice.taxTotal > 0 && !outputTaxAccount) {
+    throw receivablesError('Output sales tax account is not configured in receivables settings');
+  }
+
+  const narration = `${customerName} - ${invoice.invoiceNumber}`;
+  const lines = [{
+    account: receivableAccount,
+    description: narration,
+    debit: round2(invoice.totalAmount),
+    credit: 0,
+    subledgerType: 'customer',
+    subledgerRef: invoice.customer,
+    subledgerModel: 'Customer',
+    reference: invoice.invoiceNumber,
+  }];
+
+  for (const line of invoice.lines) {
+    lines.push({
+      account: line.account,
+      description: `${line.description} - ${narration}`,
+      costCenter: line.costCenter || undefined,
+      debit: 0,
+      credit: round2(line.amount),
+    });
+  }
+  if (invoice.taxTotal > 0) {
+    lines.push({
+      account: outputTaxAccount,
+      description: `Output sales tax - ${narration}`,
+      debit: 0,
+      credit: round2(invoice.taxTotal),
+      taxType: 'sales-tax',
+    });
+  }
+  return lines;
+};
+
+/**
+ * Credit note journal: the sales invoice entry in reverse
+ */
+export const buildCreditNoteJournalLines = (creditNote, accounts) => buildSalesInvoiceJournalLines(
+  {
+    customer: creditNote.customer,
+    invoiceNumber: creditNote.creditNoteNumber,
+    lines: creditNote.lines,
+    taxTotal: creditNote.taxTotal,
+    totalAmount: creditNote.totalAmount,
+  },
+  accounts
+).map((line) => ({ ...line, debit: line.credit, credit: line.debit }));
+
+/**
+ * Open-item aging as at a date. Balances are rebuilt from invoice totals less allocations
+ * made on or before the date, so the report does not depend on GL balances.
+ * @param {object} params
+ *   invoices: posted invoices dated on or before asOf (customer populated with customerCode/name)
+ *   credits: receipts and credit notes dated on or before asOf ({ customer, amount, allocations })
+ * @returns {{ items: object[], totals: object }}
+ */
+export const buildAging = ({ invoices, credits, asOf = new Date() }) => {
+  const cutoff = new Date(asOf).getTime();
+  const settledByInvoice = new Map();
+  const rows = new Map();
+
+  const rowFor = (customer) => {
+    const key = idOf(customer);
+    if (!rows.has(key)) {
+      rows.set(key, {
+        customer: key,
+        customerCode: customer?.customerCode,
+        customerName: customer?.name,
+        ...Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket, 0])),
+        unapplied: 0,
+        balance: 0,
+        openInvoices: 0,
+      });
+    }
+    const row = rows.get(key);
+    if (!row.customerName && customer?.name) {
+      row.customerCode = customer.customerCode;
+      row.customerName = customer.name;
+    }
+    return row;
+  };
+
+  for (const credit of credits) {
+    let applied = 0;
+    for (const allocation of credit.allocations || []) {
+      if (new Date(allocation.allocatedAt).getTime() > cutoff) continue;
+      applied += allocation.amount;
+      const key = idOf(allocation.invoice);
+      settledByInvoice.set(key, (settledByInvoice.get(key) || 0) + allocation.amount);
+    }
+    const unapplied = round2(credit.amount - applied);
+    if (unapplied > 0) {
+      const row = rowFor(credit.customer);
+      row.unapplied = round2(row.unapplied - unapplied);
+    }
+  }
+
+  for (const invoice of invoices) {
+    const balance = round2(invoice.totalAmount - (settledByInvoice.get(idOf(invoice)) || 0));
+    if (balance <= 0) continue;
+
+    const daysPastDue = Math.floor((cutoff - new Date(invoice.dueDate).getTime()) / DAY_MS);
+    let bucket = 'days90Plus';
+    if (daysPastDue <= 0) bucket = 'current';
+    else if (daysPastDue <= 30) bucket = 'days1to30';
+    else if (daysPastDue <= 60) bucket = 'days31to60';
+    else if (daysPastDue <= 90) bucket = 'days61to90';
+
+    const row = rowFor(invoice.customer);
+    row[bucket] = round2(row[bucket] + balance);
+    row.openInvoices += 1;
+  }
+
+  const items = [...rows.values()]
+    .map((row) => ({
+      ...row,
+      balance: round2(AGING_BUCKETS.reduce((sum, bucket) => sum + row[bucket], 0) + row.unapplied),
+    }))
+    .sort((a, b) => (a.customerName || '').localeCompare(b.customerName || ''));
+
+  const totals = items.reduce((sum, row) => {
+    for (const key of [...AGING_BUCKETS, 'unapplied', 'balance']) sum[key] = round2(sum[key] + row[key]);
+    return sum;
+  }, Object.fromEntries([...AGING_BUCKETS, 'unapplied', 'balance'].map((key) => [key, 0])));
+
+  return { items, totals };
+};
+
+// ============================================
+// DATA ACCESS
+// ============================================
+
+export const getSettings = async (companyId) => {
+  const settings = await ReceivablesSetting.findOne({ company: companyId }).lean();
+  return settings || { company: companyId, accounts: {} };
+};
+
+const generateNumber = async (Model, field, prefix, companyId, date) => {
+  const fullPrefix = `${prefix}-${new Date(date).toISOString().slice(0, 7).replace('-', '')}`;
+  const count = await Model.countDocuments({ company: companyId, [field]: { $regex: `^${fullPrefix}` } });
+  return `${fullPrefix}-${String(count + 1).padStart(5, '0')}`;
+};
+
+const findDocument = async (Model, label, companyId, id) => {
+  const doc = await Model.findOne({ _id: id, company: companyId });
+  if (!doc) throw receivablesError(`${label} not found`, 404);
+  return doc;
+};
+
+const findCustomer = async (companyId, customerId, { forNewDocument = false } = {}) => {
+  if (!customerId) throw receivablesError('Customer is required');
+  const customer = await findDocument(Customer, 'Customer', companyId, customerId);
+  if (forNewDocument && customer.status !== 'active') {
+    throw receivablesError(`Customer ${customer.name} is ${customer.status}`);
+  }
+  return customer;
+};
+
+const accountsFor = (customer, settings) => ({
+  receivableAccount: customer.receivableAccount || settings.accounts?.receivable,
+  outputTaxAccount: settings.accounts?.outputSalesTax,
+  customerName: customer.name,
+});
+
+const defaultIncomeAccount = (customer, settings, category) => customer.revenueAccount
+  || settings.accounts?.[CATEGORY_ACCOUNTS[category] || 'otherIncome'];
+
+const adjustCustomerBalance = (customerId, change, extra = {}) => Customer.updateOne(
+  { _id: customerId },
+  { $inc: { currentBalance: change, ...extra }, $set: { lastTransactionDate: new Date() } }
+);
+
+// ============================================
+// SALES INVOICES
+// ============================================
+
+const INVOICE_FIELDS = ['category', 'invoiceDate', 'dueDate', 'reference', 'lines', 'notes'];
+
+const prepareSalesInvoice = (invoice, customer, settings) => {
+  for (const line of invoice.lines) {
+    if (!line.account) line.account = defaultIncomeAccount(customer, settings, invoice.category);
+  }
+  invoice.dueDate = invoice.dueDate || dueDateFor(invoice.invoiceDate, customer);
+  invoice.fiscalYear = fiscalYearFor(invoice.invoiceDate);
+  return invoice;
+};
+
+/**
+ * Record a draft sales invoice
+ * @param {object} params - { companyId, data: { customer, category, invoiceDate, dueDate, reference, lines, notes }, userId }
+ */
+export const createSalesInvoice = async ({ companyId, data, userId }) => {
+  if (!data.lines?.length) throw receivablesError('At least one invoice line is required');
+  const customer = await findCustomer(companyId, data.customer, { forNewDocument: true });
+
+  const invoiceDate = data.invoiceDate ? new Date(data.invoiceDate) : new Date();
+  const invoice = new SalesInvoice({
+    ...Object.fromEntries(INVOICE_FIELDS.filter((field) => data[field] !== undefined).map((field) => [field, data[field]])),
+    company: companyId,
+    invoiceNumber: await generateNumber(SalesInvoice, 'invoiceNumber', 'SI', companyId, invoiceDate),
+    customer: customer._id,
+    invoiceDate,
+    createdBy: userId,
+  });
+
+  prepareSalesInvoice(invoice, customer, await getSettings(companyId));
+  await invoice.save();
+  return invoice;
+};
+
+export const updateSalesInvoice = async ({ companyId, id, data }) => {
+  const invoice = await findDocument(SalesInvoice, 'Sales invoice', companyId, id);
+  if (invoice.status !== 'draft') throw receivablesError(`Cannot edit a ${invoice.status} invoice`);
+
+  for (const field of INVOICE_FIELDS) {
+    if (data[field] !== undefined) invoice[field] = data[field];
+  }
+  if (data.invoiceDate && data.dueDate === undefined) invoice.dueDate = undefined;
+
+  const customer = await findCustomer(companyId, invoice.customer);
+  prepareSalesInvoice(invoice, customer, await getSettings(companyId));
+  await invoice.save();
+  return invoice;
+};
+
+/**
+ * Post a draft invoice to accounts receivable. Warns (does not block) over the credit limit.
+ * @returns {Promise<{ invoice, warnings: string[] }>}
+ */
+export const postSalesInvoice = async ({ companyId, id, userId }) => {
+  const invoice = await findDocument(SalesInvoice, 'Sales invoice', companyId, id);
+  if (invoice.status !== 'draft') throw receivablesError(`Only draft invoices can be posted (invoice is ${invoice.status})`);
+
+  const customer = await findCustomer(companyId, invoice.customer);
+  const settings = await getSettings(companyId);
+
+  // Totals are normally set in pre-save; the journal needs them now
+  invoice.lines.forEach((line) => { line.amount = round2(line.quantity * line.unitPrice); });
+  invoice.subtotal = invoice.lines.reduce((sum, line) => sum + line.amount, 0);
+  invoice.taxTotal = invoice.lines.reduce((sum, line) => sum + (line.taxAmount || 0), 0);
+  invoice.totalAmount = invoice.subtotal + invoice.taxTotal;
+  if (invoice.totalAmount <= 0) throw receivablesError('Invoice total must be greater than zero');
+
+  const entry = await postJournalEntry({
+    companyId,
+    entryDate: invoice.invoiceDate,
+    entryType: 'sales',
+    description: `Sales invoice ${invoice.invoiceNumber} - ${customer.name}`,
+    lines: buildSalesInvoiceJournalLines(invoice, accountsFor(customer, settings)),
+    sourceDocument: { type: 'sales-invoice', documentId: invoice._id, documentNumber: invoice.invoiceNumber },
+    userId,
+  });
+
+  await adjustCustomerBalance(customer._id, invoice.totalAmount, { totalInvoiced: invoice.totalAmount });
+
+  invoice.status = 'posted';
+  invoice.journalEntry = entry._id;
+  invoice.postedBy = userId;
+  invoice.postedAt = new Date();
+  await invoice.save();
+
+  const warnings = [];
+  const exposure = customer.currentBalance + invoice.totalAmount;
+  if (customer.creditLimit > 0 && exposure > customer.creditLimit) {
+    warnings.push(`Customer balance ${round2(exposure)} exceeds credit limit ${customer.creditLimit}`);
+  }
+  return { invoice, warnings };
+};
+
+/**
+ * Cancel a draft, or reverse a posted invoice that has nothing allocated to it
+ */
+export const cancelSalesInvoice = async ({ companyId, id, userId, reason }) => {
+  const invoice = await findDocument(SalesInvoice, 'Sales invoice', companyId, id);
+  if (!['draft', 'posted'].includes(invoice.status) || invoice.amountPaid + invoice.amountCredited > 0) {
+    throw receivablesError('Only drafts and posted invoices with no receipts or credits can be cancelled');
+  }
+
+  if (invoice.status === 'posted') {
+    await reverseJournalEntry({ companyId, entryId: invoice.journalEntry, reason: reason || `Cancel ${invoice.invoiceNumber}`, userId });
+    await adjustCustomerBalance(invoice.customer, -invoice.totalAmount, { totalInvoiced: -invoice.totalAmount });
+  }
+
+  invoice.status = 'cancelled';
+  invoice.cancelledBy = userId;
+  invoice.cancelledAt = new Date();
+  if (reason) invoice.notes = [invoice.notes, `Cancelled: ${reason}`].filter(Boolean).join('\n');
+  await invoice.save();
+  return invoice;
+};
+
+// ============================================
+// ALLOCATION
+// ============================================
+
+const openInvoicesFor = (companyId, customerId) => SalesInvoice.find({
+  company: companyId,
+  customer: customerId,
+  status: { $in: OPEN_INVOICE_STATUSES },
+}).sort({ dueDate: 1, invoiceDate: 1 });
+
+/**
+ * Allocate a receipt or credit note against open invoices of the same customer.
+ * requested: [{ invoice, amount }], or omitted to allocate oldest-first.
+ * @param {string} settledField - 'amountPaid' (receipts) or 'amountCredited' (credit notes)
+ */
+const applyAllocations = async ({ companyId, doc, requested, settledField, userId }) => {
+  const open = await openInvoicesFor(companyId, doc.customer);
+  const openById = new Map(open.map((invoice) => [invoice._id.toString(), invoice]));
+
+  const allocations = requested
+    ? mergeAllocations(requested)
+    : allocateFifo(open, doc.unallocatedAmount);
+
+  const total = round2(allocations.reduce((sum, item) => sum + item.amount, 0));
+  if (total > doc.unallocatedAmount + 0.001) {
+    throw receivablesError(`Allocations (${total}) exceed the unallocated amount (${doc.unallocatedAmount})`);
+  }
+  for (const item of allocations) {
+    const invoice = openById.get(idOf(item.invoice));
+    if (!invoice) throw receivablesError(`Invoice ${item.invoice} is not an open invoice of this customer`);
+    if (item.amount <= 0) throw receivablesError(`Allocation to ${invoice.invoiceNumber} must be greater than zero`);
+    if (item.amount > invoice.balanceDue + 0.001) {
+      throw receivablesError(`Allocation ${item.amount} exceeds ${invoice.invoiceNumber} balance ${invoice.balanceDue}`);
+    }
+  }
+
+  for (const item of allocations) {
+    const invoice = openById.get(idOf(item.invoice));
+    invoice[settledField] = round2(invoice[settledField] + item.amount);
+    await invoice.save();
+    doc.allocations.push({
+      invoice: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      amount: item.amount,
+      allocatedBy: userId,
+    });
+  }
+  await doc.save();
+  return doc;
+};
+
+// ============================================
+// RECEIPTS
+// ============================================
+
+/**
+ * Record and post a receipt: Dr bank, Cr customer receivable, then allocate
+ * @param {object} params - { companyId, data: { customer, receiptDate, amount, paymentMethod, bankAccount, reference, notes, allocations, autoAllocate }, userId }
+ */
+export const createReceipt = async ({ companyId, data, userId }) => {
+  const customer = await findCustomer(companyId, data.customer, { forNewDocument: true });
+  const amount = round2(Number(data.amount) || 0);
+  if (amount <= 0) throw receivablesError('Receipt amount must be greater than zero');
+
+  const bank = await ChartOfAccount.findOne({ _id: data.bankAccount, company: companyId, isBankAccount: true }).lean();
+  if (!bank) throw receivablesError('A valid bank or cash account is required');
+
+  const settings = await getSettings(companyId);
+  const { receivableAccount } = accountsFor(customer, settings);
+  if (!receivableAccount) {
+    throw receivablesError('No receivable account configured for this customer or in receivables settings');
+  }
+
+  const receiptDate = data.receiptDate ? new Date(data.receiptDate) : new Date();
+  const receipt = new CustomerReceipt({
+    company: companyId,
+    receiptNumber: await generateNumber(CustomerReceipt, 'receiptNumber', 'RC', companyId, receiptDate),
+    customer: customer._id,
+    receiptDate,
+    fiscalYear: fiscalYearFor(receiptDate),
+    amount,
+    paymentMethod: data.paymentMethod,
+    bankAccount: bank._id,
+    reference: data.reference,
+    notes: data.notes,
+    unallocatedAmount: amount,
+    createdBy: userId,
+  });
+
+  const entry = await postJournalEntry({
+    companyId,
+    entryDate: receiptDate,
+    entryType: 'receipt',
+    description: `Receipt ${receipt.receiptNumber} - ${customer.name}`,
+    lines: [
+      { account: bank._id, description: `${customer.name} ${data.reference || ''}`.trim(), debit: amount, credit: 0, reference: data.reference },
+      {
+        account: receivableAccount,
+        description: `Receipt ${receipt.receiptNumber} - ${customer.name}`,
+        debit: 0,
+        credit: amount,
+        subledgerType: 'customer',
+        subledgerRef: customer._id,
+        subledgerModel: 'Customer',
+        reference: receipt.receiptNumber,
+      },
+    ],
+    sourceDocument: { type: 'receipt', documentId: receipt._id, documentNumber: receipt.receiptNumber },
+    userId,
+  });
+  receipt.journalEntry = entry._id;
+  await receipt.save();
+  await adjustCustomerBalance(customer._id, -amount, { totalReceived: amount });
+
+  if (data.allocations?.length || data.autoAllocate) {
+    await applyAllocations({
+      companyId,
+      doc: receipt,
+      requested: data.allocations?.length ? data.allocations : undefined,
+      settledField: 'amountPaid',
+      userId,
+    });
+  }
+  return receipt;
+};
+
+export const allocateReceipt = async ({ companyId, id, allocations, userId }) => {
+  const receipt = await findDocument(CustomerReceipt, 'Receipt', companyId, id);
+  if (receipt.status !== 'posted') throw receivablesError(`Cannot allocate a ${receipt.status} receipt`);
+  return applyAllocations({ companyId, doc: receipt, requested: allocations?.length ? allocations : undefined, settledField: 'amountPaid', userId });
+};
+
+/**
+ * Cancel a receipt (e.g. a bounced cheque): reverse its journal and reopen the invoices it settled
+ */
+export const cancelReceipt = async ({ companyId, id, userId, reason }) => {
+  const receipt = await findDocument(CustomerReceipt, 'Receipt', companyId, id);
+  if (receipt.status !== 'posted') throw receivablesError(`Receipt is already ${receipt.status}`);
+  if (!reason?.trim()) throw receivablesError('A cancellation reason is required');
+
+  const reversal = await reverseJournalEntry({ companyId, entryId: receipt.journalEntry, reason, userId });
+
+  for (const allocation of receipt.allocations) {
+    const invoice = await SalesInvoice.findOne({ _id: allocation.invoice, company: companyId });
+    if (!invoice) continue;
+    invoice.amountPaid = round2(invoice.amountPaid - allocation.amount);
+    await invoice.save();
+  }
+  await adjustCustomerBalance(receipt.customer, receipt.amount, { totalReceived: -receipt.amount });
+
+  receipt.status = 'cancelled';
+  receipt.reversalEntry = reversal._id;
+  receipt.cancelledBy = userId;
+  receipt.cancelledAt = new Date();
+  receipt.cancellationReason = reason.trim();
+  await receipt.save();
+
+  logger.info(`Receipt ${receipt.receiptNumber} cancelled and reversed as ${reversal.entryNumber}`);
+  return receipt;
+};
+
+// ============================================
+// CREDIT NOTES
+// ============================================
+
+/**
+ * Record a draft credit note, optionally against an invoice
+ * @param {object} params - { companyId, data: { customer, invoice, creditDate, reason, lines }, userId }
+ */
+export const createCreditNote = async ({ companyId, data, userId }) => {
+  if (!data.lines?.length) throw receivablesError('At least one credit note line is required');
+  if (!data.reason?.trim()) throw receivablesError('A reason is required');
+
+  let invoice = null;
+  if (data.invoice) {
+    invoice = await findDocument(SalesInvoice, 'Sales invoice', companyId, data.invoice);
+    if (!OPEN_INVOICE_STATUSES.includes(invoice.status) && invoice.status !== 'paid') {
+      throw receivablesError(`Cannot credit a ${invoice.status} invoice`);
+    }
+  }
+  const customer = await findCustomer(companyId, data.customer || invoice?.customer);
+  if (invoice && invoice.customer.toString() !== customer._id.toString()) {
+    throw receivablesError('The invoice belongs to a different customer');
+  }
+
+  const settings = await getSettings(companyId);
+  const creditDate = data.creditDate ? new Date(data.creditDate) : new Date();
+  const creditNote = new CreditNote({
+    company: companyId,
+    creditNoteNumber: await generateNumber(CreditNote, 'creditNoteNumber', 'CN', companyId, creditDate),
+    customer: customer._id,
+    invoice: invoice?._id,
+    creditDate,
+    fiscalYear: fiscalYearFor(creditDate),
+    reason: data.reason.trim(),
+    lines: data.lines.map((line) => ({
+      ...line,
+      account: line.account || invoice?.lines[0]?.account || defaultIncomeAccount(customer, settings, invoice?.category),
+    })),
+    createdBy: userId,
+  });
+  await creditNote.save();
+  return creditNote;
+};
+
+/**
+ * Post a draft credit note (Dr income, Cr receivable) and apply it to its invoice
+ */
+export const postCreditNote = async ({ companyId, id, userId }) => {
+  const creditNote = await findDocument(CreditNote, 'Credit note', companyId, id);
+  if (creditNote.status !== 'draft') throw receivablesError(`Only draft credit notes can be posted (credit note is ${creditNote.status})`);
+  if (creditNote.totalAmount <= 0) throw receivablesError('Credit note total must be greater than zero');
+
+  const customer = await findCustomer(companyId, creditNote.customer);
+  const settings = await getSettings(companyId);
+
+  const entry = await postJournalEntry({
+    companyId,
+    entryDate: creditNote.creditDate,
+    entryType: 'sales',
+    description: `Credit note ${creditNote.creditNoteNumber} - ${customer.name}: ${creditNote.reason}`,
+    lines: buildCreditNoteJournalLines(creditNote, accountsFor(customer, settings)),
+    sourceDocument: { type: 'credit-note', documentId: creditNote._id, documentNumber: creditNote.creditNoteNumber },
+    userId,
+  });
+  await adjustCustomerBalance(customer._id, -creditNote.totalAmount);
+
+  creditNote.status = 'posted';
+  creditNote.journalEntry = entry._id;
+  creditNote.postedBy = userId;
+  creditNote.postedAt = new Date();
+  await creditNote.save();
+
+  if (creditNote.invoice) {
+    const invoice = await SalesInvoice.findOne({ _id: creditNote.invoice, company: companyId }).lean();
+    const amount = round2(Math.min(invoice?.balanceDue || 0, creditNote.unallocatedAmount));
+    if (amount > 0 && OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+      await applyAllocations({
+        companyId,
+        doc: creditNote,
+        requested: [{ invoice: invoice._id, amount }],
+        settledField: 'amountCredited',
+        userId,
+      });
+    }
+  }
+  return creditNote;
+};
+
+export const allocateCreditNote = async ({ companyId, id, allocations, userId }) => {
+  const creditNote = await findDocument(CreditNote, 'Credit note', companyId, id);
+  if (creditNote.status !== 'posted') throw receivablesError(`Cannot allocate a ${creditNote.status} credit note`);
+  return applyAllocations({ companyId, doc: creditNote, requested: allocations?.length ? allocations : undefined, settledField: 'amountCredited', userId });
+};
+
+// ============================================
+// OPEN ITEMS AND AGING
+// ============================================
+
+/**
+ * A customer's open invoices and unapplied receipts / credit notes
+ */
+export const listOpenItems = async (companyId, customerId) => {
+  const [invoices, receipts, creditNotes] = await Promise.all([
+    openInvoicesFor(companyId, customerId).select('-lines'),
+    CustomerReceipt.find({ company: companyId, customer: customerId, status: 'posted', unallocatedAmount: { $gt: 0 } })
+      .select('-allocations').sort({ receiptDate: 1 }),
+    CreditNote.find({ company: companyId, customer: customerId, status: 'posted', unallocatedAmount: { $gt: 0 } })
+      .select('-allocations -lines').sort({ creditDate: 1 }),
+  ]);
+
+  const outstanding = invoices.reduce((sum, invoice) => sum + invoice.balanceDue, 0);
+  const unapplied = [...receipts, ...creditNotes].reduce((sum, doc) => sum + doc.unallocatedAmount, 0);
+  return { invoices, receipts, creditNotes, outstanding: round2(outstanding), unapplied: round2(unapplied), net: round2(outstanding - unapplied) };
+};
+
+/**
+ * AR aging from open items as at a date (?customer to restrict to one customer)
+ */
+export const agingReport = async (companyId, { asOf = new Date(), customer } = {}) => {
+  const cutoff = new Date(asOf);
+  const base = { company: companyId, ...(customer && { customer }) };
+  // Documents cancelled after the cutoff were still open on it
+  const liveOn = { $or: [{ status: { $ne: 'cancelled' } }, { cancelledAt: { $gt: cutoff } }] };
+
+  const [invoices, receipts, creditNotes] = await Promise.all([
+    SalesInvoice.find({
+      ...base,
+      invoiceDate: { $lte: cutoff },
+      $or: [
+        { status: { $in: [...OPEN_INVOICE_STATUSES, 'paid'] } },
+        { status: 'cancelled', postedAt: { $ne: null }, cancelledAt: { $gt: cutoff } },
+      ],
+    })
+      .select('customer invoiceNumber invoiceDate dueDate totalAmount')
+      .populate('customer', 'customerCode name')
+      .lean(),
+    CustomerReceipt.find({ ...base, ...liveOn, receiptDate: { $lte: cutoff } })
+      .select('customer amount allocations')
+      .populate('customer', 'customerCode name')
+      .lean(),
+    CreditNote.find({ ...base, status: 'posted', creditDate: { $lte: cutoff } })
+      .select('customer totalAmount allocations')
+      .populate('customer', 'customerCode name')
+      .lean(),
+  ]);
+
+  const credits = [
+    ...receipts,
+    ...creditNotes.map((note) => ({ ...note, amount: note.totalAmount })),
+  ];
+  return { asOfDate: cutoff, ...buildAging({ invoices, credits, asOf: cutoff }) };
+};
+
+export default {
+  AGING_BUCKETS,
+  allocateFifo,
+  mergeAllocations,
+  buildSalesInvoiceJournalLines,
+  buildCreditNoteJournalLines,
+  buildAging,
+  getSettings,
+  createSalesInvoice,
+  updateSalesInvoice,
+  postSalesInvoice,
+  cancelSalesInvoice,
+  createReceipt,
+  allocateReceipt,
+  cancelReceipt,
+  createCreditNote,
+  postCreditNote,
+  allocateCreditNote,
+  listOpenItems,
+  agingReport,
+};
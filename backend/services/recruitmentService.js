@@ -0,0 +1,257 @@
+/**
+ * Recruitment Service
+ * Job requisitions, applicant stage transitions, interview scorecards and hiring
+ */
+
+import crypto from 'crypto';
+import Job from '../models/Job.js';
+import Applicant from '../models/Applicant.js';
+import Position from '../models/Position.js';
+import Department from '../models/Department.js';
+import { createEmployee } from './employeeService.js';
+import logger from '../config/logger.js';
+
+// Allowed pipeline moves; 'hired' is only reachable through hireApplicant()
+export const STAGE_TRANSITIONS = {
+  applied: ['screening', 'rejected', 'withdrawn'],
+  screening: ['interview', 'rejected', 'withdrawn'],
+  interview: ['offer', 'rejected', 'withdrawn'],
+  offer: ['interview', 'rejected', 'withdrawn'],
+  rejected: [],
+  hired: [],
+  withdrawn: [],
+};
+
+const recruitmentError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+export const canTransition = (from, to) => (STAGE_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Average of a scorecard's ratings, rounded to one decimal
+ */
+export const scoreRatings = (ratings = []) => {
+  if (!ratings.length) return 0;
+  const total = ratings.reduce((sum, rating) => sum + rating.score, 0);
+  return Math.round((total / ratings.length) * 10) / 10;
+};
+
+const submittedScorecards = (applicant) => applicant.interviews.flatMap((interview) => interview.scorecards);
+
+/**
+ * Generate the next requisition code (JOB-YYYY-0001)
+ */
+const generateJobCode = async (companyId) => {
+  const year = new Date().getFullYear();
+  const count = await Job.countDocuments({ company: companyId, jobCode: { $regex: `^JOB-${year}-` } });
+  return `JOB-${year}-${String(count + 1).padStart(4, '0')}`;
+};
+
+/**
+ * Validate that a position and department exist in the company and belong together
+ */
+const resolvePositionAndDepartment = async (companyId, positionId, departmentId) => {
+  const [position, department] = await Promise.all([
+    Position.findOne({ _id: positionId, company: companyId }),
+    Department.findOne({ _id: departmentId, company: companyId }),
+  ]);
+
+  if (!position) throw recruitmentError('Position not found', 404);
+  if (!department) throw recruitmentError('Department not found', 404);
+  if (position.department && position.department !== department.name) {
+    throw recruitmentError(`Position "${position.title}" belongs to the ${position.department} department`);
+  }
+
+  return { position, department };
+};
+
+/**
+ * Open a job requisition
+ */
+export const createJob = async (companyId, data, userId) => {
+  const { position } = await resolvePositionAndDepartment(companyId, data.position, data.department);
+
+  return Job.create({
+    ...data,
+    title: data.title || position.title,
+    salaryRange: data.salaryRange || { min: position.salary_range_min, max: position.salary_range_max },
+    company: companyId,
+    jobCode: await generateJobCode(companyId),
+    requestedBy: userId,
+  });
+};
+
+/**
+ * Update a job requisition (position/department changes are re-validated)
+ */
+export const updateJob = async (companyId, jobId, data) => {
+  const job = await Job.findOne({ _id: jobId, company: companyId });
+  if (!job) throw recruitmentError('Job not found', 404);
+
+  const { company: _company, jobCode: _jobCode, hiredCount: _hiredCount, requestedBy: _requestedBy, ...updates } = data;
+  if (updates.position || updates.department) {
+    await resolvePositionAndDepartment(companyId, updates.position || job.position, updates.department || job.department);
+  }
+
+  job.set(updates);
+  await job.save();
+  return job;
+};
+
+/**
+ * Move an applicant to another pipeline stage
+ * @param {object} params - { companyId, applicantId, to, note, userId, rejectionReason, offer }
+ */
+export const moveStage = async ({ companyId, applicantId, to, note, userId, rejectionReason, offer }) => {
+  const applicant = await Applicant.findOne({ _id: applicantId, company: companyId });
+  if (!applicant) throw recruitmentError('Applicant not found', 404);
+
+  if (to === 'hired') {
+    throw recruitmentError('Use the hire action to hire an applicant');
+  }
+  if (!canTransition(applicant.status, to)) {
+    throw recruitmentError(`Cannot move applicant from ${applicant.status} to ${to}`);
+  }
+
+  if (to === 'offer') {
+    if (!submittedScorecards(applicant).length) {
+      throw recruitmentError('At least one interview scorecard is required before making an offer');
+    }
+    if (!offer?.salary || !offer?.joinDate) {
+      throw recruitmentError('Offer salary and joinDate are required');
+    }
+    applicant.offer = offer;
+  }
+  if (to === 'rejected') {
+    applicant.rejectionReason = rejectionReason;
+  }
+
+  applicant.stageHistory.push({ from: applicant.status, to, note, changedBy: userId });
+  applicant.status = to;
+  await applicant.save();
+
+  return applicant;
+};
+
+/**
+ * Schedule an interview round; screened applicants move into the interview stage
+ */
+export const scheduleInterview = async ({ companyId, applicantId, round, scheduledAt, mode, interviewers = [], userId }) => {
+  const applicant = await Applicant.findOne({ _id: applicantId, company: companyId });
+  if (!applicant) throw recruitmentError('Applicant not found', 404);
+  if (!round) throw recruitmentError('round is required');
+  if (!interviewers.length) throw recruitmentError('At least one interviewer is required');
+
+  if (applicant.status === 'screening') {
+    applicant.stageHistory.push({ from: 'screening', to: 'interview', note: `${round} scheduled`, changedBy: userId });
+    applicant.status = 'interview';
+  } else if (applicant.status !== 'interview') {
+    throw recruitmentError(`Cannot schedule an interview for an applicant in ${applicant.status}`);
+  }
+
+  applicant.interviews.push({ round, scheduledAt, mode, interviewers });
+  await applicant.save();
+
+  return applicant;
+};
+
+/**
+ * Submit (or replace) an interviewer's scorecard for a round
+ * @param {object} params - { companyId, applicantId, interviewId, user, ratings, recommendation, notes }
+ */
+export const submitScorecard = async ({ companyId, applicantId, interviewId, user, ratings = [], recommendation, notes }) => {
+  const applicant = await Applicant.findOne({ _id: applicantId, company: companyId }).populate('job', 'scorecardCriteria');
+  if (!applicant) throw recruitmentError('Applicant not found', 404);
+
+  const interview = applicant.interviews.id(interviewId);
+  if (!interview) throw recruitmentError('Interview not found', 404);
+  if (interview.status === 'cancelled') throw recruitmentError('Interview was cancelled');
+
+  const isInterviewer = interview.interviewers.some((id) => id.toString() === user._id.toString());
+  if (!isInterviewer && !['hr', 'admin'].includes(user.role)) {
+    throw recruitmentError('Only the assigned interviewers can submit a scorecard', 403);
+  }
+
+  const missing = (applicant.job?.scorecardCriteria || [])
+    .filter((criterion) => !ratings.some((rating) => rating.criterion === criterion));
+  if (missing.length) throw recruitmentError(`Missing ratings for: ${missing.join(', ')}`);
+  if (ratings.some((rating) => !(rating.score >= 1 && rating.score <= 5))) {
+    throw recruitmentError('Scores must be between 1 and 5');
+  }
+
+  interview.scorecards = interview.scorecards.filter((card) => card.submittedBy?.toString() !== user._id.toString());
+  interview.scorecards.push({
+    ratings,
+    overallScore: scoreRatings(ratings),
+    recommendation,
+    notes,
+    submittedBy: user._id,
+    submittedAt: new Date(),
+  });
+
+  const submittedBy = new Set(interview.scorecards.map((card) => card.submittedBy.toString()));
+  if (interview.interviewers.every((id) => submittedBy.has(id.toString()))) {
+    interview.status = 'completed';
+  }
+
+  await applicant.save();
+  return applicant;
+};
+
+/**
+ * Hire an applicant with an accepted offer: creates the employee exactly as POST /api/employees does
+ * @param {object} params - { companyId, applicantId, userId, overrides: { role, reportsTo, salary, joinDate } }
+ * @returns {Promise<{applicant, employee, temporaryPassword: string}>}
+ */
+export const hireApplicant = async ({ companyId, applicantId, userId, overrides = {} }) => {
+  const applicant = await Applicant.findOne({ _id: applicantId, company: companyId });
+  if (!applicant) throw recruitmentError('Applicant not found', 404);
+  if (applicant.status !== 'offer') {
+    throw recruitmentError('Only applicants with an offer can be hired');
+  }
+
+  const job = await Job.findOne({ _id: applicant.job, company: companyId }).populate('department', 'name');
+  if (!job) throw recruitmentError('Job not found', 404);
+  if (job.status === 'filled' || job.hiredCount >= job.openings) {
+    throw recruitmentError('All openings for this job have been filled');
+  }
+
+  const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+  const employee = await createEmployee(companyId, {
+    firstName: applicant.firstName,
+    lastName: applicant.lastName,
+    email: applicant.email,
+    password: temporaryPassword,
+    phone: applicant.phone,
+    department: job.department?.name,
+    position: job.position,
+    reportsTo: overrides.reportsTo || job.hiringManager,
+    role: overrides.role || 'employee',
+    joiningDate: overrides.joinDate || applicant.offer?.joinDate,
+    salary: overrides.salary ?? applicant.offer?.salary,
+    requirePasswordChange: true,
+  }, { createdBy: userId });
+
+  applicant.stageHistory.push({ from: 'offer', to: 'hired', changedBy: userId });
+  applicant.status = 'hired';
+  applicant.hiredEmployee = employee._id;
+  await applicant.save();
+
+  job.hiredCount += 1;
+  if (job.hiredCount >= job.openings) job.status = 'filled';
+  await job.save();
+
+  logger.info(`Applicant ${applicant._id} hired as employee ${employee._id} for ${job.jobCode}`);
+  return { applicant, employee, temporaryPassword };
+};
+
+export default {
+  STAGE_TRANSITIONS,
+  canTransition,
+  scoreRatings,
+  createJob,
+  updateJob,
+  moveStage,
+  scheduleInterview,
+  submitScorecard,
+  hireApplicant,
+};
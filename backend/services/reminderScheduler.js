@@ -1,11 +1,13 @@
 /**
  * Reminder Scheduler Service
- * Sends WhatsApp notifications for task deadlines, daily digests, and personal reminders
+ * Sends WhatsApp notifications for task deadlines, daily digests, personal reminders
+ * and pending access reviews
  */
 
 import Task from '../models/Task.js';
 import User from '../models/User.js';
 import Reminder from '../models/Reminder.js';
+import accessReviewService from './accessReviewService.js';
 import whatsappService from './whatsappService.js';
 import whatsappConfig from '../config/whatsapp.js';
 import logger from '../config/logger.js';
@@ -46,6 +48,7 @@ class ReminderScheduler {
       this.checkAndSendReminders();
       this.checkDailyDigest(); // Check if it's time for daily digest
       this.checkPersonalReminders(); // Check for personal reminders
+      this.checkAccessReviewReminders(); // Nudge reviewers with pending attestations
     }, this.checkIntervalMs);
   }
 
@@ -550,6 +553,41 @@ class ReminderScheduler {
     }
   }
 
+  /**
+   * Remind reviewers of pending access review items, once per campaign reminder interval
+   */
+  async checkAccessReviewReminders() {
+    try {
+      const due = await accessReviewService.dueReminders();
+      if (due.length === 0) return;
+
+      for (const { campaign, reviewer, pending } of due) {
+        const phoneNumber = reviewer.whatsappNumber || reviewer.phone;
+        if (!phoneNumber) continue;
+        if (reviewer.whatsappPreferences?.enabled === false) continue;
+        if (reviewer.whatsappPreferences?.reminders === false) continue;
+
+        try {
+          await whatsappService.sendMessage(
+            phoneNumber,
+            whatsappConfig.templates.accessReviewReminder(reviewer, campaign, pending)
+          );
+          logger.info(`Access review reminder sent to ${reviewer.firstName}`, {
+            campaignId: campaign._id,
+            userId: reviewer._id,
+            pending
+          });
+        } catch (error) {
+          logger.error(`Failed to send access review reminder to ${phoneNumber}:`, error);
+        }
+      }
+
+      await accessReviewService.markReminded([...new Set(due.map(({ campaign }) => campaign._id))]);
+    } catch (error) {
+      logger.error('Failed to check access review reminders:', error);
+    }
+  }
+
   /**
    * Get scheduler status
    */
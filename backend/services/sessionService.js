@@ -0,0 +1,234 @@
+/**
+ * Session Service
+ * Short-lived access tokens, rotating refresh tokens stored as hashes per device,
+ * session listing and revocation (sign-out, admin "log out everywhere")
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import securityConfig from '../config/security.js';
+import logger from '../config/logger.js';
+
+const sessionError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// lastSeenAt is only written when it is older than this
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+// Users in these states cannot hold sessions
+export const BLOCKED_STATUSES = ['inactive', 'suspended'];
+
+// ============================================
+// TOKENS
+// ============================================
+
+/**
+ * JWT signing secret. There is deliberately no fallback: a default secret would let
+ * anyone mint tokens for any deployment that forgot to set it.
+ */
+export const jwtSecret = () => {
+  if (!process.env.JWT_SECRET) throw sessionError('JWT_SECRET is not configured', 500);
+  return process.env.JWT_SECRET;
+};
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hashesMatch = (a, b) => Boolean(a && b) && a.length === b.length
+  && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Refresh tokens are "<sessionId>.<secret>" so the session is found without a hash lookup
+ */
+export const createRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+
+export const parseRefreshToken = (token) => {
+  const [sessionId, secret] = String(token || '').split('.');
+  if (!/^[a-f0-9]{24}$/.test(sessionId || '') || !secret) return null;
+  return { sessionId };
+};
+
+export const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    _id: user._id,
+    email: user.email,
+    role: user.role,
+    company: user.company?._id || user.company,
+    sid: sessionId,
+  },
+  jwtSecret(),
+  { expiresIn: securityConfig.accessTokenTtl }
+);
+
+export const verifyAccessToken = (token) => jwt.verify(token, jwtSecret());
+
+/**
+ * Short device label from a User-Agent header, e.g. "Chrome on Windows"
+ */
+export const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//],
+    ['Safari', /Version\/.*Safari\//], ['Postman', /PostmanRuntime/], ['curl', /^curl\//],
+  ];
+  const systems = [
+    ['Windows', /Windows/], ['Android', /Android/], ['iOS', /iPhone|iPad/], ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+// ============================================
+// SESSIONS
+// ============================================
+
+const refreshExpiry = () => new Date(Date.now() + securityConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+const tokensFor = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session._id.toString()),
+  refreshToken,
+  expiresIn: securityConfig.accessTokenTtl,
+});
+
+/**
+ * Open a session for a user who has just signed in
+ * @returns {Promise<{token, refreshToken, expiresIn, session}>}
+ */
+export const startSession = async ({ user, req }) => {
+  if (BLOCKED_STATUSES.includes(user.status)) throw sessionError('Account is not active', 403);
+
+  const session = new Session({
+    company: user.company?._id || user.company,
+    user: user._id,
+    device: describeDevice(req.get('user-agent')),
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+  const refreshToken = createRefreshToken(session._id.toString());
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { ...tokensFor(user, session, refreshToken), session };
+};
+
+/**
+ * Swap a refresh token for a new access token and a new refresh token. Replaying a
+ * token that was already rotated revokes the session, since one copy was stolen.
+ */
+export const refreshSession = async ({ refreshToken, req }) => {
+  const parsed = parseRefreshToken(refreshToken);
+  const session = parsed && await Session.findById(parsed.sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    throw sessionError('Session expired. Please sign in again.', 401);
+  }
+
+  const presented = hashToken(refreshToken);
+  if (!hashesMatch(presented, session.refreshTokenHash)) {
+    if (hashesMatch(presented, session.previousTokenHash)) {
+      await revokeSession(session, { reason: 'token_reuse' });
+      logger.warn('Rotated refresh token replayed; session revoked', { session: session._id, user: session.user, ip: req.ip });
+    }
+    throw sessionError('Session expired. Please sign in again.', 401);
+  }
+
+  const user = await User.findById(session.user).select('email role company status');
+  if (!user || BLOCKED_STATUSES.includes(user.status)) {
+    await revokeSession(session, { reason: 'status_change' });
+    throw sessionError('Account is not active', 401);
+  }
+
+  const next = createRefreshToken(session._id.toString());
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(next);
+  session.rotatedAt = new Date();
+  session.lastSeenAt = new Date();
+  session.ipAddress = req.ip;
+  session.expiresAt = refreshExpiry();
+  await session.save();
+
+  return tokensFor(user, session, next);
+};
+
+/**
+ * Check the session behind an access token is still live and note the user's activity
+ * @returns {Promise<boolean>}
+ */
+export const touchSession = async (sessionId, ipAddress) => {
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt lastSeenAt').lean();
+  if (!session || session.revokedAt || session.expiresAt < new Date()) return false;
+
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_INTERVAL_MS) {
+    await Session.updateOne({ _id: sessionId }, { lastSeenAt: new Date(), ipAddress });
+  }
+  return true;
+};
+
+const revokeSession = async (session, { reason, revokedBy }) => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  session.revokedBy = revokedBy;
+  return session.save();
+};
+
+/**
+ * Revoke every live session of some users
+ * @param {object} params
+ * @param {Array} params.userIds
+ * @param {string} params.reason - Session.revokedReason
+ * @param {string} [params.revokedBy]
+ * @param {string} [params.exceptSessionId] - keep this one (e.g. the session changing its password)
+ * @returns {Promise<number>} sessions revoked
+ */
+export const revokeUserSessions = async ({ userIds, reason, revokedBy, exceptSessionId }) => {
+  const filter = { user: { $in: [].concat(userIds) }, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason, revokedBy });
+  return result.modifiedCount;
+};
+
+/**
+ * Sign out one session. Users may end their own; companyId scopes an admin revoking someone else's.
+ */
+export const endSession = async ({ sessionId, userId, companyId, reason = 'user_revoked', revokedBy }) => {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+  if (companyId) filter.company = companyId;
+
+  const session = await Session.findOne(filter);
+  if (!session) throw sessionError('Session not found', 404);
+  return revokeSession(session, { reason, revokedBy });
+};
+
+/**
+ * Live sessions of a user, newest activity first
+ */
+export const listSessions = async ({ userId, companyId, currentSessionId }) => {
+  const filter = { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+  if (companyId) filter.company = companyId;
+
+  const sessions = await Session.find(filter)
+    .select('device userAgent ipAddress lastSeenAt createdAt expiresAt')
+    .sort({ lastSeenAt: -1 })
+    .lean();
+  return sessions.map((session) => ({ ...session, current: session._id.toString() === currentSessionId }));
+};
+
+export default {
+  BLOCKED_STATUSES,
+  jwtSecret,
+  hashToken,
+  createRefreshToken,
+  parseRefreshToken,
+  signAccessToken,
+  verifyAccessToken,
+  describeDevice,
+  startSession,
+  refreshSession,
+  touchSession,
+  revokeUserSessions,
+  endSession,
+  listSessions,
+};
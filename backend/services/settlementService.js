@@ -0,0 +1,640 @@
+/**
+ * Final Settlement Service
+ * Full and final statements for exiting employees: leave encashment, GPF balance net
+ * of pending advances, GPS pension commutation and loan recoveries, with clearance
+ * held until the employee's assets are returned and posting to the general ledger
+ */
+
+import EnhancedPayroll from '../models/EnhancedPayroll.js';
+import FinalSettlement from '../models/FinalSettlement.js';
+import FixedAsset from '../models/FixedAsset.js';
+import LifecycleEvent from '../models/LifecycleEvent.js';
+import PayProfile from '../models/PayProfile.js';
+import User from '../models/User.js';
+import leaveService from './leaveService.js';
+import { getSettings as getPayrollSettings } from './payrollEngineService.js';
+import { postJournalEntry } from './ledgerService.js';
+import logger from '../config/logger.js';
+
+const settlementError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used until a company sets its own commutation rules in payroll settings
+export const DEFAULT_SETTLEMENT_RULES = {
+  commutationPercent: 35,
+  purchaseYears: 10,
+};
+
+// GPS: 70% of emoluments after 30 years, earned at 7/300 per year, pensionable from 10 years
+export const PENSION_RATE_PER_YEAR = 7 / 300;
+export const MAX_PENSIONABLE_YEARS = 30;
+export const MIN_PENSIONABLE_YEARS = 10;
+
+// Leave type encashed on exit
+const ENCASHABLE_LEAVE = 'annual';
+
+// Payroll setting account each line category posts to (payables debit, recoveries credit)
+export const CATEGORY_ACCOUNTS = {
+  'leave-encashment': 'leaveEncashment',
+  gpf: 'gpfFund',
+  'pension-commutation': 'pensionCommutation',
+  'gpf-advance': 'employeeAdvances',
+  'loan-recovery': 'employeeAdvances',
+  'advance-recovery': 'employeeAdvances',
+  other: 'settlementAdjustments',
+};
+
+// Payslip deductions carried onto the statement as recoveries
+const RECOVERY_CATEGORIES = ['loan-recovery', 'advance-recovery'];
+
+// Assets in these states are no longer with anyone
+const CLOSED_ASSET_STATUSES = ['disposed', 'written_off'];
+
+// ============================================
+// COMPUTATION
+// ============================================
+
+/**
+ * Qualifying service in whole years; six months or more counts as a full year
+ * @param {{years: number, months: number, days: number}} service
+ */
+export const qualifyingServiceYears = ({ years = 0, months = 0, days = 0 } = {}) => {
+  const totalMonths = years * 12 + months + days / 30;
+  const whole = Math.floor(totalMonths / 12);
+  return totalMonths - whole * 12 >= 6 ? whole + 1 : whole;
+};
+
+/**
+ * Service between two dates as years/months/days, for employees whose payslip
+ * carries no qualifying service
+ */
+export const serviceBetween = (from, to) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  if (!(end > start)) return { years: 0, months: 0, days: 0 };
+
+  let months = (end.getFullYear() - start.getFullYear()) * 12 + end.getMonth() - start.getMonth();
+  if (end.getDate() < start.getDate()) months -= 1;
+  const anchor = new Date(start);
+  anchor.setMonth(anchor.getMonth() + months);
+  return {
+    years: Math.floor(months / 12),
+    months: months % 12,
+    days: Math.round((end - anchor) / DAY_MS),
+  };
+};
+
+/**
+ * GPS pension and its commutation
+ * @param {object} params
+ * @param {number} params.basicPay - last pensionable emoluments (monthly)
+ * @param {number} params.serviceYears - qualifying service in whole years
+ * @param {number} params.commutationPercent - % of gross pension commuted
+ * @param {number} params.purchaseYears - years' purchase for the retiree's age
+ * @returns {{grossPension: number, commutedPension: number, netPension: number, commutation: number}}
+ */
+export const gpsCommutation = ({ basicPay, serviceYears, commutationPercent, purchaseYears }) => {
+  if (serviceYears < MIN_PENSIONABLE_YEARS || !(basicPay > 0)) {
+    return { grossPension: 0, commutedPension: 0, netPension: 0, commutation: 0 };
+  }
+  const grossPension = round2(basicPay * Math.min(serviceYears, MAX_PENSIONABLE_YEARS) * PENSION_RATE_PER_YEAR);
+  const commutedPension = round2((grossPension * commutationPercent) / 100);
+  return {
+    grossPension,
+    commutedPension,
+    netPension: round2(grossPension - commutedPension),
+    commutation: Math.round(commutedPension * 12 * purchaseYears),
+  };
+};
+
+/**
+ * Leave encashable on exit: the available balance, limited by what is left of the
+ * policy's encashment cap, at a daily rate of monthly salary over 30 days
+ */
+export const leaveEncashment = ({ monthlySalary, available, capRemaining }) => {
+  const days = round2(Math.max(0, Math.min(available, capRemaining)));
+  const dailyRate = round2((monthlySalary || 0) / 30);
+  return { days, dailyRate, amount: round2(days * dailyRate) };
+};
+
+/**
+ * Computed statement lines
+ * @param {object} params
+ * @param {object} params.leave - leaveEncashment() result
+ * @param {object} params.gpf - { balance, pendingAdvance }
+ * @param {object} [params.pension] - gpsCommutation() result plus the rules used
+ * @param {Array} params.recoveries - [{ code, name, category, amount, month }] from the last payslip
+ */
+export const buildSettlementLines = ({ leave, gpf, pension, recoveries = [] }) => {
+  const lines = [];
+  if (leave.amount > 0) {
+    lines.push({
+      code: 'LEAVE_ENCASHMENT',
+      label: 'Leave encashment',
+      type: 'payable',
+      category: 'leave-encashment',
+      amount: leave.amount,
+      basis: `${leave.days} days × ${leave.dailyRate}`,
+    });
+  }
+  if (gpf.balance > 0) {
+    lines.push({
+      code: 'GPF_BALANCE',
+      label: 'GPF balance',
+      type: 'payable',
+      category: 'gpf',
+      amount: round2(gpf.balance),
+      basis: 'Closing GPF balance on the last payslip',
+    });
+  }
+  if (gpf.pendingAdvance > 0) {
+    lines.push({
+      code: 'GPF_ADVANCE',
+      label: 'Pending GPF advance',
+      type: 'recovery',
+      category: 'gpf-advance',
+      amount: round2(gpf.pendingAdvance),
+      basis: 'Unrecovered GPF advance',
+    });
+  }
+  if (pension?.commutation > 0) {
+    lines.push({
+      code: 'PENSION_COMMUTATION',
+      label: 'Pension commutation',
+      type: 'payable',
+      category: 'pension-commutation',
+      amount: pension.commutation,
+      basis: `${pension.commutationPercent}% of ${pension.grossPension} gross pension × 12 × ${pension.purchaseYears} years' purchase`,
+    });
+  }
+  for (const recovery of recoveries) {
+    if (!(recovery.amount > 0)) continue;
+    lines.push({
+      code: recovery.code,
+      label: recovery.name,
+      type: 'recovery',
+      category: recovery.category,
+      amount: round2(recovery.amount),
+      basis: `Installment on the ${recovery.month} payslip; confirm the outstanding balance`,
+    });
+  }
+  return lines;
+};
+
+/**
+ * Journal lines: payables debit their category account, recoveries credit theirs,
+ * and the net is credited to settlement payable (debited when the employee owes)
+ */
+export const buildSettlementJournalLines = (settlement, accounts) => {
+  const missing = new Set();
+  const accountFor = (key) => {
+    if (!accounts[key]) missing.add(key);
+    return accounts[key]?.toString();
+  };
+  const description = (label) => `${label} - ${settlement.settlementNumber}`;
+
+  const lines = settlement.lines.map((line) => ({
+    account: accountFor(CATEGORY_ACCOUNTS[line.category]),
+    description: description(line.label),
+    debit: line.type === 'payable' ? line.amount : 0,
+    credit: line.type === 'recovery' ? line.amount : 0,
+    subledgerType: 'employee',
+    subledgerRef: settlement.employee?._id || settlement.employee,
+    subledgerModel: 'User',
+  }));
+
+  if (settlement.netSettlement !== 0) {
+    lines.push({
+      account: accountFor('settlementPayable'),
+      description: description('Net final settlement'),
+      debit: settlement.netSettlement < 0 ? -settlement.netSettlement : 0,
+      credit: settlement.netSettlement > 0 ? settlement.netSettlement : 0,
+      subledgerType: 'employee',
+      subledgerRef: settlement.employee?._id || settlement.employee,
+      subledgerModel: 'User',
+    });
+  }
+
+  if (missing.size) {
+    throw settlementError(`GL account not configured in payroll settings: ${[...missing].join(', ')}`);
+  }
+  return lines;
+};
+
+// ============================================
+// INPUTS
+// ============================================
+
+const generateSettlementNumber = async (companyId) => {
+  const prefix = `FS-${new Date().getFullYear()}`;
+  const count = await FinalSettlement.countDocuments({ company: companyId, settlementNumber: { $regex: `^${prefix}` } });
+  return `${prefix}-${String(count + 1).padStart(4, '0')}`;
+};
+
+/**
+ * Assets the employee still holds as custodian
+ */
+export const assetsHeldBy = (companyId, employeeId) => FixedAsset.find({
+  company: companyId,
+  custodian: employeeId,
+  isDisposed: { $ne: true },
+  status: { $nin: CLOSED_ASSET_STATUSES },
+}).select('assetCode name currentBookValue').lean();
+
+const assetSnapshot = (asset) => ({
+  asset: asset._id,
+  assetCode: asset.assetCode,
+  name: asset.name,
+  bookValue: asset.currentBookValue,
+});
+
+/**
+ * Everything the statement is computed from, as of the last working day
+ */
+const gatherInputs = async ({ companyId, employee, event }) => {
+  const lastWorkingDate = event.effectiveDate;
+  const leaveYear = new Date(lastWorkingDate).getFullYear();
+
+  const [payroll, profile, policy, settings] = await Promise.all([
+    EnhancedPayroll.findOne({ company: companyId, employee: employee._id, status: { $ne: 'cancelled' } })
+      .sort({ month: -1 })
+      .lean(),
+    PayProfile.findOne({ company: companyId, employee: employee._id }).lean(),
+    leaveService.getPolicy(companyId),
+    getPayrollSettings(companyId),
+  ]);
+
+  // Leave: balance accrued to the last working day, within the encashment cap
+  const rule = leaveService.getRule(policy, ENCASHABLE_LEAVE);
+  let leave = { days: 0, dailyRate: 0, amount: 0 };
+  if (rule && rule.accrual !== 'none' && rule.encashmentCap > 0) {
+    const balance = await leaveService.getBalance({
+      companyId, employee, leaveType: ENCASHABLE_LEAVE, year: leaveYear, policy, asOf: lastWorkingDate,
+    });
+    leave = leaveEncashment({
+      monthlySalary: employee.salary,
+      available: balance.available,
+      capRemaining: rule.encashmentCap - (balance.encashed || 0),
+    });
+  }
+
+  // GPF: the last payslip's closing balance, or the pay profile before any payroll has run
+  const gpf = {
+    balance: payroll?.gpf?.currentBalance ?? profile?.gpf?.currentBalance ?? 0,
+    pendingAdvance: payroll?.gpf?.pendingAdvanceBalance || 0,
+  };
+
+  // Pension: commuted only when a GPS member retires
+  const pensionScheme = payroll?.pension?.pensionScheme || profile?.pension?.pensionScheme || 'none';
+  const recorded = payroll?.pension?.qualifyingService;
+  const service = recorded && (recorded.years || recorded.months || recorded.days)
+    ? recorded
+    : serviceBetween(payroll?.pension?.serviceStartDate || profile?.pension?.serviceStartDate || employee.joinDate, lastWorkingDate);
+  const serviceYears = qualifyingServiceYears(service);
+  const rules = {
+    commutationPercent: settings.settlement?.commutationPercent ?? DEFAULT_SETTLEMENT_RULES.commutationPercent,
+    purchaseYears: settings.settlement?.purchaseYears ?? DEFAULT_SETTLEMENT_RULES.purchaseYears,
+  };
+  const basicPay = payroll?.payScale?.basicPay || 0;
+
+  let pension;
+  if (pensionScheme === 'gps' && event.separationType === 'retirement') {
+    pension = {
+      ...gpsCommutation({ basicPay, serviceYears, ...rules }),
+      commutationPercent: rules.commutationPercent,
+      purchaseYears: rules.purchaseYears,
+    };
+  }
+
+  const recoveries = (payroll?.deductions || [])
+    .filter((line) => RECOVERY_CATEGORIES.includes(line.category))
+    .map((line) => ({ code: line.code, name: line.name, category: line.category, amount: line.amount, month: payroll.month }));
+
+  return {
+    lines: buildSettlementLines({ leave, gpf, pension, recoveries }),
+    inputs: {
+      monthlySalary: employee.salary,
+      basicPay,
+      payrollMonth: payroll?.month,
+      leaveDays: leave.days,
+      leaveYear,
+      gpfBalance: gpf.balance,
+      gpfPendingAdvance: gpf.pendingAdvance,
+      pensionScheme,
+      qualifyingServiceYears: serviceYears,
+      grossPension: pension?.grossPension || 0,
+      commutationPercent: pension?.commutationPercent,
+      purchaseYears: pension?.purchaseYears,
+    },
+  };
+};
+
+// ============================================
+// STATEMENTS
+// ============================================
+
+const findSettlement = async (companyId, id) => {
+  const settlement = await FinalSettlement.findOne({ _id: id, company: companyId });
+  if (!settlement) throw settlementError('Final settlement not found', 404);
+  return settlement;
+};
+
+const assertDraft = (settlement) => {
+  if (settlement.status !== 'draft') {
+    throw settlementError(`Only draft settlements can be changed (${settlement.settlementNumber} is ${settlement.status})`);
+  }
+};
+
+/**
+ * Draft statement for an employee with an approved offboarding event
+ */
+export const prepareSettlement = async ({ companyId, employeeId, userId, remarks }) => {
+  const employee = await User.findOne({ _id: employeeId, company: companyId })
+    .select('firstName lastName employeeId salary joinDate')
+    .lean();
+  if (!employee) throw settlementError('Employee not found', 404);
+
+  const event = await LifecycleEvent.findOne({
+    company: companyId,
+    employee: employeeId,
+    type: 'offboarding',
+    status: { $in: ['approved', 'applied'] },
+  }).sort({ effectiveDate: -1 });
+  if (!event) throw settlementError('Employee has no approved offboarding event');
+
+  const existing = await FinalSettlement.findOne({ company: companyId, employee: employeeId, status: { $ne: 'cancelled' } });
+  if (existing) throw settlementError(`Employee already has final settlement ${existing.settlementNumber}`, 409);
+
+  const [{ lines, inputs }, assets] = await Promise.all([
+    gatherInputs({ companyId, employee, event }),
+    assetsHeldBy(companyId, employeeId),
+  ]);
+
+  return FinalSettlement.create({
+    company: companyId,
+    settlementNumber: await generateSettlementNumber(companyId),
+    employee: employeeId,
+    lifecycleEvent: event._id,
+    separationType: event.separationType,
+    lastWorkingDate: event.effectiveDate,
+    inputs,
+    lines,
+    assets: assets.map(assetSnapshot),
+    remarks,
+    preparedBy: userId,
+  });
+};
+
+/**
+ * Recompute the statement from current payroll, leave and asset data.
+ * Lines a reviewer entered or changed are kept as they are.
+ */
+export const recalculateSettlement = async ({ companyId, id }) => {
+  const settlement = await findSettlement(companyId, id);
+  assertDraft(settlement);
+
+  const [employee, event] = await Promise.all([
+    User.findById(settlement.employee).select('salary joinDate').lean(),
+    LifecycleEvent.findById(settlement.lifecycleEvent).lean(),
+  ]);
+  const [{ lines, inputs }, assets] = await Promise.all([
+    gatherInputs({ companyId, employee, event }),
+    assetsHeldBy(companyId, settlement.employee),
+  ]);
+
+  const manual = settlement.lines.filter((line) => line.isManual);
+  const manualCodes = new Set(manual.map((line) => line.code));
+  settlement.lines = [...lines.filter((line) => !manualCodes.has(line.code)), ...manual];
+  settlement.inputs = inputs;
+
+  const returned = settlement.assets.filter((asset) => asset.returnedAt);
+  const held = new Set(assets.map((asset) => asset._id.toString()));
+  settlement.assets = [...returned.filter((asset) => !held.has(asset.asset.toString())), ...assets.map(assetSnapshot)];
+  return settlement.save();
+};
+
+/**
+ * Reviewer changes to a draft statement
+ * @param {Array} adjustments - [{ code, amount }] to change a line, [{ code, remove: true }] to drop it,
+ *   or [{ code, label, type, category, amount, basis }] to add one (e.g. a loan's outstanding balance)
+ */
+export const reviseSettlement = async ({ companyId, id, adjustments = [], remarks }) => {
+  const settlement = await findSettlement(companyId, id);
+  assertDraft(settlement);
+
+  for (const adjustment of adjustments) {
+    const index = settlement.lines.findIndex((line) => line.code === adjustment.code);
+    if (adjustment.remove) {
+      if (index === -1) throw settlementError(`Line ${adjustment.code} not found`);
+      settlement.lines.splice(index, 1);
+      continue;
+    }
+
+    const amount = Number(adjustment.amount);
+    if (!(amount >= 0)) throw settlementError(`Amount for ${adjustment.code} must be zero or more`);
+
+    if (index === -1) {
+      if (!adjustment.code || !adjustment.label || !adjustment.type || !CATEGORY_ACCOUNTS[adjustment.category]) {
+        throw settlementError('New lines need a code, label, type and category');
+      }
+      settlement.lines.push({
+        code: adjustment.code,
+        label: adjustment.label,
+        type: adjustment.type,
+        category: adjustment.category,
+        amount: round2(amount),
+        basis: adjustment.basis,
+        isManual: true,
+      });
+    } else {
+      const line = settlement.lines[index];
+      line.amount = round2(amount);
+      if (adjustment.basis !== undefined) line.basis = adjustment.basis;
+      line.isManual = true;
+    }
+  }
+
+  if (remarks !== undefined) settlement.remarks = remarks;
+  return settlement.save();
+};
+
+/**
+ * Record an asset handed back: custody is released on the asset register
+ */
+export const recordAssetReturn = async ({ companyId, id, assetId, userId }) => {
+  const settlement = await findSettlement(companyId, id);
+  if (!['draft', 'cleared'].includes(settlement.status)) {
+    throw settlementError(`Cannot record returns on a ${settlement.status} settlement`);
+  }
+
+  const asset = await FixedAsset.findOne({ _id: assetId, company: companyId, custodian: settlement.employee });
+  if (!asset) throw settlementError('Asset is not held by this employee', 404);
+
+  asset.custodian = undefined;
+  await asset.save();
+
+  const returnedAt = new Date();
+  const entry = settlement.assets.find((item) => item.asset.toString() === asset._id.toString());
+  if (entry) {
+    entry.returnedAt = returnedAt;
+    entry.receivedBy = userId;
+  } else {
+    settlement.assets.push({ ...assetSnapshot(asset), returnedAt, receivedBy: userId });
+  }
+  return settlement.save();
+};
+
+/**
+ * Clear the statement for payment. Blocked while the employee still holds any asset.
+ * @throws 409 with code ASSETS_OUTSTANDING and the outstanding assets
+ */
+export const clearSettlement = async ({ companyId, id, userId }) => {
+  const settlement = await findSettlement(companyId, id);
+  assertDraft(settlement);
+
+  const outstanding = await assetsHeldBy(companyId, settlement.employee);
+  if (outstanding.length) {
+    const error = settlementError(
+      `${outstanding.length} asset(s) must be returned before clearance: ${outstanding.map((asset) => asset.assetCode).join(', ')}`,
+      409
+    );
+    error.code = 'ASSETS_OUTSTANDING';
+    error.assets = outstanding.map(assetSnapshot);
+    throw error;
+  }
+  if (!settlement.lines.length) throw settlementError('Settlement has no lines');
+
+  settlement.status = 'cleared';
+  settlement.clearedBy = userId;
+  settlement.clearedAt = new Date();
+  return settlement.save();
+};
+
+/**
+ * Post a cleared settlement as one journal entry, record the leave encashment
+ * and close the employee's GPF balance and pay profile
+ */
+export const postSettlement = async ({ companyId, id, userId }) => {
+  // Claim cleared -> posting first; a concurrent request finds nothing to claim
+  const settlement = await FinalSettlement.findOneAndUpdate(
+    { _id: id, company: companyId, status: 'cleared' },
+    { status: 'posting' },
+    { new: true }
+  );
+  if (!settlement) {
+    const current = await findSettlement(companyId, id);
+    throw settlementError(`Only cleared settlements can be posted (${current.settlementNumber} is ${current.status})`);
+  }
+
+  let entry;
+  try {
+    const settings = await getPayrollSettings(companyId);
+    const lines = buildSettlementJournalLines(settlement, settings.accounts || {});
+    const employee = await User.findById(settlement.employee).select('firstName lastName').lean();
+
+    entry = await postJournalEntry({
+      companyId,
+      entryDate: new Date(),
+      entryType: 'payroll',
+      description: `Final settlement ${settlement.settlementNumber} - ${employee?.firstName || ''} ${employee?.lastName || ''}`.trim(),
+      lines,
+      sourceDocument: { type: 'final-settlement', documentId: settlement._id, documentNumber: settlement.settlementNumber },
+      userId,
+    });
+  } catch (error) {
+    // Nothing reached the ledger, so the settlement can be posted again
+    await FinalSettlement.updateOne({ _id: settlement._id, status: 'posting' }, { status: 'cleared' });
+    throw error;
+  }
+
+  const leaveLine = settlement.lines.find((line) => line.category === 'leave-encashment');
+  if (leaveLine && !leaveLine.isManual && settlement.inputs?.leaveDays > 0) {
+    try {
+      await leaveService.encashLeave({
+        companyId,
+        employeeId: settlement.employee,
+        leaveType: ENCASHABLE_LEAVE,
+        days: settlement.inputs.leaveDays,
+        year: settlement.inputs.leaveYear,
+      });
+    } catch (error) {
+      // The journal is already posted; the balance can be corrected from leave management
+      logger.warn(`Leave encashment not recorded for ${settlement.settlementNumber}: ${error.message}`);
+    }
+  }
+
+  await PayProfile.updateOne(
+    { company: companyId, employee: settlement.employee },
+    { 'gpf.currentBalance': 0, isActive: false }
+  );
+
+  settlement.status = 'posted';
+  settlement.postedBy = userId;
+  settlement.postedAt = new Date();
+  settlement.journalEntry = entry._id;
+  await settlement.save();
+
+  logger.info(`Final settlement ${settlement.settlementNumber} posted as ${entry.entryNumber}`);
+  return settlement;
+};
+
+/**
+ * Cancel a settlement that has not been posted, so it can be prepared again
+ */
+export const cancelSettlement = async ({ companyId, id, userId, remarks }) => {
+  const settlement = await findSettlement(companyId, id);
+  if (!['draft', 'cleared'].includes(settlement.status)) {
+    throw settlementError(`Cannot cancel a ${settlement.status} settlement`);
+  }
+  settlement.status = 'cancelled';
+  settlement.cancelledBy = userId;
+  if (remarks) settlement.remarks = remarks;
+  return settlement.save();
+};
+
+export const listSettlements = async ({ companyId, filters = {} }) => {
+  const query = { company: companyId };
+  if (filters.status) query.status = filters.status;
+  if (filters.employeeId) query.employee = filters.employeeId;
+
+  return FinalSettlement.find(query)
+    .sort({ createdAt: -1 })
+    .populate('employee', 'firstName lastName employeeId designation department')
+    .select('-lines -inputs')
+    .lean();
+};
+
+export const getSettlement = async ({ companyId, id }) => {
+  const settlement = await FinalSettlement.findOne({ _id: id, company: companyId })
+    .populate('employee', 'firstName lastName employeeId designation department joinDate')
+    .populate('lifecycleEvent', 'eventNumber effectiveDate separationType reason')
+    .populate('preparedBy clearedBy postedBy', 'firstName lastName')
+    .populate('journalEntry', 'entryNumber status')
+    .lean();
+  if (!settlement) throw settlementError('Final settlement not found', 404);
+  return settlement;
+};
+
+export default {
+  DEFAULT_SETTLEMENT_RULES,
+  CATEGORY_ACCOUNTS,
+  qualifyingServiceYears,
+  serviceBetween,
+  gpsCommutation,
+  leaveEncashment,
+  buildSettlementLines,
+  buildSettlementJournalLines,
+  assetsHeldBy,
+  prepareSettlement,
+  recalculateSettlement,
+  reviseSettlement,
+  recordAssetReturn,
+  clearSettlement,
+  postSettlement,
+  cancelSettlement,
+  listSettlements,
+  getSettlement,
+};
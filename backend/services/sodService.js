@@ -0,0 +1,267 @@
+/**
+ * Segregation of Duties Service
+ * Per-company maker/checker/poster rules for journal entries, payment batches and
+ * purchase orders, with audited overrides and a violation log for auditors
+ */
+
+import mongoose from 'mongoose';
+import SodSetting from '../models/SodSetting.js';
+import SodViolation from '../models/SodViolation.js';
+import { hasPermission, permissionsForRequest } from './permissionService.js';
+import logger from '../config/logger.js';
+
+const sodError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+/**
+ * Who performed each workflow stage, by document type. The "poster" is the final
+ * step: posting a journal, releasing a payment batch, receiving goods on a PO.
+ */
+export const DOCUMENT_STAGES = {
+  journal_entry: {
+    label: 'Journal entry',
+    reference: 'entryNumber',
+    maker: 'createdBy',
+    approver: 'approvedBy',
+    poster: 'postedBy',
+  },
+  bank_payment: {
+    label: 'Payment batch',
+    reference: 'batchNumber',
+    maker: 'createdBy',
+    approver: 'approvedBy',
+    poster: 'completedBy',
+  },
+  purchase_order: {
+    label: 'Purchase order',
+    reference: 'poNumber',
+    maker: 'createdBy',
+    approver: 'approvedBy',
+    poster: 'receivedBy',
+  },
+};
+
+export const SOD_RULES = {
+  'maker-approver': { stages: ['maker', 'approver'], label: 'Maker cannot approve' },
+  'maker-poster': { stages: ['maker', 'poster'], label: 'Maker cannot post' },
+  'approver-poster': { stages: ['approver', 'poster'], label: 'Approver cannot post' },
+};
+
+// Stage each action puts the acting user in
+const ACTION_STAGES = { approve: 'approver', post: 'poster' };
+
+export const DEFAULT_RULES = Object.keys(DOCUMENT_STAGES).flatMap((documentType) =>
+  Object.keys(SOD_RULES).map((rule) => ({ documentType, rule, enabled: true, allowOverride: true }))
+);
+
+const ruleKey = ({ documentType, rule }) => `${documentType}:${rule}`;
+
+// ============================================
+// RULE EVALUATION
+// ============================================
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Rules `userId` would break by performing `action` on `document`
+ * @param {object} params
+ * @param {string} params.documentType - key of DOCUMENT_STAGES
+ * @param {object} params.document - current document (before this action is applied)
+ * @param {'approve'|'post'} params.action
+ * @param {string} params.userId
+ * @param {Array} params.rules - company rules (see getSettings)
+ * @returns {Array<{rule: string, label: string, allowOverride: boolean}>}
+ */
+export const checkSegregation = ({ documentType, document, action, userId, rules }) => {
+  const stages = DOCUMENT_STAGES[documentType];
+  const actingStage = ACTION_STAGES[action];
+  if (!stages || !actingStage) throw sodError(`Unknown SoD check: ${documentType}/${action}`);
+
+  const user = idOf(userId);
+  return rules
+    .filter((rule) => rule.documentType === documentType && rule.enabled)
+    .filter((rule) => SOD_RULES[rule.rule]?.stages.includes(actingStage))
+    .filter((rule) => {
+      const otherStage = SOD_RULES[rule.rule].stages.find((stage) => stage !== actingStage);
+      return idOf(document[stages[otherStage]]) === user;
+    })
+    .map((rule) => ({ rule: rule.rule, label: SOD_RULES[rule.rule].label, allowOverride: rule.allowOverride }));
+};
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * Company rules with defaults filled in for any rule never configured
+ */
+export const getSettings = async (companyId) => {
+  const settings = await SodSetting.findOne({ company: companyId }).lean();
+  const stored = new Map((settings?.rules || []).map((rule) => [ruleKey(rule), rule]));
+  return {
+    company: companyId,
+    ...settings,
+    rules: DEFAULT_RULES.map((rule) => ({ ...rule, ...stored.get(ruleKey(rule)) })),
+  };
+};
+
+/**
+ * Save rule changes. Body rules: [{ documentType, rule, enabled, allowOverride }]
+ */
+export const updateSettings = async ({ companyId, rules = [], userId }) => {
+  const unknown = rules.filter((rule) => !DOCUMENT_STAGES[rule.documentType] || !SOD_RULES[rule.rule]);
+  if (unknown.length) {
+    throw sodError(`Unknown SoD rules: ${unknown.map(ruleKey).join(', ')}`);
+  }
+
+  const current = await getSettings(companyId);
+  const updates = new Map(rules.map((rule) => [ruleKey(rule), rule]));
+  const merged = current.rules.map((rule) => {
+    const update = updates.get(ruleKey(rule));
+    if (!update) return rule;
+    return {
+      ...rule,
+      enabled: update.enabled ?? rule.enabled,
+      allowOverride: update.allowOverride ?? rule.allowOverride,
+    };
+  });
+
+  await SodSetting.findOneAndUpdate(
+    { company: companyId },
+    { rules: merged, updatedBy: userId },
+    { upsert: true, new: true, runValidators: true }
+  );
+  return getSettings(companyId);
+};
+
+// ============================================
+// ENFORCEMENT
+// ============================================
+
+/**
+ * Block a conflicting approve/post, or let it through when the user holds sod.override,
+ * every broken rule allows overrides and a reason was given. Both outcomes are logged.
+ * Call before mutating the document.
+ * @param {object} params
+ * @param {object} params.req - request (actor, company, permissions)
+ * @param {string} params.documentType
+ * @param {object} params.document
+ * @param {'approve'|'post'} params.action
+ * @param {string} [params.overrideReason]
+ * @throws 403 with code SOD_VIOLATION
+ */
+export const enforceSegregation = async ({ req, documentType, document, action, overrideReason }) => {
+  const companyId = req.user.company;
+  const { rules } = await getSettings(companyId);
+  const conflicts = checkSegregation({ documentType, document, action, userId: req.user._id, rules });
+  if (!conflicts.length) return null;
+
+  const permissions = await permissionsForRequest(req);
+  const reason = overrideReason?.trim();
+  const canOverride = hasPermission(permissions, 'sod.override')
+    && conflicts.every((conflict) => conflict.allowOverride);
+  const outcome = canOverride && reason ? 'overridden' : 'blocked';
+
+  const violation = await SodViolation.create({
+    company: companyId,
+    documentType,
+    documentId: document._id,
+    documentNumber: document[DOCUMENT_STAGES[documentType].reference],
+    action,
+    rules: conflicts.map((conflict) => conflict.rule),
+    user: req.user._id,
+    outcome,
+    overrideReason: outcome === 'overridden' ? reason : undefined,
+    ipAddress: req.ip,
+  });
+
+  if (outcome === 'overridden') {
+    logger.warn('SoD rule overridden', { documentType, documentId: document._id, userId: req.user._id, reason });
+    return violation;
+  }
+
+  const labels = conflicts.map((conflict) => conflict.label).join('; ');
+  const error = sodError(`Segregation of duties: ${labels}`, 403);
+  error.code = 'SOD_VIOLATION';
+  error.rules = conflicts.map((conflict) => conflict.rule);
+  // Tell the client whether resubmitting with sodOverrideReason would work
+  error.overridable = canOverride;
+  throw error;
+};
+
+/**
+ * Response body for an SoD error
+ */
+export const sodErrorBody = (error) => ({
+  success: false,
+  message: error.message,
+  code: error.code,
+  rules: error.rules,
+  overridable: error.overridable,
+});
+
+// ============================================
+// REPORTING
+// ============================================
+
+/**
+ * Violation log with filters, plus totals by document type and outcome
+ */
+export const listViolations = async ({ companyId, filters = {} }) => {
+  const query = { company: companyId };
+  if (filters.documentType) query.documentType = filters.documentType;
+  if (filters.outcome) query.outcome = filters.outcome;
+  if (filters.userId) query.user = filters.userId;
+  if (filters.fromDate || filters.toDate) {
+    query.createdAt = {};
+    if (filters.fromDate) query.createdAt.$gte = new Date(filters.fromDate);
+    if (filters.toDate) query.createdAt.$lte = new Date(filters.toDate);
+  }
+
+  const limit = Math.min(Number(filters.limit) || 100, 500);
+  const match = { ...query, company: new mongoose.Types.ObjectId(companyId) };
+  if (match.user) match.user = new mongoose.Types.ObjectId(match.user);
+
+  const [violations, summary] = await Promise.all([
+    SodViolation.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('user', 'firstName lastName email')
+      .populate('reviewedBy', 'firstName lastName')
+      .lean(),
+    SodViolation.aggregate([
+      { $match: match },
+      { $group: { _id: { documentType: '$documentType', outcome: '$outcome' }, count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  return {
+    violations,
+    summary: summary.map((row) => ({ ...row._id, count: row.count })),
+  };
+};
+
+/**
+ * Auditor sign-off on a logged violation
+ */
+export const reviewViolation = async ({ companyId, id, userId, notes }) => {
+  const violation = await SodViolation.findOne({ _id: id, company: companyId });
+  if (!violation) throw sodError('Violation not found', 404);
+
+  violation.reviewedBy = userId;
+  violation.reviewedAt = new Date();
+  violation.reviewNotes = notes;
+  return violation.save();
+};
+
+export default {
+  DOCUMENT_STAGES,
+  SOD_RULES,
+  DEFAULT_RULES,
+  checkSegregation,
+  getSettings,
+  updateSettings,
+  enforceSegregation,
+  sodErrorBody,
+  listViolations,
+  reviewViolation,
+};
@@ -0,0 +1,691 @@
+/**
+ * SSO Service
+ * Per-company identity providers over OIDC (authorization code + PKCE) and SAML 2.0
+ * (HTTP-POST binding), just-in-time provisioning and IdP group to role mapping.
+ * A completed round trip yields a one-time login code the web app swaps for a session.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import IdentityProvider from '../models/IdentityProvider.js';
+import SsoRequest from '../models/SsoRequest.js';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import ssoConfig from '../config/sso.js';
+import mailConfig from '../config/mail.js';
+import logger from '../config/logger.js';
+import { hashToken } from './sessionService.js';
+import { createEmployee } from './employeeService.js';
+import { requestPublic } from './outboundHttpService.js';
+
+const ssoError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// How long a user has to finish signing in at the IdP
+const REQUEST_TTL_MS = 10 * 60 * 1000;
+// How long the web app has to swap the login code for a session
+const LOGIN_CODE_TTL_MS = 2 * 60 * 1000;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10000;
+const CLOCK_SKEW_SECONDS = 120;
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+// ============================================
+// HTTP
+// ============================================
+
+// Discovery documents, key sets and SAML metadata are small
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+
+/**
+ * Request an admin-configured IdP URL. The host must resolve to a public address
+ * (unless SSO_ALLOW_PRIVATE_NETWORKS is set) and the connection is pinned to it.
+ * Error messages never echo the response body back to the caller.
+ * @returns {Promise<{status: number, text: Function, json: Function}>}
+ */
+const fetchFromIdp = async (url, { method, headers, body } = {}) => {
+  let response;
+  try {
+    response = await requestPublic(url, {
+      method,
+      headers,
+      body: body === undefined ? undefined : String(body),
+      timeoutMs: FETCH_TIMEOUT_MS,
+      maxBytes: MAX_RESPONSE_BYTES,
+      allowPrivate: ssoConfig.allowPrivateNetworks,
+      message: 'Identity provider URLs must be on the public internet, not a private, loopback or link-local address',
+    });
+  } catch (error) {
+    if (error.status) throw error;
+    logger.warn(`Identity provider request to ${url} failed: ${error.message}`);
+    throw ssoError(`Identity provider unreachable at ${url}`, 502);
+  }
+  if (!response.ok) throw ssoError(`Identity provider returned ${response.status} for ${url}`, 502);
+  if (response.truncated) throw ssoError(`Identity provider response from ${url} is too large`, 502);
+
+  return {
+    status: response.status,
+    text: async () => response.text,
+    json: async () => {
+      try {
+        return JSON.parse(response.text);
+      } catch {
+        throw ssoError(`Identity provider sent invalid JSON from ${url}`, 502);
+      }
+    },
+  };
+};
+
+// Discovery documents and key sets change rarely; keep them for an hour
+const metadataCache = new Map();
+
+const cached = async (key, load, { refresh = false } = {}) => {
+  const entry = metadataCache.get(key);
+  if (entry && !refresh && Date.now() - entry.fetchedAt < METADATA_TTL_MS) return entry.value;
+  const value = await load();
+  metadataCache.set(key, { value, fetchedAt: Date.now() });
+  return value;
+};
+
+// ============================================
+// OIDC
+// ============================================
+
+const trimSlash = (url) => String(url || '').replace(/\/+$/, '');
+
+/**
+ * OpenID Provider configuration from the issuer's discovery document
+ */
+export const discoverOidc = (issuer, options) => cached(`oidc:${trimSlash(issuer)}`, async () => {
+  const response = await fetchFromIdp(`${trimSlash(issuer)}/.well-known/openid-configuration`);
+  const discovery = await response.json();
+  if (trimSlash(discovery.issuer) !== trimSlash(issuer)) {
+    throw ssoError(`Discovery document is for issuer ${discovery.issuer}, not ${issuer}`, 502);
+  }
+  if (!discovery.authorization_endpoint || !discovery.token_endpoint || !discovery.jwks_uri) {
+    throw ssoError('Discovery document is missing the authorization, token or JWKS endpoint', 502);
+  }
+  return discovery;
+}, options);
+
+/**
+ * Public key for an ID token, refetching the key set once when the kid is new (key rotation)
+ */
+export const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (jwks) => (jwks.keys || []).find((key) => (kid ? key.kid === kid : key.use !== 'enc'));
+  const load = async () => (await fetchFromIdp(jwksUri)).json();
+
+  let jwk = findKey(await cached(`jwks:${jwksUri}`, load));
+  if (!jwk) jwk = findKey(await cached(`jwks:${jwksUri}`, load, { refresh: true }));
+  if (!jwk) throw ssoError('Identity provider signing key not found', 401);
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+export const createPkce = () => {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+};
+
+export const buildOidcAuthorizationUrl = ({ discovery, clientId, redirectUri, scopes, state, nonce, codeChallenge, loginHint }) => {
+  const url = new URL(discovery.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', scopes || 'openid email profile');
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (loginHint) url.searchParams.set('login_hint', loginHint);
+  return url.toString();
+};
+
+/**
+ * Swap an authorization code for tokens (client_secret_basic)
+ */
+export const exchangeOidcCode = async ({ discovery, clientId, clientSecret, code, redirectUri, codeVerifier }) => {
+  const credentials = Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret || '')}`).toString('base64');
+  const response = await fetchFromIdp(discovery.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json',
+      Authorization: `Basic ${credentials}`,
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+    }),
+  });
+  const tokens = await response.json();
+  if (!tokens.id_token) throw ssoError('Identity provider did not return an ID token', 502);
+  return tokens;
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @returns {Promise<object>} claims
+ */
+export const verifyIdToken = async (idToken, { discovery, clientId, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw ssoError('Malformed ID token', 401);
+
+  const key = await getSigningKey(discovery.jwks_uri, decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: discovery.issuer,
+      audience: clientId,
+      clockTolerance: CLOCK_SKEW_SECONDS,
+    });
+  } catch (error) {
+    throw ssoError(`ID token rejected: ${error.message}`, 401);
+  }
+  if (!nonce || claims.nonce !== nonce) throw ssoError('ID token nonce does not match this sign-in', 401);
+  return claims;
+};
+
+/**
+ * Claim by dotted path, e.g. "groups" or "realm_access.roles"
+ */
+export const claimValue = (claims, path) => String(path || '').split('.').reduce((value, key) => value?.[key], claims);
+
+// ============================================
+// SAML
+// ============================================
+
+const tagPattern = (name, flags = '') => new RegExp(`<(?:[\\w-]+:)?${name}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>)`, flags);
+const attribute = (attrs, name) => attrs.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+
+/**
+ * IdP settings from SAML metadata: entity ID, SSO endpoint and signing certificates
+ */
+export const parseSamlMetadata = (xml) => {
+  const entityId = attribute(xml.match(tagPattern('EntityDescriptor'))?.[1] || '', 'entityID');
+  const idp = xml.match(tagPattern('IDPSSODescriptor'))?.[2];
+  if (!entityId || !idp) throw ssoError('Metadata has no IdP entity descriptor');
+
+  const endpoints = [...idp.matchAll(tagPattern('SingleSignOnService', 'g'))]
+    .map(([, attrs]) => ({ binding: attribute(attrs, 'Binding') || '', location: attribute(attrs, 'Location') }));
+  const endpoint = endpoints.find((candidate) => candidate.binding.endsWith('HTTP-Redirect'))
+    || endpoints.find((candidate) => candidate.binding.endsWith('HTTP-POST'));
+
+  const certificates = [...idp.matchAll(tagPattern('KeyDescriptor', 'g'))]
+    .filter(([, attrs]) => attribute(attrs, 'use') !== 'encryption')
+    .map(([, , body]) => body?.match(tagPattern('X509Certificate'))?.[2]?.replace(/\s+/g, ''))
+    .filter(Boolean);
+
+  if (!endpoint?.location) throw ssoError('Metadata has no SingleSignOnService endpoint');
+  if (certificates.length === 0) throw ssoError('Metadata has no signing certificate');
+  return { entityId, entryPoint: endpoint.location, certificates: [...new Set(certificates)] };
+};
+
+/**
+ * node-saml client for a provider. InResponseTo checks run against the stored
+ * request, so any API instance can receive the IdP's response.
+ */
+const samlClient = async (provider, ssoRequest) => {
+  const { SAML } = await import('@node-saml/node-saml');
+  return new SAML({
+    callbackUrl: ssoConfig.samlAcsUrl,
+    entryPoint: provider.saml.entryPoint,
+    issuer: ssoConfig.spEntityId,
+    audience: ssoConfig.spEntityId,
+    idpIssuer: provider.saml.idpEntityId || undefined,
+    idpCert: provider.saml.certificates,
+    wantAssertionsSigned: true,
+    wantAuthnResponseSigned: false,
+    identifierFormat: null,
+    acceptedClockSkewMs: CLOCK_SKEW_SECONDS * 1000,
+    validateInResponseTo: 'always',
+    requestIdExpirationPeriodMs: REQUEST_TTL_MS,
+    cacheProvider: {
+      saveAsync: async (key, value) => {
+        ssoRequest.samlRequestId = key;
+        ssoRequest.samlRequestInstant = value;
+        await ssoRequest.save();
+        return { createdAt: Date.now(), value };
+      },
+      getAsync: async (key) => (key === ssoRequest.samlRequestId ? ssoRequest.samlRequestInstant : null),
+      removeAsync: async (key) => key,
+    },
+  });
+};
+
+const samlAttribute = (profile, name) => profile.attributes?.[name] ?? profile[name];
+
+// ============================================
+// PROFILES & ROLE MAPPING
+// ============================================
+
+export const emailDomain = (email) => String(email || '').toLowerCase().split('@')[1] || '';
+
+const asList = (value) => {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map((item) => String(item).trim()).filter(Boolean);
+};
+
+const splitName = (name = '') => {
+  const parts = String(name).trim().split(/\s+/).filter(Boolean);
+  return { firstName: parts[0], lastName: parts.slice(1).join(' ') };
+};
+
+/**
+ * @returns {{ subject, email, emailVerified, firstName, lastName, groups }}
+ */
+export const profileFromOidc = (claims, provider) => {
+  const fallback = splitName(claims.name);
+  return {
+    subject: claims.sub,
+    email: String(claims.email || '').toLowerCase(),
+    emailVerified: claims.email_verified !== false,
+    firstName: claims.given_name || fallback.firstName,
+    lastName: claims.family_name || fallback.lastName,
+    groups: asList(claimValue(claims, provider.oidc?.groupsClaim || 'groups')),
+  };
+};
+
+export const profileFromSaml = (profile, provider) => {
+  const email = samlAttribute(profile, provider.saml?.emailAttribute || 'email') || profile.email || profile.nameID;
+  const fallback = splitName(samlAttribute(profile, 'displayName') || samlAttribute(profile, 'name'));
+  return {
+    subject: profile.nameID,
+    email: String(Array.isArray(email) ? email[0] : email || '').toLowerCase(),
+    emailVerified: true,
+    firstName: samlAttribute(profile, 'firstName') || samlAttribute(profile, 'givenName') || fallback.firstName,
+    lastName: samlAttribute(profile, 'lastName') || samlAttribute(profile, 'surname') || fallback.lastName,
+    groups: asList(samlAttribute(profile, provider.saml?.groupsAttribute || 'groups')),
+  };
+};
+
+/**
+ * Role and custom roles for a set of IdP groups. Group names compare case-insensitively.
+ * @returns {{ role, customRoles: string[], matchedGroups: string[] }}
+ */
+export const mapRoles = (provider, groups = []) => {
+  const held = new Set(groups.map((group) => group.toLowerCase()));
+  const matches = (provider.roleMappings || []).filter((mapping) => held.has(String(mapping.group).toLowerCase()));
+
+  return {
+    role: matches.find((mapping) => mapping.role)?.role || provider.defaultRole || 'employee',
+    customRoles: [...new Set(matches.filter((mapping) => mapping.customRole).map((mapping) => mapping.customRole.toString()))],
+    matchedGroups: [...new Set(matches.map((mapping) => mapping.group))],
+  };
+};
+
+// ============================================
+// PROVIDERS
+// ============================================
+
+const PROVIDER_FIELDS = [
+  'name', 'protocol', 'domains', 'enabled', 'enforced', 'passwordExemptUsers', 'oidc', 'saml',
+  'jitProvisioning', 'defaultRole', 'roleMappings', 'syncRolesOnLogin',
+];
+
+const normalizeDomains = (domains) => [...new Set(asList(domains).map((domain) => domain.toLowerCase().replace(/^@/, '')))];
+
+/**
+ * Fill SAML settings from the metadata URL and check the connection can work
+ */
+const prepareProvider = async (provider, { refreshMetadata = false } = {}) => {
+  if (provider.domains.length === 0) throw ssoError('Add at least one email domain for this provider');
+
+  const claimed = await IdentityProvider.findOne({
+    _id: { $ne: provider._id },
+    company: { $ne: provider.company },
+    domains: { $in: provider.domains },
+  }).select('domains').lean();
+  if (claimed) throw ssoError('One of these email domains is already used by another organisation', 409);
+
+  if (provider.roleMappings.some((mapping) => !mapping.role && !mapping.customRole)) {
+    throw ssoError('Each group mapping needs a role or a custom role');
+  }
+  const customRoleIds = [...new Set(provider.roleMappings.filter((mapping) => mapping.customRole).map((mapping) => mapping.customRole.toString()))];
+  if (customRoleIds.length > 0) {
+    const found = await Role.countDocuments({ _id: { $in: customRoleIds }, company: provider.company });
+    if (found !== customRoleIds.length) throw ssoError('A group mapping refers to a role that does not exist');
+  }
+
+  if (provider.protocol === 'oidc') {
+    if (!provider.oidc?.issuer || !provider.oidc?.clientId) throw ssoError('OIDC issuer and client ID are required');
+  } else {
+    if (provider.saml?.metadataUrl && (refreshMetadata || provider.isModified('saml.metadataUrl'))) {
+      const metadata = parseSamlMetadata(await (await fetchFromIdp(provider.saml.metadataUrl)).text());
+      provider.set('saml.entryPoint', metadata.entryPoint);
+      provider.set('saml.idpEntityId', metadata.entityId);
+      provider.set('saml.certificates', metadata.certificates);
+    }
+    if (!provider.saml?.entryPoint || !provider.saml?.certificates?.length) {
+      throw ssoError('SAML sign-in URL and signing certificate are required (or a metadata URL)');
+    }
+  }
+};
+
+export const listProviders = (companyId) => IdentityProvider.find({ company: companyId })
+  .populate('passwordExemptUsers', 'firstName lastName email')
+  .sort({ createdAt: 1 });
+
+export const getProvider = async ({ companyId, id }) => {
+  const provider = await IdentityProvider.findOne({ _id: id, company: companyId })
+    .populate('passwordExemptUsers', 'firstName lastName email');
+  if (!provider) throw ssoError('Identity provider not found', 404);
+  return provider;
+};
+
+export const createProvider = async ({ companyId, data, userId }) => {
+  const provider = new IdentityProvider({ company: companyId, createdBy: userId });
+  return saveProvider(provider, data);
+};
+
+export const updateProvider = async ({ companyId, id, data }) => {
+  const provider = await IdentityProvider.findOne({ _id: id, company: companyId }).select('+clientSecret');
+  if (!provider) throw ssoError('Identity provider not found', 404);
+  return saveProvider(provider, data);
+};
+
+const saveProvider = async (provider, data) => {
+  PROVIDER_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) provider.set(field, field === 'domains' ? normalizeDomains(data[field]) : data[field]);
+  });
+  // Blank means "keep the stored secret"
+  if (data.clientSecret) provider.clientSecret = data.clientSecret;
+
+  await prepareProvider(provider, { refreshMetadata: Boolean(data.refreshMetadata) });
+  await provider.save();
+  return IdentityProvider.findById(provider._id).populate('passwordExemptUsers', 'firstName lastName email');
+};
+
+export const deleteProvider = async ({ companyId, id }) => {
+  const provider = await IdentityProvider.findOne({ _id: id, company: companyId });
+  if (!provider) throw ssoError('Identity provider not found', 404);
+  await provider.deleteOne();
+  return provider;
+};
+
+/**
+ * Check the provider's published configuration can be fetched and read
+ */
+export const testProvider = async ({ companyId, id }) => {
+  const provider = await IdentityProvider.findOne({ _id: id, company: companyId });
+  if (!provider) throw ssoError('Identity provider not found', 404);
+
+  if (provider.protocol === 'oidc') {
+    const discovery = await discoverOidc(provider.oidc.issuer, { refresh: true });
+    const jwks = await (await fetchFromIdp(discovery.jwks_uri)).json();
+    return { ok: true, issuer: discovery.issuer, authorizationEndpoint: discovery.authorization_endpoint, signingKeys: (jwks.keys || []).length };
+  }
+  if (provider.saml.metadataUrl) {
+    const metadata = parseSamlMetadata(await (await fetchFromIdp(provider.saml.metadataUrl)).text());
+    return { ok: true, entityId: metadata.entityId, entryPoint: metadata.entryPoint, signingKeys: metadata.certificates.length };
+  }
+  return { ok: true, entityId: provider.saml.idpEntityId, entryPoint: provider.saml.entryPoint, signingKeys: provider.saml.certificates.length };
+};
+
+const xmlEscape = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+/**
+ * Service provider metadata to register this app at a SAML IdP. The same for every company.
+ */
+export const serviceProviderMetadata = () => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  `<md:EntityDescriptor xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata" entityID="${xmlEscape(ssoConfig.spEntityId)}">`,
+  '  <md:SPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol" AuthnRequestsSigned="false" WantAssertionsSigned="true">',
+  '    <md:NameIDFormat>urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress</md:NameIDFormat>',
+  `    <md:AssertionConsumerService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST" Location="${xmlEscape(ssoConfig.samlAcsUrl)}" index="1"/>`,
+  '  </md:SPSSODescriptor>',
+  '</md:EntityDescriptor>',
+].join('\n');
+
+// ============================================
+// SIGN-IN
+// ============================================
+
+/**
+ * Enabled provider for an email address's domain, if any
+ */
+export const findProviderForEmail = (email) => {
+  const domain = emailDomain(email);
+  if (!domain) return null;
+  return IdentityProvider.findOne({ domains: domain, enabled: true });
+};
+
+/**
+ * False when the user's company enforces SSO and they are not a break-glass account
+ */
+export const isPasswordLoginAllowed = async (user) => {
+  const enforcing = await IdentityProvider.findOne({
+    company: user.company?._id || user.company,
+    enabled: true,
+    enforced: true,
+  }).select('passwordExemptUsers').lean();
+  if (!enforcing) return true;
+  return (enforcing.passwordExemptUsers || []).some((id) => id.toString() === user._id.toString());
+};
+
+/**
+ * Begin a sign-in round trip
+ * @returns {Promise<string>} IdP URL to send the browser to
+ */
+export const startLogin = async ({ providerId, loginHint }) => {
+  const provider = await IdentityProvider.findOne({ _id: providerId, enabled: true });
+  if (!provider) throw ssoError('Single sign-on is not available for this organisation', 404);
+
+  const ssoRequest = new SsoRequest({
+    company: provider.company,
+    provider: provider._id,
+    state: crypto.randomBytes(24).toString('base64url'),
+    expiresAt: new Date(Date.now() + REQUEST_TTL_MS),
+  });
+
+  if (provider.protocol === 'oidc') {
+    const discovery = await discoverOidc(provider.oidc.issuer);
+    const pkce = createPkce();
+    ssoRequest.nonce = crypto.randomBytes(24).toString('base64url');
+    ssoRequest.codeVerifier = pkce.verifier;
+    await ssoRequest.save();
+
+    return buildOidcAuthorizationUrl({
+      discovery,
+      clientId: provider.oidc.clientId,
+      redirectUri: ssoConfig.oidcRedirectUri,
+      scopes: provider.oidc.scopes,
+      state: ssoRequest.state,
+      nonce: ssoRequest.nonce,
+      codeChallenge: pkce.challenge,
+      loginHint,
+    });
+  }
+
+  // The AuthnRequest ID is added through the client's cache provider while the URL is built
+  await ssoRequest.save();
+  const saml = await samlClient(provider, ssoRequest);
+  return saml.getAuthorizeUrlAsync(ssoRequest.state, undefined, {});
+};
+
+/**
+ * Take an open round trip by its state so it cannot be completed twice
+ */
+const claimRequest = async (state) => {
+  const ssoRequest = await SsoRequest.findOneAndUpdate(
+    { state: String(state || ''), completedAt: null, expiresAt: { $gt: new Date() } },
+    { completedAt: new Date() },
+    { new: true }
+  );
+  if (!ssoRequest) throw ssoError('This sign-in attempt has expired. Please try again.', 401);
+
+  const provider = await IdentityProvider.findOne({ _id: ssoRequest.provider, enabled: true }).select('+clientSecret');
+  if (!provider) throw ssoError('Single sign-on is not available for this organisation', 404);
+  return { ssoRequest, provider };
+};
+
+/**
+ * Find, link or create the user the IdP vouched for, applying the group mapping
+ */
+export const resolveUser = async (provider, profile) => {
+  if (!profile.email || !profile.emailVerified) throw ssoError('The identity provider did not send a verified email address', 403);
+  if (!provider.domains.includes(emailDomain(profile.email))) {
+    throw ssoError(`${profile.email} is not in a domain this identity provider may sign in`, 403);
+  }
+
+  const mapped = mapRoles(provider, profile.groups);
+  let user = await User.findOne({ email: profile.email });
+
+  if (user) {
+    if (user.company.toString() !== provider.company.toString()) {
+      throw ssoError('This account belongs to another organisation', 403);
+    }
+    const linked = user.sso?.provider?.toString() === provider._id.toString();
+    if (linked && user.sso.subject && user.sso.subject !== profile.subject) {
+      throw ssoError('This account is linked to a different identity at your identity provider', 403);
+    }
+    if (provider.syncRolesOnLogin && provider.roleMappings.length > 0) {
+      user.role = mapped.role;
+      user.customRoles = mapped.customRoles;
+    }
+  } else {
+    if (!provider.jitProvisioning) {
+      throw ssoError('No account exists for you yet. Ask your administrator to add you.', 403);
+    }
+    user = await createEmployee(provider.company, {
+      firstName: profile.firstName || profile.email.split('@')[0],
+      lastName: profile.lastName || '-',
+      email: profile.email,
+      // Never used: SSO users do not sign in with a password
+      password: crypto.randomBytes(32).toString('hex'),
+      role: mapped.role,
+      requirePasswordChange: false,
+    });
+    user.customRoles = mapped.customRoles;
+    logger.info('User provisioned from SSO', { user: user._id, provider: provider._id, groups: mapped.matchedGroups });
+  }
+
+  user.sso = { provider: provider._id, subject: profile.subject, lastLoginAt: new Date() };
+  await user.save();
+  return user;
+};
+
+/**
+ * Record the signed-in user on the round trip and issue the one-time code for the web app
+ */
+const issueLoginCode = async (ssoRequest, provider, user) => {
+  const code = crypto.randomBytes(32).toString('base64url');
+  ssoRequest.user = user._id;
+  ssoRequest.loginCodeHash = hashToken(code);
+  ssoRequest.expiresAt = new Date(Date.now() + LOGIN_CODE_TTL_MS);
+  await ssoRequest.save();
+  await IdentityProvider.updateOne({ _id: provider._id }, { lastLoginAt: new Date() });
+  return code;
+};
+
+/**
+ * OIDC redirect back from the IdP
+ * @returns {Promise<string>} login code
+ */
+export const completeOidcLogin = async ({ state, code, error, errorDescription }) => {
+  if (error) throw ssoError(`Identity provider refused the sign-in: ${errorDescription || error}`, 401);
+
+  const { ssoRequest, provider } = await claimRequest(state);
+  if (provider.protocol !== 'oidc') throw ssoError('Unexpected OIDC response for a SAML provider', 400);
+
+  const discovery = await discoverOidc(provider.oidc.issuer);
+  const tokens = await exchangeOidcCode({
+    discovery,
+    clientId: provider.oidc.clientId,
+    clientSecret: provider.clientSecret,
+    code,
+    redirectUri: ssoConfig.oidcRedirectUri,
+    codeVerifier: ssoRequest.codeVerifier,
+  });
+  const claims = await verifyIdToken(tokens.id_token, { discovery, clientId: provider.oidc.clientId, nonce: ssoRequest.nonce });
+
+  // Some IdPs only release groups from the userinfo endpoint
+  if (claimValue(claims, provider.oidc.groupsClaim || 'groups') === undefined && discovery.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await (await fetchFromIdp(discovery.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    })).json();
+    if (userinfo.sub === claims.sub) Object.assign(claims, { ...userinfo, ...claims });
+  }
+
+  const user = await resolveUser(provider, profileFromOidc(claims, provider));
+  return issueLoginCode(ssoRequest, provider, user);
+};
+
+/**
+ * SAML response posted to the assertion consumer service
+ * @returns {Promise<string>} login code
+ */
+export const completeSamlLogin = async ({ samlResponse, relayState }) => {
+  const { ssoRequest, provider } = await claimRequest(relayState);
+  if (provider.protocol !== 'saml') throw ssoError('Unexpected SAML response for an OIDC provider', 400);
+
+  const saml = await samlClient(provider, ssoRequest);
+  let result;
+  try {
+    result = await saml.validatePostResponseAsync({ SAMLResponse: samlResponse });
+  } catch (error) {
+    throw ssoError(`SAML response rejected: ${error.message}`, 401);
+  }
+  if (!result.profile) throw ssoError('SAML response has no assertion', 401);
+
+  const user = await resolveUser(provider, profileFromSaml(result.profile, provider));
+  return issueLoginCode(ssoRequest, provider, user);
+};
+
+/**
+ * Swap a login code for the user it signs in; each code works once
+ */
+export const exchangeLoginCode = async (code) => {
+  const ssoRequest = await SsoRequest.findOneAndUpdate(
+    { loginCodeHash: hashToken(String(code || '')), exchangedAt: null, expiresAt: { $gt: new Date() } },
+    { exchangedAt: new Date() },
+    { new: true }
+  );
+  if (!ssoRequest) throw ssoError('This sign-in link has expired. Please try again.', 401);
+
+  const user = await User.findById(ssoRequest.user).populate('company');
+  if (!user) throw ssoError('User not found', 404);
+  return user;
+};
+
+/**
+ * Where the browser goes after the IdP round trip: the web app's callback page,
+ * with the login code (or error) in the fragment so it stays out of server logs
+ */
+export const appCallbackUrl = ({ code, error }) => {
+  const params = new URLSearchParams(code ? { code } : { error });
+  return `${mailConfig.appUrl}/sso/callback#${params}`;
+};
+
+export default {
+  discoverOidc,
+  getSigningKey,
+  createPkce,
+  buildOidcAuthorizationUrl,
+  exchangeOidcCode,
+  verifyIdToken,
+  claimValue,
+  parseSamlMetadata,
+  emailDomain,
+  profileFromOidc,
+  profileFromSaml,
+  mapRoles,
+  listProviders,
+  getProvider,
+  createProvider,
+  updateProvider,
+  deleteProvider,
+  testProvider,
+  serviceProviderMetadata,
+  findProviderForEmail,
+  isPasswordLoginAllowed,
+  startLogin,
+  resolveUser,
+  completeOidcLogin,
+  completeSamlLogin,
+  exchangeLoginCode,
+  appCallbackUrl,
+};
@@ -0,0 +1,53 @@
+/**
+ * Task Recurrence Scheduler Service
+ * Creates upcoming instances of recurring task series ahead of their dates
+ */
+
+import taskTemplateService from './taskTemplateService.js';
+import logger from '../config/logger.js';
+
+class TaskRecurrenceScheduler {
+  constructor() {
+    this.intervalId = null;
+    this.checkIntervalMs = 60 * 60 * 1000; // Check every hour
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the task recurrence scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('Task recurrence scheduler is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.generateDue();
+    this.intervalId = setInterval(() => this.generateDue(), this.checkIntervalMs);
+    logger.info('Task recurrence scheduler started');
+  }
+
+  /**
+   * Stop the task recurrence scheduler
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+    logger.info('Task recurrence scheduler stopped');
+  }
+
+  async generateDue() {
+    try {
+      const created = await taskTemplateService.processDueTemplates();
+      if (created > 0) logger.info(`Created ${created} recurring task instances`);
+    } catch (error) {
+      logger.error('Recurring task run failed:', error);
+    }
+  }
+}
+
+export default new TaskRecurrenceScheduler();
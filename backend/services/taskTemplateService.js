@@ -0,0 +1,513 @@
+/**
+ * Task Template Service
+ * Reusable task templates and recurring series: recurrence rules evaluated against
+ * the company's working-day calendar, generation of upcoming instances, and
+ * one-off tasks created from a template
+ */
+
+import TaskTemplate from '../models/TaskTemplate.js';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import Holiday from '../models/Holiday.js';
+import { getPolicy } from './leaveService.js';
+import logger from '../config/logger.js';
+
+const templateError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Instances generated per template per run, so a bad rule can't flood the task list
+const MAX_INSTANCES_PER_RUN = 60;
+// Raw rule dates looked at before giving up on finding an occurrence
+const MAX_RULE_DATES = 2000;
+// A date moved to the next working day can start this many days before the window
+const ADJUSTMENT_SLACK_DAYS = 14;
+
+// ============================================
+// DATES & CALENDAR
+// ============================================
+
+// Days are UTC midnights of the company's calendar dates, whatever the server's timezone
+const COMPANY_TIMEZONE = 'Asia/Karachi';
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+const addDays = (date, days) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days));
+
+// Wall-clock time in the timezone, read as if it were UTC
+const wallClock = (date, timeZone) => new Date(`${date.toLocaleString('sv-SE', { timeZone }).replace(' ', 'T')}Z`);
+
+/**
+ * The company's calendar date at an instant, as a day
+ */
+export const companyDay = (date = new Date(), timeZone = COMPANY_TIMEZONE) => startOfDay(wallClock(new Date(date), timeZone));
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const dayKey = (date) => `${date.getUTCFullYear()}-${date.getUTCMonth()}-${date.getUTCDate()}`;
+
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / (24 * 60 * 60 * 1000));
+
+/**
+ * @param {object} calendar - { weekendDays: number[], holidays: Set<string> of dayKeys }
+ */
+export const isWorkingDay = (date, calendar) =>
+  !calendar.weekendDays.includes(date.getUTCDay()) && !calendar.holidays.has(dayKey(date));
+
+// Nearest working day in a direction (-1 or 1), or the date itself if it already is one
+const toWorkingDay = (date, direction, calendar) => {
+  let day = date;
+  for (let i = 0; i < 31 && !isWorkingDay(day, calendar); i += 1) day = addDays(day, direction);
+  return day;
+};
+
+/**
+ * A calendar from plain values, e.g. for tests: holidays as dates
+ */
+export const buildCalendar = ({ weekendDays = [0, 6], holidays = [] } = {}) => ({
+  weekendDays,
+  // Holidays are stored as a day start in some timezone; their company date is the day
+  holidays: new Set(holidays.map((holiday) => dayKey(companyDay(holiday)))),
+});
+
+/**
+ * The company's weekend days (leave policy) and public holidays around a date range
+ */
+export const loadCalendar = async (companyId, from, until) => {
+  const [policy, holidays] = await Promise.all([
+    getPolicy(companyId),
+    Holiday.find({
+      company: companyId,
+      isOptional: { $ne: true },
+      date: { $gte: addDays(from, -45), $lte: addDays(until, 45) },
+    }).select('date').lean(),
+  ]);
+  return buildCalendar({ weekendDays: policy.weekendDays, holidays: holidays.map((holiday) => holiday.date) });
+};
+
+// ============================================
+// RECURRENCE RULES
+// ============================================
+
+const monthlyDate = (rule, year, month, anchor, calendar) => {
+  const lastDay = daysInMonth(year, month);
+  switch (rule.monthlyBy) {
+    case 'firstWorkingDay':
+      return toWorkingDay(new Date(Date.UTC(year, month, 1)), 1, calendar);
+    case 'lastWorkingDay':
+      return toWorkingDay(new Date(Date.UTC(year, month, lastDay)), -1, calendar);
+    case 'weekdayOfMonth': {
+      if (rule.weekOfMonth === -1) {
+        const last = new Date(Date.UTC(year, month, lastDay));
+        return addDays(last, -((last.getUTCDay() - rule.weekday + 7) % 7));
+      }
+      const first = new Date(Date.UTC(year, month, 1));
+      return addDays(first, ((rule.weekday - first.getUTCDay() + 7) % 7) + (rule.weekOfMonth - 1) * 7);
+    }
+    default:
+      return new Date(Date.UTC(year, month, Math.min(rule.dayOfMonth || anchor.getUTCDate(), lastDay)));
+  }
+};
+
+// Dates the rule produces before working-day adjustment, in order, from around `from`
+function* ruleDates(rule, from, calendar) {
+  const anchor = startOfDay(rule.startDate);
+  const interval = rule.interval || 1;
+  const begin = addDays(from, -ADJUSTMENT_SLACK_DAYS);
+
+  if (rule.frequency === 'daily') {
+    let step = Math.max(Math.floor(daysBetween(anchor, begin) / interval), 0);
+    for (;;) yield addDays(anchor, step++ * interval);
+  }
+
+  if (rule.frequency === 'weekly') {
+    const weekdays = rule.weekdays?.length ? [...rule.weekdays].sort((a, b) => a - b) : [anchor.getUTCDay()];
+    const firstWeek = addDays(anchor, -anchor.getUTCDay());
+    let week = Math.max(Math.floor(daysBetween(firstWeek, begin) / 7 / interval), 0) * interval;
+    for (;; week += interval) {
+      for (const weekday of weekdays) {
+        const date = addDays(firstWeek, week * 7 + weekday);
+        if (date >= anchor) yield date;
+      }
+    }
+  }
+
+  if (rule.frequency === 'monthly') {
+    const monthsToBegin = (begin.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + begin.getUTCMonth() - anchor.getUTCMonth();
+    let month = Math.max(Math.floor(monthsToBegin / interval), 0) * interval;
+    for (;; month += interval) {
+      // Date() rolls a month index past December into the following years
+      const date = monthlyDate(rule, anchor.getUTCFullYear(), anchor.getUTCMonth() + month, anchor, calendar);
+      if (date >= anchor) yield date;
+    }
+  }
+}
+
+const adjust = (date, rule, calendar) => {
+  if (rule.frequency === 'monthly' && ['firstWorkingDay', 'lastWorkingDay'].includes(rule.monthlyBy)) return date;
+  if (isWorkingDay(date, calendar)) return date;
+  switch (rule.onNonWorkingDay) {
+    case 'previous': return toWorkingDay(date, -1, calendar);
+    case 'next': return toWorkingDay(date, 1, calendar);
+    case 'skip': return null;
+    default: return date;
+  }
+};
+
+/**
+ * Occurrence dates (day starts) of a rule between two dates, inclusive
+ * @param {object} rule - TaskTemplate.recurrence
+ * @param {object} options - { from, until, calendar, limit }
+ * @returns {Date[]}
+ */
+export const occurrencesBetween = (rule, { from, until, calendar, limit = MAX_INSTANCES_PER_RUN }) => {
+  if (!rule || rule.frequency === 'none' || !rule.startDate) return [];
+  const start = startOfDay(from);
+  const end = startOfDay(until);
+  const ruleEnd = rule.endDate ? startOfDay(rule.endDate) : null;
+
+  const dates = [];
+  const seen = new Set();
+  let looked = 0;
+  for (const raw of ruleDates(rule, start, calendar)) {
+    looked += 1;
+    if (looked > MAX_RULE_DATES || (ruleEnd && raw > ruleEnd) || raw > addDays(end, ADJUSTMENT_SLACK_DAYS)) break;
+    const date = adjust(raw, rule, calendar);
+    if (!date || date < start || date > end || seen.has(dayKey(date))) continue;
+    seen.add(dayKey(date));
+    dates.push(date);
+    if (dates.length >= limit) break;
+  }
+  return dates;
+};
+
+/**
+ * The next `count` occurrences from a date, looking up to two years ahead
+ */
+export const nextOccurrences = (rule, { from, calendar, count = 1 }) =>
+  occurrencesBetween(rule, { from, until: addDays(startOfDay(from), 731), calendar, limit: count });
+
+// ============================================
+// INSTANCES
+// ============================================
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Fill {{date}}, {{month}}, {{year}} and {{quarter}} for an instance's date
+ */
+export const renderTitle = (title, date) => title
+  .replace(/\{\{\s*date\s*\}\}/g, `${date.getUTCDate()} ${MONTHS[date.getUTCMonth()].slice(0, 3)} ${date.getUTCFullYear()}`)
+  .replace(/\{\{\s*month\s*\}\}/g, MONTHS[date.getUTCMonth()])
+  .replace(/\{\{\s*year\s*\}\}/g, String(date.getUTCFullYear()))
+  .replace(/\{\{\s*quarter\s*\}\}/g, `Q${Math.floor(date.getUTCMonth() / 3) + 1}`);
+
+// The due time on an occurrence day, in the company's timezone
+const deadlineFor = (occurrence, dueTime = '17:00', timeZone = COMPANY_TIMEZONE) => {
+  const [hours, minutes] = dueTime.split(':').map(Number);
+  const local = new Date(Date.UTC(occurrence.getUTCFullYear(), occurrence.getUTCMonth(), occurrence.getUTCDate(), hours, minutes));
+  const offset = wallClock(local, timeZone) - local;
+  return new Date(local - offset);
+};
+
+/**
+ * Task fields for one instance of a template
+ * @param {object} template
+ * @param {object} params - { occurrence, assignedTo, assignedBy, department, series }
+ */
+export const buildTask = (template, { occurrence, assignedTo, assignedBy, department, series }) => {
+  const deadline = deadlineFor(occurrence, template.dueTime);
+  return {
+    title: renderTitle(template.title, occurrence),
+    description: template.description,
+    category: 'task',
+    assignedTo,
+    secondaryAssignees: template.secondaryAssignees || [],
+    assignedBy,
+    project: template.project || template.name,
+    department: template.department || department,
+    priority: template.priority,
+    capacity: template.capacity,
+    deadline,
+    company: template.company,
+    checklist: (template.checklist || []).map((item) => ({ title: item.title })),
+    dependencies: (template.dependencies || []).map((dependency) => ({
+      requestedBy: assignedTo,
+      dependsOn: dependency.dependsOn,
+      title: dependency.title,
+      description: dependency.description,
+      category: dependency.category,
+      priority: dependency.priority,
+      dueDate: deadlineFor(addDays(occurrence, -(dependency.dueDaysBefore || 0)), template.dueTime),
+    })),
+    series,
+  };
+};
+
+// The template's assignee, or its author if the assignee has left
+const resolveAssignee = async (template) => {
+  const assignee = await User.findOne({ _id: template.assignee, company: template.company, status: 'active' })
+    .select('department')
+    .lean();
+  if (assignee) return { assignedTo: assignee._id, department: assignee.department };
+  logger.warn(`Task template ${template._id}: assignee is not active, assigning to its author`);
+  return { assignedTo: template.createdBy };
+};
+
+const remainingInstances = (template) =>
+  (template.recurrence.count ? template.recurrence.count - template.generatedCount : Infinity);
+
+/**
+ * Create the instances of a recurring template that fall within its lead time
+ * and move its next occurrence on
+ * @returns {Promise<Array>} tasks created
+ */
+export const generateInstances = async (template, { now = new Date() } = {}) => {
+  const rule = template.recurrence;
+  if (!template.active || !rule || rule.frequency === 'none') return [];
+
+  const today = companyDay(now);
+  const firstDay = startOfDay(rule.startDate) > today ? startOfDay(rule.startDate) : today;
+  const from = template.lastOccurrence ? addDays(startOfDay(template.lastOccurrence), 1) : firstDay;
+  const until = addDays(today, template.leadDays);
+  const calendar = await loadCalendar(template.company, from, addDays(until, 400));
+
+  const remaining = remainingInstances(template);
+  const dates = remaining > 0
+    ? occurrencesBetween(rule, { from, until, calendar, limit: Math.min(remaining, MAX_INSTANCES_PER_RUN) })
+    : [];
+
+  const created = [];
+  if (dates.length) {
+    const { assignedTo, department } = await resolveAssignee(template);
+    for (const occurrence of dates) {
+      const sequence = template.generatedCount + 1;
+      try {
+        created.push(await Task.create(buildTask(template, {
+          occurrence,
+          assignedTo,
+          assignedBy: template.createdBy,
+          department,
+          series: { template: template._id, occurrence, sequence },
+        })));
+        template.generatedCount = sequence;
+      } catch (error) {
+        // Another run already created this instance
+        if (error.code !== 11000) throw error;
+      }
+      template.lastOccurrence = occurrence;
+    }
+  }
+
+  const next = remainingInstances(template) > 0
+    ? nextOccurrences(rule, { from: template.lastOccurrence ? addDays(template.lastOccurrence, 1) : from, calendar })[0]
+    : undefined;
+  template.nextOccurrence = next;
+  if (!next) template.active = false;
+  template.lastGeneratedAt = now;
+  await template.save();
+
+  if (created.length) logger.info(`Generated ${created.length} tasks for series "${template.name}"`);
+  return created;
+};
+
+/**
+ * Generate upcoming instances for every recurring template that has one due
+ * (run by the task recurrence scheduler)
+ * @returns {Promise<number>} tasks created
+ */
+export const processDueTemplates = async ({ now = new Date() } = {}) => {
+  const templates = await TaskTemplate.find({
+    active: true,
+    'recurrence.frequency': { $ne: 'none' },
+    nextOccurrence: { $lte: addDays(companyDay(now), 90) },
+  });
+
+  let created = 0;
+  for (const template of templates) {
+    if (template.nextOccurrence > addDays(companyDay(now), template.leadDays)) continue;
+    try {
+      created += (await generateInstances(template, { now })).length;
+    } catch (error) {
+      logger.error(`Task series "${template.name}" generation failed:`, error);
+    }
+  }
+  return created;
+};
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+const RULE_NUMBERS = ['interval', 'dayOfMonth', 'weekOfMonth', 'weekday', 'count'];
+const RULE_FIELDS = ['frequency', 'monthlyBy', 'onNonWorkingDay', 'startDate', 'endDate', 'weekdays', ...RULE_NUMBERS];
+
+// Rule fields from a request body, with form strings turned into numbers and dates
+export const normalizeRule = (data = {}) => {
+  const rule = {};
+  RULE_FIELDS.forEach((field) => {
+    const value = data[field];
+    if (value === undefined || value === null || value === '') return;
+    if (RULE_NUMBERS.includes(field)) rule[field] = Number(value);
+    else if (field === 'weekdays') rule.weekdays = [].concat(value).map(Number);
+    else if (field === 'startDate' || field === 'endDate') rule[field] = new Date(value);
+    else rule[field] = value;
+  });
+  if (!rule.frequency) rule.frequency = 'none';
+  return rule;
+};
+
+const validateRule = (rule) => {
+  if (!rule || rule.frequency === 'none') return;
+  if (!rule.startDate) throw templateError('A recurring template needs a start date');
+  if (rule.endDate && startOfDay(rule.endDate) < startOfDay(rule.startDate)) {
+    throw templateError('End date must be on or after the start date');
+  }
+  if (rule.frequency === 'monthly' && rule.monthlyBy === 'weekdayOfMonth' && (rule.weekOfMonth == null || rule.weekday == null)) {
+    throw templateError('Choose which weekday of the month, e.g. the 2nd Monday');
+  }
+};
+
+// Every user the template names must belong to the company
+const assertCompanyUsers = async (companyId, template) => {
+  const ids = [
+    template.assignee,
+    ...(template.secondaryAssignees || []),
+    ...(template.dependencies || []).map((dependency) => dependency.dependsOn),
+  ].filter(Boolean).map(String);
+  const unique = [...new Set(ids)];
+  const found = await User.countDocuments({ _id: { $in: unique }, company: companyId });
+  if (found !== unique.length) throw templateError('Assignees and dependency owners must be employees of your company');
+};
+
+const applyTemplateFields = (template, data) => {
+  ['name', 'title', 'description', 'project', 'department', 'priority', 'capacity', 'assignee',
+    'secondaryAssignees', 'dueTime', 'checklist', 'dependencies', 'leadDays', 'active']
+    .forEach((field) => {
+      if (data[field] !== undefined) template[field] = data[field];
+    });
+
+  if (data.recurrence !== undefined) {
+    const rule = normalizeRule(data.recurrence || {});
+    validateRule(rule);
+    // Instances already created stay; the rule picks up after the last of them
+    template.recurrence = rule;
+    template.nextOccurrence = undefined;
+  }
+};
+
+export const listTemplates = (companyId) => TaskTemplate.find({ company: companyId })
+  .populate('assignee', 'firstName lastName email department')
+  .sort({ active: -1, name: 1 });
+
+export const getTemplate = async ({ companyId, id }) => {
+  const template = await TaskTemplate.findOne({ _id: id, company: companyId })
+    .populate('assignee', 'firstName lastName email department')
+    .populate('secondaryAssignees', 'firstName lastName email')
+    .populate('dependencies.dependsOn', 'firstName lastName email');
+  if (!template) throw templateError('Task template not found', 404);
+  return template;
+};
+
+/**
+ * @returns {Promise<{ template, generated }>} generated - instances created straight away
+ */
+export const createTemplate = async ({ companyId, data, userId }) => {
+  const template = new TaskTemplate({ company: companyId, createdBy: userId });
+  applyTemplateFields(template, { ...data, recurrence: data.recurrence || { frequency: 'none' } });
+  await assertCompanyUsers(companyId, template);
+  await template.save();
+  const generated = await generateInstances(template);
+  return { template: await getTemplate({ companyId, id: template._id }), generated: generated.length };
+};
+
+export const updateTemplate = async ({ companyId, id, data, userId }) => {
+  const template = await TaskTemplate.findOne({ _id: id, company: companyId });
+  if (!template) throw templateError('Task template not found', 404);
+  applyTemplateFields(template, data);
+  template.updatedBy = userId;
+  await assertCompanyUsers(companyId, template);
+  await template.save();
+  const generated = await generateInstances(template);
+  return { template: await getTemplate({ companyId, id }), generated: generated.length };
+};
+
+/**
+ * Delete a template. Instances already created stay; with `cancelUpcoming` the ones
+ * nobody has started yet are cancelled.
+ * @returns {Promise<number>} tasks cancelled
+ */
+export const deleteTemplate = async ({ companyId, id, cancelUpcoming = false }) => {
+  const template = await TaskTemplate.findOneAndDelete({ _id: id, company: companyId });
+  if (!template) throw templateError('Task template not found', 404);
+  if (!cancelUpcoming) return 0;
+  const result = await Task.updateMany(
+    { 'series.template': template._id, status: 'pending', deadline: { $gt: new Date() } },
+    { status: 'cancelled' }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Dates a rule would produce, for checking it before saving
+ */
+export const previewOccurrences = async ({ companyId, recurrence, count = 6 }) => {
+  const rule = normalizeRule(recurrence);
+  validateRule(rule);
+  if (rule.frequency === 'none') return [];
+  const today = companyDay();
+  const from = startOfDay(rule.startDate) > today ? startOfDay(rule.startDate) : today;
+  const calendar = await loadCalendar(companyId, from, addDays(from, 731));
+  return nextOccurrences(rule, { from, calendar, count: Math.min(Math.max(parseInt(count, 10) || 6, 1), 24) });
+};
+
+/**
+ * One task from a template, outside any series
+ */
+export const instantiateTemplate = async ({ companyId, id, date, assignedTo, userId }) => {
+  const template = await TaskTemplate.findOne({ _id: id, company: companyId });
+  if (!template) throw templateError('Task template not found', 404);
+  if (!date) throw templateError('Choose the date the task is due');
+
+  const assignee = await User.findOne({ _id: assignedTo || template.assignee, company: companyId }).select('department').lean();
+  if (!assignee) throw templateError('Assigned user not found', 404);
+
+  return Task.create(buildTask(template, {
+    occurrence: startOfDay(date),
+    assignedTo: assignee._id,
+    assignedBy: userId,
+    department: assignee.department,
+  }));
+};
+
+export const listSeriesTasks = async ({ companyId, id }) => {
+  const template = await TaskTemplate.findOne({ _id: id, company: companyId }).select('_id').lean();
+  if (!template) throw templateError('Task template not found', 404);
+  return Task.find({ company: companyId, 'series.template': id })
+    .select('title status progress deadline assignedTo series')
+    .populate('assignedTo', 'firstName lastName')
+    .sort({ 'series.occurrence': -1 });
+};
+
+export default {
+  companyDay,
+  isWorkingDay,
+  buildCalendar,
+  loadCalendar,
+  occurrencesBetween,
+  nextOccurrences,
+  normalizeRule,
+  renderTitle,
+  buildTask,
+  generateInstances,
+  processDueTemplates,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewOccurrences,
+  instantiateTemplate,
+  listSeriesTasks,
+};
@@ -0,0 +1,271 @@
+/**
+ * Task Tree Service
+ * Subtasks and checklists: a subtask is a task with a parent (its own assignee,
+ * deadline and status), a checklist item is a line ticked off inside a task.
+ * A task's progress and status roll up from its direct subtasks and checklist.
+ */
+
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+
+const treeError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Levels of subtasks below a top-level task ("3.2.1")
+export const MAX_DEPTH = 3;
+
+const TREE_FIELDS = 'title status progress priority deadline assignedTo parent subtaskNumber project checklist subtaskStats blocker';
+
+// ============================================
+// ROLL-UP
+// ============================================
+
+/**
+ * Progress and status of a task from its direct subtasks and checklist. Every
+ * subtask and checklist item weighs the same; cancelled subtasks don't count.
+ * A cancelled task keeps its status; a task blocked by hand stays blocked while
+ * it has a blocker and work is open.
+ * @param {object} task - { status, blocker, checklist, subtasks: [{ status, progress }] }
+ * @returns {{ progress: number, status: string }|null} null when there is nothing to roll up
+ */
+export const rollUp = ({ status, blocker, checklist = [], subtasks = [] }) => {
+  const active = subtasks.filter((subtask) => subtask.status !== 'cancelled');
+  const units = [
+    ...active.map((subtask) => ({
+      done: subtask.status === 'completed',
+      progress: subtask.status === 'completed' ? 100 : subtask.progress || 0,
+    })),
+    ...checklist.map((item) => ({ done: Boolean(item.done), progress: item.done ? 100 : 0 })),
+  ];
+  if (units.length === 0) return null;
+
+  const progress = Math.round(units.reduce((sum, unit) => sum + unit.progress, 0) / units.length);
+  if (status === 'cancelled') return { progress, status };
+
+  let next;
+  if (units.every((unit) => unit.done)) next = 'completed';
+  else if (active.some((subtask) => subtask.status === 'blocked') || (status === 'blocked' && blocker)) next = 'blocked';
+  else if (progress > 0 || active.some((subtask) => ['in-progress', 'completed'].includes(subtask.status))) next = 'in-progress';
+  else next = status === 'in-progress' ? 'in-progress' : 'pending';
+
+  return { progress, status: next };
+};
+
+/**
+ * True when the task's progress comes from subtasks or a checklist
+ */
+export const hasBreakdown = (task) => (task.checklist?.length || 0) > 0 || (task.subtaskStats?.total || 0) > 0;
+
+/**
+ * Subtasks and checklist items of a task not done yet
+ */
+export const openItems = (task) =>
+  (task.checklist || []).filter((item) => !item.done).length
+  + Math.max(0, (task.subtaskStats?.total || 0) - (task.subtaskStats?.completed || 0));
+
+/**
+ * A hand-set status must not complete a task with open subtasks or checklist items
+ */
+export const assertManualUpdate = (task, { status }) => {
+  const open = openItems(task);
+  if (status === 'completed' && open > 0) {
+    throw treeError(`${open} subtask${open === 1 ? ' or checklist item is' : 's or checklist items are'} still open`);
+  }
+};
+
+/**
+ * Recalculate a task from its subtasks and checklist, then each of its ancestors
+ * @param {ObjectId|string} taskId
+ */
+export const refreshRollup = async (taskId) => {
+  let id = taskId;
+  for (let level = 0; id && level <= MAX_DEPTH; level += 1) {
+    const task = await Task.findById(id);
+    if (!task) return;
+
+    const subtasks = await Task.find({ parent: task._id }).select('status progress').lean();
+    const active = subtasks.filter((subtask) => subtask.status !== 'cancelled');
+    const stats = { total: active.length, completed: active.filter((subtask) => subtask.status === 'completed').length };
+    if (task.subtaskStats?.total !== stats.total || task.subtaskStats?.completed !== stats.completed) {
+      task.subtaskStats = stats;
+    }
+
+    const next = rollUp({ status: task.status, blocker: task.blocker, checklist: task.checklist, subtasks });
+    if (next) {
+      if (task.progress !== next.progress) task.progress = next.progress;
+      if (task.status !== next.status) task.status = next.status;
+    }
+    if (task.isModified()) await task.save();
+
+    id = task.parent;
+  }
+};
+
+// ============================================
+// SUBTASKS
+// ============================================
+
+/**
+ * "3.2.1" -> [3, 2, 1]; null if it isn't a number path
+ */
+export const parsePath = (value) => {
+  if (!/^\d+(\.\d+)*$/.test(String(value || '').trim())) return null;
+  return String(value).trim().split('.').map(Number);
+};
+
+/**
+ * Whether the user is assigned to one of the task's ancestors, so can follow up on its subtasks
+ */
+export const isAncestorAssignee = async (task, userId) => {
+  if (!task.ancestors?.length) return false;
+  return Boolean(await Task.exists({
+    _id: { $in: task.ancestors },
+    $or: [{ assignedTo: userId }, { secondaryAssignees: userId }],
+  }));
+};
+
+/**
+ * @param {object} params - { parent (Task document), data: { title, description, assignedTo, deadline, priority }, user, canAssignOthers }
+ */
+export const createSubtask = async ({ parent, data, user, canAssignOthers }) => {
+  if (parent.category === 'meeting') throw treeError('Meetings cannot have subtasks');
+  if ((parent.ancestors || []).length >= MAX_DEPTH) throw treeError(`Subtasks can only be nested ${MAX_DEPTH} levels deep`);
+  if (!data.title?.trim()) throw treeError('Subtask title is required');
+
+  const assigneeId = data.assignedTo || parent.assignedTo;
+  if (!canAssignOthers && String(assigneeId) !== String(user._id)) {
+    throw treeError('You can only assign subtasks to yourself', 403);
+  }
+  const assignee = await User.findOne({ _id: assigneeId, company: parent.company }).select('department').lean();
+  if (!assignee) throw treeError('Assigned user not found', 404);
+
+  const deadline = data.deadline ? new Date(data.deadline) : parent.deadline;
+  if (Number.isNaN(deadline.getTime())) throw treeError('Invalid deadline');
+  if (deadline > parent.deadline) throw treeError('A subtask cannot be due after its parent task');
+
+  const last = await Task.findOne({ parent: parent._id }).sort({ subtaskNumber: -1 }).select('subtaskNumber').lean();
+  const number = (last?.subtaskNumber || 0) + 1;
+
+  const subtask = await Task.create({
+    title: data.title.trim(),
+    description: data.description,
+    assignedTo: assignee._id,
+    assignedBy: user._id,
+    // Subtasks are referenced as their parent's reference plus their number
+    project: `${parent.project}.${number}`,
+    department: assignee.department || parent.department,
+    priority: data.priority || parent.priority,
+    deadline,
+    company: parent.company,
+    parent: parent._id,
+    ancestors: [...(parent.ancestors || []), parent._id],
+    subtaskNumber: number,
+  });
+
+  await refreshRollup(parent._id);
+  return subtask;
+};
+
+/**
+ * Nested subtasks of a task: [{ ...subtask, subtasks: [...] }]
+ */
+export const getSubtaskTree = async (task) => {
+  const descendants = await Task.find({ ancestors: task._id })
+    .select(TREE_FIELDS)
+    .populate('assignedTo', 'firstName lastName')
+    .sort({ subtaskNumber: 1 })
+    .lean();
+
+  const byParent = new Map();
+  descendants.forEach((subtask) => {
+    const key = String(subtask.parent);
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(subtask);
+  });
+  const attach = (parentId) => (byParent.get(String(parentId)) || []).map((subtask) => ({
+    ...subtask,
+    subtasks: attach(subtask._id),
+  }));
+  return attach(task._id);
+};
+
+/**
+ * Follow a number path down from a task: [2, 1] is its subtask 2, then that one's subtask 1
+ */
+export const findByPath = async (task, path) => {
+  let current = task;
+  for (const number of path) {
+    current = await Task.findOne({ parent: current._id, subtaskNumber: number });
+    if (!current) return null;
+  }
+  return current;
+};
+
+/**
+ * Delete a task with all of its subtasks
+ * @returns {Promise<number>} subtasks deleted
+ */
+export const deleteTaskTree = async (task) => {
+  const { deletedCount } = await Task.deleteMany({ ancestors: task._id });
+  await Task.deleteOne({ _id: task._id });
+  if (task.parent) await refreshRollup(task.parent);
+  return deletedCount;
+};
+
+// ============================================
+// CHECKLIST
+// ============================================
+
+const findItem = (task, itemId) => {
+  const item = task.checklist.id(itemId);
+  if (!item) throw treeError('Checklist item not found', 404);
+  return item;
+};
+
+export const addChecklistItem = async ({ task, title }) => {
+  if (!title?.trim()) throw treeError('Checklist item title is required');
+  task.checklist.push({ title: title.trim() });
+  await task.save();
+  await refreshRollup(task._id);
+};
+
+/**
+ * @param {object} params - { task, itemId, done, title, userId }
+ */
+export const updateChecklistItem = async ({ task, itemId, done, title, userId }) => {
+  const item = findItem(task, itemId);
+  if (title !== undefined) {
+    if (!title.trim()) throw treeError('Checklist item title is required');
+    item.title = title.trim();
+  }
+  if (done !== undefined && Boolean(done) !== item.done) {
+    item.done = Boolean(done);
+    item.doneAt = item.done ? new Date() : undefined;
+    item.doneBy = item.done ? userId : undefined;
+  }
+  await task.save();
+  await refreshRollup(task._id);
+};
+
+export const removeChecklistItem = async ({ task, itemId }) => {
+  findItem(task, itemId).deleteOne();
+  await task.save();
+  await refreshRollup(task._id);
+};
+
+export default {
+  MAX_DEPTH,
+  rollUp,
+  hasBreakdown,
+  openItems,
+  assertManualUpdate,
+  refreshRollup,
+  parsePath,
+  isAncestorAssignee,
+  createSubtask,
+  getSubtaskTree,
+  findByPath,
+  deleteTaskTree,
+  addChecklistItem,
+  updateChecklistItem,
+  removeChecklistItem,
+};
@@ -0,0 +1,468 @@
+/**
+ * Timesheet Service
+ * Weekly timesheets assembled from worklogs: submitted to the manager the
+ * employee reports to, who approves or rejects them. Approved hours feed the
+ * utilisation reports and the split of each payroll month's salary cost
+ * across projects and cost centers.
+ */
+
+import Timesheet from '../models/Timesheet.js';
+import Worklog from '../models/Worklog.js';
+import User from '../models/User.js';
+import Leave from '../models/Leave.js';
+import Project from '../models/Project.js';
+import CostCenter from '../models/CostCenter.js';
+import EnhancedPayroll from '../models/EnhancedPayroll.js';
+import { getPolicy, getHolidayDates, countLeaveDays } from './leaveService.js';
+import { DEFAULT_MONTHLY_HOURS, monthlyHoursFor } from './projectCostService.js';
+import { toCsv } from './csvService.js';
+
+const timesheetError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const DAY = 24 * 60 * 60 * 1000;
+export const HOURS_PER_DAY = 8;
+// Worklogs of a week can't change while its timesheet is in one of these
+const LOCKED_STATUSES = ['submitted', 'approved'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const idOf = (value) => String(value?._id || value);
+const sum = (rows, field) => round2(rows.reduce((total, row) => total + (row[field] || 0), 0));
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+const personName = (person) => `${person?.firstName || ''} ${person?.lastName || ''}`.trim();
+
+/**
+ * Sunday to Saturday week containing a date. Worklog dates are UTC midnights,
+ * so weeks are counted in UTC days.
+ */
+export const weekOf = (date) => {
+  const day = new Date(date);
+  if (Number.isNaN(day.getTime())) throw timesheetError('Invalid date');
+  const weekStart = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() - day.getUTCDay()));
+  return { weekStart, weekEnd: new Date(weekStart.getTime() + 7 * DAY - 1) };
+};
+
+/**
+ * Hours of a week of worklogs per day and per project
+ * @param {Array} worklogs - { date, project, linkedProject, hoursWorked, billable }
+ * @param {Date} weekStart
+ */
+export const summarizeWeek = (worklogs, weekStart) => {
+  const days = Array.from({ length: 7 }, (_, index) => ({
+    date: new Date(weekStart.getTime() + index * DAY),
+    hours: 0,
+    billableHours: 0,
+  }));
+  const projects = new Map();
+
+  for (const log of worklogs) {
+    const day = days[Math.floor((new Date(log.date) - weekStart) / DAY)];
+    if (!day) continue;
+    const billable = log.billable ? log.hoursWorked : 0;
+    day.hours += log.hoursWorked;
+    day.billableHours += billable;
+
+    const key = log.linkedProject ? idOf(log.linkedProject) : log.project;
+    if (!projects.has(key)) {
+      projects.set(key, { project: log.project, linkedProject: log.linkedProject || null, hours: 0, billableHours: 0 });
+    }
+    projects.get(key).hours += log.hoursWorked;
+    projects.get(key).billableHours += billable;
+  }
+
+  const round = (row) => ({ ...row, hours: round2(row.hours), billableHours: round2(row.billableHours) });
+  return {
+    days: days.map(round),
+    projects: [...projects.values()].map(round).sort((a, b) => b.hours - a.hours),
+    totalHours: sum(days, 'hours'),
+    billableHours: sum(days, 'billableHours'),
+  };
+};
+
+/**
+ * Utilisation per department: hours logged, approved and billable against the
+ * hours people were available
+ * @param {Array} employees - { _id, name, employeeId, department, availableHours }
+ * @param {Array} worklogs - { user, hoursWorked, billable, approved }
+ */
+export const summarizeUtilisation = (employees, worklogs) => {
+  const people = new Map(employees.map((employee) => [idOf(employee._id), {
+    employee: employee._id,
+    name: employee.name,
+    employeeId: employee.employeeId,
+    department: employee.department || 'Unassigned',
+    availableHours: employee.availableHours,
+    loggedHours: 0,
+    approvedHours: 0,
+    billableHours: 0,
+  }]));
+
+  for (const log of worklogs) {
+    const person = people.get(idOf(log.user));
+    if (!person) continue;
+    person.loggedHours += log.hoursWorked;
+    if (log.approved) person.approvedHours += log.hoursWorked;
+    if (log.billable) person.billableHours += log.hoursWorked;
+  }
+
+  const totalsOf = (rows) => {
+    const available = sum(rows, 'availableHours');
+    const logged = sum(rows, 'loggedHours');
+    const billable = sum(rows, 'billableHours');
+    return {
+      employees: rows.length,
+      availableHours: available,
+      loggedHours: logged,
+      approvedHours: sum(rows, 'approvedHours'),
+      billableHours: billable,
+      utilisation: percent(logged, available),
+      billableUtilisation: percent(billable, available),
+    };
+  };
+
+  const rows = [...people.values()].map((person) => ({
+    ...person,
+    loggedHours: round2(person.loggedHours),
+    approvedHours: round2(person.approvedHours),
+    billableHours: round2(person.billableHours),
+    utilisation: percent(person.loggedHours, person.availableHours),
+    billableUtilisation: percent(person.billableHours, person.availableHours),
+  }));
+  const departments = [...new Set(rows.map((row) => row.department))].sort().map((department) => {
+    const members = rows.filter((row) => row.department === department);
+    return { department, ...totalsOf(members), people: members.sort((a, b) => a.name.localeCompare(b.name)) };
+  });
+
+  return { departments, totals: totalsOf(rows) };
+};
+
+/**
+ * Split an employee's salary cost over the approved hours they logged, by
+ * project and cost center. Hours short of a full month stay on the
+ * employee's own cost center, as does time on no project.
+ * @param {number} cost - payroll cost of the month
+ * @param {Array} hours - { project, costCenter, hours }; project is null for non-project time
+ * @param {object} options - { homeCostCenter, monthlyHours }
+ * @returns {Array} { project, costCenter, hours, share, amount }, amounts adding up to the cost
+ */
+export const allocateCost = (cost, hours, { homeCostCenter = null, monthlyHours = DEFAULT_MONTHLY_HOURS } = {}) => {
+  const lines = new Map();
+  const add = (project, costCenter, value) => {
+    const key = `${project ? idOf(project) : ''}|${costCenter ? idOf(costCenter) : ''}`;
+    if (!lines.has(key)) lines.set(key, { project: project || null, costCenter: costCenter || null, hours: 0 });
+    lines.get(key).hours += value;
+  };
+
+  hours.forEach((row) => add(row.project, row.costCenter || homeCostCenter, row.hours));
+  const logged = sum(hours, 'hours');
+  if (logged < monthlyHours) add(null, homeCostCenter, monthlyHours - logged);
+  const basis = Math.max(logged, monthlyHours);
+
+  const allocation = [...lines.values()].map((line) => ({
+    ...line,
+    hours: round2(line.hours),
+    share: round2((line.hours / basis) * 100),
+    amount: round2((cost * line.hours) / basis),
+  }));
+  // Rounding left over goes to the largest line so the split adds up
+  const difference = round2(cost - sum(allocation, 'amount'));
+  if (difference && allocation.length) {
+    const largest = allocation.reduce((top, line) => (line.amount > top.amount ? line : top));
+    largest.amount = round2(largest.amount + difference);
+  }
+  return allocation;
+};
+
+// ============================================
+// WEEKS & REVIEW
+// ============================================
+
+/**
+ * Refuse changes to worklogs in a week whose timesheet is submitted or approved
+ */
+export const assertWeekOpen = async (employeeId, ...dates) => {
+  for (const date of dates.filter(Boolean)) {
+    const { weekStart } = weekOf(date);
+    const timesheet = await Timesheet.findOne({ employee: employeeId, weekStart, status: { $in: LOCKED_STATUSES } })
+      .select('status')
+      .lean();
+    if (timesheet) {
+      throw timesheetError(`The timesheet for the week of ${weekStart.toISOString().slice(0, 10)} is ${timesheet.status}; its worklogs can't be changed`, 409);
+    }
+  }
+};
+
+const weekWorklogs = (employeeId, { weekStart, weekEnd }) => Worklog.find({
+  user: employeeId,
+  date: { $gte: weekStart, $lte: weekEnd },
+}).sort({ date: 1, createdAt: 1 });
+
+/**
+ * An employee's week: worklogs, hours per day and project, and its timesheet if submitted
+ */
+export const getWeek = async ({ companyId, employeeId, date = new Date() }) => {
+  const week = weekOf(date);
+  const [worklogs, timesheet] = await Promise.all([
+    weekWorklogs(employeeId, week).lean(),
+    Timesheet.findOne({ company: companyId, employee: employeeId, weekStart: week.weekStart })
+      .populate('reviewedBy', 'firstName lastName')
+      .lean(),
+  ]);
+  return { ...week, worklogs, summary: summarizeWeek(worklogs, week.weekStart), timesheet };
+};
+
+/**
+ * Submit the week containing `date` to the employee's manager
+ */
+export const submitWeek = async ({ companyId, employeeId, date }) => {
+  const week = weekOf(date);
+  const employee = await User.findOne({ _id: employeeId, company: companyId }).select('reportsTo').lean();
+  if (!employee?.reportsTo) {
+    throw timesheetError('You have no manager to approve timesheets; ask HR to set who you report to');
+  }
+
+  const existing = await Timesheet.findOne({ company: companyId, employee: employeeId, weekStart: week.weekStart });
+  if (existing && LOCKED_STATUSES.includes(existing.status)) {
+    throw timesheetError(`This week's timesheet is already ${existing.status}`, 409);
+  }
+
+  const worklogs = await weekWorklogs(employeeId, week).lean();
+  if (worklogs.length === 0) {
+    throw timesheetError('There are no worklogs to submit for this week');
+  }
+  const summary = summarizeWeek(worklogs, week.weekStart);
+
+  const timesheet = existing || new Timesheet({ company: companyId, employee: employeeId, ...week });
+  timesheet.set({
+    status: 'submitted',
+    entries: worklogs.map((log) => ({
+      worklog: log._id,
+      date: log.date,
+      project: log.project,
+      linkedProject: log.linkedProject,
+      task: log.task,
+      hours: log.hoursWorked,
+      billable: log.billable,
+    })),
+    totalHours: summary.totalHours,
+    billableHours: summary.billableHours,
+    submittedAt: new Date(),
+    reviewedBy: undefined,
+    reviewedAt: undefined,
+    rejectionReason: undefined,
+  });
+  await timesheet.save();
+  await Worklog.updateMany({ _id: { $in: worklogs.map((log) => log._id) } }, { timesheet: timesheet._id });
+  return timesheet;
+};
+
+/**
+ * Approve or reject a submitted timesheet. Only the manager the employee
+ * reports to may do so.
+ * @param {object} params - { companyId, id, reviewerId, action: 'approve'|'reject', reason }
+ */
+export const reviewTimesheet = async ({ companyId, id, reviewerId, action, reason }) => {
+  const timesheet = await Timesheet.findOne({ _id: id, company: companyId });
+  if (!timesheet) throw timesheetError('Timesheet not found', 404);
+
+  const employee = await User.findById(timesheet.employee).select('reportsTo').lean();
+  if (!employee?.reportsTo || idOf(employee.reportsTo) !== idOf(reviewerId)) {
+    throw timesheetError('Only the manager the employee reports to can review this timesheet', 403);
+  }
+  if (timesheet.status !== 'submitted') {
+    throw timesheetError(`Timesheet is ${timesheet.status}, not waiting for review`);
+  }
+  if (action === 'reject' && !reason?.trim()) {
+    throw timesheetError('A reason is required to reject a timesheet');
+  }
+
+  timesheet.status = action === 'approve' ? 'approved' : 'rejected';
+  timesheet.reviewedBy = reviewerId;
+  timesheet.reviewedAt = new Date();
+  timesheet.rejectionReason = action === 'reject' ? reason.trim() : undefined;
+  await timesheet.save();
+  return timesheet;
+};
+
+/**
+ * Timesheets of a set of employees, newest week first
+ */
+export const listTimesheets = ({ companyId, employees, status }) => Timesheet.find({
+  company: companyId,
+  employee: { $in: employees },
+  ...(status && { status }),
+})
+  .select('-entries')
+  .populate('employee', 'firstName lastName employeeId department')
+  .populate('reviewedBy', 'firstName lastName')
+  .sort({ weekStart: -1 })
+  .lean();
+
+/**
+ * Employees whose timesheets a manager reviews
+ */
+export const directReports = async (companyId, managerId) =>
+  (await User.find({ company: companyId, reportsTo: managerId }).select('_id').lean()).map((user) => user._id);
+
+// ============================================
+// REPORTS
+// ============================================
+
+/**
+ * Utilisation and billable hours per department between two dates. Available
+ * hours are the working days (leave policy weekends and holidays) not on
+ * approved leave, at HOURS_PER_DAY each.
+ */
+export const utilisationReport = async ({ companyId, from, to, department }) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) {
+    throw timesheetError('Valid from and to dates are required');
+  }
+  end.setUTCHours(23, 59, 59, 999);
+
+  const users = await User.find({ company: companyId, status: 'active', ...(department && { department }) })
+    .select('firstName lastName employeeId department')
+    .lean();
+  const ids = users.map((user) => user._id);
+
+  const [policy, holidays, leaves, worklogs] = await Promise.all([
+    getPolicy(companyId),
+    getHolidayDates(companyId, start, end),
+    Leave.find({ company: companyId, employee: { $in: ids }, status: 'approved', startDate: { $lte: end }, endDate: { $gte: start } })
+      .select('employee startDate endDate halfDay')
+      .lean(),
+    Worklog.find({ user: { $in: ids }, date: { $gte: start, $lte: end } }).select('user hoursWorked billable timesheet').lean(),
+  ]);
+  const calendar = { weekendDays: policy.weekendDays, holidays };
+  const workingDays = countLeaveDays(start, end, calendar);
+
+  const leaveDays = new Map();
+  for (const leave of leaves) {
+    const days = countLeaveDays(
+      new Date(Math.max(leave.startDate, start)),
+      new Date(Math.min(leave.endDate, end)),
+      { ...calendar, halfDay: leave.halfDay }
+    );
+    leaveDays.set(idOf(leave.employee), (leaveDays.get(idOf(leave.employee)) || 0) + days);
+  }
+
+  const approved = new Set((await Timesheet.find({
+    company: companyId,
+    status: 'approved',
+    _id: { $in: [...new Set(worklogs.filter((log) => log.timesheet).map((log) => idOf(log.timesheet)))] },
+  }).select('_id').lean()).map((timesheet) => idOf(timesheet._id)));
+
+  const report = summarizeUtilisation(
+    users.map((user) => ({
+      _id: user._id,
+      name: personName(user),
+      employeeId: user.employeeId,
+      department: user.department,
+      availableHours: Math.max(0, workingDays - (leaveDays.get(idOf(user._id)) || 0)) * HOURS_PER_DAY,
+    })),
+    worklogs.map((log) => ({ ...log, approved: Boolean(log.timesheet) && approved.has(idOf(log.timesheet)) }))
+  );
+  return { from: start, to: end, workingDays, hoursPerDay: HOURS_PER_DAY, ...report };
+};
+
+/**
+ * Salary cost of a payroll run split across projects and cost centers by the
+ * approved timesheet hours of its month
+ * @param {object} params - { companyId, run } run is a PayrollRun
+ */
+export const payrollAllocation = async ({ companyId, run }) => {
+  const [year, month] = run.month.split('-').map(Number);
+  const monthStart = new Date(Date.UTC(year, month - 1, 1));
+  const monthEnd = new Date(Date.UTC(year, month, 1) - 1);
+
+  const [payslips, timesheets, monthlyHours] = await Promise.all([
+    EnhancedPayroll.find({ company: companyId, payrollRun: run._id, status: { $ne: 'cancelled' } })
+      .select('employee employeeSnapshot grossEarnings costCenter')
+      .lean(),
+    Timesheet.find({ company: companyId, status: 'approved', weekStart: { $lte: monthEnd }, weekEnd: { $gte: monthStart } })
+      .select('_id')
+      .lean(),
+    monthlyHoursFor(companyId),
+  ]);
+
+  const worklogs = await Worklog.find({
+    timesheet: { $in: timesheets.map((timesheet) => timesheet._id) },
+    user: { $in: payslips.map((payslip) => payslip.employee) },
+    date: { $gte: monthStart, $lte: monthEnd },
+  }).select('user linkedProject hoursWorked').lean();
+
+  const projects = new Map((await Project.find({ _id: { $in: worklogs.map((log) => log.linkedProject).filter(Boolean) } })
+    .select('name costCenter')
+    .lean()).map((project) => [idOf(project._id), project]));
+
+  const lines = payslips.flatMap((payslip) => {
+    const hours = worklogs
+      .filter((log) => idOf(log.user) === idOf(payslip.employee))
+      .map((log) => {
+        const project = log.linkedProject && projects.get(idOf(log.linkedProject));
+        return { project: project?._id || null, costCenter: project?.costCenter || null, hours: log.hoursWorked };
+      });
+    return allocateCost(payslip.grossEarnings || 0, hours, { homeCostCenter: payslip.costCenter, monthlyHours })
+      .map((line) => ({
+        employee: payslip.employee,
+        employeeId: payslip.employeeSnapshot?.employeeId,
+        name: payslip.employeeSnapshot?.name,
+        department: payslip.employeeSnapshot?.department,
+        ...line,
+      }));
+  });
+
+  const costCenters = new Map((await CostCenter.find({ _id: { $in: lines.map((line) => line.costCenter).filter(Boolean) } })
+    .select('code name')
+    .lean()).map((costCenter) => [idOf(costCenter._id), costCenter]));
+  lines.forEach((line) => {
+    line.projectName = line.project ? projects.get(idOf(line.project))?.name : null;
+    const costCenter = line.costCenter && costCenters.get(idOf(line.costCenter));
+    line.costCenterCode = costCenter?.code || null;
+    line.costCenterName = costCenter?.name || null;
+  });
+
+  return {
+    run: { _id: run._id, runNumber: run.runNumber, month: run.month, status: run.status },
+    monthlyHours,
+    lines,
+    totals: {
+      employees: payslips.length,
+      cost: sum(payslips, 'grossEarnings'),
+      projects: sum(lines.filter((line) => line.project), 'amount'),
+    },
+  };
+};
+
+const ALLOCATION_COLUMNS = [
+  ['Employee ID', (line) => line.employeeId],
+  ['Name', (line) => line.name],
+  ['Department', (line) => line.department],
+  ['Project', (line) => line.projectName],
+  ['Cost Center', (line) => line.costCenterCode],
+  ['Cost Center Name', (line) => line.costCenterName],
+  ['Hours', (line) => line.hours],
+  ['Share %', (line) => line.share],
+  ['Amount', (line) => line.amount],
+];
+
+/**
+ * Allocation CSV: one row per employee, project and cost center
+ */
+export const toAllocationCsv = (lines) => toCsv(ALLOCATION_COLUMNS, lines);
+
+export default {
+  weekOf,
+  summarizeWeek,
+  summarizeUtilisation,
+  allocateCost,
+  assertWeekOpen,
+  getWeek,
+  submitWeek,
+  reviewTimesheet,
+  listTimesheets,
+  directReports,
+  utilisationReport,
+  payrollAllocation,
+  toAllocationCsv,
+};
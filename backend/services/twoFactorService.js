@@ -0,0 +1,368 @@
+/**
+ * Two-Factor Service
+ * TOTP (RFC 6238) authenticator codes with single-use recovery codes, the
+ * short-lived challenge tokens that sit between the password step and a session,
+ * and the per-role requirement
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import securityConfig from '../config/security.js';
+import { jwtSecret, hashToken } from './sessionService.js';
+
+const twoFactorError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step either side are accepted to allow for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = 'PVARA HRMS';
+
+const CHALLENGE_TTL = { login: '5m', setup: '15m' };
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep '
+  + '+twoFactor.failedAttempts +twoFactor.lockedUntil';
+
+// ============================================
+// TOTP
+// ============================================
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw twoFactorError('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * HOTP value (RFC 4226) for one counter
+ */
+export const hotp = (secret, counter, digits = TOTP_DIGITS) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+export const timeStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+export const totp = (secret, now = Date.now(), digits = TOTP_DIGITS) => hotp(secret, timeStep(now), digits);
+
+/**
+ * Check a code against the current step and its neighbours
+ * @param {object} [options]
+ * @param {number} [options.lastUsedStep] - steps up to and including this one are refused, so a code works once
+ * @returns {number|null} the matching step
+ */
+export const verifyTotp = (secret, code, { now = Date.now(), lastUsedStep } = {}) => {
+  const presented = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(presented)) return null;
+
+  const current = timeStep(now);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step += 1) {
+    if (lastUsedStep != null && step <= lastUsedStep) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(presented))) return step;
+  }
+  return null;
+};
+
+/**
+ * Provisioning URI shown as a QR code or typed into an authenticator app
+ */
+export const otpauthUrl = (secret, account) => {
+  const label = encodeURIComponent(`${ISSUER}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// ============================================
+// RECOVERY CODES
+// ============================================
+
+/**
+ * Codes look like "4f3a-9c21-b7e0"; they are compared without dashes or case
+ */
+export const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+export const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => Array.from({ length: count }, () => {
+  const hex = crypto.randomBytes(6).toString('hex');
+  return `${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8)}`;
+});
+
+export const hashRecoveryCode = (code) => hashToken(normalizeRecoveryCode(code));
+
+// ============================================
+// POLICY & CHALLENGES
+// ============================================
+
+export const isTwoFactorRequired = (user) => securityConfig.twoFactorRequiredRoles.includes(user.role);
+
+/**
+ * Token that stands in for a session between the password step and the second factor.
+ * It carries no session id, so authenticate() never accepts it as an access token.
+ * @param {'login'|'setup'} purpose - "setup" is issued when the user's role needs 2FA but it is not enrolled yet
+ */
+export const signChallenge = (user, purpose) => jwt.sign(
+  { _id: user._id, purpose: `2fa-${purpose}` },
+  jwtSecret(),
+  { expiresIn: CHALLENGE_TTL[purpose] }
+);
+
+/**
+ * @returns {string} user id
+ */
+export const verifyChallenge = (token, purpose) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ''), jwtSecret());
+  } catch (error) {
+    throw twoFactorError('Verification expired. Please sign in again.', 401);
+  }
+  if (payload.purpose !== `2fa-${purpose}` || payload.sid) {
+    throw twoFactorError('Verification expired. Please sign in again.', 401);
+  }
+  return payload._id;
+};
+
+// ============================================
+// ENROLMENT
+// ============================================
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select(`email role status company ${SECRET_FIELDS}`);
+  if (!user) throw twoFactorError('User not found', 404);
+  return user;
+};
+
+export const getStatus = async (userId) => {
+  const user = await loadUser(userId);
+  return {
+    enabled: Boolean(user.twoFactor?.enabled),
+    enabledAt: user.twoFactor?.enabledAt,
+    required: isTwoFactorRequired(user),
+    recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+  };
+};
+
+/**
+ * Start enrolment with a fresh secret. It only takes effect once confirmed by enableTwoFactor.
+ * @returns {Promise<{secret, otpauthUrl}>}
+ */
+export const beginSetup = async (userId) => {
+  const user = await loadUser(userId);
+  if (user.twoFactor?.enabled) throw twoFactorError('Two-factor authentication is already enabled', 409);
+
+  const secret = generateSecret();
+  user.set('twoFactor.pendingSecret', secret);
+  await user.save();
+  return { secret, otpauthUrl: otpauthUrl(secret, user.email) };
+};
+
+/**
+ * Confirm enrolment with a code from the authenticator app
+ * @returns {Promise<{user, recoveryCodes}>} recovery codes in plain text, shown once
+ */
+export const enableTwoFactor = async (userId, code) => {
+  const user = await loadUser(userId);
+  if (user.twoFactor?.enabled) throw twoFactorError('Two-factor authentication is already enabled', 409);
+  const secret = user.twoFactor?.pendingSecret;
+  if (!secret) throw twoFactorError('Start two-factor setup first');
+
+  const step = verifyTotp(secret, code);
+  if (step === null) throw twoFactorError('Invalid verification code');
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.set('twoFactor', {
+    enabled: true,
+    secret,
+    pendingSecret: undefined,
+    recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    lastUsedStep: step,
+    enabledAt: new Date(),
+  });
+  await user.save();
+  return { user, recoveryCodes };
+};
+
+const clearTwoFactor = (user) => {
+  user.set('twoFactor', { enabled: false });
+  return user.save();
+};
+
+/**
+ * Turn 2FA off at the user's own request. Roles that require it cannot opt out.
+ */
+export const disableTwoFactor = async (userId) => {
+  const user = await loadUser(userId);
+  if (isTwoFactorRequired(user)) {
+    throw twoFactorError(`Two-factor authentication is mandatory for the ${user.role} role`, 403);
+  }
+  return clearTwoFactor(user);
+};
+
+/**
+ * Administrator reset for a lost device; the user enrols again at next sign-in if their role requires it
+ */
+export const resetTwoFactor = async ({ userId, companyId }) => {
+  const user = await User.findOne({ _id: userId, company: companyId }).select(`email role ${SECRET_FIELDS}`);
+  if (!user) throw twoFactorError('User not found', 404);
+  return clearTwoFactor(user);
+};
+
+// ============================================
+// VERIFICATION
+// ============================================
+
+/**
+ * Minutes left on a second-factor lockout, or 0 when codes may be tried
+ */
+export const lockoutMinutesLeft = (twoFactor, now = Date.now()) => {
+  const until = twoFactor?.lockedUntil ? new Date(twoFactor.lockedUntil).getTime() : 0;
+  return until > now ? Math.ceil((until - now) / 60000) : 0;
+};
+
+const lockedError = (minutes) => twoFactorError(
+  `Too many invalid verification codes. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+  429
+);
+
+/**
+ * Count a wrong code atomically, so parallel guesses are all counted, and lock
+ * verification once the limit is reached. A new challenge from /login does not reset it.
+ */
+const recordFailedAttempt = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true }
+  ).select('+twoFactor.failedAttempts');
+  if (user.twoFactor.failedAttempts < securityConfig.twoFactorMaxAttempts) return;
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      'twoFactor.failedAttempts': 0,
+      'twoFactor.lockedUntil': new Date(Date.now() + securityConfig.twoFactorLockoutMinutes * 60000),
+    }
+  );
+  throw lockedError(securityConfig.twoFactorLockoutMinutes);
+};
+
+const clearFailedAttempts = (user) => {
+  user.set('twoFactor.failedAttempts', 0);
+  user.set('twoFactor.lockedUntil', undefined);
+};
+
+/**
+ * Check an authenticator code or an unused recovery code. A recovery code is
+ * consumed; an authenticator code cannot be used twice.
+ * @returns {Promise<{user, method: 'totp'|'recovery', recoveryCodesRemaining}>}
+ */
+export const verifySecondFactor = async (userId, code) => {
+  const user = await loadUser(userId);
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) {
+    throw twoFactorError('Two-factor authentication is not enabled', 409);
+  }
+  const minutesLeft = lockoutMinutesLeft(user.twoFactor);
+  if (minutesLeft) throw lockedError(minutesLeft);
+
+  const step = verifyTotp(user.twoFactor.secret, code, { lastUsedStep: user.twoFactor.lastUsedStep });
+  if (step !== null) {
+    user.set('twoFactor.lastUsedStep', step);
+    clearFailedAttempts(user);
+    await user.save();
+    return { user, method: 'totp', recoveryCodesRemaining: user.twoFactor.recoveryCodes.length };
+  }
+
+  if (normalizeRecoveryCode(code).length === 12) {
+    const hash = hashRecoveryCode(code);
+    const remaining = (user.twoFactor.recoveryCodes || []).filter((stored) => stored !== hash);
+    if (remaining.length < (user.twoFactor.recoveryCodes || []).length) {
+      user.set('twoFactor.recoveryCodes', remaining);
+      clearFailedAttempts(user);
+      await user.save();
+      return { user, method: 'recovery', recoveryCodesRemaining: remaining.length };
+    }
+  }
+
+  await recordFailedAttempt(userId);
+  throw twoFactorError('Invalid verification code', 401);
+};
+
+/**
+ * Replace all recovery codes; needs a current authenticator code
+ * @returns {Promise<string[]>} the new codes, shown once
+ */
+export const regenerateRecoveryCodes = async (userId, code) => {
+  const user = await loadUser(userId);
+  if (!user.twoFactor?.enabled) throw twoFactorError('Two-factor authentication is not enabled', 409);
+  const minutesLeft = lockoutMinutesLeft(user.twoFactor);
+  if (minutesLeft) throw lockedError(minutesLeft);
+
+  const step = verifyTotp(user.twoFactor.secret, code, { lastUsedStep: user.twoFactor.lastUsedStep });
+  if (step === null) {
+    await recordFailedAttempt(userId);
+    throw twoFactorError('Invalid verification code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.set('twoFactor.recoveryCodes', recoveryCodes.map(hashRecoveryCode));
+  user.set('twoFactor.lastUsedStep', step);
+  clearFailedAttempts(user);
+  await user.save();
+  return recoveryCodes;
+};
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  verifyTotp,
+  otpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  isTwoFactorRequired,
+  signChallenge,
+  verifyChallenge,
+  getStatus,
+  beginSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  resetTwoFactor,
+  lockoutMinutesLeft,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+};
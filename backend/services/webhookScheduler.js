@@ -0,0 +1,59 @@
+/**
+ * Webhook Scheduler Service
+ * Retries failed webhook deliveries once their backoff has elapsed
+ */
+
+import webhookService from './webhookService.js';
+import logger from '../config/logger.js';
+
+class WebhookScheduler {
+  constructor() {
+    this.intervalId = null;
+    this.checkIntervalMs = 30 * 1000; // Check every 30 seconds
+    this.isRunning = false;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Start the webhook scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('Webhook scheduler is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.processDue();
+    this.intervalId = setInterval(() => this.processDue(), this.checkIntervalMs);
+    logger.info('Webhook scheduler started');
+  }
+
+  /**
+   * Stop the webhook scheduler
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+    logger.info('Webhook scheduler stopped');
+  }
+
+  async processDue() {
+    // A slow receiver can make a run outlast the interval
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+    try {
+      const attempted = await webhookService.processDueDeliveries();
+      if (attempted > 0) logger.info(`Retried ${attempted} webhook deliveries`);
+    } catch (error) {
+      logger.error('Webhook retry run failed:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+}
+
+export default new WebhookScheduler();
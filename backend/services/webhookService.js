@@ -0,0 +1,409 @@
+/**
+ * Webhook Service
+ * Company webhook endpoints, HMAC-signed delivery of bus events, retries with
+ * exponential backoff and the delivery log
+ */
+
+import crypto from 'crypto';
+import WebhookEndpoint from '../models/WebhookEndpoint.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { subscribe } from './eventBus.js';
+import { isPrivateAddress, resolvePublicHost as resolveHost, requestPublic } from './outboundHttpService.js';
+import { EVENT_TYPES, ALL_EVENTS, PING_EVENT } from '../config/events.js';
+import logger from '../config/logger.js';
+
+const webhookError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+export const MAX_ATTEMPTS = 10;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// An attempt in flight holds its delivery this long; a crashed worker's delivery is retried after it
+const ATTEMPT_LEASE_MS = 60 * 1000;
+const RESPONSE_PREVIEW_LENGTH = 1024;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// ============================================
+// SIGNING
+// ============================================
+
+export const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const hmac = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * X-PVARA-Signature value: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+ */
+export const signatureHeader = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+
+/**
+ * What a receiver does with the header: recompute the HMAC over the raw body and
+ * reject stale timestamps so a captured request can't be replayed
+ */
+export const verifySignature = (secret, body, header, { now = Date.now(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map((part) => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1 || Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(hmac(secret, timestamp, body));
+  const received = Buffer.from(parts.v1);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Wait before the next attempt: 1, 2, 4 ... minutes, capped at 6 hours
+ * @param {number} attemptCount - attempts made so far
+ */
+export const retryDelayMs = (attemptCount) => Math.min(RETRY_BASE_MS * 2 ** (attemptCount - 1), RETRY_MAX_MS);
+
+// ============================================
+// DESTINATIONS
+// ============================================
+
+// Self-hosted installs that deliver to receivers on their own network can turn the check off
+const privateNetworksAllowed = () => process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+const PRIVATE_ADDRESS_MESSAGE = 'Webhook endpoints must be on the public internet, not a private, loopback or link-local address';
+
+export { isPrivateAddress };
+
+/**
+ * Resolve the endpoint host and refuse it when any address is internal
+ * @returns {Promise<{address: string, family: number}>} the address to connect to
+ */
+export const resolvePublicHost = (hostname) => resolveHost(hostname, {
+  allowPrivate: privateNetworksAllowed(),
+  message: PRIVATE_ADDRESS_MESSAGE,
+});
+
+// ============================================
+// HTTP
+// ============================================
+
+/**
+ * POST one signed delivery. Resolves with the attempt record; never throws.
+ * The host is resolved and checked on every attempt and the connection is pinned
+ * to the checked address, so a DNS change can't redirect it inside the network.
+ * Redirects are not followed and count as failures.
+ */
+export const sendWebhook = async ({ url, secret, deliveryId, event }) => {
+  const body = JSON.stringify(event);
+  const startedAt = Date.now();
+  const attempt = { attemptedAt: new Date(startedAt) };
+
+  try {
+    const response = await requestPublic(url, {
+      method: 'POST',
+      timeoutMs: REQUEST_TIMEOUT_MS,
+      maxBytes: RESPONSE_PREVIEW_LENGTH,
+      allowPrivate: privateNetworksAllowed(),
+      message: PRIVATE_ADDRESS_MESSAGE,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'PVARA-HRMS-Webhooks/1.0',
+        'X-PVARA-Event': event.type,
+        'X-PVARA-Delivery': String(deliveryId),
+        'X-PVARA-Signature': signatureHeader(secret, body),
+      },
+      body,
+    });
+    attempt.responseStatus = response.status;
+    attempt.responseBody = response.text;
+  } catch (error) {
+    const timedOut = [error.name, error.cause?.name].includes('TimeoutError');
+    attempt.error = timedOut ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : error.cause?.message || error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  attempt.ok = attempt.responseStatus >= 200 && attempt.responseStatus < 300;
+  return attempt;
+};
+
+const validateUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw webhookError('Enter a valid endpoint URL');
+  }
+  const allowHttp = process.env.NODE_ENV !== 'production';
+  if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+    throw webhookError('Webhook endpoints must use HTTPS');
+  }
+  if (url.username || url.password) throw webhookError('Put credentials in your receiver, not the endpoint URL');
+  await resolvePublicHost(url.hostname);
+  return url.toString();
+};
+
+const validateEvents = (events) => {
+  const list = [...new Set(Array.isArray(events) ? events : [])];
+  if (list.length === 0) throw webhookError('Subscribe the endpoint to at least one event');
+  const unknown = list.filter((type) => type !== ALL_EVENTS && !EVENT_TYPES.includes(type));
+  if (unknown.length) throw webhookError(`Unknown events: ${unknown.join(', ')}`);
+  return list;
+};
+
+// ============================================
+// ENDPOINTS
+// ============================================
+
+export const listEndpoints = (companyId) => WebhookEndpoint.find({ company: companyId }).sort({ createdAt: 1 });
+
+export const getEndpoint = async ({ companyId, id }) => {
+  const endpoint = await WebhookEndpoint.findOne({ _id: id, company: companyId });
+  if (!endpoint) throw webhookError('Webhook endpoint not found', 404);
+  return endpoint;
+};
+
+const applyEndpointFields = async (endpoint, data) => {
+  if (data.name !== undefined) endpoint.name = data.name;
+  if (data.description !== undefined) endpoint.description = data.description;
+  if (data.url !== undefined) endpoint.url = await validateUrl(data.url);
+  if (data.events !== undefined) endpoint.events = validateEvents(data.events);
+  if (data.enabled !== undefined) endpoint.enabled = Boolean(data.enabled);
+  if (!endpoint.name?.trim()) throw webhookError('Endpoint name is required');
+};
+
+/**
+ * @returns {Promise<{ endpoint, secret }>} the secret is only ever returned here and by rotateSecret
+ */
+export const createEndpoint = async ({ companyId, data, userId }) => {
+  const endpoint = new WebhookEndpoint({ company: companyId, createdBy: userId, secret: generateSecret() });
+  if (data.url === undefined) throw webhookError('Endpoint URL is required');
+  await applyEndpointFields(endpoint, { ...data, events: data.events ?? [] });
+  await endpoint.save();
+  return { endpoint: await getEndpoint({ companyId, id: endpoint._id }), secret: endpoint.secret };
+};
+
+export const updateEndpoint = async ({ companyId, id, data }) => {
+  const endpoint = await getEndpoint({ companyId, id });
+  await applyEndpointFields(endpoint, data);
+  if (endpoint.isModified('enabled') && endpoint.enabled) endpoint.consecutiveFailures = 0;
+  await endpoint.save();
+  return endpoint;
+};
+
+export const rotateSecret = async ({ companyId, id }) => {
+  const endpoint = await getEndpoint({ companyId, id });
+  endpoint.secret = generateSecret();
+  await endpoint.save();
+  return { endpoint, secret: endpoint.secret };
+};
+
+/**
+ * Remove an endpoint. Its delivery log stays until it expires; pending retries are dropped.
+ */
+export const deleteEndpoint = async ({ companyId, id }) => {
+  const endpoint = await getEndpoint({ companyId, id });
+  await endpoint.deleteOne();
+  await WebhookDelivery.updateMany(
+    { endpoint: endpoint._id, status: 'pending' },
+    { $set: { status: 'failed' }, $unset: { nextAttemptAt: 1 } }
+  );
+  return endpoint;
+};
+
+// ============================================
+// DELIVERY
+// ============================================
+
+const recordEndpointOutcome = (endpointId, succeeded) => WebhookEndpoint.updateOne(
+  { _id: endpointId },
+  succeeded
+    ? { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: 'succeeded', consecutiveFailures: 0 } }
+    : { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: 'failed' }, $inc: { consecutiveFailures: 1 } }
+);
+
+/**
+ * Make the next attempt of a due delivery. A delivery another worker has already
+ * claimed (or that is no longer due) is left alone and resolves to null.
+ */
+export const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + ATTEMPT_LEASE_MS) }, $inc: { attemptCount: 1 } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret');
+  let attempt;
+  let retry = true;
+  if (!endpoint) {
+    attempt = { attemptedAt: now, error: 'Endpoint was deleted' };
+    retry = false;
+  } else if (!endpoint.enabled && !delivery.requestedBy) {
+    attempt = { attemptedAt: now, error: 'Endpoint is disabled' };
+    retry = false;
+  } else {
+    attempt = await sendWebhook({ url: endpoint.url, secret: endpoint.secret, deliveryId: delivery._id, event: delivery.payload });
+  }
+
+  delivery.attempts.push(attempt);
+  if (attempt.ok) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (!retry || delivery.attemptCount >= delivery.maxAttempts) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelayMs(delivery.attemptCount));
+  }
+  await delivery.save();
+  if (endpoint) await recordEndpointOutcome(endpoint._id, attempt.ok);
+
+  return delivery;
+};
+
+const startDelivery = async ({ endpoint, event, maxAttempts = MAX_ATTEMPTS, redeliveryOf, requestedBy }) => {
+  const delivery = await WebhookDelivery.create({
+    company: endpoint.company,
+    endpoint: endpoint._id,
+    eventId: event.id,
+    event: event.type,
+    payload: event,
+    maxAttempts,
+    nextAttemptAt: new Date(),
+    redeliveryOf,
+    requestedBy,
+  });
+  return attemptDelivery(delivery._id).then((attempted) => attempted || delivery);
+};
+
+/**
+ * Bus subscriber: queue the event for every enabled endpoint of the company that
+ * subscribes to it and make the first attempts straight away
+ */
+export const enqueueEvent = async (event) => {
+  const endpoints = await WebhookEndpoint.find({
+    company: event.company,
+    enabled: true,
+    events: { $in: [event.type, ALL_EVENTS] },
+  });
+  await Promise.all(endpoints.map((endpoint) => startDelivery({ endpoint, event }).catch((error) => {
+    logger.error(`Webhook delivery of ${event.type} to ${endpoint.url} failed to start:`, error);
+  })));
+  return endpoints.length;
+};
+
+/**
+ * Retry deliveries whose backoff has elapsed (run by the webhook scheduler)
+ * @returns {Promise<number>} attempts made
+ */
+export const processDueDeliveries = async ({ limit = 50 } = {}) => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .select('_id')
+    .lean();
+
+  let attempted = 0;
+  for (const { _id } of due) {
+    if (await attemptDelivery(_id)) attempted += 1;
+  }
+  return attempted;
+};
+
+let unsubscribe = null;
+
+/**
+ * Start turning bus events into webhook deliveries (once per process)
+ */
+export const subscribeToEvents = () => {
+  if (!unsubscribe) unsubscribe = subscribe(ALL_EVENTS, enqueueEvent);
+};
+
+// ============================================
+// DELIVERY LOG
+// ============================================
+
+export const listDeliveries = async ({ companyId, endpointId, status, event, page = 1, limit = 25 }) => {
+  const filter = { company: companyId };
+  if (endpointId) filter.endpoint = endpointId;
+  if (status) filter.status = status;
+  if (event) filter.event = event;
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 25, 1), 100);
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(filter)
+      .select('-payload')
+      .populate('endpoint', 'name url')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    WebhookDelivery.countDocuments(filter),
+  ]);
+
+  return {
+    deliveries,
+    pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) },
+  };
+};
+
+export const getDelivery = async ({ companyId, id }) => {
+  const delivery = await WebhookDelivery.findOne({ _id: id, company: companyId })
+    .populate('endpoint', 'name url')
+    .populate('requestedBy', 'firstName lastName email');
+  if (!delivery) throw webhookError('Delivery not found', 404);
+  return delivery;
+};
+
+/**
+ * Send a logged event again, once. The new delivery keeps the original event ID.
+ */
+export const redeliver = async ({ companyId, id, userId }) => {
+  const original = await WebhookDelivery.findOne({ _id: id, company: companyId });
+  if (!original) throw webhookError('Delivery not found', 404);
+  const endpoint = await getEndpoint({ companyId, id: original.endpoint });
+
+  return startDelivery({
+    endpoint,
+    event: original.payload,
+    maxAttempts: 1,
+    redeliveryOf: original._id,
+    requestedBy: userId,
+  });
+};
+
+/**
+ * Send a webhook.ping event to check the endpoint and its signature handling
+ */
+export const pingEndpoint = async ({ companyId, id, userId }) => {
+  const endpoint = await getEndpoint({ companyId, id });
+  const event = {
+    id: `evt_${crypto.randomUUID().replace(/-/g, '')}`,
+    type: PING_EVENT,
+    occurredAt: new Date().toISOString(),
+    company: String(companyId),
+    actor: String(userId),
+    data: { endpoint: String(endpoint._id), name: endpoint.name },
+  };
+  return startDelivery({ endpoint, event, maxAttempts: 1, requestedBy: userId });
+};
+
+export default {
+  MAX_ATTEMPTS,
+  generateSecret,
+  signatureHeader,
+  verifySignature,
+  retryDelayMs,
+  isPrivateAddress,
+  resolvePublicHost,
+  sendWebhook,
+  listEndpoints,
+  getEndpoint,
+  createEndpoint,
+  updateEndpoint,
+  rotateSecret,
+  deleteEndpoint,
+  attemptDelivery,
+  enqueueEvent,
+  processDueDeliveries,
+  subscribeToEvents,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  pingEndpoint,
+};
@@ -41,9 +41,10 @@ class WhatsAppService {
    * Send a WhatsApp message
    * @param {string} to - Recipient phone number (with country code, e.g., +923001234567)
    * @param {string} message - Message body
+   * @param {string} [mediaUrl] - Publicly reachable attachment (e.g. a signed PDF link)
    * @returns {Promise<object>} - Twilio message response
    */
-  async sendMessage(to, message) {
+  async sendMessage(to, message, mediaUrl) {
     if (!this.initialize()) {
       throw new Error('WhatsApp service not initialized');
     }
@@ -59,6 +60,7 @@ class WhatsAppService {
         body: message,
         from: from,
         to: formattedTo,
+        ...(mediaUrl && { mediaUrl: [mediaUrl] }),
       });
 
       logger.info(`WhatsApp message sent to ${to}`, { 
@@ -136,9 +138,10 @@ class WhatsAppService {
    * Send task list
    * @param {string} phoneNumber - Recipient's phone number
    * @param {array} tasks - Array of tasks
+   * @param {object} subtasks - Direct subtasks by task ID
    */
-  async sendTaskList(phoneNumber, tasks) {
-    const message = whatsappConfig.templates.taskList(tasks);
+  async sendTaskList(phoneNumber, tasks, subtasks = {}) {
+    const message = whatsappConfig.templates.taskList(tasks, subtasks);
     return this.sendMessage(phoneNumber, message);
   }
 
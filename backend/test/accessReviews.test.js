@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildReviewItem, toAttestationCsv } from '../services/accessReviewService.js';
+import { modulesForPermissions } from '../services/permissionService.js';
+
+const ids = { admin: 'a'.repeat(24), manager: 'b'.repeat(24), clerk: 'c'.repeat(24), gone: 'd'.repeat(24) };
+const activeUserIds = new Set([ids.admin, ids.manager, ids.clerk]);
+
+test('modulesForPermissions maps permission groups to plan modules', () => {
+  assert.deepEqual(modulesForPermissions(['journal.post', 'payroll.read']), ['core', 'payroll', 'finance']);
+  assert.deepEqual(modulesForPermissions(['*'], ['core', 'payroll']), ['core', 'payroll']);
+  assert.deepEqual(modulesForPermissions([]), ['core']);
+});
+
+test('review items snapshot access and route to the active manager', () => {
+  const item = buildReviewItem({
+    user: {
+      _id: ids.clerk,
+      firstName: 'Sara',
+      lastName: 'Khan',
+      role: 'accountant',
+      reportsTo: ids.manager,
+      customRoles: [{ _id: 'e'.repeat(24), name: 'Payroll Viewer', permissions: ['payroll.read'] }, null],
+    },
+    systemOverrides: new Map([['accountant', { permissions: ['journal.create'] }]]),
+    planModules: ['core', 'payroll', 'finance'],
+    activeUserIds,
+    fallbackReviewer: ids.admin,
+  });
+
+  assert.equal(item.reviewer, ids.manager);
+  assert.deepEqual(item.permissions, ['journal.create', 'payroll.read']);
+  assert.deepEqual(item.modules, ['core', 'payroll', 'finance']);
+  assert.deepEqual(item.customRoles.map((role) => role.name), ['Payroll Viewer']);
+});
+
+test('users without an active manager go to the fallback reviewer', () => {
+  const build = (reportsTo) => buildReviewItem({
+    user: { _id: ids.clerk, role: 'employee', reportsTo },
+    systemOverrides: new Map(),
+    planModules: ['core'],
+    activeUserIds,
+    fallbackReviewer: ids.admin,
+  });
+  assert.equal(build(null).reviewer, ids.admin);
+  assert.equal(build(ids.gone).reviewer, ids.admin);
+  assert.equal(build(ids.clerk).reviewer, ids.admin);
+});
+
+test('attestation CSV quotes cells with commas', () => {
+  const csv = toAttestationCsv([{
+    userName: 'Khan, Sara',
+    role: 'employee',
+    customRoles: [],
+    modules: ['core'],
+    permissions: [],
+    decision: 'keep',
+    comment: 'Still "needed"',
+  }]);
+  const [header, row] = csv.split('\n');
+  assert.ok(header.startsWith('Employee ID,Name,Email'));
+  assert.ok(row.includes('"Khan, Sara"'));
+  assert.ok(row.includes('"Still ""needed"""'));
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  generateKey,
+  isApiKey,
+  requiredScopes,
+  permissionsForScopes,
+  principalFor,
+} from '../services/apiKeyService.js';
+import { parseMounts, parseRoutes, buildOpenApiDocument } from '../services/openApiService.js';
+import { hasPermission } from '../services/permissionService.js';
+
+test('keys are recognisable by prefix and never repeat', () => {
+  const key = generateKey();
+  assert.match(key, /^pvk_[\w-]{32}$/);
+  assert.notEqual(generateKey(), key);
+  assert.equal(isApiKey(key), true);
+  assert.equal(isApiKey('eyJhbGciOiJIUzI1NiJ9.payload.signature'), false);
+  assert.equal(isApiKey(undefined), false);
+});
+
+test('reads accept read or write scopes; writes need a write scope', () => {
+  assert.deepEqual(requiredScopes('GET', '/api/tasks/123'), ['tasks:read', 'tasks:write']);
+  assert.deepEqual(requiredScopes('POST', '/api/tasks'), ['tasks:write']);
+  assert.deepEqual(requiredScopes('get', '/api/financial-reports/trial-balance'), ['finance:reports']);
+  assert.deepEqual(requiredScopes('POST', '/api/financial-reports/trial-balance'), []);
+  // Prefixes match whole path segments only
+  assert.deepEqual(requiredScopes('GET', '/api/employees-export'), []);
+  assert.deepEqual(requiredScopes('GET', '/api/api-keys'), []);
+});
+
+test('a key holds only the permissions of its scopes and acts as its issuer without a role', () => {
+  const permissions = permissionsForScopes(['employees:read', 'finance:reports']);
+  assert.equal(hasPermission(permissions, 'report.financial'), true);
+  assert.equal(hasPermission(permissions, 'employee.manage'), false);
+  assert.equal(hasPermission(permissions, 'employee.salary.read'), false);
+  assert.equal(permissionsForScopes(['tasks:read']).size, 0);
+
+  const user = principalFor({ _id: 'k1', company: 'c1', createdBy: 'u1', name: 'BI sync', prefix: 'pvk_abcdefgh', scopes: ['tasks:read'] });
+  assert.deepEqual(user, {
+    _id: 'u1',
+    company: 'c1',
+    role: 'api',
+    apiKey: { id: 'k1', name: 'BI sync', prefix: 'pvk_abcdefgh', scopes: ['tasks:read'] },
+  });
+});
+
+test('routes, their middleware and comments are read from source', () => {
+  const mounts = parseMounts([
+    "import taskRoutes from './routes/tasks.js';",
+    "import { helper } from './services/helper.js';",
+    "app.use('/api', auditContext);",
+    "app.use('/api/tasks', taskRoutes);",
+  ].join('\n'));
+  assert.deepEqual(mounts, [{ mountPath: '/api/tasks', file: 'routes/tasks.js' }]);
+
+  const routes = parseRoutes(`
+router.use(authenticate, requirePermission('project.manage'));
+
+/**
+ * GET /api/tasks/:id
+ * One task
+ * Includes its comments
+ */
+router.get('/:id', async (req, res) => {});
+
+// Delete a task
+router.delete(
+  '/:id',
+  authorize('admin', 'hr'),
+  requirePermission(['task.delete']),
+  async (req, res) => {}
+);
+`);
+  assert.deepEqual(routes, [
+    { method: 'get', path: '/:id', authenticated: true, permissions: ['project.manage'], roles: [], comment: ['One task', 'Includes its comments'] },
+    { method: 'delete', path: '/:id', authenticated: true, permissions: ['project.manage', 'task.delete'], roles: ['admin', 'hr'], comment: ['Delete a task'] },
+  ]);
+});
+
+test('the OpenAPI document covers the mounted routers and their key scopes', () => {
+  const document = buildOpenApiDocument();
+  assert.equal(document.openapi, '3.0.3');
+
+  const ping = document.paths['/api/webhooks/{id}/ping'].post;
+  assert.equal(ping.summary, 'Send a webhook.ping event and return the delivery');
+  assert.deepEqual(ping.parameters.map((parameter) => parameter.name), ['id']);
+  assert.deepEqual(ping['x-permissions'], ['webhook.manage']);
+  assert.deepEqual(ping.security, [{ bearerAuth: [] }]);
+
+  const trialBalance = document.paths['/api/financial-reports/trial-balance'].get;
+  assert.deepEqual(trialBalance['x-api-key-scopes'], ['finance:reports']);
+  assert.deepEqual(trialBalance.security, [{ bearerAuth: [] }, { apiKey: [] }]);
+
+  assert.deepEqual(document.paths['/api/auth/login'].post.security, []);
+  assert.ok(document.paths['/api/api-keys/{id}/rotate']);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateAttendance, resolveDayStatus, isOvernightShift, DEFAULT_SHIFT } from '../services/attendanceService.js';
+
+// Shift times are evaluated in Asia/Karachi (UTC+5)
+const pkt = (time, day = '2026-03-02') => new Date(`${day}T${time}:00+05:00`);
+
+test('evaluateAttendance check-in within grace is present', () => {
+  const result = evaluateAttendance(DEFAULT_SHIFT, { checkIn: pkt('09:10') });
+  assert.equal(result.status, 'present');
+  assert.equal(result.lateMinutes, 0);
+});
+
+test('evaluateAttendance check-in after grace is late by the full delay', () => {
+  const result = evaluateAttendance(DEFAULT_SHIFT, { checkIn: pkt('09:40') });
+  assert.equal(result.status, 'late');
+  assert.equal(result.lateMinutes, 40);
+});
+
+test('evaluateAttendance very late arrival is a half day', () => {
+  const result = evaluateAttendance(DEFAULT_SHIFT, { checkIn: pkt('11:30') });
+  assert.equal(result.status, 'half_day');
+});
+
+test('evaluateAttendance remote check-in on time is work from home', () => {
+  const result = evaluateAttendance(DEFAULT_SHIFT, { checkIn: pkt('08:55'), workMode: 'remote' });
+  assert.equal(result.status, 'work_from_home');
+});
+
+test('evaluateAttendance check-out records hours and early leave', () => {
+  const result = evaluateAttendance(DEFAULT_SHIFT, { checkIn: pkt('09:00'), checkOut: pkt('16:00') });
+  assert.equal(result.workedHours, 7);
+  assert.equal(result.earlyLeaveMinutes, 60);
+  assert.equal(result.status, 'present');
+});
+
+test('evaluateAttendance short day below minimum hours is a half day', () => {
+  const result = evaluateAttendance(DEFAULT_SHIFT, { checkIn: pkt('09:00'), checkOut: pkt('12:00') });
+  assert.equal(result.status, 'half_day');
+});
+
+test('evaluateAttendance overnight shift handles check-out after midnight', () => {
+  const night = { ...DEFAULT_SHIFT, startTime: '22:00', endTime: '06:00' };
+  const result = evaluateAttendance(night, {
+    checkIn: pkt('22:05'),
+    checkOut: pkt('05:30', '2026-03-03'),
+  });
+  assert.equal(result.lateMinutes, 0);
+  assert.equal(result.earlyLeaveMinutes, 30);
+  assert.equal(result.workedHours, 7.42);
+});
+
+test('isOvernightShift is true when a shift ends at or before its start time', () => {
+  assert.equal(isOvernightShift(DEFAULT_SHIFT), false);
+  assert.equal(isOvernightShift({ startTime: '22:00', endTime: '06:00' }), true);
+  assert.equal(isOvernightShift({ startTime: '00:00', endTime: '00:00' }), true);
+});
+
+test('resolveDayStatus approved leave overrides an auto-marked absence', () => {
+  const result = resolveDayStatus({ attendance: { status: 'absent' }, leave: { leaveType: 'sick' } });
+  assert.equal(result.status, 'on_leave');
+});
+
+test('resolveDayStatus worklog without check-in counts as present and is flagged', () => {
+  const result = resolveDayStatus({ hasWorklog: true, isPast: true });
+  assert.equal(result.status, 'present');
+  assert.equal(result.conflict, 'worklog_without_check_in');
+});
+
+test('resolveDayStatus attendance on a full-day leave is flagged', () => {
+  const result = resolveDayStatus({ attendance: { status: 'present' }, leave: { halfDay: false } });
+  assert.equal(result.status, 'present');
+  assert.equal(result.conflict, 'attended_during_leave');
+});
+
+test('resolveDayStatus calendar days and unmarked past days', () => {
+  assert.equal(resolveDayStatus({ holiday: { name: 'Labour Day' }, isWeekend: false }).status, 'holiday');
+  assert.equal(resolveDayStatus({ isWeekend: true }).status, 'weekend');
+  assert.equal(resolveDayStatus({ isPast: true }).status, 'absent');
+  assert.equal(resolveDayStatus({ isPast: false }).status, null);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  GENESIS_HASH, createAuditHash, verifyChain, diffStates, inferAction, amountImpact,
+} from '../services/auditService.js';
+
+test('diffStates keeps only changed fields and never stores excluded values', () => {
+  const before = { _id: '1', name: 'Acme', password: 'old', status: 'active', updatedAt: '2025-01-01' };
+  const after = { _id: '1', name: 'Acme Ltd', password: 'new', status: 'active', updatedAt: '2025-02-01' };
+
+  const diff = diffStates(before, after, { exclude: ['password'] });
+  assert.deepEqual(diff.changedFields, ['name', 'password']);
+  assert.deepEqual(diff.previousState, { name: 'Acme' });
+  assert.deepEqual(diff.newState, { name: 'Acme Ltd' });
+});
+
+test('inferAction maps status transitions to audit actions', () => {
+  assert.equal(inferAction(null, { status: 'draft' }), 'CREATE');
+  assert.equal(inferAction({ status: 'draft' }, null), 'DELETE');
+  assert.equal(inferAction({ status: 'approved' }, { status: 'posted' }), 'POST');
+  assert.equal(inferAction({ status: 'draft' }, { status: 'cancelled' }), 'VOID');
+  assert.equal(inferAction({ status: 'posted' }, { status: 'posted', narration: 'x' }), 'UPDATE');
+});
+
+test('verifyChain detects a broken link and a tampered entry', () => {
+  const entries = [];
+  let previousHash = GENESIS_HASH;
+  for (let i = 0; i < 3; i += 1) {
+    const entry = {
+      _id: String(i),
+      action: 'UPDATE',
+      module: 'VENDOR',
+      documentId: 'doc',
+      performedBy: 'user',
+      performedAt: new Date(2025, 0, i + 1).toISOString(),
+      newState: { name: `v${i}` },
+      previousHash,
+    };
+    entry.currentHash = createAuditHash(entry, previousHash);
+    previousHash = entry.currentHash;
+    entries.push(entry);
+  }
+
+  assert.equal(verifyChain(entries, { recalculateHashes: true }).isValid, true);
+
+  entries[1].newState = { name: 'edited' };
+  const tampered = verifyChain(entries, { recalculateHashes: true });
+  assert.deepEqual(tampered.invalidEntries.map((e) => e.issue), ['HASH_MISMATCH_DATA_TAMPERED']);
+
+  const broken = verifyChain([entries[0], entries[2]]);
+  assert.equal(broken.invalidEntries[0].issue, 'BROKEN_CHAIN');
+});
+
+test('amountImpact reads nested amount paths', () => {
+  assert.deepEqual(amountImpact('totals.netPay')({ totals: { netPay: 1500 } }), { netImpact: 1500 });
+  assert.deepEqual(amountImpact('totalAmount')({}), { netImpact: 0 });
+});
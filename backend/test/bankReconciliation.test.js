@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  parseStatementDate,
+  parseStatementAmount,
+  parseCsvStatement,
+  parseMt940Statement,
+  matchStatementLines,
+} from '../services/bankReconciliationService.js';
+
+const day = (value) => new Date(`${value}T00:00:00`);
+
+test('statement dates and amounts parse in common bank formats', () => {
+  assert.deepEqual(parseStatementDate('2026-03-05'), day('2026-03-05'));
+  assert.deepEqual(parseStatementDate('05/03/2026'), day('2026-03-05'));
+  assert.deepEqual(parseStatementDate('05-Mar-26'), day('2026-03-05'));
+  assert.equal(parseStatementDate('Total'), null);
+
+  assert.equal(parseStatementAmount('1,250.50'), 1250.5);
+  assert.equal(parseStatementAmount('(500.00)'), -500);
+  assert.equal(parseStatementAmount(''), 0);
+});
+
+test('parseCsvStatement skips preamble and derives balances', () => {
+  const csv = [
+    'Meezan Bank Statement',
+    'Account,0101-123456',
+    'Date,Cheque No,Narration,Withdrawal,Deposit,Balance',
+    '01/03/2026,,Opening deposit,,"10,000.00","110,000.00"',
+    '03/03/2026,CHQ1001,"Payment to vendor, ACME",2500,,107500',
+    'Total,,,2500,10000,',
+  ].join('\n');
+
+  const parsed = parseCsvStatement(csv);
+  assert.equal(parsed.lines.length, 2);
+  assert.equal(parsed.lines[1].description, 'Payment to vendor, ACME');
+  assert.equal(parsed.lines[1].reference, 'CHQ1001');
+  assert.equal(parsed.lines[1].debit, 2500);
+  assert.equal(parsed.openingBalance, 100000);
+  assert.equal(parsed.closingBalance, 107500);
+});
+
+test('parseMt940Statement reads balances, :61: lines and :86: narratives', () => {
+  const mt940 = [
+    ':20:STMT260331',
+    ':25:PK36SCBL0000001123456702',
+    ':28C:00063/001',
+    ':60F:C260228PKR100000,00',
+    ':61:2603020302C10000,00NTRFINV-2026-0042//BANKREF1',
+    ':86:Receipt from customer',
+    ':61:260305D2500,00NCHK1001',
+    ':86:Cheque 1001 cleared',
+    ':62F:C260331PKR107500,00',
+  ].join('\n');
+
+  const parsed = parseMt940Statement(mt940);
+  assert.equal(parsed.openingBalance, 100000);
+  assert.equal(parsed.closingBalance, 107500);
+  assert.equal(parsed.lines.length, 2);
+  assert.deepEqual(parsed.lines[0].transactionDate, day('2026-03-02'));
+  assert.equal(parsed.lines[0].credit, 10000);
+  assert.equal(parsed.lines[0].reference, 'INV-2026-0042');
+  assert.equal(parsed.lines[0].description, 'Receipt from customer');
+  assert.equal(parsed.lines[1].debit, 2500);
+  assert.equal(parsed.lines[1].reference, '1001');
+});
+
+test('matchStatementLines uses amount, date window and reference', () => {
+  const statement = [
+    { transactionDate: day('2026-03-03'), debit: 2500, credit: 0, reference: 'CHQ1001', description: 'Cheque' },
+    { transactionDate: day('2026-03-10'), debit: 0, credit: 5000, description: 'Deposit' },
+    { transactionDate: day('2026-03-20'), debit: 0, credit: 700, description: 'Cash deposit' },
+  ];
+  const gl = [
+    { key: 'a', date: day('2026-03-01'), amount: -2500, reference: 'CHQ1002' },
+    { key: 'b', date: day('2026-03-02'), amount: -2500, reference: 'CHQ1001' },
+    { key: 'c', date: day('2026-03-09'), amount: 5000, entryNumber: 'JV-202603-00010' },
+    { key: 'd', date: day('2026-03-19'), amount: 700 },
+    { key: 'e', date: day('2026-03-21'), amount: 700 },
+  ];
+
+  const matches = matchStatementLines(statement, gl);
+  assert.deepEqual(matches.map((match) => [match.statementIndex, match.glLine.key]), [[0, 'b'], [1, 'c']]);
+
+  // Outside the window nothing matches
+  assert.equal(matchStatementLines([statement[1]], gl, { dateWindowDays: 0 }).length, 0);
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { csvCell, toCsv } from '../services/csvService.js';
+
+test('cells are quoted when needed and formulas are defused', () => {
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell('Khan, Sara'), '"Khan, Sara"');
+  assert.equal(csvCell('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+  assert.equal(csvCell('+92 300 1234567'), "'+92 300 1234567");
+  assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(csvCell('-1+1'), "'-1+1");
+  // Numbers stay numbers, negatives included
+  assert.equal(csvCell(-1500), '-1500');
+});
+
+test('toCsv writes a header row and one row per item', () => {
+  const csv = toCsv([['Name', (row) => row.name], ['Hours', (row) => row.hours]], [{ name: 'Ali', hours: 8 }]);
+  assert.equal(csv, 'Name,Hours\nAli,8');
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { planFor, checkLimit, entitlementErrorBody } from '../services/entitlementService.js';
+
+test('planFor maps the stored free tier to trial and falls back for unknown plans', () => {
+  assert.equal(planFor({ subscription_plan: 'free' }).key, 'trial');
+  assert.equal(planFor({ subscription_plan: 'professional' }).limits.employees, 200);
+  assert.equal(planFor({ subscription_plan: 'legacy' }).key, 'trial');
+  assert.equal(planFor(null).key, 'trial');
+  assert.ok(!planFor({ subscription_plan: 'starter' }).modules.includes('finance'));
+});
+
+test('checkLimit allows up to the limit and treats -1 as unlimited', () => {
+  assert.equal(checkLimit({ limit: 10, used: 9, requested: 1 }).allowed, true);
+  assert.deepEqual(checkLimit({ limit: 10, used: 10, requested: 1 }), {
+    allowed: false, limit: 10, used: 10, requested: 1, remaining: 0,
+  });
+  assert.equal(checkLimit({ limit: -1, used: 5000, requested: 1 }).allowed, true);
+  assert.equal(checkLimit({ limit: -1, used: 5000 }).remaining, null);
+});
+
+test('entitlementErrorBody exposes the structured 402 details', () => {
+  const error = Object.assign(new Error('limit'), {
+    status: 402, code: 'PLAN_LIMIT_REACHED', resource: 'employees', plan: 'trial', limit: 10, used: 10, requested: 1,
+  });
+  assert.deepEqual(entitlementErrorBody(error), {
+    success: false, code: 'PLAN_LIMIT_REACHED', message: 'limit', resource: 'employees', plan: 'trial', limit: 10, used: 10, requested: 1,
+  });
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { countLeaveDays, accruedToDate, DEFAULT_LEAVE_RULES } from '../services/leaveService.js';
+
+const annualRule = DEFAULT_LEAVE_RULES.find((rule) => rule.leaveType === 'annual');
+
+test('countLeaveDays skips weekends by default', () => {
+  // Fri 2026-01-09 to Tue 2026-01-13 → Fri, Mon, Tue
+  assert.equal(countLeaveDays('2026-01-09T00:00:00', '2026-01-13T00:00:00'), 3);
+});
+
+test('countLeaveDays skips company holidays', () => {
+  const holidays = [new Date('2026-02-05T00:00:00')]; // Kashmir Day (Thursday)
+  assert.equal(countLeaveDays('2026-02-02T00:00:00', '2026-02-06T00:00:00', { holidays }), 4);
+});
+
+test('countLeaveDays counts calendar days when configured', () => {
+  assert.equal(
+    countLeaveDays('2026-01-09T00:00:00', '2026-01-13T00:00:00', { countCalendarDays: true }),
+    5
+  );
+});
+
+test('countLeaveDays honours a custom weekend', () => {
+  // Friday-only weekend
+  assert.equal(countLeaveDays('2026-01-09T00:00:00', '2026-01-13T00:00:00', { weekendDays: [5] }), 4);
+});
+
+test('countLeaveDays returns half a day for single-day half-day requests', () => {
+  assert.equal(countLeaveDays('2026-01-12T00:00:00', '2026-01-12T00:00:00', { halfDay: true }), 0.5);
+});
+
+test('countLeaveDays returns 0 when the range is reversed', () => {
+  assert.equal(countLeaveDays('2026-01-13T00:00:00', '2026-01-09T00:00:00'), 0);
+});
+
+test('accruedToDate credits monthly leave up to the current month', () => {
+  // 20 days / 12 × 3 months (Jan-Mar)
+  assert.equal(accruedToDate(annualRule, 2026, new Date(2026, 2, 15)), 5);
+  assert.equal(accruedToDate(annualRule, 2025, new Date(2026, 2, 15)), 20);
+  assert.equal(accruedToDate(annualRule, 2027, new Date(2026, 2, 15)), 0);
+});
+
+test('accruedToDate pro-rates mid-year joiners', () => {
+  // Joined in October: Oct, Nov, Dec
+  assert.equal(accruedToDate(annualRule, 2026, new Date(2026, 11, 31), new Date(2026, 9, 1)), 5);
+
+  const upfront = { leaveType: 'sick', annualEntitlement: 12, accrual: 'upfront' };
+  assert.equal(accruedToDate(upfront, 2026, new Date(2026, 9, 1), new Date(2026, 6, 1)), 6);
+  assert.equal(accruedToDate(upfront, 2026, new Date(2026, 0, 1)), 12);
+});
+
+test('accruedToDate does not accrue untracked leave types', () => {
+  const unpaid = DEFAULT_LEAVE_RULES.find((rule) => rule.leaveType === 'unpaid');
+  assert.equal(accruedToDate(unpaid, 2026, new Date(2026, 5, 1)), 0);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+import { DEFAULT_CHECKLISTS, diffEmployment, dueDateFor, snapshotEmployment } from '../services/lifecycleService.js';
+
+const managerId = new mongoose.Types.ObjectId();
+
+test('diffEmployment keeps only fields that actually change', () => {
+  const current = { designation: 'Analyst', department: 'Finance', salary: 100000, reportsTo: managerId };
+  const { changes, changedFields } = diffEmployment(current, {
+    designation: 'Senior Analyst',
+    department: 'Finance',
+    salary: '120000',
+    reportsTo: managerId.toString(),
+  });
+  assert.deepEqual(changedFields, ['designation', 'salary']);
+  assert.deepEqual(changes, { designation: 'Senior Analyst', salary: 120000 });
+});
+
+test('diffEmployment can clear a manager', () => {
+  const { changes, changedFields } = diffEmployment({ reportsTo: managerId }, { reportsTo: '' });
+  assert.deepEqual(changedFields, ['reportsTo']);
+  assert.equal(changes.reportsTo, null);
+});
+
+test('snapshotEmployment reduces populated refs to ids', () => {
+  const snapshot = snapshotEmployment({
+    designation: 'Lead',
+    reportsTo: { _id: managerId, firstName: 'Ali' },
+    position: null,
+    salary: 5,
+    status: 'active',
+  });
+  assert.equal(snapshot.reportsTo, managerId);
+  assert.equal(snapshot.position, null);
+});
+
+test('checklist due dates are relative to the effective date', () => {
+  const due = dueDateFor(new Date(2026, 0, 10, 15, 30), -3);
+  assert.equal(due.getDate(), 7);
+  assert.equal(due.getHours(), 0);
+  ['HR', 'IT', 'Finance'].forEach((owner) => {
+    assert.ok(DEFAULT_CHECKLISTS.onboarding.some((item) => item.owner === owner));
+    assert.ok(DEFAULT_CHECKLISTS.offboarding.some((item) => item.owner === owner));
+  });
+});
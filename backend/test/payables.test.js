@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+import Vendor from '../models/Vendor.js';
+import { dueDateFor, threeWayMatch, buildInvoiceJournalLines } from '../services/payablesService.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+test('dueDateFor follows the vendor payment terms', () => {
+  const invoiceDate = new Date(2025, 7, 10);
+  assert.equal(dueDateFor(invoiceDate, { paymentTerms: 'net-30' }).getDate(), 9);
+  assert.equal(dueDateFor(invoiceDate, { paymentTerms: 'immediate' }).getTime(), invoiceDate.getTime());
+  assert.equal(dueDateFor(invoiceDate, { paymentTerms: 'custom', customPaymentDays: 5 }).getDate(), 15);
+});
+
+test('threeWayMatch flags quantity beyond receipts and prices outside tolerance', () => {
+  const poLines = [
+    { _id: id(), quantity: 10, unitPrice: 1000, quantityReceived: 8, quantityInvoiced: 0 },
+    { _id: id(), quantity: 5, unitPrice: 20000, quantityReceived: 5, quantityInvoiced: 2 },
+  ];
+
+  const matched = threeWayMatch({
+    lines: [
+      { poLine: poLines[0]._id, quantity: 8, unitPrice: 1015 },
+      { poLine: poLines[1]._id, quantity: 3, unitPrice: 20000 },
+    ],
+    poLines,
+  });
+  assert.equal(matched.status, 'matched');
+  assert.equal(matched.lines[0].priceVariance, 120);
+
+  const result = threeWayMatch({
+    lines: [
+      { poLine: poLines[0]._id, quantity: 9, unitPrice: 1000 },
+      { poLine: poLines[1]._id, quantity: 3, unitPrice: 20500 },
+      { description: 'Freight', quantity: 1, unitPrice: 500 },
+    ],
+    poLines,
+  });
+  assert.equal(result.status, 'exception');
+  assert.match(result.lines[0].exceptions[0], /exceeds received quantity 8/);
+  assert.equal(result.lines[0].quantityVariance, 1);
+  assert.match(result.lines[1].exceptions[0], /above PO price/);
+  assert.match(result.lines[2].exceptions[0], /not on the purchase order/);
+
+  const tolerant = threeWayMatch({
+    lines: [{ poLine: poLines[0]._id, quantity: 9, unitPrice: 1000 }],
+    poLines,
+    tolerance: { quantityPercent: 15 },
+  });
+  assert.equal(tolerant.status, 'matched');
+});
+
+test('threeWayMatch counts earlier lines billing the same PO line', () => {
+  const poLine = { _id: id(), quantity: 10, unitPrice: 100, quantityReceived: 10, quantityInvoiced: 4 };
+  const result = threeWayMatch({
+    lines: [
+      { poLine: poLine._id, quantity: 4, unitPrice: 100 },
+      { poLine: poLine._id, quantity: 4, unitPrice: 100 },
+    ],
+    poLines: [poLine],
+  });
+  assert.equal(result.lines[1].previouslyInvoiced, 8);
+  assert.equal(result.lines[1].status, 'exception');
+
+  assert.equal(threeWayMatch({ lines: [{ quantity: 1, unitPrice: 1 }] }).status, 'not-required');
+});
+
+test('vendor WHT and the invoice journal balance against accounts payable', () => {
+  const vendor = new Vendor({ company: id(), vendorCode: 'V-1', name: 'Acme', isFiler: true });
+  const wht = vendor.calculateWHT(200000);
+  assert.equal(wht.whtAmount, 9000);
+  assert.equal(wht.netPayable, 191000);
+  assert.equal(vendor.calculateWHT(50000).belowThreshold, true);
+
+  const invoice = {
+    vendor: vendor._id,
+    vendorInvoiceNumber: 'INV-77',
+    lines: [
+      { description: 'Laptops', amount: 150000, account: 'assets', costCenter: 'it' },
+      { description: 'Bags', amount: 50000, account: 'supplies' },
+    ],
+    taxTotal: 36000,
+    totalAmount: 236000,
+  };
+  const lines = buildInvoiceJournalLines(invoice, { payableAccount: 'ap', inputTaxAccount: 'gst', vendorName: 'Acme' });
+  const debit = lines.reduce((sum, line) => sum + line.debit, 0);
+  const credit = lines.reduce((sum, line) => sum + line.credit, 0);
+  assert.equal(debit, 236000);
+  assert.equal(credit, debit);
+  assert.equal(lines.at(-1).subledgerType, 'vendor');
+
+  assert.throws(
+    () => buildInvoiceJournalLines(invoice, { payableAccount: 'ap', vendorName: 'Acme' }),
+    /Input sales tax/
+  );
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  annualIncomeTax,
+  monthlyIncomeTax,
+  monthsRemainingInFiscalYear,
+  evaluateFormula,
+  resolveLines,
+  basicPayFor,
+  gpfContribution,
+  gpfMonthlyInterest,
+  computePayslip,
+  buildRunJournalLines,
+} from '../services/payrollEngineService.js';
+
+test('annualIncomeTax applies the slab fixed amount plus rate above the lower bound', () => {
+  assert.deepEqual(annualIncomeTax(600000), { tax: 0, slab: '0%' });
+  assert.deepEqual(annualIncomeTax(1200000), { tax: 6000, slab: '1%' });
+  assert.deepEqual(annualIncomeTax(2000000), { tax: 94000, slab: '11%' });
+  assert.deepEqual(annualIncomeTax(7000000), { tax: 1631000, slab: '35%' });
+});
+
+test('monthlyIncomeTax spreads the remaining annual tax and charges one-off income in full', () => {
+  assert.equal(monthsRemainingInFiscalYear('2025-07'), 12);
+  assert.equal(monthsRemainingInFiscalYear('2026-06'), 1);
+
+  const regular = monthlyIncomeTax({ recurringTaxable: 100000, monthsRemaining: 12 });
+  assert.equal(regular.tax, 500);
+
+  const withArrears = monthlyIncomeTax({ recurringTaxable: 100000, oneOffTaxable: 100000, monthsRemaining: 12 });
+  assert.equal(withArrears.tax, 500 + 11000);
+});
+
+test('evaluateFormula handles precedence, parentheses and functions', () => {
+  const lookup = (code) => ({ BASIC: 50000, HRA: 22500 })[code];
+  assert.equal(evaluateFormula('BASIC * 0.1 + 500', lookup), 5500);
+  assert.equal(evaluateFormula('(BASIC + HRA) / 2', lookup), 36250);
+  assert.equal(evaluateFormula('max(BASIC * 0.45, 30000)', lookup), 30000);
+  assert.equal(evaluateFormula('min(round(basic / 3), 10000)', lookup), 10000);
+  assert.throws(() => evaluateFormula('BASIC; process.exit()', lookup), /Unexpected/);
+});
+
+test('resolveLines follows baseCode chains and rejects cycles', () => {
+  const lines = resolveLines([
+    { code: 'HRA', type: 'allowance', calculationMethod: 'percentage', baseCode: 'BASIC', percentage: 45 },
+    { code: 'ADHOC', type: 'allowance', calculationMethod: 'percentage', baseCode: 'HRA', percentage: 10 },
+    { code: 'CONV', type: 'allowance', calculationMethod: 'fixed', amount: 5000 },
+    { code: 'BF', type: 'deduction', calculationMethod: 'formula', formula: 'GROSS * 0.01' },
+  ], { BASIC: 40000 });
+
+  assert.deepEqual(lines.map((line) => line.amount), [18000, 1800, 5000, 648]);
+  assert.throws(() => resolveLines([
+    { code: 'A', type: 'allowance', calculationMethod: 'formula', formula: 'B + 1' },
+    { code: 'B', type: 'allowance', calculationMethod: 'percentage', baseCode: 'A', percentage: 5 },
+  ], { BASIC: 1 }), /Circular/);
+});
+
+test('basic pay and GPF follow the BPS stage and subscription rules', () => {
+  const structure = { minimumPay: 40000, annualIncrement: 2000, maxStages: 30 };
+  assert.equal(basicPayFor(structure, 1), 40000);
+  assert.equal(basicPayFor(structure, 6), 50000);
+  assert.equal(basicPayFor(structure, 45), 98000);
+
+  assert.equal(gpfContribution({ contributionRate: 8.33 }, 60000), 4998);
+  assert.equal(gpfContribution({ monthlyContribution: 3000 }, 60000), 3000);
+  assert.equal(gpfContribution({ isMember: false }, 60000), 0);
+  assert.equal(gpfMonthlyInterest(120000, 13), 1300);
+});
+
+test('computePayslip adds engine lines and balances to net pay', () => {
+  const slip = computePayslip({
+    structure: {
+      bps: 17,
+      minimumPay: 100000,
+      annualIncrement: 5000,
+      maxStages: 30,
+      lines: [{ code: 'HRA', name: 'House Rent', type: 'allowance', calculationMethod: 'percentage', percentage: 45, isTaxable: false }],
+    },
+    profile: {
+      stage: 1,
+      gpf: { contributionRate: 10, currentBalance: 120000, interestRate: 13 },
+      pension: { pensionScheme: 'gps' },
+      deputation: { isOnDeputation: true, deputationAllowancePercent: 20 },
+    },
+    month: '2025-07',
+    arrears: 10000,
+  });
+
+  const codes = [...slip.earnings, ...slip.deductions].map((line) => line.code);
+  assert.deepEqual(codes, ['BASIC', 'HRA', 'DEPUTATION', 'ARREARS', 'GPF', 'INCOME_TAX']);
+  assert.equal(slip.grossEarnings, 100000 + 45000 + 20000 + 10000);
+  assert.equal(slip.taxableIncome, 130000);
+  assert.equal(slip.netPay, slip.grossEarnings - slip.totalDeductions);
+  assert.deepEqual(slip.gpf, { contribution: 10000, interest: 1300, openingBalance: 120000, closingBalance: 131300 });
+});
+
+test('buildRunJournalLines balances and requires a GL account on every line', () => {
+  const payroll = {
+    earnings: [{ code: 'BASIC', name: 'Basic Pay', amount: 100000, glAccount: 'salaries' }],
+    deductions: [{ code: 'GPF', name: 'GPF', amount: 8000, glAccount: 'gpf' }],
+    netPay: 92000,
+    gpf: { monthlyInterest: 500 },
+  };
+  const accounts = { salaryPayable: 'payable', gpfFund: 'gpf', gpfInterest: 'interest' };
+
+  const lines = buildRunJournalLines([payroll, payroll], accounts, '2025-07');
+  const debit = lines.reduce((sum, line) => sum + line.debit, 0);
+  const credit = lines.reduce((sum, line) => sum + line.credit, 0);
+  assert.equal(debit, 201000);
+  assert.equal(credit, debit);
+
+  assert.throws(
+    () => buildRunJournalLines([{ ...payroll, earnings: [{ code: 'HRA', name: 'HRA', amount: 1 }] }], accounts, '2025-07'),
+    /HRA/
+  );
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  toPayslip,
+  yearToDateTotals,
+  renderPayslipHtml,
+  renderPayslipPdf,
+  formatPayslipMessage,
+} from '../services/payslipService.js';
+
+const slip = (month, gross, tax) => ({
+  ...toPayslip({ month, amount: gross }, 'payroll-upload'),
+  incomeTax: tax,
+});
+
+const samplePayslip = () => ({
+  ...toPayslip({
+    month: '2025-08',
+    fiscalYear: '2025-2026',
+    employeeSnapshot: { name: 'Ayesha <Khan>', employeeId: 'EMP-7' },
+    payScale: { bps: 17, stage: 3 },
+    earnings: [{ code: 'BASIC', name: 'Basic Pay', amount: 110000 }],
+    deductions: [{ code: 'INCOME_TAX', name: 'Income Tax', amount: 2500 }],
+    grossEarnings: 110000,
+    totalDeductions: 2500,
+    netPay: 107500,
+    taxableIncome: 110000,
+    incomeTax: 2500,
+    taxSlab: '2.5%',
+  }, 'payroll-engine'),
+  label: 'August 2025',
+  company: { name: 'PVARA' },
+  ytd: yearToDateTotals([slip('2025-07', 110000, 2500), slip('2025-08', 110000, 2500)], '2025-08'),
+});
+
+test('yearToDateTotals only counts the fiscal year up to the month', () => {
+  const payslips = [slip('2025-06', 50000, 100), slip('2025-07', 60000, 200), slip('2025-08', 60000, 200), slip('2025-09', 60000, 200)];
+  const ytd = yearToDateTotals(payslips, '2025-08');
+  assert.equal(ytd.fiscalYear, '2025-2026');
+  assert.equal(ytd.grossEarnings, 120000);
+  assert.equal(ytd.incomeTax, 400);
+});
+
+test('uploaded flat payroll becomes a single-line payslip', () => {
+  const payslip = toPayslip({ month: '2026-01', amount: 90000 }, 'payroll-upload');
+  assert.deepEqual(payslip.earnings, [{ code: 'SALARY', name: 'Salary', amount: 90000 }]);
+  assert.equal(payslip.netPay, 90000);
+  assert.equal(payslip.fiscalYear, '2025-2026');
+});
+
+test('renderers escape employee data and produce a PDF', () => {
+  const payslip = samplePayslip();
+  const html = renderPayslipHtml(payslip);
+  assert.match(html, /Ayesha &lt;Khan&gt;/);
+  assert.match(html, /BPS-17 \/ 3/);
+
+  const pdf = renderPayslipPdf(payslip);
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+
+  const message = formatPayslipMessage(payslip);
+  assert.match(message, /NET PAY: Rs\. 107,500/);
+  assert.ok(message.length < 1600);
+});
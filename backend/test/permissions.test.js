@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PERMISSION_KEYS, SYSTEM_ROLES } from '../config/permissions.js';
+import { hasPermission, hasAnyPermission, validatePermissions } from '../services/permissionService.js';
+import { assignableRole } from '../services/employeeService.js';
+
+test('hasPermission supports exact keys, trailing wildcards and *', () => {
+  assert.equal(hasPermission(['journal.post'], 'journal.post'), true);
+  assert.equal(hasPermission(['journal.create'], 'journal.post'), false);
+  assert.equal(hasPermission(['employee.*'], 'employee.salary.read'), true);
+  assert.equal(hasPermission(new Set(['*']), 'payroll.approve'), true);
+  assert.equal(hasAnyPermission(['reconciliation.approve'], ['reconciliation.review', 'reconciliation.approve']), true);
+});
+
+test('validatePermissions rejects keys outside the catalog', () => {
+  assert.deepEqual(validatePermissions(['journal.post', 'journal.post', 'payroll.*']), ['journal.post', 'payroll.*']);
+  assert.throws(() => validatePermissions(['journal.publish']), /Unknown permissions: journal.publish/);
+});
+
+test('built-in role defaults only use catalog permissions and keep maker-checker splits', () => {
+  Object.entries(SYSTEM_ROLES).forEach(([role, { permissions }]) => {
+    if (role === 'admin') return;
+    permissions.forEach((permission) => assert.ok(PERMISSION_KEYS.includes(permission), `${role}: ${permission}`));
+  });
+
+  assert.equal(hasPermission(SYSTEM_ROLES.accountant.permissions, 'journal.create'), true);
+  assert.equal(hasPermission(SYSTEM_ROLES.accountant.permissions, 'journal.post'), false);
+  assert.equal(hasPermission(SYSTEM_ROLES.hr.permissions, 'payroll.approve'), false);
+  assert.equal(hasPermission(SYSTEM_ROLES.chairman.permissions, 'payroll.approve'), true);
+  assert.equal(hasPermission(SYSTEM_ROLES.employee.permissions, 'employee.salary.read'), false);
+});
+
+test('new employees only get a requested role when the creator may assign roles', () => {
+  assert.equal(assignableRole('admin', SYSTEM_ROLES.hr.permissions), 'employee');
+  assert.equal(assignableRole('admin', ['*']), 'admin');
+  assert.equal(assignableRole('manager', ['employee.role.assign']), 'manager');
+  assert.equal(assignableRole(undefined, ['*']), 'employee');
+});
+
+test('task, KPI and highlight permissions follow the roles that used to have them', () => {
+  ['hr', 'manager', 'chairman'].forEach((role) => {
+    assert.equal(hasPermission(SYSTEM_ROLES[role].permissions, 'task.manage'), true, role);
+    assert.equal(hasPermission(SYSTEM_ROLES[role].permissions, 'highlight.manage'), true, role);
+  });
+  assert.equal(hasPermission(SYSTEM_ROLES.chairman.permissions, 'task.review'), true);
+  assert.equal(hasPermission(SYSTEM_ROLES.manager.permissions, 'task.review'), false);
+  assert.equal(hasPermission(SYSTEM_ROLES.chairman.permissions, 'kpi.manage'), false);
+  assert.equal(hasAnyPermission(SYSTEM_ROLES.employee.permissions, ['task.manage', 'kpi.manage', 'highlight.manage']), false);
+});
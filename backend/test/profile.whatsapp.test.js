@@ -1,22 +1,25 @@
 import { after, before, beforeEach, test } from 'node:test';
 import assert from 'node:assert/strict';
 import mongoose from 'mongoose';
-import jwt from 'jsonwebtoken';
 import request from 'supertest';
 import { MongoMemoryServer } from 'mongodb-memory-server';
 
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { signAccessToken } from '../services/sessionService.js';
 
 let mongo;
 let app;
 
-const makeToken = (user) => {
-  const secret = process.env.JWT_SECRET || 'test-secret';
-  return jwt.sign(
-    { _id: user._id.toString(), role: user.role || 'employee' },
-    secret,
-    { expiresIn: '1h' }
-  );
+// Access tokens are only accepted for a live session
+const makeToken = async (user) => {
+  const session = await Session.create({
+    company: user.company,
+    user: user._id,
+    refreshTokenHash: 'test',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+  return signAccessToken(user, session._id.toString());
 };
 
 before(async () => {
@@ -41,6 +44,7 @@ after(async () => {
 
 beforeEach(async () => {
   await User.deleteMany({});
+  await Session.deleteMany({});
 });
 
 test('PUT /api/profile updates whatsappNumber and whatsappPreferences', async () => {
@@ -54,7 +58,7 @@ test('PUT /api/profile updates whatsappNumber and whatsappPreferences', async ()
     company: companyId,
   });
 
-  const token = makeToken(user);
+  const token = await makeToken(user);
 
   const res = await request(app)
     .put('/api/profile')
@@ -105,7 +109,7 @@ test('PUT /api/profile rejects duplicate whatsappNumber', async () => {
   // Keep lint happy: u1 is used to ensure the number exists
   assert.ok(u1._id);
 
-  const token = makeToken(u2);
+  const token = await makeToken(u2);
 
   const res = await request(app)
     .put('/api/profile')
@@ -128,7 +132,7 @@ test('PUT /api/profile can clear whatsappNumber', async () => {
     whatsappNumber: '+14583092310',
   });
 
-  const token = makeToken(user);
+  const token = await makeToken(user);
 
   await request(app)
     .put('/api/profile')
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  hourlyRate,
+  costHours,
+  openCommitment,
+  forecastCost,
+  summarizeCosts,
+} from '../services/projectCostService.js';
+
+const salaries = new Map([['ali', 176000], ['sara', 88000]]);
+
+test('worklog hours are costed at the hourly rate of a monthly salary', () => {
+  assert.equal(hourlyRate(176000), 1000);
+  assert.equal(hourlyRate(176000, 160), 1100);
+  assert.equal(hourlyRate(undefined), 0);
+
+  const labour = costHours([
+    { user: 'ali', hoursWorked: 6 },
+    { user: 'sara', hoursWorked: 4 },
+    { user: 'ali', hoursWorked: 2.5 },
+    { user: 'intern', hoursWorked: 3 },
+  ], salaries);
+
+  assert.equal(labour.hours, 15.5);
+  assert.equal(labour.amount, 10500);
+  assert.equal(labour.unratedHours, 3);
+  assert.deepEqual(labour.byEmployee.map((row) => [row.user, row.hours, row.rate, row.amount]), [
+    ['ali', 8.5, 1000, 8500],
+    ['sara', 4, 500, 2000],
+    ['intern', 3, 0, 0],
+  ]);
+});
+
+test('only the part of a PO line not invoiced yet is committed', () => {
+  assert.equal(openCommitment({ quantity: 10, quantityInvoiced: 4, amount: 50000, totalAmount: 58500 }), 30000);
+  assert.equal(openCommitment({ quantity: 10, quantityInvoiced: 10, amount: 50000 }), 0);
+  assert.equal(openCommitment({ quantity: 0, amount: 50000 }), 0);
+});
+
+test('the forecast extrapolates spend over progress but never drops below spent and committed', () => {
+  // 40% done for 200k: 500k at this rate
+  assert.equal(forecastCost({ allocated: 400000, actual: 200000, committed: 50000, progress: 40 }), 500000);
+  // Cheap so far, but an open order already takes it further
+  assert.equal(forecastCost({ allocated: 400000, actual: 100000, committed: 300000, progress: 50 }), 400000);
+  // Nothing done yet: the budget stands unless commitments exceed it
+  assert.equal(forecastCost({ allocated: 400000, actual: 0, committed: 0, progress: 0 }), 400000);
+  assert.equal(forecastCost({ allocated: 400000, actual: 0, committed: 450000, progress: 0 }), 450000);
+  // Finished projects cost what they cost
+  assert.equal(forecastCost({ allocated: 400000, actual: 380000, committed: 0, progress: 100 }), 380000);
+});
+
+test('budget vs actual vs forecast adds ledger and labour and flags projects with costs', () => {
+  const project = { budget: { allocated: 1000000, currency: 'PKR' }, progress: 25 };
+  const summary = summarizeCosts(project, {
+    ledger: [{ amount: 150000 }, { amount: -10000 }],
+    commitments: [{ amount: 120000 }],
+    labour: costHours([{ user: 'ali', hoursWorked: 110 }], salaries),
+  });
+
+  assert.deepEqual(summary.actual, { ledger: 140000, labour: 110000, total: 250000 });
+  assert.equal(summary.committed, 120000);
+  assert.equal(summary.forecast, 1000000);
+  assert.equal(summary.variance, 0);
+  assert.equal(summary.utilization, 25);
+  assert.equal(summary.hasCosts, true);
+
+  const overrun = summarizeCosts({ ...project, progress: 20 }, { ledger: [{ amount: 300000 }] });
+  assert.equal(overrun.forecast, 1500000);
+  assert.equal(overrun.variance, -500000);
+
+  assert.equal(summarizeCosts(project, {}).hasCosts, false);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSchedule, summarizeProject } from '../services/projectPlanService.js';
+
+const day = (date) => new Date(`2026-03-${date}T00:00:00Z`);
+const now = day('10');
+
+const task = (id, fields) => ({
+  _id: id,
+  title: id,
+  project: `TASK-2026-${id}`,
+  status: 'pending',
+  progress: 0,
+  dependencies: [],
+  bottlenecks: [],
+  ...fields,
+});
+const waitsFor = (...ids) => ids.map((id) => ({ task: id, status: 'pending' }));
+
+// A (done) -> B (half way) -> C; D on its own, late and with an open bottleneck
+const tasks = [
+  task('A', { status: 'completed', progress: 100, startDate: day('01'), deadline: day('05'), updatedAt: day('05'), milestone: 'm1' }),
+  task('B', { status: 'in-progress', progress: 50, startDate: day('05'), deadline: day('15'), dependencies: waitsFor('A'), milestone: 'm1' }),
+  task('C', { startDate: day('15'), deadline: day('20'), dependencies: waitsFor('B'), milestone: 'm2' }),
+  task('D', { startDate: day('06'), deadline: day('08'), bottlenecks: [{ status: 'open' }] }),
+];
+
+test('the schedule follows task links and finds the critical path', () => {
+  const schedule = buildSchedule(tasks, { now });
+  const entry = (id) => schedule.entries.find((item) => item.task._id === id);
+
+  assert.equal(schedule.hasCycle, false);
+  assert.deepEqual(schedule.forecastEnd, day('20'));
+  assert.deepEqual(schedule.criticalPath, ['B', 'C']);
+  assert.deepEqual(entry('C').predecessors, ['B']);
+  // D hasn't started: two days of work from today, four days after its deadline
+  assert.deepEqual(new Date(entry('D').finish), day('12'));
+  assert.equal(entry('D').slipDays, 4);
+  assert.equal(entry('D').critical, false);
+});
+
+test('a late predecessor pushes the tasks waiting for it', () => {
+  const late = tasks.map((item) => (item._id === 'B' ? { ...item, progress: 0 } : item));
+  const schedule = buildSchedule(late, { now });
+  const entry = (id) => schedule.entries.find((item) => item.task._id === id);
+
+  // B needs all ten days from today, so C starts on the 20th and ends on the 25th
+  assert.deepEqual(new Date(entry('B').finish), day('20'));
+  assert.deepEqual(new Date(entry('C').start), day('20'));
+  assert.deepEqual(schedule.forecastEnd, day('25'));
+  assert.equal(entry('C').slipDays, 5);
+});
+
+test('links in a loop and declined dependencies are left out', () => {
+  const looped = buildSchedule([
+    task('X', { startDate: day('11'), deadline: day('12'), dependencies: waitsFor('Y') }),
+    task('Y', { startDate: day('11'), deadline: day('12'), dependencies: waitsFor('X') }),
+    task('Z', { startDate: day('11'), deadline: day('12'), dependencies: [{ task: 'X', status: 'declined' }] }),
+  ], { now });
+
+  assert.equal(looped.hasCycle, true);
+  assert.equal(looped.entries.length, 3);
+  assert.deepEqual(looped.entries.find((item) => item.task._id === 'Z').predecessors, []);
+});
+
+test('project progress, blockers, milestones and status come from its tasks', () => {
+  const project = {
+    startDate: day('01'),
+    endDate: day('18'),
+    status: 'on-track',
+    milestones: [{ _id: 'm1', dueDate: day('16'), status: 'pending' }, { _id: 'm2', dueDate: day('19'), status: 'pending' }],
+  };
+  const summary = summarizeProject(project, tasks, { now });
+
+  // Weighted by planned days: A 4 x 100%, B 10 x 50%, C 5 x 0%, D 2 x 0%
+  assert.equal(summary.progress, 43);
+  assert.equal(summary.blockers, 1);
+  assert.equal(summary.schedule.slippageDays, 2);
+  assert.equal(summary.schedule.atRiskTasks, 1);
+  assert.equal(summary.status, 'delayed');
+  assert.deepEqual(summary.milestones.map((milestone) => [milestone.status, milestone.progress]), [['in-progress', 64], ['delayed', 0]]);
+
+  assert.equal(summarizeProject({ ...project, endDate: day('25') }, tasks, { now }).status, 'at-risk');
+  assert.equal(summarizeProject({ ...project, status: 'on-hold' }, tasks, { now }).status, 'on-hold');
+  assert.equal(summarizeProject(project, [], { now }), null);
+
+  const done = tasks.map((item) => ({ ...item, status: 'completed', updatedAt: day('09') }));
+  assert.equal(summarizeProject(project, done, { now }).status, 'completed');
+
+  const future = [task('F', { startDate: day('20'), deadline: day('25') })];
+  assert.equal(summarizeProject({ ...project, startDate: day('20'), endDate: day('30') }, future, { now }).status, 'planning');
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  allocateFifo,
+  mergeAllocations,
+  buildAging,
+  buildSalesInvoiceJournalLines,
+  buildCreditNoteJournalLines,
+} from '../services/receivablesService.js';
+
+const totalsOf = (lines) => ({
+  debit: lines.reduce((sum, line) => sum + line.debit, 0),
+  credit: lines.reduce((sum, line) => sum + line.credit, 0),
+});
+
+test('allocateFifo settles the oldest due invoices first', () => {
+  const open = [
+    { _id: 'b', invoiceNumber: 'SI-2', dueDate: '2025-09-30', invoiceDate: '2025-09-01', balanceDue: 50000 },
+    { _id: 'a', invoiceNumber: 'SI-1', dueDate: '2025-08-31', invoiceDate: '2025-08-01', balanceDue: 30000 },
+    { _id: 'c', invoiceNumber: 'SI-3', dueDate: '2025-10-31', invoiceDate: '2025-10-01', balanceDue: 20000 },
+  ];
+  assert.deepEqual(allocateFifo(open, 60000), [
+    { invoice: 'a', invoiceNumber: 'SI-1', amount: 30000 },
+    { invoice: 'b', invoiceNumber: 'SI-2', amount: 30000 },
+  ]);
+  assert.equal(allocateFifo(open, 200000).length, 3);
+});
+
+test('an invoice listed twice is allocated once for the combined amount', () => {
+  assert.deepEqual(mergeAllocations([
+    { invoice: 'a', amount: 30000 },
+    { invoice: 'b', amount: '100.10' },
+    { invoice: 'a', amount: 30000 },
+    { invoice: 'b', amount: 0.2 },
+  ]), [
+    { invoice: 'a', amount: 60000 },
+    { invoice: 'b', amount: 100.3 },
+  ]);
+});
+
+test('buildAging buckets open balances by days past due and nets unapplied credits', () => {
+  const acme = { _id: 'c1', customerCode: 'CUS-00001', name: 'Acme School' };
+  const donor = { _id: 'c2', customerCode: 'CUS-00002', name: 'Donor Trust' };
+  const asOf = new Date('2025-12-31T23:59:59');
+
+  const invoices = [
+    { _id: 'i1', customer: acme, totalAmount: 100000, dueDate: new Date('2026-01-15') },
+    { _id: 'i2', customer: acme, totalAmount: 40000, dueDate: new Date('2025-12-01') },
+    { _id: 'i3', customer: acme, totalAmount: 25000, dueDate: new Date('2025-08-01') },
+    { _id: 'i4', customer: donor, totalAmount: 500000, dueDate: new Date('2025-11-15') },
+  ];
+  const credits = [
+    // Part-pays i2; the later allocation to i3 is after the report date and is ignored
+    {
+      customer: acme,
+      amount: 50000,
+      allocations: [
+        { invoice: 'i2', amount: 15000, allocatedAt: new Date('2025-12-10') },
+        { invoice: 'i3', amount: 25000, allocatedAt: new Date('2026-01-05') },
+      ],
+    },
+    { customer: donor, amount: 500000, allocations: [{ invoice: 'i4', amount: 500000, allocatedAt: new Date('2025-12-20') }] },
+  ];
+
+  const { items, totals } = buildAging({ invoices, credits, asOf });
+  // Fully settled customers drop out of the report
+  assert.equal(items.length, 1);
+
+  const [acmeRow] = items;
+  assert.equal(acmeRow.customerName, 'Acme School');
+  assert.equal(acmeRow.current, 100000);
+  assert.equal(acmeRow.days1to30, 25000);
+  assert.equal(acmeRow.days90Plus, 25000);
+  assert.equal(acmeRow.unapplied, -35000);
+  assert.equal(acmeRow.balance, 115000);
+  assert.equal(acmeRow.openInvoices, 3);
+
+  assert.equal(totals.balance, 115000);
+});
+
+test('sales invoice and credit note journals mirror each other and balance', () => {
+  const accounts = { receivableAccount: 'ar', outputTaxAccount: 'gst', customerName: 'Acme School' };
+  const invoice = {
+    customer: 'c1',
+    invoiceNumber: 'SI-202509-00001',
+    lines: [{ description: 'Tuition', amount: 80000, account: 'fees' }],
+    taxTotal: 12800,
+    totalAmount: 92800,
+  };
+
+  const lines = buildSalesInvoiceJournalLines(invoice, accounts);
+  assert.deepEqual(totalsOf(lines), { debit: 92800, credit: 92800 });
+  assert.equal(lines[0].subledgerModel, 'Customer');
+  assert.equal(lines[0].debit, 92800);
+
+  const credit = buildCreditNoteJournalLines(
+    { customer: 'c1', creditNoteNumber: 'CN-1', lines: [{ description: 'Waiver', amount: 10000, account: 'fees' }], taxTotal: 0, totalAmount: 10000 },
+    accounts
+  );
+  assert.equal(credit[0].credit, 10000);
+  assert.equal(credit[1].debit, 10000);
+
+  assert.throws(
+    () => buildSalesInvoiceJournalLines({ ...invoice, lines: [{ description: 'Grant', amount: 1 }] }, accounts),
+    /Grant/
+  );
+});
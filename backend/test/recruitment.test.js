@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { canTransition, scoreRatings, STAGE_TRANSITIONS } from '../services/recruitmentService.js';
+
+test('canTransition follows the pipeline order', () => {
+  assert.equal(canTransition('applied', 'screening'), true);
+  assert.equal(canTransition('screening', 'interview'), true);
+  assert.equal(canTransition('interview', 'offer'), true);
+  assert.equal(canTransition('applied', 'offer'), false);
+});
+
+test('canTransition never reaches hired directly', () => {
+  for (const from of Object.keys(STAGE_TRANSITIONS)) {
+    assert.equal(canTransition(from, 'hired'), false);
+  }
+});
+
+test('canTransition keeps terminal stages closed', () => {
+  assert.equal(canTransition('rejected', 'screening'), false);
+  assert.equal(canTransition('withdrawn', 'applied'), false);
+  assert.equal(canTransition('hired', 'offer'), false);
+});
+
+test('scoreRatings averages to one decimal', () => {
+  assert.equal(scoreRatings([{ score: 4 }, { score: 5 }, { score: 3 }]), 4);
+  assert.equal(scoreRatings([{ score: 4 }, { score: 5 }]), 4.5);
+  assert.equal(scoreRatings([{ score: 2 }, { score: 3 }, { score: 3 }]), 2.7);
+  assert.equal(scoreRatings([]), 0);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+
+import {
+  jwtSecret,
+  hashToken,
+  createRefreshToken,
+  parseRefreshToken,
+  signAccessToken,
+  verifyAccessToken,
+  describeDevice,
+} from '../services/sessionService.js';
+
+const SESSION_ID = '65f1c2a9b4d3e2f1a0b9c8d7';
+
+test('jwtSecret has no fallback secret', () => {
+  const saved = process.env.JWT_SECRET;
+  delete process.env.JWT_SECRET;
+  try {
+    assert.throws(() => jwtSecret(), (error) => error.status === 500 && /JWT_SECRET/.test(error.message));
+  } finally {
+    if (saved !== undefined) process.env.JWT_SECRET = saved;
+  }
+});
+
+test('access tokens carry the session id and a plain company id', () => {
+  process.env.JWT_SECRET = 'test-secret';
+  const user = { _id: 'u1', email: 'a@b.co', role: 'hr', company: { _id: 'c1', name: 'Acme' } };
+  const decoded = verifyAccessToken(signAccessToken(user, SESSION_ID));
+  assert.equal(decoded.sid, SESSION_ID);
+  assert.equal(decoded.company, 'c1');
+  assert.ok(decoded.exp - decoded.iat <= 15 * 60);
+
+  const forged = jwt.sign({ _id: 'u1', sid: SESSION_ID }, 'your-secret-key');
+  assert.throws(() => verifyAccessToken(forged), /invalid signature/);
+});
+
+test('refresh tokens name their session and are stored only as hashes', () => {
+  const token = createRefreshToken(SESSION_ID);
+  assert.deepEqual(parseRefreshToken(token), { sessionId: SESSION_ID });
+  assert.notEqual(createRefreshToken(SESSION_ID), token);
+  assert.equal(hashToken(token), hashToken(token));
+  assert.equal(hashToken(token).length, 64);
+
+  assert.equal(parseRefreshToken('not-a-token'), null);
+  assert.equal(parseRefreshToken(`${SESSION_ID}.`), null);
+  assert.equal(parseRefreshToken(undefined), null);
+});
+
+test('describeDevice names the browser and operating system', () => {
+  assert.equal(
+    describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36'),
+    'Chrome on Windows'
+  );
+  assert.equal(
+    describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/126.0 Safari/537.36 Edg/126.0'),
+    'Edge on Windows'
+  );
+  assert.equal(
+    describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 Version/17.5 Mobile/15E148 Safari/604.1'),
+    'Safari on iOS'
+  );
+  assert.equal(describeDevice('PostmanRuntime/7.39.0'), 'Postman');
+  assert.equal(describeDevice(''), 'Unknown device');
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  qualifyingServiceYears,
+  serviceBetween,
+  gpsCommutation,
+  leaveEncashment,
+  buildSettlementLines,
+  buildSettlementJournalLines,
+} from '../services/settlementService.js';
+
+test('qualifyingServiceYears counts six months or more as a full year', () => {
+  assert.equal(qualifyingServiceYears({ years: 24, months: 5, days: 29 }), 24);
+  assert.equal(qualifyingServiceYears({ years: 24, months: 6 }), 25);
+  assert.equal(qualifyingServiceYears({ years: 24, months: 5, days: 30 }), 25);
+  assert.equal(qualifyingServiceYears(), 0);
+});
+
+test('serviceBetween splits the period into years, months and days', () => {
+  assert.deepEqual(serviceBetween('2000-03-15', '2026-09-20'), { years: 26, months: 6, days: 5 });
+  assert.deepEqual(serviceBetween('2000-03-15', '2026-09-10'), { years: 26, months: 5, days: 26 });
+  assert.deepEqual(serviceBetween('2026-09-10', '2026-01-01'), { years: 0, months: 0, days: 0 });
+});
+
+test('gpsCommutation earns 7/300 of pay per year, capped at 30 years and nil below 10', () => {
+  const pension = gpsCommutation({ basicPay: 150000, serviceYears: 25, commutationPercent: 35, purchaseYears: 10 });
+  assert.equal(pension.grossPension, 87500);
+  assert.equal(pension.commutedPension, 30625);
+  assert.equal(pension.netPension, 56875);
+  assert.equal(pension.commutation, 3675000);
+
+  const capped = gpsCommutation({ basicPay: 150000, serviceYears: 35, commutationPercent: 35, purchaseYears: 10 });
+  assert.equal(capped.grossPension, 105000);
+
+  const short = gpsCommutation({ basicPay: 150000, serviceYears: 9, commutationPercent: 35, purchaseYears: 10 });
+  assert.equal(short.commutation, 0);
+});
+
+test('leaveEncashment is limited by the remaining encashment cap', () => {
+  assert.deepEqual(leaveEncashment({ monthlySalary: 90000, available: 14, capRemaining: 10 }), { days: 10, dailyRate: 3000, amount: 30000 });
+  assert.deepEqual(leaveEncashment({ monthlySalary: 90000, available: 4.5, capRemaining: 10 }), { days: 4.5, dailyRate: 3000, amount: 13500 });
+  assert.equal(leaveEncashment({ monthlySalary: 90000, available: -2, capRemaining: 10 }).amount, 0);
+});
+
+const statement = () => {
+  const lines = buildSettlementLines({
+    leave: { days: 10, dailyRate: 3000, amount: 30000 },
+    gpf: { balance: 850000, pendingAdvance: 50000 },
+    pension: { commutation: 3675000, grossPension: 87500, commutationPercent: 35, purchaseYears: 10 },
+    recoveries: [
+      { code: 'LOAN', name: 'House building loan', category: 'loan-recovery', amount: 20000, month: '2026-08' },
+      { code: 'ADV', name: 'Festival advance', category: 'advance-recovery', amount: 0, month: '2026-08' },
+    ],
+  });
+  const totalPayable = lines.filter((l) => l.type === 'payable').reduce((sum, l) => sum + l.amount, 0);
+  const totalRecovery = lines.filter((l) => l.type === 'recovery').reduce((sum, l) => sum + l.amount, 0);
+  return { settlementNumber: 'FS-2026-0001', employee: 'emp1', lines, netSettlement: totalPayable - totalRecovery };
+};
+
+test('buildSettlementLines lists payables and recoveries and skips zero amounts', () => {
+  const { lines, netSettlement } = statement();
+  assert.deepEqual(lines.map((l) => [l.code, l.type]), [
+    ['LEAVE_ENCASHMENT', 'payable'],
+    ['GPF_BALANCE', 'payable'],
+    ['GPF_ADVANCE', 'recovery'],
+    ['PENSION_COMMUTATION', 'payable'],
+    ['LOAN', 'recovery'],
+  ]);
+  assert.equal(netSettlement, 30000 + 850000 + 3675000 - 50000 - 20000);
+});
+
+test('buildSettlementJournalLines balances against settlement payable', () => {
+  const accounts = {
+    leaveEncashment: 'acc-leave',
+    gpfFund: 'acc-gpf',
+    pensionCommutation: 'acc-pension',
+    employeeAdvances: 'acc-adv',
+    settlementPayable: 'acc-payable',
+  };
+  const lines = buildSettlementJournalLines(statement(), accounts);
+  const debit = lines.reduce((sum, l) => sum + l.debit, 0);
+  const credit = lines.reduce((sum, l) => sum + l.credit, 0);
+  assert.equal(debit, credit);
+  assert.equal(lines.at(-1).account, 'acc-payable');
+  assert.equal(lines.at(-1).credit, 4485000);
+
+  const owed = { settlementNumber: 'FS-2026-0002', employee: 'emp2', netSettlement: -5000, lines: [
+    { label: 'Loan', type: 'recovery', category: 'loan-recovery', amount: 5000 },
+  ] };
+  assert.equal(buildSettlementJournalLines(owed, accounts).at(-1).debit, 5000);
+
+  assert.throws(
+    () => buildSettlementJournalLines(statement(), { gpfFund: 'acc-gpf' }),
+    /leaveEncashment, employeeAdvances, pensionCommutation, settlementPayable/
+  );
+});
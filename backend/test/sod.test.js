@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_RULES, checkSegregation } from '../services/sodService.js';
+
+const maker = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+const checker = 'bbbbbbbbbbbbbbbbbbbbbbbb';
+
+test('maker cannot approve their own journal entry', () => {
+  const document = { createdBy: maker };
+  const conflicts = checkSegregation({
+    documentType: 'journal_entry', document, action: 'approve', userId: maker, rules: DEFAULT_RULES,
+  });
+  assert.deepEqual(conflicts.map((c) => c.rule), ['maker-approver']);
+  assert.deepEqual(
+    checkSegregation({ documentType: 'journal_entry', document, action: 'approve', userId: checker, rules: DEFAULT_RULES }),
+    []
+  );
+});
+
+test('posting checks both the maker and the approver', () => {
+  const document = { createdBy: maker, approvedBy: { _id: maker } };
+  const conflicts = checkSegregation({
+    documentType: 'bank_payment', document, action: 'post', userId: maker, rules: DEFAULT_RULES,
+  });
+  assert.deepEqual(conflicts.map((c) => c.rule).sort(), ['approver-poster', 'maker-poster']);
+});
+
+test('disabled rules and other document types are ignored', () => {
+  const rules = DEFAULT_RULES.map((rule) =>
+    rule.documentType === 'purchase_order' && rule.rule === 'maker-approver' ? { ...rule, enabled: false } : rule
+  );
+  const document = { createdBy: maker };
+  assert.deepEqual(
+    checkSegregation({ documentType: 'purchase_order', document, action: 'approve', userId: maker, rules }),
+    []
+  );
+  assert.throws(
+    () => checkSegregation({ documentType: 'payroll', document, action: 'approve', userId: maker, rules }),
+    /Unknown SoD check/
+  );
+});
@@ -0,0 +1,162 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+
+import {
+  discoverOidc,
+  createPkce,
+  buildOidcAuthorizationUrl,
+  exchangeOidcCode,
+  verifyIdToken,
+  claimValue,
+  parseSamlMetadata,
+  profileFromOidc,
+  profileFromSaml,
+  mapRoles,
+  serviceProviderMetadata,
+  appCallbackUrl,
+} from '../services/ssoService.js';
+import { startMockOidcProvider } from '../scripts/mockOidcProvider.js';
+
+const REDIRECT_URI = 'http://localhost:5001/api/auth/sso/oidc/callback';
+const CUSTOM_ROLE = '65f1c2a9b4d3e2f1a0b9c8d7';
+
+const provider = {
+  defaultRole: 'employee',
+  oidc: { groupsClaim: 'groups' },
+  saml: { emailAttribute: 'email', groupsAttribute: 'memberOf' },
+  roleMappings: [
+    { group: 'HRMS-Finance', role: 'finance' },
+    { group: 'HRMS-Auditors', role: 'auditor' },
+    { group: 'HRMS-Finance', customRole: CUSTOM_ROLE },
+  ],
+};
+
+let idp;
+
+before(async () => {
+  // The mock IdP runs on loopback
+  process.env.SSO_ALLOW_PRIVATE_NETWORKS = 'true';
+  idp = await startMockOidcProvider({ port: 0 });
+});
+
+after(async () => {
+  delete process.env.SSO_ALLOW_PRIVATE_NETWORKS;
+  await idp?.close();
+});
+
+// Plays the browser: sign in at the mock IdP and follow its redirect back
+const signInAtIdp = async (authorizationUrl, { email, groups }) => {
+  const params = new URL(authorizationUrl).searchParams;
+  params.set('email', email);
+  params.set('given_name', 'Sana');
+  params.set('family_name', 'Malik');
+  params.set('groups', groups);
+  const response = await fetch(`${idp.issuer}/authorize`, { method: 'POST', body: params, redirect: 'manual' });
+  return new URL(response.headers.get('location')).searchParams;
+};
+
+test('OIDC code flow with PKCE against the mock IdP yields verified claims', async () => {
+  const discovery = await discoverOidc(idp.issuer);
+  assert.equal(discovery.token_endpoint, `${idp.issuer}/token`);
+
+  const pkce = createPkce();
+  const authorizationUrl = buildOidcAuthorizationUrl({
+    discovery, clientId: idp.clientId, redirectUri: REDIRECT_URI, state: 'state-1', nonce: 'nonce-1', codeChallenge: pkce.challenge,
+  });
+  assert.match(authorizationUrl, /code_challenge_method=S256/);
+
+  const callback = await signInAtIdp(authorizationUrl, { email: 'Sana@Pvara.gov.pk', groups: 'HRMS-Finance, Everyone' });
+  assert.equal(callback.get('state'), 'state-1');
+
+  const tokens = await exchangeOidcCode({
+    discovery, clientId: idp.clientId, clientSecret: idp.clientSecret, code: callback.get('code'), redirectUri: REDIRECT_URI, codeVerifier: pkce.verifier,
+  });
+  const claims = await verifyIdToken(tokens.id_token, { discovery, clientId: idp.clientId, nonce: 'nonce-1' });
+  const profile = profileFromOidc(claims, provider);
+
+  assert.equal(profile.email, 'sana@pvara.gov.pk');
+  assert.equal(profile.firstName, 'Sana');
+  assert.deepEqual(profile.groups, ['HRMS-Finance', 'Everyone']);
+  assert.deepEqual(mapRoles(provider, profile.groups), {
+    role: 'finance', customRoles: [CUSTOM_ROLE], matchedGroups: ['HRMS-Finance'],
+  });
+});
+
+test('identity provider URLs on internal addresses are refused', async (t) => {
+  delete process.env.SSO_ALLOW_PRIVATE_NETWORKS;
+  t.after(() => { process.env.SSO_ALLOW_PRIVATE_NETWORKS = 'true'; });
+
+  await assert.rejects(discoverOidc('http://169.254.169.254/latest'), { status: 400, message: /public internet/ });
+  await assert.rejects(discoverOidc(idp.issuer, { refresh: true }), { status: 400 });
+});
+
+test('codes are bound to the PKCE verifier and ID tokens to the nonce, client and issuer', async () => {
+  const discovery = await discoverOidc(idp.issuer);
+  const pkce = createPkce();
+  const authorizationUrl = buildOidcAuthorizationUrl({
+    discovery, clientId: idp.clientId, redirectUri: REDIRECT_URI, state: 's', nonce: 'nonce-2', codeChallenge: pkce.challenge,
+  });
+  const callback = await signInAtIdp(authorizationUrl, { email: 'a@pvara.gov.pk', groups: '' });
+
+  await assert.rejects(
+    exchangeOidcCode({ discovery, clientId: idp.clientId, clientSecret: idp.clientSecret, code: callback.get('code'), redirectUri: REDIRECT_URI, codeVerifier: createPkce().verifier }),
+    // The IdP's error body is not echoed back
+    (error) => error.status === 502 && /returned 400/.test(error.message) && !/invalid_grant/.test(error.message)
+  );
+
+  const again = await signInAtIdp(authorizationUrl, { email: 'a@pvara.gov.pk', groups: '' });
+  const tokens = await exchangeOidcCode({
+    discovery, clientId: idp.clientId, clientSecret: idp.clientSecret, code: again.get('code'), redirectUri: REDIRECT_URI, codeVerifier: pkce.verifier,
+  });
+  await assert.rejects(verifyIdToken(tokens.id_token, { discovery, clientId: idp.clientId, nonce: 'other' }), /nonce/);
+  await assert.rejects(verifyIdToken(tokens.id_token, { discovery, clientId: 'someone-else', nonce: 'nonce-2' }), /audience/);
+
+  const forged = jwt.sign({ sub: 'x', nonce: 'nonce-2' }, 'shared-secret', { issuer: idp.issuer, audience: idp.clientId });
+  await assert.rejects(verifyIdToken(forged, { discovery, clientId: idp.clientId, nonce: 'nonce-2' }), (error) => error.status === 401);
+});
+
+test('roles fall back to the default and mappings match case-insensitively', () => {
+  assert.equal(mapRoles(provider, ['Everyone']).role, 'employee');
+  assert.equal(mapRoles(provider, ['hrms-auditors', 'HRMS-FINANCE']).role, 'finance');
+  assert.equal(claimValue({ realm_access: { roles: ['a'] } }, 'realm_access.roles')[0], 'a');
+});
+
+test('SAML metadata yields the redirect endpoint and signing certificates only', () => {
+  const metadata = `<?xml version="1.0"?>
+    <md:EntityDescriptor xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata" entityID="http://idp.example.com/metadata">
+      <md:IDPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol">
+        <md:KeyDescriptor use="signing"><ds:KeyInfo xmlns:ds="http://www.w3.org/2000/09/xmldsig#"><ds:X509Data>
+          <ds:X509Certificate>MIIC
+            SIGN==</ds:X509Certificate></ds:X509Data></ds:KeyInfo></md:KeyDescriptor>
+        <md:KeyDescriptor use="encryption"><ds:KeyInfo xmlns:ds="http://www.w3.org/2000/09/xmldsig#"><ds:X509Data>
+          <ds:X509Certificate>MIICENC==</ds:X509Certificate></ds:X509Data></ds:KeyInfo></md:KeyDescriptor>
+        <md:SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST" Location="https://idp.example.com/sso/post"/>
+        <md:SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect" Location="https://idp.example.com/sso/redirect"/>
+      </md:IDPSSODescriptor>
+    </md:EntityDescriptor>`;
+
+  assert.deepEqual(parseSamlMetadata(metadata), {
+    entityId: 'http://idp.example.com/metadata',
+    entryPoint: 'https://idp.example.com/sso/redirect',
+    certificates: ['MIICSIGN=='],
+  });
+  assert.throws(() => parseSamlMetadata('<EntityDescriptor entityID="x"></EntityDescriptor>'), /no IdP entity descriptor/);
+});
+
+test('SAML profiles read the configured attributes', () => {
+  const profile = profileFromSaml({
+    nameID: 'AbC123',
+    attributes: { email: 'Omar@pvara.gov.pk', memberOf: ['HRMS-Auditors'], givenName: 'Omar', surname: 'Khan' },
+  }, provider);
+  assert.deepEqual(profile, {
+    subject: 'AbC123', email: 'omar@pvara.gov.pk', emailVerified: true, firstName: 'Omar', lastName: 'Khan', groups: ['HRMS-Auditors'],
+  });
+});
+
+test('service provider metadata and app callback URLs', () => {
+  const xml = serviceProviderMetadata();
+  assert.match(xml, /AssertionConsumerService Binding="urn:oasis:names:tc:SAML:2\.0:bindings:HTTP-POST" Location="http:\/\/[^"]+\/api\/auth\/sso\/saml\/acs"/);
+  assert.match(appCallbackUrl({ code: 'abc' }), /\/sso\/callback#code=abc$/);
+  assert.match(appCallbackUrl({ error: 'No account' }), /#error=No\+account$/);
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildCalendar,
+  occurrencesBetween,
+  nextOccurrences,
+  normalizeRule,
+  renderTitle,
+  buildTask,
+  companyDay,
+} from '../services/taskTemplateService.js';
+
+const calendar = buildCalendar();
+const day = (year, month, date) => new Date(Date.UTC(year, month - 1, date));
+const iso = (date) => date.toISOString().slice(0, 10);
+const between = (rule, from, until, cal = calendar) =>
+  occurrencesBetween(rule, { from, until, calendar: cal }).map(iso);
+
+test('every 2nd Monday of the month', () => {
+  const rule = { frequency: 'monthly', interval: 1, monthlyBy: 'weekdayOfMonth', weekOfMonth: 2, weekday: 1, startDate: day(2026, 1, 1) };
+  assert.deepEqual(between(rule, day(2026, 1, 1), day(2026, 3, 31)), [
+    iso(day(2026, 1, 12)),
+    iso(day(2026, 2, 9)),
+    iso(day(2026, 3, 9)),
+  ]);
+});
+
+test('last working day of the month skips weekends and holidays', () => {
+  const rule = { frequency: 'monthly', interval: 1, monthlyBy: 'lastWorkingDay', startDate: day(2026, 1, 1) };
+  const withHoliday = buildCalendar({ holidays: [day(2026, 3, 31)] });
+  assert.deepEqual(between(rule, day(2026, 1, 1), day(2026, 3, 31), withHoliday), [
+    iso(day(2026, 1, 30)),
+    iso(day(2026, 2, 27)),
+    iso(day(2026, 3, 30)),
+  ]);
+});
+
+test('every other Monday counts weeks from the start date', () => {
+  const rule = { frequency: 'weekly', interval: 2, weekdays: [1], startDate: day(2026, 1, 5) };
+  assert.deepEqual(between(rule, day(2026, 1, 1), day(2026, 2, 10)), [
+    iso(day(2026, 1, 5)),
+    iso(day(2026, 1, 19)),
+    iso(day(2026, 2, 2)),
+  ]);
+});
+
+test('dates on a non-working day move, are kept or are skipped as configured', () => {
+  const base = { frequency: 'monthly', interval: 1, monthlyBy: 'dayOfMonth', dayOfMonth: 15, startDate: day(2026, 1, 1) };
+  // 15 Feb and 15 Mar 2026 are Sundays
+  assert.deepEqual(between({ ...base, onNonWorkingDay: 'previous' }, day(2026, 1, 1), day(2026, 3, 31)), [
+    iso(day(2026, 1, 15)),
+    iso(day(2026, 2, 13)),
+    iso(day(2026, 3, 13)),
+  ]);
+  assert.deepEqual(between({ ...base, onNonWorkingDay: 'next' }, day(2026, 2, 1), day(2026, 2, 28)), [iso(day(2026, 2, 16))]);
+  assert.deepEqual(between({ ...base, onNonWorkingDay: 'keep' }, day(2026, 2, 1), day(2026, 2, 28)), [iso(day(2026, 2, 15))]);
+  assert.deepEqual(between({ ...base, onNonWorkingDay: 'skip' }, day(2026, 1, 1), day(2026, 3, 31)), [iso(day(2026, 1, 15))]);
+});
+
+test('day 31 falls on the last day of shorter months; end date and count stop the series', () => {
+  const rule = { frequency: 'monthly', interval: 1, monthlyBy: 'dayOfMonth', dayOfMonth: 31, startDate: day(2026, 1, 1) };
+  assert.deepEqual(between(rule, day(2026, 1, 1), day(2026, 4, 30)), [
+    iso(day(2026, 1, 31)),
+    iso(day(2026, 2, 28)),
+    iso(day(2026, 3, 31)),
+    iso(day(2026, 4, 30)),
+  ]);
+  assert.equal(between({ ...rule, endDate: day(2026, 2, 28) }, day(2026, 1, 1), day(2026, 12, 31)).length, 2);
+  assert.equal(nextOccurrences(rule, { from: day(2026, 1, 1), calendar, count: 3 }).length, 3);
+  assert.deepEqual(occurrencesBetween({ frequency: 'none', startDate: day(2026, 1, 1) }, {
+    from: day(2026, 1, 1), until: day(2026, 12, 31), calendar,
+  }), []);
+});
+
+test('form values are normalised into a rule', () => {
+  const rule = normalizeRule({ frequency: 'monthly', interval: '3', dayOfMonth: '10', weekdays: '1', startDate: '2026-01-01', endDate: '' });
+  assert.equal(rule.interval, 3);
+  assert.equal(rule.dayOfMonth, 10);
+  assert.deepEqual(rule.weekdays, [1]);
+  assert.ok(rule.startDate instanceof Date);
+  assert.equal('endDate' in rule, false);
+  assert.equal(normalizeRule({}).frequency, 'none');
+});
+
+test('instances fill the title, deadline, checklist and dependencies from the template', () => {
+  assert.equal(renderTitle('VAT return {{quarter}} {{year}} ({{month}})', day(2026, 4, 20)), 'VAT return Q2 2026 (April)');
+  assert.equal(renderTitle('Board pack {{date}}', day(2026, 1, 12)), 'Board pack 12 Jan 2026');
+
+  const template = {
+    _id: 'tpl1',
+    company: 'c1',
+    name: 'Month-end close',
+    title: 'Close {{month}}',
+    priority: 'high',
+    capacity: 20,
+    dueTime: '15:30',
+    checklist: [{ title: 'Bank reconciliation' }, { title: 'Accruals' }],
+    dependencies: [{ title: 'Sales ledger', dependsOn: 'u2', category: 'document', priority: 'high', dueDaysBefore: 2 }],
+  };
+  const occurrence = day(2026, 1, 30);
+  const task = buildTask(template, { occurrence, assignedTo: 'u1', assignedBy: 'u9', department: 'Finance', series: { template: 'tpl1', occurrence, sequence: 1 } });
+
+  assert.equal(task.title, 'Close January');
+  assert.equal(task.project, 'Month-end close');
+  assert.equal(task.department, 'Finance');
+  // 15:30 in Karachi (UTC+5)
+  assert.equal(task.deadline.toISOString(), '2026-01-30T10:30:00.000Z');
+  assert.deepEqual(task.checklist, [{ title: 'Bank reconciliation' }, { title: 'Accruals' }]);
+  assert.equal(task.dependencies[0].requestedBy, 'u1');
+  assert.equal(task.dependencies[0].dependsOn, 'u2');
+  assert.equal(task.dependencies[0].dueDate.toISOString(), '2026-01-28T10:30:00.000Z');
+  assert.equal(task.series.sequence, 1);
+});
+
+test('days follow the company calendar, not the server clock', () => {
+  // 20:00 UTC on 31 Jan is already 1 Feb in Karachi
+  assert.equal(iso(companyDay(new Date('2026-01-31T20:00:00Z'))), '2026-02-01');
+  assert.equal(iso(companyDay(new Date('2026-01-31T18:00:00Z'))), '2026-01-31');
+
+  // A holiday saved as Karachi midnight still blocks its own date
+  const rule = { frequency: 'monthly', interval: 1, monthlyBy: 'lastWorkingDay', startDate: day(2026, 3, 1) };
+  const withHoliday = buildCalendar({ holidays: [new Date('2026-03-30T19:00:00Z')] });
+  assert.deepEqual(between(rule, day(2026, 3, 1), day(2026, 3, 31), withHoliday), ['2026-03-30']);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { rollUp, openItems, hasBreakdown, assertManualUpdate, parsePath } from '../services/taskTreeService.js';
+import aiService from '../services/aiService.js';
+import whatsappConfig from '../config/whatsapp.js';
+
+test('progress is the average of subtasks and checklist items', () => {
+  assert.equal(rollUp({ status: 'pending', subtasks: [], checklist: [] }), null);
+
+  const result = rollUp({
+    status: 'pending',
+    subtasks: [{ status: 'completed', progress: 40 }, { status: 'in-progress', progress: 50 }, { status: 'cancelled', progress: 0 }],
+    checklist: [{ done: true }, { done: false }],
+  });
+  // (100 + 50 + 100 + 0) / 4; the cancelled subtask doesn't count
+  assert.deepEqual(result, { progress: 63, status: 'in-progress' });
+});
+
+test('status rolls up from the children', () => {
+  const done = { status: 'completed', progress: 100 };
+  const open = { status: 'pending', progress: 0 };
+
+  assert.equal(rollUp({ status: 'in-progress', subtasks: [done, done], checklist: [{ done: true }] }).status, 'completed');
+  assert.equal(rollUp({ status: 'pending', subtasks: [done, { status: 'blocked', progress: 20 }] }).status, 'blocked');
+  assert.equal(rollUp({ status: 'pending', subtasks: [open, open] }).status, 'pending');
+  // Started by hand, nothing ticked off yet
+  assert.equal(rollUp({ status: 'in-progress', subtasks: [open] }).status, 'in-progress');
+  // A completed task reopens when a subtask is added or reopened
+  assert.equal(rollUp({ status: 'completed', subtasks: [done, { status: 'in-progress', progress: 10 }] }).status, 'in-progress');
+  // Blocked by hand stays blocked while there is a blocker; cancelled stays cancelled
+  assert.equal(rollUp({ status: 'blocked', blocker: 'Waiting for vendor', subtasks: [done, open] }).status, 'blocked');
+  assert.equal(rollUp({ status: 'blocked', subtasks: [done, open] }).status, 'in-progress');
+  assert.equal(rollUp({ status: 'cancelled', subtasks: [done, done] }).status, 'cancelled');
+});
+
+test('a task with open subtasks or checklist items cannot be completed by hand', () => {
+  const task = { checklist: [{ done: true }, { done: false }], subtaskStats: { total: 3, completed: 1 } };
+  assert.equal(openItems(task), 3);
+  assert.equal(hasBreakdown(task), true);
+  assert.throws(() => assertManualUpdate(task, { status: 'completed' }), (error) => error.status === 400 && /3 subtasks/.test(error.message));
+  assert.doesNotThrow(() => assertManualUpdate(task, { status: 'blocked' }));
+
+  const plain = { checklist: [], subtaskStats: { total: 0, completed: 0 } };
+  assert.equal(hasBreakdown(plain), false);
+  assert.doesNotThrow(() => assertManualUpdate(plain, { status: 'completed' }));
+});
+
+test('WhatsApp list numbers address tasks and subtasks', () => {
+  assert.deepEqual(parsePath('3.2'), [3, 2]);
+  assert.deepEqual(parsePath('1'), [1]);
+  assert.equal(parsePath('3.x'), null);
+
+  assert.deepEqual(aiService.parseListedTaskCommand('done 3.2'), { action: 'updateListedTask', ref: '3.2', status: 'completed' });
+  assert.deepEqual(aiService.parseListedTaskCommand('2.1 started'), { action: 'updateListedTask', ref: '2.1', status: 'in-progress' });
+  assert.deepEqual(aiService.parseListedTaskCommand('reopen 4'), { action: 'updateListedTask', ref: '4', status: 'pending' });
+  assert.equal(aiService.parseListedTaskCommand('done with the report'), null);
+  assert.equal(aiService.ruleBasedParse('TASK-2026-0003.2 completed', {}).taskId, 'TASK-2026-0003.2');
+
+  const task = { _id: 't1', title: 'Month-end close', project: 'TASK-2026-0003', status: 'in-progress', progress: 50, deadline: new Date() };
+  const message = whatsappConfig.templates.taskList([task], {
+    t1: [{ title: 'Bank reconciliation', status: 'completed', subtaskNumber: 1 }, { title: 'Accruals', status: 'pending', subtaskNumber: 2 }],
+  });
+  assert.match(message, /1\.1 \[x\] Bank reconciliation/);
+  assert.match(message, /1\.2 \[ \] Accruals/);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  weekOf,
+  summarizeWeek,
+  summarizeUtilisation,
+  allocateCost,
+} from '../services/timesheetService.js';
+
+const day = (date) => new Date(`2026-03-${date}T00:00:00Z`);
+
+test('a timesheet week runs from Sunday to Saturday', () => {
+  // 11 March 2026 is a Wednesday
+  const { weekStart, weekEnd } = weekOf(day('11'));
+  assert.deepEqual(weekStart, day('08'));
+  assert.equal(weekEnd.toISOString(), '2026-03-14T23:59:59.999Z');
+  assert.deepEqual(weekOf(day('08')).weekStart, day('08'));
+  assert.deepEqual(weekOf(day('14')).weekStart, day('08'));
+  assert.throws(() => weekOf('not a date'), { status: 400 });
+});
+
+test('a week of worklogs adds up per day and per project', () => {
+  const summary = summarizeWeek([
+    { date: day('09'), project: 'Portal', linkedProject: 'p1', hoursWorked: 6, billable: true },
+    { date: day('09'), project: 'Admin', hoursWorked: 2 },
+    { date: day('10'), project: 'portal', linkedProject: 'p1', hoursWorked: 7.5, billable: true },
+    { date: day('20'), project: 'Admin', hoursWorked: 4 },
+  ], day('08'));
+
+  assert.deepEqual(summary.days.map((entry) => entry.hours), [0, 8, 7.5, 0, 0, 0, 0]);
+  assert.equal(summary.totalHours, 15.5);
+  assert.equal(summary.billableHours, 13.5);
+  assert.deepEqual(summary.projects.map((row) => [row.project, row.hours, row.billableHours]), [
+    ['Portal', 13.5, 13.5],
+    ['Admin', 2, 0],
+  ]);
+});
+
+test('utilisation compares logged, approved and billable hours with available hours per department', () => {
+  const report = summarizeUtilisation([
+    { _id: 'a', name: 'Ayesha', department: 'IT', availableHours: 40 },
+    { _id: 'b', name: 'Bilal', department: 'IT', availableHours: 32 },
+    { _id: 'c', name: 'Chand', availableHours: 40 },
+  ], [
+    { user: 'a', hoursWorked: 30, billable: true, approved: true },
+    { user: 'a', hoursWorked: 6, approved: true },
+    { user: 'b', hoursWorked: 16, billable: true },
+    { user: 'x', hoursWorked: 8 },
+  ]);
+
+  const [it, unassigned] = report.departments;
+  assert.equal(it.department, 'IT');
+  assert.deepEqual(
+    [it.employees, it.availableHours, it.loggedHours, it.approvedHours, it.billableHours, it.utilisation, it.billableUtilisation],
+    [2, 72, 52, 36, 46, 72, 64]
+  );
+  assert.deepEqual(it.people.map((person) => [person.name, person.utilisation]), [['Ayesha', 90], ['Bilal', 50]]);
+  assert.equal(unassigned.department, 'Unassigned');
+  assert.equal(unassigned.utilisation, 0);
+  assert.equal(report.totals.availableHours, 112);
+  assert.equal(report.totals.utilisation, 46);
+});
+
+test('salary cost is split by approved hours, with the rest of the month on the home cost center', () => {
+  const lines = allocateCost(176000, [
+    { project: 'p1', costCenter: 'cc-proj', hours: 88 },
+    { project: 'p2', costCenter: null, hours: 44 },
+    { project: 'p1', costCenter: 'cc-proj', hours: 22 },
+  ], { homeCostCenter: 'cc-home', monthlyHours: 176 });
+
+  assert.deepEqual(lines.map((line) => [line.project, line.costCenter, line.hours, line.share, line.amount]), [
+    ['p1', 'cc-proj', 110, 62.5, 110000],
+    ['p2', 'cc-home', 44, 25, 44000],
+    [null, 'cc-home', 22, 12.5, 22000],
+  ]);
+
+  // More hours than a month: shared over the hours logged, and the amounts still add up
+  const overtime = allocateCost(100000, [
+    { project: 'p1', hours: 100 },
+    { project: 'p2', hours: 100 },
+    { project: 'p3', hours: 100 },
+  ], { homeCostCenter: 'cc-home', monthlyHours: 176 });
+  assert.equal(overtime.length, 3);
+  assert.equal(overtime.reduce((total, line) => total + line.amount, 0), 100000);
+
+  assert.deepEqual(allocateCost(50000, [], { homeCostCenter: 'cc-home' }).map((line) => [line.costCenter, line.amount]), [['cc-home', 50000]]);
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+
+import {
+  base32Encode,
+  base32Decode,
+  hotp,
+  totp,
+  verifyTotp,
+  otpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  signChallenge,
+  verifyChallenge,
+  lockoutMinutesLeft,
+} from '../services/twoFactorService.js';
+import { formatMessage, sendMail, maskAddress } from '../services/deliveryService.js';
+import { resetMessage } from '../services/passwordResetService.js';
+import { signAccessToken } from '../services/sessionService.js';
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890" with SHA-1
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 round-trips and matches the RFC 4648 alphabet', () => {
+  assert.equal(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+  assert.equal(base32Decode('mzxw 6ytb oi====').toString(), 'foobar');
+  assert.throws(() => base32Decode('MZ1W'), /Invalid base32/);
+});
+
+test('TOTP matches the RFC 6238 SHA-1 test vectors', () => {
+  const vectors = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+  ];
+  for (const [seconds, expected] of vectors) {
+    assert.equal(totp(RFC_SECRET, seconds * 1000, 8), expected);
+  }
+  assert.equal(hotp(RFC_SECRET, 1), '287082');
+});
+
+test('codes are accepted one step either side and never twice', () => {
+  const now = 1111111111 * 1000;
+  const step = Math.floor(now / 30000);
+  const previous = hotp(RFC_SECRET, step - 1);
+  const stale = hotp(RFC_SECRET, step - 2);
+
+  assert.equal(verifyTotp(RFC_SECRET, previous, { now }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, stale, { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, previous, { now, lastUsedStep: step - 1 }), null);
+  assert.equal(verifyTotp(RFC_SECRET, '12345', { now }), null);
+  assert.match(otpauthUrl(RFC_SECRET, 'cfo@pvara.gov.pk'), /^otpauth:\/\/totp\/PVARA%20HRMS%3Acfo%40pvara\.gov\.pk\?secret=/);
+});
+
+test('recovery codes are unique and compared without dashes or case', () => {
+  const codes = generateRecoveryCodes();
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  assert.match(codes[0], /^[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}$/);
+  assert.equal(hashRecoveryCode(codes[0].toUpperCase().replace(/-/g, ' ')), hashRecoveryCode(codes[0]));
+});
+
+test('challenge tokens are bound to their purpose and are not access tokens', () => {
+  process.env.JWT_SECRET = 'test-secret';
+  const user = { _id: 'u1', email: 'a@b.co', role: 'finance', company: 'c1' };
+
+  assert.equal(verifyChallenge(signChallenge(user, 'login'), 'login'), 'u1');
+  assert.throws(() => verifyChallenge(signChallenge(user, 'setup'), 'login'), (error) => error.status === 401);
+  assert.throws(() => verifyChallenge(signAccessToken(user, '65f1c2a9b4d3e2f1a0b9c8d7'), 'login'), (error) => error.status === 401);
+});
+
+test('a second-factor lockout counts down in whole minutes', () => {
+  const now = Date.parse('2026-03-01T10:00:00Z');
+  assert.equal(lockoutMinutesLeft(undefined, now), 0);
+  assert.equal(lockoutMinutesLeft({ failedAttempts: 3 }, now), 0);
+  assert.equal(lockoutMinutesLeft({ lockedUntil: new Date(now + 14 * 60000 + 1) }, now), 15);
+  assert.equal(lockoutMinutesLeft({ lockedUntil: new Date(now - 1) }, now), 0);
+});
+
+test('mail bodies are dot-stuffed with CRLF endings', () => {
+  const message = formatMessage({ from: 'a@x.io', to: 'b@x.io', subject: 'Hi', text: 'one\n.two\nthree' });
+  assert.match(message, /^From: a@x\.io\r\nTo: b@x\.io\r\nSubject: Hi\r\n/);
+  assert.ok(message.endsWith('\r\n\r\none\r\n..two\r\nthree\r\n'));
+  assert.equal(maskAddress('ayesha@pvara.gov.pk'), 'a***@pvara.gov.pk');
+  assert.equal(maskAddress('+923001234567'), '***4567');
+});
+
+test('sendMail completes an SMTP conversation with a local server', async () => {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let inData = false;
+    let buffer = '';
+    socket.write('220 test ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          } else {
+            received.push(line);
+          }
+        } else if (line.startsWith('EHLO')) {
+          socket.write('250-test\r\n250 8BITMIME\r\n');
+        } else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const link = 'http://app/reset-password?token=abc';
+    const { subject, text } = resetMessage({ user: { firstName: 'Ayesha' }, link, ttlMinutes: 30 });
+    await sendMail({ host: '127.0.0.1', port: server.address().port, from: 'no-reply@pvara.local', to: 'ayesha@pvara.gov.pk', subject, text });
+
+    assert.ok(received.includes('To: ayesha@pvara.gov.pk'));
+    assert.ok(received.includes(link));
+    assert.ok(received.includes('Use this link within 30 minutes to choose a new one:'));
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+import { subscribe, publishEvent, domainEventPlugin } from '../services/eventBus.js';
+import {
+  signatureHeader,
+  verifySignature,
+  retryDelayMs,
+  sendWebhook,
+  generateSecret,
+  isPrivateAddress,
+  resolvePublicHost,
+} from '../services/webhookService.js';
+
+const COMPANY = '65f1c2a9b4d3e2f1a0b9c8d7';
+
+// Records the hooks a plugin registers so they can be run without a database
+const schemaStub = () => {
+  const hooks = {};
+  const register = (kind) => (name, ...args) => {
+    hooks[`${kind}:${name}`] = args[args.length - 1];
+  };
+  return { hooks, pre: register('pre'), post: register('post') };
+};
+
+const collect = (type) => {
+  const events = [];
+  const unsubscribe = subscribe(type, (event) => events.push(event));
+  return { events, unsubscribe };
+};
+
+test('subscribers get their events and the wildcard sees all; a failing one is contained', async () => {
+  const leave = collect('leave.approved');
+  const all = collect('*');
+  const unsubscribeFailing = subscribe('leave.approved', () => {
+    throw new Error('boom');
+  });
+
+  try {
+    const event = await publishEvent('leave.approved', { company: COMPANY, data: { days: 2, startDate: new Date('2026-10-01') } });
+    await publishEvent('task.completed', { company: COMPANY, data: {} });
+
+    assert.match(event.id, /^evt_[a-f0-9]{32}$/);
+    assert.deepEqual(event.data, { days: 2, startDate: '2026-10-01T00:00:00.000Z' });
+    assert.deepEqual(leave.events.map((e) => e.type), ['leave.approved']);
+    assert.deepEqual(all.events.map((e) => e.type), ['leave.approved', 'task.completed']);
+  } finally {
+    leave.unsubscribe();
+    all.unsubscribe();
+    unsubscribeFailing();
+  }
+});
+
+test('the model plugin publishes on creation and on moving into a mapped status only', async () => {
+  const schema = schemaStub();
+  domainEventPlugin(schema, {
+    created: 'employee.created',
+    transitions: { inactive: 'employee.deactivated' },
+    payload: (doc) => ({ status: doc.status }),
+  });
+  const { events, unsubscribe } = collect('*');
+
+  const save = async (doc) => {
+    schema.hooks['pre:save'].call(doc);
+    schema.hooks['post:save'].call(doc, doc);
+    await new Promise((resolve) => setImmediate(resolve));
+  };
+  const doc = (fields) => ({ company: COMPANY, $locals: {}, isModified: () => fields.modified, ...fields });
+
+  try {
+    await save(doc({ isNew: true, status: 'active' }));
+    await save(doc({ isNew: false, status: 'inactive', modified: true }));
+    await save(doc({ isNew: false, status: 'inactive', modified: false }));
+    await save(doc({ isNew: false, status: 'suspended', modified: true }));
+
+    assert.deepEqual(events.map((e) => [e.type, e.data.status]), [
+      ['employee.created', 'active'],
+      ['employee.deactivated', 'inactive'],
+    ]);
+
+    // findOneAndUpdate: only a real change of status counts
+    const stored = { _id: 'u1', company: COMPANY, status: 'active' };
+    const model = {
+      findOne: () => ({ select: () => ({ lean: async () => ({ ...stored }) }) }),
+      findById: () => ({ lean: async () => ({ ...stored }) }),
+    };
+    const query = { getUpdate: () => ({ $set: { status: 'inactive' } }), getFilter: () => ({ _id: 'u1' }), model };
+    await schema.hooks['pre:findOneAndUpdate'].call(query);
+    stored.status = 'inactive';
+    await schema.hooks['post:findOneAndUpdate'].call(query);
+    await schema.hooks['pre:findOneAndUpdate'].call(query);
+    await schema.hooks['post:findOneAndUpdate'].call(query);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(events.filter((e) => e.type === 'employee.deactivated').length, 2);
+  } finally {
+    unsubscribe();
+  }
+});
+
+test('signatures cover the timestamp and body and expire', () => {
+  const secret = generateSecret();
+  const body = JSON.stringify({ id: 'evt_1', type: 'journal.posted' });
+  const now = Date.UTC(2026, 9, 19, 12);
+  const header = signatureHeader(secret, body, now / 1000);
+
+  assert.match(secret, /^whsec_/);
+  assert.match(header, /^t=\d+,v1=[a-f0-9]{64}$/);
+  assert.equal(verifySignature(secret, body, header, { now }), true);
+  assert.equal(verifySignature(secret, `${body} `, header, { now }), false);
+  assert.equal(verifySignature(generateSecret(), body, header, { now }), false);
+  assert.equal(verifySignature(secret, body, header, { now: now + 6 * 60 * 1000 }), false);
+  assert.equal(verifySignature(secret, body, 'v1=abc', { now }), false);
+});
+
+test('retries back off exponentially up to six hours', () => {
+  const minutes = [1, 2, 3, 4, 10, 20].map((attempt) => retryDelayMs(attempt) / 60000);
+  assert.deepEqual(minutes, [1, 2, 4, 8, 360, 360]);
+});
+
+test('webhooks refuse internal addresses', async () => {
+  for (const address of ['127.0.0.1', '10.2.3.4', '172.20.0.1', '192.168.1.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00:ec2::254', 'fe80::1', '::ffff:10.0.0.1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '172.32.0.1', '2606:4700:4700::1111', '::ffff:1.1.1.1']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+
+  await assert.rejects(resolvePublicHost('169.254.169.254'), { status: 400 });
+  await assert.rejects(resolvePublicHost('[::1]'), { status: 400 });
+  await assert.rejects(resolvePublicHost('localhost'), { status: 400 });
+  assert.deepEqual(await resolvePublicHost('1.1.1.1'), { address: '1.1.1.1', family: 4 });
+
+  const blocked = await sendWebhook({ url: 'http://127.0.0.1:9/hook', secret: generateSecret(), deliveryId: 'd0', event: { type: 'webhook.ping' } });
+  assert.equal(blocked.ok, false);
+  assert.match(blocked.error, /public internet/);
+});
+
+test('sendWebhook posts a signed event and reports the outcome', async (t) => {
+  // The receiver runs on loopback
+  process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS = 'true';
+  t.after(() => delete process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS);
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      if (req.url === '/fail') {
+        res.writeHead(500);
+        res.end('database unavailable');
+      } else if (req.url === '/moved') {
+        res.writeHead(301, { Location: '/ok' });
+        res.end();
+      } else {
+        res.writeHead(204);
+        res.end();
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const secret = generateSecret();
+  const event = { id: 'evt_1', type: 'payment.batch.approved', data: { batchNumber: 'BPB-1' } };
+
+  try {
+    const ok = await sendWebhook({ url: `${base}/ok`, secret, deliveryId: 'd1', event });
+    assert.equal(ok.ok, true);
+    assert.equal(ok.responseStatus, 204);
+    const [{ headers, body }] = received;
+    assert.equal(headers['x-pvara-event'], 'payment.batch.approved');
+    assert.equal(headers['x-pvara-delivery'], 'd1');
+    assert.equal(verifySignature(secret, body, headers['x-pvara-signature']), true);
+    assert.deepEqual(JSON.parse(body), event);
+
+    const failed = await sendWebhook({ url: `${base}/fail`, secret, deliveryId: 'd2', event });
+    assert.deepEqual([failed.ok, failed.responseStatus, failed.responseBody], [false, 500, 'database unavailable']);
+
+    const moved = await sendWebhook({ url: `${base}/moved`, secret, deliveryId: 'd3', event });
+    assert.deepEqual([moved.ok, moved.responseStatus, received.length], [false, 301, 3]);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  const refused = await sendWebhook({ url: base, secret, deliveryId: 'd4', event });
+  assert.equal(refused.ok, false);
+  assert.ok(refused.error);
+});
@@ -38,4 +38,11 @@ export default [
     settings: combinedSettings,
     rules: combinedRules,
   },
+  {
+    // Serverless functions run on Node
+    files: ['api/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -36,12 +36,17 @@ const ChairmanOverview = lazy(() => import('./pages/ChairmanOverview'));
 const ChairmanOverviewSimple = lazy(() => import('./pages/ChairmanOverviewSimple'));
 const TasksABTesting = lazy(() => import('./pages/TasksABTesting'));
 const ChangePassword = lazy(() => import('./pages/ChangePassword'));
+const ForgotPassword = lazy(() => import('./pages/ForgotPassword'));
+const ResetPassword = lazy(() => import('./pages/ResetPassword'));
+const SsoCallback = lazy(() => import('./pages/SsoCallback'));
 const MyTasks = lazy(() => import('./pages/MyTasks'));
 const Worklog = lazy(() => import('./pages/Worklog'));
+const Timesheets = lazy(() => import('./pages/Timesheets'));
 const TaskManagement = lazy(() => import('./pages/TaskManagement'));
 const MyDependencies = lazy(() => import('./pages/MyDependencies'));
 const Reports = lazy(() => import('./pages/Reports'));
 const Storage = lazy(() => import('./pages/Storage'));
+const Integrations = lazy(() => import('./pages/Integrations'));
 
 // ERP / Finance Module Pages
 const FinanceDashboard = lazy(() => import('./pages/FinanceDashboard'));
@@ -126,6 +131,9 @@ function App() {
           {/* Entry point - Login */}
           <Route path="/" element={<PublicRoute><Login /></PublicRoute>} />
           <Route path="/login" element={<PublicRoute><Login /></PublicRoute>} />
+          <Route path="/forgot-password" element={<PublicRoute><ForgotPassword /></PublicRoute>} />
+          <Route path="/reset-password" element={<PublicRoute><ResetPassword /></PublicRoute>} />
+          <Route path="/sso/callback" element={<PublicRoute><SsoCallback /></PublicRoute>} />
 
         {/* Protected HRMS Routes */}
         <Route
@@ -200,6 +208,10 @@ function App() {
           path="/worklog"
           element={<ProtectedRoute><Worklog /></ProtectedRoute>}
         />
+        <Route
+          path="/timesheets"
+          element={<ProtectedRoute><Timesheets /></ProtectedRoute>}
+        />
         <Route
           path="/change-password"
           element={<ProtectedRoute><ChangePassword onSuccess={() => window.location.href = '/dashboard'} /></ProtectedRoute>}
@@ -228,6 +240,10 @@ function App() {
           path="/reports"
           element={<ProtectedRoute allowedRoles={['admin', 'chairman']}><Reports /></ProtectedRoute>}
         />
+        <Route
+          path="/integrations"
+          element={<ProtectedRoute allowedRoles={['admin']}><Integrations /></ProtectedRoute>}
+        />
         <Route
           path="/storage"
           element={<ProtectedRoute allowedRoles={['admin', 'chairman', 'executive', 'director', 'manager', 'hr', 'employee', 'finance', 'accountant']}><Storage /></ProtectedRoute>}
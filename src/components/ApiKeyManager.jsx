@@ -0,0 +1,277 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { KeyRound, Plus, Edit2, RotateCcw, Ban, Copy } from 'lucide-react';
+import { Card, Button, Badge, Modal, Input } from './UI';
+import apiKeyService from '../services/apiKeyService';
+
+const emptyForm = { name: '', description: '', scopes: [], rateLimit: 120, allowedIps: '', expiresAt: '' };
+
+const checkboxClass = 'w-4 h-4 rounded border-white/30 bg-white/10 text-cyan-400 focus:ring-cyan-400 focus:ring-offset-0 cursor-pointer';
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+const keyStatus = (apiKey) => {
+  if (apiKey.revokedAt) return { label: 'Revoked', variant: 'red' };
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) < new Date()) return { label: 'Expired', variant: 'gray' };
+  return null;
+};
+
+// Company API keys, their scopes and 30-day usage (Integrations page).
+// `newKeyRequest` changes when the page header asks for a new key.
+const ApiKeyManager = ({ newKeyRequest }) => {
+  const [keys, setKeys] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [revealedKey, setRevealedKey] = useState(null);
+
+  const fetchKeys = async () => {
+    try {
+      const [keyList, usageReport] = await Promise.all([apiKeyService.getKeys(), apiKeyService.getUsage(30)]);
+      setKeys(keyList);
+      setUsage(usageReport);
+    } catch (err) {
+      toast.error(err.message || 'Failed to fetch API keys');
+    }
+  };
+
+  useEffect(() => {
+    fetchKeys();
+    apiKeyService.getScopes().then(setScopes).catch(() => setScopes([]));
+  }, []);
+
+  useEffect(() => {
+    if (newKeyRequest) {
+      setEditing('new');
+      setForm(emptyForm);
+    }
+  }, [newKeyRequest]);
+
+  const openForm = (apiKey) => {
+    setEditing(apiKey || 'new');
+    setForm(apiKey
+      ? {
+        name: apiKey.name,
+        description: apiKey.description || '',
+        scopes: apiKey.scopes,
+        rateLimit: apiKey.rateLimit,
+        allowedIps: (apiKey.allowedIps || []).join(', '),
+        expiresAt: apiKey.expiresAt ? apiKey.expiresAt.slice(0, 10) : '',
+      }
+      : emptyForm);
+  };
+
+  const toggleScope = (key) => setForm((prev) => ({
+    ...prev,
+    scopes: prev.scopes.includes(key) ? prev.scopes.filter((scope) => scope !== key) : [...prev.scopes, key],
+  }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    const data = {
+      ...form,
+      rateLimit: Number(form.rateLimit),
+      allowedIps: form.allowedIps.split(',').map((ip) => ip.trim()).filter(Boolean),
+      expiresAt: form.expiresAt || null,
+    };
+    try {
+      if (editing === 'new') {
+        const { key } = await apiKeyService.createKey(data);
+        setRevealedKey(key);
+        toast.success('API key created');
+      } else {
+        await apiKeyService.updateKey(editing._id, data);
+        toast.success('API key updated');
+      }
+      setEditing(null);
+      fetchKeys();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save API key');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRotate = async (apiKey) => {
+    if (!window.confirm(`Rotate ${apiKey.name}? The current key stops working immediately.`)) return;
+    try {
+      const { key } = await apiKeyService.rotateKey(apiKey._id);
+      setRevealedKey(key);
+      fetchKeys();
+    } catch (err) {
+      toast.error(err.message || 'Failed to rotate API key');
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke ${apiKey.name}? Integrations using it stop working. This cannot be undone.`)) return;
+    try {
+      await apiKeyService.revokeKey(apiKey._id);
+      toast.success('API key revoked');
+      fetchKeys();
+    } catch (err) {
+      toast.error(err.message || 'Failed to revoke API key');
+    }
+  };
+
+  const copy = (value) => {
+    navigator.clipboard?.writeText(value);
+    toast.success('Copied');
+  };
+
+  const busiestDay = Math.max(1, ...(usage?.days || []).map((day) => day.requests));
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-white flex items-center gap-2">
+          <KeyRound size={18} className="text-cyan-400" />
+          API keys
+        </h3>
+        <Button size="sm" onClick={() => openForm(null)} className="flex items-center gap-2">
+          <Plus size={16} /> New key
+        </Button>
+      </div>
+      <p className="text-sm text-slate-400 mb-4">
+        Send the key in an <code className="text-cyan-300">X-API-Key</code> header or as a bearer token. Keys only reach the
+        routes their scopes cover and are limited to a number of requests per minute.
+      </p>
+
+      {usage && (
+        <div className="mb-4 p-3 bg-white/5 rounded-lg">
+          <div className="flex flex-wrap gap-4 text-sm text-slate-300 mb-3">
+            <span>Last 30 days: <span className="text-white font-semibold">{usage.totals.requests}</span> requests</span>
+            <span><span className="text-white font-semibold">{usage.totals.failures}</span> errors</span>
+            <span><span className="text-white font-semibold">{usage.totals.rateLimited}</span> rate limited</span>
+          </div>
+          <div className="flex items-end gap-1 h-16">
+            {usage.days.map((day) => (
+              <div
+                key={day.date}
+                title={`${day.date}: ${day.requests} requests, ${day.failures} errors`}
+                className="flex-1 bg-cyan-400/60 rounded-t"
+                style={{ height: `${Math.max((day.requests / busiestDay) * 100, day.requests ? 4 : 1)}%` }}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {keys.map((apiKey) => {
+          const status = keyStatus(apiKey);
+          const requests = usage?.byKey[apiKey._id]?.requests || 0;
+          return (
+            <div key={apiKey._id} className="flex items-center justify-between gap-3 p-3 bg-white/5 rounded-lg">
+              <div className="min-w-0">
+                <p className="text-white font-medium">
+                  {apiKey.name}
+                  <code className="ml-2 text-xs text-slate-400">{apiKey.prefix}…</code>
+                  {status && <Badge variant={status.variant} className="ml-2 text-xs">{status.label}</Badge>}
+                </p>
+                <div className="flex flex-wrap gap-1 mt-1">
+                  {apiKey.scopes.map((scope) => (
+                    <Badge key={scope} variant={scope.endsWith(':write') ? 'purple' : 'blue'} className="text-xs">{scope}</Badge>
+                  ))}
+                </div>
+                <p className="text-xs text-slate-500 mt-1">
+                  {apiKey.rateLimit}/min • {requests} requests in 30 days • Last used {formatTime(apiKey.lastUsedAt)}
+                  {apiKey.allowedIps?.length > 0 && ` • ${apiKey.allowedIps.length} allowed IPs`}
+                  {apiKey.expiresAt && ` • Expires ${new Date(apiKey.expiresAt).toLocaleDateString()}`}
+                </p>
+              </div>
+              {!apiKey.revokedAt && (
+                <div className="flex gap-1 shrink-0">
+                  <button onClick={() => handleRotate(apiKey)} className="p-2 hover:bg-yellow-500/20 rounded-lg" title="Rotate key">
+                    <RotateCcw size={16} className="text-yellow-400" />
+                  </button>
+                  <button onClick={() => openForm(apiKey)} className="p-2 hover:bg-cyan-500/20 rounded-lg" title="Edit">
+                    <Edit2 size={16} className="text-cyan-400" />
+                  </button>
+                  <button onClick={() => handleRevoke(apiKey)} className="p-2 hover:bg-red-500/20 rounded-lg" title="Revoke">
+                    <Ban size={16} className="text-red-400" />
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {keys.length === 0 && <p className="text-sm text-slate-400">No API keys yet.</p>}
+      </div>
+
+      <Modal
+        isOpen={Boolean(editing)}
+        title={editing === 'new' ? 'New API Key' : 'Edit API Key'}
+        onClose={() => setEditing(null)}
+        size="lg"
+      >
+        <div className="space-y-4">
+          <Input label="Name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="BI warehouse sync" required />
+          <Input label="Description" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
+
+          <div>
+            <p className="text-sm font-semibold text-slate-200 mb-2">Scopes</p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              {scopes.map((scope) => (
+                <label key={scope.key} className="flex items-start gap-2 text-sm text-slate-300 cursor-pointer">
+                  <input type="checkbox" checked={form.scopes.includes(scope.key)} onChange={() => toggleScope(scope.key)} className={`${checkboxClass} mt-0.5`} />
+                  <span>
+                    <code className="text-cyan-300">{scope.key}</code>
+                    <span className="block text-xs text-slate-500">{scope.label}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input
+              label="Requests per minute"
+              type="number"
+              min="1"
+              max="6000"
+              value={form.rateLimit}
+              onChange={(e) => setForm({ ...form, rateLimit: e.target.value })}
+            />
+            <Input label="Expires on" type="date" value={form.expiresAt} onChange={(e) => setForm({ ...form, expiresAt: e.target.value })} />
+          </div>
+          <Input
+            label="Allowed IP addresses"
+            value={form.allowedIps}
+            onChange={(e) => setForm({ ...form, allowedIps: e.target.value })}
+            placeholder="Any address - or e.g. 203.0.113.10, 203.0.113.11"
+            spellCheck={false}
+          />
+
+          <div className="flex justify-end gap-2 pt-2">
+            <Button variant="ghost" onClick={() => setEditing(null)}>Cancel</Button>
+            <Button onClick={handleSave} disabled={saving || !form.name || form.scopes.length === 0}>
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      <Modal isOpen={Boolean(revealedKey)} title="API key" onClose={() => setRevealedKey(null)}>
+        <div className="space-y-4">
+          <p className="text-sm text-slate-300">
+            Copy this key into your integration now - it is not shown again. Only a hash of it is stored.
+          </p>
+          <div className="flex items-center gap-2 p-3 bg-white/5 border border-white/10 rounded-lg">
+            <code className="text-cyan-300 break-all flex-1">{revealedKey}</code>
+            <button onClick={() => copy(revealedKey)} className="text-slate-400 hover:text-white" title="Copy">
+              <Copy size={16} />
+            </button>
+          </div>
+          <div className="flex justify-end">
+            <Button onClick={() => setRevealedKey(null)}>Done</Button>
+          </div>
+        </div>
+      </Modal>
+    </Card>
+  );
+};
+
+export default ApiKeyManager;
@@ -0,0 +1,207 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { AlertTriangle, BookOpen, ShoppingCart, Clock } from 'lucide-react';
+import { Modal } from './UI';
+import projectService from '../services/projectService';
+
+const money = (value, currency = 'PKR') =>
+  `${currency} ${Math.round(value || 0).toLocaleString()}`;
+
+const tableClass = 'w-full text-sm';
+const headClass = 'text-left text-xs text-slate-400 uppercase';
+const cellClass = 'px-3 py-2';
+
+// One horizontal bar of the budget vs actual vs forecast chart
+const CostBar = ({ label, value, scale, currency, className, children }) => (
+  <div className="flex items-center gap-3 text-sm">
+    <span className="w-24 text-slate-400">{label}</span>
+    <div className="flex-1 h-4 bg-white/5 rounded-full overflow-hidden flex">
+      {children || (
+        <div className={`h-full ${className}`} style={{ width: `${scale ? (value / scale) * 100 : 0}%` }} />
+      )}
+    </div>
+    <span className="w-36 text-right text-white font-mono">{money(value, currency)}</span>
+  </div>
+);
+
+// Budget vs actual vs forecast of a project, from the GL, open POs and costed hours (Chairman overview)
+const ProjectCosts = ({ project, isOpen, onClose }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !project?._id) return;
+    let cancelled = false;
+    setLoading(true);
+    projectService.getCosts(project._id)
+      .then((data) => { if (!cancelled) setReport(data); })
+      .catch((err) => toast.error(err.message || 'Failed to fetch project costs'))
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [isOpen, project?._id]);
+
+  if (!isOpen) return null;
+
+  const summary = report?.summary;
+  const currency = summary?.currency;
+  const scale = summary ? Math.max(summary.allocated, summary.actual.total + summary.committed, summary.forecast) : 0;
+  const share = (value) => `${scale ? (Math.max(value, 0) / scale) * 100 : 0}%`;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`${project?.name} – Costs`} size="xl">
+      {loading || !report ? (
+        <p className="text-slate-400 text-sm">Loading costs...</p>
+      ) : (
+        <div className="space-y-6">
+          {/* Summary */}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-sm">
+            <div>
+              <p className="text-slate-400">Budget</p>
+              <p className="text-white font-semibold">{money(summary.allocated, currency)}</p>
+            </div>
+            <div>
+              <p className="text-slate-400">Actual</p>
+              <p className="text-white font-semibold">{money(summary.actual.total, currency)}</p>
+              <p className="text-slate-500 text-xs">{summary.utilization}% of budget</p>
+            </div>
+            <div>
+              <p className="text-slate-400">Committed</p>
+              <p className="text-white font-semibold">{money(summary.committed, currency)}</p>
+            </div>
+            <div>
+              <p className="text-slate-400">Forecast</p>
+              <p className="text-white font-semibold">{money(summary.forecast, currency)}</p>
+              <p className="text-slate-500 text-xs">at {report.project.progress || 0}% progress</p>
+            </div>
+            <div>
+              <p className="text-slate-400">Variance</p>
+              <p className={`font-semibold ${summary.variance < 0 ? 'text-rose-300' : 'text-emerald-300'}`}>
+                {money(summary.variance, currency)}
+              </p>
+              <p className="text-slate-500 text-xs">{summary.variance < 0 ? 'over budget' : 'under budget'}</p>
+            </div>
+          </div>
+
+          {/* Budget vs actual vs forecast */}
+          <div className="space-y-2">
+            <CostBar label="Budget" value={summary.allocated} scale={scale} currency={currency} className="bg-slate-400/60" />
+            <CostBar label="Actual" value={summary.actual.total} scale={scale} currency={currency}>
+              <div className="h-full bg-cyan-500/80" style={{ width: share(summary.actual.ledger) }} title="Ledger" />
+              <div className="h-full bg-purple-500/80" style={{ width: share(summary.actual.labour) }} title="Staff time" />
+              <div className="h-full bg-amber-500/60" style={{ width: share(summary.committed) }} title="Committed" />
+            </CostBar>
+            <CostBar
+              label="Forecast"
+              value={summary.forecast}
+              scale={scale}
+              currency={currency}
+              className={summary.variance < 0 ? 'bg-rose-500/80' : 'bg-emerald-500/70'}
+            />
+            <div className="flex flex-wrap gap-4 text-xs text-slate-400 pl-28">
+              <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-cyan-500/80" /> Ledger {money(summary.actual.ledger, currency)}</span>
+              <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-purple-500/80" /> Staff time {money(summary.actual.labour, currency)}</span>
+              <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-amber-500/60" /> Committed {money(summary.committed, currency)}</span>
+            </div>
+          </div>
+
+          {!summary.hasCosts && (
+            <div className="flex items-center gap-2 p-3 rounded-lg bg-white/5 border border-white/10 text-slate-300 text-sm">
+              <AlertTriangle size={16} className="text-amber-300" />
+              Nothing is charged to this project yet. Pick it on journal entry or purchase order lines, or log hours against it.
+            </div>
+          )}
+
+          {/* Ledger */}
+          {report.ledger.length > 0 && (
+            <div>
+              <p className="text-slate-300 font-semibold flex items-center gap-2 mb-2"><BookOpen size={16} /> General ledger</p>
+              <table className={tableClass}>
+                <thead>
+                  <tr className={headClass}>
+                    <th className={cellClass}>Account</th>
+                    <th className={`${cellClass} text-right`}>Debit</th>
+                    <th className={`${cellClass} text-right`}>Credit</th>
+                    <th className={`${cellClass} text-right`}>Net</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-white/5">
+                  {report.ledger.map((row) => (
+                    <tr key={row.account}>
+                      <td className={`${cellClass} text-white`}>{row.code} - {row.name}</td>
+                      <td className={`${cellClass} text-right text-slate-300`}>{money(row.debit, currency)}</td>
+                      <td className={`${cellClass} text-right text-slate-300`}>{money(row.credit, currency)}</td>
+                      <td className={`${cellClass} text-right text-white font-mono`}>{money(row.amount, currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Staff time */}
+          {report.labour.byEmployee.length > 0 && (
+            <div>
+              <p className="text-slate-300 font-semibold flex items-center gap-2 mb-2">
+                <Clock size={16} /> Staff time
+                <span className="text-slate-500 text-xs font-normal">
+                  {report.labour.hours} h, monthly salary / {report.labour.monthlyHours} h
+                </span>
+              </p>
+              <table className={tableClass}>
+                <thead>
+                  <tr className={headClass}>
+                    <th className={cellClass}>Employee</th>
+                    <th className={`${cellClass} text-right`}>Hours</th>
+                    <th className={`${cellClass} text-right`}>Rate</th>
+                    <th className={`${cellClass} text-right`}>Cost</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-white/5">
+                  {report.labour.byEmployee.map((row) => (
+                    <tr key={row.user}>
+                      <td className={`${cellClass} text-white`}>{row.name}</td>
+                      <td className={`${cellClass} text-right text-slate-300`}>{row.hours}</td>
+                      <td className={`${cellClass} text-right text-slate-300`}>
+                        {row.rate ? money(row.rate, currency) : <span className="text-amber-300">No salary</span>}
+                      </td>
+                      <td className={`${cellClass} text-right text-white font-mono`}>{money(row.amount, currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Commitments */}
+          {report.commitments.length > 0 && (
+            <div>
+              <p className="text-slate-300 font-semibold flex items-center gap-2 mb-2"><ShoppingCart size={16} /> Open purchase orders</p>
+              <table className={tableClass}>
+                <thead>
+                  <tr className={headClass}>
+                    <th className={cellClass}>PO</th>
+                    <th className={cellClass}>Vendor</th>
+                    <th className={cellClass}>Item</th>
+                    <th className={`${cellClass} text-right`}>Not invoiced</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-white/5">
+                  {report.commitments.map((row, index) => (
+                    <tr key={`${row.purchaseOrder}-${index}`}>
+                      <td className={`${cellClass} text-cyan-300 font-mono`}>{row.poNumber}</td>
+                      <td className={`${cellClass} text-slate-300`}>{row.vendor || '-'}</td>
+                      <td className={`${cellClass} text-white`}>{row.description}</td>
+                      <td className={`${cellClass} text-right text-white font-mono`}>{money(row.amount, currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default ProjectCosts;
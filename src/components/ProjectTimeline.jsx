@@ -0,0 +1,302 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { format, eachWeekOfInterval, eachMonthOfInterval, differenceInCalendarDays } from 'date-fns';
+import { AlertTriangle, Link2, Flag, GitBranch } from 'lucide-react';
+import { Button, Badge, Modal } from './UI';
+import projectService from '../services/projectService';
+import taskService from '../services/taskService';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const STATUS_VARIANTS = {
+  planning: 'gray',
+  'on-track': 'green',
+  'at-risk': 'yellow',
+  delayed: 'red',
+  completed: 'blue',
+  'on-hold': 'gray',
+  pending: 'gray',
+  'in-progress': 'blue',
+};
+
+const selectClass = 'px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white text-sm focus:outline-none focus:ring-2 focus:ring-cyan-400/60';
+
+const toTime = (value) => new Date(value).getTime();
+const personName = (person) => (person ? `${person.firstName || ''} ${person.lastName || ''}`.trim() : 'Unassigned');
+
+// Colour of a task's forecast bar: done, on the critical path, slipping or fine
+const barClass = (task) => {
+  if (task.status === 'completed') return 'bg-emerald-500/70';
+  if (task.critical) return 'bg-rose-500/80';
+  if (task.slipDays > 0 || task.blocked) return 'bg-amber-500/80';
+  return 'bg-cyan-500/70';
+};
+
+// Week ticks for short projects, month ticks for long ones
+const buildTicks = (start, end) => {
+  const interval = { start: new Date(start), end: new Date(end) };
+  return differenceInCalendarDays(interval.end, interval.start) <= 70
+    ? eachWeekOfInterval(interval, { weekStartsOn: 1 }).map((date) => ({ date, label: format(date, 'MMM d') }))
+    : eachMonthOfInterval(interval).map((date) => ({ date, label: format(date, 'MMM yyyy') }));
+};
+
+// Gantt timeline of a project with forecast, slippage and critical path (Chairman overview)
+const ProjectTimeline = ({ project, isOpen, onClose, onChanged }) => {
+  const [timeline, setTimeline] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [link, setLink] = useState({ task: '', waitsFor: '' });
+  const [linking, setLinking] = useState(false);
+
+  const projectId = project?._id;
+
+  const fetchTimeline = useCallback(async () => {
+    setLoading(true);
+    try {
+      setTimeline(await projectService.getTimeline(projectId));
+    } catch (err) {
+      toast.error(err.message || 'Failed to fetch project timeline');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    if (isOpen && projectId) fetchTimeline();
+  }, [isOpen, projectId, fetchTimeline]);
+
+  const handleLink = async (e) => {
+    e.preventDefault();
+    const waitsFor = timeline.tasks.find((task) => task._id === link.waitsFor);
+    setLinking(true);
+    try {
+      await taskService.createDependency(link.task, {
+        task: link.waitsFor,
+        title: `Waiting for ${waitsFor.reference}: ${waitsFor.title}`,
+        category: 'action',
+      });
+      toast.success('Tasks linked');
+      setLink({ task: '', waitsFor: '' });
+      await fetchTimeline();
+      onChanged?.();
+    } catch (err) {
+      toast.error(err.message || 'Failed to link tasks');
+    } finally {
+      setLinking(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const tasks = timeline?.tasks || [];
+  const milestones = timeline?.milestones || [];
+  const schedule = timeline?.schedule || {};
+  const byId = Object.fromEntries(tasks.map((task) => [task._id, task]));
+
+  // Visible range: the project's dates, widened to every bar and milestone
+  const times = [
+    timeline?.project.startDate, timeline?.project.endDate,
+    ...tasks.flatMap((task) => [task.plannedStart, task.start, task.finish, task.plannedEnd]),
+    ...milestones.map((milestone) => milestone.dueDate),
+  ].filter(Boolean).map(toTime);
+  const rangeStart = times.length ? Math.min(...times) - DAY : Date.now();
+  const rangeEnd = times.length ? Math.max(...times) + DAY : Date.now() + DAY;
+  const position = (value) => `${((toTime(value) - rangeStart) / (rangeEnd - rangeStart)) * 100}%`;
+  const width = (from, to) => `${Math.max(((toTime(to) - toTime(from)) / (rangeEnd - rangeStart)) * 100, 0.5)}%`;
+  const ticks = timeline ? buildTicks(rangeStart, rangeEnd) : [];
+
+  const groups = [
+    ...milestones.map((milestone) => ({
+      milestone,
+      tasks: tasks.filter((task) => task.milestone === milestone._id),
+    })),
+    { milestone: null, tasks: tasks.filter((task) => !milestones.some((milestone) => milestone._id === task.milestone)) },
+  ].filter((group) => group.milestone || group.tasks.length > 0);
+
+  const markers = (
+    <>
+      <div className="absolute inset-y-0 w-px bg-cyan-300/60" style={{ left: position(Date.now()) }} />
+      {timeline?.project.endDate && (
+        <div className="absolute inset-y-0 w-px bg-rose-400/60" style={{ left: position(timeline.project.endDate) }} />
+      )}
+    </>
+  );
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`${project?.name} – Timeline`} size="xl">
+      {loading && !timeline ? (
+        <p className="text-slate-400 text-sm">Loading timeline...</p>
+      ) : timeline && (
+        <div className="space-y-5">
+          {/* Summary */}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-sm">
+            <div>
+              <p className="text-slate-400">Status</p>
+              <Badge variant={STATUS_VARIANTS[timeline.project.status] || 'gray'}>{timeline.project.status}</Badge>
+            </div>
+            <div>
+              <p className="text-slate-400">Progress</p>
+              <p className="text-white font-semibold">{timeline.project.progress || 0}%</p>
+            </div>
+            <div>
+              <p className="text-slate-400">Forecast End</p>
+              <p className={`font-semibold ${schedule.slippageDays > 0 ? 'text-rose-300' : 'text-white'}`}>
+                {schedule.forecastEnd ? format(new Date(schedule.forecastEnd), 'MMM d, yyyy') : '-'}
+              </p>
+              {schedule.slippageDays > 0 && (
+                <p className="text-rose-300 text-xs">{schedule.slippageDays} days late</p>
+              )}
+            </div>
+            <div>
+              <p className="text-slate-400">Blockers</p>
+              <p className={`font-semibold ${timeline.project.blockers > 0 ? 'text-amber-300' : 'text-white'}`}>{timeline.project.blockers || 0}</p>
+            </div>
+            <div>
+              <p className="text-slate-400">At-Risk Tasks</p>
+              <p className={`font-semibold ${schedule.atRiskTasks > 0 ? 'text-amber-300' : 'text-white'}`}>{schedule.atRiskTasks || 0}</p>
+            </div>
+          </div>
+
+          {timeline.hasCycle && (
+            <div className="flex items-center gap-2 p-3 rounded-lg bg-amber-500/10 border border-amber-500/30 text-amber-200 text-sm">
+              <AlertTriangle size={16} />
+              Some tasks wait for each other in a loop; those links are ignored in the forecast.
+            </div>
+          )}
+
+          {/* Critical path */}
+          {schedule.criticalPath?.length > 0 && (
+            <div className="text-sm">
+              <p className="text-slate-400 flex items-center gap-2 mb-1"><GitBranch size={14} /> Critical path</p>
+              <p className="text-rose-200">
+                {schedule.criticalPath.map((id) => byId[id]?.reference || '?').join(' → ')}
+              </p>
+            </div>
+          )}
+
+          {tasks.length === 0 ? (
+            <p className="text-slate-500 text-sm">
+              No tasks are linked to this project yet. Choose the project (and a milestone) when creating or editing a task.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <div className="min-w-[720px]">
+                {/* Axis */}
+                <div className="flex text-[10px] text-slate-500 border-b border-white/10">
+                  <div className="w-56 flex-shrink-0" />
+                  <div className="relative flex-1 h-5">
+                    {ticks.map((tick) => (
+                      <span key={tick.date.toISOString()} className="absolute" style={{ left: position(tick.date) }}>{tick.label}</span>
+                    ))}
+                  </div>
+                </div>
+
+                {groups.map((group) => (
+                  <div key={group.milestone?._id || 'none'} className="border-b border-white/5">
+                    <div className="flex items-center py-1.5">
+                      <div className="w-56 flex-shrink-0 pr-2 flex items-center gap-2">
+                        <Flag size={12} className="text-purple-300" />
+                        <span className="text-xs font-semibold text-purple-200 truncate">{group.milestone?.title || 'No milestone'}</span>
+                        {group.milestone && (
+                          <Badge variant={STATUS_VARIANTS[group.milestone.status] || 'gray'} className="!px-2 !py-0 text-[10px]">
+                            {group.milestone.status}
+                          </Badge>
+                        )}
+                      </div>
+                      <div className="relative flex-1 h-4">
+                        {markers}
+                        {group.milestone?.dueDate && (
+                          <div
+                            className="absolute top-0.5 w-3 h-3 -ml-1.5 rotate-45 bg-purple-400"
+                            style={{ left: position(group.milestone.dueDate) }}
+                            title={`Due ${format(new Date(group.milestone.dueDate), 'MMM d, yyyy')}`}
+                          />
+                        )}
+                        {group.milestone?.forecastDate && group.milestone.status !== 'completed' && (
+                          <div
+                            className="absolute top-0.5 w-3 h-3 -ml-1.5 rotate-45 border border-purple-300"
+                            style={{ left: position(group.milestone.forecastDate) }}
+                            title={`Forecast ${format(new Date(group.milestone.forecastDate), 'MMM d, yyyy')}`}
+                          />
+                        )}
+                      </div>
+                    </div>
+
+                    {group.tasks.map((task) => (
+                      <div key={task._id} className="flex items-center py-1">
+                        <div
+                          className="w-56 flex-shrink-0 pr-2"
+                          title={task.predecessors.length ? `Waits for ${task.predecessors.map((id) => byId[id]?.reference).join(', ')}` : undefined}
+                        >
+                          <p className="text-xs text-white truncate">
+                            <span className="font-mono text-cyan-300">{task.reference}</span> {task.title}
+                          </p>
+                          <p className="text-[10px] text-slate-500 truncate">
+                            {personName(task.assignedTo)}
+                            {task.predecessors.length > 0 && <Link2 size={10} className="inline ml-1" />}
+                            {task.slipDays > 0 && <span className="text-amber-300"> · {task.slipDays}d late</span>}
+                          </p>
+                        </div>
+                        <div className="relative flex-1 h-6">
+                          {markers}
+                          {/* Planned */}
+                          <div
+                            className="absolute top-0 h-2 rounded-sm border border-white/30 bg-white/5"
+                            style={{ left: position(task.plannedStart), width: width(task.plannedStart, task.plannedEnd) }}
+                          />
+                          {/* Forecast, filled up to the task's progress */}
+                          <div
+                            className={`absolute bottom-0 h-3 rounded-sm overflow-hidden ${barClass(task)}`}
+                            style={{ left: position(task.start), width: width(task.start, task.finish) }}
+                            title={`${format(new Date(task.start), 'MMM d')} – ${format(new Date(task.finish), 'MMM d')} · ${task.progress}%${task.critical ? ' · critical' : ''}`}
+                          >
+                            <div className="h-full bg-white/30" style={{ width: `${task.status === 'completed' ? 100 : task.progress}%` }} />
+                          </div>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+
+                {/* Legend */}
+                <div className="flex flex-wrap gap-4 pt-3 text-[10px] text-slate-400">
+                  <span className="flex items-center gap-1"><span className="w-3 h-2 rounded-sm border border-white/30" />Planned</span>
+                  <span className="flex items-center gap-1"><span className="w-3 h-2 rounded-sm bg-cyan-500/70" />Forecast</span>
+                  <span className="flex items-center gap-1"><span className="w-3 h-2 rounded-sm bg-rose-500/80" />Critical path</span>
+                  <span className="flex items-center gap-1"><span className="w-3 h-2 rounded-sm bg-amber-500/80" />Late or blocked</span>
+                  <span className="flex items-center gap-1"><span className="w-3 h-2 rounded-sm bg-emerald-500/70" />Done</span>
+                  <span className="flex items-center gap-1"><span className="w-px h-3 bg-cyan-300/60" />Today</span>
+                  <span className="flex items-center gap-1"><span className="w-px h-3 bg-rose-400/60" />Project end</span>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Link tasks */}
+          {tasks.length > 1 && (
+            <form onSubmit={handleLink} className="flex flex-wrap items-center gap-2 pt-4 border-t border-white/10 text-sm">
+              <select className={selectClass} value={link.task} onChange={(e) => setLink({ ...link, task: e.target.value })}>
+                <option value="" className="bg-slate-800">Task...</option>
+                {tasks.filter((task) => task.status !== 'completed').map((task) => (
+                  <option key={task._id} value={task._id} className="bg-slate-800">{task.reference} {task.title}</option>
+                ))}
+              </select>
+              <span className="text-slate-400">waits for</span>
+              <select className={selectClass} value={link.waitsFor} onChange={(e) => setLink({ ...link, waitsFor: e.target.value })}>
+                <option value="" className="bg-slate-800">Task...</option>
+                {tasks.filter((task) => task._id !== link.task).map((task) => (
+                  <option key={task._id} value={task._id} className="bg-slate-800">{task.reference} {task.title}</option>
+                ))}
+              </select>
+              <Button type="submit" size="sm" disabled={linking || !link.task || !link.waitsFor}>
+                <Link2 className="w-4 h-4" />
+                {linking ? 'Linking...' : 'Link'}
+              </Button>
+            </form>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default ProjectTimeline;
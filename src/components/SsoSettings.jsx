@@ -0,0 +1,341 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { KeyRound, Plus, Edit2, Trash2, Copy } from 'lucide-react';
+import { Card, Button, Badge, Modal, Input, Textarea } from './UI';
+import ssoService from '../services/ssoService';
+import employeeService from '../services/employeeService';
+
+const ROLES = ['employee', 'manager', 'hr', 'finance', 'accountant', 'auditor', 'chairman', 'admin'];
+
+const emptyForm = {
+  name: '',
+  protocol: 'oidc',
+  domains: '',
+  enabled: true,
+  enforced: false,
+  passwordExemptUsers: [],
+  oidc: { issuer: '', clientId: '', scopes: 'openid email profile', groupsClaim: 'groups' },
+  clientSecret: '',
+  saml: { metadataUrl: '', entryPoint: '', idpEntityId: '', certificate: '', emailAttribute: 'email', groupsAttribute: 'groups' },
+  jitProvisioning: true,
+  defaultRole: 'employee',
+  syncRolesOnLogin: true,
+  roleMappings: [],
+};
+
+const selectClass = 'w-full px-4 py-3 rounded-xl bg-white/10 border border-white/20 text-white focus:outline-none focus:ring-2 focus:ring-cyan-400/60';
+const checkboxClass = 'w-5 h-5 rounded border-white/30 bg-white/10 text-cyan-400 focus:ring-cyan-400 focus:ring-offset-0 cursor-pointer';
+
+// Company identity providers (Settings > Single Sign-On)
+const SsoSettings = () => {
+  const [providers, setProviders] = useState([]);
+  const [serviceProvider, setServiceProvider] = useState(null);
+  const [employees, setEmployees] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const fetchProviders = async () => {
+    try {
+      const result = await ssoService.getProviders();
+      setProviders(result.providers);
+      setServiceProvider(result.serviceProvider);
+    } catch (err) {
+      toast.error(err.message || 'Failed to fetch identity providers');
+    }
+  };
+
+  useEffect(() => {
+    fetchProviders();
+    employeeService.getAll()
+      .then((data) => setEmployees(Array.isArray(data) ? data : data.employees || data.data || []))
+      .catch(() => setEmployees([]));
+  }, []);
+
+  const openForm = (provider) => {
+    setEditing(provider || 'new');
+    setForm(provider ? {
+      ...emptyForm,
+      ...provider,
+      domains: (provider.domains || []).join(', '),
+      passwordExemptUsers: (provider.passwordExemptUsers || []).map((user) => user._id || user),
+      oidc: { ...emptyForm.oidc, ...provider.oidc },
+      clientSecret: '',
+      saml: { ...emptyForm.saml, ...provider.saml, certificate: (provider.saml?.certificates || []).join('\n\n') },
+    } : emptyForm);
+  };
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+  const setNested = (group, field, value) => setForm((prev) => ({ ...prev, [group]: { ...prev[group], [field]: value } }));
+
+  const setMapping = (index, field, value) => setForm((prev) => ({
+    ...prev,
+    roleMappings: prev.roleMappings.map((mapping, i) => (i === index ? { ...mapping, [field]: value } : mapping)),
+  }));
+
+  const handleSave = async () => {
+    const { certificate, ...saml } = form.saml;
+    const payload = {
+      ...form,
+      domains: form.domains.split(',').map((domain) => domain.trim()).filter(Boolean),
+      roleMappings: form.roleMappings.filter((mapping) => mapping.group.trim()),
+      saml: {
+        ...saml,
+        // PEM headers are stripped; several certificates are separated by blank lines
+        certificates: saml.metadataUrl ? undefined : certificate.split(/\n\s*\n/)
+          .map((pem) => pem.replace(/-----(BEGIN|END) CERTIFICATE-----|\s+/g, ''))
+          .filter(Boolean),
+      },
+    };
+
+    setSaving(true);
+    try {
+      if (editing === 'new') await ssoService.createProvider(payload);
+      else await ssoService.updateProvider(editing._id, payload);
+      toast.success('Identity provider saved');
+      setEditing(null);
+      fetchProviders();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save identity provider');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTest = async (provider) => {
+    try {
+      const result = await ssoService.testProvider(provider._id);
+      toast.success(`Connected to ${result.issuer || result.entityId} (${result.signingKeys} signing key(s))`);
+    } catch (err) {
+      toast.error(err.message || 'Connection test failed');
+    }
+  };
+
+  const handleDelete = async (provider) => {
+    if (!window.confirm(`Remove ${provider.name}? Its users will need passwords to sign in.`)) return;
+    try {
+      await ssoService.deleteProvider(provider._id);
+      toast.success('Identity provider removed');
+      fetchProviders();
+    } catch (err) {
+      toast.error(err.message || 'Failed to remove identity provider');
+    }
+  };
+
+  const copy = (value) => {
+    navigator.clipboard?.writeText(value);
+    toast.success('Copied');
+  };
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="font-semibold text-white flex items-center gap-2">
+            <KeyRound size={18} />
+            Single Sign-On
+          </h3>
+          <Button size="sm" onClick={() => openForm(null)} className="flex items-center gap-2">
+            <Plus size={16} /> Add Provider
+          </Button>
+        </div>
+
+        {serviceProvider && (
+          <div className="mb-4 p-4 bg-white/5 border border-white/10 rounded-lg space-y-2 text-sm">
+            <p className="text-slate-300 font-medium">Register these at your identity provider</p>
+            {[
+              ['OIDC redirect URI', serviceProvider.oidcRedirectUri],
+              ['SAML ACS URL', serviceProvider.samlAcsUrl],
+              ['SAML entity ID', serviceProvider.samlEntityId],
+              ['SAML metadata', serviceProvider.samlMetadataUrl],
+            ].map(([label, value]) => (
+              <div key={label} className="flex items-center gap-2">
+                <span className="text-slate-400 w-36 shrink-0">{label}</span>
+                <code className="text-cyan-300 break-all">{value}</code>
+                <button onClick={() => copy(value)} className="text-slate-400 hover:text-white" title="Copy">
+                  <Copy size={14} />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-2">
+          {providers.map((provider) => (
+            <div key={provider._id} className="flex items-center justify-between gap-3 p-3 bg-white/5 rounded-lg">
+              <div>
+                <p className="text-white font-medium">
+                  {provider.name}
+                  <Badge variant="blue" className="ml-2 text-xs">{provider.protocol.toUpperCase()}</Badge>
+                  {provider.enforced && <Badge variant="purple" className="ml-2 text-xs">Enforced</Badge>}
+                  {!provider.enabled && <Badge variant="gray" className="ml-2 text-xs">Disabled</Badge>}
+                </p>
+                <p className="text-xs text-slate-400 mt-1">
+                  {provider.domains.join(', ')} • {provider.roleMappings.length} group mapping(s)
+                  {provider.lastLoginAt && ` • Last sign-in ${new Date(provider.lastLoginAt).toLocaleString()}`}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <Button size="sm" variant="secondary" onClick={() => handleTest(provider)}>Test</Button>
+                <button onClick={() => openForm(provider)} className="p-2 hover:bg-cyan-500/20 rounded-lg" title="Edit">
+                  <Edit2 size={16} className="text-cyan-400" />
+                </button>
+                <button onClick={() => handleDelete(provider)} className="p-2 hover:bg-red-500/20 rounded-lg" title="Remove">
+                  <Trash2 size={16} className="text-red-400" />
+                </button>
+              </div>
+            </div>
+          ))}
+          {providers.length === 0 && <p className="text-sm text-slate-400">No identity providers. Users sign in with email and password.</p>}
+        </div>
+      </Card>
+
+      <Modal
+        isOpen={Boolean(editing)}
+        title={editing === 'new' ? 'Add Identity Provider' : 'Edit Identity Provider'}
+        onClose={() => setEditing(null)}
+        size="xl"
+      >
+        <div className="space-y-4 max-h-[70vh] overflow-y-auto pr-1">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input label="Name" value={form.name} onChange={(e) => setField('name', e.target.value)} placeholder="Okta" required />
+            <div className="space-y-2">
+              <label className="block text-sm font-semibold text-slate-200">Protocol</label>
+              <select value={form.protocol} onChange={(e) => setField('protocol', e.target.value)} className={selectClass} disabled={editing !== 'new'}>
+                <option value="oidc" className="text-slate-900">OpenID Connect</option>
+                <option value="saml" className="text-slate-900">SAML 2.0</option>
+              </select>
+            </div>
+          </div>
+          <Input
+            label="Email domains"
+            value={form.domains}
+            onChange={(e) => setField('domains', e.target.value)}
+            placeholder="pvara.gov.pk, pvara.org"
+            required
+          />
+
+          {form.protocol === 'oidc' ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Input label="Issuer URL" value={form.oidc.issuer} onChange={(e) => setNested('oidc', 'issuer', e.target.value)} placeholder="https://pvara.okta.com" required />
+              <Input label="Client ID" value={form.oidc.clientId} onChange={(e) => setNested('oidc', 'clientId', e.target.value)} required />
+              <Input
+                label="Client secret"
+                type="password"
+                value={form.clientSecret}
+                onChange={(e) => setField('clientSecret', e.target.value)}
+                placeholder={editing !== 'new' ? 'Leave blank to keep the current secret' : ''}
+              />
+              <Input label="Scopes" value={form.oidc.scopes} onChange={(e) => setNested('oidc', 'scopes', e.target.value)} />
+              <Input label="Groups claim" value={form.oidc.groupsClaim} onChange={(e) => setNested('oidc', 'groupsClaim', e.target.value)} />
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <Input
+                label="Metadata URL"
+                value={form.saml.metadataUrl}
+                onChange={(e) => setNested('saml', 'metadataUrl', e.target.value)}
+                placeholder="https://idp.example.com/metadata (fills the fields below)"
+              />
+              {!form.saml.metadataUrl && (
+                <>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <Input label="Sign-in URL" value={form.saml.entryPoint} onChange={(e) => setNested('saml', 'entryPoint', e.target.value)} />
+                    <Input label="IdP entity ID" value={form.saml.idpEntityId} onChange={(e) => setNested('saml', 'idpEntityId', e.target.value)} />
+                  </div>
+                  <Textarea
+                    label="Signing certificate (PEM)"
+                    rows={4}
+                    spellCheck={false}
+                    value={form.saml.certificate}
+                    onChange={(e) => setNested('saml', 'certificate', e.target.value)}
+                  />
+                </>
+              )}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <Input label="Email attribute" value={form.saml.emailAttribute} onChange={(e) => setNested('saml', 'emailAttribute', e.target.value)} />
+                <Input label="Groups attribute" value={form.saml.groupsAttribute} onChange={(e) => setNested('saml', 'groupsAttribute', e.target.value)} />
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {[
+              ['enabled', 'Enabled'],
+              ['enforced', 'Require SSO (turn off password sign-in)'],
+              ['jitProvisioning', 'Create accounts on first sign-in'],
+              ['syncRolesOnLogin', 'Update roles from groups at every sign-in'],
+            ].map(([field, label]) => (
+              <label key={field} className="flex items-center gap-3 p-3 bg-white/5 rounded-xl border border-white/10 text-sm text-slate-300 cursor-pointer">
+                <input type="checkbox" checked={form[field]} onChange={(e) => setField(field, e.target.checked)} className={checkboxClass} />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          {form.enforced && (
+            <div className="space-y-2">
+              <label className="block text-sm font-semibold text-slate-200">Break-glass accounts (keep password sign-in)</label>
+              <select
+                multiple
+                value={form.passwordExemptUsers}
+                onChange={(e) => setField('passwordExemptUsers', [...e.target.selectedOptions].map((option) => option.value))}
+                className={`${selectClass} h-28`}
+              >
+                {employees.map((employee) => (
+                  <option key={employee._id} value={employee._id} className="text-slate-900">
+                    {employee.firstName} {employee.lastName} ({employee.email})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <label className="block text-sm font-semibold text-slate-200">Group to role mapping (first match wins)</label>
+              <Button size="sm" variant="ghost" onClick={() => setField('roleMappings', [...form.roleMappings, { group: '', role: 'employee' }])}>
+                <Plus size={14} /> Add
+              </Button>
+            </div>
+            {form.roleMappings.map((mapping, index) => (
+              <div key={index} className="flex gap-2">
+                <input
+                  value={mapping.group}
+                  onChange={(e) => setMapping(index, 'group', e.target.value)}
+                  placeholder="IdP group"
+                  className="flex-1 px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-cyan-400"
+                />
+                <select value={mapping.role || ''} onChange={(e) => setMapping(index, 'role', e.target.value)} className="px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white">
+                  {ROLES.map((role) => <option key={role} value={role} className="text-slate-900">{role}</option>)}
+                </select>
+                <button
+                  onClick={() => setField('roleMappings', form.roleMappings.filter((_, i) => i !== index))}
+                  className="p-2 hover:bg-red-500/20 rounded-lg"
+                  title="Remove"
+                >
+                  <Trash2 size={16} className="text-red-400" />
+                </button>
+              </div>
+            ))}
+            <div className="flex items-center gap-3 text-sm text-slate-300">
+              <span>Role when no group matches</span>
+              <select value={form.defaultRole} onChange={(e) => setField('defaultRole', e.target.value)} className="px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white">
+                {ROLES.map((role) => <option key={role} value={role} className="text-slate-900">{role}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-2 pt-2">
+            <Button variant="ghost" onClick={() => setEditing(null)}>Cancel</Button>
+            <Button onClick={handleSave} disabled={saving || !form.name || !form.domains}>
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default SsoSettings;
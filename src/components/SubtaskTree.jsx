@@ -0,0 +1,311 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { ListTree, ListChecks, Plus, X, ChevronDown, ChevronRight, Calendar, User } from 'lucide-react';
+import { Button, Badge } from './UI';
+import taskService from '../services/taskService';
+
+// Levels of subtasks below a top-level task, as enforced by the API
+const MAX_DEPTH = 3;
+
+const STATUS_VARIANTS = {
+  pending: 'yellow',
+  'in-progress': 'blue',
+  blocked: 'red',
+  completed: 'green',
+  cancelled: 'gray',
+};
+
+const fieldClass = 'px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white text-sm placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-cyan-400/60';
+const checkboxClass = 'w-4 h-4 rounded border-white/30 bg-white/10 text-cyan-400 focus:ring-cyan-400 focus:ring-offset-0 cursor-pointer';
+
+const personName = (person) => (person ? `${person.firstName || ''} ${person.lastName || ''}`.trim() : 'Unassigned');
+
+// Title, assignee and deadline of a new subtask
+const SubtaskForm = ({ employees, maxDeadline, onSubmit, onCancel }) => {
+  const [form, setForm] = useState({ title: '', assignedTo: '', deadline: '' });
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.title.trim()) return;
+    setSaving(true);
+    try {
+      await onSubmit({
+        title: form.title,
+        assignedTo: form.assignedTo || undefined,
+        deadline: form.deadline || undefined,
+      });
+      setForm({ title: '', assignedTo: '', deadline: '' });
+    } catch {
+      // onSubmit has already shown the error; keep the form filled in
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2 p-3 bg-slate-800/50 rounded-lg border border-white/5">
+      <input
+        className={`${fieldClass} flex-1 min-w-[180px]`}
+        placeholder="Subtask title"
+        value={form.title}
+        onChange={(e) => setForm({ ...form, title: e.target.value })}
+        autoFocus
+      />
+      {employees.length > 0 && (
+        <select
+          className={fieldClass}
+          value={form.assignedTo}
+          onChange={(e) => setForm({ ...form, assignedTo: e.target.value })}
+        >
+          <option value="" className="bg-slate-800">Same assignee</option>
+          {employees.map((emp) => (
+            <option key={emp._id} value={emp._id} className="bg-slate-800">{personName(emp)}</option>
+          ))}
+        </select>
+      )}
+      <input
+        type="date"
+        className={fieldClass}
+        value={form.deadline}
+        max={maxDeadline ? String(maxDeadline).slice(0, 10) : undefined}
+        onChange={(e) => setForm({ ...form, deadline: e.target.value })}
+      />
+      <Button type="submit" size="sm" disabled={saving || !form.title.trim()}>
+        {saving ? 'Adding...' : 'Add'}
+      </Button>
+      {onCancel && (
+        <Button type="button" variant="ghost" size="sm" onClick={onCancel}>Cancel</Button>
+      )}
+    </form>
+  );
+};
+
+const SubtaskNode = ({ subtask, path, depth, employees, onToggle, onAdd }) => {
+  const [expanded, setExpanded] = useState(true);
+  const [adding, setAdding] = useState(false);
+  const children = subtask.subtasks || [];
+  const done = subtask.status === 'completed';
+  const checklistDone = (subtask.checklist || []).filter((item) => item.done).length;
+
+  return (
+    <div>
+      <div className="flex items-center gap-3 p-3 bg-slate-800/50 rounded-lg border border-white/5">
+        <button
+          type="button"
+          onClick={() => setExpanded(!expanded)}
+          className={`text-slate-400 hover:text-white ${children.length ? '' : 'invisible'}`}
+        >
+          {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+        </button>
+        <input
+          type="checkbox"
+          className={checkboxClass}
+          checked={done}
+          disabled={subtask.status === 'cancelled'}
+          onChange={() => onToggle(subtask)}
+          title={done ? 'Reopen' : 'Mark as done'}
+        />
+        <span className="text-cyan-300 text-xs font-mono w-10">{path}</span>
+        <div className="flex-1 min-w-0">
+          <p className={`text-sm font-medium truncate ${done ? 'text-slate-400 line-through' : 'text-white'}`}>{subtask.title}</p>
+          <div className="flex flex-wrap items-center gap-3 text-xs text-slate-400 mt-1">
+            <span className="flex items-center gap-1"><User size={12} />{personName(subtask.assignedTo)}</span>
+            {subtask.deadline && (
+              <span className="flex items-center gap-1"><Calendar size={12} />{format(new Date(subtask.deadline), 'MMM d, yyyy')}</span>
+            )}
+            {subtask.checklist?.length > 0 && (
+              <span className="flex items-center gap-1"><ListChecks size={12} />{checklistDone}/{subtask.checklist.length}</span>
+            )}
+          </div>
+        </div>
+        <div className="w-24 hidden sm:flex items-center gap-2">
+          <div className="flex-1 bg-white/10 rounded-full h-1.5 overflow-hidden">
+            <div className="h-full bg-cyan-400" style={{ width: `${subtask.progress || 0}%` }} />
+          </div>
+          <span className="text-xs text-slate-400">{subtask.progress || 0}%</span>
+        </div>
+        <Badge variant={STATUS_VARIANTS[subtask.status] || 'gray'}>{subtask.status}</Badge>
+        {depth < MAX_DEPTH && (
+          <button
+            type="button"
+            onClick={() => setAdding(!adding)}
+            className="p-1 text-slate-400 hover:text-cyan-300"
+            title="Add subtask"
+          >
+            <Plus size={16} />
+          </button>
+        )}
+      </div>
+
+      {(adding || (expanded && children.length > 0)) && (
+        <div className="ml-6 mt-2 pl-3 border-l border-white/10 space-y-2">
+          {adding && (
+            <SubtaskForm
+              employees={employees}
+              maxDeadline={subtask.deadline}
+              onSubmit={async (data) => {
+                await onAdd(subtask._id, data);
+                setAdding(false);
+              }}
+              onCancel={() => setAdding(false)}
+            />
+          )}
+          {expanded && children.map((child) => (
+            <SubtaskNode
+              key={child._id}
+              subtask={child}
+              path={`${path}.${child.subtaskNumber}`}
+              depth={depth + 1}
+              employees={employees}
+              onToggle={onToggle}
+              onAdd={onAdd}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Checklist and nested subtasks of a task; the task's progress rolls up from both
+const SubtaskTree = ({ task, employees = [], onUpdate }) => {
+  const [subtasks, setSubtasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newItem, setNewItem] = useState('');
+  const [addingSubtask, setAddingSubtask] = useState(false);
+
+  const depth = task.ancestors?.length || 0;
+  const checklist = task.checklist || [];
+
+  useEffect(() => {
+    let cancelled = false;
+    taskService.getSubtasks(task._id)
+      .then((tree) => { if (!cancelled) setSubtasks(tree || []); })
+      .catch((err) => toast.error(err.message || 'Failed to fetch subtasks'))
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [task._id, task.updatedAt]);
+
+  const run = async (action, message) => {
+    try {
+      await action();
+      if (message) toast.success(message);
+      await onUpdate?.();
+    } catch (err) {
+      toast.error(err.message || 'Something went wrong');
+      throw err;
+    }
+  };
+
+  const handleAddSubtask = (parentId, data) =>
+    run(() => taskService.createSubtask(parentId, data), 'Subtask added');
+
+  const handleToggleSubtask = (subtask) =>
+    run(() => taskService.update(subtask._id, { status: subtask.status === 'completed' ? 'in-progress' : 'completed' }))
+      .catch(() => {});
+
+  const handleAddItem = async (e) => {
+    e.preventDefault();
+    if (!newItem.trim()) return;
+    await run(() => taskService.addChecklistItem(task._id, newItem)).catch(() => {});
+    setNewItem('');
+  };
+
+  const handleToggleItem = (item) =>
+    run(() => taskService.updateChecklistItem(task._id, item._id, { done: !item.done })).catch(() => {});
+
+  const handleRemoveItem = (item) =>
+    run(() => taskService.deleteChecklistItem(task._id, item._id)).catch(() => {});
+
+  return (
+    <div className="space-y-6">
+      {/* Checklist */}
+      <div className="space-y-3">
+        <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+          <ListChecks className="w-5 h-5 text-cyan-400" />
+          Checklist ({checklist.filter((item) => item.done).length}/{checklist.length})
+        </h3>
+        {checklist.map((item) => (
+          <div key={item._id} className="group flex items-center gap-3 px-3 py-2 bg-slate-800/50 rounded-lg border border-white/5">
+            <input type="checkbox" className={checkboxClass} checked={item.done} onChange={() => handleToggleItem(item)} />
+            <span className={`flex-1 text-sm ${item.done ? 'text-slate-400 line-through' : 'text-white'}`}>{item.title}</span>
+            {item.done && item.doneBy && (
+              <span className="text-xs text-slate-500">{personName(item.doneBy)}</span>
+            )}
+            <button
+              type="button"
+              onClick={() => handleRemoveItem(item)}
+              className="p-1 text-slate-500 hover:text-rose-400 opacity-0 group-hover:opacity-100"
+              title="Remove"
+            >
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+        <form onSubmit={handleAddItem} className="flex gap-2">
+          <input
+            className={`${fieldClass} flex-1`}
+            placeholder="Add a checklist item"
+            value={newItem}
+            onChange={(e) => setNewItem(e.target.value)}
+          />
+          <Button type="submit" variant="ghost" size="sm" disabled={!newItem.trim()}>
+            <Plus className="w-4 h-4" />
+          </Button>
+        </form>
+      </div>
+
+      {/* Subtasks */}
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+            <ListTree className="w-5 h-5 text-cyan-400" />
+            Subtasks ({task.subtaskStats?.completed || 0}/{task.subtaskStats?.total || 0})
+          </h3>
+          {depth < MAX_DEPTH && task.category !== 'meeting' && (
+            <Button variant="primary" size="sm" onClick={() => setAddingSubtask(!addingSubtask)}>
+              <Plus className="w-4 h-4" />
+              Add Subtask
+            </Button>
+          )}
+        </div>
+
+        {addingSubtask && (
+          <SubtaskForm
+            employees={employees}
+            maxDeadline={task.deadline}
+            onSubmit={async (data) => {
+              await handleAddSubtask(task._id, data);
+              setAddingSubtask(false);
+            }}
+            onCancel={() => setAddingSubtask(false)}
+          />
+        )}
+
+        {loading ? (
+          <p className="text-slate-400 text-sm">Loading subtasks...</p>
+        ) : subtasks.length === 0 ? (
+          <p className="text-slate-500 text-sm">No subtasks yet. Break the task down to share the work and track progress automatically.</p>
+        ) : (
+          <div className="space-y-2">
+            {subtasks.map((subtask) => (
+              <SubtaskNode
+                key={subtask._id}
+                subtask={subtask}
+                path={String(subtask.subtaskNumber)}
+                depth={depth + 1}
+                employees={employees}
+                onToggle={handleToggleSubtask}
+                onAdd={handleAddSubtask}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SubtaskTree;
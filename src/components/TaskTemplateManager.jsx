@@ -0,0 +1,517 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Repeat, Plus, Edit2, Trash2, CalendarPlus, ListChecks, Link2, X } from 'lucide-react';
+import { Button, Badge, Modal, Input, Textarea } from './UI';
+import taskTemplateService from '../services/taskTemplateService';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINALS = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', '-1': 'last' };
+
+const emptyRecurrence = {
+  frequency: 'none',
+  interval: 1,
+  weekdays: [],
+  monthlyBy: 'dayOfMonth',
+  dayOfMonth: '',
+  weekOfMonth: 1,
+  weekday: 1,
+  onNonWorkingDay: 'keep',
+  startDate: '',
+  endDate: '',
+  count: '',
+};
+
+const emptyForm = {
+  name: '',
+  title: '',
+  description: '',
+  project: '',
+  priority: 'medium',
+  assignee: '',
+  secondaryAssignees: [],
+  dueTime: '17:00',
+  leadDays: 7,
+  checklist: [],
+  dependencies: [],
+  recurrence: emptyRecurrence,
+};
+
+const selectClass = 'w-full px-4 py-3 rounded-xl bg-white/10 border border-white/20 text-white focus:outline-none focus:ring-2 focus:ring-cyan-400/60';
+const checkboxClass = 'w-4 h-4 rounded border-white/30 bg-white/10 text-cyan-400 focus:ring-cyan-400 focus:ring-offset-0 cursor-pointer';
+
+const personName = (person) => (person ? `${person.firstName || ''} ${person.lastName || ''}`.trim() : 'Unassigned');
+const idOf = (value) => (value && typeof value === 'object' ? value._id : value) || '';
+const toDateInput = (value) => (value ? String(value).slice(0, 10) : '');
+
+// "Every 2 weeks on Mon, Thu", "Monthly on the last working day"...
+const describeRule = (rule) => {
+  if (!rule || rule.frequency === 'none') return 'One-off template';
+  const every = rule.interval > 1 ? `Every ${rule.interval} ` : 'Every ';
+  if (rule.frequency === 'daily') return `${every}${rule.interval > 1 ? 'days' : 'day'}`;
+  if (rule.frequency === 'weekly') {
+    const days = (rule.weekdays || []).map((day) => WEEKDAYS[day]).join(', ');
+    return `${every}${rule.interval > 1 ? 'weeks' : 'week'}${days ? ` on ${days}` : ''}`;
+  }
+  const months = rule.interval > 1 ? `${every}months` : 'Monthly';
+  if (rule.monthlyBy === 'firstWorkingDay') return `${months} on the first working day`;
+  if (rule.monthlyBy === 'lastWorkingDay') return `${months} on the last working day`;
+  if (rule.monthlyBy === 'weekdayOfMonth') return `${months} on the ${ORDINALS[rule.weekOfMonth]} ${WEEKDAY_NAMES[rule.weekday]}`;
+  return `${months} on day ${rule.dayOfMonth || new Date(rule.startDate).getDate()}`;
+};
+
+// Task templates and recurring series (Task Management page)
+const TaskTemplateManager = ({ isOpen, onClose, employees, onTasksCreated }) => {
+  const [templates, setTemplates] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [preview, setPreview] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [series, setSeries] = useState(null);
+  const [instantiating, setInstantiating] = useState(null);
+  const [oneOff, setOneOff] = useState({ date: '', assignedTo: '' });
+
+  const fetchTemplates = async () => {
+    try {
+      setTemplates(await taskTemplateService.getTemplates());
+    } catch (err) {
+      toast.error(err.message || 'Failed to fetch task templates');
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) fetchTemplates();
+  }, [isOpen]);
+
+  const openForm = (template) => {
+    setPreview(null);
+    setEditing(template || 'new');
+    setForm(template
+      ? {
+        name: template.name,
+        title: template.title,
+        description: template.description || '',
+        project: template.project || '',
+        priority: template.priority,
+        assignee: idOf(template.assignee),
+        secondaryAssignees: (template.secondaryAssignees || []).map(idOf),
+        dueTime: template.dueTime || '17:00',
+        leadDays: template.leadDays,
+        checklist: (template.checklist || []).map((item) => ({ title: item.title })),
+        dependencies: (template.dependencies || []).map((dependency) => ({
+          title: dependency.title,
+          dependsOn: idOf(dependency.dependsOn),
+          category: dependency.category,
+          dueDaysBefore: dependency.dueDaysBefore || 0,
+        })),
+        recurrence: {
+          ...emptyRecurrence,
+          ...template.recurrence,
+          startDate: toDateInput(template.recurrence?.startDate),
+          endDate: toDateInput(template.recurrence?.endDate),
+          count: template.recurrence?.count || '',
+          dayOfMonth: template.recurrence?.dayOfMonth || '',
+        },
+      }
+      : emptyForm);
+  };
+
+  const setRule = (changes) => {
+    setPreview(null);
+    setForm((prev) => ({ ...prev, recurrence: { ...prev.recurrence, ...changes } }));
+  };
+
+  const toggleWeekday = (day) => setRule({
+    weekdays: form.recurrence.weekdays.includes(day)
+      ? form.recurrence.weekdays.filter((value) => value !== day)
+      : [...form.recurrence.weekdays, day].sort(),
+  });
+
+  const updateRow = (field, index, changes) => setForm((prev) => ({
+    ...prev,
+    [field]: prev[field].map((row, i) => (i === index ? { ...row, ...changes } : row)),
+  }));
+
+  const removeRow = (field, index) => setForm((prev) => ({ ...prev, [field]: prev[field].filter((_, i) => i !== index) }));
+
+  const handlePreview = async () => {
+    try {
+      setPreview(await taskTemplateService.previewOccurrences(form.recurrence, 8));
+    } catch (err) {
+      toast.error(err.message || 'Failed to preview dates');
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const data = {
+      ...form,
+      leadDays: Number(form.leadDays),
+      checklist: form.checklist.filter((item) => item.title.trim()),
+      dependencies: form.dependencies.filter((dependency) => dependency.title.trim() && dependency.dependsOn),
+    };
+    try {
+      const { generated } = editing === 'new'
+        ? await taskTemplateService.createTemplate(data)
+        : await taskTemplateService.updateTemplate(editing._id, data);
+      toast.success(generated ? `Template saved - ${generated} task${generated === 1 ? '' : 's'} created` : 'Template saved');
+      if (generated) onTasksCreated?.();
+      setEditing(null);
+      fetchTemplates();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete ${template.name}? Tasks already created are kept.`)) return;
+    const cancelUpcoming = template.recurrence?.frequency !== 'none'
+      && window.confirm('Also cancel upcoming tasks of this series that have not been started?');
+    try {
+      const { cancelled } = await taskTemplateService.deleteTemplate(template._id, cancelUpcoming);
+      toast.success(cancelled ? `Template deleted, ${cancelled} upcoming tasks cancelled` : 'Template deleted');
+      if (cancelled) onTasksCreated?.();
+      fetchTemplates();
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete template');
+    }
+  };
+
+  const openSeries = async (template) => {
+    try {
+      setSeries({ template, tasks: await taskTemplateService.getSeriesTasks(template._id) });
+    } catch (err) {
+      toast.error(err.message || 'Failed to fetch series');
+    }
+  };
+
+  const handleInstantiate = async () => {
+    try {
+      await taskTemplateService.instantiate(instantiating._id, oneOff);
+      toast.success('Task created from template');
+      setInstantiating(null);
+      onTasksCreated?.();
+    } catch (err) {
+      toast.error(err.message || 'Failed to create task');
+    }
+  };
+
+  const rule = form.recurrence;
+  const employeeOptions = employees.map((employee) => (
+    <option key={employee._id} value={employee._id} className="text-slate-900">{personName(employee)}</option>
+  ));
+
+  return (
+    <>
+      <Modal isOpen={isOpen} title="Task Templates" onClose={onClose} size="xl">
+        <div className="flex items-center justify-between mb-4">
+          <p className="text-sm text-slate-400">
+            Reusable tasks with a checklist and dependencies. Recurring templates create each task ahead of its date.
+          </p>
+          <Button size="sm" onClick={() => openForm(null)} className="flex items-center gap-2 shrink-0">
+            <Plus size={16} /> New template
+          </Button>
+        </div>
+
+        <div className="space-y-2">
+          {templates.map((template) => (
+            <div key={template._id} className="flex items-center justify-between gap-3 p-3 bg-white/5 rounded-lg">
+              <div className="min-w-0">
+                <p className="text-white font-medium">
+                  {template.name}
+                  {!template.active && <Badge variant="gray" className="ml-2 text-xs">Inactive</Badge>}
+                </p>
+                <p className="text-xs text-slate-400 mt-1 flex items-center gap-1">
+                  <Repeat size={12} /> {describeRule(template.recurrence)} • {personName(template.assignee)}
+                  {template.checklist?.length > 0 && ` • ${template.checklist.length} checklist items`}
+                </p>
+                {template.nextOccurrence && (
+                  <p className="text-xs text-slate-500 mt-1">
+                    Next {format(new Date(template.nextOccurrence), 'EEE, MMM d, yyyy')} • {template.generatedCount} created so far
+                  </p>
+                )}
+              </div>
+              <div className="flex gap-1 shrink-0">
+                {template.recurrence?.frequency !== 'none' && (
+                  <button onClick={() => openSeries(template)} className="p-2 hover:bg-purple-500/20 rounded-lg" title="Series">
+                    <ListChecks size={16} className="text-purple-400" />
+                  </button>
+                )}
+                <button
+                  onClick={() => {
+                    setInstantiating(template);
+                    setOneOff({ date: '', assignedTo: idOf(template.assignee) });
+                  }}
+                  className="p-2 hover:bg-emerald-500/20 rounded-lg"
+                  title="Create a task now"
+                >
+                  <CalendarPlus size={16} className="text-emerald-400" />
+                </button>
+                <button onClick={() => openForm(template)} className="p-2 hover:bg-cyan-500/20 rounded-lg" title="Edit">
+                  <Edit2 size={16} className="text-cyan-400" />
+                </button>
+                <button onClick={() => handleDelete(template)} className="p-2 hover:bg-red-500/20 rounded-lg" title="Delete">
+                  <Trash2 size={16} className="text-red-400" />
+                </button>
+              </div>
+            </div>
+          ))}
+          {templates.length === 0 && <p className="text-sm text-slate-400">No task templates yet.</p>}
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={Boolean(editing)}
+        title={editing === 'new' ? 'New Task Template' : 'Edit Task Template'}
+        onClose={() => setEditing(null)}
+        size="xl"
+      >
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input label="Template name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="Month-end close" required />
+            <Input
+              label="Task title"
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              placeholder="Close the books for {{month}} {{year}}"
+              required
+            />
+          </div>
+          <p className="text-xs text-slate-500 -mt-2">
+            {'{{date}}, {{month}}, {{year}} and {{quarter}} in the title are filled in for each task.'}
+          </p>
+          <Textarea label="Description" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <Input label="Project" value={form.project} onChange={(e) => setForm({ ...form, project: e.target.value })} placeholder="Defaults to the template name" />
+            <div className="space-y-2">
+              <label className="block text-sm font-semibold text-slate-200">Assignee<span className="text-rose-400">*</span></label>
+              <select value={form.assignee} onChange={(e) => setForm({ ...form, assignee: e.target.value })} className={selectClass}>
+                <option value="" className="text-slate-900">Select employee</option>
+                {employeeOptions}
+              </select>
+            </div>
+            <div className="space-y-2">
+              <label className="block text-sm font-semibold text-slate-200">Priority</label>
+              <select value={form.priority} onChange={(e) => setForm({ ...form, priority: e.target.value })} className={selectClass}>
+                {['low', 'medium', 'high', 'critical'].map((priority) => (
+                  <option key={priority} value={priority} className="text-slate-900">{priority}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Recurrence */}
+          <div className="p-4 bg-white/5 rounded-xl space-y-4">
+            <p className="text-sm font-semibold text-slate-200 flex items-center gap-2"><Repeat size={16} className="text-cyan-400" /> Repeat</p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <select value={rule.frequency} onChange={(e) => setRule({ frequency: e.target.value })} className={selectClass}>
+                <option value="none" className="text-slate-900">Does not repeat</option>
+                <option value="daily" className="text-slate-900">Daily</option>
+                <option value="weekly" className="text-slate-900">Weekly</option>
+                <option value="monthly" className="text-slate-900">Monthly</option>
+              </select>
+              {rule.frequency !== 'none' && (
+                <Input type="number" min="1" max="52" value={rule.interval} onChange={(e) => setRule({ interval: e.target.value })} placeholder="Every N" />
+              )}
+              {rule.frequency === 'monthly' && (
+                <select value={rule.monthlyBy} onChange={(e) => setRule({ monthlyBy: e.target.value })} className={selectClass}>
+                  <option value="dayOfMonth" className="text-slate-900">On a day of the month</option>
+                  <option value="weekdayOfMonth" className="text-slate-900">On a weekday, e.g. 2nd Monday</option>
+                  <option value="firstWorkingDay" className="text-slate-900">On the first working day</option>
+                  <option value="lastWorkingDay" className="text-slate-900">On the last working day</option>
+                </select>
+              )}
+            </div>
+
+            {rule.frequency === 'weekly' && (
+              <div className="flex flex-wrap gap-3">
+                {WEEKDAYS.map((label, day) => (
+                  <label key={label} className="flex items-center gap-1 text-sm text-slate-300 cursor-pointer">
+                    <input type="checkbox" checked={rule.weekdays.includes(day)} onChange={() => toggleWeekday(day)} className={checkboxClass} />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {rule.frequency === 'monthly' && rule.monthlyBy === 'dayOfMonth' && (
+              <Input
+                label="Day of the month"
+                type="number"
+                min="1"
+                max="31"
+                value={rule.dayOfMonth}
+                onChange={(e) => setRule({ dayOfMonth: e.target.value })}
+                placeholder="Defaults to the start date's day; 31 means the month's last day"
+              />
+            )}
+
+            {rule.frequency === 'monthly' && rule.monthlyBy === 'weekdayOfMonth' && (
+              <div className="grid grid-cols-2 gap-4">
+                <select value={rule.weekOfMonth} onChange={(e) => setRule({ weekOfMonth: Number(e.target.value) })} className={selectClass}>
+                  {Object.entries(ORDINALS).map(([value, label]) => (
+                    <option key={value} value={value} className="text-slate-900">{label}</option>
+                  ))}
+                </select>
+                <select value={rule.weekday} onChange={(e) => setRule({ weekday: Number(e.target.value) })} className={selectClass}>
+                  {WEEKDAY_NAMES.map((label, day) => (
+                    <option key={label} value={day} className="text-slate-900">{label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {rule.frequency !== 'none' && (
+              <>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <Input label="Starts" type="date" value={rule.startDate} onChange={(e) => setRule({ startDate: e.target.value })} required />
+                  <Input label="Ends" type="date" value={rule.endDate} onChange={(e) => setRule({ endDate: e.target.value })} />
+                  <Input label="Or after (tasks)" type="number" min="1" value={rule.count} onChange={(e) => setRule({ count: e.target.value })} />
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div className="space-y-2">
+                    <label className="block text-sm font-semibold text-slate-200">On a weekend or holiday</label>
+                    <select value={rule.onNonWorkingDay} onChange={(e) => setRule({ onNonWorkingDay: e.target.value })} className={selectClass}>
+                      <option value="keep" className="text-slate-900">Keep the date</option>
+                      <option value="previous" className="text-slate-900">Move to the working day before</option>
+                      <option value="next" className="text-slate-900">Move to the next working day</option>
+                      <option value="skip" className="text-slate-900">Skip that occurrence</option>
+                    </select>
+                  </div>
+                  <Input label="Due at" type="time" value={form.dueTime} onChange={(e) => setForm({ ...form, dueTime: e.target.value })} />
+                  <Input label="Create days ahead" type="number" min="0" max="90" value={form.leadDays} onChange={(e) => setForm({ ...form, leadDays: e.target.value })} />
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <Button size="sm" variant="ghost" onClick={handlePreview} disabled={!rule.startDate}>Preview dates</Button>
+                  {preview?.map((date) => (
+                    <Badge key={date} variant="blue" className="text-xs">{format(new Date(date), 'EEE, MMM d, yyyy')}</Badge>
+                  ))}
+                  {preview?.length === 0 && <span className="text-sm text-slate-400">No upcoming dates</span>}
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* Checklist */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-semibold text-slate-200 flex items-center gap-2"><ListChecks size={16} /> Checklist</p>
+              <button
+                type="button"
+                onClick={() => setForm({ ...form, checklist: [...form.checklist, { title: '' }] })}
+                className="text-xs text-cyan-400 hover:text-cyan-300"
+              >
+                + Add item
+              </button>
+            </div>
+            <div className="space-y-2">
+              {form.checklist.map((item, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <Input value={item.title} onChange={(e) => updateRow('checklist', index, { title: e.target.value })} placeholder="Bank reconciliation" />
+                  <button type="button" onClick={() => removeRow('checklist', index)} className="p-2 text-slate-400 hover:text-red-400">
+                    <X size={16} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Dependencies */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-semibold text-slate-200 flex items-center gap-2"><Link2 size={16} /> Dependencies</p>
+              <button
+                type="button"
+                onClick={() => setForm({
+                  ...form,
+                  dependencies: [...form.dependencies, { title: '', dependsOn: '', category: 'information', dueDaysBefore: 0 }],
+                })}
+                className="text-xs text-cyan-400 hover:text-cyan-300"
+              >
+                + Add dependency
+              </button>
+            </div>
+            <div className="space-y-2">
+              {form.dependencies.map((dependency, index) => (
+                <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                  <div className="col-span-5">
+                    <Input value={dependency.title} onChange={(e) => updateRow('dependencies', index, { title: e.target.value })} placeholder="Sales ledger export" />
+                  </div>
+                  <select
+                    value={dependency.dependsOn}
+                    onChange={(e) => updateRow('dependencies', index, { dependsOn: e.target.value })}
+                    className={`${selectClass} col-span-4`}
+                  >
+                    <option value="" className="text-slate-900">From whom</option>
+                    {employeeOptions}
+                  </select>
+                  <div className="col-span-2">
+                    <Input
+                      type="number"
+                      min="0"
+                      value={dependency.dueDaysBefore}
+                      onChange={(e) => updateRow('dependencies', index, { dueDaysBefore: Number(e.target.value) })}
+                      title="Due this many days before the task"
+                    />
+                  </div>
+                  <button type="button" onClick={() => removeRow('dependencies', index)} className="p-2 text-slate-400 hover:text-red-400">
+                    <X size={16} />
+                  </button>
+                </div>
+              ))}
+              {form.dependencies.length > 0 && <p className="text-xs text-slate-500">The number is how many days before the task each dependency is due.</p>}
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-2 pt-2">
+            <Button variant="ghost" onClick={() => setEditing(null)}>Cancel</Button>
+            <Button onClick={handleSave} disabled={saving || !form.name || !form.title || !form.assignee}>
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      <Modal isOpen={Boolean(series)} title={series ? `${series.template.name} - series` : ''} onClose={() => setSeries(null)} size="lg">
+        <div className="space-y-2">
+          {series?.tasks.map((task) => (
+            <div key={task._id} className="flex items-center justify-between gap-3 p-3 bg-white/5 rounded-lg">
+              <div>
+                <p className="text-white text-sm font-medium">#{task.series?.sequence} {task.title}</p>
+                <p className="text-xs text-slate-400">
+                  {format(new Date(task.deadline), 'EEE, MMM d, yyyy')} • {personName(task.assignedTo)}
+                </p>
+              </div>
+              <Badge variant={task.status === 'completed' ? 'green' : task.status === 'cancelled' ? 'gray' : 'blue'} className="text-xs">
+                {task.status}
+              </Badge>
+            </div>
+          ))}
+          {series?.tasks.length === 0 && <p className="text-sm text-slate-400">No tasks created yet.</p>}
+        </div>
+      </Modal>
+
+      <Modal isOpen={Boolean(instantiating)} title={instantiating ? `New task from ${instantiating.name}` : ''} onClose={() => setInstantiating(null)}>
+        <div className="space-y-4">
+          <Input label="Due on" type="date" value={oneOff.date} onChange={(e) => setOneOff({ ...oneOff, date: e.target.value })} required />
+          <div className="space-y-2">
+            <label className="block text-sm font-semibold text-slate-200">Assign to</label>
+            <select value={oneOff.assignedTo} onChange={(e) => setOneOff({ ...oneOff, assignedTo: e.target.value })} className={selectClass}>
+              {employeeOptions}
+            </select>
+          </div>
+          <div className="flex justify-end gap-2">
+            <Button variant="ghost" onClick={() => setInstantiating(null)}>Cancel</Button>
+            <Button onClick={handleInstantiate} disabled={!oneOff.date}>Create task</Button>
+          </div>
+        </div>
+      </Modal>
+    </>
+  );
+};
+
+export default TaskTemplateManager;
@@ -0,0 +1,415 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Webhook, Plus, Edit2, Trash2, Copy, RefreshCw, Send, RotateCcw } from 'lucide-react';
+import { Card, Button, Badge, Modal, Input, Pagination } from './UI';
+import webhookService from '../services/webhookService';
+
+const emptyForm = { name: '', url: '', description: '', events: [], enabled: true };
+
+const checkboxClass = 'w-4 h-4 rounded border-white/30 bg-white/10 text-cyan-400 focus:ring-cyan-400 focus:ring-offset-0 cursor-pointer';
+
+const STATUS_BADGES = { succeeded: 'green', failed: 'red', pending: 'yellow' };
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// Webhook endpoints and their delivery log (Integrations page)
+const WebhookManager = () => {
+  const [endpoints, setEndpoints] = useState([]);
+  const [eventGroups, setEventGroups] = useState([]);
+  const [allEvents, setAllEvents] = useState('*');
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [revealedSecret, setRevealedSecret] = useState(null);
+
+  const [deliveries, setDeliveries] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 });
+  const [filters, setFilters] = useState({ endpoint: '', status: '', page: 1 });
+  const [selectedDelivery, setSelectedDelivery] = useState(null);
+
+  const fetchEndpoints = async () => {
+    try {
+      setEndpoints(await webhookService.getEndpoints());
+    } catch (err) {
+      toast.error(err.message || 'Failed to fetch webhook endpoints');
+    }
+  };
+
+  const fetchDeliveries = useCallback(async () => {
+    try {
+      const params = { page: filters.page, limit: 20 };
+      if (filters.endpoint) params.endpoint = filters.endpoint;
+      if (filters.status) params.status = filters.status;
+      const result = await webhookService.getDeliveries(params);
+      setDeliveries(result.deliveries);
+      setPagination(result.pagination);
+    } catch (err) {
+      toast.error(err.message || 'Failed to fetch webhook deliveries');
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchEndpoints();
+    webhookService.getEvents()
+      .then((catalog) => {
+        setEventGroups(catalog.groups);
+        setAllEvents(catalog.all);
+      })
+      .catch(() => setEventGroups([]));
+  }, []);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  const openForm = (endpoint) => {
+    setEditing(endpoint || 'new');
+    setForm(endpoint
+      ? { name: endpoint.name, url: endpoint.url, description: endpoint.description || '', events: endpoint.events, enabled: endpoint.enabled }
+      : emptyForm);
+  };
+
+  const toggleEvent = (key) => setForm((prev) => ({
+    ...prev,
+    events: prev.events.includes(key) ? prev.events.filter((event) => event !== key) : [...prev.events, key],
+  }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      if (editing === 'new') {
+        const { secret } = await webhookService.createEndpoint(form);
+        setRevealedSecret(secret);
+        toast.success('Webhook endpoint added');
+      } else {
+        await webhookService.updateEndpoint(editing._id, form);
+        toast.success('Webhook endpoint updated');
+      }
+      setEditing(null);
+      fetchEndpoints();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save webhook endpoint');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePing = async (endpoint) => {
+    try {
+      const delivery = await webhookService.pingEndpoint(endpoint._id);
+      const attempt = delivery.attempts[delivery.attempts.length - 1];
+      if (delivery.status === 'succeeded') toast.success(`${endpoint.name} answered ${attempt.responseStatus}`);
+      else toast.error(`${endpoint.name}: ${attempt?.error || `HTTP ${attempt?.responseStatus}`}`);
+      fetchEndpoints();
+      fetchDeliveries();
+    } catch (err) {
+      toast.error(err.message || 'Failed to ping webhook endpoint');
+    }
+  };
+
+  const handleRotate = async (endpoint) => {
+    if (!window.confirm(`Rotate the signing secret for ${endpoint.name}? The current secret stops working immediately.`)) return;
+    try {
+      const { secret } = await webhookService.rotateSecret(endpoint._id);
+      setRevealedSecret(secret);
+    } catch (err) {
+      toast.error(err.message || 'Failed to rotate signing secret');
+    }
+  };
+
+  const handleDelete = async (endpoint) => {
+    if (!window.confirm(`Remove ${endpoint.name}? Pending retries to it are dropped.`)) return;
+    try {
+      await webhookService.deleteEndpoint(endpoint._id);
+      toast.success('Webhook endpoint removed');
+      fetchEndpoints();
+      fetchDeliveries();
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete webhook endpoint');
+    }
+  };
+
+  const openDelivery = async (delivery) => {
+    try {
+      setSelectedDelivery(await webhookService.getDelivery(delivery._id));
+    } catch (err) {
+      toast.error(err.message || 'Failed to fetch webhook delivery');
+    }
+  };
+
+  const handleRedeliver = async (delivery) => {
+    try {
+      const result = await webhookService.redeliver(delivery._id);
+      if (result.status === 'succeeded') toast.success('Event redelivered');
+      else toast.error('Redelivery failed - see the delivery log');
+      setSelectedDelivery(null);
+      fetchDeliveries();
+      fetchEndpoints();
+    } catch (err) {
+      toast.error(err.message || 'Failed to redeliver webhook');
+    }
+  };
+
+  const copy = (value) => {
+    navigator.clipboard?.writeText(value);
+    toast.success('Copied');
+  };
+
+  const subscribesToAll = form.events.includes(allEvents);
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-semibold text-white flex items-center gap-2">
+            <Webhook size={18} />
+            Webhooks
+          </h3>
+          <Button size="sm" onClick={() => openForm(null)} className="flex items-center gap-2">
+            <Plus size={16} /> Add endpoint
+          </Button>
+        </div>
+        <p className="text-sm text-slate-400 mb-4">
+          Events are POSTed as JSON and signed with HMAC-SHA256 in the <code className="text-cyan-300">X-PVARA-Signature</code> header.
+          Failed deliveries are retried with exponential backoff for about eight hours.
+        </p>
+
+        <div className="space-y-2">
+          {endpoints.map((endpoint) => (
+            <div key={endpoint._id} className="flex items-center justify-between gap-3 p-3 bg-white/5 rounded-lg">
+              <div className="min-w-0">
+                <p className="text-white font-medium">
+                  {endpoint.name}
+                  {!endpoint.enabled && <Badge variant="gray" className="ml-2 text-xs">Disabled</Badge>}
+                  {endpoint.enabled && endpoint.consecutiveFailures > 0 && (
+                    <Badge variant="red" className="ml-2 text-xs">{endpoint.consecutiveFailures} failed</Badge>
+                  )}
+                </p>
+                <p className="text-xs text-slate-400 break-all">{endpoint.url}</p>
+                <p className="text-xs text-slate-500 mt-1">
+                  {endpoint.events.includes(allEvents) ? 'All events' : endpoint.events.join(', ')}
+                  {endpoint.lastDeliveryAt && ` • Last delivery ${formatTime(endpoint.lastDeliveryAt)}`}
+                </p>
+              </div>
+              <div className="flex gap-1 shrink-0">
+                <button onClick={() => handlePing(endpoint)} className="p-2 hover:bg-cyan-500/20 rounded-lg" title="Send test event">
+                  <Send size={16} className="text-cyan-400" />
+                </button>
+                <button onClick={() => setFilters({ endpoint: endpoint._id, status: '', page: 1 })} className="p-2 hover:bg-white/10 rounded-lg" title="Show deliveries">
+                  <RefreshCw size={16} className="text-slate-300" />
+                </button>
+                <button onClick={() => handleRotate(endpoint)} className="p-2 hover:bg-yellow-500/20 rounded-lg" title="Rotate signing secret">
+                  <RotateCcw size={16} className="text-yellow-400" />
+                </button>
+                <button onClick={() => openForm(endpoint)} className="p-2 hover:bg-cyan-500/20 rounded-lg" title="Edit">
+                  <Edit2 size={16} className="text-cyan-400" />
+                </button>
+                <button onClick={() => handleDelete(endpoint)} className="p-2 hover:bg-red-500/20 rounded-lg" title="Remove">
+                  <Trash2 size={16} className="text-red-400" />
+                </button>
+              </div>
+            </div>
+          ))}
+          {endpoints.length === 0 && <p className="text-sm text-slate-400">No webhook endpoints yet.</p>}
+        </div>
+      </Card>
+
+      <Card>
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h3 className="font-semibold text-white">Delivery log</h3>
+          <div className="flex gap-2">
+            <select
+              value={filters.endpoint}
+              onChange={(e) => setFilters({ ...filters, endpoint: e.target.value, page: 1 })}
+              className="px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white text-sm"
+            >
+              <option value="" className="text-slate-900">All endpoints</option>
+              {endpoints.map((endpoint) => (
+                <option key={endpoint._id} value={endpoint._id} className="text-slate-900">{endpoint.name}</option>
+              ))}
+            </select>
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value, page: 1 })}
+              className="px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white text-sm"
+            >
+              <option value="" className="text-slate-900">Any status</option>
+              <option value="pending" className="text-slate-900">Retrying</option>
+              <option value="succeeded" className="text-slate-900">Succeeded</option>
+              <option value="failed" className="text-slate-900">Failed</option>
+            </select>
+            <Button size="sm" variant="secondary" onClick={fetchDeliveries}>Refresh</Button>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-400 border-b border-white/10">
+                <th className="py-2 pr-3">Event</th>
+                <th className="py-2 pr-3">Endpoint</th>
+                <th className="py-2 pr-3">Status</th>
+                <th className="py-2 pr-3">Attempts</th>
+                <th className="py-2 pr-3">Response</th>
+                <th className="py-2 pr-3">Created</th>
+                <th className="py-2">Next retry</th>
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map((delivery) => {
+                const last = delivery.attempts[delivery.attempts.length - 1];
+                return (
+                  <tr
+                    key={delivery._id}
+                    onClick={() => openDelivery(delivery)}
+                    className="border-b border-white/5 text-slate-200 hover:bg-white/5 cursor-pointer"
+                  >
+                    <td className="py-2 pr-3 font-mono text-xs">
+                      {delivery.event}
+                      {delivery.redeliveryOf && <span className="text-slate-500"> (redelivery)</span>}
+                    </td>
+                    <td className="py-2 pr-3">{delivery.endpoint?.name || 'Removed'}</td>
+                    <td className="py-2 pr-3">
+                      <Badge variant={STATUS_BADGES[delivery.status]} className="text-xs">{delivery.status}</Badge>
+                    </td>
+                    <td className="py-2 pr-3">{delivery.attemptCount}/{delivery.maxAttempts}</td>
+                    <td className="py-2 pr-3">{last ? last.responseStatus || last.error : '—'}</td>
+                    <td className="py-2 pr-3 whitespace-nowrap">{formatTime(delivery.createdAt)}</td>
+                    <td className="py-2 whitespace-nowrap">{delivery.status === 'pending' ? formatTime(delivery.nextAttemptAt) : '—'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {deliveries.length === 0 && <p className="text-sm text-slate-400 py-4">No deliveries.</p>}
+        </div>
+        {pagination.pages > 1 && (
+          <Pagination
+            currentPage={pagination.page}
+            totalPages={pagination.pages}
+            onPageChange={(page) => setFilters({ ...filters, page })}
+          />
+        )}
+      </Card>
+
+      <Modal
+        isOpen={Boolean(editing)}
+        title={editing === 'new' ? 'Add Webhook Endpoint' : 'Edit Webhook Endpoint'}
+        onClose={() => setEditing(null)}
+        size="lg"
+      >
+        <div className="space-y-4">
+          <Input label="Name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="Finance data warehouse" required />
+          <Input
+            label="URL"
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            placeholder="https://hooks.example.com/pvara"
+            spellCheck={false}
+            required
+          />
+          <Input label="Description" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
+
+          <div className="space-y-3">
+            <label className="flex items-center gap-3 text-sm font-semibold text-slate-200 cursor-pointer">
+              <input type="checkbox" checked={subscribesToAll} onChange={() => toggleEvent(allEvents)} className={checkboxClass} />
+              All events, including ones added later
+            </label>
+            {!subscribesToAll && eventGroups.map((group) => (
+              <div key={group.group}>
+                <p className="text-xs uppercase tracking-wide text-slate-400 mb-2">{group.group}</p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                  {group.events.map((event) => (
+                    <label key={event.key} className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+                      <input type="checkbox" checked={form.events.includes(event.key)} onChange={() => toggleEvent(event.key)} className={checkboxClass} />
+                      {event.label}
+                      <code className="text-xs text-slate-500">{event.key}</code>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <label className="flex items-center gap-3 p-4 bg-white/5 rounded-xl border border-white/10 text-sm text-slate-300 cursor-pointer">
+            <input type="checkbox" checked={form.enabled} onChange={(e) => setForm({ ...form, enabled: e.target.checked })} className={checkboxClass} />
+            Enabled
+          </label>
+
+          <div className="flex justify-end gap-2 pt-2">
+            <Button variant="ghost" onClick={() => setEditing(null)}>Cancel</Button>
+            <Button onClick={handleSave} disabled={saving || !form.name || !form.url || form.events.length === 0}>
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      <Modal isOpen={Boolean(revealedSecret)} title="Signing secret" onClose={() => setRevealedSecret(null)}>
+        <div className="space-y-4">
+          <p className="text-sm text-slate-300">
+            Copy this secret into your receiver now - it is not shown again. Verify each request by computing
+            HMAC-SHA256 of <code className="text-cyan-300">{'`${t}.${body}`'}</code> with it and comparing to <code className="text-cyan-300">v1</code>.
+          </p>
+          <div className="flex items-center gap-2 p-3 bg-white/5 border border-white/10 rounded-lg">
+            <code className="text-cyan-300 break-all flex-1">{revealedSecret}</code>
+            <button onClick={() => copy(revealedSecret)} className="text-slate-400 hover:text-white" title="Copy">
+              <Copy size={16} />
+            </button>
+          </div>
+          <div className="flex justify-end">
+            <Button onClick={() => setRevealedSecret(null)}>Done</Button>
+          </div>
+        </div>
+      </Modal>
+
+      <Modal isOpen={Boolean(selectedDelivery)} title="Webhook delivery" onClose={() => setSelectedDelivery(null)} size="xl">
+        {selectedDelivery && (
+          <div className="space-y-4 text-sm">
+            <div className="grid grid-cols-2 gap-2 text-slate-300">
+              <p>Event: <span className="font-mono text-white">{selectedDelivery.event}</span></p>
+              <p>Event ID: <span className="font-mono text-white">{selectedDelivery.eventId}</span></p>
+              <p>Endpoint: <span className="text-white">{selectedDelivery.endpoint?.name || 'Removed'}</span></p>
+              <p>Status: <Badge variant={STATUS_BADGES[selectedDelivery.status]} className="text-xs">{selectedDelivery.status}</Badge></p>
+            </div>
+
+            <div>
+              <p className="font-semibold text-white mb-2">Attempts</p>
+              <div className="space-y-2">
+                {selectedDelivery.attempts.map((attempt, index) => (
+                  <div key={index} className="p-3 bg-white/5 rounded-lg">
+                    <p className="text-slate-300">
+                      {formatTime(attempt.attemptedAt)} • {attempt.responseStatus ? `HTTP ${attempt.responseStatus}` : attempt.error}
+                      {attempt.durationMs !== undefined && ` • ${attempt.durationMs} ms`}
+                    </p>
+                    {attempt.responseBody && (
+                      <pre className="mt-2 text-xs text-slate-400 whitespace-pre-wrap break-all">{attempt.responseBody}</pre>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <p className="font-semibold text-white mb-2">Payload</p>
+              <pre className="p-3 bg-black/30 rounded-lg text-xs text-slate-300 overflow-x-auto">
+                {JSON.stringify(selectedDelivery.payload, null, 2)}
+              </pre>
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <Button variant="ghost" onClick={() => setSelectedDelivery(null)}>Close</Button>
+              {selectedDelivery.endpoint && (
+                <Button onClick={() => handleRedeliver(selectedDelivery)} className="flex items-center gap-2">
+                  <RefreshCw size={16} /> Redeliver
+                </Button>
+              )}
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default WebhookManager;
@@ -29,6 +29,7 @@ import {
   TrendingUp,
   HardDrive,
   MessageSquare,
+  Plug,
 } from 'lucide-react';
 import { useAppStore } from '../store/appStore';
 import { useAuthStore } from '../store/authStore';
@@ -48,6 +49,7 @@ const Sidebar = () => {
     { icon: Target, label: 'Task Management', path: '/task-management', roles: ['admin', 'chairman', 'hr', 'manager', 'employee'] },
     { icon: CheckSquare, label: 'My Tasks', path: '/my-tasks', roles: ['admin', 'hr', 'manager', 'employee', 'chairman'] },
     { icon: Link2, label: 'My Dependencies', path: '/my-dependencies', roles: ['admin', 'hr', 'manager', 'employee', 'chairman'] },
+    { icon: Clock, label: 'Timesheets', path: '/timesheets', roles: ['admin', 'hr', 'manager', 'employee', 'chairman', 'finance', 'accountant'] },
     { icon: Users, label: 'Employees', path: '/employees', roles: ['admin', 'hr', 'manager', 'chairman'] },
     { icon: Building2, label: 'Organization', path: '/organization', roles: ['admin', 'hr', 'manager', 'employee', 'chairman'] },
     // Finance / ERP Module
@@ -62,6 +64,7 @@ const Sidebar = () => {
     { icon: HardDrive, label: 'Document Storage', path: '/storage', roles: ['admin', 'chairman', 'hr', 'manager', 'employee', 'finance', 'accountant'] },
     // Other
     { icon: FileText, label: 'Reports', path: '/reports', roles: ['admin', 'chairman'] },
+    { icon: Plug, label: 'Integrations', path: '/integrations', roles: ['admin'] },
     { icon: UserCircle, label: 'My Profile', path: '/profile', roles: ['admin', 'hr', 'manager', 'employee', 'chairman'] },
     { icon: Settings, label: 'Settings', path: '/settings', roles: ['admin', 'hr', 'manager', 'employee', 'chairman'] },
   ];
@@ -1,19 +1,141 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
 import MainLayout from '../layouts/MainLayout';
-import { Shield, UserCheck, UserX, Clock, AlertTriangle, CheckCircle2, Filter } from 'lucide-react';
-import { Card, Button, Badge } from '../components/UI';
+import { UserCheck, AlertTriangle, CheckCircle2, Filter } from 'lucide-react';
+import { Card, Button, Badge, Modal, Input, Textarea } from '../components/UI';
+import accessReviewService from '../services/accessReviewService';
+
+const STATUS_BADGES = { active: 'yellow', completed: 'green', cancelled: 'gray' };
+const DECISION_BADGES = { pending: 'yellow', keep: 'green', revoke: 'red' };
+const emptyForm = { name: '', period: '', dueDate: '', description: '' };
+
+const dueLabel = (dueDate) => {
+  const days = Math.ceil((new Date(dueDate) - new Date()) / (24 * 60 * 60 * 1000));
+  if (days < 0) return `Overdue by ${-days} days`;
+  return days === 0 ? 'Due today' : `Due in ${days} days`;
+};
 
 const AccessReviews = () => {
-  const reviews = [
-    { name: 'Q4 Access Review', scope: 'Global', due: 'Due in 7 days', items: 128, status: 'In progress' },
-    { name: 'EU Payroll Review', scope: 'EU', due: 'Due in 3 days', items: 42, status: 'Pending' },
-  ];
+  const [campaigns, setCampaigns] = useState([]);
+  const [myItems, setMyItems] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [showLaunch, setShowLaunch] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const loadCampaigns = async () => {
+    try {
+      setCampaigns(await accessReviewService.getAll());
+    } catch (error) {
+      // Reviewers without report access only see their own queue
+      setCampaigns([]);
+    }
+  };
+
+  const loadMyItems = async () => {
+    try {
+      setMyItems(await accessReviewService.getMyItems());
+    } catch (error) {
+      toast.error(error.message || 'Failed to load review items');
+    }
+  };
+
+  const openCampaign = async (id) => {
+    try {
+      setSelected(await accessReviewService.getById(id));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load access review');
+    }
+  };
+
+  const refresh = () => {
+    loadCampaigns();
+    loadMyItems();
+    if (selected) openCampaign(selected._id);
+  };
+
+  useEffect(() => {
+    loadCampaigns();
+    loadMyItems();
+  }, []);
 
-  const items = [
-    { user: 'Alex Wong', role: 'Admin + Payroll', region: 'Global', risk: 'SoD conflict', age: '180 days', action: 'Revoke' },
-    { user: 'Priya Singh', role: 'Manager', region: 'EU', risk: 'Export access', age: '120 days', action: 'Keep' },
-    { user: 'Jane Miller', role: 'HR Director', region: 'US', risk: 'None', age: '90 days', action: 'Keep' },
-  ];
+  const launch = async () => {
+    setSaving(true);
+    try {
+      const campaign = await accessReviewService.launch(form);
+      toast.success('Access review started');
+      setShowLaunch(false);
+      setForm(emptyForm);
+      loadCampaigns();
+      loadMyItems();
+      openCampaign(campaign._id);
+    } catch (error) {
+      toast.error(error.message || 'Failed to start access review');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const decide = async (item, decision) => {
+    let comment;
+    if (decision === 'revoke') {
+      comment = window.prompt(`Why should ${item.userName}'s access be revoked?`);
+      if (!comment) return;
+    }
+    try {
+      await accessReviewService.decide(item._id, decision, comment);
+      toast.success(decision === 'revoke' ? 'Access revoked' : 'Access kept');
+      refresh();
+    } catch (error) {
+      toast.error(error.message || 'Failed to record decision');
+    }
+  };
+
+  const closeCampaign = async (campaign, action) => {
+    const prompt = action === 'cancel'
+      ? `Cancel ${campaign.name}? Decisions already made stay in effect.`
+      : `Complete ${campaign.name}? Undecided items stay pending in the report.`;
+    if (!window.confirm(prompt)) return;
+    try {
+      await (action === 'cancel' ? accessReviewService.cancel(campaign._id) : accessReviewService.complete(campaign._id));
+      refresh();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update access review');
+    }
+  };
+
+  const exportReport = async (campaign) => {
+    try {
+      await accessReviewService.downloadReport(campaign._id, campaign.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase());
+    } catch (error) {
+      toast.error(error.message || 'Failed to export attestation report');
+    }
+  };
+
+  const renderAccess = (item) => (
+    <>
+      <td className="py-3 px-3 text-gray-700">
+        {item.role}
+        {item.customRoles.length > 0 && (
+          <span className="text-gray-500"> + {item.customRoles.map((r) => r.name).join(', ')}</span>
+        )}
+      </td>
+      <td className="py-3 px-3">
+        <div className="flex flex-wrap gap-1">
+          {item.modules.map((m) => (
+            <Badge key={m} variant={m === 'core' ? 'gray' : 'blue'} className="text-xs">{m}</Badge>
+          ))}
+        </div>
+      </td>
+    </>
+  );
+
+  const renderDecisionButtons = (item) => (
+    <div className="flex gap-2">
+      <Button size="sm" variant="secondary" className="bg-white border border-gray-200" onClick={() => decide(item, 'keep')}>Keep</Button>
+      <Button size="sm" variant="danger" onClick={() => decide(item, 'revoke')}>Revoke</Button>
+    </div>
+  );
 
   return (
     <MainLayout>
@@ -22,85 +144,121 @@ const AccessReviews = () => {
           <div>
             <p className="text-sm font-semibold text-indigo-600">Access Reviews</p>
             <h1 className="text-3xl font-bold text-gray-900">Quarterly Attestations & SoD</h1>
-            <p className="text-gray-600 max-w-3xl">Attest or revoke access by role, region, and risk. Drive compliance with SoD guardrails and export controls.</p>
+            <p className="text-gray-600 max-w-3xl">Managers attest or revoke each report&apos;s role, permissions and module access. Revocations apply immediately and every decision lands in the attestation report.</p>
           </div>
           <div className="flex gap-3">
-            <Button variant="secondary" className="bg-white border border-gray-200" onClick={() => alert('Uploading evidence...')}>Upload evidence</Button>
-            <Button onClick={() => alert('Starting review...')}>Start review</Button>
+            <Button onClick={() => setShowLaunch(true)}>Start review</Button>
           </div>
         </div>
 
+        {myItems.length > 0 && (
+          <Card className="border border-gray-200">
+            <div className="flex items-center gap-2 mb-4">
+              <UserCheck className="w-5 h-5 text-indigo-600" />
+              <p className="font-semibold text-gray-900">Awaiting your decision ({myItems.length})</p>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-3 px-3">User</th>
+                    <th className="py-3 px-3">Role</th>
+                    <th className="py-3 px-3">Modules</th>
+                    <th className="py-3 px-3">Campaign</th>
+                    <th className="py-3 px-3">Action</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {myItems.map((item) => (
+                    <tr key={item._id} className="hover:bg-gray-50">
+                      <td className="py-3 px-3 font-semibold text-gray-900">{item.userName}</td>
+                      {renderAccess(item)}
+                      <td className="py-3 px-3 text-gray-700">{item.campaign?.name} • {item.campaign && dueLabel(item.campaign.dueDate)}</td>
+                      <td className="py-3 px-3">{renderDecisionButtons(item)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+        )}
+
         <div className="grid md:grid-cols-2 gap-4">
-          {reviews.map((r) => (
-            <Card key={r.name} className="border border-gray-200">
+          {campaigns.map((r) => (
+            <Card key={r._id} className="border border-gray-200">
               <div className="flex items-center justify-between mb-2">
                 <div>
                   <p className="font-bold text-gray-900">{r.name}</p>
-                  <p className="text-sm text-gray-600">{r.scope}</p>
+                  <p className="text-sm text-gray-600">{r.period || 'All users'}</p>
                 </div>
-                <Badge variant="yellow" className="text-xs">{r.status}</Badge>
+                <Badge variant={STATUS_BADGES[r.status]} className="text-xs">{r.status}</Badge>
               </div>
-              <p className="text-sm text-gray-600">{r.items} items • {r.due}</p>
+              <p className="text-sm text-gray-600">
+                {r.counts.total} items • {r.counts.pending} pending • {r.counts.revoke} revoked
+                {r.status === 'active' && ` • ${dueLabel(r.dueDate)}`}
+              </p>
               <div className="flex gap-2 mt-3">
-                <Button size="sm" onClick={() => alert('Continuing review...')}>Continue</Button>
-                <Button size="sm" variant="secondary" className="bg-white border border-gray-200" onClick={() => alert('Exporting CSV...')}>Export CSV</Button>
+                <Button size="sm" onClick={() => openCampaign(r._id)}>View items</Button>
+                <Button size="sm" variant="secondary" className="bg-white border border-gray-200" onClick={() => exportReport(r)}>Export CSV</Button>
+                {r.status === 'active' && (
+                  <>
+                    <Button size="sm" variant="secondary" className="bg-white border border-gray-200" onClick={() => closeCampaign(r, 'complete')}>Complete</Button>
+                    <Button size="sm" variant="ghost" onClick={() => closeCampaign(r, 'cancel')}>Cancel</Button>
+                  </>
+                )}
               </div>
             </Card>
           ))}
         </div>
 
-        <Card className="border border-gray-200">
-          <div className="flex items-center justify-between mb-4">
-            <div className="flex items-center gap-2">
-              <Filter className="w-5 h-5 text-gray-500" />
-              <p className="font-semibold text-gray-900">Review items</p>
-            </div>
-            <div className="flex gap-2 text-sm">
-              <Badge variant="red">SoD risk</Badge>
-              <Badge variant="blue">Export</Badge>
-              <Badge variant="green">No risk</Badge>
+        {selected && (
+          <Card className="border border-gray-200">
+            <div className="flex items-center justify-between mb-4">
+              <div className="flex items-center gap-2">
+                <Filter className="w-5 h-5 text-gray-500" />
+                <p className="font-semibold text-gray-900">{selected.name} — review items</p>
+              </div>
+              <div className="flex gap-2 text-sm">
+                <Badge variant="yellow">Pending</Badge>
+                <Badge variant="green">Keep</Badge>
+                <Badge variant="red">Revoke</Badge>
+              </div>
             </div>
-          </div>
-          <div className="overflow-x-auto">
-            <table className="min-w-full text-sm">
-              <thead>
-                <tr className="text-left text-gray-500">
-                  <th className="py-3 px-3">User</th>
-                  <th className="py-3 px-3">Role</th>
-                  <th className="py-3 px-3">Region</th>
-                  <th className="py-3 px-3">Risk</th>
-                  <th className="py-3 px-3">Age</th>
-                  <th className="py-3 px-3">Action</th>
-                </tr>
-              </thead>
-              <tbody className="divide-y divide-gray-100">
-                {items.map((item, idx) => (
-                  <tr key={idx} className="hover:bg-gray-50">
-                    <td className="py-3 px-3 font-semibold text-gray-900">{item.user}</td>
-                    <td className="py-3 px-3 text-gray-700">{item.role}</td>
-                    <td className="py-3 px-3 text-gray-700">{item.region}</td>
-                    <td className="py-3 px-3 text-gray-700">
-                      {item.risk === 'SoD conflict' ? (
-                        <Badge variant="red" className="text-xs">SoD</Badge>
-                      ) : item.risk === 'Export access' ? (
-                        <Badge variant="blue" className="text-xs">Export</Badge>
-                      ) : (
-                        <Badge variant="green" className="text-xs">Clean</Badge>
-                      )}
-                    </td>
-                    <td className="py-3 px-3 text-gray-700">{item.age}</td>
-                    <td className="py-3 px-3">
-                      <div className="flex gap-2">
-                        <Button size="sm" variant="secondary" className="bg-white border border-gray-200" onClick={() => alert('Access decision recorded')}>Keep</Button>
-                        <Button size="sm" variant="danger" onClick={() => alert('Access revoked')}>Revoke</Button>
-                      </div>
-                    </td>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-3 px-3">User</th>
+                    <th className="py-3 px-3">Role</th>
+                    <th className="py-3 px-3">Modules</th>
+                    <th className="py-3 px-3">Reviewer</th>
+                    <th className="py-3 px-3">Decision</th>
+                    <th className="py-3 px-3">Action</th>
                   </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        </Card>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {selected.items.map((item) => (
+                    <tr key={item._id} className="hover:bg-gray-50">
+                      <td className="py-3 px-3">
+                        <p className="font-semibold text-gray-900">{item.userName}</p>
+                        <p className="text-xs text-gray-500">{item.department}</p>
+                      </td>
+                      {renderAccess(item)}
+                      <td className="py-3 px-3 text-gray-700">{item.reviewer ? `${item.reviewer.firstName} ${item.reviewer.lastName}` : '—'}</td>
+                      <td className="py-3 px-3">
+                        <Badge variant={DECISION_BADGES[item.decision]} className="text-xs">{item.decision}</Badge>
+                        {item.comment && <p className="text-xs text-gray-500 mt-1">{item.comment}</p>}
+                      </td>
+                      <td className="py-3 px-3">
+                        {item.decision === 'pending' && selected.status === 'active' && renderDecisionButtons(item)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+        )}
 
         <Card className="border border-gray-200 bg-amber-50 text-amber-800">
           <div className="flex items-center gap-2 mb-1">
@@ -118,6 +276,20 @@ const AccessReviews = () => {
           <p className="text-sm">Enable quarterly attestations, auto-expire elevated roles after 30 days, and require step-up auth for payroll actions.</p>
         </Card>
       </div>
+
+      <Modal isOpen={showLaunch} title="Start access review" onClose={() => setShowLaunch(false)}>
+        <div className="space-y-4">
+          <p className="text-sm text-slate-300">Every active user&apos;s current access is captured and sent to their manager for attestation.</p>
+          <Input label="Name" required value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="Q4 Access Review" />
+          <Input label="Period" value={form.period} onChange={(e) => setForm({ ...form, period: e.target.value })} placeholder="2026-Q4" />
+          <Input label="Due date" type="date" required value={form.dueDate} onChange={(e) => setForm({ ...form, dueDate: e.target.value })} />
+          <Textarea label="Description" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
+          <div className="flex justify-end gap-2">
+            <Button variant="secondary" onClick={() => setShowLaunch(false)}>Cancel</Button>
+            <Button onClick={launch} disabled={saving || !form.name || !form.dueDate}>{saving ? 'Starting...' : 'Start review'}</Button>
+          </div>
+        </div>
+      </Modal>
     </MainLayout>
   );
 };
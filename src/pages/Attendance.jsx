@@ -1,28 +1,37 @@
-import React, { useState, useEffect } from 'react';
-import { Calendar, Clock, CheckCircle, XCircle, AlertCircle, Plus } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Clock, CheckCircle, XCircle, AlertCircle, LogIn, LogOut } from 'lucide-react';
+import toast from 'react-hot-toast';
 import MainLayout from '../layouts/MainLayout';
 import { Card, Button, Badge, Table } from '../components/UI';
 import { getMonthlyCalendar, formatDate } from '../utils/dateUtils';
-import api from '../services/api';
+import attendanceService from '../services/attendanceService';
+
+const WORKED_STATUSES = ['present', 'late', 'half_day', 'work_from_home'];
 
 const Attendance = () => {
   const [viewMode, setViewMode] = useState('list');
   const [selectedMonth] = useState(new Date());
   const [attendanceRecords, setAttendanceRecords] = useState([]);
+  const [register, setRegister] = useState(null);
+  const [todayRecord, setTodayRecord] = useState(null);
   const [_loading, setLoading] = useState(true);
   const [_error, setError] = useState(null);
+  const [punching, setPunching] = useState(false);
 
-  useEffect(() => {
-    fetchAttendanceData();
-  }, []);
-
-  const fetchAttendanceData = async () => {
+  const fetchAttendanceData = useCallback(async () => {
     setLoading(true);
     try {
-      console.log('📤 Fetching attendance data...');
-      const response = await api.get('/attendance/records');
-      setAttendanceRecords(response.data || []);
-      console.log('✅ Attendance data loaded:', response.data?.length || 0);
+      const [records, today, monthly] = await Promise.all([
+        attendanceService.getRecords({ date: formatDate(new Date(), 'yyyy-MM-dd') }),
+        attendanceService.getToday(),
+        attendanceService.getRegister({
+          year: selectedMonth.getFullYear(),
+          month: selectedMonth.getMonth() + 1,
+        }),
+      ]);
+      setAttendanceRecords(records || []);
+      setTodayRecord(today?.record || null);
+      setRegister(monthly);
     } catch (err) {
       console.error('❌ Error fetching attendance data:', err);
       setError(err.message);
@@ -30,6 +39,28 @@ const Attendance = () => {
     } finally {
       setLoading(false);
     }
+  }, [selectedMonth]);
+
+  useEffect(() => {
+    fetchAttendanceData();
+  }, [fetchAttendanceData]);
+
+  const handlePunch = async () => {
+    setPunching(true);
+    try {
+      if (todayRecord?.checkIn?.time) {
+        await attendanceService.checkOut();
+        toast.success('Checked out');
+      } else {
+        await attendanceService.checkIn();
+        toast.success('Checked in');
+      }
+      fetchAttendanceData();
+    } catch (err) {
+      toast.error(err.message || 'Failed to record attendance');
+    } finally {
+      setPunching(false);
+    }
   };
 
   const statusIcons = {
@@ -38,6 +69,7 @@ const Attendance = () => {
     late: <AlertCircle className="w-5 h-5 text-amber-300" />,
     half_day: <AlertCircle className="w-5 h-5 text-blue-300" />,
     work_from_home: <Clock className="w-5 h-5 text-purple-300" />,
+    on_leave: <Clock className="w-5 h-5 text-slate-300" />,
   };
 
   const statusColors = {
@@ -46,6 +78,7 @@ const Attendance = () => {
     late: 'yellow',
     half_day: 'blue',
     work_from_home: 'purple',
+    on_leave: 'gray',
   };
 
   const monthDays = getMonthlyCalendar(selectedMonth.getFullYear(), selectedMonth.getMonth() + 1);
@@ -54,6 +87,27 @@ const Attendance = () => {
     (r) => r.date === formatDate(new Date(), 'yyyy-MM-dd')
   );
 
+  // Share of expected employees who worked on a register day (null for weekends, holidays and future days)
+  const dayAttendanceRate = (dateKey) => {
+    if (!register?.employees?.length) return null;
+    let expected = 0;
+    let worked = 0;
+    register.employees.forEach((row) => {
+      const day = row.days.find((d) => d.date === dateKey);
+      if (!day?.status || ['weekend', 'holiday'].includes(day.status)) return;
+      expected += 1;
+      if (WORKED_STATUSES.includes(day.status)) worked += 1;
+    });
+    return expected ? Math.round((worked / expected) * 100) : null;
+  };
+
+  const monthRates = monthDays
+    .map((day) => dayAttendanceRate(formatDate(day, 'yyyy-MM-dd')))
+    .filter((rate) => rate !== null);
+  const averageAttendance = monthRates.length
+    ? Math.round(monthRates.reduce((sum, rate) => sum + rate, 0) / monthRates.length)
+    : 0;
+
   const columns = [
     {
       key: 'name',
@@ -103,9 +157,13 @@ const Attendance = () => {
             </h1>
             <p className="text-slate-400 mt-2">Track and manage employee attendance</p>
           </div>
-          <Button onClick={() => alert('Attendance marked')} className="flex items-center gap-2">
-            <Plus size={20} />
-            Mark Attendance
+          <Button
+            onClick={handlePunch}
+            disabled={punching || !!todayRecord?.checkOut?.time || todayRecord?.status === 'on_leave'}
+            className="flex items-center gap-2"
+          >
+            {todayRecord?.checkIn?.time ? <LogOut size={20} /> : <LogIn size={20} />}
+            {todayRecord?.checkOut?.time ? 'Checked Out' : todayRecord?.checkIn?.time ? 'Check Out' : 'Check In'}
           </Button>
         </div>
 
@@ -174,17 +232,20 @@ const Attendance = () => {
                     {day}
                   </div>
                 ))}
-                {monthDays.map((day) => (
-                  <div
-                    key={day.toDateString()}
-                    className="aspect-square border border-white/20 rounded-lg p-2 cursor-pointer hover:bg-white/10 transition-colors"
-                  >
-                    <p className="text-xs font-semibold text-white">{day.getDate()}</p>
-                    <div className="mt-1 text-xs text-slate-400">
-                      {Math.floor(Math.random() * 80)}%
+                {monthDays.map((day) => {
+                  const rate = dayAttendanceRate(formatDate(day, 'yyyy-MM-dd'));
+                  return (
+                    <div
+                      key={day.toDateString()}
+                      className="aspect-square border border-white/20 rounded-lg p-2 cursor-pointer hover:bg-white/10 transition-colors"
+                    >
+                      <p className="text-xs font-semibold text-white">{day.getDate()}</p>
+                      <div className="mt-1 text-xs text-slate-400">
+                        {rate === null ? '-' : `${rate}%`}
+                      </div>
                     </div>
-                  </div>
-                ))}
+                  );
+                })}
               </div>
             </Card>
 
@@ -214,11 +275,11 @@ const Attendance = () => {
                 <h4 className="font-semibold text-white">Quick Stats</h4>
                 <div>
                   <p className="text-sm text-slate-300">Average Attendance</p>
-                  <p className="text-2xl font-bold text-cyan-400">94%</p>
+                  <p className="text-2xl font-bold text-cyan-400">{averageAttendance}%</p>
                 </div>
                 <div>
                   <p className="text-sm text-slate-300">This Month</p>
-                  <p className="text-lg font-bold text-white">22/22 days</p>
+                  <p className="text-lg font-bold text-white">{monthRates.length} working days recorded</p>
                 </div>
               </div>
             </Card>
@@ -6,6 +6,8 @@ import html2canvas from 'html2canvas';
 import employeeService from '../services/employeeService';
 import projectService from '../services/projectService';
 import taskService from '../services/taskService';
+import ProjectTimeline from '../components/ProjectTimeline';
+import ProjectCosts from '../components/ProjectCosts';
 import api from '../services/api';
 import { format, startOfWeek, endOfWeek, isWithinInterval, differenceInDays } from 'date-fns';
 import {
@@ -35,6 +37,8 @@ import {
   Activity,
   Download,
   Image,
+  GanttChart,
+  Wallet,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -52,7 +56,8 @@ const ChairmanOverview = () => {
   const [showAddHighlight, setShowAddHighlight] = useState(false);
   const [showEditHighlight, setShowEditHighlight] = useState(false);
   const [editingHighlight, setEditingHighlight] = useState(null);
-  const [_selectedProject, _setSelectedProject] = useState(null);
+  const [selectedProject, setSelectedProject] = useState(null);
+  const [costProject, setCostProject] = useState(null);
   const [selectedTask, setSelectedTask] = useState(null);
   const [showTaskDetail, setShowTaskDetail] = useState(false);
   const [showAnnouncement, setShowAnnouncement] = useState(false);
@@ -883,6 +888,8 @@ const ChairmanOverview = () => {
                         <th className="px-4 py-3">Status</th>
                         <th className="px-4 py-3">Progress</th>
                         <th className="px-4 py-3">Deadline</th>
+                        <th className="px-4 py-3">Budget</th>
+                        <th className="px-4 py-3">Timeline</th>
                       </tr>
                     </thead>
                     <tbody className="divide-y divide-slate-700/50">
@@ -915,6 +922,37 @@ const ChairmanOverview = () => {
                           </td>
                           <td className="px-4 py-3 text-slate-400 text-sm">
                             {project.endDate ? format(new Date(project.endDate), 'MMM d, yyyy') : '-'}
+                            {project.schedule?.slippageDays > 0 && (
+                              <p className="text-rose-400 text-xs">Forecast +{project.schedule.slippageDays}d late</p>
+                            )}
+                            {project.blockers > 0 && (
+                              <p className="text-amber-400 text-xs">{project.blockers} blocker{project.blockers > 1 ? 's' : ''}</p>
+                            )}
+                          </td>
+                          <td className="px-4 py-3 text-sm">
+                            <p className="text-slate-300">
+                              {Math.round(project.budget?.spent || 0).toLocaleString()}
+                              <span className="text-slate-500"> / {Math.round(project.budget?.allocated || 0).toLocaleString()}</span>
+                            </p>
+                            {project.budget?.forecast > project.budget?.allocated && (
+                              <p className="text-rose-400 text-xs">Forecast {Math.round(project.budget.forecast).toLocaleString()}</p>
+                            )}
+                          </td>
+                          <td className="px-4 py-3">
+                            <button
+                              onClick={() => setSelectedProject(project)}
+                              className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+                              title="Gantt timeline & critical path"
+                            >
+                              <GanttChart size={16} className="text-slate-400 hover:text-cyan-400" />
+                            </button>
+                            <button
+                              onClick={() => setCostProject(project)}
+                              className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+                              title="Budget vs actual vs forecast"
+                            >
+                              <Wallet size={16} className="text-slate-400 hover:text-cyan-400" />
+                            </button>
                           </td>
                         </tr>
                       ))}
@@ -1612,6 +1650,19 @@ const ChairmanOverview = () => {
             </div>
           </div>
         )}
+
+        <ProjectTimeline
+          project={selectedProject}
+          isOpen={Boolean(selectedProject)}
+          onClose={() => setSelectedProject(null)}
+          onChanged={loadData}
+        />
+
+        <ProjectCosts
+          project={costProject}
+          isOpen={Boolean(costProject)}
+          onClose={() => setCostProject(null)}
+        />
       </div>
     </MainLayout>
   );
@@ -10,6 +10,8 @@ import { Card, Button, Badge } from '../components/UI';
 import { useAuthStore } from '../store/authStore';
 import { formatCurrency } from '../utils/formatters';
 import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import payslipService from '../services/payslipService';
 
 const EmployeeDashboard = () => {
   const navigate = useNavigate();
@@ -21,6 +23,22 @@ const EmployeeDashboard = () => {
     return () => clearInterval(timer);
   }, []);
 
+  const [latestPayslip, setLatestPayslip] = useState(null);
+
+  useEffect(() => {
+    payslipService.getPayslip('latest')
+      .then(setLatestPayslip)
+      .catch(() => setLatestPayslip(null));
+  }, []);
+
+  const handleDownloadPayslip = async () => {
+    try {
+      await payslipService.downloadPdf(latestPayslip.month);
+    } catch (error) {
+      toast.error(error.message || 'Failed to download payslip');
+    }
+  };
+
   // Mock data - replace with API calls
   const employeeData = {
     name: `${user?.firstName || ''} ${user?.lastName || ''}`.trim() || 'Employee',
@@ -52,14 +70,6 @@ const EmployeeDashboard = () => {
     { id: 2, type: 'Casual Leave', dates: 'Dec 20, 2025', status: 'pending', days: 1 },
   ];
 
-  const payrollInfo = {
-    currentMonth: 'December 2025',
-    grossSalary: 75000,
-    deductions: 8500,
-    netSalary: 66500,
-    nextPayday: '2025-12-25',
-  };
-
   const learningProgress = [
     { course: 'Advanced React Patterns', progress: 75, dueDate: 'Dec 20' },
     { course: 'System Design Fundamentals', progress: 45, dueDate: 'Dec 30' },
@@ -219,32 +229,39 @@ const EmployeeDashboard = () => {
                   <DollarSign size={24} className="text-blue-400" />
                   Payroll Summary
                 </h2>
-                <Button variant="ghost" size="sm">
-                  <Download size={16} className="mr-2" />
-                  Download Slip
-                </Button>
+                {latestPayslip && (
+                  <Button variant="ghost" size="sm" onClick={handleDownloadPayslip}>
+                    <Download size={16} className="mr-2" />
+                    Download Slip
+                  </Button>
+                )}
               </div>
-              <div className="space-y-3">
-                <div className="flex justify-between items-center">
-                  <span className="text-slate-400">Gross Salary</span>
-                  <span className="text-white font-bold">{formatCurrency(payrollInfo.grossSalary)}</span>
-                </div>
-                <div className="flex justify-between items-center">
-                  <span className="text-slate-400">Deductions</span>
-                  <span className="text-red-400 font-bold">-{formatCurrency(payrollInfo.deductions)}</span>
-                </div>
-                <div className="border-t border-white/10 pt-3 flex justify-between items-center">
-                  <span className="text-white font-semibold">Net Salary</span>
-                  <span className="text-2xl font-black bg-gradient-to-r from-cyan-400 to-blue-400 bg-clip-text text-transparent">
-                    {formatCurrency(payrollInfo.netSalary)}
-                  </span>
-                </div>
-                <div className="mt-3 p-3 rounded-lg bg-blue-500/10 border border-blue-500/20">
-                  <p className="text-blue-400 text-sm">
-                    Next payday: <span className="font-semibold">{format(new Date(payrollInfo.nextPayday), 'MMM dd, yyyy')}</span>
-                  </p>
+              {latestPayslip ? (
+                <div className="space-y-3">
+                  <p className="text-slate-400 text-sm">{latestPayslip.label}</p>
+                  <div className="flex justify-between items-center">
+                    <span className="text-slate-400">Gross Salary</span>
+                    <span className="text-white font-bold">{formatCurrency(latestPayslip.grossEarnings, 'PKR')}</span>
+                  </div>
+                  <div className="flex justify-between items-center">
+                    <span className="text-slate-400">Deductions</span>
+                    <span className="text-red-400 font-bold">-{formatCurrency(latestPayslip.totalDeductions, 'PKR')}</span>
+                  </div>
+                  <div className="border-t border-white/10 pt-3 flex justify-between items-center">
+                    <span className="text-white font-semibold">Net Salary</span>
+                    <span className="text-2xl font-black bg-gradient-to-r from-cyan-400 to-blue-400 bg-clip-text text-transparent">
+                      {formatCurrency(latestPayslip.netPay, 'PKR')}
+                    </span>
+                  </div>
+                  <div className="mt-3 p-3 rounded-lg bg-blue-500/10 border border-blue-500/20">
+                    <p className="text-blue-400 text-sm">
+                      Tax withheld this year: <span className="font-semibold">{formatCurrency(latestPayslip.ytd?.incomeTax || 0, 'PKR')}</span>
+                    </p>
+                  </div>
                 </div>
-              </div>
+              ) : (
+                <p className="text-slate-400 text-sm">No payslips available yet</p>
+              )}
             </Card>
           </div>
 
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { 
   User, Mail, Phone, MapPin, Calendar, Upload, FileText, 
   Camera, Save, X, Download, Trash2, Building, CreditCard,
-  Home, Users as UsersIcon, Heart, Shield
+  Home, Users as UsersIcon, Heart, Shield, Wallet, History
 } from 'lucide-react';
 import MainLayout from '../layouts/MainLayout';
 import { Card, Button, Input, Badge } from '../components/UI';
@@ -10,6 +10,9 @@ import { useAuthStore } from '../store/authStore';
 import toast from 'react-hot-toast';
 import { format } from 'date-fns';
 import api from '../services/api';
+import payslipService from '../services/payslipService';
+import lifecycleService from '../services/lifecycleService';
+import { formatCurrency } from '../utils/formatters';
 
 const EmployeeProfile = () => {
   const { user, setUser } = useAuthStore();
@@ -67,12 +70,24 @@ const EmployeeProfile = () => {
   const [documents, setDocuments] = useState([]);
   const [profileImage, setProfileImage] = useState(null);
   const [supervisor, setSupervisor] = useState(null);
+  const [payslips, setPayslips] = useState([]);
+  const [employmentHistory, setEmploymentHistory] = useState([]);
 
   // Load profile data on mount
   useEffect(() => {
     loadProfile();
+    payslipService.getHistory()
+      .then((history) => setPayslips(Array.isArray(history) ? history : []))
+      .catch((error) => console.error('Failed to load payslips:', error));
   }, []);
 
+  useEffect(() => {
+    if (!user?._id) return;
+    lifecycleService.getHistory(user._id)
+      .then(({ history }) => setEmploymentHistory([...history].reverse()))
+      .catch((error) => console.error('Failed to load employment history:', error));
+  }, [user?._id]);
+
   const loadProfile = async () => {
     try {
       const response = await api.get('/profile');
@@ -332,6 +347,15 @@ const EmployeeProfile = () => {
     }
   };
 
+  const handleDownloadPayslip = async (month) => {
+    try {
+      await payslipService.downloadPdf(month);
+    } catch (error) {
+      console.error('Failed to download payslip:', error);
+      toast.error(error.message || 'Failed to download payslip');
+    }
+  };
+
   const _documentTypes = ['CNIC', 'Passport', 'Education', 'Experience', 'Medical', 'Other'];
 
   if (loading) {
@@ -943,6 +967,95 @@ const EmployeeProfile = () => {
                 )}
               </div>
             </Card>
+
+            {/* Payslips Section */}
+            <Card className="backdrop-blur-xl bg-slate-900/50 border-white/10">
+              <h2 className="text-xl font-bold text-white flex items-center gap-2 mb-4">
+                <Wallet size={22} className="text-cyan-400" />
+                Payslips
+              </h2>
+
+              <div className="space-y-3">
+                {payslips.length === 0 ? (
+                  <div className="text-center py-8 text-slate-400">
+                    <Wallet size={48} className="mx-auto mb-3 opacity-30" />
+                    <p>No payslips available yet</p>
+                  </div>
+                ) : (
+                  payslips.map((slip) => (
+                    <div
+                      key={slip.month}
+                      className="flex items-center justify-between p-4 rounded-lg bg-white/5 border border-white/5 hover:bg-white/10 transition-colors"
+                    >
+                      <div className="flex-1 min-w-0">
+                        <p className="text-white font-medium">{slip.label}</p>
+                        <div className="flex items-center gap-3 text-xs text-slate-400 mt-1">
+                          <span>Gross {formatCurrency(slip.grossEarnings, 'PKR')}</span>
+                          <span>•</span>
+                          <span>Deductions {formatCurrency(slip.totalDeductions, 'PKR')}</span>
+                          <span>•</span>
+                          <span>Tax {formatCurrency(slip.incomeTax, 'PKR')}</span>
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-3">
+                        <span className="text-cyan-400 font-bold">{formatCurrency(slip.netPay, 'PKR')}</span>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleDownloadPayslip(slip.month)}
+                        >
+                          <Download size={16} />
+                        </Button>
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+            </Card>
+
+            {/* Employment History Section */}
+            <Card className="backdrop-blur-xl bg-slate-900/50 border-white/10">
+              <h2 className="text-xl font-bold text-white flex items-center gap-2 mb-4">
+                <History size={22} className="text-cyan-400" />
+                Employment History
+              </h2>
+
+              <div className="space-y-3">
+                {employmentHistory.length === 0 ? (
+                  <div className="text-center py-8 text-slate-400">
+                    <History size={48} className="mx-auto mb-3 opacity-30" />
+                    <p>No employment changes recorded yet</p>
+                  </div>
+                ) : (
+                  employmentHistory.map((entry) => (
+                    <div key={entry._id} className="p-4 rounded-lg bg-white/5 border border-white/5">
+                      <div className="flex items-center justify-between">
+                        <p className="text-white font-medium capitalize">{entry.eventType.replace('_', ' ')}</p>
+                        <span className="text-xs text-slate-400">{format(new Date(entry.effectiveDate), 'MMM dd, yyyy')}</span>
+                      </div>
+                      <div className="text-xs text-slate-400 mt-1 space-y-0.5">
+                        {entry.changedFields.map((field) => {
+                          const show = (snapshot) => {
+                            const value = snapshot?.[field];
+                            if (value === undefined || value === null || value === '') return '—';
+                            if (field === 'salary') return formatCurrency(value, 'PKR');
+                            if (field === 'reportsTo') return `${value.firstName} ${value.lastName}`;
+                            if (field === 'position') return value.title;
+                            return value;
+                          };
+                          return (
+                            <p key={field}>
+                              <span className="capitalize">{field === 'reportsTo' ? 'Manager' : field}</span>:{' '}
+                              {entry.before ? `${show(entry.before)} → ` : ''}{show(entry.after)}
+                            </p>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+            </Card>
           </div>
         </div>
       </div>
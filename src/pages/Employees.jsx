@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import toast from 'react-hot-toast';
-import { Search, Plus, Filter, Download, Edit2, Eye, Trash2, UserPlus } from 'lucide-react';
+import { Search, Plus, Filter, Download, Edit2, Eye, Trash2, UserPlus, LogOut, KeyRound, ShieldOff } from 'lucide-react';
 import MainLayout from '../layouts/MainLayout';
 import AddEmployeeModal from '../components/AddEmployeeModal';
 import EditEmployeeModal from '../components/EditEmployeeModal';
@@ -8,6 +8,7 @@ import { Card, Button, Badge, Table, Input, Modal } from '../components/UI';
 import { EMPLOYEE_STATUS } from '../utils/constants';
 import employeeService from '../services/employeeService';
 import departmentService from '../services/departmentService';
+import authService from '../services/authService';
 
 const Employees = () => {
   const [searchTerm, setSearchTerm] = useState('');
@@ -81,6 +82,48 @@ const Employees = () => {
     }
   };
 
+  const handleSignOutEverywhere = async (employee, e) => {
+    e.stopPropagation();
+    if (!window.confirm(`Sign ${employee.firstName} ${employee.lastName} out of every device?`)) {
+      return;
+    }
+
+    try {
+      const result = await authService.revokeUserSessions(employee._id);
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.message || 'Failed to sign user out');
+    }
+  };
+
+  const handleSendPasswordReset = async (employee, e) => {
+    e.stopPropagation();
+    if (!window.confirm(`Email ${employee.firstName} ${employee.lastName} a password reset link?`)) {
+      return;
+    }
+
+    try {
+      const result = await authService.sendPasswordReset(employee._id);
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.message || 'Failed to send reset link');
+    }
+  };
+
+  const handleResetTwoFactor = async (employee, e) => {
+    e.stopPropagation();
+    if (!window.confirm(`Reset two-factor authentication for ${employee.firstName} ${employee.lastName}? They will be signed out and must set it up again.`)) {
+      return;
+    }
+
+    try {
+      const result = await authService.resetUserTwoFactor(employee._id);
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.message || 'Failed to reset two-factor authentication');
+    }
+  };
+
   const filteredEmployees = employees.filter((emp) => {
     const empName = `${emp.firstName || ''} ${emp.lastName || ''}`.toLowerCase();
     const matchSearch =
@@ -154,6 +197,27 @@ const Employees = () => {
           >
             <Edit2 size={16} className="text-cyan-400" />
           </button>
+          <button 
+            onClick={(e) => handleSignOutEverywhere(row, e)}
+            className="p-2 hover:bg-yellow-500/20 hover:border-yellow-400/50 border border-transparent rounded-lg transition-all" 
+            title="Log out everywhere"
+          >
+            <LogOut size={16} className="text-yellow-400" />
+          </button>
+          <button 
+            onClick={(e) => handleSendPasswordReset(row, e)}
+            className="p-2 hover:bg-purple-500/20 hover:border-purple-400/50 border border-transparent rounded-lg transition-all" 
+            title="Send password reset link"
+          >
+            <KeyRound size={16} className="text-purple-400" />
+          </button>
+          <button 
+            onClick={(e) => handleResetTwoFactor(row, e)}
+            className="p-2 hover:bg-orange-500/20 hover:border-orange-400/50 border border-transparent rounded-lg transition-all" 
+            title="Reset two-factor authentication"
+          >
+            <ShieldOff size={16} className="text-orange-400" />
+          </button>
           <button 
             onClick={(e) => handleDeleteClick(value, e)}
             className="p-2 hover:bg-red-500/20 hover:border-red-400/50 border border-transparent rounded-lg transition-all" 
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Card, Button } from '../components/UI';
+import authService from '../services/authService';
+import { validateEmail } from '../utils/validation';
+import { KeyRound, CheckCircle } from 'lucide-react';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [channel, setChannel] = useState('email');
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!validateEmail(email)) {
+      setError('Enter the email address you sign in with');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await authService.forgotPassword(email, channel);
+      setSent(true);
+    } catch (err) {
+      setError(err.message || 'Failed to request password reset');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900">
+      <Card className="max-w-md w-full mx-4 backdrop-blur-xl bg-slate-900/90 border-white/10">
+        <div className="text-center mb-6">
+          <div className="w-16 h-16 bg-gradient-to-br from-cyan-500 to-purple-600 rounded-full flex items-center justify-center mx-auto mb-4">
+            <KeyRound size={32} className="text-white" />
+          </div>
+          <h2 className="text-2xl font-bold text-white">Forgot Password</h2>
+          <p className="text-slate-400 mt-2">We will send you a link to choose a new password</p>
+        </div>
+
+        {sent ? (
+          <div className="mb-4 p-4 bg-emerald-500/20 border border-emerald-500/30 rounded-lg flex items-start gap-3">
+            <CheckCircle className="text-emerald-400 shrink-0" size={20} />
+            <p className="text-emerald-300">
+              If an account exists for {email}, a reset link is on its way. It expires shortly and works once.
+            </p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {error && (
+              <div className="p-4 bg-red-500/20 border border-red-500/30 rounded-lg">
+                <p className="text-red-300">{error}</p>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-slate-300 text-sm font-medium mb-2">Email Address</label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full px-4 py-2 bg-slate-800/50 border border-slate-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                placeholder="you@company.com"
+                required
+              />
+            </div>
+
+            <div>
+              <label className="block text-slate-300 text-sm font-medium mb-2">Send the link by</label>
+              <select
+                value={channel}
+                onChange={(e) => setChannel(e.target.value)}
+                className="w-full px-4 py-2 bg-slate-800/50 border border-slate-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-cyan-500"
+              >
+                <option value="email">Email</option>
+                <option value="whatsapp">WhatsApp (number on your profile)</option>
+              </select>
+            </div>
+
+            <Button
+              type="submit"
+              disabled={loading || !email}
+              className="w-full bg-gradient-to-r from-cyan-500 to-purple-600 hover:from-cyan-600 hover:to-purple-700 py-3 text-white font-semibold rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </Button>
+          </form>
+        )}
+
+        <Link to="/login" className="block mt-6 text-center text-sm text-slate-300 hover:text-cyan-400 transition-colors">
+          Back to sign in
+        </Link>
+      </Card>
+    </div>
+  );
+};
+
+export default ForgotPassword;
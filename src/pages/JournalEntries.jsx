@@ -28,6 +28,7 @@ const JournalEntries = ({ openNew = false }) => {
   const [showModal, setShowModal] = useState(openNew);
   const [editingEntry, setEditingEntry] = useState(null);
   const [chartOfAccounts, setChartOfAccounts] = useState([]);
+  const [projects, setProjects] = useState([]);
 
   // Handle modal close - navigate back if opened via /new route
   const handleCloseModal = () => {
@@ -59,12 +60,14 @@ const JournalEntries = ({ openNew = false }) => {
     try {
       setLoading(true);
       const params = filterStatus ? `?status=${filterStatus}` : '';
-      const [entriesRes, coaRes] = await Promise.all([
+      const [entriesRes, coaRes, projectsRes] = await Promise.all([
         api.get(`/journal-entries${params}`),
-        api.get('/chart-of-accounts')
+        api.get('/chart-of-accounts'),
+        api.get('/projects').catch(() => ({ data: [] }))
       ]);
       setEntries(entriesRes.data.data || []);
       setChartOfAccounts(coaRes.data.data || []);
+      setProjects(projectsRes.data || []);
     } catch (error) {
       console.error('Error fetching data:', error);
     } finally {
@@ -330,6 +333,7 @@ const JournalEntries = ({ openNew = false }) => {
           <JournalEntryModal
             entry={editingEntry}
             chartOfAccounts={chartOfAccounts}
+            projects={projects}
             onSave={handleSave}
             onClose={handleCloseModal}
             formatCurrency={formatCurrency}
@@ -341,7 +345,7 @@ const JournalEntries = ({ openNew = false }) => {
 };
 
 // Journal Entry Modal
-const JournalEntryModal = ({ entry, chartOfAccounts, onSave, onClose, formatCurrency }) => {
+const JournalEntryModal = ({ entry, chartOfAccounts, projects, onSave, onClose, formatCurrency }) => {
   const [formData, setFormData] = useState({
     entryDate: entry?.entryDate?.split('T')[0] || new Date().toISOString().split('T')[0],
     description: entry?.description || '',
@@ -499,6 +503,7 @@ const JournalEntryModal = ({ entry, chartOfAccounts, onSave, onClose, formatCurr
                   <tr>
                     <th className="px-3 py-3 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">Account</th>
                     <th className="px-3 py-3 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">Description</th>
+                    <th className="px-3 py-3 text-left text-xs font-semibold text-slate-400 uppercase tracking-wider">Project</th>
                     <th className="px-3 py-3 text-right text-xs font-semibold text-slate-400 uppercase tracking-wider">Debit</th>
                     <th className="px-3 py-3 text-right text-xs font-semibold text-slate-400 uppercase tracking-wider">Credit</th>
                     <th className="px-3 py-3 w-10"></th>
@@ -530,6 +535,20 @@ const JournalEntryModal = ({ entry, chartOfAccounts, onSave, onClose, formatCurr
                           className="w-full px-3 py-2 text-sm bg-white/10 border border-white/20 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-cyan-400"
                         />
                       </td>
+                      <td className="px-2 py-2">
+                        <select
+                          value={line.project?._id || line.project || ''}
+                          onChange={(e) => handleLineChange(index, 'project', e.target.value || null)}
+                          className="w-full px-3 py-2 text-sm bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:ring-1 focus:ring-cyan-400"
+                        >
+                          <option value="" className="bg-slate-900">None</option>
+                          {projects.map(project => (
+                            <option key={project._id} value={project._id} className="bg-slate-900">
+                              {project.name}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
                       <td className="px-2 py-2">
                         <input
                           type="number"
@@ -566,7 +585,7 @@ const JournalEntryModal = ({ entry, chartOfAccounts, onSave, onClose, formatCurr
                 </tbody>
                 <tfoot className="bg-white/5">
                   <tr>
-                    <td colSpan="2" className="px-3 py-3 text-right font-semibold text-white">
+                    <td colSpan="3" className="px-3 py-3 text-right font-semibold text-white">
                       Totals
                     </td>
                     <td className="px-3 py-3 text-right font-mono font-bold text-white">
@@ -597,6 +616,9 @@ const JournalEntryModal = ({ entry, chartOfAccounts, onSave, onClose, formatCurr
                 </span>
               </div>
             </div>
+            {errors.balance && !isBalanced && (
+              <p className="mt-2 text-sm text-red-400">{errors.balance}</p>
+            )}
           </div>
 
           <div className="flex justify-end gap-3 pt-4 border-t border-white/10">
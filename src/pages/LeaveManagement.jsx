@@ -1,12 +1,23 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { CheckCircle, XCircle, Clock, Plus, AlertCircle } from 'lucide-react';
 import MainLayout from '../layouts/MainLayout';
 import { Card, Button, Badge, Table, Modal, Input } from '../components/UI';
 import { LEAVE_TYPES } from '../utils/constants';
 import approvalService from '../services/approvalService';
-import api from '../services/api';
+import leaveService from '../services/leaveService';
 import { useAuthStore } from '../store/authStore';
 
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'N/A');
+
+// Flatten API leave records into table rows
+const toLeaveRow = (leave) => ({
+  ...leave,
+  employeeName: leave.employee ? `${leave.employee.firstName} ${leave.employee.lastName}` : 'N/A',
+  employeeId: leave.employee?.employeeId,
+  startDate: formatDate(leave.startDate),
+  endDate: formatDate(leave.endDate),
+});
+
 const LeaveManagement = () => {
   const [showRequestModal, setShowRequestModal] = useState(false);
   const [filterStatus, setFilterStatus] = useState('all');
@@ -16,7 +27,9 @@ const LeaveManagement = () => {
   const [submitting, setSubmitting] = useState(false);
   const [leaveRecords, setLeaveRecords] = useState([]);
   const [pendingApprovals, setPendingApprovals] = useState([]);
-  const { user: _user } = useAuthStore();
+  const [policy, setPolicy] = useState(null);
+  const { user } = useAuthStore();
+  const isHR = ['hr', 'admin'].includes(user?.role);
 
   const [formData, setFormData] = useState({
     leaveType: '',
@@ -28,39 +41,32 @@ const LeaveManagement = () => {
   const [leaveBalance, setLeaveBalance] = useState({
     annual: { used: 0, balance: 0, total: 0 },
     sick: { used: 0, balance: 0, total: 0 },
-    personal: { used: 0, balance: 0, total: 0 },
     casual: { used: 0, balance: 0, total: 0 },
   });
 
   useEffect(() => {
     fetchLeaveBalance();
+    fetchPolicy();
   }, []);
 
   const fetchLeaveBalance = async () => {
     try {
-      console.log('📤 Fetching leave balance...');
-      const response = await api.get('/leaves/balance');
-      const data = response.data;
-      
-      // Fallback mock leave balance if API returns empty
-      if (data && Object.keys(data).length > 0) {
-        setLeaveBalance(data);
-      } else {
-        setLeaveBalance({
-          annual: { used: 12, balance: 8, total: 20 },
-          sick: { used: 2, balance: 8, total: 10 },
-          personal: { used: 1, balance: 4, total: 5 },
-          casual: { used: 0, balance: 3, total: 3 },
-        });
-      }
+      const data = await leaveService.getBalance();
+      // Unpaid leave is not balance-tracked, so it has no card
+      const tracked = Object.fromEntries(
+        Object.entries(data || {}).filter(([, balance]) => balance.tracked !== false)
+      );
+      setLeaveBalance(tracked);
     } catch (err) {
       console.error('❌ Error fetching leave balance:', err);
-      setLeaveBalance({
-        annual: { used: 12, balance: 8, total: 20 },
-        sick: { used: 2, balance: 8, total: 10 },
-        personal: { used: 1, balance: 4, total: 5 },
-        casual: { used: 0, balance: 3, total: 3 },
-      });
+    }
+  };
+
+  const fetchPolicy = async () => {
+    try {
+      setPolicy(await leaveService.getPolicy());
+    } catch (err) {
+      console.error('❌ Error fetching leave policy:', err);
     }
   };
 
@@ -68,40 +74,42 @@ const LeaveManagement = () => {
     approved: <CheckCircle className="w-5 h-5 text-emerald-300" />,
     rejected: <XCircle className="w-5 h-5 text-rose-300" />,
     pending: <Clock className="w-5 h-5 text-amber-300" />,
+    cancelled: <XCircle className="w-5 h-5 text-slate-300" />,
+    withdrawn: <XCircle className="w-5 h-5 text-slate-300" />,
   };
 
   const statusColors = {
     approved: 'green',
     rejected: 'red',
     pending: 'yellow',
+    cancelled: 'gray',
+    withdrawn: 'gray',
   };
 
-  // Load leave records on mount
-  useEffect(() => {
-    fetchLeaveRecords();
-    fetchPendingApprovals();
-  }, []);
-
-  const fetchLeaveRecords = async () => {
+  const fetchLeaveRecords = useCallback(async () => {
     setLoading(true);
     setError(null);
     try {
-      const data = await approvalService.getAll({ requestType: 'leave', limit: 50 });
-      const records = Array.isArray(data) ? data : data.approvals || [];
-      setLeaveRecords(records);
+      const data = await leaveService.getAll({ scope: isHR ? 'all' : undefined, limit: 50 });
+      setLeaveRecords((Array.isArray(data) ? data : []).map(toLeaveRow));
     } catch (err) {
       setError(err.message || 'Failed to load leave records');
       setLeaveRecords([]);
     } finally {
       setLoading(false);
     }
-  };
+  }, [isHR]);
+
+  // Load leave records on mount
+  useEffect(() => {
+    fetchLeaveRecords();
+    fetchPendingApprovals();
+  }, [fetchLeaveRecords]);
 
   const fetchPendingApprovals = async () => {
     try {
-      const data = await approvalService.getPendingForMe();
-      const pending = Array.isArray(data) ? data : data.approvals || [];
-      setPendingApprovals(pending);
+      const data = await leaveService.getAll({ scope: 'approvals' });
+      setPendingApprovals((Array.isArray(data) ? data : []).map(toLeaveRow));
     } catch (err) {
       console.error('Failed to load pending approvals:', err);
     }
@@ -152,6 +160,20 @@ const LeaveManagement = () => {
       label: 'Reason',
       render: (value) => <span className="text-slate-200">{value || '-'}</span>,
     },
+    {
+      key: 'actions',
+      label: '',
+      render: (_, row) => {
+        const isOwn = (row.employee?._id || row.employee) === user?._id;
+        if (row.status === 'pending' && isOwn) {
+          return <Button size="sm" variant="secondary" onClick={() => handleWithdraw(row)}>Withdraw</Button>;
+        }
+        if (row.status === 'approved' && (isOwn || isHR)) {
+          return <Button size="sm" variant="danger" onClick={() => handleCancel(row)}>Cancel</Button>;
+        }
+        return null;
+      },
+    },
   ];
 
   const handleSubmit = async (e) => {
@@ -166,23 +188,17 @@ const LeaveManagement = () => {
         return;
       }
 
-      // Calculate days
-      const start = new Date(formData.startDate);
-      const end = new Date(formData.endDate);
-      const days = Math.floor((end - start) / (1000 * 60 * 60 * 24)) + 1;
-
-      await approvalService.create({
-        type: 'leave',
+      // Days are counted server-side, excluding weekends and company holidays
+      await leaveService.apply({
         leaveType: formData.leaveType,
         startDate: formData.startDate,
         endDate: formData.endDate,
-        days: days,
         reason: formData.reason,
-        status: 'pending',
       });
 
       // Refresh data
       await fetchLeaveRecords();
+      await fetchLeaveBalance();
       setShowRequestModal(false);
       setFormData({ leaveType: '', startDate: '', endDate: '', reason: '' });
     } catch (err) {
@@ -194,7 +210,7 @@ const LeaveManagement = () => {
 
   const handleApprove = async (record) => {
     try {
-      await approvalService.approve(record._id || record.id);
+      await approvalService.approve(record.approvalFlow, { status: 'approved' });
       await fetchLeaveRecords();
       await fetchPendingApprovals();
     } catch (err) {
@@ -204,16 +220,36 @@ const LeaveManagement = () => {
 
   const handleReject = async (record) => {
     try {
-      // Update to rejected status (you may need to add a reject endpoint)
-      setLeaveRecords(leaveRecords.map(r => 
-        (r._id || r.id) === (record._id || record.id) ? { ...r, status: 'rejected' } : r
-      ));
+      await approvalService.approve(record.approvalFlow, { status: 'rejected' });
+      await fetchLeaveRecords();
       await fetchPendingApprovals();
     } catch (err) {
       alert('Failed to reject: ' + err.message);
     }
   };
 
+  const handleWithdraw = async (record) => {
+    try {
+      await leaveService.withdraw(record._id);
+      await fetchLeaveRecords();
+      await fetchLeaveBalance();
+    } catch (err) {
+      alert('Failed to withdraw: ' + err.message);
+    }
+  };
+
+  const handleCancel = async (record) => {
+    const reason = window.prompt('Reason for cancelling this leave?');
+    if (reason === null) return;
+    try {
+      await leaveService.cancel(record._id, reason);
+      await fetchLeaveRecords();
+      await fetchLeaveBalance();
+    } catch (err) {
+      alert('Failed to cancel: ' + err.message);
+    }
+  };
+
   return (
     <MainLayout>
       <div className="space-y-6 pb-6 text-slate-100">
@@ -249,12 +285,14 @@ const LeaveManagement = () => {
                   <span className="text-2xl font-black text-white">{balance.balance}</span>
                   <span className="text-sm text-slate-400">/ {balance.total}</span>
                 </div>
-                <p className="text-xs text-slate-400 mt-1">Used: {balance.used}</p>
+                <p className="text-xs text-slate-400 mt-1">
+                  Used: {balance.used}{balance.pending ? ` • Pending: ${balance.pending}` : ''}
+                </p>
               </div>
               <div className="mt-3 w-full bg-white/10 rounded-full h-2">
                 <div
                   className="bg-gradient-to-r from-cyan-400 to-blue-500 h-2 rounded-full"
-                  style={{ width: `${(balance.used / balance.total) * 100}%` }}
+                  style={{ width: `${balance.total ? Math.min((balance.used / balance.total) * 100, 100) : 0}%` }}
                 ></div>
               </div>
             </Card>
@@ -274,6 +312,8 @@ const LeaveManagement = () => {
               <option value="pending">Pending</option>
               <option value="approved">Approved</option>
               <option value="rejected">Rejected</option>
+              <option value="cancelled">Cancelled</option>
+              <option value="withdrawn">Withdrawn</option>
             </select>
           </div>
         </Card>
@@ -352,22 +392,20 @@ const LeaveManagement = () => {
         <Card>
           <h3 className="font-semibold text-white mb-4">Leave Policies</h3>
           <div className="space-y-3 text-sm text-slate-200">
-            <div className="p-3 bg-white/5 border border-white/10 rounded-lg">
-              <p className="font-medium text-white">Annual Leave</p>
-              <p className="text-xs text-slate-300">20 days per year • Non-transferable</p>
-            </div>
-            <div className="p-3 bg-white/5 border border-white/10 rounded-lg">
-              <p className="font-medium text-white">Sick Leave</p>
-              <p className="text-xs text-slate-300">10 days per year • With medical certificate</p>
-            </div>
-            <div className="p-3 bg-white/5 border border-white/10 rounded-lg">
-              <p className="font-medium text-white">Personal Leave</p>
-              <p className="text-xs text-slate-300">5 days per year • 1 week notice required</p>
-            </div>
-            <div className="p-3 bg-white/5 border border-white/10 rounded-lg">
-              <p className="font-medium text-white">Casual Leave</p>
-              <p className="text-xs text-slate-300">3 days per year • Immediate approval</p>
-            </div>
+            {(policy?.rules || []).map((rule) => (
+              <div key={rule.leaveType} className="p-3 bg-white/5 border border-white/10 rounded-lg">
+                <p className="font-medium text-white capitalize">{rule.leaveType} Leave</p>
+                <p className="text-xs text-slate-300">
+                  {rule.accrual === 'none'
+                    ? 'Not balance-tracked'
+                    : `${rule.annualEntitlement} days per year • ${rule.accrual === 'monthly' ? 'Accrues monthly' : 'Credited at start of year'}`}
+                  {rule.carryForwardCap > 0 && ` • Carry forward up to ${rule.carryForwardCap} days`}
+                  {rule.encashmentCap > 0 && ` • Encash up to ${rule.encashmentCap} days`}
+                  {rule.countCalendarDays && ' • Calendar days'}
+                  {!rule.isPaid && ' • Unpaid'}
+                </p>
+              </div>
+            ))}
           </div>
         </Card>
 
@@ -396,7 +434,7 @@ const LeaveManagement = () => {
                 >
                   <option value="">Select Leave Type</option>
                   {Object.entries(LEAVE_TYPES).map(([key, value]) => (
-                    <option key={key} value={key}>{value}</option>
+                    <option key={key} value={value} className="capitalize">{value}</option>
                   ))}
                 </select>
               </div>
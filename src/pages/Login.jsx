@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { Mail, Lock, Eye, EyeOff, ArrowRight } from 'lucide-react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Mail, Lock, Eye, EyeOff, ArrowRight, ShieldCheck, KeyRound } from 'lucide-react';
 import { useAuthStore } from '../store/authStore';
+import authService from '../services/authService';
+import ssoService from '../services/ssoService';
 import { Button, Input } from '../components/UI';
 import { validateEmail } from '../utils/validation';
 import pvaraLogo from '../pvara-logo.png';
@@ -11,8 +13,25 @@ const Login = () => {
   const [errors, setErrors] = useState({});
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
+  // Second factor after the password: { mode: 'verify' | 'setup', challengeToken }
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [code, setCode] = useState('');
+  const [enrolment, setEnrolment] = useState(null);
+  const [recovery, setRecovery] = useState(null);
   const navigate = useNavigate();
-  const { login } = useAuthStore();
+  const { login, completeLogin } = useAuthStore();
+
+  const goToHome = (user) => {
+    // Check if user needs to change password
+    if (user.requirePasswordChange) {
+      navigate('/change-password?first=true');
+    } else if (user.role === 'admin') {
+      // Admins go directly to Chairman Tasks dashboard
+      navigate('/chairman-tasks');
+    } else {
+      navigate('/dashboard');
+    }
+  };
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -43,14 +62,15 @@ const Login = () => {
     try {
       const result = await login(formData.email, formData.password);
       if (result.success) {
-        // Check if user needs to change password
-        if (result.user.requirePasswordChange) {
-          navigate('/change-password?first=true');
-        } else if (result.user.role === 'admin') {
-          // Admins go directly to Chairman Tasks dashboard
-          navigate('/chairman-tasks');
-        } else {
-          navigate('/dashboard');
+        goToHome(result.user);
+      } else if (result.code === 'SSO_REQUIRED') {
+        await startSso();
+      } else if (result.twoFactor) {
+        setTwoFactor({ mode: result.twoFactor, challengeToken: result.challengeToken });
+        setCode('');
+        setErrors({});
+        if (result.twoFactor === 'setup') {
+          setEnrolment(await authService.setupTwoFactor(result.challengeToken));
         }
       } else {
         setErrors({ submit: result.error || 'Login failed' });
@@ -62,6 +82,138 @@ const Login = () => {
     }
   };
 
+  // Hand the browser to the company's identity provider
+  const startSso = async () => {
+    const result = await ssoService.discover(formData.email);
+    if (!result.sso) {
+      setErrors({ submit: 'Single sign-on is not set up for this email domain' });
+      return;
+    }
+    window.location.href = ssoService.startUrl(result.providerId, formData.email);
+  };
+
+  const handleSso = async () => {
+    if (!validateEmail(formData.email)) {
+      setErrors({ email: 'Enter your work email to sign in with SSO' });
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await startSso();
+    } catch (error) {
+      setErrors({ submit: error.message || 'Single sign-on failed' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) {
+      setErrors({ code: 'Enter the code from your authenticator app' });
+      return;
+    }
+
+    setLoading(true);
+    try {
+      if (twoFactor.mode === 'verify') {
+        const result = await authService.verifyTwoFactorLogin(twoFactor.challengeToken, code.trim());
+        goToHome(completeLogin(result).user);
+      } else {
+        // Show the recovery codes once before continuing into the app
+        const result = await authService.enableTwoFactor(code.trim(), twoFactor.challengeToken);
+        setRecovery(result);
+      }
+    } catch (error) {
+      setErrors({ submit: error.message || 'Verification failed' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startOver = () => {
+    setTwoFactor(null);
+    setEnrolment(null);
+    setRecovery(null);
+    setCode('');
+    setErrors({});
+  };
+
+  const renderTwoFactor = () => {
+    if (recovery) {
+      return (
+        <div className="space-y-6">
+          <p className="text-slate-300 text-sm">
+            Two-factor authentication is on. Save these recovery codes somewhere safe. Each one signs you in once if you lose your device.
+          </p>
+          <div className="grid grid-cols-2 gap-2 p-4 bg-white/5 border border-white/20 rounded-xl font-mono text-sm text-cyan-300">
+            {recovery.recoveryCodes.map((recoveryCode) => <span key={recoveryCode}>{recoveryCode}</span>)}
+          </div>
+          <Button className="w-full" onClick={() => goToHome(completeLogin(recovery).user)}>
+            I have saved my codes
+          </Button>
+        </div>
+      );
+    }
+
+    return (
+      <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+        {errors.submit && (
+          <div className="p-4 bg-red-500/20 border border-red-400/50 rounded-xl">
+            <p className="text-red-300 text-sm font-medium">{errors.submit}</p>
+          </div>
+        )}
+
+        {twoFactor.mode === 'setup' ? (
+          <div className="space-y-3 text-sm text-slate-300">
+            <p>Your role requires two-factor authentication. Add this account to an authenticator app, then enter the 6-digit code it shows.</p>
+            {enrolment && (
+              <>
+                <div className="p-3 bg-white/5 border border-white/20 rounded-xl font-mono text-cyan-300 break-all select-all">
+                  {enrolment.secret.match(/.{1,4}/g).join(' ')}
+                </div>
+                <a href={enrolment.otpauthUrl} className="inline-block text-cyan-400 hover:text-cyan-300 font-medium">
+                  Open in authenticator app
+                </a>
+              </>
+            )}
+          </div>
+        ) : (
+          <p className="text-sm text-slate-300">
+            Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+          </p>
+        )}
+
+        <div className="space-y-2">
+          <div className="relative">
+            <ShieldCheck className="absolute left-4 top-1/2 -translate-y-1/2 text-cyan-400 w-5 h-5" />
+            <input
+              type="text"
+              name="code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123 456"
+              autoComplete="one-time-code"
+              autoFocus
+              className={`w-full pl-12 pr-4 py-3 bg-white/10 backdrop-blur-sm border rounded-xl focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent text-white placeholder-slate-400 tracking-widest transition-all ${
+                errors.code ? 'border-red-500' : 'border-white/20'
+              }`}
+            />
+          </div>
+          {errors.code && <p className="text-xs text-red-400 mt-1">{errors.code}</p>}
+        </div>
+
+        <Button type="submit" className="w-full" disabled={loading || (twoFactor.mode === 'setup' && !enrolment)}>
+          {loading ? 'Verifying...' : 'Verify'}
+        </Button>
+        <button type="button" onClick={startOver} className="block w-full text-sm text-slate-300 hover:text-cyan-400 transition-colors">
+          Back to sign in
+        </button>
+      </form>
+    );
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 flex items-center justify-center p-4 relative overflow-hidden">
       {/* Animated gradient orbs background */}
@@ -97,98 +249,112 @@ const Login = () => {
           
           {/* Glass morphism card */}
           <div className="relative backdrop-blur-2xl bg-white/10 border border-white/20 rounded-3xl p-8 shadow-2xl">
-            <h2 className="text-2xl font-bold text-white mb-1">Welcome Back</h2>
-            <p className="text-slate-300 text-sm mb-8">Sign in to access your HRMS</p>
-
-            <form onSubmit={handleSubmit} className="space-y-6">
-              {/* Error Alert */}
-              {errors.submit && (
-                <div className="p-4 bg-red-500/20 border border-red-400/50 rounded-xl">
-                  <p className="text-red-300 text-sm font-medium">{errors.submit}</p>
-                </div>
-              )}
-
-              {/* Email Input */}
-              <div className="space-y-2">
-                <label className="block text-sm font-semibold text-slate-200">
-                  Email Address
-                </label>
-                <div className="relative group/input">
-                  <Mail className="absolute left-4 top-1/2 -translate-y-1/2 text-cyan-400 w-5 h-5" />
-                  <input
-                    type="email"
-                    name="email"
-                    value={formData.email}
-                    onChange={handleChange}
-                    placeholder="Enter your email"
-                    className={`w-full pl-12 pr-4 py-3 bg-white/10 backdrop-blur-sm border rounded-xl focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent text-white placeholder-slate-400 transition-all ${
-                      errors.email ? 'border-red-500' : 'border-white/20'
-                    }`}
-                    required
-                  />
+            <h2 className="text-2xl font-bold text-white mb-1">{twoFactor ? 'Two-Factor Verification' : 'Welcome Back'}</h2>
+            <p className="text-slate-300 text-sm mb-8">
+              {twoFactor ? 'One more step to confirm it is you' : 'Sign in to access your HRMS'}
+            </p>
+
+            {twoFactor ? renderTwoFactor() : (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                {/* Error Alert */}
+                {errors.submit && (
+                  <div className="p-4 bg-red-500/20 border border-red-400/50 rounded-xl">
+                    <p className="text-red-300 text-sm font-medium">{errors.submit}</p>
+                  </div>
+                )}
+
+                {/* Email Input */}
+                <div className="space-y-2">
+                  <label className="block text-sm font-semibold text-slate-200">
+                    Email Address
+                  </label>
+                  <div className="relative group/input">
+                    <Mail className="absolute left-4 top-1/2 -translate-y-1/2 text-cyan-400 w-5 h-5" />
+                    <input
+                      type="email"
+                      name="email"
+                      value={formData.email}
+                      onChange={handleChange}
+                      placeholder="Enter your email"
+                      className={`w-full pl-12 pr-4 py-3 bg-white/10 backdrop-blur-sm border rounded-xl focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent text-white placeholder-slate-400 transition-all ${
+                        errors.email ? 'border-red-500' : 'border-white/20'
+                      }`}
+                      required
+                    />
+                  </div>
+                  {errors.email && <p className="text-xs text-red-400 mt-1">{errors.email}</p>}
                 </div>
-                {errors.email && <p className="text-xs text-red-400 mt-1">{errors.email}</p>}
-              </div>
 
-              {/* Password Input */}
-              <div className="space-y-2">
-                <label className="block text-sm font-semibold text-slate-200">
-                  Password
-                </label>
-                <div className="relative group/input">
-                  <Lock className="absolute left-4 top-1/2 -translate-y-1/2 text-cyan-400 w-5 h-5" />
-                  <input
-                    type={showPassword ? 'text' : 'password'}
-                    name="password"
-                    value={formData.password}
-                    onChange={handleChange}
-                    placeholder="••••••••"
-                    className={`w-full pl-12 pr-12 py-3 bg-white/10 backdrop-blur-sm border rounded-xl focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent text-white placeholder-slate-400 transition-all ${
-                      errors.password ? 'border-red-500' : 'border-white/20'
-                    }`}
-                    required
-                  />
-                  <button
-                    type="button"
-                    onClick={() => setShowPassword(!showPassword)}
-                    className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 hover:text-cyan-400 transition-colors"
-                  >
-                    {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
-                  </button>
+                {/* Password Input */}
+                <div className="space-y-2">
+                  <label className="block text-sm font-semibold text-slate-200">
+                    Password
+                  </label>
+                  <div className="relative group/input">
+                    <Lock className="absolute left-4 top-1/2 -translate-y-1/2 text-cyan-400 w-5 h-5" />
+                    <input
+                      type={showPassword ? 'text' : 'password'}
+                      name="password"
+                      value={formData.password}
+                      onChange={handleChange}
+                      placeholder="••••••••"
+                      className={`w-full pl-12 pr-12 py-3 bg-white/10 backdrop-blur-sm border rounded-xl focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent text-white placeholder-slate-400 transition-all ${
+                        errors.password ? 'border-red-500' : 'border-white/20'
+                      }`}
+                      required
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 hover:text-cyan-400 transition-colors"
+                    >
+                      {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
+                    </button>
+                  </div>
+                  {errors.password && <p className="text-xs text-red-400 mt-1">{errors.password}</p>}
                 </div>
-                {errors.password && <p className="text-xs text-red-400 mt-1">{errors.password}</p>}
-              </div>
 
 
-              {/* Sign In Button */}
-              <button
-                type="submit"
-                disabled={loading}
-                className="w-full relative group/btn overflow-hidden rounded-xl py-3 px-6 font-semibold text-white transition-all duration-300"
-              >
-                <div className="absolute inset-0 bg-gradient-to-r from-cyan-500 via-blue-500 to-purple-600 group-hover/btn:opacity-90 opacity-100 transition-opacity"></div>
-                <div className="absolute inset-0 opacity-0 group-hover/btn:opacity-100 bg-white/20 transition-opacity blur-xl"></div>
-                <div className="relative flex items-center justify-center gap-2">
-                  {loading ? (
-                    <>
-                      <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
-                      <span>Signing in...</span>
-                    </>
-                  ) : (
-                    <>
-                      <span>Sign In</span>
-                      <ArrowRight className="w-4 h-4 group-hover/btn:translate-x-1 transition-transform" />
-                    </>
-                  )}
-                </div>
-              </button>
-            </form>
+                {/* Sign In Button */}
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full relative group/btn overflow-hidden rounded-xl py-3 px-6 font-semibold text-white transition-all duration-300"
+                >
+                  <div className="absolute inset-0 bg-gradient-to-r from-cyan-500 via-blue-500 to-purple-600 group-hover/btn:opacity-90 opacity-100 transition-opacity"></div>
+                  <div className="absolute inset-0 opacity-0 group-hover/btn:opacity-100 bg-white/20 transition-opacity blur-xl"></div>
+                  <div className="relative flex items-center justify-center gap-2">
+                    {loading ? (
+                      <>
+                        <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+                        <span>Signing in...</span>
+                      </>
+                    ) : (
+                      <>
+                        <span>Sign In</span>
+                        <ArrowRight className="w-4 h-4 group-hover/btn:translate-x-1 transition-transform" />
+                      </>
+                    )}
+                  </div>
+                </button>
+
+                <button
+                  type="button"
+                  onClick={handleSso}
+                  disabled={loading}
+                  className="w-full flex items-center justify-center gap-2 py-3 px-6 rounded-xl border border-white/20 bg-white/5 text-slate-200 font-semibold hover:bg-white/10 hover:border-cyan-400/50 transition-all"
+                >
+                  <KeyRound className="w-4 h-4 text-cyan-400" />
+                  Sign in with SSO
+                </button>
+              </form>
+            )}
 
             {/* Footer Links */}
             <div className="mt-8 pt-8 border-t border-white/10 space-y-3 text-center">
-              <a href="#" className="block text-sm text-slate-300 hover:text-cyan-400 transition-colors font-medium">
+              <Link to="/forgot-password" className="block text-sm text-slate-300 hover:text-cyan-400 transition-colors font-medium">
                 Forgot password?
-              </a>
+              </Link>
               <p className="text-xs text-slate-400">
                 Don't have an account?{' '}
                 <a href="/register" className="text-cyan-400 hover:text-cyan-300 transition-colors font-semibold">
@@ -29,8 +29,10 @@ import {
   HelpCircle,
   ArrowRightLeft,
   Link2,
+  ListTree,
 } from 'lucide-react';
 import DependencyManager from '../components/DependencyManager';
+import SubtaskTree from '../components/SubtaskTree';
 
 // Safe date formatting helper to prevent crashes on invalid dates
 const safeFormat = (date, formatStr, fallback = '-') => {
@@ -103,6 +105,13 @@ const MyTasks = () => {
   });
   const [creatingTask, setCreatingTask] = useState(false);
 
+  // Subtasks are listed under their parent when the parent is on the page too
+  const loadedTaskIds = new Set(tasks.map(t => t._id));
+  const visibleTasks = tasks.filter(task => !task.ancestors?.some(id => loadedTaskIds.has(id)));
+
+  // Progress of a task with subtasks or a checklist is calculated from them
+  const hasBreakdown = (task) => (task?.checklist?.length || 0) > 0 || (task?.subtaskStats?.total || 0) > 0;
+
   // Count pending boosts across all tasks
   const pendingBoostsCount = tasks.reduce((count, task) => {
     return count + (task.boosts?.filter(b => !b.acknowledged)?.length || 0);
@@ -602,7 +611,7 @@ const MyTasks = () => {
             <Card className="backdrop-blur-xl bg-slate-900/50 border-white/10 p-8 text-center">
               <p className="text-slate-400">Loading tasks...</p>
             </Card>
-          ) : tasks.length === 0 ? (
+          ) : visibleTasks.length === 0 ? (
             <Card className="backdrop-blur-xl bg-slate-900/50 border-white/10 p-8 text-center">
               <CheckCircle2 size={48} className="text-emerald-400 mx-auto mb-4" />
               <p className="text-slate-300 text-lg font-semibold">No tasks found</p>
@@ -611,7 +620,7 @@ const MyTasks = () => {
               </p>
             </Card>
           ) : (
-            tasks.map((task) => (
+            visibleTasks.map((task) => (
               <Card
                 key={task._id}
                 className={`backdrop-blur-xl border cursor-pointer transition-all hover:scale-[1.01] ${
@@ -684,7 +693,18 @@ const MyTasks = () => {
                           {task.boosts.length} boost{task.boosts.length > 1 ? 's' : ''}
                         </span>
                       )}
+                      {task.subtaskStats?.total > 0 && (
+                        <span className="flex items-center gap-1 px-2 py-0.5 rounded text-xs bg-cyan-500/20 text-cyan-400 border border-cyan-500/30">
+                          <ListTree size={10} />
+                          {task.subtaskStats.completed}/{task.subtaskStats.total} subtasks
+                        </span>
+                      )}
                     </div>
+                    {task.parent && (
+                      <p className="text-cyan-400/70 text-sm mb-2">
+                        Subtask of {task.parent.project} {task.parent.title}
+                      </p>
+                    )}
                     {task.description && (
                       <p className="text-slate-300 mb-3">{task.description}</p>
                     )}
@@ -886,6 +906,7 @@ const MyTasks = () => {
               <div className="flex gap-1 mb-4 border-b border-white/10 overflow-x-auto">
                 {[
                   { id: 'updates', label: 'Updates', icon: MessageSquare, count: selectedTask.updates?.length || 0 },
+                  { id: 'subtasks', label: 'Subtasks', icon: ListTree, count: (selectedTask.subtaskStats?.total || 0) + (selectedTask.checklist?.length || 0) },
                   { id: 'dependencies', label: 'Dependencies', icon: Link2, count: selectedTask.dependencies?.length || 0 },
                   { id: 'comments', label: 'Comments', icon: MessageCircle, count: selectedTask.chairmanComments?.length || 0 },
                   { id: 'bottlenecks', label: 'Bottlenecks', icon: AlertTriangle, count: selectedTask.bottlenecks?.length || 0 },
@@ -912,6 +933,19 @@ const MyTasks = () => {
                 ))}
               </div>
 
+              {/* Subtasks Tab */}
+              {activeTab === 'subtasks' && (
+                <SubtaskTree
+                  task={selectedTask}
+                  employees={employees}
+                  onUpdate={async () => {
+                    const updatedTask = await taskService.getById(selectedTask._id);
+                    setSelectedTask(updatedTask);
+                    loadTasks();
+                  }}
+                />
+              )}
+
               {/* Dependencies Tab */}
               {activeTab === 'dependencies' && (
                 <DependencyManager
@@ -921,7 +955,7 @@ const MyTasks = () => {
                   onUpdate={async () => {
                     const updatedTask = await taskService.getById(selectedTask._id);
                     setSelectedTask(updatedTask);
-                    fetchTasks();
+                    loadTasks();
                   }}
                 />
               )}
@@ -981,8 +1015,9 @@ const MyTasks = () => {
                           onChange={(e) => setUpdateProgress(e.target.value)}
                           min="0"
                           max="100"
-                          className="w-full px-3 py-2 bg-slate-800/50 border border-slate-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-cyan-500"
-                          placeholder="0-100"
+                          disabled={hasBreakdown(selectedTask)}
+                          className="w-full px-3 py-2 bg-slate-800/50 border border-slate-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-cyan-500 disabled:opacity-50"
+                          placeholder={hasBreakdown(selectedTask) ? 'From subtasks & checklist' : '0-100'}
                         />
                       </div>
                       <div>
@@ -3,7 +3,8 @@ import { Briefcase, MapPin, Users, Clock, Plus, Eye, Heart } from 'lucide-react'
 import MainLayout from '../layouts/MainLayout';
 import { Card, Button, Badge, Table } from '../components/UI';
 import { RECRUITMENT_STATUS, APPLICANT_STATUS } from '../utils/constants';
-import api from '../services/api';
+import { formatDate } from '../utils/dateUtils';
+import recruitmentService from '../services/recruitmentService';
 
 const Recruitment = () => {
   const [activeTab, setActiveTab] = useState('jobs');
@@ -19,14 +20,12 @@ const Recruitment = () => {
   const fetchRecruitmentData = async () => {
     setLoading(true);
     try {
-      console.log('📤 Fetching recruitment data...');
-      const [jobsResponse, applicantsResponse] = await Promise.all([
-        api.get('/recruitment/jobs').catch(() => ({ data: [] })),
-        api.get('/recruitment/applicants').catch(() => ({ data: [] }))
+      const [jobsData, applicantsData] = await Promise.all([
+        recruitmentService.getJobs(),
+        recruitmentService.getApplicants(),
       ]);
-      setJobs(jobsResponse.data || []);
-      setApplicants(applicantsResponse.data || []);
-      console.log('✅ Recruitment data loaded:', jobsResponse.data?.length || 0, 'jobs,', applicantsResponse.data?.length || 0, 'applicants');
+      setJobs(jobsData || []);
+      setApplicants(applicantsData || []);
     } catch (err) {
       console.error('❌ Error fetching recruitment data:', err);
       setError(err.message);
@@ -42,7 +41,7 @@ const Recruitment = () => {
       render: (value, row) => (
         <div>
           <p className="font-semibold text-white">{value}</p>
-          <p className="text-xs text-slate-400">{row.department}</p>
+          <p className="text-xs text-slate-400">{row.departmentName}</p>
         </div>
       ),
     },
@@ -63,7 +62,7 @@ const Recruitment = () => {
     {
       key: 'status',
       label: 'Status',
-      render: (value) => <Badge variant={value === 'open' ? 'green' : 'gray'}>{value}</Badge>,
+      render: (value) => <Badge variant={value === RECRUITMENT_STATUS.OPEN ? 'green' : 'gray'}>{value}</Badge>,
     },
   ];
 
@@ -91,7 +90,7 @@ const Recruitment = () => {
               <div>
                 <p className="text-slate-300 text-sm">Open Positions</p>
                 <p className="text-2xl font-black text-white mt-1">
-                  {jobs.filter((j) => j.status === 'open').length}
+                  {jobs.filter((j) => j.status === RECRUITMENT_STATUS.OPEN).length}
                 </p>
               </div>
               <Briefcase className="w-8 h-8 text-cyan-400" />
@@ -111,7 +110,7 @@ const Recruitment = () => {
               <div>
                 <p className="text-slate-300 text-sm">In Progress</p>
                 <p className="text-2xl font-black text-amber-300 mt-1">
-                  {applicants.filter((a) => a.status === 'interview').length}
+                  {applicants.filter((a) => a.status === APPLICANT_STATUS.INTERVIEW).length}
                 </p>
               </div>
               <Clock className="w-8 h-8 text-amber-400" />
@@ -148,18 +147,18 @@ const Recruitment = () => {
             <h3 className="font-semibold text-white mb-4">Applicants Pipeline</h3>
             <div className="space-y-3">
               {applicants.map((app) => (
-                <div key={app.id} className="p-4 bg-white/5 border border-white/10 rounded-lg">
+                <div key={app._id} className="p-4 bg-white/5 border border-white/10 rounded-lg">
                   <div className="flex items-start justify-between">
                     <div>
-                      <p className="font-medium text-white">{app.name}</p>
-                      <p className="text-sm text-slate-300">{app.jobTitle}</p>
-                      <p className="text-xs text-slate-400 mt-1">Applied on {app.appliedDate}</p>
+                      <p className="font-medium text-white">{app.firstName} {app.lastName}</p>
+                      <p className="text-sm text-slate-300">{app.job?.title}</p>
+                      <p className="text-xs text-slate-400 mt-1">Applied on {formatDate(app.createdAt)}</p>
                     </div>
                     <Badge
                       variant={
-                        app.status === 'interview'
+                        [APPLICANT_STATUS.INTERVIEW, APPLICANT_STATUS.OFFER, APPLICANT_STATUS.HIRED].includes(app.status)
                           ? 'green'
-                          : app.status === 'screening'
+                          : [APPLICANT_STATUS.APPLIED, APPLICANT_STATUS.SCREENING].includes(app.status)
                           ? 'blue'
                           : 'red'
                       }
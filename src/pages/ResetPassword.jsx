@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Card, Button } from '../components/UI';
+import authService from '../services/authService';
+import { Lock, Eye, EyeOff, CheckCircle } from 'lucide-react';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await authService.resetPassword(token, password);
+      setSuccess(true);
+      setTimeout(() => navigate('/login'), 2000);
+    } catch (err) {
+      setError(err.message || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900">
+      <Card className="max-w-md w-full mx-4 backdrop-blur-xl bg-slate-900/90 border-white/10">
+        <div className="text-center mb-6">
+          <div className="w-16 h-16 bg-gradient-to-br from-cyan-500 to-purple-600 rounded-full flex items-center justify-center mx-auto mb-4">
+            <Lock size={32} className="text-white" />
+          </div>
+          <h2 className="text-2xl font-bold text-white">Choose a New Password</h2>
+          <p className="text-slate-400 mt-2">You will be signed out of every device</p>
+        </div>
+
+        {!token ? (
+          <div className="mb-4 p-4 bg-red-500/20 border border-red-500/30 rounded-lg">
+            <p className="text-red-300">
+              This reset link is incomplete. <Link to="/forgot-password" className="underline">Request a new one</Link>.
+            </p>
+          </div>
+        ) : success ? (
+          <div className="mb-4 p-4 bg-emerald-500/20 border border-emerald-500/30 rounded-lg flex items-center gap-3">
+            <CheckCircle className="text-emerald-400" size={20} />
+            <p className="text-emerald-300">Password reset. Taking you to sign in...</p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {error && (
+              <div className="p-4 bg-red-500/20 border border-red-500/30 rounded-lg">
+                <p className="text-red-300">{error}</p>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-slate-300 text-sm font-medium mb-2">New Password</label>
+              <div className="relative">
+                <input
+                  type={showPassword ? 'text' : 'password'}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full px-4 py-2 bg-slate-800/50 border border-slate-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                  placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                  required
+                  minLength={MIN_PASSWORD_LENGTH}
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-white"
+                >
+                  {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
+                </button>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-slate-300 text-sm font-medium mb-2">Confirm New Password</label>
+              <input
+                type={showPassword ? 'text' : 'password'}
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className="w-full px-4 py-2 bg-slate-800/50 border border-slate-700 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                placeholder="Confirm new password"
+                required
+              />
+            </div>
+
+            <Button
+              type="submit"
+              disabled={loading || !password || !confirmPassword}
+              className="w-full bg-gradient-to-r from-cyan-500 to-purple-600 hover:from-cyan-600 hover:to-purple-700 py-3 text-white font-semibold rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Resetting...' : 'Reset Password'}
+            </Button>
+          </form>
+        )}
+
+        <Link to="/login" className="block mt-6 text-center text-sm text-slate-300 hover:text-cyan-400 transition-colors">
+          Back to sign in
+        </Link>
+      </Card>
+    </div>
+  );
+};
+
+export default ResetPassword;
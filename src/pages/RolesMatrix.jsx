@@ -1,21 +1,119 @@
-import React from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
+import toast from 'react-hot-toast';
 import MainLayout from '../layouts/MainLayout';
-import { Globe2, ShieldCheck, Lock, Target, AlertTriangle, CheckCircle2 } from 'lucide-react';
-import { Card, Badge, Button } from '../components/UI';
+import { Globe2, ShieldCheck, AlertTriangle, CheckCircle2 } from 'lucide-react';
+import { Card, Badge, Button, Modal, Input, Textarea } from '../components/UI';
+import roleService from '../services/roleService';
+import sodService from '../services/sodService';
+
+const MAX_BADGES = 6;
+const emptyForm = { name: '', description: '', permissions: [] };
+const DOCUMENT_LABELS = { journal_entry: 'Journal entry', bank_payment: 'Payment batch', purchase_order: 'Purchase order' };
 
 const RolesMatrix = () => {
   const regions = ['Global', 'EU', 'US', 'APAC'];
-  const roles = [
-    { name: 'Admin', perms: ['All permissions', 'Identity', 'Billing', 'Audit'] },
-    { name: 'HR Director', perms: ['Policies', 'Comp Bands', 'Approvals'] },
-    { name: 'Regional HR', perms: ['Employees', 'Leave/Time', 'Local Compliance'] },
-    { name: 'Payroll Manager', perms: ['Payroll Runs', 'GL Export', 'Disbursements'] },
-    { name: 'Manager', perms: ['Approvals', 'Team View', 'Performance Inputs'] },
-    { name: 'Employee', perms: ['Self Service', 'Leave', 'Pay/Benefits'] },
-  ];
+  const [roles, setRoles] = useState([]);
+  const [permissionGroups, setPermissionGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // role being edited, or {} for a new role
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [violations, setViolations] = useState([]);
+
+  const permissionLabels = useMemo(
+    () => Object.fromEntries(permissionGroups.flatMap((g) => g.permissions.map((p) => [p.key, p.label]))),
+    [permissionGroups]
+  );
+
+  const loadRoles = async () => {
+    try {
+      const [roleList, groups] = await Promise.all([roleService.getAll(), roleService.getPermissions()]);
+      setRoles(roleList);
+      setPermissionGroups(groups);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load roles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadViolations = async () => {
+    try {
+      const { violations: list } = await sodService.getViolations({ limit: 5 });
+      setViolations(list.filter((v) => !v.reviewedAt));
+    } catch (error) {
+      // Only users with sod.report see the violation log
+      setViolations([]);
+    }
+  };
+
+  useEffect(() => {
+    loadRoles();
+    loadViolations();
+  }, []);
+
+  const reviewViolation = async (violation) => {
+    const notes = window.prompt('Review notes (optional)');
+    if (notes === null) return;
+    try {
+      await sodService.reviewViolation(violation._id, notes);
+      toast.success('Violation marked reviewed');
+      loadViolations();
+    } catch (error) {
+      toast.error(error.message || 'Failed to review violation');
+    }
+  };
+
+  const openEditor = (role) => {
+    setEditing(role || {});
+    setForm(role ? { name: role.name, description: role.description || '', permissions: role.permissions } : emptyForm);
+  };
+
+  const togglePermission = (key) => {
+    setForm((prev) => ({
+      ...prev,
+      permissions: prev.permissions.includes(key)
+        ? prev.permissions.filter((p) => p !== key)
+        : [...prev.permissions, key],
+    }));
+  };
+
+  const saveRole = async () => {
+    setSaving(true);
+    try {
+      if (editing.systemRole) {
+        await roleService.updateSystem(editing.systemRole, { permissions: form.permissions, description: form.description });
+      } else if (editing._id) {
+        await roleService.update(editing._id, form);
+      } else {
+        await roleService.create(form);
+      }
+      toast.success('Role saved');
+      setEditing(null);
+      loadRoles();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save role');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeRole = async (role) => {
+    const prompt = role.isSystem ? `Reset ${role.name} to the default permissions?` : `Delete the ${role.name} role?`;
+    if (!window.confirm(prompt)) return;
+    try {
+      if (role.isSystem) {
+        await roleService.resetSystem(role.systemRole);
+      } else {
+        await roleService.delete(role._id);
+      }
+      loadRoles();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update role');
+    }
+  };
 
   const risk = [
-    { title: 'Segregation of Duties', detail: 'Payroll + Approver + Admin combined' },
     { title: 'High-risk Exports', detail: 'Unmasked PII export for non-admins' },
   ];
 
@@ -30,7 +128,7 @@ const RolesMatrix = () => {
           </div>
           <div className="flex gap-3">
             <Button variant="secondary" className="bg-white border border-gray-200" onClick={() => alert('Exporting matrix...')}>Export matrix</Button>
-            <Button onClick={() => alert('Creating new role...')}>New role</Button>
+            <Button onClick={() => openEditor(null)}>New role</Button>
           </div>
         </div>
 
@@ -53,23 +151,51 @@ const RolesMatrix = () => {
                 <tr className="text-left text-gray-500">
                   <th className="py-3 px-3">Role</th>
                   <th className="py-3 px-3">Key permissions</th>
-                  <th className="py-3 px-3">Data export</th>
-                  <th className="py-3 px-3">SoD</th>
+                  <th className="py-3 px-3">Users</th>
+                  <th className="py-3 px-3"></th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-100">
+                {loading && (
+                  <tr>
+                    <td colSpan={4} className="py-6 px-3 text-center text-gray-500">Loading roles...</td>
+                  </tr>
+                )}
                 {roles.map((role) => (
-                  <tr key={role.name} className="hover:bg-gray-50">
-                    <td className="py-3 px-3 font-semibold text-gray-900">{role.name}</td>
+                  <tr key={role._id || role.systemRole} className="hover:bg-gray-50">
+                    <td className="py-3 px-3">
+                      <p className="font-semibold text-gray-900">{role.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {role.isSystem ? (role.isCustomized ? 'Built-in (customized)' : 'Built-in') : 'Custom'}
+                      </p>
+                    </td>
                     <td className="py-3 px-3 text-gray-700">
                       <div className="flex flex-wrap gap-2">
-                        {role.perms.map((p) => (
-                          <Badge key={p} variant="gray" className="text-xs">{p}</Badge>
-                        ))}
+                        {role.permissions.includes('*') ? (
+                          <Badge variant="blue" className="text-xs">All permissions</Badge>
+                        ) : (
+                          role.permissions.slice(0, MAX_BADGES).map((p) => (
+                            <Badge key={p} variant="gray" className="text-xs">{permissionLabels[p] || p}</Badge>
+                          ))
+                        )}
+                        {!role.permissions.includes('*') && role.permissions.length > MAX_BADGES && (
+                          <Badge variant="gray" className="text-xs">+{role.permissions.length - MAX_BADGES} more</Badge>
+                        )}
                       </div>
                     </td>
-                    <td className="py-3 px-3 text-gray-700">Masked exports only</td>
-                    <td className="py-3 px-3 text-gray-700">No conflicts</td>
+                    <td className="py-3 px-3 text-gray-700">{role.userCount}</td>
+                    <td className="py-3 px-3 text-right whitespace-nowrap">
+                      {role.systemRole !== 'admin' && (
+                        <Button size="sm" variant="secondary" className="bg-white border border-gray-200" onClick={() => openEditor(role)}>
+                          Edit
+                        </Button>
+                      )}
+                      {(!role.isSystem || role.isCustomized) && (
+                        <Button size="sm" variant="secondary" className="bg-white border border-gray-200 ml-2" onClick={() => removeRole(role)}>
+                          {role.isSystem ? 'Reset' : 'Delete'}
+                        </Button>
+                      )}
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -104,6 +230,23 @@ const RolesMatrix = () => {
             <h3 className="font-bold text-gray-900">Risks detected</h3>
           </div>
           <div className="space-y-3 text-sm text-gray-700">
+            {violations.map((v) => (
+              <div key={v._id} className="p-4 rounded-lg bg-red-50 border border-red-100 flex items-start gap-3">
+                <AlertTriangle className="w-4 h-4 text-red-600 mt-1" />
+                <div className="flex-1">
+                  <p className="font-semibold text-gray-900">
+                    Segregation of Duties: {DOCUMENT_LABELS[v.documentType]} {v.documentNumber}
+                  </p>
+                  <p>
+                    {v.user ? `${v.user.firstName} ${v.user.lastName}` : 'Unknown user'} tried to {v.action} ({v.rules.join(', ')})
+                    {' '}on {new Date(v.createdAt).toLocaleDateString()}
+                  </p>
+                  {v.overrideReason && <p className="text-gray-600">Override reason: {v.overrideReason}</p>}
+                </div>
+                <Badge variant={v.outcome === 'blocked' ? 'red' : 'yellow'}>{v.outcome}</Badge>
+                <Button size="sm" variant="secondary" onClick={() => reviewViolation(v)}>Mark reviewed</Button>
+              </div>
+            ))}
             {risk.map((r, idx) => (
               <div key={idx} className="p-4 rounded-lg bg-amber-50 border border-amber-100 flex items-start gap-3">
                 <AlertTriangle className="w-4 h-4 text-amber-600 mt-1" />
@@ -127,6 +270,53 @@ const RolesMatrix = () => {
           </div>
           <p className="text-sm">Enable step-up auth for payroll actions, enforce masked exports for Managers, and enable quarterly access reviews.</p>
         </Card>
+
+        <Modal
+          isOpen={Boolean(editing)}
+          title={editing?._id || editing?.systemRole ? `Edit ${editing.name}` : 'New role'}
+          onClose={() => setEditing(null)}
+          size="xl"
+        >
+          <div className="space-y-4">
+            {!editing?.systemRole && (
+              <Input
+                label="Role name"
+                required
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="e.g. Payroll Manager"
+              />
+            )}
+            <Textarea
+              label="Description"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              rows={2}
+            />
+            <div className="grid md:grid-cols-2 gap-4">
+              {permissionGroups.map((group) => (
+                <div key={group.group} className="p-3 rounded-xl border border-white/10">
+                  <p className="font-semibold text-white mb-2">{group.group}</p>
+                  {group.permissions.map((permission) => (
+                    <label key={permission.key} className="flex items-center gap-2 text-sm py-1">
+                      <input
+                        type="checkbox"
+                        checked={form.permissions.includes(permission.key)}
+                        onChange={() => togglePermission(permission.key)}
+                      />
+                      <span>{permission.label}</span>
+                      <span className="text-xs text-slate-400">{permission.key}</span>
+                    </label>
+                  ))}
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setEditing(null)}>Cancel</Button>
+              <Button onClick={saveRole} disabled={saving}>{saving ? 'Saving...' : 'Save role'}</Button>
+            </div>
+          </div>
+        </Modal>
       </div>
     </MainLayout>
   );
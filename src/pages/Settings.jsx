@@ -15,12 +15,14 @@ import {
   ChevronRight,
   Users,
   AlertCircle,
+  Monitor,
 } from 'lucide-react';
 import MainLayout from '../layouts/MainLayout';
 import { Card, Button, Badge, Modal } from '../components/UI';
 import positionService from '../services/positionService';
 import departmentService from '../services/departmentService';
 import authService from '../services/authService';
+import SsoSettings from '../components/SsoSettings';
 import { useAuthStore } from '../store/authStore';
 
 const Settings = () => {
@@ -42,6 +44,16 @@ const Settings = () => {
   const [confirmPasswordInput, setConfirmPasswordInput] = useState('');
   const [updatingPassword, setUpdatingPassword] = useState(false);
 
+  // Signed-in devices (security tab)
+  const [sessions, setSessions] = useState([]);
+
+  // Two-factor authentication (security tab)
+  const [twoFactorStatus, setTwoFactorStatus] = useState(null);
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [twoFactorPassword, setTwoFactorPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
   const [formData, setFormData] = useState({
     firstName: user?.firstName || '',
     lastName: user?.lastName || '',
@@ -60,13 +72,6 @@ const Settings = () => {
     leaveApprovals: true,
   });
 
-  const [securitySettings] = useState({
-    twoFactorEnabled: true,
-    lastPasswordChange: '2025-10-15',
-    sessionTimeout: '30',
-    loginAlerts: true,
-  });
-
   const [newPosition, setNewPosition] = useState({
     title: '',
     department: '',
@@ -91,6 +96,97 @@ const Settings = () => {
     fetchDepartments();
   }, []);
 
+  useEffect(() => {
+    if (activeTab === 'security') {
+      fetchSessions();
+      fetchTwoFactorStatus();
+    }
+  }, [activeTab]);
+
+  const fetchTwoFactorStatus = async () => {
+    try {
+      setTwoFactorStatus(await authService.getTwoFactorStatus());
+    } catch (err) {
+      toast.error(err.message || 'Failed to load two-factor status');
+    }
+  };
+
+  const handleStartTwoFactorSetup = async () => {
+    try {
+      setTwoFactorSetup(await authService.setupTwoFactor());
+      setTwoFactorCode('');
+      setRecoveryCodes(null);
+    } catch (err) {
+      toast.error(err.message || 'Failed to start two-factor setup');
+    }
+  };
+
+  const handleEnableTwoFactor = async () => {
+    try {
+      const result = await authService.enableTwoFactor(twoFactorCode.trim());
+      setRecoveryCodes(result.recoveryCodes);
+      setTwoFactorSetup(null);
+      setTwoFactorCode('');
+      toast.success('Two-factor authentication enabled');
+      fetchTwoFactorStatus();
+    } catch (err) {
+      toast.error(err.message || 'Invalid verification code');
+    }
+  };
+
+  const handleRegenerateRecoveryCodes = async () => {
+    try {
+      const result = await authService.regenerateRecoveryCodes(twoFactorCode.trim());
+      setRecoveryCodes(result.recoveryCodes);
+      setTwoFactorCode('');
+      fetchTwoFactorStatus();
+    } catch (err) {
+      toast.error(err.message || 'Failed to regenerate recovery codes');
+    }
+  };
+
+  const handleDisableTwoFactor = async () => {
+    if (!window.confirm('Turn off two-factor authentication?')) return;
+    try {
+      await authService.disableTwoFactor(twoFactorPassword);
+      setTwoFactorPassword('');
+      setRecoveryCodes(null);
+      toast.success('Two-factor authentication disabled');
+      fetchTwoFactorStatus();
+    } catch (err) {
+      toast.error(err.message || 'Failed to disable two-factor authentication');
+    }
+  };
+
+  const fetchSessions = async () => {
+    try {
+      setSessions(await authService.getSessions());
+    } catch (err) {
+      toast.error(err.message || 'Failed to load sessions');
+    }
+  };
+
+  const handleRevokeSession = async (session) => {
+    try {
+      await authService.revokeSession(session._id);
+      toast.success(`Signed out of ${session.device}`);
+      fetchSessions();
+    } catch (err) {
+      toast.error(err.message || 'Failed to sign out session');
+    }
+  };
+
+  const handleRevokeOtherSessions = async () => {
+    if (!window.confirm('Sign out of every other device?')) return;
+    try {
+      const result = await authService.revokeOtherSessions();
+      toast.success(result.message);
+      fetchSessions();
+    } catch (err) {
+      toast.error(err.message || 'Failed to sign out other sessions');
+    }
+  };
+
   const fetchPositions = async () => {
     setLoading(true);
     setError(null);
@@ -284,6 +380,8 @@ const Settings = () => {
       setCurrentPasswordInput('');
       setNewPasswordInput('');
       setConfirmPasswordInput('');
+      // Other devices are signed out by the password change
+      fetchSessions();
     } catch (err) {
       toast.error(err?.message || 'Failed to change password');
     } finally {
@@ -359,7 +457,7 @@ const Settings = () => {
 
         {/* Tabs */}
         <div className="flex gap-2 border-b border-white/10 overflow-x-auto">
-          {['account', 'notifications', 'security', 'hierarchy'].map((tab) => (
+          {['account', 'notifications', 'security', 'hierarchy', ...(user?.role === 'admin' ? ['sso'] : [])].map((tab) => (
             <button
               key={tab}
               onClick={() => setActiveTab(tab)}
@@ -367,7 +465,7 @@ const Settings = () => {
                 activeTab === tab ? 'text-cyan-400 border-b-2 border-cyan-400' : 'text-slate-400'
               }`}
             >
-              {tab === 'hierarchy' ? 'Organization' : tab.charAt(0).toUpperCase() + tab.slice(1)}
+              {tab === 'hierarchy' ? 'Organization' : tab === 'sso' ? 'Single Sign-On' : tab.charAt(0).toUpperCase() + tab.slice(1)}
             </button>
           ))}
         </div>
@@ -510,12 +608,90 @@ const Settings = () => {
                 <div className="flex items-center justify-between">
                   <div>
                     <p className="font-medium text-white">Two-Factor Authentication</p>
-                    <p className="text-xs text-slate-400 mt-1">Protect your account with 2FA</p>
+                    <p className="text-xs text-slate-400 mt-1">
+                      {twoFactorStatus?.required
+                        ? 'Required for your role. Sign-in asks for a code from your authenticator app.'
+                        : 'Protect your account with a code from an authenticator app'}
+                    </p>
                   </div>
-                  <Badge variant={securitySettings.twoFactorEnabled ? 'green' : 'gray'}>
-                    {securitySettings.twoFactorEnabled ? 'Enabled' : 'Disabled'}
+                  <Badge variant={twoFactorStatus?.enabled ? 'green' : 'gray'}>
+                    {twoFactorStatus?.enabled ? 'Enabled' : 'Disabled'}
                   </Badge>
                 </div>
+
+                {recoveryCodes && (
+                  <div className="mt-4">
+                    <p className="text-sm text-slate-300 mb-2">
+                      Save these recovery codes somewhere safe. They are shown only once and each works once.
+                    </p>
+                    <div className="grid grid-cols-2 gap-2 p-3 bg-white/5 rounded-lg font-mono text-sm text-cyan-300">
+                      {recoveryCodes.map((code) => <span key={code}>{code}</span>)}
+                    </div>
+                  </div>
+                )}
+
+                {twoFactorStatus && !twoFactorStatus.enabled && (
+                  twoFactorSetup ? (
+                    <div className="mt-4 space-y-3">
+                      <p className="text-sm text-slate-300">Add this key to your authenticator app, then enter the 6-digit code it shows.</p>
+                      <div className="p-3 bg-white/5 rounded-lg font-mono text-cyan-300 break-all select-all">
+                        {twoFactorSetup.secret.match(/.{1,4}/g).join(' ')}
+                      </div>
+                      <a href={twoFactorSetup.otpauthUrl} className="inline-block text-sm text-cyan-400 hover:text-cyan-300">
+                        Open in authenticator app
+                      </a>
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={twoFactorCode}
+                          onChange={(e) => setTwoFactorCode(e.target.value)}
+                          placeholder="123456"
+                          autoComplete="one-time-code"
+                          className="flex-1 px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-cyan-400"
+                        />
+                        <Button onClick={handleEnableTwoFactor} disabled={!twoFactorCode.trim()}>Confirm</Button>
+                        <Button variant="ghost" onClick={() => setTwoFactorSetup(null)}>Cancel</Button>
+                      </div>
+                    </div>
+                  ) : (
+                    <Button size="sm" className="mt-4" onClick={handleStartTwoFactorSetup}>
+                      Set up two-factor authentication
+                    </Button>
+                  )
+                )}
+
+                {twoFactorStatus?.enabled && (
+                  <div className="mt-4 space-y-3">
+                    <p className="text-xs text-slate-400">{twoFactorStatus.recoveryCodesRemaining} recovery code(s) left</p>
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={twoFactorCode}
+                        onChange={(e) => setTwoFactorCode(e.target.value)}
+                        placeholder="Authenticator code"
+                        autoComplete="one-time-code"
+                        className="flex-1 px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-cyan-400"
+                      />
+                      <Button variant="secondary" onClick={handleRegenerateRecoveryCodes} disabled={!twoFactorCode.trim()}>
+                        New recovery codes
+                      </Button>
+                    </div>
+                    {!twoFactorStatus.required && (
+                      <div className="flex gap-2">
+                        <input
+                          type="password"
+                          value={twoFactorPassword}
+                          onChange={(e) => setTwoFactorPassword(e.target.value)}
+                          placeholder="Current password"
+                          className="flex-1 px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-cyan-400"
+                        />
+                        <Button variant="danger" onClick={handleDisableTwoFactor} disabled={!twoFactorPassword}>
+                          Turn off
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
 
               {/* Password Change */}
@@ -575,19 +751,48 @@ const Settings = () => {
                 </div>
               </div>
 
-              {/* Login History */}
+              {/* Active Sessions */}
               <div className="p-4 bg-white/5 border border-white/10 rounded-lg">
-                <p className="font-medium text-white mb-2">Recent Activity</p>
-                <div className="text-sm text-slate-300">
-                  <p>Last password change: {securitySettings.lastPasswordChange}</p>
-                  <p>Session timeout: {securitySettings.sessionTimeout} minutes</p>
-                  <p className="mt-2 text-cyan-400">Login alerts: {securitySettings.loginAlerts ? 'Enabled' : 'Disabled'}</p>
+                <div className="flex items-center justify-between mb-3">
+                  <p className="font-medium text-white">Active Sessions</p>
+                  {sessions.length > 1 && (
+                    <Button size="sm" variant="secondary" onClick={handleRevokeOtherSessions}>
+                      Sign out other devices
+                    </Button>
+                  )}
+                </div>
+                <div className="space-y-2">
+                  {sessions.map((session) => (
+                    <div key={session._id} className="flex items-center justify-between gap-3 p-3 bg-white/5 rounded-lg">
+                      <div className="flex items-center gap-3">
+                        <Monitor size={18} className="text-slate-400" />
+                        <div>
+                          <p className="text-sm text-white">
+                            {session.device}
+                            {session.current && <Badge variant="green" className="ml-2 text-xs">This device</Badge>}
+                          </p>
+                          <p className="text-xs text-slate-400">
+                            {session.ipAddress || 'Unknown IP'} • Last seen {new Date(session.lastSeenAt).toLocaleString()}
+                          </p>
+                        </div>
+                      </div>
+                      {!session.current && (
+                        <Button size="sm" variant="ghost" onClick={() => handleRevokeSession(session)}>
+                          Sign out
+                        </Button>
+                      )}
+                    </div>
+                  ))}
+                  {sessions.length === 0 && <p className="text-sm text-slate-400">No active sessions</p>}
                 </div>
               </div>
             </Card>
           </div>
         )}
 
+        {/* Single Sign-On */}
+        {activeTab === 'sso' && user?.role === 'admin' && <SsoSettings />}
+
         {/* Organization Hierarchy */}
         {activeTab === 'hierarchy' && (
           <div className="space-y-4">
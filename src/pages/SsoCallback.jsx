@@ -0,0 +1,58 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Card } from '../components/UI';
+import ssoService from '../services/ssoService';
+import { useAuthStore } from '../store/authStore';
+import { KeyRound } from 'lucide-react';
+
+// Landing page after the identity provider; the API puts a one-time code (or an error) in the fragment
+const SsoCallback = () => {
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+  const { completeLogin } = useAuthStore();
+  const exchanged = useRef(false);
+
+  useEffect(() => {
+    // The code works once; StrictMode's second effect run must not spend it again
+    if (exchanged.current) return;
+    exchanged.current = true;
+
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    window.history.replaceState(null, '', window.location.pathname);
+    if (params.get('error') || !params.get('code')) {
+      setError(params.get('error') || 'Single sign-on did not complete');
+      return;
+    }
+
+    ssoService.exchange(params.get('code'))
+      .then((result) => {
+        const { user } = completeLogin(result);
+        navigate(user.role === 'admin' ? '/chairman-tasks' : '/dashboard', { replace: true });
+      })
+      .catch((err) => setError(err.message || 'Single sign-on failed'));
+  }, [completeLogin, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900">
+      <Card className="max-w-md w-full mx-4 backdrop-blur-xl bg-slate-900/90 border-white/10 text-center">
+        <div className="w-16 h-16 bg-gradient-to-br from-cyan-500 to-purple-600 rounded-full flex items-center justify-center mx-auto mb-4">
+          <KeyRound size={32} className="text-white" />
+        </div>
+        {error ? (
+          <>
+            <h2 className="text-2xl font-bold text-white mb-2">Sign-in failed</h2>
+            <p className="text-red-300 mb-6">{error}</p>
+            <Link to="/login" className="text-cyan-400 hover:text-cyan-300 font-medium">Back to sign in</Link>
+          </>
+        ) : (
+          <>
+            <h2 className="text-2xl font-bold text-white mb-2">Signing you in...</h2>
+            <div className="w-6 h-6 mx-auto border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
+          </>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default SsoCallback;
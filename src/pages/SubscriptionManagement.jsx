@@ -1,20 +1,37 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { CreditCard, Calendar, Download, AlertCircle, Crown, CheckCircle } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { useCompanyStore } from '../store/companyStore';
 import { SUBSCRIPTION_PLANS } from '../utils/subscriptionPlans';
 import { Card, Button, Badge, Modal } from '../components/UI';
+import companyService from '../services/companyService';
+
+const usagePercent = (used, limit) => (limit === -1 || !limit ? 0 : Math.min((used / limit) * 100, 100));
 
 const SubscriptionManagement = () => {
   const navigate = useNavigate();
   const { subscription, setSubscription, getSubscriptionInfo } = useCompanyStore();
   const [showUpgradeModal, setShowUpgradeModal] = useState(false);
   const [selectedPlan] = useState(null);
+  const [usage, setUsage] = useState(null);
+
+  useEffect(() => {
+    companyService
+      .getUsage()
+      .then(setUsage)
+      .catch((error) => console.error('Failed to load usage:', error));
+  }, []);
 
   const currentPlan = subscription ? SUBSCRIPTION_PLANS[subscription.planId] : null;
   const subscriptionInfo = getSubscriptionInfo();
 
+  // Server-side limits win over the locally stored plan once usage has loaded
+  const employeesUsed = usage?.employees.used ?? 0;
+  const employeeLimit = usage?.employees.limit ?? subscription?.limits.employees;
+  const storageUsedGB = usage?.storage.usedGB ?? 0;
+  const storageLimitGB = usage?.storage.limitGB ?? subscription?.limits.storage;
+
   const confirmUpgrade = () => {
     if (!selectedPlan) return;
 
@@ -216,14 +233,14 @@ const SubscriptionManagement = () => {
                 <div className="flex justify-between mb-2">
                   <span className="text-sm text-gray-600">Employees</span>
                   <span className="text-sm font-semibold text-gray-900">
-                    15 / {subscription.limits.employees === -1 ? '∞' : subscription.limits.employees}
+                    {employeesUsed} / {employeeLimit === -1 ? '∞' : employeeLimit}
                   </span>
                 </div>
                 <div className="w-full bg-gray-200 rounded-full h-2">
                   <div
                     className="bg-blue-600 h-2 rounded-full"
                     style={{
-                      width: subscription.limits.employees === -1 ? '15%' : `${(15 / subscription.limits.employees) * 100}%`,
+                      width: `${usagePercent(employeesUsed, employeeLimit)}%`,
                     }}
                   />
                 </div>
@@ -233,13 +250,13 @@ const SubscriptionManagement = () => {
                 <div className="flex justify-between mb-2">
                   <span className="text-sm text-gray-600">Storage</span>
                   <span className="text-sm font-semibold text-gray-900">
-                    2.4 GB / {subscription.limits.storage} GB
+                    {storageUsedGB.toFixed(2)} GB / {storageLimitGB === -1 ? '∞' : `${storageLimitGB} GB`}
                   </span>
                 </div>
                 <div className="w-full bg-gray-200 rounded-full h-2">
                   <div
                     className="bg-green-600 h-2 rounded-full"
-                    style={{ width: `${(2.4 / subscription.limits.storage) * 100}%` }}
+                    style={{ width: `${usagePercent(storageUsedGB, storageLimitGB)}%` }}
                   />
                 </div>
               </div>
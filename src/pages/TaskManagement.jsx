@@ -4,7 +4,10 @@ import { Card, Button, Badge, Modal } from '../components/UI';
 import { useAuthStore } from '../store/authStore';
 import employeeService from '../services/employeeService';
 import taskService from '../services/taskService';
+import projectService from '../services/projectService';
 import DependencyManager from '../components/DependencyManager';
+import TaskTemplateManager from '../components/TaskTemplateManager';
+import SubtaskTree from '../components/SubtaskTree';
 import { format, differenceInDays } from 'date-fns';
 import {
   Plus,
@@ -30,6 +33,8 @@ import {
   Video,
   Link2,
   MapPin,
+  Repeat,
+  ListTree,
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -41,6 +46,7 @@ const TaskManagement = () => {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDetailModal, setShowDetailModal] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
   const [selectedTask, setSelectedTask] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
@@ -65,7 +71,11 @@ const TaskManagement = () => {
     meetingEndTime: '',
     meetingLocation: '',
     attendees: [],
+    linkedProject: '',
+    milestone: '',
+    startDate: '',
   });
+  const [projects, setProjects] = useState([]);
 
   // Check if user can manage all tasks (admin, chairman, managers)
   // Use top-level role from authStore for consistency
@@ -73,6 +83,8 @@ const TaskManagement = () => {
   
   // Check if user is an employee (restricted access)
   const isEmployee = role === 'employee';
+  // Roles granted task.template.manage by default
+  const canManageTemplates = ['admin', 'hr', 'manager'].includes(role);
   
   // Debug: Log role
   console.log('TaskManagement - role:', role, 'isEmployee:', isEmployee, 'canManageAllTasks:', canManageAllTasks);
@@ -92,12 +104,14 @@ const TaskManagement = () => {
   const fetchData = async () => {
     setLoading(true);
     try {
-      const [tasksRes, employeesRes] = await Promise.all([
+      const [tasksRes, employeesRes, projectsRes] = await Promise.all([
         taskService.getAll({ all: 'true' }),
         employeeService.getAll(),
+        projectService.getAll().catch(() => []),
       ]);
       setTasks(tasksRes || []);
       setEmployees(employeesRes || []);
+      setProjects(projectsRes || []);
     } catch (error) {
       console.error('Error fetching data:', error);
       toast.error('Failed to load data');
@@ -216,6 +230,9 @@ const TaskManagement = () => {
       meetingEndTime: safeFormat(task.meetingEndTime, "yyyy-MM-dd'T'HH:mm", ''),
       meetingLocation: task.meetingLocation || '',
       attendees: task.attendees?.map(a => a.user?._id || a.user) || [],
+      linkedProject: task.linkedProject || '',
+      milestone: task.milestone || '',
+      startDate: safeFormat(task.startDate, 'yyyy-MM-dd', ''),
     });
     setShowEditModal(true);
   };
@@ -235,9 +252,56 @@ const TaskManagement = () => {
       meetingEndTime: '',
       meetingLocation: '',
       attendees: [],
+      linkedProject: '',
+      milestone: '',
+      startDate: '',
     });
   };
 
+  // Project plan fields shared by the create and edit forms
+  const planMilestones = projects.find(p => p._id === taskForm.linkedProject)?.milestones || [];
+  const renderPlanFields = () => taskForm.category === 'task' && projects.length > 0 && (
+    <>
+      <div>
+        <label className="block text-sm font-medium text-slate-300 mb-1">Project Plan</label>
+        <select
+          value={taskForm.linkedProject}
+          onChange={(e) => setTaskForm({ ...taskForm, linkedProject: e.target.value, milestone: '' })}
+          className="w-full px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white focus:ring-2 focus:ring-cyan-500"
+        >
+          <option value="">Not part of a project</option>
+          {projects.map(p => (
+            <option key={p._id} value={p._id}>{p.name}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-slate-300 mb-1">Milestone</label>
+        <select
+          value={taskForm.milestone}
+          onChange={(e) => setTaskForm({ ...taskForm, milestone: e.target.value })}
+          disabled={!taskForm.linkedProject || planMilestones.length === 0}
+          className="w-full px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white focus:ring-2 focus:ring-cyan-500 disabled:opacity-50"
+        >
+          <option value="">No milestone</option>
+          {planMilestones.map(m => (
+            <option key={m._id} value={m._id}>{m.title}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-slate-300 mb-1">Planned Start</label>
+        <input
+          type="date"
+          value={taskForm.startDate}
+          max={taskForm.deadline || undefined}
+          onChange={(e) => setTaskForm({ ...taskForm, startDate: e.target.value })}
+          className="w-full px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white focus:ring-2 focus:ring-cyan-500"
+        />
+      </div>
+    </>
+  );
+
   // Open detail modal
   const openDetailModal = async (task) => {
     try {
@@ -289,8 +353,10 @@ const TaskManagement = () => {
     }
   };
 
-  // Filter tasks
+  // Filter tasks - subtasks are shown under their parent unless searching
+  const loadedTaskIds = new Set(tasks.map(t => t._id));
   const filteredTasks = tasks.filter(task => {
+    if (!searchQuery && task.ancestors?.some(id => loadedTaskIds.has(id))) return false;
     const matchesSearch = task.title?.toLowerCase().includes(searchQuery.toLowerCase()) ||
                           task.project?.toLowerCase().includes(searchQuery.toLowerCase()) ||
                           task.assignedTo?.firstName?.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -344,16 +410,24 @@ const TaskManagement = () => {
             <h1 className="text-2xl font-bold text-white">Task Management</h1>
             <p className="text-slate-400">Assign and manage tasks for your team</p>
           </div>
-          <Button
-            onClick={() => {
-              resetForm();
-              setShowCreateModal(true);
-            }}
-            className="bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-600 hover:to-blue-700"
-          >
-            <Plus size={18} className="mr-2" />
-            Assign New Task
-          </Button>
+          <div className="flex items-center gap-2">
+            {canManageTemplates && (
+              <Button variant="ghost" onClick={() => setShowTemplates(true)} className="flex items-center">
+                <Repeat size={18} className="mr-2" />
+                Templates
+              </Button>
+            )}
+            <Button
+              onClick={() => {
+                resetForm();
+                setShowCreateModal(true);
+              }}
+              className="bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-600 hover:to-blue-700"
+            >
+              <Plus size={18} className="mr-2" />
+              Assign New Task
+            </Button>
+          </div>
         </div>
 
         {/* Stats Cards */}
@@ -494,8 +568,17 @@ const TaskManagement = () => {
                           </span>
                         )}
                         <p className="text-white text-sm font-medium truncate">{task.title}</p>
+                        {task.subtaskStats?.total > 0 && (
+                          <span className="flex-shrink-0 px-1.5 py-0.5 bg-cyan-500/20 text-cyan-400 rounded text-[10px] font-medium">
+                            <ListTree size={10} className="inline mr-0.5" />{task.subtaskStats.completed}/{task.subtaskStats.total}
+                          </span>
+                        )}
                       </div>
-                      {task.category === 'meeting' && task.meetingDateTime ? (
+                      {task.parent ? (
+                        <p className="text-cyan-400/70 text-xs truncate">
+                          Subtask of {task.parent.project} {task.parent.title}
+                        </p>
+                      ) : task.category === 'meeting' && task.meetingDateTime ? (
                         <p className="text-purple-400 text-xs truncate">
                           📅 {safeFormat(task.meetingDateTime, 'MMM d, yyyy h:mm a')}
                           {task.attendees?.length > 0 && ` • ${task.attendees.length} attendee(s)`}
@@ -894,6 +977,8 @@ const TaskManagement = () => {
                     placeholder="Auto-generated if empty"
                   />
                 </div>
+
+                {renderPlanFields()}
               </div>
 
               <div className="flex items-center justify-end gap-3 pt-4 border-t border-slate-700">
@@ -1099,6 +1184,8 @@ const TaskManagement = () => {
                     className="w-full px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white focus:ring-2 focus:ring-cyan-500"
                   />
                 </div>
+
+                {canManageAllTasks && renderPlanFields()}
               </div>
 
               <div className="flex items-center justify-end gap-3 pt-4 border-t border-slate-700">
@@ -1153,6 +1240,11 @@ const TaskManagement = () => {
                   }`}>
                     {selectedTask.status?.replace('-', ' ').toUpperCase()}
                   </span>
+                  {selectedTask.series?.template && (
+                    <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-purple-500/20 text-purple-400">
+                      <Repeat size={12} className="mr-1" />RECURRING #{selectedTask.series.sequence}
+                    </span>
+                  )}
                 </div>
               </div>
               <button onClick={() => { setShowDetailModal(false); setSelectedTask(null); }} className="p-2 hover:bg-slate-800 rounded-lg">
@@ -1225,6 +1317,7 @@ const TaskManagement = () => {
             <div className="flex gap-1 px-6 pt-4 border-b border-slate-700">
               {[
                 { id: 'details', label: 'Details', icon: Target },
+                { id: 'subtasks', label: 'Subtasks', icon: ListTree, count: (selectedTask.subtaskStats?.total || 0) + (selectedTask.checklist?.length || 0) },
                 { id: 'dependencies', label: 'Dependencies', icon: Link2, count: selectedTask.dependencies?.length || 0 },
                 { id: 'updates', label: 'Updates', icon: MessageSquare, count: selectedTask.updates?.length || 0 },
                 { id: 'activities', label: 'Activities', icon: Activity, count: selectedTask.activities?.length || 0 },
@@ -1315,6 +1408,20 @@ const TaskManagement = () => {
                 </div>
               )}
 
+              {/* Subtasks Tab */}
+              {activeDetailTab === 'subtasks' && (
+                <SubtaskTree
+                  task={selectedTask}
+                  employees={employees}
+                  onUpdate={async () => {
+                    const updatedTask = await taskService.getById(selectedTask._id);
+                    setSelectedTask(updatedTask);
+                    const tasksRes = await taskService.getAll({ all: 'true' });
+                    setTasks(tasksRes || []);
+                  }}
+                />
+              )}
+
               {/* Dependencies Tab */}
               {activeDetailTab === 'dependencies' && (
                 <DependencyManager
@@ -1521,6 +1628,15 @@ const TaskManagement = () => {
           </div>
         </div>
       )}
+
+      {canManageTemplates && (
+        <TaskTemplateManager
+          isOpen={showTemplates}
+          onClose={() => setShowTemplates(false)}
+          employees={employees}
+          onTasksCreated={fetchData}
+        />
+      )}
     </MainLayout>
   );
 };
@@ -0,0 +1,394 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Clock, UserCheck, BarChart3, Wallet, Download } from 'lucide-react';
+import MainLayout from '../layouts/MainLayout';
+import { Card, Button, Badge, Modal, Input, Textarea, Tabs } from '../components/UI';
+import { useAuthStore } from '../store/authStore';
+import timesheetService from '../services/timesheetService';
+
+const STATUS_BADGES = { submitted: 'yellow', approved: 'green', rejected: 'red' };
+const REPORT_ROLES = ['admin', 'hr', 'manager', 'chairman'];
+const PAYROLL_ROLES = ['admin', 'hr', 'chairman', 'finance', 'accountant'];
+
+const formatDay = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+const weekLabel = (timesheet) => `${formatDay(timesheet.weekStart)} – ${formatDay(timesheet.weekEnd)}`;
+const personName = (person) => (person ? `${person.firstName} ${person.lastName}` : '—');
+const formatAmount = (amount) => Number(amount || 0).toLocaleString('en-US', { maximumFractionDigits: 0 });
+
+const monthStart = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), 1)).toISOString().split('T')[0];
+};
+
+const Timesheets = () => {
+  const { role } = useAuthStore();
+  const [activeTab, setActiveTab] = useState('mine');
+  const [mine, setMine] = useState([]);
+  const [team, setTeam] = useState([]);
+  const [teamStatus, setTeamStatus] = useState('submitted');
+  const [selected, setSelected] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [reason, setReason] = useState('');
+  const [range, setRange] = useState({ from: monthStart(), to: new Date().toISOString().split('T')[0] });
+  const [utilisation, setUtilisation] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [allocation, setAllocation] = useState(null);
+
+  const tabs = [
+    { id: 'mine', label: 'My Timesheets' },
+    { id: 'team', label: 'Team Approvals' },
+    ...(REPORT_ROLES.includes(role) ? [{ id: 'utilisation', label: 'Utilisation' }] : []),
+    ...(PAYROLL_ROLES.includes(role) ? [{ id: 'allocation', label: 'Payroll Allocation' }] : []),
+  ];
+
+  const loadMine = async () => {
+    try {
+      setMine(await timesheetService.getMine());
+    } catch (error) {
+      toast.error(error.message || 'Failed to load timesheets');
+    }
+  };
+
+  const loadTeam = useCallback(async () => {
+    try {
+      setTeam(await timesheetService.getTeam(teamStatus));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load team timesheets');
+    }
+  }, [teamStatus]);
+
+  const loadUtilisation = useCallback(async () => {
+    try {
+      setUtilisation(await timesheetService.getUtilisation(range));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load utilisation report');
+    }
+  }, [range]);
+
+  const loadRuns = useCallback(async () => {
+    try {
+      setRuns(await timesheetService.getPayrollRuns());
+    } catch (error) {
+      toast.error(error.message || 'Failed to load payroll runs');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadMine();
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'team') loadTeam();
+  }, [activeTab, loadTeam]);
+
+  // The utilisation report and payroll runs load on first visit; Run reloads the report for a new range
+  useEffect(() => {
+    if (activeTab === 'utilisation' && !utilisation) loadUtilisation();
+  }, [activeTab, utilisation, loadUtilisation]);
+
+  useEffect(() => {
+    if (activeTab === 'allocation' && runs.length === 0) loadRuns();
+  }, [activeTab, runs.length, loadRuns]);
+
+  const openTimesheet = async (id) => {
+    try {
+      setSelected(await timesheetService.getById(id));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load timesheet');
+    }
+  };
+
+  const approve = async (timesheet) => {
+    try {
+      await timesheetService.approve(timesheet._id);
+      toast.success(`Approved ${personName(timesheet.employee)}'s timesheet`);
+      setSelected(null);
+      loadTeam();
+    } catch (error) {
+      toast.error(error.message || 'Failed to approve timesheet');
+    }
+  };
+
+  const reject = async () => {
+    try {
+      await timesheetService.reject(rejecting._id, reason);
+      toast.success('Timesheet sent back for changes');
+      setRejecting(null);
+      setReason('');
+      setSelected(null);
+      loadTeam();
+    } catch (error) {
+      toast.error(error.message || 'Failed to reject timesheet');
+    }
+  };
+
+  const openAllocation = async (run) => {
+    try {
+      setAllocation(await timesheetService.getAllocation(run._id));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load payroll allocation');
+    }
+  };
+
+  const exportAllocation = async () => {
+    try {
+      await timesheetService.downloadAllocation(allocation.run._id, allocation.run.month);
+    } catch (error) {
+      toast.error(error.message || 'Failed to export payroll allocation');
+    }
+  };
+
+  const renderTimesheetRows = (timesheets, showEmployee) => timesheets.map((timesheet) => (
+    <tr key={timesheet._id} className="hover:bg-white/5">
+      {showEmployee && (
+        <td className="py-3 px-3">
+          <p className="font-semibold text-white">{personName(timesheet.employee)}</p>
+          <p className="text-xs text-slate-400">{timesheet.employee?.department}</p>
+        </td>
+      )}
+      <td className="py-3 px-3 text-slate-200">{weekLabel(timesheet)}</td>
+      <td className="py-3 px-3 text-slate-200">{timesheet.totalHours}h</td>
+      <td className="py-3 px-3 text-slate-200">{timesheet.billableHours}h</td>
+      <td className="py-3 px-3">
+        <Badge variant={STATUS_BADGES[timesheet.status]}>{timesheet.status}</Badge>
+        {timesheet.rejectionReason && <p className="text-xs text-rose-300 mt-1">{timesheet.rejectionReason}</p>}
+      </td>
+      <td className="py-3 px-3">
+        <div className="flex gap-2">
+          <Button size="sm" variant="secondary" onClick={() => openTimesheet(timesheet._id)}>View</Button>
+          {showEmployee && timesheet.status === 'submitted' && (
+            <>
+              <Button size="sm" variant="success" onClick={() => approve(timesheet)}>Approve</Button>
+              <Button size="sm" variant="danger" onClick={() => setRejecting(timesheet)}>Reject</Button>
+            </>
+          )}
+        </div>
+      </td>
+    </tr>
+  ));
+
+  const renderTimesheetTable = (timesheets, showEmployee) => (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-slate-400">
+            {showEmployee && <th className="py-3 px-3">Employee</th>}
+            <th className="py-3 px-3">Week</th>
+            <th className="py-3 px-3">Hours</th>
+            <th className="py-3 px-3">Billable</th>
+            <th className="py-3 px-3">Status</th>
+            <th className="py-3 px-3">Action</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-white/10">{renderTimesheetRows(timesheets, showEmployee)}</tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <MainLayout>
+      <div className="space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-white">Timesheets</h1>
+          <p className="text-slate-400 max-w-3xl">Weeks of worklogs submitted to the manager you report to. Approved hours feed utilisation reports and the payroll cost allocation.</p>
+        </div>
+
+        <Tabs tabs={tabs} activeTab={activeTab} onTabChange={setActiveTab} />
+
+        {activeTab === 'mine' && (
+          <Card>
+            <div className="flex items-center gap-2 mb-4">
+              <Clock className="w-5 h-5 text-cyan-300" />
+              <p className="font-semibold text-white">My timesheets</p>
+            </div>
+            {mine.length === 0 ? (
+              <p className="text-slate-400 text-sm">No timesheets yet. Submit a week from the Work Log.</p>
+            ) : renderTimesheetTable(mine, false)}
+          </Card>
+        )}
+
+        {activeTab === 'team' && (
+          <Card>
+            <div className="flex items-center justify-between mb-4">
+              <div className="flex items-center gap-2">
+                <UserCheck className="w-5 h-5 text-cyan-300" />
+                <p className="font-semibold text-white">Direct reports</p>
+              </div>
+              <div className="flex gap-2">
+                {['submitted', 'all'].map((status) => (
+                  <Button key={status} size="sm" variant={teamStatus === status ? 'primary' : 'ghost'} onClick={() => setTeamStatus(status)}>
+                    {status === 'submitted' ? 'Awaiting approval' : 'All'}
+                  </Button>
+                ))}
+              </div>
+            </div>
+            {team.length === 0 ? (
+              <p className="text-slate-400 text-sm">Nothing to review.</p>
+            ) : renderTimesheetTable(team, true)}
+          </Card>
+        )}
+
+        {activeTab === 'utilisation' && (
+          <Card>
+            <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4 mb-4">
+              <div className="flex items-center gap-2">
+                <BarChart3 className="w-5 h-5 text-cyan-300" />
+                <p className="font-semibold text-white">Utilisation by department</p>
+              </div>
+              <div className="flex items-end gap-2">
+                <Input label="From" type="date" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} />
+                <Input label="To" type="date" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} />
+                <Button onClick={loadUtilisation}>Run</Button>
+              </div>
+            </div>
+            {utilisation && (
+              <div className="overflow-x-auto">
+                <p className="text-xs text-slate-400 mb-2">
+                  {utilisation.workingDays} working days at {utilisation.hoursPerDay}h, less approved leave
+                </p>
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-slate-400">
+                      <th className="py-3 px-3">Department</th>
+                      <th className="py-3 px-3">Employees</th>
+                      <th className="py-3 px-3">Available</th>
+                      <th className="py-3 px-3">Logged</th>
+                      <th className="py-3 px-3">Approved</th>
+                      <th className="py-3 px-3">Billable</th>
+                      <th className="py-3 px-3">Utilisation</th>
+                      <th className="py-3 px-3">Billable %</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-white/10">
+                    {[...utilisation.departments, { department: 'Total', ...utilisation.totals }].map((row) => (
+                      <tr key={row.department} className={row.department === 'Total' ? 'font-semibold text-white' : 'text-slate-200'}>
+                        <td className="py-3 px-3">{row.department}</td>
+                        <td className="py-3 px-3">{row.employees}</td>
+                        <td className="py-3 px-3">{row.availableHours}h</td>
+                        <td className="py-3 px-3">{row.loggedHours}h</td>
+                        <td className="py-3 px-3">{row.approvedHours}h</td>
+                        <td className="py-3 px-3">{row.billableHours}h</td>
+                        <td className="py-3 px-3">{row.utilisation}%</td>
+                        <td className="py-3 px-3">{row.billableUtilisation}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </Card>
+        )}
+
+        {activeTab === 'allocation' && (
+          <Card>
+            <div className="flex items-center gap-2 mb-4">
+              <Wallet className="w-5 h-5 text-cyan-300" />
+              <p className="font-semibold text-white">Salary cost by project and cost center</p>
+            </div>
+            <div className="flex flex-wrap gap-2 mb-4">
+              {runs.map((run) => (
+                <Button
+                  key={run._id}
+                  size="sm"
+                  variant={allocation?.run._id === run._id ? 'primary' : 'secondary'}
+                  onClick={() => openAllocation(run)}
+                >
+                  {run.month} • {run.status}
+                </Button>
+              ))}
+              {runs.length === 0 && <p className="text-slate-400 text-sm">No payroll runs yet.</p>}
+            </div>
+            {allocation && (
+              <>
+                <div className="flex items-center justify-between mb-2">
+                  <p className="text-sm text-slate-300">
+                    {allocation.totals.employees} employees • {formatAmount(allocation.totals.cost)} gross • {formatAmount(allocation.totals.projects)} on projects • {allocation.monthlyHours}h month
+                  </p>
+                  <Button size="sm" variant="secondary" onClick={exportAllocation}>
+                    <Download className="w-4 h-4" /> Export CSV
+                  </Button>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-slate-400">
+                        <th className="py-3 px-3">Employee</th>
+                        <th className="py-3 px-3">Project</th>
+                        <th className="py-3 px-3">Cost Center</th>
+                        <th className="py-3 px-3">Hours</th>
+                        <th className="py-3 px-3">Share</th>
+                        <th className="py-3 px-3">Amount</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-white/10">
+                      {allocation.lines.map((line, index) => (
+                        <tr key={index} className="text-slate-200">
+                          <td className="py-3 px-3">
+                            <p className="font-semibold text-white">{line.name}</p>
+                            <p className="text-xs text-slate-400">{line.employeeId}</p>
+                          </td>
+                          <td className="py-3 px-3">{line.projectName || '—'}</td>
+                          <td className="py-3 px-3">{line.costCenterCode ? `${line.costCenterCode} ${line.costCenterName}` : '—'}</td>
+                          <td className="py-3 px-3">{line.hours}h</td>
+                          <td className="py-3 px-3">{line.share}%</td>
+                          <td className="py-3 px-3">{formatAmount(line.amount)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </Card>
+        )}
+      </div>
+
+      <Modal isOpen={Boolean(selected)} title={selected ? `${personName(selected.employee)} • ${weekLabel(selected)}` : ''} onClose={() => setSelected(null)} size="lg">
+        {selected && (
+          <div className="space-y-4">
+            <div className="flex items-center gap-3 text-sm text-slate-300">
+              <Badge variant={STATUS_BADGES[selected.status]}>{selected.status}</Badge>
+              <span>{selected.totalHours}h total • {selected.billableHours}h billable</span>
+              {selected.reviewedBy && <span>• reviewed by {personName(selected.reviewedBy)}</span>}
+            </div>
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-400">
+                  <th className="py-2 px-3">Date</th>
+                  <th className="py-2 px-3">Project</th>
+                  <th className="py-2 px-3">Task</th>
+                  <th className="py-2 px-3">Hours</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-white/10">
+                {selected.entries.map((entry, index) => (
+                  <tr key={index} className="text-slate-200">
+                    <td className="py-2 px-3">{formatDay(entry.date)}</td>
+                    <td className="py-2 px-3">{entry.linkedProject?.name || entry.project}</td>
+                    <td className="py-2 px-3">{entry.task}</td>
+                    <td className="py-2 px-3">
+                      {entry.hours}h {entry.billable && <Badge variant="blue" className="ml-1">billable</Badge>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Modal>
+
+      <Modal isOpen={Boolean(rejecting)} title="Reject timesheet" onClose={() => setRejecting(null)}>
+        <div className="space-y-4">
+          <p className="text-sm text-slate-300">The week opens again so {personName(rejecting?.employee)} can correct and resubmit it.</p>
+          <Textarea label="Reason" required value={reason} onChange={(e) => setReason(e.target.value)} />
+          <div className="flex justify-end gap-2">
+            <Button variant="secondary" onClick={() => setRejecting(null)}>Cancel</Button>
+            <Button variant="danger" onClick={reject} disabled={!reason.trim()}>Reject</Button>
+          </div>
+        </div>
+      </Modal>
+    </MainLayout>
+  );
+};
+
+export default Timesheets;
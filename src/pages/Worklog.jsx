@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Clock,
   Plus,
@@ -16,9 +16,12 @@ import {
   Briefcase,
   Target,
   TrendingUp,
+  Send,
+  Lock,
 } from 'lucide-react';
 import { useAuthStore } from '../store/authStore';
 import api from '../services/api';
+import timesheetService from '../services/timesheetService';
 import toast from 'react-hot-toast';
 
 const Worklog = () => {
@@ -29,6 +32,9 @@ const Worklog = () => {
   const [editingLog, setEditingLog] = useState(null);
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
   const [viewMode, setViewMode] = useState('day'); // day, week, month
+  const [projects, setProjects] = useState([]);
+  const [week, setWeek] = useState(null);
+  const [submittingWeek, setSubmittingWeek] = useState(false);
   const [stats, setStats] = useState({
     todayHours: 0,
     weekHours: 0,
@@ -43,6 +49,7 @@ const Worklog = () => {
     description: '',
     hoursWorked: '',
     status: 'completed',
+    billable: false,
   });
 
   // Fetch worklogs
@@ -50,6 +57,26 @@ const Worklog = () => {
     fetchWorklogs();
   }, [selectedDate, viewMode]);
 
+  // Timesheet of the week containing the selected date
+  const fetchWeek = useCallback(async () => {
+    try {
+      setWeek(await timesheetService.getWeek(selectedDate));
+    } catch {
+      setWeek(null);
+    }
+  }, [selectedDate]);
+
+  useEffect(() => {
+    fetchWeek();
+  }, [fetchWeek]);
+
+  // Company projects; hours logged under one of these names are costed to it
+  useEffect(() => {
+    api.get('/projects')
+      .then((response) => setProjects(response.data || []))
+      .catch(() => setProjects([]));
+  }, []);
+
   const fetchWorklogs = async () => {
     try {
       setLoading(true);
@@ -69,6 +96,24 @@ const Worklog = () => {
     }
   };
 
+  const weekLocked = ['submitted', 'approved'].includes(week?.timesheet?.status);
+  const isLocked = (log) => weekLocked && String(log.timesheet) === String(week.timesheet._id);
+
+  const handleSubmitWeek = async () => {
+    if (!window.confirm('Submit this week for approval? Its entries are locked unless your manager rejects it.')) return;
+    try {
+      setSubmittingWeek(true);
+      await timesheetService.submit(selectedDate);
+      toast.success('Timesheet submitted for approval');
+      fetchWeek();
+      fetchWorklogs();
+    } catch (error) {
+      toast.error(error.message || 'Failed to submit timesheet');
+    } finally {
+      setSubmittingWeek(false);
+    }
+  };
+
   const generateMockWorklogs = () => {
     return [
       {
@@ -145,9 +190,10 @@ const Worklog = () => {
       setEditingLog(null);
       resetForm();
       fetchWorklogs();
+      fetchWeek();
     } catch (error) {
       console.error('Error saving worklog:', error);
-      toast.error('Failed to save worklog');
+      toast.error(error.response?.data?.message || 'Failed to save worklog');
     }
   };
 
@@ -157,9 +203,10 @@ const Worklog = () => {
       await api.delete(`/worklogs/${id}`);
       toast.success('Worklog deleted');
       fetchWorklogs();
+      fetchWeek();
     } catch (error) {
       console.error('Error deleting worklog:', error);
-      toast.error('Failed to delete worklog');
+      toast.error(error.response?.data?.message || 'Failed to delete worklog');
     }
   };
 
@@ -172,6 +219,7 @@ const Worklog = () => {
       description: log.description,
       hoursWorked: log.hoursWorked,
       status: log.status,
+      billable: Boolean(log.billable),
     });
     setShowAddModal(true);
   };
@@ -184,6 +232,7 @@ const Worklog = () => {
       description: '',
       hoursWorked: '',
       status: 'completed',
+      billable: false,
     });
   };
 
@@ -217,6 +266,15 @@ const Worklog = () => {
     }
   };
 
+  const getTimesheetColor = (status) => {
+    switch (status) {
+      case 'approved': return 'bg-emerald-500/20 text-emerald-400 border-emerald-500/30';
+      case 'submitted': return 'bg-amber-500/20 text-amber-400 border-amber-500/30';
+      case 'rejected': return 'bg-rose-500/20 text-rose-400 border-rose-500/30';
+      default: return 'bg-slate-500/20 text-slate-400 border-slate-500/30';
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-white p-6">
       {/* Header */}
@@ -331,6 +389,44 @@ const Worklog = () => {
         </div>
       </div>
 
+      {/* Week Timesheet */}
+      {week && (
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6 p-4 bg-slate-800/50 rounded-xl border border-slate-700/50">
+          <div>
+            <div className="flex items-center gap-3">
+              <span className="font-semibold text-white">
+                Timesheet: week of {formatDate(week.weekStart)}
+              </span>
+              <span className={`px-2 py-0.5 text-xs rounded-full border ${getTimesheetColor(week.timesheet?.status)}`}>
+                {week.timesheet?.status || 'not submitted'}
+              </span>
+            </div>
+            <p className="text-slate-400 text-sm mt-1">
+              {week.summary.totalHours}h logged, {week.summary.billableHours}h billable
+              {week.timesheet?.reviewedBy && ` • reviewed by ${week.timesheet.reviewedBy.firstName} ${week.timesheet.reviewedBy.lastName}`}
+            </p>
+            {week.timesheet?.status === 'rejected' && (
+              <p className="text-rose-400 text-sm mt-1">Rejected: {week.timesheet.rejectionReason}</p>
+            )}
+          </div>
+          {weekLocked ? (
+            <span className="flex items-center gap-2 text-slate-400 text-sm">
+              <Lock size={16} />
+              Entries locked
+            </span>
+          ) : (
+            <button
+              onClick={handleSubmitWeek}
+              disabled={submittingWeek || week.worklogs.length === 0}
+              className="flex items-center gap-2 px-4 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-lg text-sm font-medium transition-colors"
+            >
+              <Send size={16} />
+              {week.timesheet?.status === 'rejected' ? 'Resubmit Week' : 'Submit Week'}
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Worklog List */}
       <div className="bg-slate-800/30 rounded-2xl border border-slate-700/50 overflow-hidden">
         {loading ? (
@@ -360,6 +456,11 @@ const Worklog = () => {
                       <span className={`px-2 py-0.5 text-xs rounded-full border ${getStatusColor(log.status)}`}>
                         {log.status}
                       </span>
+                      {log.billable && (
+                        <span className="px-2 py-0.5 text-xs rounded-full border bg-cyan-500/20 text-cyan-400 border-cyan-500/30">
+                          billable
+                        </span>
+                      )}
                     </div>
                     <p className="text-slate-400 text-sm mb-2">{log.description}</p>
                     <div className="flex items-center gap-4 text-sm text-slate-500">
@@ -379,13 +480,15 @@ const Worklog = () => {
                     </div>
                     <button
                       onClick={() => handleEdit(log)}
-                      className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+                      disabled={isLocked(log)}
+                      className="p-2 hover:bg-slate-700 disabled:opacity-30 disabled:pointer-events-none rounded-lg transition-colors"
                     >
                       <Edit2 size={16} className="text-slate-400" />
                     </button>
                     <button
                       onClick={() => handleDelete(log._id)}
-                      className="p-2 hover:bg-red-500/20 rounded-lg transition-colors"
+                      disabled={isLocked(log)}
+                      className="p-2 hover:bg-red-500/20 disabled:opacity-30 disabled:pointer-events-none rounded-lg transition-colors"
                     >
                       <Trash2 size={16} className="text-red-400" />
                     </button>
@@ -431,12 +534,18 @@ const Worklog = () => {
                 <label className="block text-sm font-medium text-slate-300 mb-1">Project</label>
                 <input
                   type="text"
+                  list="worklog-projects"
                   value={formData.project}
                   onChange={(e) => setFormData({ ...formData, project: e.target.value })}
                   placeholder="e.g., HRMS Development"
                   className="w-full px-4 py-2 bg-slate-800 border border-slate-700 rounded-lg focus:ring-2 focus:ring-cyan-500 focus:border-transparent text-white placeholder-slate-500"
                   required
                 />
+                <datalist id="worklog-projects">
+                  {projects.map((project) => (
+                    <option key={project._id} value={project.name} />
+                  ))}
+                </datalist>
               </div>
               <div>
                 <label className="block text-sm font-medium text-slate-300 mb-1">Task</label>
@@ -488,6 +597,15 @@ const Worklog = () => {
                   </select>
                 </div>
               </div>
+              <label className="flex items-center gap-2 text-sm text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={formData.billable}
+                  onChange={(e) => setFormData({ ...formData, billable: e.target.checked })}
+                  className="rounded border-slate-700 bg-slate-800 text-cyan-500 focus:ring-cyan-500"
+                />
+                Billable to a client
+              </label>
               <div className="flex gap-3 pt-4">
                 <button
                   type="button"
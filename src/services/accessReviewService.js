@@ -0,0 +1,91 @@
+import apiClient from './api';
+
+const accessReviewService = {
+  // Campaigns with decision counts
+  getAll: async () => {
+    try {
+      const response = await apiClient.get('/access-reviews');
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch access reviews' };
+    }
+  },
+
+  // Campaign with its review items
+  getById: async (id) => {
+    try {
+      const response = await apiClient.get(`/access-reviews/${id}`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch access review' };
+    }
+  },
+
+  // Pending items assigned to the signed-in reviewer
+  getMyItems: async () => {
+    try {
+      const response = await apiClient.get('/access-reviews/my-items');
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch review items' };
+    }
+  },
+
+  launch: async (data) => {
+    try {
+      const response = await apiClient.post('/access-reviews', data);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to start access review' };
+    }
+  },
+
+  decide: async (itemId, decision, comment) => {
+    try {
+      const response = await apiClient.post(`/access-reviews/items/${itemId}/decision`, { decision, comment });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to record decision' };
+    }
+  },
+
+  complete: async (id) => {
+    try {
+      const response = await apiClient.post(`/access-reviews/${id}/complete`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to complete access review' };
+    }
+  },
+
+  cancel: async (id) => {
+    try {
+      const response = await apiClient.post(`/access-reviews/${id}/cancel`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to cancel access review' };
+    }
+  },
+
+  // Attestation report CSV (the request needs the auth header, so fetch as a blob)
+  downloadReport: async (id, name) => {
+    try {
+      const response = await apiClient.get(`/access-reviews/${id}/report`, {
+        params: { format: 'csv' },
+        responseType: 'blob',
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `access-review-${name}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to export attestation report' };
+    }
+  },
+};
+
+export default accessReviewService;
@@ -44,6 +44,43 @@ apiClient.interceptors.request.use(
   }
 );
 
+// Requests that must not trigger a token refresh when they fail with 401
+const NO_REFRESH_URLS = [
+  '/auth/login', '/auth/login/2fa', '/auth/register', '/auth/refresh', '/auth/logout',
+  '/auth/forgot-password', '/auth/reset-password', '/auth/sso/exchange',
+];
+
+const clearAuthAndRedirect = () => {
+  // Token expired or invalid - clear ALL auth storage
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  // Also clear zustand persist store to prevent redirect loops
+  localStorage.removeItem('auth-store');
+  window.location.href = '/login';
+};
+
+// One refresh at a time; concurrent 401s wait for the same rotated token
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post(`${apiClient.defaults.baseURL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token')))
+      .then(({ data }) => {
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Add response interceptor for error handling
 apiClient.interceptors.response.use(
   (response) => {
@@ -55,18 +92,24 @@ apiClient.interceptors.response.use(
     );
     return response;
   },
-  (error) => {
+  async (error) => {
     const method = error.config?.method?.toUpperCase() || 'UNKNOWN';
     const url = error.config?.url || 'UNKNOWN';
-    
-    if (error.response?.status === 401) {
+
+    if (error.response?.status === 401 && !NO_REFRESH_URLS.includes(url)) {
+      // Access tokens are short-lived: refresh once and replay the request
+      if (!error.config._retried) {
+        try {
+          const token = await refreshAccessToken();
+          error.config._retried = true;
+          error.config.headers.Authorization = `Bearer ${token}`;
+          return apiClient(error.config);
+        } catch (refreshError) {
+          logger.warn('Session refresh failed', { url });
+        }
+      }
       logger.warn('Authentication failed - redirecting to login', { url });
-      // Token expired or invalid - clear ALL auth storage
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      // Also clear zustand persist store to prevent redirect loops
-      localStorage.removeItem('auth-store');
-      window.location.href = '/login';
+      clearAuthAndRedirect();
     } else {
       logger.logApiError(method, url, error);
     }
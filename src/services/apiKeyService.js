@@ -0,0 +1,74 @@
+import apiClient from './api';
+
+const apiKeyService = {
+  // Scopes a key can be granted, with the routes each opens
+  getScopes: async () => {
+    try {
+      const response = await apiClient.get('/api-keys/scopes');
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch API scopes' };
+    }
+  },
+
+  getKeys: async () => {
+    try {
+      const response = await apiClient.get('/api-keys');
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch API keys' };
+    }
+  },
+
+  // Returns { apiKey, key }; the key is not shown again
+  createKey: async (data) => {
+    try {
+      const response = await apiClient.post('/api-keys', data);
+      return { apiKey: response.data.data, key: response.data.key };
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to create API key' };
+    }
+  },
+
+  updateKey: async (id, data) => {
+    try {
+      const response = await apiClient.put(`/api-keys/${id}`, data);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update API key' };
+    }
+  },
+
+  rotateKey: async (id) => {
+    try {
+      const response = await apiClient.post(`/api-keys/${id}/rotate`);
+      return { apiKey: response.data.data, key: response.data.key };
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to rotate API key' };
+    }
+  },
+
+  revokeKey: async (id) => {
+    try {
+      const response = await apiClient.post(`/api-keys/${id}/revoke`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to revoke API key' };
+    }
+  },
+
+  // Daily counts: { days: [{ date, requests, failures, rateLimited }], totals, byKey }
+  getUsage: async (days = 30) => {
+    try {
+      const response = await apiClient.get('/api-keys/usage', { params: { days } });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch API usage' };
+    }
+  },
+
+  // OpenAPI document of the whole API
+  docsUrl: () => `${apiClient.defaults.baseURL}/openapi.json`,
+};
+
+export default apiKeyService;
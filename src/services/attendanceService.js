@@ -0,0 +1,65 @@
+import apiClient from './api';
+
+const attendanceService = {
+  // Get own attendance for today and the applicable shift
+  getToday: async () => {
+    try {
+      const response = await apiClient.get('/attendance/today');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch today\'s attendance' };
+    }
+  },
+
+  // Check in (workMode: 'office' | 'remote')
+  checkIn: async (workMode = 'office') => {
+    try {
+      const response = await apiClient.post('/attendance/check-in', { workMode });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to check in' };
+    }
+  },
+
+  // Check out
+  checkOut: async () => {
+    try {
+      const response = await apiClient.post('/attendance/check-out');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to check out' };
+    }
+  },
+
+  // Get day records (date, from/to, department, employee, status)
+  getRecords: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/attendance/records', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch attendance records' };
+    }
+  },
+
+  // Get the monthly register (year, month 1-12, department)
+  getRegister: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/attendance/register', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch attendance register' };
+    }
+  },
+
+  // Get company shifts
+  getShifts: async () => {
+    try {
+      const response = await apiClient.get('/attendance/shifts');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch shifts' };
+    }
+  },
+};
+
+export default attendanceService;
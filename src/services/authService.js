@@ -1,5 +1,14 @@
 import apiClient from './api';
 
+// Keep the tokens and user from a response that opened a session
+const storeSession = (data) => {
+  if (data.token) {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    localStorage.setItem('user', JSON.stringify(data.user));
+  }
+};
+
 const authService = {
   // Register new company and admin user
   register: async (data) => {
@@ -13,11 +22,8 @@ const authService = {
         password: data.password,
       });
       
-      // Store token and user data
-      if (response.data.token) {
-        localStorage.setItem('token', response.data.token);
-        localStorage.setItem('user', JSON.stringify(response.data.user));
-      }
+      // Store tokens and user data; a 2FA challenge has none yet
+      storeSession(response.data);
       
       return response.data;
     } catch (error) {
@@ -33,11 +39,8 @@ const authService = {
         password,
       });
       
-      // Store token and user data
-      if (response.data.token) {
-        localStorage.setItem('token', response.data.token);
-        localStorage.setItem('user', JSON.stringify(response.data.user));
-      }
+      // Store tokens and user data; a 2FA challenge has none yet
+      storeSession(response.data);
       
       return response.data;
     } catch (error) {
@@ -45,6 +48,103 @@ const authService = {
     }
   },
 
+  // Second sign-in step with an authenticator or recovery code
+  verifyTwoFactorLogin: async (challengeToken, code) => {
+    try {
+      const response = await apiClient.post('/auth/login/2fa', { challengeToken, code });
+      storeSession(response.data);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Verification failed' };
+    }
+  },
+
+  // Email a reset link (or send it on WhatsApp)
+  forgotPassword: async (email, channel = 'email') => {
+    try {
+      const response = await apiClient.post('/auth/forgot-password', { email, channel });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to request password reset' };
+    }
+  },
+
+  resetPassword: async (token, password) => {
+    try {
+      const response = await apiClient.post('/auth/reset-password', { token, password });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to reset password' };
+    }
+  },
+
+  // Admin: send a user a reset link
+  sendPasswordReset: async (userId, channel = 'email') => {
+    try {
+      const response = await apiClient.post(`/auth/users/${userId}/password-reset`, { channel });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to send reset link' };
+    }
+  },
+
+  getTwoFactorStatus: async () => {
+    try {
+      const response = await apiClient.get('/auth/2fa');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to load two-factor status' };
+    }
+  },
+
+  // Pass the challenge token from login when enrolling before the first session
+  setupTwoFactor: async (challengeToken) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/setup', challengeToken ? { challengeToken } : {});
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to start two-factor setup' };
+    }
+  },
+
+  enableTwoFactor: async (code, challengeToken) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/enable', { code, ...(challengeToken && { challengeToken }) });
+      storeSession(response.data);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to enable two-factor authentication' };
+    }
+  },
+
+  disableTwoFactor: async (password) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/disable', { password });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to disable two-factor authentication' };
+    }
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/recovery-codes', { code });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to regenerate recovery codes' };
+    }
+  },
+
+  // Admin: clear a user's two-factor setup after a lost device
+  resetUserTwoFactor: async (userId) => {
+    try {
+      const response = await apiClient.delete(`/auth/users/${userId}/2fa`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to reset two-factor authentication' };
+    }
+  },
+
   // Get current user
   getCurrentUser: async () => {
     try {
@@ -68,9 +168,52 @@ const authService = {
     }
   },
 
-  // Logout
+  // Devices the current user is signed in on
+  getSessions: async () => {
+    try {
+      const response = await apiClient.get('/auth/sessions');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to load sessions' };
+    }
+  },
+
+  revokeSession: async (sessionId) => {
+    try {
+      const response = await apiClient.delete(`/auth/sessions/${sessionId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to sign out session' };
+    }
+  },
+
+  revokeOtherSessions: async () => {
+    try {
+      const response = await apiClient.delete('/auth/sessions');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to sign out other sessions' };
+    }
+  },
+
+  // Admin: sign a user out of every device
+  revokeUserSessions: async (userId) => {
+    try {
+      const response = await apiClient.delete(`/auth/users/${userId}/sessions`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to sign user out' };
+    }
+  },
+
+  // Logout: end the server session (best effort) and clear local tokens
   logout: () => {
+    const token = localStorage.getItem('token');
+    if (token) {
+      apiClient.post('/auth/logout', null, { headers: { Authorization: `Bearer ${token}` } }).catch(() => {});
+    }
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
   },
 
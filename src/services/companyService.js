@@ -0,0 +1,15 @@
+import apiClient from './api';
+
+const companyService = {
+  // Get live plan usage (employees, storage) for the current company
+  getUsage: async () => {
+    try {
+      const response = await apiClient.get('/company/usage');
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch usage' };
+    }
+  },
+};
+
+export default companyService;
@@ -0,0 +1,75 @@
+import apiClient from './api';
+
+const leaveService = {
+  // Get leave requests (scope: 'team' | 'approvals' | 'all')
+  getAll: async (filters = {}) => {
+    try {
+      const response = await apiClient.get('/leaves', { params: filters });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch leave requests' };
+    }
+  },
+
+  // Get per-type leave balances
+  getBalance: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/leaves/balance', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch leave balance' };
+    }
+  },
+
+  // Preview chargeable days (excludes weekends and holidays)
+  calculateDays: async (data) => {
+    try {
+      const response = await apiClient.post('/leaves/calculate-days', data);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to calculate leave days' };
+    }
+  },
+
+  // Apply for leave
+  apply: async (leaveData) => {
+    try {
+      const response = await apiClient.post('/leaves', leaveData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to submit leave request' };
+    }
+  },
+
+  // Withdraw a pending request
+  withdraw: async (id) => {
+    try {
+      const response = await apiClient.post(`/leaves/${id}/withdraw`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to withdraw leave request' };
+    }
+  },
+
+  // Cancel an approved leave
+  cancel: async (id, reason) => {
+    try {
+      const response = await apiClient.post(`/leaves/${id}/cancel`, { reason });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to cancel leave' };
+    }
+  },
+
+  // Get company leave policy
+  getPolicy: async () => {
+    try {
+      const response = await apiClient.get('/leaves/policy');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch leave policy' };
+    }
+  },
+};
+
+export default leaveService;
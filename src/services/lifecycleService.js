@@ -0,0 +1,70 @@
+import apiClient from './api';
+
+const lifecycleService = {
+  // Promotions, transfers, salary changes and offboardings
+  getEvents: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/lifecycle/events', { params });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch lifecycle events' };
+    }
+  },
+
+  createEvent: async (data) => {
+    try {
+      const response = await apiClient.post('/lifecycle/events', data);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to create lifecycle event' };
+    }
+  },
+
+  cancelEvent: async (id) => {
+    try {
+      const response = await apiClient.post(`/lifecycle/events/${id}/cancel`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to cancel lifecycle event' };
+    }
+  },
+
+  // Employment history entries and lifecycle events with checklist progress
+  getHistory: async (employeeId) => {
+    try {
+      const response = await apiClient.get(`/lifecycle/history/${employeeId}`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch employment history' };
+    }
+  },
+
+  getChecklist: async (type) => {
+    try {
+      const response = await apiClient.get(`/lifecycle/checklists/${type}`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch checklist' };
+    }
+  },
+
+  saveChecklist: async (type, items) => {
+    try {
+      const response = await apiClient.put(`/lifecycle/checklists/${type}`, { items });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to save checklist' };
+    }
+  },
+
+  resetChecklist: async (type) => {
+    try {
+      const response = await apiClient.delete(`/lifecycle/checklists/${type}`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to reset checklist' };
+    }
+  },
+};
+
+export default lifecycleService;
@@ -0,0 +1,42 @@
+import apiClient from './api';
+
+const payslipService = {
+  // Own payslip history (newest first)
+  getHistory: async () => {
+    try {
+      const response = await apiClient.get('/profile/payslips');
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch payslips' };
+    }
+  },
+
+  // Payslip breakdown for a month (YYYY-MM) or 'latest'
+  getPayslip: async (month = 'latest') => {
+    try {
+      const response = await apiClient.get(`/profile/payslips/${month}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch payslip' };
+    }
+  },
+
+  // Download the PDF payslip (the request needs the auth header, so fetch as a blob)
+  downloadPdf: async (month = 'latest') => {
+    try {
+      const response = await apiClient.get(`/profile/payslips/${month}/pdf`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `payslip-${month}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to download payslip' };
+    }
+  },
+};
+
+export default payslipService;
@@ -62,6 +62,26 @@ const projectService = {
     }
   },
 
+  // Get Gantt timeline: milestones, linked tasks, forecast and critical path
+  getTimeline: async (id) => {
+    try {
+      const response = await api.get(`/projects/${id}/timeline`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch project timeline' };
+    }
+  },
+
+  // Get budget vs actual vs forecast, from the GL, open purchase orders and worklog hours
+  getCosts: async (id) => {
+    try {
+      const response = await api.get(`/projects/${id}/costs`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch project costs' };
+    }
+  },
+
   // Get project stats
   getStats: async () => {
     try {
@@ -0,0 +1,65 @@
+import apiClient from './api';
+
+const recruitmentService = {
+  // Get job requisitions (status)
+  getJobs: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/recruitment/jobs', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch jobs' };
+    }
+  },
+
+  // Raise a job requisition for a position and department
+  createJob: async (jobData) => {
+    try {
+      const response = await apiClient.post('/recruitment/jobs', jobData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to create job' };
+    }
+  },
+
+  // Get applicants (job, status)
+  getApplicants: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/recruitment/applicants', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch applicants' };
+    }
+  },
+
+  // Add an applicant; pass FormData to include a resume file
+  createApplicant: async (applicantData) => {
+    try {
+      const response = await apiClient.post('/recruitment/applicants', applicantData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to add applicant' };
+    }
+  },
+
+  // Move an applicant to another stage (to, note, rejectionReason, offer)
+  moveStage: async (id, data) => {
+    try {
+      const response = await apiClient.post(`/recruitment/applicants/${id}/stage`, data);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update applicant stage' };
+    }
+  },
+
+  // Hire an applicant with an offer
+  hire: async (id, data = {}) => {
+    try {
+      const response = await apiClient.post(`/recruitment/applicants/${id}/hire`, data);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to hire applicant' };
+    }
+  },
+};
+
+export default recruitmentService;
@@ -0,0 +1,91 @@
+import apiClient from './api';
+
+const roleService = {
+  // Permission catalog grouped by area
+  getPermissions: async () => {
+    try {
+      const response = await apiClient.get('/roles/permissions');
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch permissions' };
+    }
+  },
+
+  // Built-in and custom roles
+  getAll: async () => {
+    try {
+      const response = await apiClient.get('/roles');
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch roles' };
+    }
+  },
+
+  // Effective permissions of the signed-in user
+  getMine: async () => {
+    try {
+      const response = await apiClient.get('/roles/me');
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch permissions' };
+    }
+  },
+
+  create: async (roleData) => {
+    try {
+      const response = await apiClient.post('/roles', roleData);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to create role' };
+    }
+  },
+
+  update: async (id, roleData) => {
+    try {
+      const response = await apiClient.put(`/roles/${id}`, roleData);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update role' };
+    }
+  },
+
+  // Override the permissions of a built-in role (hr, finance, ...)
+  updateSystem: async (systemRole, roleData) => {
+    try {
+      const response = await apiClient.put(`/roles/system/${systemRole}`, roleData);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update role' };
+    }
+  },
+
+  resetSystem: async (systemRole) => {
+    try {
+      const response = await apiClient.delete(`/roles/system/${systemRole}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to reset role' };
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      const response = await apiClient.delete(`/roles/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to delete role' };
+    }
+  },
+
+  // Replace a user's custom role assignments
+  assign: async (userId, roleIds) => {
+    try {
+      const response = await apiClient.put(`/roles/users/${userId}`, { roles: roleIds });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to assign roles' };
+    }
+  },
+};
+
+export default roleService;
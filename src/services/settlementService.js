@@ -0,0 +1,90 @@
+import apiClient from './api';
+
+const settlementService = {
+  // Final settlements for exiting employees
+  getAll: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/final-settlements', { params });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch final settlements' };
+    }
+  },
+
+  getById: async (id) => {
+    try {
+      const response = await apiClient.get(`/final-settlements/${id}`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch final settlement' };
+    }
+  },
+
+  prepare: async (employeeId, remarks) => {
+    try {
+      const response = await apiClient.post('/final-settlements', { employeeId, remarks });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to prepare final settlement' };
+    }
+  },
+
+  // adjustments: [{ code, amount }] to change a line, [{ code, remove: true }] to drop one,
+  // or [{ code, label, type, category, amount, basis }] to add one
+  revise: async (id, adjustments, remarks) => {
+    try {
+      const response = await apiClient.put(`/final-settlements/${id}`, { adjustments, remarks });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update final settlement' };
+    }
+  },
+
+  recalculate: async (id) => {
+    try {
+      const response = await apiClient.post(`/final-settlements/${id}/recalculate`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to recalculate final settlement' };
+    }
+  },
+
+  returnAsset: async (id, assetId) => {
+    try {
+      const response = await apiClient.post(`/final-settlements/${id}/assets/${assetId}/return`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to record asset return' };
+    }
+  },
+
+  // Rejected with code ASSETS_OUTSTANDING (and the assets) while anything is unreturned
+  clear: async (id) => {
+    try {
+      const response = await apiClient.post(`/final-settlements/${id}/clear`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to clear final settlement' };
+    }
+  },
+
+  post: async (id) => {
+    try {
+      const response = await apiClient.post(`/final-settlements/${id}/post`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to post final settlement' };
+    }
+  },
+
+  cancel: async (id, remarks) => {
+    try {
+      const response = await apiClient.post(`/final-settlements/${id}/cancel`, { remarks });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to cancel final settlement' };
+    }
+  },
+};
+
+export default settlementService;
@@ -0,0 +1,43 @@
+import apiClient from './api';
+
+const sodService = {
+  // Segregation-of-duties rules per document type
+  getSettings: async () => {
+    try {
+      const response = await apiClient.get('/sod/settings');
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch SoD settings' };
+    }
+  },
+
+  updateSettings: async (rules) => {
+    try {
+      const response = await apiClient.put('/sod/settings', { rules });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update SoD settings' };
+    }
+  },
+
+  // Blocked and overridden conflicts with a summary by document type and outcome
+  getViolations: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/sod/violations', { params });
+      return { violations: response.data.data, summary: response.data.summary };
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch SoD violations' };
+    }
+  },
+
+  reviewViolation: async (id, notes) => {
+    try {
+      const response = await apiClient.post(`/sod/violations/${id}/review`, { notes });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to review violation' };
+    }
+  },
+};
+
+export default sodService;
@@ -0,0 +1,80 @@
+import apiClient from './api';
+
+const ssoService = {
+  // Whether this email signs in through its company's identity provider
+  discover: async (email) => {
+    try {
+      const response = await apiClient.get('/auth/sso/discover', { params: { email } });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to check single sign-on' };
+    }
+  },
+
+  // Full-page navigation to the IdP goes through the API, which builds the request
+  startUrl: (providerId, email) => {
+    const hint = email ? `?login_hint=${encodeURIComponent(email)}` : '';
+    return `${apiClient.defaults.baseURL}/auth/sso/${providerId}/start${hint}`;
+  },
+
+  // Swap the one-time code from the SSO callback for a session
+  exchange: async (code) => {
+    try {
+      const response = await apiClient.post('/auth/sso/exchange', { code });
+      localStorage.setItem('token', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+      localStorage.setItem('user', JSON.stringify(response.data.user));
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Single sign-on failed' };
+    }
+  },
+
+  // Company identity providers, with the URLs to register at the IdP
+  getProviders: async () => {
+    try {
+      const response = await apiClient.get('/identity-providers');
+      return { providers: response.data.data, serviceProvider: response.data.serviceProvider };
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch identity providers' };
+    }
+  },
+
+  createProvider: async (data) => {
+    try {
+      const response = await apiClient.post('/identity-providers', data);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to add identity provider' };
+    }
+  },
+
+  updateProvider: async (id, data) => {
+    try {
+      const response = await apiClient.put(`/identity-providers/${id}`, data);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update identity provider' };
+    }
+  },
+
+  testProvider: async (id) => {
+    try {
+      const response = await apiClient.post(`/identity-providers/${id}/test`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Connection test failed' };
+    }
+  },
+
+  deleteProvider: async (id) => {
+    try {
+      const response = await apiClient.delete(`/identity-providers/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to remove identity provider' };
+    }
+  },
+};
+
+export default ssoService;
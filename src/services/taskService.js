@@ -308,6 +308,58 @@ const taskService = {
       throw error.response?.data || { message: 'Failed to add attachment' };
     }
   },
+
+  // ==================== SUBTASK & CHECKLIST METHODS ====================
+
+  // Get the nested subtasks of a task
+  getSubtasks: async (id) => {
+    try {
+      const response = await api.get(`/tasks/${id}/subtasks`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch subtasks' };
+    }
+  },
+
+  // Add a subtask ({ title, assignedTo, deadline, priority })
+  createSubtask: async (id, subtaskData) => {
+    try {
+      const response = await api.post(`/tasks/${id}/subtasks`, subtaskData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to create subtask' };
+    }
+  },
+
+  // Add a checklist item
+  addChecklistItem: async (id, title) => {
+    try {
+      const response = await api.post(`/tasks/${id}/checklist`, { title });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to add checklist item' };
+    }
+  },
+
+  // Tick, untick or rename a checklist item ({ done, title })
+  updateChecklistItem: async (taskId, itemId, itemData) => {
+    try {
+      const response = await api.patch(`/tasks/${taskId}/checklist/${itemId}`, itemData);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update checklist item' };
+    }
+  },
+
+  // Remove a checklist item
+  deleteChecklistItem: async (taskId, itemId) => {
+    try {
+      const response = await api.delete(`/tasks/${taskId}/checklist/${itemId}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to delete checklist item' };
+    }
+  },
 };
 
 export default taskService;
@@ -0,0 +1,80 @@
+import apiClient from './api';
+
+const taskTemplateService = {
+  getTemplates: async () => {
+    try {
+      const response = await apiClient.get('/task-templates');
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch task templates' };
+    }
+  },
+
+  getTemplate: async (id) => {
+    try {
+      const response = await apiClient.get(`/task-templates/${id}`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch task template' };
+    }
+  },
+
+  // Returns { template, generated } - instances due within the lead time are created at once
+  createTemplate: async (data) => {
+    try {
+      const response = await apiClient.post('/task-templates', data);
+      return { template: response.data.data, generated: response.data.generated };
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to create task template' };
+    }
+  },
+
+  updateTemplate: async (id, data) => {
+    try {
+      const response = await apiClient.put(`/task-templates/${id}`, data);
+      return { template: response.data.data, generated: response.data.generated };
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update task template' };
+    }
+  },
+
+  deleteTemplate: async (id, cancelUpcoming = false) => {
+    try {
+      const response = await apiClient.delete(`/task-templates/${id}`, { params: { cancelUpcoming } });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to delete task template' };
+    }
+  },
+
+  // Next dates of a recurrence rule on the company's working-day calendar
+  previewOccurrences: async (recurrence, count = 6) => {
+    try {
+      const response = await apiClient.post('/task-templates/preview', { recurrence, count });
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to preview recurrence' };
+    }
+  },
+
+  getSeriesTasks: async (id) => {
+    try {
+      const response = await apiClient.get(`/task-templates/${id}/tasks`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch series tasks' };
+    }
+  },
+
+  // One-off task from a template: { date, assignedTo }
+  instantiate: async (id, data) => {
+    try {
+      const response = await apiClient.post(`/task-templates/${id}/instantiate`, data);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to create task from template' };
+    }
+  },
+};
+
+export default taskTemplateService;
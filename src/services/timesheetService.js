@@ -0,0 +1,117 @@
+import apiClient from './api';
+
+const timesheetService = {
+  // Own week of worklogs with hours per day and project; any day of the week
+  getWeek: async (date) => {
+    try {
+      const response = await apiClient.get('/timesheets/week', { params: { date } });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch timesheet week' };
+    }
+  },
+
+  submit: async (date) => {
+    try {
+      const response = await apiClient.post('/timesheets/submit', { date });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to submit timesheet' };
+    }
+  },
+
+  getMine: async (status) => {
+    try {
+      const response = await apiClient.get('/timesheets', { params: { status } });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch timesheets' };
+    }
+  },
+
+  // Direct reports' timesheets; submitted ones unless status is given ('all' for every status)
+  getTeam: async (status) => {
+    try {
+      const response = await apiClient.get('/timesheets/team', { params: { status } });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch team timesheets' };
+    }
+  },
+
+  getById: async (id) => {
+    try {
+      const response = await apiClient.get(`/timesheets/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch timesheet' };
+    }
+  },
+
+  approve: async (id) => {
+    try {
+      const response = await apiClient.post(`/timesheets/${id}/approve`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to approve timesheet' };
+    }
+  },
+
+  reject: async (id, reason) => {
+    try {
+      const response = await apiClient.post(`/timesheets/${id}/reject`, { reason });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to reject timesheet' };
+    }
+  },
+
+  getUtilisation: async (params) => {
+    try {
+      const response = await apiClient.get('/timesheets/reports/utilisation', { params });
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch utilisation report' };
+    }
+  },
+
+  getPayrollRuns: async () => {
+    try {
+      const response = await apiClient.get('/payroll-engine/runs');
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch payroll runs' };
+    }
+  },
+
+  // Salary cost of a payroll run split across projects and cost centers
+  getAllocation: async (runId) => {
+    try {
+      const response = await apiClient.get(`/payroll-engine/runs/${runId}/allocation`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch payroll allocation' };
+    }
+  },
+
+  downloadAllocation: async (runId, month) => {
+    try {
+      const response = await apiClient.get(`/payroll-engine/runs/${runId}/allocation`, {
+        params: { format: 'csv' },
+        responseType: 'blob',
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `payroll-allocation-${month}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to export payroll allocation' };
+    }
+  },
+};
+
+export default timesheetService;
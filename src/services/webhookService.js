@@ -0,0 +1,99 @@
+import apiClient from './api';
+
+const webhookService = {
+  // Events an endpoint can subscribe to, grouped by area
+  getEvents: async () => {
+    try {
+      const response = await apiClient.get('/webhooks/events');
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch webhook events' };
+    }
+  },
+
+  getEndpoints: async () => {
+    try {
+      const response = await apiClient.get('/webhooks');
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch webhook endpoints' };
+    }
+  },
+
+  // Returns { endpoint, secret }; the secret is not shown again
+  createEndpoint: async (data) => {
+    try {
+      const response = await apiClient.post('/webhooks', data);
+      return { endpoint: response.data.data, secret: response.data.secret };
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to create webhook endpoint' };
+    }
+  },
+
+  updateEndpoint: async (id, data) => {
+    try {
+      const response = await apiClient.put(`/webhooks/${id}`, data);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to update webhook endpoint' };
+    }
+  },
+
+  rotateSecret: async (id) => {
+    try {
+      const response = await apiClient.post(`/webhooks/${id}/rotate-secret`);
+      return { endpoint: response.data.data, secret: response.data.secret };
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to rotate signing secret' };
+    }
+  },
+
+  // Sends a webhook.ping event and returns the delivery
+  pingEndpoint: async (id) => {
+    try {
+      const response = await apiClient.post(`/webhooks/${id}/ping`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to ping webhook endpoint' };
+    }
+  },
+
+  deleteEndpoint: async (id) => {
+    try {
+      const response = await apiClient.delete(`/webhooks/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to delete webhook endpoint' };
+    }
+  },
+
+  // Delivery log; params: { endpoint, status, event, page, limit }
+  getDeliveries: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/webhooks/deliveries', { params });
+      return { deliveries: response.data.data, pagination: response.data.pagination };
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch webhook deliveries' };
+    }
+  },
+
+  getDelivery: async (id) => {
+    try {
+      const response = await apiClient.get(`/webhooks/deliveries/${id}`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to fetch webhook delivery' };
+    }
+  },
+
+  redeliver: async (id) => {
+    try {
+      const response = await apiClient.post(`/webhooks/deliveries/${id}/redeliver`);
+      return response.data.data;
+    } catch (error) {
+      throw error.response?.data || { message: 'Failed to redeliver webhook' };
+    }
+  },
+};
+
+export default webhookService;
@@ -39,6 +39,16 @@ export const useAuthStore = create(
         set({ isLoading: true, error: null });
         try {
           const result = await authService.login(email, password);
+
+          // Password accepted but a second factor (or enrolling one) is still needed
+          if (result.twoFactorRequired || result.twoFactorSetupRequired) {
+            set({ isLoading: false });
+            return {
+              success: false,
+              twoFactor: result.twoFactorRequired ? 'verify' : 'setup',
+              challengeToken: result.challengeToken,
+            };
+          }
           
           set({
             user: result.user,
@@ -52,10 +62,23 @@ export const useAuthStore = create(
         } catch (error) {
           const errorMsg = error.message || 'Login failed';
           set({ error: errorMsg, isLoading: false });
-          return { success: false, error: errorMsg };
+          // code is 'SSO_REQUIRED' when the company only allows single sign-on
+          return { success: false, error: errorMsg, code: error.code };
         }
       },
 
+      // Adopt a session opened by a later sign-in step (2FA code or enrolment)
+      completeLogin: (result) => {
+        set({
+          user: result.user,
+          token: result.token,
+          role: result.user.role,
+          permissions: result.user.permissions || [],
+          error: null,
+        });
+        return { success: true, user: result.user };
+      },
+
       // Get current user from API
       getCurrentUser: async () => {
         set({ isLoading: true, error: null });
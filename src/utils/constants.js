@@ -8,12 +8,10 @@ export const API_BASE_URL =
 export const LEAVE_TYPES = {
   ANNUAL: 'annual',
   SICK: 'sick',
-  PERSONAL: 'personal',
+  CASUAL: 'casual',
   MATERNITY: 'maternity',
   PATERNITY: 'paternity',
   UNPAID: 'unpaid',
-  CASUAL: 'casual',
-  COMPASSIONATE: 'compassionate',
 };
 
 // Leave Status
@@ -22,6 +20,7 @@ export const LEAVE_STATUS = {
   APPROVED: 'approved',
   REJECTED: 'rejected',
   CANCELLED: 'cancelled',
+  WITHDRAWN: 'withdrawn',
 };
 
 // Attendance Status